@@ -9,6 +9,9 @@
  *   promo-kit init [--dry-run] [--force]
  *   promo-kit selftest [--skip-build] [--skip-invariants]
  *   promo-kit migrate
+ *   promo-kit simulate '<patch-json>' [--weeks N] [--dry-run]
+ *   promo-kit verify <week>|--all [--write] [--json] [--require-signatures]
+ *   promo-kit verify --slug <slug> [--trust <trust.json>] [--dir <dir>]
  *   promo-kit --print-config
  *   promo-kit --version
  *   promo-kit --help
@@ -53,12 +56,17 @@ if (!command || args.includes("--help") || args.includes("-h")) {
     promo-kit init [--dry-run] [--force]   Bootstrap seed files (auto-creates kit.config.json)
     promo-kit selftest                     Validate config, seeds, and dry-runs
     promo-kit migrate                      Apply schema version upgrades
+    promo-kit simulate '<patch>' [--weeks N]
+                                           Replay recent decisions under a control patch
+    promo-kit verify <week>|--all          Recompute a week receipt's hashes from git
+    promo-kit verify --slug <slug>         Check a tool's public artifacts against trust.json
     promo-kit --print-config               Show resolved config after defaults
     promo-kit --version                    Show version
     promo-kit --help                       Show this help
 
   Environment:
     KIT_CONFIG=/path/to/kit.config.json    Point at an alternate config root
+    PROMO_KIT_SIGNING_KEY(_FILE)           Ed25519 key for signing trust.json and receipts
 `.trimEnd());
   process.exit(0);
 }
@@ -150,6 +158,28 @@ else if (command === "migrate") {
   child.on("exit", (code) => process.exit(code));
 }
 
+// ── simulate ────────────────────────────────────────────────
+
+else if (command === "simulate") {
+  resolveConfig();
+  const child = fork(join(SCRIPTS, "gen-decision-simulation.mjs"), args.slice(1), {
+    env: { ...process.env },
+    stdio: "inherit",
+  });
+  child.on("exit", (code) => process.exit(code));
+}
+
+// ── verify ──────────────────────────────────────────────────
+
+else if (command === "verify") {
+  resolveConfig();
+  const child = fork(join(SCRIPTS, "verify-promo-receipt.mjs"), args.slice(1), {
+    env: { ...process.env },
+    stdio: "inherit",
+  });
+  child.on("exit", (code) => process.exit(code));
+}
+
 // ── unknown command ─────────────────────────────────────────
 
 else {
@@ -7,3 +7,32 @@ export {
   resetConfigCache,
   KIT_VERSION_SUPPORTED,
 } from "./scripts/lib/config.mjs";
+export {
+  registerScorer,
+  listScorers,
+  loadScorerModules,
+  DEFAULT_SCORING_PROFILE,
+} from "./scripts/lib/scoring.mjs";
+export { buildPresskit, generatePresskits } from "./scripts/gen-presskit.mjs";
+export { buildSnippets, generateSnippets } from "./scripts/gen-snippets.mjs";
+export { buildCampaignBundle, generateCampaignBundles } from "./scripts/gen-campaign-bundles.mjs";
+export { buildOutreachPack, generateOutreachPacks } from "./scripts/gen-outreach-packs.mjs";
+export {
+  buildTargetList,
+  rankCandidates,
+  scoreCandidate,
+  discoverCandidates,
+  createGitHubClient,
+  generateTargets,
+} from "./scripts/gen-targets.mjs";
+export { buildPromoWeekReceipt, writePromoWeekReceipt } from "./scripts/gen-promo-week-receipt.mjs";
+export { verifyReceipt, verifyWeek, verifyReceiptLog, verifySlugArtifacts } from "./scripts/verify-promo-receipt.mjs";
+export { buildPublicManifest, verifyPublicSubtree } from "./scripts/lib/merkle.mjs";
+export {
+  loadSigningKey,
+  loadPublicKey,
+  keyId,
+  signContent,
+  checkSignature,
+  verifyFileSignature,
+} from "./scripts/lib/signing.mjs";
@@ -29,14 +29,61 @@ const ALLOWED_FILES = new Set([
 
 const PROTECTED_FIELDS = new Set(["schemaVersion", "hardRules"]);
 
+/**
+ * A patched scoring profile may re-weight, cap or disable scorers, but may
+ * not add `module` entries — loading plugin code stays a reviewed edit.
+ */
+function isValidScoringProfile(v) {
+  if (!v || typeof v !== "object" || !Array.isArray(v.scorers)) return false;
+  return v.scorers.every((s) =>
+    s && typeof s === "object" &&
+    typeof s.id === "string" && s.id.length > 0 &&
+    !("module" in s) &&
+    (s.weight === undefined || (typeof s.weight === "number" && s.weight >= 0 && s.weight <= 10)) &&
+    (s.max === undefined || (typeof s.max === "number" && s.max >= 0 && s.max <= 100)) &&
+    (s.params === undefined || (s.params && typeof s.params === "object" && !Array.isArray(s.params))) &&
+    (s.enabled === undefined || typeof s.enabled === "boolean")
+  );
+}
+
+/** Scheduled freeze windows: [{ start, end, reason? }] with YYYY-MM-DD dates, start <= end. */
+function isValidFreezeWindows(v) {
+  const day = (d) => typeof d === "string" && /^\d{4}-\d{2}-\d{2}$/.test(d) && !Number.isNaN(Date.parse(d));
+  return Array.isArray(v) && v.every((w) =>
+    w && typeof w === "object" &&
+    day(w.start) && day(w.end) && w.start <= w.end &&
+    (w.reason === undefined || typeof w.reason === "string")
+  );
+}
+
+/** Submission SLAs: { statusDays?: { <open status>: days }, firstResponseDays?, throughputWindowDays? }. */
+function isValidSubmissionSla(v) {
+  const days = (d) => Number.isInteger(d) && d > 0 && d <= 365;
+  const OPEN = ["pending", "reviewing", "needs-info"];
+  if (!v || typeof v !== "object" || Array.isArray(v)) return false;
+  if (!Object.keys(v).every((k) => ["statusDays", "firstResponseDays", "throughputWindowDays"].includes(k))) return false;
+  if (v.statusDays !== undefined) {
+    if (!v.statusDays || typeof v.statusDays !== "object") return false;
+    if (!Object.entries(v.statusDays).every(([k, d]) => OPEN.includes(k) && days(d))) return false;
+  }
+  return (v.firstResponseDays === undefined || days(v.firstResponseDays)) &&
+    (v.throughputWindowDays === undefined || days(v.throughputWindowDays));
+}
+
 const GOVERNANCE_VALIDATORS = {
   decisionsFrozen: (v) => typeof v === "boolean",
   experimentsFrozen: (v) => typeof v === "boolean",
+  autoDeferRegressed: (v) => typeof v === "boolean",
   maxPromosPerWeek: (v) => Number.isInteger(v) && v > 0 && v <= 20,
   cooldownDaysPerSlug: (v) => Number.isInteger(v) && v > 0 && v <= 90,
   cooldownDaysPerPartner: (v) => Number.isInteger(v) && v > 0 && v <= 90,
   minCoverageScore: (v) => typeof v === "number" && v >= 0 && v <= 100,
   minExperimentDataThreshold: (v) => Number.isInteger(v) && v > 0 && v <= 1000,
+  experimentMethod: (v) => ["ratio", "z-test", "fisher", "bayesian"].includes(v),
+  experimentSignificanceLevel: (v) => typeof v === "number" && v > 0 && v < 0.5,
+  scoring: isValidScoringProfile,
+  submissionSla: isValidSubmissionSla,
+  freezeWindows: isValidFreezeWindows,
 };
 
 const PROMO_VALIDATORS = {
@@ -55,11 +102,17 @@ const RISK_NOTES = {
   "governance.json": {
     decisionsFrozen: (v) => v === true ? "Decisions will NOT update until unfrozen" : "Decisions will resume updating",
     experimentsFrozen: (v) => v === true ? "Experiments will NOT update until unfrozen" : "Experiments will resume updating",
+    autoDeferRegressed: (v) => v === true ? "Queued slugs that lose worthy status will be deferred automatically" : "Worthy regressions will no longer defer queued slugs",
     maxPromosPerWeek: (v) => `Max promos per week changed to ${v} — affects budget allocation`,
     cooldownDaysPerSlug: (v) => `Slug cooldown changed to ${v} days`,
     cooldownDaysPerPartner: (v) => `Partner cooldown changed to ${v} days`,
     minCoverageScore: (v) => `Coverage threshold changed to ${v}`,
     minExperimentDataThreshold: (v) => `Experiment data threshold changed to ${v}`,
+    experimentMethod: (v) => `Experiment evaluation method set to "${v}" — winners may change on next run`,
+    experimentSignificanceLevel: (v) => `Experiment significance level changed to ${v}`,
+    scoring: (v) => `Scoring profile replaced (${v.scorers.filter((s) => s.enabled !== false).map((s) => s.id).join(", ") || "no scorers"}) — decision ranking may change on next run`,
+    submissionSla: () => "Submission SLAs changed — escalations in queue health may change on next run",
+    freezeWindows: (v) => `Freeze windows set (${v.length}) — shown in the promo calendar feed`,
   },
   "promo.json": {
     enabled: (v) => v ? "Promotion ENABLED — outreach will run" : "Promotion DISABLED — no outreach",
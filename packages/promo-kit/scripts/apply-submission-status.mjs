@@ -6,13 +6,26 @@
  * Validates and applies a status patch to a submission in submissions.json.
  * Called from the apply-submission-status workflow.
  *
+ * Status changes must follow TRANSITIONS. Closed submissions (rejected,
+ * withdrawn) only go back to pending through a reopen (`"reopen": true`).
+ * Every status change is appended to the submission's `history[]`.
+ *
+ * Patch meta fields (not stored on the submission):
+ *   actor          who made the change (default: $GITHUB_ACTOR, then "operator")
+ *   reopen         required to move a closed submission back to pending
+ *   draftOverride  on acceptance, add a draft overrides.json entry keyed by
+ *                  the submission's repo in projects.json (skipped when the
+ *                  repo is not a registry tool or org repo)
+ *
  * Usage:
  *   node scripts/apply-submission-status.mjs '{"slug":"my-tool","status":"needs-info","reviewNotes":"Please add a demo"}'
+ *   node scripts/apply-submission-status.mjs '{"slug":"my-tool","status":"pending","reopen":true,"reason":"Demo added"}'
  */
 
-import { readFileSync, writeFileSync } from "node:fs";
+import { readFileSync, writeFileSync, existsSync } from "node:fs";
 import { resolve, join } from "node:path";
 import { getConfig, getRoot } from "./lib/config.mjs";
+import { catalogRepoForSubmission, draftOverrideFromSubmission, stableOverrides } from "./lib/overrides.mjs";
 
 const ROOT = getRoot();
 const config = getConfig();
@@ -21,17 +34,33 @@ const DATA_DIR = join(ROOT, config.paths.dataDir);
 // ── Constants ─────────────────────────────────────────────────
 
 export const VALID_STATUSES = [
-  "pending", "accepted", "rejected", "withdrawn", "needs-info",
+  "pending", "reviewing", "accepted", "rejected", "withdrawn", "needs-info",
 ];
 
 const PATCHABLE_FIELDS = new Set([
   "status", "reviewNotes", "lastReviewedAt", "sourcePr", "updatedAt", "reason",
+  "reviewer", "firstResponseAt",
 ]);
 
 const PROTECTED_FIELDS = new Set([
-  "slug", "submittedAt", "tool", "lane",
+  "slug", "submittedAt", "tool", "lane", "history",
 ]);
 
+const META_FIELDS = new Set(["actor", "reopen", "draftOverride"]);
+
+/**
+ * Allowed status transitions: from → { to: action }. "reopen" transitions
+ * need `reopen: true` in the patch; "transition" ones do not.
+ */
+export const TRANSITIONS = {
+  pending: { reviewing: "transition", "needs-info": "transition", accepted: "transition", rejected: "transition", withdrawn: "transition" },
+  reviewing: { pending: "transition", "needs-info": "transition", accepted: "transition", rejected: "transition", withdrawn: "transition" },
+  "needs-info": { pending: "transition", reviewing: "transition", rejected: "transition", withdrawn: "transition" },
+  accepted: { withdrawn: "transition" },
+  rejected: { pending: "reopen" },
+  withdrawn: { pending: "reopen" },
+};
+
 const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/;
 
 function isHttpsUrl(str) {
@@ -52,6 +81,11 @@ const FIELD_VALIDATORS = {
   sourcePr: (v) => typeof v === "string" && isHttpsUrl(v),
   updatedAt: (v) => typeof v === "string" && ISO_DATE_RE.test(v),
   reason: (v) => typeof v === "string" && v.length <= 300,
+  reviewer: (v) => typeof v === "string" && v.length > 0 && v.length <= 60,
+  firstResponseAt: (v) => typeof v === "string" && ISO_DATE_RE.test(v),
+  actor: (v) => typeof v === "string" && v.length > 0 && v.length <= 60,
+  reopen: (v) => typeof v === "boolean",
+  draftOverride: (v) => typeof v === "boolean",
 };
 
 // ── Risk notes ────────────────────────────────────────────────
@@ -63,16 +97,41 @@ const RISK_NOTES = {
       accepted: "Submission accepted — will appear in catalog pipeline",
       rejected: "Submission rejected — reason should be provided",
       pending: "Submission moved back to pending",
+      reviewing: "Submission under review — waiting on the reviewer",
       withdrawn: "Submission withdrawn",
     };
     return notes[v] || `Status changed to "${v}"`;
   },
   reviewNotes: () => "Review notes updated",
   reason: () => "Rejection/status reason updated",
+  reviewer: (v) => `Assigned to reviewer ${v}`,
 };
 
 // ── Core functions (exported for testing) ────────────────────
 
+/**
+ * Check a status change against TRANSITIONS.
+ * @param {string} from
+ * @param {string} to
+ * @param {{ reopen?: boolean }} [opts]
+ * @returns {{ valid: boolean, action: string|null, error?: string }}
+ */
+export function validateTransition(from, to, opts = {}) {
+  const action = TRANSITIONS[from]?.[to] ?? null;
+  if (!action) {
+    const allowed = Object.keys(TRANSITIONS[from] || {});
+    return {
+      valid: false,
+      action: null,
+      error: `Transition "${from}" → "${to}" is not allowed (from "${from}": ${allowed.join(", ") || "none"})`,
+    };
+  }
+  if (action === "reopen" && opts.reopen !== true) {
+    return { valid: false, action, error: `"${from}" → "${to}" is a reopen — set "reopen": true` };
+  }
+  return { valid: true, action };
+}
+
 /**
  * Validate a status patch for a given slug.
  * @param {string} slug
@@ -96,7 +155,7 @@ export function validateStatusPatch(slug, fields) {
       continue;
     }
 
-    if (!PATCHABLE_FIELDS.has(field)) {
+    if (!PATCHABLE_FIELDS.has(field) && !META_FIELDS.has(field)) {
       errors.push(`"${field}" is not a recognized patchable field`);
       continue;
     }
@@ -107,20 +166,74 @@ export function validateStatusPatch(slug, fields) {
     }
   }
 
+  if (fields.draftOverride === true && fields.status !== "accepted") {
+    errors.push(`"draftOverride" only applies when status is "accepted"`);
+  }
+
   return { valid: errors.length === 0, errors };
 }
 
+/**
+ * Add a draft overrides.json entry for an accepted submission, unless one
+ * already exists. Prefers submissions/<slug>.json over the aggregate entry.
+ * The entry is keyed by the project the submission's repo maps to, since
+ * sync-org-metadata.mjs drops overrides for anything else.
+ * @param {object} submission - aggregate entry
+ * @param {{ dataDir: string, submissionsDir: string }} opts
+ * @returns {string} risk note
+ */
+function writeDraftOverride(submission, { dataDir, submissionsDir }) {
+  const overridesPath = join(dataDir, "overrides.json");
+  let overrides = {};
+  if (existsSync(overridesPath)) {
+    try {
+      overrides = JSON.parse(readFileSync(overridesPath, "utf8"));
+    } catch {
+      return "Draft override skipped — overrides.json could not be parsed";
+    }
+  }
+
+  let source = submission;
+  const filePath = join(submissionsDir, `${submission.slug}.json`);
+  if (existsSync(filePath)) {
+    try {
+      source = JSON.parse(readFileSync(filePath, "utf8"));
+    } catch { /* fall back to the aggregate entry */ }
+  }
+
+  let projects = [];
+  try {
+    projects = JSON.parse(readFileSync(join(dataDir, "projects.json"), "utf8"));
+  } catch { /* no catalog — nothing to key the entry by */ }
+  const repo = catalogRepoForSubmission(source, Array.isArray(projects) ? projects : [], config.org.name);
+  if (!repo) {
+    return `Draft override skipped — ${source.tool?.repo || "the repo"} is not a registry tool or org repo in projects.json`;
+  }
+  if (overrides[repo]) {
+    return `Draft override skipped — overrides.json already has "${repo}"`;
+  }
+
+  overrides[repo] = draftOverrideFromSubmission(source);
+  writeFileSync(overridesPath, JSON.stringify(stableOverrides(overrides), null, 2) + "\n", "utf8");
+  return `Draft override added for "${repo}" — needs human review`;
+}
+
 /**
  * Apply a validated status patch to a submission.
  * @param {string} slug
  * @param {Record<string, unknown>} fields
- * @param {{ dataDir?: string }} opts
+ * @param {{ dataDir?: string, submissionsDir?: string, actor?: string }} opts
  * @returns {{ applied: boolean, riskNotes: string[], submission: object|null, error?: string }}
  */
 export function applyStatusPatch(slug, fields, opts = {}) {
-  const { dataDir = DATA_DIR } = opts;
+  const {
+    dataDir = DATA_DIR,
+    submissionsDir = join(ROOT, "submissions"),
+    actor = process.env.GITHUB_ACTOR || "operator",
+  } = opts;
   const filePath = join(dataDir, "submissions.json");
   const riskNotes = [];
+  const { actor: patchActor, reopen, draftOverride, ...patch } = fields;
 
   let data;
   try {
@@ -138,9 +251,19 @@ export function applyStatusPatch(slug, fields, opts = {}) {
     return { applied: false, riskNotes: [], submission: null, error: `Slug "${slug}" not found in submissions.json` };
   }
 
-  // Merge fields
   const submission = data.submissions[idx];
-  for (const [field, value] of Object.entries(fields)) {
+  const from = submission.status;
+  const statusChange = patch.status !== undefined && patch.status !== from;
+  if (statusChange) {
+    const check = validateTransition(from, patch.status, { reopen });
+    if (!check.valid) {
+      return { applied: false, riskNotes: [], submission: null, error: check.error };
+    }
+    if (check.action === "reopen") riskNotes.push(`Submission reopened from ${from}`);
+  }
+
+  // Merge fields
+  for (const [field, value] of Object.entries(patch)) {
     submission[field] = value;
 
     // Generate risk notes
@@ -150,13 +273,30 @@ export function applyStatusPatch(slug, fields, opts = {}) {
   }
 
   // Auto-set updatedAt if not explicitly provided
-  if (!fields.updatedAt) {
+  if (!patch.updatedAt) {
     submission.updatedAt = new Date().toISOString();
   }
 
+  // The first status change or review note is the first response (queue SLA)
+  if (!submission.firstResponseAt && (patch.status || patch.reviewNotes)) {
+    submission.firstResponseAt = submission.updatedAt;
+  }
+
+  // Append-only audit trail of status changes
+  if (statusChange) {
+    const entry = { from, to: patch.status, at: submission.updatedAt, actor: patchActor || actor };
+    const notes = patch.reviewNotes ?? patch.reason;
+    if (notes) entry.notes = notes;
+    submission.history = [...(Array.isArray(submission.history) ? submission.history : []), entry];
+  }
+
   data.submissions[idx] = submission;
   writeFileSync(filePath, JSON.stringify(data, null, 2) + "\n", "utf8");
 
+  if (statusChange && patch.status === "accepted" && draftOverride === true) {
+    riskNotes.push(writeDraftOverride(submission, { dataDir, submissionsDir }));
+  }
+
   return { applied: true, riskNotes, submission };
 }
 
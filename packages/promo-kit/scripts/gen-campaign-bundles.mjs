@@ -0,0 +1,370 @@
+#!/usr/bin/env node
+
+/**
+ * Campaign Bundle Generator
+ *
+ * Produces self-contained campaign bundles from MarketIR campaign data.
+ * Each bundle resolves messages, claims, audiences, and GitHub facts
+ * into a single deployable package.
+ *
+ * Output: site/public/campaigns/<campaign-id>/
+ *   - bundle.json   (machine-readable, fully resolved)
+ *   - README.md     (human-readable execution guide)
+ *
+ * Programmatic use:
+ *   buildCampaignBundle(inputs)    — one campaign's inputs → { campaignSlug, bundle, files } (pure)
+ *   generateCampaignBundles(opts)  — reads the data dir, writes unless dryRun
+ *
+ * Usage:
+ *   node scripts/gen-campaign-bundles.mjs [--slugs a,b] [--dry-run]
+ */
+
+import { mkdirSync, writeFileSync } from "node:fs";
+import { resolve, join } from "node:path";
+import { getConfig, getRoot } from "./lib/config.mjs";
+import {
+  readJson,
+  loadMarketirInputs,
+  parseSlugsArg,
+  readTool,
+  readFacts,
+} from "./lib/marketir.mjs";
+
+const ROOT = getRoot();
+const config = getConfig();
+const DATA_DIR = join(ROOT, config.paths.dataDir);
+const PUBLIC_DIR = join(ROOT, config.paths.publicDir);
+
+const CHANNEL_LABELS = {
+  web: "Web blurb",
+  readme: "README insert",
+  hn: "Hacker News post",
+  x: "X (Twitter) post",
+  linkedin: "LinkedIn post",
+  newsletter: "Newsletter",
+  presskit: "Press kit",
+};
+
+// ─── Resolve helpers ─────────────────────────────────────────────────────────
+
+/** Tool slug from a toolRef like "tool.zip-meta-map". */
+export function toolSlugOf(toolRef) {
+  return String(toolRef || "").replace(/^tool\./, "");
+}
+
+/** Output directory name, e.g. "camp.zip-meta-map.launch" → "zip-meta-map-launch". */
+export function campaignSlugOf(campaignId) {
+  return campaignId.replace(/^camp\./, "").replace(/\./g, "-");
+}
+
+function loadAudience(marketirDir, audRef) {
+  // audRef is like "aud.ci-maintainers" — extract filename
+  const name = audRef.replace(/^aud\./, "");
+  return readJson(join(marketirDir, "data", "audiences", `${name}.json`));
+}
+
+// ─── Build ────────────────────────────────────────────────────────────────────
+
+/**
+ * Build one campaign bundle in memory.
+ *
+ * @param {{
+ *   campaign: object,
+ *   tool: object,
+ *   audiences?: Array<object>,
+ *   facts?: object|null,
+ *   linkByMessage?: Map<string, string>,
+ *   lockShort?: string,
+ *   generatedAt?: string,
+ * }} inputs
+ * @returns {{ campaignSlug: string, bundle: object, files: Record<string, string> }}
+ */
+export function buildCampaignBundle(inputs) {
+  const {
+    campaign,
+    tool,
+    audiences = [],
+    facts = null,
+    linkByMessage = new Map(),
+    lockShort = "unknown",
+    generatedAt = new Date().toISOString(),
+  } = inputs;
+  const slug = toolSlugOf(campaign.toolRef);
+
+  // Build claim lookup
+  const claimMap = new Map();
+  for (const claim of tool.claims || []) {
+    claimMap.set(claim.id, claim);
+  }
+
+  // Build message lookup
+  const msgMap = new Map();
+  for (const msg of tool.messages || []) {
+    msgMap.set(msg.id, msg);
+  }
+
+  // Resolve phases with messages and claims
+  const resolvedPhases = (campaign.phases || []).map((phase) => {
+    const messages = (phase.messageRefs || []).map((ref) => {
+      const msg = msgMap.get(ref);
+      if (!msg) return { id: ref, resolved: false };
+
+      const claims = (msg.claimRefs || []).map((cRef) => {
+        const claim = claimMap.get(cRef);
+        return claim
+          ? { id: claim.id, status: claim.status, statement: claim.statement }
+          : { id: cRef, status: "unresolved", statement: null };
+      });
+
+      const goId = linkByMessage.get(msg.id);
+      return {
+        id: msg.id,
+        resolved: true,
+        channel: msg.channel,
+        tone: msg.tone,
+        text: msg.text,
+        constraints: msg.constraints || null,
+        goLink: goId ? `/go/${goId}/` : null,
+        claims,
+      };
+    });
+
+    return {
+      name: phase.name,
+      channels: phase.channels,
+      notes: phase.notes || null,
+      messages,
+    };
+  });
+
+  const campaignSlug = campaignSlugOf(campaign.id);
+
+  // ── bundle.json ──────────────────────────────────────────────────────────
+
+  const bundle = {
+    campaignId: campaign.id,
+    campaignName: campaign.name,
+    tool: {
+      slug,
+      name: tool.name,
+      tagline: tool.positioning?.oneLiner || "",
+    },
+    audiences: audiences.map((a) => ({
+      id: a.id,
+      name: a.name,
+      description: a.description,
+      painPoints: a.painPoints || [],
+    })),
+    phases: resolvedPhases,
+    githubFacts: facts
+      ? {
+          stars: facts.stars,
+          forks: facts.forks,
+          latestRelease: facts.latestRelease || null,
+          license: facts.license,
+          releasesLast90d: facts.releasesLast90d,
+          communityHealth: facts.communityHealth || null,
+          observedAt: facts.fetchedAt,
+        }
+      : null,
+    generatedAt,
+    sourcelock: lockShort,
+  };
+
+  // ── README.md ────────────────────────────────────────────────────────────
+
+  const lines = [];
+  lines.push(`# Campaign: ${campaign.name}`);
+  lines.push("");
+  lines.push(`**Tool:** ${tool.name} — ${tool.positioning?.oneLiner || ""}`);
+  lines.push("");
+
+  // Audiences
+  if (audiences.length > 0) {
+    lines.push("## Target audiences");
+    lines.push("");
+    for (const aud of audiences) {
+      lines.push(`### ${aud.name}`);
+      lines.push("");
+      lines.push(aud.description);
+      lines.push("");
+      if (aud.painPoints?.length > 0) {
+        lines.push("Pain points:");
+        for (const pp of aud.painPoints) {
+          lines.push(`- ${pp}`);
+        }
+        lines.push("");
+      }
+    }
+  }
+
+  // GitHub facts summary
+  if (facts) {
+    lines.push("## GitHub snapshot");
+    lines.push("");
+    if (facts.latestRelease) {
+      lines.push(`- **Latest release:** ${facts.latestRelease.tag} (${facts.latestRelease.publishedAt?.split("T")[0] || "n/a"})`);
+    }
+    lines.push(`- **Stars:** ${facts.stars} | **Forks:** ${facts.forks} | **License:** ${facts.license || "unknown"}`);
+    lines.push(`- **Releases (last 90d):** ${facts.releasesLast90d}`);
+    lines.push(`- _Observed at: ${facts.fetchedAt}_`);
+    lines.push("");
+  }
+
+  // Phases
+  lines.push("## Execution phases");
+  lines.push("");
+
+  for (let i = 0; i < resolvedPhases.length; i++) {
+    const phase = resolvedPhases[i];
+    lines.push(`### Phase ${i + 1}: ${phase.name}`);
+    lines.push("");
+    lines.push(`**Channels:** ${phase.channels.join(", ")}`);
+    if (phase.notes) lines.push(`**Notes:** ${phase.notes}`);
+    lines.push("");
+
+    for (const msg of phase.messages) {
+      if (!msg.resolved) {
+        lines.push(`- _Unresolved message: \`${msg.id}\`_`);
+        lines.push("");
+        continue;
+      }
+
+      const label = CHANNEL_LABELS[msg.channel] || msg.channel;
+      const goId = linkByMessage.get(msg.id);
+      lines.push(`#### ${label}`);
+      lines.push("");
+      lines.push("```");
+      lines.push(msg.text);
+      if (goId) {
+        lines.push("");
+        lines.push(`Source: mcptoolshop.com/go/${goId}`);
+      }
+      lines.push("```");
+      lines.push("");
+      if (goId) {
+        lines.push(`_Tracked link: [mcptoolshop.com/go/${goId}](https://mcptoolshop.com/go/${goId}/)_`);
+        lines.push("");
+      }
+
+      // Constraints
+      if (msg.constraints) {
+        const parts = [];
+        if (msg.constraints.maxChars) parts.push(`max ${msg.constraints.maxChars} chars (${msg.text.length} used)`);
+        if (msg.constraints.notes) parts.push(msg.constraints.notes);
+        if (parts.length > 0) {
+          lines.push(`_${parts.join(" | ")}_`);
+          lines.push("");
+        }
+      }
+
+      // Claims backing this message
+      if (msg.claims?.length > 0) {
+        lines.push("Claims backing this message:");
+        for (const c of msg.claims) {
+          if (c.statement) {
+            lines.push(`- \`${c.id}\` (${c.status}): ${c.statement}`);
+          } else {
+            lines.push(`- \`${c.id}\` (unresolved)`);
+          }
+        }
+        lines.push("");
+      }
+    }
+  }
+
+  // Footer
+  lines.push("---");
+  lines.push("");
+  lines.push(`_Generated from MarketIR${facts ? " + GitHub facts" : ""} (lock: ${lockShort}) at ${generatedAt}_`);
+  if (facts) {
+    lines.push("");
+    lines.push("_GitHub data is non-authoritative and time-stamped. Verify at source._");
+  }
+  lines.push("");
+
+  return {
+    campaignSlug,
+    bundle,
+    files: {
+      "bundle.json": JSON.stringify(bundle, null, 2) + "\n",
+      "README.md": lines.join("\n"),
+    },
+  };
+}
+
+// ─── Pipeline ─────────────────────────────────────────────────────────────────
+
+/**
+ * Build every campaign in marketing.index.json (optionally narrowed to
+ * campaigns whose tool is in `slugs`) and write them to
+ * <publicDir>/campaigns/<campaign-slug>/.
+ *
+ * @param {{ dataDir?: string, publicDir?: string, slugs?: string[]|null, generatedAt?: string, dryRun?: boolean }} opts
+ * @returns {{ bundles: Array<{ campaignSlug: string, bundle: object, files: Record<string, string> }>, skipped: Array<{ campaignId: string, reason: string }> }}
+ */
+export function generateCampaignBundles(opts = {}) {
+  const { dataDir = DATA_DIR, publicDir = PUBLIC_DIR, slugs = null, generatedAt, dryRun = false } = opts;
+
+  const { paths, lockShort, links } = loadMarketirInputs(dataDir);
+  const bundles = [];
+  const skipped = [];
+
+  const index = readJson(join(paths.marketirDir, "data", "marketing.index.json"));
+  if (!index) {
+    console.log("No marketing.index.json found. Nothing to generate.");
+    return { bundles, skipped };
+  }
+
+  const slugFilter = slugs ? new Set(slugs) : null;
+  const campaigns = (index.campaigns || [])
+    .map((c) => readJson(join(paths.marketirDir, "data", c.ref)))
+    .filter(Boolean)
+    .filter((c) => !slugFilter || slugFilter.has(toolSlugOf(c.toolRef)));
+
+  console.log(`Generating campaign bundles for: ${campaigns.map((c) => c.id).join(", ")}\n`);
+
+  for (const campaign of campaigns) {
+    const slug = toolSlugOf(campaign.toolRef);
+    const tool = readTool(paths, slug);
+    if (!tool) {
+      console.warn(`  ⚠ No tool data for ${campaign.toolRef}, skipping campaign ${campaign.id}.`);
+      skipped.push({ campaignId: campaign.id, reason: "no tool data" });
+      continue;
+    }
+
+    const result = buildCampaignBundle({
+      campaign,
+      tool,
+      audiences: (campaign.audienceRefs || [])
+        .map((ref) => loadAudience(paths.marketirDir, ref))
+        .filter(Boolean),
+      facts: readFacts(paths, slug),
+      linkByMessage: links.byMessage,
+      lockShort,
+      generatedAt,
+    });
+    bundles.push(result);
+
+    if (dryRun) continue;
+    const outDir = join(publicDir, "campaigns", result.campaignSlug);
+    mkdirSync(outDir, { recursive: true });
+    for (const [name, text] of Object.entries(result.files)) {
+      writeFileSync(join(outDir, name), text, "utf8");
+      console.log(`  wrote ${result.campaignSlug}/${name}`);
+    }
+  }
+
+  return { bundles, skipped };
+}
+
+// ─── Entry point ──────────────────────────────────────────────────────────────
+
+const isMain = process.argv[1] &&
+  resolve(process.argv[1]).endsWith("gen-campaign-bundles.mjs");
+
+if (isMain) {
+  const dryRun = process.argv.includes("--dry-run");
+  const result = generateCampaignBundles({ slugs: parseSlugsArg(process.argv), dryRun });
+  console.log(`\nDone. ${result.bundles.length} campaign bundle(s) generated${dryRun ? " (dry run)" : ""}.`);
+}
@@ -114,22 +114,21 @@ export function buildDrift(previous, current) {
 // ── Markdown generator ──────────────────────────────────────
 
 /**
- * Build a markdown summary of decision drift.
+ * Render the drift sections (entrants, exits, score deltas, action changes,
+ * summary) as markdown lines. Shared with gen-decision-simulation.mjs, which
+ * nests one drift block per replayed week.
  *
  * @param {object} drift - Output from buildDrift()
- * @returns {string}
+ * @param {number} [headingLevel=2] - markdown heading level for each section
+ * @returns {string[]}
  */
-function generateDriftMd(drift) {
+export function driftMdSections(drift, headingLevel = 2) {
   const { entrants, exits, scoreDeltas, reasonChanges, summary } = drift;
+  const h = "#".repeat(headingLevel);
   const lines = [];
 
-  lines.push("# Decision Drift Report");
-  lines.push("");
-  lines.push(`*Generated: ${new Date().toISOString().slice(0, 10)}*`);
-  lines.push("");
-
   // Entrants
-  lines.push("## Entrants");
+  lines.push(`${h} Entrants`);
   lines.push("");
   if (entrants.length > 0) {
     for (const slug of entrants) {
@@ -141,7 +140,7 @@ function generateDriftMd(drift) {
   lines.push("");
 
   // Exits
-  lines.push("## Exits");
+  lines.push(`${h} Exits`);
   lines.push("");
   if (exits.length > 0) {
     for (const slug of exits) {
@@ -153,7 +152,7 @@ function generateDriftMd(drift) {
   lines.push("");
 
   // Score Deltas
-  lines.push("## Score Deltas");
+  lines.push(`${h} Score Deltas`);
   lines.push("");
   if (scoreDeltas.length > 0) {
     lines.push("| Slug | Prev Score | Curr Score | Delta |");
@@ -168,7 +167,7 @@ function generateDriftMd(drift) {
   lines.push("");
 
   // Action Changes
-  lines.push("## Action Changes");
+  lines.push(`${h} Action Changes`);
   lines.push("");
   if (reasonChanges.length > 0) {
     for (const rc of reasonChanges) {
@@ -180,12 +179,30 @@ function generateDriftMd(drift) {
   lines.push("");
 
   // Summary
-  lines.push("## Summary");
+  lines.push(`${h} Summary`);
   lines.push("");
   lines.push(`- **Total changed:** ${summary.totalChanged}`);
   lines.push(`- **Total stable:** ${summary.totalStable}`);
   lines.push("");
 
+  return lines;
+}
+
+/**
+ * Build a markdown summary of decision drift.
+ *
+ * @param {object} drift - Output from buildDrift()
+ * @returns {string}
+ */
+function generateDriftMd(drift) {
+  const lines = [];
+
+  lines.push("# Decision Drift Report");
+  lines.push("");
+  lines.push(`*Generated: ${new Date().toISOString().slice(0, 10)}*`);
+  lines.push("");
+  lines.push(...driftMdSections(drift));
+
   return lines.join("\n");
 }
 
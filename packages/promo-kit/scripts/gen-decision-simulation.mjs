@@ -0,0 +1,376 @@
+#!/usr/bin/env node
+
+/**
+ * Decision Simulation ("what-if" replay)
+ *
+ * Replays the last N weeks of promo decisions under a proposed control
+ * patch and reports, per week, which slugs would have been promoted,
+ * skipped or deferred differently. Each week's diff uses the drift format
+ * of gen-decision-drift.mjs (previous = replay as-is, current = replay
+ * with the patch), so the control panel can show a patch's effect before
+ * it is applied.
+ *
+ * Weeks come from decision-history/<week>.json, the input snapshots written
+ * by gen-promo-decisions.mjs. Every week is replayed independently against
+ * its own snapshot; a promotion gained in one simulated week does not feed
+ * the cooldown of the next. With no snapshots yet, the live data files are
+ * replayed as a single week.
+ *
+ * Usage:
+ *   node scripts/gen-decision-simulation.mjs '<patch-json>' [--weeks N] [--dry-run]
+ *
+ *   e.g. '{"governance.json":{"cooldownDaysPerSlug":7,"maxPromosPerWeek":5}}'
+ *
+ * Reads:
+ *   site/src/data/decision-history/*.json
+ *   (fallback) the live inputs of gen-promo-decisions.mjs
+ *
+ * Writes:
+ *   site/src/data/decision-simulation.json
+ *   site/public/lab/decisions/decision-simulation.md
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, readdirSync, existsSync } from "node:fs";
+import { resolve, join } from "node:path";
+import { getConfig, getRoot } from "./lib/config.mjs";
+import { loadScorerModules } from "./lib/scoring.mjs";
+import {
+  buildDecisions,
+  loadScoringProfile,
+  DECISION_HISTORY_DIR,
+} from "./gen-promo-decisions.mjs";
+import { buildDrift, driftMdSections } from "./gen-decision-drift.mjs";
+import { validatePatch } from "./apply-control-patch.mjs";
+
+const ROOT = getRoot();
+const config = getConfig();
+const DATA_DIR = join(ROOT, config.paths.dataDir);
+const DECISIONS_DIR = join(ROOT, config.paths.publicDir, "lab", "decisions");
+
+export const DEFAULT_SIMULATION_WEEKS = 4;
+
+/** Control-patch file name → buildDecisions input key. */
+const PATCH_TARGETS = {
+  "governance.json": "governance",
+  "promo.json": "promo",
+  "promo-queue.json": "promoQueue",
+  "experiments.json": "experiments",
+};
+
+// ── Helpers ─────────────────────────────────────────────────
+
+function safeParseJson(filePath, fallback = null) {
+  try {
+    return JSON.parse(readFileSync(filePath, "utf8"));
+  } catch {
+    return fallback;
+  }
+}
+
+function actionsOf(decisions, action) {
+  return decisions.filter((d) => d.action === action).map((d) => d.slug);
+}
+
+// ── Core ────────────────────────────────────────────────────
+
+/**
+ * Load the newest `weeks` decision snapshots, oldest first.
+ *
+ * @param {string} dataDir
+ * @param {number} [weeks]
+ * @returns {Array<object>}
+ */
+export function loadDecisionSnapshots(dataDir, weeks = DEFAULT_SIMULATION_WEEKS) {
+  const historyDir = join(dataDir, DECISION_HISTORY_DIR);
+  if (!existsSync(historyDir)) return [];
+
+  const files = readdirSync(historyDir)
+    .filter((f) => /^\d{4}-\d{2}-\d{2}\.json$/.test(f))
+    .sort()
+    .slice(-weeks);
+
+  return files
+    .map((f) => safeParseJson(join(historyDir, f), null))
+    .filter((s) => s && s.inputs);
+}
+
+/**
+ * Shallow-merge a control patch into buildDecisions inputs, the same way
+ * apply-control-patch.mjs merges fields into the data files.
+ *
+ * @param {object} inputs
+ * @param {Record<string, Record<string, unknown>>} patch
+ * @returns {object} new inputs (the original is not mutated)
+ */
+export function applyPatchToInputs(inputs, patch) {
+  const patched = { ...inputs };
+  for (const [file, fields] of Object.entries(patch)) {
+    const key = PATCH_TARGETS[file];
+    if (!key) continue;
+    patched[key] = { ...(inputs[key] || {}), ...fields };
+  }
+  // A patched governance.scoring replaces the profile the week was scored with
+  if (patch["governance.json"]?.scoring) {
+    patched.scoringProfile = patch["governance.json"].scoring;
+  }
+  return patched;
+}
+
+/**
+ * Replay snapshots with and without a patch.
+ *
+ * @param {Array<object>} snapshots - oldest first, from loadDecisionSnapshots()
+ * @param {Record<string, Record<string, unknown>>} patch
+ * @param {{ readData?: Function }} [opts]
+ * @returns {{ weeks: Array, summary: object, warnings: string[] }}
+ */
+export function simulateDecisions(snapshots, patch, opts = {}) {
+  const { readData = () => null } = opts;
+  const warnings = [];
+  const weeks = [];
+
+  for (const snapshot of snapshots) {
+    const inputs = { ...snapshot.inputs, now: snapshot.now ?? Date.parse(snapshot.generatedAt), readData };
+    const before = buildDecisions(inputs);
+    const after = buildDecisions(applyPatchToInputs(inputs, patch));
+
+    // A replay that disagrees with what was recorded means scorers or code
+    // changed since that week — the diff is still patch-only, but say so.
+    let reproduced = null;
+    if (Array.isArray(snapshot.decisions)) {
+      const key = (ds) => ds.map((d) => `${d.slug}:${d.action}:${d.score}`).sort().join(",");
+      reproduced = key(snapshot.decisions) === key(before.decisions);
+      if (!reproduced) {
+        warnings.push(`Week ${snapshot.week}: replay does not reproduce the recorded decisions (scoring changed since)`);
+      }
+    }
+
+    const drift = buildDrift(before, after);
+    weeks.push({
+      week: snapshot.week,
+      reproduced,
+      itemsAllowed: { before: before.budget.itemsAllowed, after: after.budget.itemsAllowed },
+      before: {
+        promoted: actionsOf(before.decisions, "promote"),
+        skipped: actionsOf(before.decisions, "skip"),
+        deferred: actionsOf(before.decisions, "defer"),
+      },
+      after: {
+        promoted: actionsOf(after.decisions, "promote"),
+        skipped: actionsOf(after.decisions, "skip"),
+        deferred: actionsOf(after.decisions, "defer"),
+      },
+      drift,
+    });
+  }
+
+  const promotionsGained = [];
+  const promotionsLost = [];
+  for (const w of weeks) {
+    for (const slug of w.after.promoted) {
+      if (!w.before.promoted.includes(slug)) promotionsGained.push({ week: w.week, slug });
+    }
+    for (const slug of w.before.promoted) {
+      if (!w.after.promoted.includes(slug)) promotionsLost.push({ week: w.week, slug });
+    }
+  }
+
+  const summary = {
+    weeksReplayed: weeks.length,
+    weeksChanged: weeks.filter((w) => w.drift.reasonChanges.length > 0 || w.drift.summary.totalChanged > 0).length,
+    actionChanges: weeks.reduce((sum, w) => sum + w.drift.reasonChanges.length, 0),
+    promotionsGained,
+    promotionsLost,
+  };
+
+  return { weeks, summary, warnings };
+}
+
+// ── Markdown generator ──────────────────────────────────────
+
+/**
+ * Build a markdown report of a simulation.
+ *
+ * @param {{ patch: object, weeks: Array, summary: object, warnings: string[] }} sim
+ * @returns {string}
+ */
+function generateSimulationMd(sim) {
+  const { patch, weeks, summary, warnings } = sim;
+  const lines = [];
+
+  lines.push("# Decision Simulation");
+  lines.push("");
+  lines.push(`*Generated: ${new Date().toISOString().slice(0, 10)}*`);
+  lines.push("");
+  lines.push("## Patch");
+  lines.push("");
+  lines.push("```json");
+  lines.push(JSON.stringify(patch, null, 2));
+  lines.push("```");
+  lines.push("");
+
+  lines.push("## Summary");
+  lines.push("");
+  lines.push(`- **Weeks replayed:** ${summary.weeksReplayed}`);
+  lines.push(`- **Weeks changed:** ${summary.weeksChanged}`);
+  lines.push(`- **Action changes:** ${summary.actionChanges}`);
+  lines.push(`- **Promotions gained:** ${summary.promotionsGained.map((p) => `${p.slug} (${p.week})`).join(", ") || "none"}`);
+  lines.push(`- **Promotions lost:** ${summary.promotionsLost.map((p) => `${p.slug} (${p.week})`).join(", ") || "none"}`);
+  lines.push("");
+
+  if (weeks.length > 0) {
+    lines.push("| Week | Promoted (current) | Promoted (patched) | Allowed | Action Changes |");
+    lines.push("|------|--------------------|--------------------|---------|----------------|");
+    for (const w of weeks) {
+      lines.push(
+        `| ${w.week} | ${w.before.promoted.join(", ") || "-"} | ${w.after.promoted.join(", ") || "-"} | ${w.itemsAllowed.before} → ${w.itemsAllowed.after} | ${w.drift.reasonChanges.length} |`
+      );
+    }
+    lines.push("");
+  }
+
+  for (const w of weeks) {
+    lines.push(`## Week ${w.week}`);
+    lines.push("");
+    lines.push(...driftMdSections(w.drift, 3));
+  }
+
+  if (warnings.length > 0) {
+    lines.push("## Warnings");
+    lines.push("");
+    for (const warning of warnings) {
+      lines.push(`- ${warning}`);
+    }
+    lines.push("");
+  }
+
+  return lines.join("\n");
+}
+
+// ── Pipeline ────────────────────────────────────────────────
+
+/**
+ * Live data files as a single pseudo-snapshot (used before any history exists).
+ *
+ * @param {string} dataDir
+ * @returns {object}
+ */
+function liveSnapshot(dataDir) {
+  const now = Date.now();
+  const promoQueue = safeParseJson(join(dataDir, "promo-queue.json"), {});
+  return {
+    week: promoQueue.week || new Date(now).toISOString().slice(0, 10),
+    now,
+    inputs: {
+      promoQueue,
+      promo: safeParseJson(join(dataDir, "promo.json"), {}),
+      overrides: safeParseJson(join(dataDir, "overrides.json"), {}),
+      worthy: safeParseJson(join(dataDir, "worthy.json"), {}),
+      feedbackSummary: safeParseJson(join(dataDir, "feedback-summary.json"), {}),
+      opsHistory: safeParseJson(join(dataDir, "ops-history.json"), []),
+      baseline: safeParseJson(join(dataDir, "baseline.json"), {}),
+      governance: safeParseJson(join(dataDir, "governance.json"), {}),
+      experiments: safeParseJson(join(dataDir, "experiments.json"), {}),
+      scoringProfile: loadScoringProfile(dataDir).profile,
+    },
+  };
+}
+
+/**
+ * Full pipeline: validate patch, replay history, write outputs.
+ *
+ * @param {{ patch: object, weeks?: number, dataDir?: string, decisionsDir?: string, dryRun?: boolean }} opts
+ * @returns {{ success: boolean, errors?: string[], simulation?: object }}
+ */
+export function generateDecisionSimulation(opts) {
+  const {
+    patch,
+    weeks = DEFAULT_SIMULATION_WEEKS,
+    dataDir = DATA_DIR,
+    decisionsDir = DECISIONS_DIR,
+    dryRun = false,
+  } = opts;
+
+  const validation = validatePatch(patch);
+  if (!validation.valid) {
+    return { success: false, errors: validation.errors };
+  }
+
+  let snapshots = loadDecisionSnapshots(dataDir, weeks);
+  const preWarnings = [];
+  if (snapshots.length === 0) {
+    preWarnings.push(`No ${DECISION_HISTORY_DIR}/ snapshots yet — replaying current data only`);
+    snapshots = [liveSnapshot(dataDir)];
+  }
+
+  const readData = (fileName) => safeParseJson(join(dataDir, fileName), null);
+  const result = simulateDecisions(snapshots, patch, { readData });
+
+  const simulation = {
+    generatedAt: new Date().toISOString(),
+    patch,
+    ...result,
+    warnings: [...preWarnings, ...result.warnings],
+  };
+
+  if (dryRun) {
+    console.log(`  [dry-run] Weeks replayed: ${simulation.summary.weeksReplayed}`);
+    console.log(`  [dry-run] Weeks changed: ${simulation.summary.weeksChanged}, action changes: ${simulation.summary.actionChanges}`);
+    for (const w of simulation.warnings) {
+      console.log(`  [dry-run] Warning: ${w}`);
+    }
+    return { success: true, simulation };
+  }
+
+  writeFileSync(join(dataDir, "decision-simulation.json"), JSON.stringify(simulation, null, 2) + "\n", "utf8");
+  mkdirSync(decisionsDir, { recursive: true });
+  writeFileSync(join(decisionsDir, "decision-simulation.md"), generateSimulationMd(simulation) + "\n", "utf8");
+  console.log(`  Wrote decision-simulation.json (${simulation.summary.weeksReplayed} weeks, ${simulation.summary.actionChanges} action changes)`);
+
+  return { success: true, simulation };
+}
+
+// ── Entry point ─────────────────────────────────────────────
+
+const isMain = process.argv[1] &&
+  resolve(process.argv[1]).endsWith("gen-decision-simulation.mjs");
+
+if (isMain) {
+  const patchJson = process.argv[2];
+  const dryRun = process.argv.includes("--dry-run");
+  const weeksIdx = process.argv.indexOf("--weeks");
+  const weeks = weeksIdx !== -1 ? parseInt(process.argv[weeksIdx + 1], 10) : DEFAULT_SIMULATION_WEEKS;
+
+  if (!patchJson || patchJson.startsWith("--")) {
+    console.error("Usage: node scripts/gen-decision-simulation.mjs '<patch-json>' [--weeks N] [--dry-run]");
+    process.exit(1);
+  }
+  if (!Number.isInteger(weeks) || weeks < 1) {
+    console.error("  Error: --weeks must be a positive integer");
+    process.exit(1);
+  }
+
+  let patch;
+  try {
+    patch = JSON.parse(patchJson);
+  } catch (e) {
+    console.error(`  Error: Invalid JSON — ${e.message}`);
+    process.exit(1);
+  }
+
+  console.log("Simulating promo decisions...");
+  if (dryRun) console.log("  Mode: DRY RUN");
+
+  const { profile } = loadScoringProfile();
+  const { errors: loadErrors } = await loadScorerModules(profile, ROOT);
+  for (const e of loadErrors) console.warn(`  Warning: ${e}`);
+
+  const result = generateDecisionSimulation({ patch, weeks, dryRun });
+  if (!result.success) {
+    console.error("  Validation errors:");
+    for (const err of result.errors) {
+      console.error(`    - ${err}`);
+    }
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,300 @@
+#!/usr/bin/env node
+
+/**
+ * Outreach Pack Generator
+ *
+ * Generates deterministic, claim-traceable outreach materials from
+ * MarketIR press data + claims + GitHub facts. Every statement maps
+ * to a claimRef — unlabeled assertions are forbidden.
+ *
+ * Output: site/public/outreach/<slug>/           (English)
+ *         site/public/outreach/<slug>/<locale>/  (one per translated locale)
+ *   - email-journalist.md
+ *   - email-partner.md
+ *   - email-integrator.md
+ *   - dm-short.md          (hard 300-char limit)
+ *   - hn-comment.md
+ *   - github-readme-snippet.md
+ *   - press-release-lite.md (only if projectDescription exists)
+ *
+ * Each file is rendered from scripts/templates/outreach/<file>.tmpl; drop a
+ * file with the same name into <kitRoot>/templates/outreach/ to override it.
+ * The DM body comes from dm-body.txt.tmpl and falls back to a short form if
+ * it runs over the limit. See scripts/lib/templates.mjs for the syntax.
+ *
+ * The 300-character DM limit counts characters (code points), not UTF-16
+ * units, and is enforced per locale. Untranslated text falls back to
+ * English and is reported (see scripts/lib/i18n.mjs).
+ *
+ * Programmatic use:
+ *   buildOutreachPack(inputs)    — one tool + locale → { slug, locale, files, dmLength, fallbacks } (pure)
+ *   generateOutreachPacks(opts)  — reads the data dir, writes unless dryRun
+ *
+ * Usage:
+ *   node scripts/gen-outreach-packs.mjs [--slugs a,b] [--locales de,fr] [--dry-run]
+ */
+
+import { mkdirSync, writeFileSync, readdirSync } from "node:fs";
+import { resolve, join } from "node:path";
+import { getConfig, getRoot } from "./lib/config.mjs";
+import {
+  readJson,
+  loadMarketirInputs,
+  publicProofSlugs,
+  parseSlugsArg,
+  readTool,
+  readFacts,
+} from "./lib/marketir.mjs";
+import { renderNamed } from "./lib/templates.mjs";
+import { DEFAULT_LOCALE, localesFor, localizeTool, parseLocalesArg, describeFallbacks } from "./lib/i18n.mjs";
+
+const ROOT = getRoot();
+const config = getConfig();
+const DATA_DIR = join(ROOT, config.paths.dataDir);
+const PUBLIC_DIR = join(ROOT, config.paths.publicDir);
+const TEMPLATES_DIR = join(ROOT, "templates");
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * "Why now" for a tool: the latest phase of its first generated campaign
+ * bundle under <publicDir>/campaigns/.
+ *
+ * @param {string} campaignsDir
+ * @param {string} slug
+ * @returns {string|null}
+ */
+export function findWhyNow(campaignsDir, slug) {
+  try {
+    for (const dir of readdirSync(campaignsDir)) {
+      const bundle = readJson(join(campaignsDir, dir, "bundle.json"));
+      if (bundle?.tool?.slug === slug && bundle.phases?.length > 0) {
+        return bundle.phases[bundle.phases.length - 1].name || null;
+      }
+    }
+  } catch {}
+  return null;
+}
+
+// ─── Build ────────────────────────────────────────────────────────────────────
+
+const TEMPLATES = {
+  "email-journalist.md": "outreach/email-journalist.md.tmpl",
+  "email-partner.md": "outreach/email-partner.md.tmpl",
+  "email-integrator.md": "outreach/email-integrator.md.tmpl",
+  "dm-short.md": "outreach/dm-short.md.tmpl",
+  "hn-comment.md": "outreach/hn-comment.md.tmpl",
+  "github-readme-snippet.md": "outreach/github-readme-snippet.md.tmpl",
+  "press-release-lite.md": "outreach/press-release-lite.md.tmpl",
+};
+
+/**
+ * Render context for the outreach templates. Claims are limited to proven
+ * ones; quotes and messages keep their claimRefs so the template engine
+ * can reject any that lean on an unproven claim.
+ */
+function outreachContext({ slug, locale, tool, override, facts, whyNow, lockShort, generatedAt }) {
+  const press = tool.press;
+  const proven = (tool.claims || []).filter((c) => c.status === "proven");
+  const urls = {
+    repo: `https://github.com/mcp-tool-shop-org/${slug}`,
+    toolPage: `https://mcptoolshop.com/tools/${slug}/`,
+    pressPage: `https://mcptoolshop.com/press/${slug}/`,
+    presskit: `https://mcptoolshop.com/presskit/${slug}/`,
+  };
+  const contacts = (press.contacts || []).map((c) => ({ ...c, display: c.label || c.value }));
+
+  return {
+    locale,
+    tool: { slug, name: tool.name, oneLiner: tool.positioning?.oneLiner || "" },
+    install: override.install || null,
+    urls,
+    claims: proven.map((c) => ({
+      id: c.id,
+      statement: c.statement,
+      // Every evidence ref points at the press page, which carries the receipts
+      proof: (c.evidenceRefs || []).map(() => `(proof: ${urls.pressPage})`).join(" "),
+    })),
+    provenCount: proven.length,
+    facts: facts
+      ? {
+          license: facts.license || null,
+          licenseBadge: facts.license ? encodeURIComponent(facts.license) : null,
+          latestRelease: facts.latestRelease
+            ? { tag: facts.latestRelease.tag, date: facts.latestRelease.publishedAt?.split("T")[0] || null }
+            : null,
+        }
+      : null,
+    whyNow,
+    press: {
+      boilerplate: press.boilerplate || {},
+      contacts,
+      contact: contacts[0] || null,
+      partnerOffers: press.partnerOffers || [],
+      integrationOffer: press.partnerOffers?.find((o) => o.type === "integration") || null,
+      quotes: press.quotes || [],
+    },
+    hnMessage: (tool.messages || []).find((m) => m.channel === "hn") || null,
+    lockShort,
+    generatedAt,
+  };
+}
+
+/**
+ * Build one tool's outreach pack in memory. The tool must have a press block.
+ * Each file is rendered from its template (kit override in `templatesDir`
+ * first, then the built-in); rendering fails if a template references an
+ * unproven claim.
+ *
+ * `tool` is the English MarketIR data; for another `locale` its i18n text
+ * is swapped in, and anything untranslated is listed in `fallbacks`.
+ *
+ * @param {{
+ *   slug: string,
+ *   tool: object,
+ *   locale?: string,
+ *   override?: object,
+ *   facts?: object|null,
+ *   whyNow?: string|null,
+ *   lockShort?: string,
+ *   generatedAt?: string,
+ *   templatesDir?: string|null,
+ * }} inputs
+ * @returns {{ slug: string, locale: string, files: Record<string, string>, dmLength: number, fallbacks: Array<object> }}
+ */
+export function buildOutreachPack(inputs) {
+  const {
+    slug,
+    locale = DEFAULT_LOCALE,
+    override = {},
+    facts = null,
+    whyNow = null,
+    lockShort = "unknown",
+    generatedAt = new Date().toISOString(),
+    templatesDir = TEMPLATES_DIR,
+  } = inputs;
+
+  if (!inputs.tool.press) {
+    throw new Error(`${slug}: MarketIR tool has no press block`);
+  }
+
+  const { tool, fallbacks } = localizeTool(inputs.tool, locale);
+  const ctx = outreachContext({ slug, locale, tool, override, facts, whyNow, lockShort, generatedAt });
+  const render = (name) => renderNamed(name, ctx, { templatesDir, locale, claims: tool.claims || [], fallbacks });
+
+  // Hard 300-char limit for DM platforms, counted in characters so that
+  // every locale gets the same budget
+  let chars = [...render("outreach/dm-body.txt.tmpl").trim()];
+  if (chars.length > 300) {
+    chars = [...`${ctx.tool.name}: ${ctx.tool.oneLiner} Proof: ${ctx.urls.pressPage}`];
+  }
+  if (chars.length > 300) {
+    chars = [...chars.slice(0, 297), ..."..."];
+  }
+  const body = chars.join("");
+  ctx.dm = { body, length: chars.length };
+
+  const files = {};
+  for (const [file, template] of Object.entries(TEMPLATES)) {
+    if (file === "press-release-lite.md" && !tool.press.boilerplate?.projectDescription) continue;
+    files[file] = render(template);
+  }
+
+  return { slug, locale, files, dmLength: chars.length, fallbacks };
+}
+
+// ─── Pipeline ─────────────────────────────────────────────────────────────────
+
+/**
+ * Build outreach packs for every publicProof tool with a press block
+ * (optionally narrowed to `slugs`) and write them to
+ * <publicDir>/outreach/<slug>/. Run after gen-campaign-bundles.mjs so
+ * "why now" can be read from the generated bundles.
+ *
+ * @param {{ dataDir?: string, publicDir?: string, templatesDir?: string, slugs?: string[]|null, locales?: string[]|null, generatedAt?: string, dryRun?: boolean }} opts
+ * @returns {{ packs: Array<{ slug: string, locale: string, files: Record<string, string>, dmLength: number, fallbacks: Array<object> }>, skipped: Array<{ slug: string, reason: string }> }}
+ */
+export function generateOutreachPacks(opts = {}) {
+  const { dataDir = DATA_DIR, publicDir = PUBLIC_DIR, templatesDir = TEMPLATES_DIR, slugs = null, locales = null, generatedAt, dryRun = false } = opts;
+
+  const { paths, overrides, lockShort } = loadMarketirInputs(dataDir);
+  if (!overrides) {
+    throw new Error(`Failed to load overrides.json: ${paths.overridesPath}`);
+  }
+
+  const packs = [];
+  const skipped = [];
+
+  const enabledSlugs = publicProofSlugs(overrides, slugs);
+  if (enabledSlugs.length > 0) {
+    console.log(`Generating outreach packs for: ${enabledSlugs.join(", ")}\n`);
+  }
+
+  for (const slug of enabledSlugs) {
+    const tool = readTool(paths, slug);
+    if (!tool) {
+      console.warn(`  ⚠ No MarketIR data for ${slug}, skipping.`);
+      skipped.push({ slug, reason: "no MarketIR data" });
+      continue;
+    }
+    if (!tool.press) {
+      console.warn(`  ⚠ No press block for ${slug}, skipping.`);
+      skipped.push({ slug, reason: "no press block" });
+      continue;
+    }
+
+    const facts = readFacts(paths, slug);
+    const whyNow = findWhyNow(join(publicDir, "campaigns"), slug);
+    for (const locale of localesFor(tool, locales)) {
+      const pack = buildOutreachPack({
+        slug,
+        locale,
+        tool,
+        override: overrides[slug],
+        facts,
+        whyNow,
+        lockShort,
+        generatedAt,
+        templatesDir,
+      });
+      packs.push(pack);
+      if (pack.fallbacks.length > 0) {
+        console.warn(`  ⚠ ${slug} [${locale}]: ${pack.fallbacks.length} untranslated, using English: ${describeFallbacks(pack.fallbacks)}`);
+      }
+
+      if (dryRun) continue;
+      const rel = locale === DEFAULT_LOCALE ? slug : join(slug, locale);
+      const outDir = join(publicDir, "outreach", rel);
+      mkdirSync(outDir, { recursive: true });
+      for (const [name, text] of Object.entries(pack.files)) {
+        writeFileSync(join(outDir, name), text, "utf8");
+        console.log(`  wrote ${rel}/${name}${name === "dm-short.md" ? ` (${pack.dmLength} chars)` : ""}`);
+      }
+      console.log(`  ✓ ${rel} outreach pack complete`);
+    }
+  }
+
+  return { packs, skipped };
+}
+
+// ─── Entry point ──────────────────────────────────────────────────────────────
+
+const isMain = process.argv[1] &&
+  resolve(process.argv[1]).endsWith("gen-outreach-packs.mjs");
+
+if (isMain) {
+  const dryRun = process.argv.includes("--dry-run");
+  let result;
+  try {
+    result = generateOutreachPacks({ slugs: parseSlugsArg(process.argv), locales: parseLocalesArg(process.argv), dryRun });
+  } catch (e) {
+    console.error(`  ✗ ${e.message}`);
+    process.exit(1);
+  }
+
+  if (result.packs.length === 0 && result.skipped.length === 0) {
+    console.log("No tools with publicProof enabled. Nothing to generate.");
+  } else {
+    console.log(`\nDone. ${result.packs.length} outreach pack(s) generated${dryRun ? " (dry run)" : ""}.`);
+  }
+}
@@ -0,0 +1,345 @@
+#!/usr/bin/env node
+
+/**
+ * Press Kit Generator
+ *
+ * Generates deterministic press kit pages from MarketIR snapshot data.
+ * One press kit per tool that has publicProof: true in overrides.json.
+ *
+ * Output: site/public/presskit/<slug>/           (English)
+ *         site/public/presskit/<slug>/<locale>/  (one per translated locale)
+ *   - index.html   (one-page press kit)
+ *   - README.md     (copy/paste version)
+ *   - presskit.json  (machine-readable)
+ *   - release-announcement.md (only when GitHub facts have a latest release)
+ *
+ * Locales come from the i18n text in the tool's MarketIR data (or
+ * --locales); untranslated text falls back to English and is reported.
+ * See scripts/lib/i18n.mjs.
+ *
+ * The HTML and Markdown pages are rendered from scripts/templates/presskit/;
+ * drop a file with the same name into <kitRoot>/templates/presskit/ to
+ * override it. See scripts/lib/templates.mjs for the syntax.
+ *
+ * Programmatic use:
+ *   buildPresskit(inputs)    — one tool + locale → { presskit, files, fallbacks } (pure)
+ *   generatePresskits(opts)  — reads the data dir, writes unless dryRun
+ *
+ * Usage:
+ *   node scripts/gen-presskit.mjs [--slugs a,b] [--locales de,fr] [--dry-run]
+ */
+
+import { mkdirSync, writeFileSync } from "node:fs";
+import { resolve, join } from "node:path";
+import { getConfig, getRoot } from "./lib/config.mjs";
+import { fail, warn } from "./lib/errors.mjs";
+import {
+  readJson,
+  loadMarketirInputs,
+  publicProofSlugs,
+  parseSlugsArg,
+  readTool,
+  readFacts,
+} from "./lib/marketir.mjs";
+import { renderNamed } from "./lib/templates.mjs";
+import { DEFAULT_LOCALE, localesFor, localizeTool, parseLocalesArg, describeFallbacks } from "./lib/i18n.mjs";
+
+const ROOT = getRoot();
+const config = getConfig();
+const DATA_DIR = join(ROOT, config.paths.dataDir);
+const PUBLIC_DIR = join(ROOT, config.paths.publicDir);
+const TEMPLATES_DIR = join(ROOT, "templates");
+
+// ─── Render ───────────────────────────────────────────────────────────────────
+
+/**
+ * Render context for the press kit templates. Only proven claims carry
+ * evidence; aspirational claims are exposed separately so templates list
+ * them under their own heading.
+ */
+function presskitContext({ slug, locale, tool, presskitJson, facts, resolvedClaims, aspirational, antiClaims, trackedLinks, lockShort, generatedAt }) {
+  const health = facts?.communityHealth;
+  const healthFiles = health ? Object.entries(health.files).map(([name, present]) => ({ name, present })) : [];
+  const press = tool.press || {};
+
+  return {
+    locale,
+    tool: { slug, name: tool.name },
+    presskit: presskitJson,
+    urls: { pressPage: tool.press ? `https://mcptoolshop.com/press/${slug}/` : null },
+    facts: facts
+      ? {
+          ...facts,
+          latestRelease: facts.latestRelease
+            ? { ...facts.latestRelease, date: facts.latestRelease.publishedAt?.split("T")[0] || null }
+            : null,
+          communityHealth: health
+            ? {
+                score: health.score,
+                files: healthFiles,
+                present: healthFiles.filter((f) => f.present).map((f) => f.name),
+                missing: healthFiles.filter((f) => !f.present).map((f) => f.name),
+              }
+            : null,
+        }
+      : null,
+    claims: resolvedClaims.map((c) => ({
+      id: c.id,
+      statement: c.statement,
+      evidence: c.evidence.map((e) => ({
+        id: e.id,
+        url: e.url || null,
+        path: e.path || null,
+        href: e.url || (e.path ? `/marketir/evidence/${e.path.split("/").pop()}` : null),
+      })),
+    })),
+    aspirational: aspirational.map((c) => ({ id: c.id, statement: c.statement, notes: c.notes || null })),
+    antiClaims: antiClaims.map((c) => ({ statement: c.statement })),
+    press: {
+      quotes: press.quotes || [],
+      comparables: press.comparables || [],
+      partnerOffers: press.partnerOffers || [],
+      contacts: (press.contacts || []).map((c) => ({
+        ...c,
+        display: c.label || c.value,
+        isLink: c.value.startsWith("http"),
+      })),
+    },
+    trackedLinks: presskitJson.trackedLinks,
+    lockShort,
+    generatedAt,
+  };
+}
+
+// ─── Build ────────────────────────────────────────────────────────────────────
+
+/**
+ * Build one tool's press kit in memory. README.md, index.html and the
+ * release announcement are rendered from templates (kit override in
+ * `templatesDir` first, then the built-in); rendering fails if a template
+ * references an unproven claim.
+ *
+ * `tool` is the English MarketIR data; for another `locale` its i18n text
+ * is swapped in, and anything untranslated is listed in `fallbacks`.
+ *
+ * @param {{
+ *   slug: string,
+ *   tool: object,
+ *   locale?: string,
+ *   override?: object,
+ *   facts?: object|null,
+ *   evidence?: Map<string, object>,
+ *   trackedLinks?: Array<{ id: string, channel: string }>,
+ *   lockShort?: string,
+ *   generatedAt?: string,
+ *   templatesDir?: string|null,
+ * }} inputs
+ * @returns {{ slug: string, locale: string, presskit: object, files: Record<string, string>, fallbacks: Array<object> }}
+ */
+export function buildPresskit(inputs) {
+  const {
+    slug,
+    locale = DEFAULT_LOCALE,
+    override = {},
+    facts = null,
+    evidence = new Map(),
+    trackedLinks = [],
+    lockShort = "unknown",
+    generatedAt = new Date().toISOString(),
+    templatesDir = TEMPLATES_DIR,
+  } = inputs;
+
+  const { tool, fallbacks } = localizeTool(inputs.tool, locale);
+  const proven = (tool.claims || []).filter((c) => c.status === "proven");
+  const aspirational = (tool.claims || []).filter((c) => c.status === "aspirational");
+  const antiClaims = tool.antiClaims || [];
+
+  // Resolve evidence for proven claims
+  const resolvedClaims = proven.map((claim) => ({
+    ...claim,
+    evidence: (claim.evidenceRefs || [])
+      .map((ref) => evidence.get(ref))
+      .filter(Boolean),
+  }));
+
+  const presskitJson = {
+    slug,
+    locale,
+    name: tool.name,
+    tagline: tool.positioning?.oneLiner || override?.tagline || "",
+    install: override?.install || null,
+    stability: override?.stability || null,
+    kind: override?.kind || null,
+    repo: `https://github.com/mcp-tool-shop-org/${slug}`,
+    site: `https://mcptoolshop.com/tools/${slug}/`,
+    valueProps: tool.positioning?.valueProps || [],
+    provenClaims: resolvedClaims.map((c) => ({
+      id: c.id,
+      statement: c.statement,
+      evidence: c.evidence.map((e) => ({
+        id: e.id,
+        type: e.type,
+        url: e.url || null,
+        path: e.path ? `/marketir/evidence/${e.path.split("/").pop()}` : null,
+      })),
+    })),
+    aspirationalClaims: aspirational.map((c) => ({
+      id: c.id,
+      statement: c.statement,
+      notes: c.notes || null,
+    })),
+    antiClaims: antiClaims.map((c) => c.statement),
+    githubFacts: facts
+      ? {
+          stars: facts.stars,
+          forks: facts.forks,
+          watchers: facts.watchers,
+          openIssues: facts.openIssues,
+          openPRs: facts.openPRs,
+          license: facts.license,
+          latestRelease: facts.latestRelease || null,
+          communityHealth: facts.communityHealth || null,
+          releasesLast90d: facts.releasesLast90d,
+          observedAt: facts.fetchedAt,
+        }
+      : null,
+    trackedLinks: trackedLinks.map((l) => ({
+      id: l.id,
+      url: `https://mcptoolshop.com/go/${l.id}/`,
+      channel: l.channel,
+    })),
+    press: tool.press
+      ? {
+          boilerplate: tool.press.boilerplate || null,
+          quotes: tool.press.quotes || [],
+          comparables: tool.press.comparables || [],
+          partnerOffers: tool.press.partnerOffers || [],
+          contacts: tool.press.contacts || [],
+        }
+      : null,
+    generatedAt,
+    sourcelock: lockShort,
+  };
+
+  const ctx = presskitContext({ slug, locale, tool, presskitJson, facts, resolvedClaims, aspirational, antiClaims, trackedLinks, lockShort, generatedAt });
+  const render = (name) => renderNamed(name, ctx, { templatesDir, locale, claims: tool.claims || [], fallbacks });
+  const files = {
+    "presskit.json": JSON.stringify(presskitJson, null, 2) + "\n",
+    "README.md": render("presskit/README.md.tmpl"),
+    "index.html": render("presskit/index.html.tmpl"),
+  };
+  if (facts?.latestRelease) {
+    files["release-announcement.md"] = render("presskit/release-announcement.md.tmpl");
+  }
+
+  return { slug, locale, presskit: presskitJson, files, fallbacks };
+}
+
+// ─── Pipeline ─────────────────────────────────────────────────────────────────
+
+/**
+ * Build press kits for every publicProof tool (optionally narrowed to
+ * `slugs`) and write them to <publicDir>/presskit/<slug>/, plus
+ * <slug>/<locale>/ for each translated locale (or each of `locales`).
+ *
+ * @param {{ dataDir?: string, publicDir?: string, templatesDir?: string, slugs?: string[]|null, locales?: string[]|null, generatedAt?: string, dryRun?: boolean }} opts
+ * @returns {{ presskits: Array<{ slug: string, locale: string, presskit: object, files: Record<string, string>, fallbacks: Array<object> }>, skipped: Array<{ slug: string, reason: string }> }}
+ */
+export function generatePresskits(opts = {}) {
+  const { dataDir = DATA_DIR, publicDir = PUBLIC_DIR, templatesDir = TEMPLATES_DIR, slugs = null, locales = null, generatedAt, dryRun = false } = opts;
+
+  const { paths, overrides, lockShort, links } = loadMarketirInputs(dataDir);
+  if (!overrides) {
+    throw new Error(`overrides.json not found or invalid JSON: ${paths.overridesPath}`);
+  }
+
+  const evidenceManifest = readJson(join(paths.marketirDir, "manifests", "evidence.manifest.json"));
+  const evidence = new Map();
+  for (const entry of evidenceManifest?.entries || []) {
+    evidence.set(entry.id, entry);
+  }
+
+  const presskits = [];
+  const skipped = [];
+
+  const enabledSlugs = publicProofSlugs(overrides, slugs);
+  if (enabledSlugs.length > 0) {
+    console.log(`Generating press kits for: ${enabledSlugs.join(", ")}\n`);
+  }
+
+  for (const slug of enabledSlugs) {
+    const tool = readTool(paths, slug);
+    if (!tool) {
+      warn("MKT.DATA.MISSING", `No MarketIR data for "${slug}", skipping press kit`, {
+        fix: "Run `node scripts/fetch-marketir.mjs` to pull upstream data.",
+        path: join(paths.toolsDir, `${slug}.json`),
+      });
+      skipped.push({ slug, reason: "no MarketIR data" });
+      continue;
+    }
+
+    const facts = readFacts(paths, slug);
+    for (const locale of localesFor(tool, locales)) {
+      const kit = buildPresskit({
+        slug,
+        locale,
+        tool,
+        override: overrides[slug],
+        facts,
+        evidence,
+        trackedLinks: links.bySlug.get(slug) || [],
+        lockShort,
+        generatedAt,
+        templatesDir,
+      });
+      presskits.push(kit);
+      if (kit.fallbacks.length > 0) {
+        console.warn(`  ⚠ ${slug} [${locale}]: ${kit.fallbacks.length} untranslated, using English: ${describeFallbacks(kit.fallbacks)}`);
+      }
+
+      if (dryRun) continue;
+      const rel = locale === DEFAULT_LOCALE ? slug : join(slug, locale);
+      const outDir = join(publicDir, "presskit", rel);
+      mkdirSync(outDir, { recursive: true });
+      for (const [name, text] of Object.entries(kit.files)) {
+        writeFileSync(join(outDir, name), text, "utf8");
+        console.log(`  wrote ${rel}/${name}`);
+      }
+    }
+  }
+
+  return { presskits, skipped };
+}
+
+// ─── Entry point ──────────────────────────────────────────────────────────────
+
+const isMain = process.argv[1] &&
+  resolve(process.argv[1]).endsWith("gen-presskit.mjs");
+
+if (isMain) {
+  const dryRun = process.argv.includes("--dry-run");
+  let result;
+  try {
+    result = generatePresskits({ slugs: parseSlugsArg(process.argv), locales: parseLocalesArg(process.argv), dryRun });
+  } catch (e) {
+    if (e.message.startsWith("invalid locale")) {
+      fail("MKT.DATA.INVALID", e.message, {
+        fix: "Use a locale tag such as de, pt-BR or zh-Hans, in --locales and in MarketIR i18n keys.",
+      });
+    }
+    if (e.message.startsWith("template ")) {
+      fail("MKT.GEN.INVALID", e.message, {
+        fix: "Fix the template, or prove the claim it references in MarketIR.",
+      });
+    }
+    fail("MKT.DATA.MISSING", e.message, {
+      fix: "Run `node scripts/sync-org-metadata.mjs` to generate it.",
+    });
+  }
+
+  if (result.presskits.length === 0 && result.skipped.length === 0) {
+    console.log("No tools with publicProof enabled. Nothing to generate.");
+  } else {
+    console.log(`\nDone. ${result.presskits.length} press kit(s) generated${dryRun ? " (dry run)" : ""}.`);
+  }
+}
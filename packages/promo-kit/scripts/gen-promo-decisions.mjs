@@ -4,9 +4,11 @@
  * Promo Decision Engine
  *
  * Deterministic scoring algorithm that evaluates promo-queue candidates
- * across four dimensions (proof, engagement, freshness, worthiness) and
- * applies budget constraints + experiment analysis to produce promote /
- * skip / defer decisions.
+ * with the scorers of the active scoring profile (default: proof,
+ * engagement, freshness, worthiness — see lib/scoring.mjs) and applies
+ * budget constraints + experiment analysis to produce promote / skip /
+ * defer decisions. With governance.autoDeferRegressed, slugs whose worthy
+ * status flipped to not-worthy since they were queued are deferred.
  *
  * Usage:
  *   node scripts/gen-promo-decisions.mjs [--dry-run]
@@ -20,21 +22,36 @@
  *   site/src/data/baseline.json
  *   site/src/data/overrides.json
  *   site/src/data/governance.json
+ *   site/src/data/worthy-history.json (optional)
+ *   site/src/data/scoring-profile.json (optional)
  *
  * Writes:
  *   site/src/data/promo-decisions.json
+ *   site/src/data/decision-history/<week>.json (input snapshot for replay)
  *   site/public/lab/decisions/promo-decisions.md
  */
 
-import { readFileSync, writeFileSync, mkdirSync } from "node:fs";
-import { resolve, join } from "node:path";
+import { readFileSync, writeFileSync, mkdirSync, readdirSync, rmSync } from "node:fs";
+import { resolve, join, basename } from "node:path";
 import { getConfig, getRoot } from "./lib/config.mjs";
+import {
+  resolveScoringProfile,
+  resolveProfileScorers,
+  runScorers,
+  loadScorerModules,
+} from "./lib/scoring.mjs";
+import { weeklyCapacity } from "./lib/promo-queue.mjs";
+import { WORTHY_HISTORY_FILE, regressedSince, describeRegression } from "./lib/worthy-history.mjs";
 
 const ROOT = getRoot();
 const config = getConfig();
 const DATA_DIR = join(ROOT, config.paths.dataDir);
 const DECISIONS_DIR = join(ROOT, config.paths.publicDir, "lab", "decisions");
 
+/** Weekly input snapshots kept for decision replay (gen-decision-simulation.mjs). */
+export const DECISION_HISTORY_DIR = "decision-history";
+export const DECISION_HISTORY_LIMIT = 12;
+
 // ── Helpers ─────────────────────────────────────────────────
 
 function safeParseJson(filePath, fallback = null) {
@@ -45,121 +62,6 @@ function safeParseJson(filePath, fallback = null) {
   }
 }
 
-// ── Scoring helpers ─────────────────────────────────────────
-
-/**
- * Proof score (0-30): +15 if publicProof exists, +3 per proven claim (max 5).
- */
-function computeProofScore(slug, overrides) {
-  const entry = overrides[slug] || {};
-  let score = 0;
-  const parts = [];
-
-  if (entry.publicProof) {
-    score += 15;
-    parts.push("+15 publicProof");
-  }
-
-  const claimsCount = Array.isArray(entry.provenClaims)
-    ? Math.min(entry.provenClaims.length, 5)
-    : 0;
-  const claimsPoints = claimsCount * 3;
-  score += claimsPoints;
-
-  if (claimsCount > 0) {
-    parts.push(`proven claims: ${claimsCount} -> +${claimsPoints}`);
-  }
-
-  return {
-    score,
-    explanation: `publicProof: ${parts.length > 0 ? parts.join(", ") : "+0"} (total proof: ${score})`,
-  };
-}
-
-/**
- * Engagement score (0-30): reply rate mapped to 30-point scale.
- */
-function computeEngagementScore(slug, feedbackSummary) {
-  const slugData = feedbackSummary?.perSlug?.[slug];
-  if (!slugData) {
-    return { score: 0, explanation: "engagement: no data -> +0" };
-  }
-
-  const sent = slugData.sent || 0;
-  const opened = slugData.opened || 0;
-  const replied = slugData.replied || 0;
-  const ignored = slugData.ignored || 0;
-  const bounced = slugData.bounced || 0;
-  const total = sent + opened + replied + ignored + bounced;
-
-  const replyRate = total > 0 ? replied / total : 0;
-  const score = Math.round(replyRate * 30);
-
-  return {
-    score,
-    explanation: `engagement: replyRate ${replyRate.toFixed(2)} -> +${score}`,
-  };
-}
-
-/**
- * Freshness score (0-20): full 20 if beyond cooldown or no history,
- * 0 if within cooldown (also flags as "defer").
- */
-function computeFreshnessScore(slug, opsHistory, cooldownDays) {
-  const now = Date.now();
-
-  // Find most recent promotion for this slug in ops history
-  let lastPromoDate = null;
-  for (const entry of opsHistory) {
-    const promoted = entry.promotedSlugs || entry.slugs || [];
-    const slugList = Array.isArray(promoted) ? promoted : [];
-    if (slugList.includes(slug)) {
-      lastPromoDate = entry.date || null;
-      break; // history is newest-first
-    }
-  }
-
-  if (!lastPromoDate) {
-    return {
-      score: 20,
-      defer: false,
-      explanation: `freshness: no prior promotion -> +20`,
-    };
-  }
-
-  const daysSince = Math.floor(
-    (now - new Date(lastPromoDate).getTime()) / (1000 * 60 * 60 * 24)
-  );
-
-  if (daysSince < cooldownDays) {
-    return {
-      score: 0,
-      defer: true,
-      explanation: `DEFER: within cooldown (promoted ${daysSince}d ago, cooldown ${cooldownDays}d)`,
-    };
-  }
-
-  return {
-    score: 20,
-    defer: false,
-    explanation: `freshness: last promoted ${daysSince}d ago (cooldown ${cooldownDays}d) -> +20`,
-  };
-}
-
-/**
- * Worthy score (0-20): +20 if worthy.repos[slug].worthy === true.
- */
-function computeWorthyScore(slug, worthy) {
-  const isWorthy = worthy?.repos?.[slug]?.worthy === true;
-  const worthyEntry = worthy?.repos?.[slug];
-  const worthyScoreVal = worthyEntry?.score ?? 0;
-
-  return {
-    score: isWorthy ? 20 : 0,
-    explanation: `worthy: score ${worthyScoreVal} -> ${isWorthy ? "+20" : "+0"}`,
-  };
-}
-
 // ── Core ────────────────────────────────────────────────────
 
 /**
@@ -175,7 +77,11 @@ function computeWorthyScore(slug, worthy) {
  * @param {object} inputs.baseline        - baseline.json
  * @param {object} inputs.governance      - governance.json
  * @param {object} inputs.experiments     - experiments.json
- * @returns {{ decisions: Array, budget: object, warnings: string[] }}
+ * @param {object} [inputs.worthyHistory] - worthy-history.json (used when governance.autoDeferRegressed)
+ * @param {object} [inputs.scoringProfile] - profile to score with (default: governance.scoring or built-in)
+ * @param {Function} [inputs.readData]    - (fileName) => parsed data file, for plugin scorers
+ * @param {number} [inputs.now]           - reference time in ms (default: Date.now())
+ * @returns {{ decisions: Array, budget: object, scorers: Array, warnings: string[] }}
  */
 export function buildDecisions(inputs) {
   const {
@@ -188,31 +94,20 @@ export function buildDecisions(inputs) {
     baseline = {},
     governance = {},
     experiments = {},
+    worthyHistory = {},
+    scoringProfile = null,
+    readData = () => null,
+    now = Date.now(),
   } = inputs;
 
   const warnings = [];
   const cooldownDays = governance.cooldownDaysPerSlug || 14;
-  const maxPromosPerWeek = governance.maxPromosPerWeek || 3;
   const minExpThreshold = governance.minExperimentDataThreshold || 10;
 
   // ── Budget logic ────────────────────────────────────────
 
-  const minuteBudgets = baseline.minuteBudgets || {};
-  const tier200 = minuteBudgets["200"] || minuteBudgets[200] || null;
-  const avgMinutesPerRun = baseline.avgMinutesPerRun || 0;
-
+  const { headroom: budgetHeadroom, avgMinutesPerRun, itemsAllowed } = weeklyCapacity(governance, baseline);
   const budgetTier = 200;
-  const budgetHeadroom = tier200 ? tier200.headroom : 200;
-
-  let itemsAllowed;
-  if (avgMinutesPerRun === 0) {
-    itemsAllowed = maxPromosPerWeek;
-  } else {
-    itemsAllowed = Math.min(
-      maxPromosPerWeek,
-      Math.floor(budgetHeadroom / avgMinutesPerRun)
-    );
-  }
 
   const budget = {
     tier: budgetTier,
@@ -247,27 +142,32 @@ export function buildDecisions(inputs) {
     }
   }
 
-  // ── Score each candidate ────────────────────────────────
+  // ── Resolve scorers ─────────────────────────────────────
 
-  const scored = [];
+  const profile = scoringProfile || resolveScoringProfile(governance).profile;
+  const { active, warnings: scorerWarnings } = resolveProfileScorers(profile);
+  warnings.push(...scorerWarnings);
 
-  for (const slug of candidateSlugs) {
-    const explanation = [];
+  const scorers = active.map(({ scorer, weight, max }) => ({
+    id: scorer.id,
+    version: scorer.version,
+    description: scorer.description || "",
+    weight,
+    max,
+    source: scorer.source,
+  }));
 
-    const proof = computeProofScore(slug, overrides);
-    explanation.push(proof.explanation);
-
-    const engagement = computeEngagementScore(slug, feedbackSummary);
-    explanation.push(engagement.explanation);
+  const ctx = {
+    promoQueue, promo, overrides, worthy, feedbackSummary, opsHistory,
+    baseline, governance, experiments, cooldownDays, now, readData,
+  };
 
-    const freshness = computeFreshnessScore(slug, opsHistory, cooldownDays);
-    explanation.push(freshness.explanation);
+  // ── Score each candidate ────────────────────────────────
 
-    const worthiness = computeWorthyScore(slug, worthy);
-    explanation.push(worthiness.explanation);
+  const scored = [];
 
-    const totalScore =
-      proof.score + engagement.score + freshness.score + worthiness.score;
+  for (const slug of candidateSlugs) {
+    const { total: totalScore, defer, explanation, breakdown } = runScorers(slug, ctx, active);
 
     // Experiment analysis (inline)
     const slugExperiments = activeExperiments[slug] || [];
@@ -328,11 +228,29 @@ export function buildDecisions(inputs) {
     scored.push({
       slug,
       score: totalScore,
-      defer: freshness.defer,
+      defer,
+      breakdown,
       explanation,
     });
   }
 
+  // ── Worthy regressions ──────────────────────────────────
+  // A slug is queued on its entry's `queuedAt` date, else the queue week.
+
+  if (governance.autoDeferRegressed === true) {
+    const queuedAt = {};
+    for (const entry of rawSlugs) {
+      if (typeof entry === "string") queuedAt[entry] = promoQueue.week;
+      else queuedAt[entry.slug] = entry.queuedAt || promoQueue.week;
+    }
+    for (const candidate of scored) {
+      const regression = regressedSince(worthyHistory, candidate.slug, queuedAt[candidate.slug] || "");
+      if (!regression) continue;
+      candidate.defer = true;
+      candidate.explanation.unshift(`worthy regression: ${describeRegression(regression)} — auto-deferred`);
+    }
+  }
+
   // ── Sort and assign actions ─────────────────────────────
 
   scored.sort((a, b) => b.score - a.score);
@@ -353,11 +271,12 @@ export function buildDecisions(inputs) {
       slug: candidate.slug,
       action,
       score: candidate.score,
+      breakdown: candidate.breakdown,
       explanation: candidate.explanation,
     };
   });
 
-  return { decisions, budget, warnings };
+  return { decisions, budget, scorers, warnings };
 }
 
 // ── Markdown generator ──────────────────────────────────────
@@ -369,7 +288,7 @@ export function buildDecisions(inputs) {
  * @returns {string}
  */
 function generateDecisionsMd(result) {
-  const { decisions, budget, warnings } = result;
+  const { decisions, budget, scorers = [], warnings } = result;
   const lines = [];
 
   lines.push("# Promo Decisions");
@@ -395,6 +314,20 @@ function generateDecisionsMd(result) {
     lines.push("");
   }
 
+  // Scorers
+  lines.push("## Scorers");
+  lines.push("");
+  if (scorers.length > 0) {
+    lines.push("| Scorer | Version | Weight | Max | Source | Description |");
+    lines.push("|--------|---------|--------|-----|--------|-------------|");
+    for (const s of scorers) {
+      lines.push(`| ${s.id} | ${s.version} | ${s.weight} | ${s.max} | ${s.source} | ${s.description || "-"} |`);
+    }
+  } else {
+    lines.push("No scorers active — every candidate scores 0.");
+  }
+  lines.push("");
+
   // Budget summary
   lines.push("## Budget");
   lines.push("");
@@ -416,11 +349,88 @@ function generateDecisionsMd(result) {
   return lines.join("\n");
 }
 
+// ── Snapshots ───────────────────────────────────────────────
+
+/**
+ * Build a replayable snapshot of one decision run. Overrides, worthy and
+ * worthy-history entries are trimmed to the queued slugs; everything else
+ * buildDecisions reads is stored as-is.
+ *
+ * @param {object} inputs - the inputs passed to buildDecisions (incl. now, scoringProfile)
+ * @param {{ decisions: Array }} result
+ * @returns {object}
+ */
+export function buildDecisionSnapshot(inputs, result) {
+  const slugs = (inputs.promoQueue?.slugs || []).map((s) => (typeof s === "string" ? s : s.slug));
+  const pick = (obj) => Object.fromEntries(slugs.filter((s) => obj?.[s] !== undefined).map((s) => [s, obj[s]]));
+
+  return {
+    week: inputs.promoQueue?.week || new Date(inputs.now).toISOString().slice(0, 10),
+    generatedAt: new Date(inputs.now).toISOString(),
+    now: inputs.now,
+    inputs: {
+      promoQueue: inputs.promoQueue,
+      promo: inputs.promo,
+      overrides: pick(inputs.overrides),
+      worthy: { ...inputs.worthy, repos: pick(inputs.worthy?.repos) },
+      feedbackSummary: inputs.feedbackSummary,
+      opsHistory: inputs.opsHistory,
+      baseline: inputs.baseline,
+      governance: inputs.governance,
+      experiments: inputs.experiments,
+      worthyHistory: { repos: pick(inputs.worthyHistory?.repos) },
+      scoringProfile: inputs.scoringProfile,
+    },
+    decisions: result.decisions.map(({ slug, action, score }) => ({ slug, action, score })),
+  };
+}
+
+/**
+ * Write a snapshot to decision-history/<week>.json (replacing a same-week
+ * run) and prune to the newest `limit` weeks.
+ *
+ * @param {string} dataDir
+ * @param {object} snapshot - from buildDecisionSnapshot()
+ * @param {{ limit?: number }} [opts]
+ * @returns {{ path: string, pruned: string[] }}
+ */
+export function recordDecisionSnapshot(dataDir, snapshot, opts = {}) {
+  const { limit = DECISION_HISTORY_LIMIT } = opts;
+  const historyDir = join(dataDir, DECISION_HISTORY_DIR);
+  mkdirSync(historyDir, { recursive: true });
+
+  const path = join(historyDir, `${snapshot.week}.json`);
+  writeFileSync(path, JSON.stringify(snapshot, null, 2) + "\n", "utf8");
+
+  const files = readdirSync(historyDir).filter((f) => /^\d{4}-\d{2}-\d{2}\.json$/.test(f)).sort();
+  const pruned = files.slice(0, Math.max(0, files.length - limit));
+  for (const f of pruned) rmSync(join(historyDir, f));
+
+  return { path, pruned };
+}
+
 // ── Pipeline ────────────────────────────────────────────────
 
+/**
+ * Load the active scoring profile for a data dir.
+ * scoring-profile.json wins over governance.scoring; both fall back to the
+ * built-in default profile.
+ *
+ * @param {string} [dataDir]
+ * @returns {{ profile: { scorers: Array<object> }, source: string, warnings: string[] }}
+ */
+export function loadScoringProfile(dataDir = DATA_DIR) {
+  const governance = safeParseJson(join(dataDir, "governance.json"), {});
+  const profileFile = safeParseJson(join(dataDir, "scoring-profile.json"), null);
+  return resolveScoringProfile(governance, profileFile);
+}
+
 /**
  * Full pipeline: load data, build decisions, write outputs.
  *
+ * Scorer modules named in the profile must already be registered — the CLI
+ * entry point loads them with loadScorerModules() before calling this.
+ *
  * @param {{ dataDir?: string, decisionsDir?: string, dryRun?: boolean }} opts
  * @returns {{ decisionCount: number, outputPath: string }}
  */
@@ -441,6 +451,7 @@ export function generatePromoDecisions(opts = {}) {
   const baseline = safeParseJson(join(dataDir, "baseline.json"), {});
   const governance = safeParseJson(join(dataDir, "governance.json"), {});
   const experiments = safeParseJson(join(dataDir, "experiments.json"), {});
+  const worthyHistory = safeParseJson(join(dataDir, WORTHY_HISTORY_FILE), {});
 
   // Freeze check — preserve existing decisions when frozen
   const outputPath = join(dataDir, "promo-decisions.json");
@@ -450,7 +461,17 @@ export function generatePromoDecisions(opts = {}) {
     return { decisionCount: (existing.decisions || []).length, outputPath, frozen: true };
   }
 
-  const result = buildDecisions({
+  const { profile, warnings: profileWarnings } = loadScoringProfile(dataDir);
+
+  const dataCache = new Map();
+  const readData = (fileName) => {
+    if (!dataCache.has(fileName)) {
+      dataCache.set(fileName, safeParseJson(join(dataDir, fileName), null));
+    }
+    return dataCache.get(fileName);
+  };
+
+  const inputs = {
     promoQueue,
     promo,
     overrides,
@@ -460,13 +481,20 @@ export function generatePromoDecisions(opts = {}) {
     baseline,
     governance,
     experiments,
-  });
+    worthyHistory,
+    scoringProfile: profile,
+    now: Date.now(),
+  };
+  const result = buildDecisions({ ...inputs, readData });
+  result.warnings.unshift(...profileWarnings);
 
   if (dryRun) {
     console.log(`  [dry-run] Would write promo-decisions.json`);
     console.log(`  [dry-run] Would write promo-decisions.md`);
+    console.log(`  [dry-run] Would write ${DECISION_HISTORY_DIR}/${buildDecisionSnapshot(inputs, result).week}.json`);
     console.log(`  [dry-run] Decisions: ${result.decisions.length}`);
     console.log(`  [dry-run] Budget: tier=${result.budget.tier}, allowed=${result.budget.itemsAllowed}`);
+    console.log(`  [dry-run] Scorers: ${result.scorers.map((s) => `${s.id}@${s.version}`).join(", ")}`);
     if (result.warnings.length > 0) {
       for (const w of result.warnings) {
         console.log(`  [dry-run] Warning: ${w}`);
@@ -489,6 +517,10 @@ export function generatePromoDecisions(opts = {}) {
   writeFileSync(join(decisionsDir, "promo-decisions.md"), md, "utf8");
   console.log(`  Wrote promo-decisions.md`);
 
+  // Snapshot inputs for replay / what-if simulation
+  const snapshot = recordDecisionSnapshot(dataDir, buildDecisionSnapshot(inputs, result));
+  console.log(`  Wrote ${DECISION_HISTORY_DIR}/${basename(snapshot.path)}`);
+
   return { decisionCount: result.decisions.length, outputPath };
 }
 
@@ -502,6 +534,10 @@ if (isMain) {
   console.log("Generating promo decisions...");
   if (dryRun) console.log("  Mode: DRY RUN");
 
+  const { profile } = loadScoringProfile();
+  const { errors } = await loadScorerModules(profile, ROOT);
+  for (const e of errors) console.warn(`  Warning: ${e}`);
+
   const result = generatePromoDecisions({ dryRun });
   console.log(`  Decisions: ${result.decisionCount}`);
 }
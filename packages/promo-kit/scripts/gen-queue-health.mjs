@@ -4,13 +4,27 @@
  * Queue Health Analyzer
  *
  * Analyzes submissions.json for queue health metrics:
- * time-in-status, stuck submissions, lint failure reasons, throughput.
+ * time-in-status, stuck submissions, lint failure reasons, throughput,
+ * and likely duplicates of known tools among open submissions.
+ *
+ * Time-in-status comes from each submission's `history[]` (written by
+ * apply-submission-status); submissions without history fall back to
+ * submittedAt → updatedAt.
+ *
+ * SLAs per open status come from governance.json `submissionSla`.
+ * Submissions past their SLA (or still waiting for a first response) are
+ * listed as escalations, marked as waiting on the maintainer (pending,
+ * reviewing) or on the submitter (needs-info). gen-recommendations and
+ * the operator brief read the escalation list.
  *
  * Usage:
  *   node scripts/gen-queue-health.mjs [--dry-run]
  *
  * Reads:
  *   site/src/data/submissions.json
+ *   site/src/data/governance.json (submissionSla)
+ *   submissions/*.json
+ *   site/src/data/projects.json, overrides.json, registry/ (duplicates)
  *   lint-reports/*.json (if present)
  *
  * Writes:
@@ -20,12 +34,39 @@
 import { readFileSync, readdirSync, writeFileSync, existsSync } from "node:fs";
 import { resolve, join } from "node:path";
 import { getConfig, getRoot } from "./lib/config.mjs";
+import { loadKnownTools, detectDuplicates } from "./lib/submission-dedupe.mjs";
 
 const ROOT = getRoot();
 const config = getConfig();
 
-const STUCK_THRESHOLD_DAYS = 7;
-const THROUGHPUT_WINDOW_DAYS = 30;
+const CLOSED_STATUSES = new Set(["accepted", "rejected", "withdrawn"]);
+
+/**
+ * Default SLAs, overridable via governance.json `submissionSla`.
+ * statusDays: max days a submission may sit in an open status.
+ * firstResponseDays: max days from submission to the first review response.
+ */
+export const DEFAULT_SLA = {
+  statusDays: { pending: 7, reviewing: 7, "needs-info": 7 },
+  firstResponseDays: 3,
+  throughputWindowDays: 30,
+};
+
+/** Who a submission in each open status is waiting on. */
+export const WAITING_ON = {
+  pending: "maintainer",
+  reviewing: "maintainer",
+  "needs-info": "submitter",
+};
+
+/** Aging histogram buckets: [label, max days inclusive]. */
+export const AGING_BUCKETS = [
+  ["0-2d", 2],
+  ["3-7d", 7],
+  ["8-14d", 14],
+  ["15-30d", 30],
+  ["31d+", Infinity],
+];
 
 // ── Helpers ───────────────────────────────────────────────────
 
@@ -44,23 +85,106 @@ function median(values) {
     : sorted[mid];
 }
 
+function round1(n) {
+  return n === null ? null : Math.round(n * 10) / 10;
+}
+
+/**
+ * Merge governance.json `submissionSla` over the defaults.
+ * @param {object} [governanceSla]
+ * @returns {typeof DEFAULT_SLA}
+ */
+export function resolveSla(governanceSla = {}) {
+  const g = governanceSla && typeof governanceSla === "object" ? governanceSla : {};
+  return {
+    statusDays: { ...DEFAULT_SLA.statusDays, ...(g.statusDays || {}) },
+    firstResponseDays: g.firstResponseDays ?? DEFAULT_SLA.firstResponseDays,
+    throughputWindowDays: g.throughputWindowDays ?? DEFAULT_SLA.throughputWindowDays,
+  };
+}
+
+function historyOf(s) {
+  return Array.isArray(s.history) ? s.history.filter((h) => h && h.at) : [];
+}
+
+/**
+ * When a submission first got a response from a reviewer: `firstResponseAt`,
+ * else `lastReviewedAt`, else the first status change in `history`, else
+ * `updatedAt` once it has left pending.
+ * @param {object} s
+ * @returns {string|null}
+ */
+export function firstResponseAt(s) {
+  if (s.firstResponseAt) return s.firstResponseAt;
+  if (s.lastReviewedAt) return s.lastReviewedAt;
+  const history = historyOf(s);
+  if (history.length > 0) return history[0].at;
+  if (s.status !== "pending" && s.updatedAt) return s.updatedAt;
+  return null;
+}
+
+/**
+ * When a submission entered its current status: the last `history` entry,
+ * else `updatedAt`, else `submittedAt`.
+ * @param {object} s
+ * @returns {string|null}
+ */
+export function statusSince(s) {
+  const history = historyOf(s);
+  if (history.length > 0) return history[history.length - 1].at;
+  return s.updatedAt || s.submittedAt || null;
+}
+
+/**
+ * Split a submission's history into status intervals. The first interval
+ * starts at submittedAt; the current status runs until `now` while the
+ * submission is open and is left out once it is closed.
+ * @param {object} s - submission with a non-empty `history`
+ * @param {string} nowIso
+ * @returns {Array<{ status: string, days: number }>}
+ */
+function historyIntervals(s, nowIso) {
+  const history = historyOf(s);
+  const intervals = [];
+  let status = history[0].from;
+  let since = s.submittedAt;
+  for (const h of history) {
+    intervals.push({ status, days: daysBetween(since, h.at) });
+    status = h.to;
+    since = h.at;
+  }
+  if (!CLOSED_STATUSES.has(status)) {
+    intervals.push({ status, days: daysBetween(since, nowIso) });
+  }
+  return intervals;
+}
+
 // ── Core analysis ─────────────────────────────────────────────
 
 /**
- * Compute time-in-status for submissions that have updatedAt.
+ * Compute median days spent in each status. Submissions with `history`
+ * contribute one duration per status interval; older submissions without
+ * it contribute submittedAt → updatedAt under their current status.
  * @param {object[]} submissions
+ * @param {{ now?: Date }} [opts]
  * @returns {Record<string, number|null>} status → median days
  */
-export function computeTimeInStatus(submissions) {
+export function computeTimeInStatus(submissions, opts = {}) {
+  const { now = new Date() } = opts;
+  const nowIso = now.toISOString();
   const durationsByStatus = {};
+  const add = (status, days) => {
+    if (!durationsByStatus[status]) durationsByStatus[status] = [];
+    durationsByStatus[status].push(Math.round(days * 10) / 10);
+  };
 
   for (const s of submissions) {
     if (!s.submittedAt) continue;
-    const endDate = s.updatedAt || new Date().toISOString();
-    const days = daysBetween(s.submittedAt, endDate);
-
-    if (!durationsByStatus[s.status]) durationsByStatus[s.status] = [];
-    durationsByStatus[s.status].push(Math.round(days * 10) / 10);
+    if (historyOf(s).length > 0) {
+      for (const { status, days } of historyIntervals(s, nowIso)) add(status, days);
+      continue;
+    }
+    add(s.status, daysBetween(s.submittedAt, s.updatedAt || nowIso));
   }
 
   const result = {};
@@ -70,14 +194,106 @@ export function computeTimeInStatus(submissions) {
   return result;
 }
 
+/**
+ * Find open submissions past their SLA. A status SLA breach is reported
+ * ahead of a first-response breach for the same submission.
+ * @param {object[]} submissions
+ * @param {{ sla?: typeof DEFAULT_SLA, now?: Date }} opts
+ * @returns {Array<{ slug: string, status: string, waitingOn: string, reason: "status-sla"|"first-response", days: number, slaDays: number, overdueDays: number, severity: "warning"|"critical" }>}
+ */
+export function computeEscalations(submissions, opts = {}) {
+  const { sla = DEFAULT_SLA, now = new Date() } = opts;
+  const nowIso = now.toISOString();
+  const escalations = [];
+
+  for (const s of submissions || []) {
+    if (!(s.status in WAITING_ON) || !s.submittedAt) continue;
+    const waitingOn = WAITING_ON[s.status];
+    const statusDays = daysBetween(statusSince(s), nowIso);
+    const statusSla = sla.statusDays[s.status];
+
+    let breach = null;
+    if (statusSla != null && statusDays > statusSla) {
+      breach = { reason: "status-sla", days: statusDays, slaDays: statusSla };
+    } else if (!firstResponseAt(s)) {
+      const waited = daysBetween(s.submittedAt, nowIso);
+      if (waited > sla.firstResponseDays) {
+        breach = { reason: "first-response", days: waited, slaDays: sla.firstResponseDays };
+      }
+    }
+    if (!breach) continue;
+
+    const overdueDays = breach.days - breach.slaDays;
+    escalations.push({
+      slug: s.slug,
+      status: s.status,
+      waitingOn,
+      reason: breach.reason,
+      days: round1(breach.days),
+      slaDays: breach.slaDays,
+      overdueDays: round1(overdueDays),
+      severity: overdueDays >= breach.slaDays ? "critical" : "warning",
+    });
+  }
+
+  const severityOrder = { critical: 0, warning: 1 };
+  return escalations.sort((a, b) =>
+    severityOrder[a.severity] - severityOrder[b.severity] ||
+    b.overdueDays - a.overdueDays ||
+    a.slug.localeCompare(b.slug));
+}
+
+/**
+ * Bucket open submissions by days in their current status.
+ * @param {object[]} submissions
+ * @param {{ now?: Date }} opts
+ * @returns {{ buckets: string[], byStatus: Record<string, number[]> }}
+ */
+export function computeAgingHistogram(submissions, opts = {}) {
+  const { now = new Date() } = opts;
+  const buckets = AGING_BUCKETS.map(([label]) => label);
+  const byStatus = {};
+
+  for (const s of submissions || []) {
+    if (!(s.status in WAITING_ON) || !s.submittedAt) continue;
+    const days = daysBetween(statusSince(s), now.toISOString());
+    const idx = AGING_BUCKETS.findIndex(([, max]) => Math.floor(days) <= max);
+    if (!byStatus[s.status]) byStatus[s.status] = buckets.map(() => 0);
+    byStatus[s.status][idx]++;
+  }
+
+  return { buckets, byStatus };
+}
+
+/**
+ * Open submissions per reviewer (`reviewer` field).
+ * @param {object[]} submissions
+ * @returns {{ byReviewer: Record<string, number>, unassigned: number }}
+ */
+export function computeReviewerLoad(submissions) {
+  const byReviewer = {};
+  let unassigned = 0;
+  for (const s of submissions || []) {
+    if (!(s.status in WAITING_ON)) continue;
+    if (s.reviewer) {
+      byReviewer[s.reviewer] = (byReviewer[s.reviewer] || 0) + 1;
+    } else {
+      unassigned++;
+    }
+  }
+  return { byReviewer, unassigned };
+}
+
 /**
  * Analyze queue health from submissions data.
  * @param {object[]} submissions
- * @param {{ lintReports?: Record<string, object>, now?: Date }} opts
+ * @param {{ lintReports?: Record<string, object>, duplicates?: Array<{ slug: string, matches: object[] }>, sla?: object, now?: Date }} opts
+ *   `sla` is governance.json `submissionSla` (merged over DEFAULT_SLA).
  * @returns {object}
  */
 export function analyzeQueueHealth(submissions, opts = {}) {
-  const { lintReports = {}, now = new Date() } = opts;
+  const { lintReports = {}, duplicates = [], now = new Date() } = opts;
+  const sla = resolveSla(opts.sla);
   const nowIso = now.toISOString();
 
   if (!submissions || submissions.length === 0) {
@@ -90,6 +306,16 @@ export function analyzeQueueHealth(submissions, opts = {}) {
       topLintFailures: [],
       medianDaysPending: null,
       throughput: 0,
+      timeInStatus: {},
+      sla,
+      medianDaysToFirstResponse: null,
+      awaitingFirstResponse: 0,
+      reviewerLoad: { byReviewer: {}, unassigned: 0 },
+      aging: computeAgingHistogram([], { now }),
+      escalationCount: 0,
+      escalations: [],
+      duplicateCount: duplicates.length,
+      duplicateSlugs: duplicates,
     };
   }
 
@@ -99,16 +325,11 @@ export function analyzeQueueHealth(submissions, opts = {}) {
     byStatus[s.status] = (byStatus[s.status] || 0) + 1;
   }
 
-  // Stuck submissions (pending or needs-info > 7 days)
-  const stuckSlugs = [];
-  for (const s of submissions) {
-    if (s.status === "pending" || s.status === "needs-info") {
-      const days = daysBetween(s.submittedAt, nowIso);
-      if (days > STUCK_THRESHOLD_DAYS) {
-        stuckSlugs.push({ slug: s.slug, status: s.status, daysPending: Math.round(days) });
-      }
-    }
-  }
+  // SLA escalations; stuck = past the SLA for the current status
+  const escalations = computeEscalations(submissions, { sla, now });
+  const stuckSlugs = escalations
+    .filter((e) => e.reason === "status-sla")
+    .map((e) => ({ slug: e.slug, status: e.status, daysPending: Math.round(e.days) }));
 
   // Median days pending (for completed submissions: accepted or rejected)
   const completedDays = submissions
@@ -116,8 +337,21 @@ export function analyzeQueueHealth(submissions, opts = {}) {
     .map((s) => daysBetween(s.submittedAt, s.updatedAt));
   const medianDaysPending = median(completedDays);
 
-  // Throughput (accepted in trailing 30 days)
-  const windowStart = new Date(now.getTime() - THROUGHPUT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  // Time to first response
+  const responseDays = [];
+  let awaitingFirstResponse = 0;
+  for (const s of submissions) {
+    if (!s.submittedAt) continue;
+    const responded = firstResponseAt(s);
+    if (responded) {
+      responseDays.push(daysBetween(s.submittedAt, responded));
+    } else if (s.status in WAITING_ON) {
+      awaitingFirstResponse++;
+    }
+  }
+
+  // Throughput (accepted in trailing window)
+  const windowStart = new Date(now.getTime() - sla.throughputWindowDays * 24 * 60 * 60 * 1000);
   const throughput = submissions.filter(
     (s) => s.status === "accepted" && s.updatedAt && new Date(s.updatedAt) >= windowStart,
   ).length;
@@ -148,8 +382,18 @@ export function analyzeQueueHealth(submissions, opts = {}) {
     stuckCount: stuckSlugs.length,
     stuckSlugs,
     topLintFailures,
-    medianDaysPending: medianDaysPending !== null ? Math.round(medianDaysPending * 10) / 10 : null,
+    medianDaysPending: round1(medianDaysPending),
     throughput,
+    timeInStatus: computeTimeInStatus(submissions, { now }),
+    sla,
+    medianDaysToFirstResponse: round1(median(responseDays)),
+    awaitingFirstResponse,
+    reviewerLoad: computeReviewerLoad(submissions),
+    aging: computeAgingHistogram(submissions, { now }),
+    escalationCount: escalations.length,
+    escalations,
+    duplicateCount: duplicates.length,
+    duplicateSlugs: duplicates,
   };
 }
 
@@ -157,11 +401,13 @@ export function analyzeQueueHealth(submissions, opts = {}) {
 
 /**
  * Read submissions + lint reports, analyze, write output.
- * @param {{ submissionsPath?: string, lintDir?: string, outputPath?: string, dryRun?: boolean }} opts
+ * @param {{ submissionsPath?: string, submissionsDir?: string, dataDir?: string, lintDir?: string, outputPath?: string, dryRun?: boolean }} opts
  */
 export function genQueueHealth(opts = {}) {
   const {
     submissionsPath = join(ROOT, config.paths.dataDir, "submissions.json"),
+    submissionsDir = join(ROOT, "submissions"),
+    dataDir = join(ROOT, config.paths.dataDir),
     lintDir = join(ROOT, "lint-reports"),
     outputPath = join(ROOT, config.paths.dataDir, "queue-health.json"),
     dryRun = false,
@@ -190,13 +436,30 @@ export function genQueueHealth(opts = {}) {
     }
   }
 
-  const result = analyzeQueueHealth(submissions, { lintReports });
+  // Likely duplicates among open submission files
+  const known = loadKnownTools({ dataDir, submissionsDir, orgUrl: config.org?.url || "" });
+  const closed = new Set(submissions.filter((s) => CLOSED_STATUSES.has(s.status)).map((s) => s.slug));
+  const open = known
+    .filter((k) => k.source === "submissions" && !closed.has(k.id))
+    .map((k) => ({ tool: { slug: k.id, name: k.name, repo: k.repo } }));
+  const duplicates = detectDuplicates(open, known);
+
+  let governance = {};
+  try {
+    governance = JSON.parse(readFileSync(join(dataDir, "governance.json"), "utf8"));
+  } catch {
+    // defaults
+  }
+
+  const result = analyzeQueueHealth(submissions, { lintReports, duplicates, sla: governance.submissionSla });
 
   if (dryRun) {
     console.log(`  [dry-run] Queue health analysis complete.`);
     console.log(`    Submissions: ${result.submissions}`);
     console.log(`    Stuck: ${result.stuckCount}`);
-    console.log(`    Throughput (30d): ${result.throughput}`);
+    console.log(`    Throughput (${result.sla.throughputWindowDays}d): ${result.throughput}`);
+    console.log(`    Escalations: ${result.escalationCount}`);
+    console.log(`    Likely duplicates: ${result.duplicateCount}`);
     return result;
   }
 
@@ -218,6 +481,12 @@ if (isMain) {
     console.log(`  By status: ${JSON.stringify(result.byStatus)}`);
     console.log(`  Stuck: ${result.stuckCount}`);
     console.log(`  Median days pending: ${result.medianDaysPending ?? "N/A"}`);
-    console.log(`  Throughput (30d): ${result.throughput}`);
+    console.log(`  Throughput (${result.sla.throughputWindowDays}d): ${result.throughput}`);
+    console.log(`  Median days to first response: ${result.medianDaysToFirstResponse ?? "N/A"}`);
+    console.log(`  Escalations: ${result.escalationCount}`);
+    for (const e of result.escalations) {
+      console.log(`    ${e.severity.toUpperCase()} ${e.slug} (${e.status}, waiting on ${e.waitingOn}): ${e.reason} ${e.days}d > ${e.slaDays}d`);
+    }
+    console.log(`  Likely duplicates: ${result.duplicateCount}`);
   }
 }
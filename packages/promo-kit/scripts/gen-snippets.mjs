@@ -0,0 +1,229 @@
+#!/usr/bin/env node
+
+/**
+ * Snippet Compiler
+ *
+ * Generates channel-ready copy from MarketIR messages + claims.
+ * One markdown file per tool that has publicProof: true in overrides.json.
+ *
+ * Output: site/public/snippets/<slug>.md            (English)
+ *         site/public/snippets/<slug>.<locale>.md   (one per translated locale)
+ *
+ * Every line traces back to claimRefs — no freeform assertions.
+ * Messages and claims use the locale's i18n text where present and fall
+ * back to English otherwise (reported; see scripts/lib/i18n.mjs).
+ *
+ * Programmatic use:
+ *   buildSnippets(inputs)   — one tool + locale → { slug, locale, markdown, fallbacks } (pure)
+ *   generateSnippets(opts)  — reads the data dir, writes unless dryRun
+ *
+ * Usage:
+ *   node scripts/gen-snippets.mjs [--slugs a,b] [--locales de,fr] [--dry-run]
+ */
+
+import { mkdirSync, writeFileSync } from "node:fs";
+import { resolve, join } from "node:path";
+import { getConfig, getRoot } from "./lib/config.mjs";
+import {
+  loadMarketirInputs,
+  publicProofSlugs,
+  parseSlugsArg,
+  readTool,
+} from "./lib/marketir.mjs";
+import { DEFAULT_LOCALE, localesFor, localizeTool, parseLocalesArg, describeFallbacks } from "./lib/i18n.mjs";
+
+const ROOT = getRoot();
+const config = getConfig();
+const DATA_DIR = join(ROOT, config.paths.dataDir);
+const PUBLIC_DIR = join(ROOT, config.paths.publicDir);
+
+const CHANNEL_LABELS = {
+  web: "Web blurb",
+  readme: "README insert",
+  hn: "Hacker News post",
+  x: "X (Twitter) post",
+  linkedin: "LinkedIn post",
+  newsletter: "Newsletter",
+  presskit: "Press kit",
+};
+
+// ─── Build ────────────────────────────────────────────────────────────────────
+
+/**
+ * Build one tool's snippet file in memory, in `locale` (English by default).
+ *
+ * @param {{
+ *   slug: string,
+ *   tool: object,
+ *   locale?: string,
+ *   linkByMessage?: Map<string, string>,
+ *   lockShort?: string,
+ *   generatedAt?: string,
+ * }} inputs
+ * @returns {{ slug: string, locale: string, markdown: string, fallbacks: Array<object> }}
+ */
+export function buildSnippets(inputs) {
+  const {
+    slug,
+    locale = DEFAULT_LOCALE,
+    linkByMessage = new Map(),
+    lockShort = "unknown",
+    generatedAt = new Date().toISOString(),
+  } = inputs;
+
+  const { tool, fallbacks } = localizeTool(inputs.tool, locale);
+  const proven = (tool.claims || []).filter((c) => c.status === "proven");
+  const messages = tool.messages || [];
+
+  const lines = [];
+  lines.push(`# ${tool.name} — Channel Snippets`);
+  lines.push("");
+  lines.push(`> ${tool.positioning?.oneLiner || ""}`);
+  lines.push("");
+
+  // Channel-grouped messages
+  const byChannel = new Map();
+  for (const msg of messages) {
+    if (!byChannel.has(msg.channel)) byChannel.set(msg.channel, []);
+    byChannel.get(msg.channel).push(msg);
+  }
+
+  for (const [channel, msgs] of byChannel) {
+    const label = CHANNEL_LABELS[channel] || channel;
+    lines.push(`## ${label}`);
+    lines.push("");
+
+    for (const msg of msgs) {
+      const goId = linkByMessage.get(msg.id);
+      lines.push("```");
+      lines.push(msg.text);
+      if (goId) {
+        lines.push("");
+        lines.push(`Source: mcptoolshop.com/go/${goId}`);
+      }
+      lines.push("```");
+      lines.push("");
+
+      // Constraints
+      if (msg.constraints) {
+        const parts = [];
+        if (msg.constraints.maxChars) parts.push(`max ${msg.constraints.maxChars} chars (${[...msg.text].length} used)`);
+        if (msg.constraints.notes) parts.push(msg.constraints.notes);
+        if (parts.length > 0) {
+          lines.push(`_${parts.join(" | ")}_`);
+          lines.push("");
+        }
+      }
+
+      // Claim traceability
+      if (msg.claimRefs?.length > 0) {
+        lines.push("Claims referenced:");
+        for (const ref of msg.claimRefs) {
+          const claim = (tool.claims || []).find((c) => c.id === ref);
+          if (claim) {
+            const status = claim.status === "proven" ? "proven" : claim.status;
+            lines.push(`- \`${ref}\` (${status}): ${claim.statement}`);
+          } else {
+            lines.push(`- \`${ref}\` (unresolved)`);
+          }
+        }
+        lines.push("");
+      }
+    }
+  }
+
+  // Proof bullets section
+  if (proven.length > 0) {
+    lines.push("## Proof bullets (proven claims only)");
+    lines.push("");
+    lines.push("Copy-paste these wherever you need verifiable one-liners:");
+    lines.push("");
+    for (const claim of proven) {
+      lines.push(`- ${claim.statement}`);
+    }
+    lines.push("");
+  }
+
+  // Footer
+  lines.push("---");
+  lines.push("");
+  lines.push(`_Generated from [MarketIR](https://github.com/mcp-tool-shop/mcpt-marketing) (lock: ${lockShort}) at ${generatedAt}_`);
+  lines.push("");
+
+  return { slug, locale, markdown: lines.join("\n"), fallbacks };
+}
+
+// ─── Pipeline ─────────────────────────────────────────────────────────────────
+
+/**
+ * Build snippets for every publicProof tool (optionally narrowed to
+ * `slugs`) and write them to <publicDir>/snippets/<slug>.md, plus
+ * <slug>.<locale>.md for each translated locale (or each of `locales`).
+ *
+ * @param {{ dataDir?: string, publicDir?: string, slugs?: string[]|null, locales?: string[]|null, generatedAt?: string, dryRun?: boolean }} opts
+ * @returns {{ snippets: Array<{ slug: string, locale: string, markdown: string, fallbacks: Array<object> }>, skipped: Array<{ slug: string, reason: string }> }}
+ */
+export function generateSnippets(opts = {}) {
+  const { dataDir = DATA_DIR, publicDir = PUBLIC_DIR, slugs = null, locales = null, generatedAt, dryRun = false } = opts;
+
+  const { paths, overrides, lockShort, links } = loadMarketirInputs(dataDir);
+  if (!overrides) {
+    throw new Error(`Failed to load overrides.json: ${paths.overridesPath}`);
+  }
+
+  const outDir = join(publicDir, "snippets");
+  const snippets = [];
+  const skipped = [];
+
+  const enabledSlugs = publicProofSlugs(overrides, slugs);
+  if (enabledSlugs.length > 0) {
+    console.log(`Generating snippets for: ${enabledSlugs.join(", ")}\n`);
+  }
+
+  for (const slug of enabledSlugs) {
+    const tool = readTool(paths, slug);
+    if (!tool) {
+      console.warn(`  ⚠ No MarketIR data for ${slug}, skipping.`);
+      skipped.push({ slug, reason: "no MarketIR data" });
+      continue;
+    }
+
+    for (const locale of localesFor(tool, locales)) {
+      const snippet = buildSnippets({ slug, locale, tool, linkByMessage: links.byMessage, lockShort, generatedAt });
+      snippets.push(snippet);
+      if (snippet.fallbacks.length > 0) {
+        console.warn(`  ⚠ ${slug} [${locale}]: ${snippet.fallbacks.length} untranslated, using English: ${describeFallbacks(snippet.fallbacks)}`);
+      }
+
+      if (dryRun) continue;
+      const file = locale === DEFAULT_LOCALE ? `${slug}.md` : `${slug}.${locale}.md`;
+      mkdirSync(outDir, { recursive: true });
+      writeFileSync(join(outDir, file), snippet.markdown, "utf8");
+      console.log(`  wrote snippets/${file} (${snippet.markdown.length} bytes)`);
+    }
+  }
+
+  return { snippets, skipped };
+}
+
+// ─── Entry point ──────────────────────────────────────────────────────────────
+
+const isMain = process.argv[1] &&
+  resolve(process.argv[1]).endsWith("gen-snippets.mjs");
+
+if (isMain) {
+  const dryRun = process.argv.includes("--dry-run");
+  let result;
+  try {
+    result = generateSnippets({ slugs: parseSlugsArg(process.argv), locales: parseLocalesArg(process.argv), dryRun });
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+
+  if (result.snippets.length === 0 && result.skipped.length === 0) {
+    console.log("No tools with publicProof enabled. Nothing to generate.");
+  } else {
+    console.log(`\nDone. ${result.snippets.length} snippet file(s) generated${dryRun ? " (dry run)" : ""}.`);
+  }
+}
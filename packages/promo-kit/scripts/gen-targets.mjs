@@ -0,0 +1,903 @@
+#!/usr/bin/env node
+
+/**
+ * Target List Generator
+ *
+ * Discovers, scores, and ranks potential partners/integrators/amplifiers
+ * using public GitHub data + MarketIR targeting specs.
+ *
+ * No scraping, no creepy tracking — just public GitHub + structured messaging.
+ *
+ * Output: site/public/targets/<slug>/
+ *   - targets.json   — full scored list with metadata
+ *   - targets.csv    — Sheets-importable
+ *   - README.md      — top 25 table + outreach template links
+ *   - drafts/<owner>--<repo>.md — per-target outreach drafts (top N)
+ *
+ * Programmatic use:
+ *   discoverCandidates(opts)   — run the search strategies through an injectable GitHub client
+ *   rankCandidates(cands, o)   — exclusions + scoring + ordering (pure)
+ *   buildTargetList(inputs)    — ranked candidates → { targets, files } (pure)
+ *   generateTargets(opts)      — reads the data dir, searches GitHub, writes unless dryRun
+ *
+ * Usage:
+ *   GITHUB_TOKEN=ghp_... node scripts/gen-targets.mjs
+ *   GITHUB_TOKEN=ghp_... node scripts/gen-targets.mjs --top 10 --drafts 5
+ *   node scripts/gen-targets.mjs --dry-run
+ *
+ * Environment:
+ *   GITHUB_TOKEN — required (search API needs authentication)
+ */
+
+import { mkdirSync, writeFileSync, readdirSync } from "node:fs";
+import { resolve, join, dirname } from "node:path";
+import { getConfig, getRoot } from "./lib/config.mjs";
+import {
+  readJson,
+  loadMarketirInputs,
+  publicProofSlugs,
+  parseSlugsArg,
+  readTool,
+} from "./lib/marketir.mjs";
+
+const ROOT = getRoot();
+const config = getConfig();
+const DATA_DIR = join(ROOT, config.paths.dataDir);
+const PUBLIC_DIR = join(ROOT, config.paths.publicDir);
+
+const THROTTLE_MS = 2000;
+const SELF_ORG = "mcp-tool-shop-org";
+const SELF_SITE = "mcp-tool-shop";
+
+export const SCORING_VERSION = "1.0.0";
+export const SCORING_WEIGHTS = {
+  topicMatch: { perMatch: 15, max: 60 },
+  keywordMatch: { perMatch: 10, max: 40 },
+  activityRecency: { max: 20, decayDays: 365 },
+  starTier: { max: 15, tiers: [
+    { min: 1000, score: 15 },
+    { min: 100, score: 13 },
+    { min: 10, score: 10 },
+    { min: 0, score: 5 },
+  ]},
+  fitScore: { max: 20 },
+  comparableBonus: { value: 10 },
+  signalBonus: { value: 10 },
+};
+
+// ─── GitHub client ───────────────────────────────────────────────────────────
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/** Day-based file cache key for GitHub search results */
+function getCacheKey(query) {
+  // Simple hash: use query as filename-safe string
+  return query
+    .replace(/[^a-zA-Z0-9-]/g, "_")
+    .slice(0, 120);
+}
+
+/**
+ * Default GitHub client: authenticated REST calls with a day-based search
+ * cache and throttling. Tests and other tooling pass their own
+ * `{ search, getRepo }` to discoverCandidates() instead.
+ *
+ * @param {{ token?: string, cacheDir: string, throttleMs?: number }} opts
+ * @returns {{ search: (query: string, label: string) => Promise<{ data: object|null, error: string|null }>, getRepo: (owner: string, repo: string, label: string) => Promise<{ data: object|null, error: string|null }> }}
+ */
+export function createGitHubClient(opts) {
+  const { token = "", cacheDir, throttleMs = THROTTLE_MS } = opts;
+
+  async function ghApi(endpoint) {
+    const url = endpoint.startsWith("https://")
+      ? endpoint
+      : `https://api.github.com/${endpoint}`;
+    const headers = {
+      Accept: "application/vnd.github+json",
+      "X-GitHub-Api-Version": "2022-11-28",
+    };
+    if (token) headers["Authorization"] = `token ${token}`;
+
+    const res = await fetch(url, { headers });
+    if (!res.ok) {
+      throw new Error(`${res.status} ${res.statusText}: ${url}`);
+    }
+    return res.json();
+  }
+
+  async function ghApiSafe(endpoint, label) {
+    try {
+      return { data: await ghApi(endpoint), error: null };
+    } catch (err) {
+      return { data: null, error: `${label}: ${err.message}` };
+    }
+  }
+
+  async function search(queryStr, label) {
+    const today = new Date().toISOString().slice(0, 10);
+    const cacheFile = join(cacheDir, `${getCacheKey(queryStr)}-${today}.json`);
+
+    // Check cache
+    const cached = readJson(cacheFile);
+    if (cached) {
+      console.log(`    cache hit: ${label}`);
+      return { data: cached, error: null, cached: true };
+    }
+
+    // Fetch
+    const encoded = encodeURIComponent(queryStr);
+    const result = await ghApiSafe(
+      `search/repositories?q=${encoded}&sort=stars&order=desc&per_page=50`,
+      label
+    );
+
+    // Cache on success
+    if (result.data) {
+      mkdirSync(cacheDir, { recursive: true });
+      writeFileSync(cacheFile, JSON.stringify(result.data, null, 2), "utf8");
+    }
+
+    await sleep(throttleMs);
+    return { ...result, cached: false };
+  }
+
+  async function getRepo(owner, repo, label) {
+    const result = await ghApiSafe(`repos/${owner}/${repo}`, label);
+    await sleep(throttleMs);
+    return result;
+  }
+
+  return { search, getRepo };
+}
+
+// ─── Inputs ──────────────────────────────────────────────────────────────────
+
+/**
+ * Keywords from audience pain points (for fit scoring).
+ *
+ * @param {string} audienceDir
+ * @returns {Set<string>}
+ */
+export function loadPainPoints(audienceDir) {
+  const allPainPoints = new Set();
+  try {
+    const audFiles = readdirSync(audienceDir).filter((f) => f.endsWith(".json"));
+    for (const af of audFiles) {
+      const aud = readJson(join(audienceDir, af));
+      if (aud?.painPoints) {
+        for (const pp of aud.painPoints) {
+          // Extract keywords from pain points
+          for (const word of pp.toLowerCase().split(/\s+/)) {
+            if (word.length > 3) allPainPoints.add(word);
+          }
+        }
+      }
+    }
+  } catch {}
+  return allPainPoints;
+}
+
+/**
+ * Orgs that mentioned our go-links, from the latest distribution signals file.
+ *
+ * @param {string} signalsDir
+ * @returns {Set<string>}
+ */
+export function loadSignalOrgs(signalsDir) {
+  const signalOrgs = new Set();
+  try {
+    const sigFiles = readdirSync(signalsDir)
+      .filter((f) => f.endsWith(".json"))
+      .sort()
+      .reverse();
+    if (sigFiles.length > 0) {
+      const latest = readJson(join(signalsDir, sigFiles[0]));
+      for (const sig of latest?.signals || []) {
+        for (const r of sig.results || []) {
+          const owner = r.repo.split("/")[0];
+          if (owner && owner !== SELF_ORG && owner !== SELF_SITE) {
+            signalOrgs.add(owner);
+          }
+        }
+      }
+    }
+  } catch {}
+  return signalOrgs;
+}
+
+// ─── Discovery ───────────────────────────────────────────────────────────────
+
+/**
+ * Search queries a tool's targeting spec produces, in execution order.
+ *
+ * @param {object} targeting
+ * @param {object|undefined} press
+ * @returns {Array<{ kind: string, query: string, label: string }>}
+ */
+export function plannedQueries(targeting, press) {
+  const queries = [];
+  for (const topic of targeting.topics || []) {
+    queries.push({ kind: "topic", query: `topic:${topic}`, label: `topic:${topic}` });
+  }
+  for (const kw of targeting.keywords || []) {
+    queries.push({ kind: "keyword", query: `${kw} in:readme,description`, label: `keyword:${kw}` });
+  }
+  for (const comp of press?.comparables || []) {
+    queries.push({ kind: "comparable", query: `${comp.target} in:readme,description`, label: `comparable:${comp.target}` });
+  }
+  return queries;
+}
+
+/**
+ * Run the five discovery strategies (topic, keyword, comparable, signal,
+ * seed) and collect deduplicated candidates.
+ *
+ * @param {{
+ *   targeting: object,
+ *   press?: object,
+ *   signalOrgs?: Set<string>,
+ *   client: ReturnType<typeof createGitHubClient>,
+ * }} opts
+ * @returns {Promise<{ candidates: Map<string, object>, errors: string[], discoveryStats: object }>}
+ */
+export async function discoverCandidates(opts) {
+  const { targeting, press, signalOrgs = new Set(), client } = opts;
+
+  /** @type {Map<string, {owner: string, repo: string, fullName: string, description: string, stars: number, language: string, topics: string[], pushedAt: string, archived: boolean, ownerType: string, whyMatched: string[]}>} */
+  const candidates = new Map();
+  const errors = [];
+  const discoveryStats = {
+    topicSearches: 0,
+    keywordSearches: 0,
+    comparableSearches: 0,
+    signalExpansions: 0,
+    seedExpansions: 0,
+    rawCandidates: 0,
+    afterDedup: 0,
+    afterExclusion: 0,
+    afterScoring: 0,
+  };
+
+  function addCandidate(item, reason) {
+    const fullName = item.full_name;
+    if (candidates.has(fullName)) {
+      candidates.get(fullName).whyMatched.push(reason);
+    } else {
+      candidates.set(fullName, {
+        owner: item.owner?.login || fullName.split("/")[0],
+        repo: item.name,
+        fullName,
+        description: (item.description || "").slice(0, 200),
+        stars: item.stargazers_count || 0,
+        language: item.language || null,
+        topics: item.topics || [],
+        pushedAt: item.pushed_at || null,
+        archived: item.archived || false,
+        ownerType: item.owner?.type?.toLowerCase() || "unknown",
+        whyMatched: [reason],
+        htmlUrl: item.html_url || `https://github.com/${fullName}`,
+      });
+    }
+    discoveryStats.rawCandidates++;
+  }
+
+  const statKey = { topic: "topicSearches", keyword: "keywordSearches", comparable: "comparableSearches" };
+
+  // ── Strategies 1–3: Topic, keyword and comparable search ─────────────
+  for (const { kind, query, label } of plannedQueries(targeting, press)) {
+    console.log(`  ${kind} search: ${kind === "topic" ? query : label.slice(kind.length + 1)}`);
+    const result = await client.search(query, label);
+    if (result.data?.items) {
+      for (const item of result.data.items) {
+        addCandidate(item, label);
+      }
+      discoveryStats[statKey[kind]]++;
+    } else if (result.error) {
+      errors.push(result.error);
+    }
+  }
+
+  // ── Strategy 4: Signal expansion ──────────────────────────────────────
+  // Search for repos from orgs that mentioned our go-links
+  for (const org of [...signalOrgs].slice(0, 5)) {
+    console.log(`  signal expansion: ${org}`);
+    const result = await client.search(`user:${org}`, `signal:${org}`);
+    if (result.data?.items) {
+      for (const item of result.data.items) {
+        addCandidate(item, `signal:${org}`);
+      }
+      discoveryStats.signalExpansions++;
+    } else if (result.error) {
+      errors.push(result.error);
+    }
+  }
+
+  // ── Strategy 5: Seed repo expansion ───────────────────────────────────
+  for (const seed of targeting.seedRepos || []) {
+    // Get seed repo topics, then search for similar
+    const seedResult = await client.getRepo(seed.owner, seed.repo, `seed:${seed.owner}/${seed.repo}`);
+    if (seedResult.data) {
+      const seedTopics = seedResult.data.topics || [];
+      const seedLang = seedResult.data.language;
+
+      // Add the seed repo itself as a candidate
+      addCandidate(seedResult.data, `seed:${seed.owner}/${seed.repo}`);
+
+      // Search for repos with same primary topic + language
+      if (seedTopics.length > 0) {
+        const topTopic = seedTopics[0];
+        const langFilter = seedLang ? ` language:${seedLang}` : "";
+        console.log(`  seed expansion: ${topTopic}${langFilter}`);
+        const result = await client.search(`topic:${topTopic}${langFilter}`, `seed-expand:${topTopic}`);
+        if (result.data?.items) {
+          for (const item of result.data.items) {
+            addCandidate(item, `seed:${seed.owner}/${seed.repo}`);
+          }
+          discoveryStats.seedExpansions++;
+        } else if (result.error) {
+          errors.push(result.error);
+        }
+      }
+    } else if (seedResult.error) {
+      errors.push(seedResult.error);
+    }
+  }
+
+  discoveryStats.afterDedup = candidates.size;
+  return { candidates, errors, discoveryStats };
+}
+
+// ─── Scoring ─────────────────────────────────────────────────────────────────
+
+/**
+ * Whether a candidate is excluded (exclusion list, archived, or our own org).
+ *
+ * @param {object} cand
+ * @param {Set<string>} exclusions - lowercased owners or owner/repo names
+ * @returns {boolean}
+ */
+export function isExcluded(cand, exclusions) {
+  const ownerLower = cand.owner.toLowerCase();
+  const fullLower = cand.fullName.toLowerCase();
+  return (
+    exclusions.has(ownerLower) ||
+    exclusions.has(fullLower) ||
+    cand.archived ||
+    ownerLower === SELF_ORG.toLowerCase() ||
+    ownerLower === SELF_SITE.toLowerCase()
+  );
+}
+
+/**
+ * Score one candidate against a targeting spec.
+ *
+ * @param {object} cand
+ * @param {{ topicSet: Set<string>, keywordSet: Set<string>, painPoints?: Set<string>, now?: number }} ctx
+ * @returns {{ score: number, scoreBreakdown: object }}
+ */
+export function scoreCandidate(cand, ctx) {
+  const { topicSet, keywordSet, painPoints = new Set(), now = Date.now() } = ctx;
+  const breakdown = {};
+
+  // Topic match
+  const candTopics = (cand.topics || []).map((t) => t.toLowerCase());
+  const topicMatches = candTopics.filter((t) => topicSet.has(t)).length;
+  breakdown.topicMatch = Math.min(
+    topicMatches * SCORING_WEIGHTS.topicMatch.perMatch,
+    SCORING_WEIGHTS.topicMatch.max
+  );
+
+  // Keyword match
+  const descLower = (cand.description || "").toLowerCase();
+  const repoLower = cand.repo.toLowerCase();
+  let kwMatches = 0;
+  for (const kw of keywordSet) {
+    if (descLower.includes(kw) || repoLower.includes(kw)) {
+      kwMatches++;
+    }
+  }
+  breakdown.keywordMatch = Math.min(
+    kwMatches * SCORING_WEIGHTS.keywordMatch.perMatch,
+    SCORING_WEIGHTS.keywordMatch.max
+  );
+
+  // Activity recency
+  if (cand.pushedAt) {
+    const daysSincePush =
+      (now - new Date(cand.pushedAt).getTime()) / (1000 * 60 * 60 * 24);
+    const decay = Math.max(
+      0,
+      1 - daysSincePush / SCORING_WEIGHTS.activityRecency.decayDays
+    );
+    breakdown.activityRecency = Math.round(
+      decay * SCORING_WEIGHTS.activityRecency.max
+    );
+  } else {
+    breakdown.activityRecency = 0;
+  }
+
+  // Star tier
+  const stars = cand.stars || 0;
+  const tier = SCORING_WEIGHTS.starTier.tiers.find((t) => stars >= t.min);
+  breakdown.starTier = tier ? tier.score : 0;
+
+  // Fit score (audience painPoint keyword overlap)
+  if (painPoints.size > 0) {
+    const descWords = new Set(descLower.split(/\s+/).filter((w) => w.length > 3));
+    let overlap = 0;
+    for (const word of descWords) {
+      if (painPoints.has(word)) overlap++;
+    }
+    breakdown.fitScore = Math.min(overlap * 5, SCORING_WEIGHTS.fitScore.max);
+  } else {
+    breakdown.fitScore = 0;
+  }
+
+  // Comparable bonus
+  breakdown.comparableBonus = cand.whyMatched.some((w) => w.startsWith("comparable:"))
+    ? SCORING_WEIGHTS.comparableBonus.value
+    : 0;
+
+  // Signal bonus
+  breakdown.signalBonus = cand.whyMatched.some((w) => w.startsWith("signal:"))
+    ? SCORING_WEIGHTS.signalBonus.value
+    : 0;
+
+  return {
+    score: Object.values(breakdown).reduce((a, b) => a + b, 0),
+    scoreBreakdown: breakdown,
+  };
+}
+
+/**
+ * Drop excluded candidates, score the rest, and rank by score then stars.
+ *
+ * @param {Iterable<object>} candidates
+ * @param {{ targeting: object, painPoints?: Set<string>, max?: number, now?: number }} opts
+ * @returns {{ ranked: Array<object>, afterExclusion: number }}
+ */
+export function rankCandidates(candidates, opts) {
+  const { targeting, painPoints = new Set(), max = 100, now = Date.now() } = opts;
+
+  const exclusions = new Set(
+    (targeting.exclusions || []).map((e) => e.toLowerCase())
+  );
+  const kept = [...candidates].filter((cand) => !isExcluded(cand, exclusions));
+
+  const topicSet = new Set((targeting.topics || []).map((t) => t.toLowerCase()));
+  const keywordSet = new Set((targeting.keywords || []).map((k) => k.toLowerCase()));
+
+  const scored = kept.map((cand) => ({
+    ...cand,
+    ...scoreCandidate(cand, { topicSet, keywordSet, painPoints, now }),
+    scoringVersion: SCORING_VERSION,
+  }));
+
+  // Sort by score descending, then by stars descending
+  const ranked = scored
+    .sort((a, b) => b.score - a.score || b.stars - a.stars)
+    .slice(0, max);
+
+  return { ranked, afterExclusion: kept.length };
+}
+
+// ─── Build ───────────────────────────────────────────────────────────────────
+
+// Escape CSV fields
+function csvEsc(v) {
+  const s = String(v ?? "");
+  return s.includes(",") || s.includes('"') || s.includes("\n")
+    ? `"${s.replace(/"/g, '""')}"`
+    : s;
+}
+
+/**
+ * Render the target list outputs for one tool from ranked candidates.
+ *
+ * @param {{
+ *   slug: string,
+ *   tool: object,
+ *   ranked: Array<object>,
+ *   discoveryStats?: object,
+ *   errors?: string[],
+ *   maxDrafts?: number,
+ *   lockShort?: string,
+ *   generatedAt?: string,
+ * }} inputs
+ * @returns {{ targets: object, files: Record<string, string> }} file keys are relative to targets/<slug>/
+ */
+export function buildTargetList(inputs) {
+  const {
+    slug,
+    tool,
+    ranked: sorted,
+    discoveryStats = {},
+    errors = [],
+    maxDrafts = 25,
+    lockShort = "unknown",
+    generatedAt = new Date().toISOString(),
+  } = inputs;
+  const MAX_DRAFTS = maxDrafts;
+  const press = tool.press;
+  const proven = (tool.claims || []).filter((c) => c.status === "proven");
+  const files = {};
+
+  // targets.json
+  const targetsJson = {
+    tool: slug,
+    generatedAt,
+    scoringVersion: SCORING_VERSION,
+    scoringWeights: SCORING_WEIGHTS,
+    sourcelock: lockShort,
+    discoveryStats: { ...discoveryStats, afterScoring: sorted.length },
+    errors,
+    candidateCount: sorted.length,
+    candidates: sorted.map((c) => ({
+      owner: c.owner,
+      repo: c.repo,
+      fullName: c.fullName,
+      description: c.description,
+      stars: c.stars,
+      language: c.language,
+      topics: c.topics,
+      pushedAt: c.pushedAt,
+      ownerType: c.ownerType,
+      whyMatched: [...new Set(c.whyMatched)],
+      score: c.score,
+      scoreBreakdown: c.scoreBreakdown,
+      scoringVersion: c.scoringVersion,
+      htmlUrl: c.htmlUrl,
+    })),
+  };
+  files["targets.json"] = JSON.stringify(targetsJson, null, 2) + "\n";
+
+  // targets.csv (hand-generated, no library)
+  const csvHeader = "rank,owner,repo,stars,score,language,ownerType,whyMatched,pushedAt,url\n";
+  const csvRows = sorted.map((c, i) => {
+    const why = [...new Set(c.whyMatched)].join("; ");
+    return [
+      i + 1,
+      csvEsc(c.owner),
+      csvEsc(c.repo),
+      c.stars,
+      c.score,
+      csvEsc(c.language),
+      csvEsc(c.ownerType),
+      csvEsc(why),
+      c.pushedAt?.slice(0, 10) || "",
+      c.htmlUrl,
+    ].join(",");
+  });
+  files["targets.csv"] = csvHeader + csvRows.join("\n") + "\n";
+
+  // README.md — top 25 table
+  const top25 = sorted.slice(0, 25);
+  const readmeLines = [];
+  readmeLines.push(`# Target List: ${slug}`);
+  readmeLines.push("");
+  readmeLines.push(`Generated: ${generatedAt}`);
+  readmeLines.push(`Scoring: v${SCORING_VERSION} | Source lock: ${lockShort}`);
+  readmeLines.push(`Candidates: ${sorted.length} | Shown: ${top25.length}`);
+  readmeLines.push("");
+  readmeLines.push("## Top Candidates");
+  readmeLines.push("");
+  readmeLines.push("| # | Repo | Stars | Score | Language | Why |");
+  readmeLines.push("|---|------|-------|-------|----------|-----|");
+
+  for (let i = 0; i < top25.length; i++) {
+    const c = top25[i];
+    const why = [...new Set(c.whyMatched)].slice(0, 3).join(", ");
+    const draftLink = i < MAX_DRAFTS
+      ? ` ([draft](drafts/${c.owner}--${c.repo}.md))`
+      : "";
+    readmeLines.push(
+      `| ${i + 1} | [${c.fullName}](${c.htmlUrl}) | ${c.stars} | ${c.score} | ${c.language || "—"} | ${why}${draftLink} |`
+    );
+  }
+
+  readmeLines.push("");
+  readmeLines.push("## Scoring Breakdown");
+  readmeLines.push("");
+  readmeLines.push("| Factor | Per Match | Max |");
+  readmeLines.push("|--------|-----------|-----|");
+  readmeLines.push(`| Topic match | ${SCORING_WEIGHTS.topicMatch.perMatch} | ${SCORING_WEIGHTS.topicMatch.max} |`);
+  readmeLines.push(`| Keyword match | ${SCORING_WEIGHTS.keywordMatch.perMatch} | ${SCORING_WEIGHTS.keywordMatch.max} |`);
+  readmeLines.push(`| Activity recency | linear decay/${SCORING_WEIGHTS.activityRecency.decayDays}d | ${SCORING_WEIGHTS.activityRecency.max} |`);
+  readmeLines.push(`| Star tier | tiered | ${SCORING_WEIGHTS.starTier.max} |`);
+  readmeLines.push(`| Fit score | 5/overlap | ${SCORING_WEIGHTS.fitScore.max} |`);
+  readmeLines.push(`| Comparable bonus | — | ${SCORING_WEIGHTS.comparableBonus.value} |`);
+  readmeLines.push(`| Signal bonus | — | ${SCORING_WEIGHTS.signalBonus.value} |`);
+  readmeLines.push("");
+  readmeLines.push("## Links");
+  readmeLines.push("");
+  readmeLines.push(`- [Full JSON](targets.json)`);
+  readmeLines.push(`- [CSV export](targets.csv)`);
+  readmeLines.push(`- [Outreach pack](https://mcptoolshop.com/outreach/${slug}/)`);
+  readmeLines.push(`- [Press page](https://mcptoolshop.com/press/${slug}/)`);
+  readmeLines.push("");
+  files["README.md"] = readmeLines.join("\n");
+
+  // ── Draft outreach (top N) ────────────────────────────────────────────
+
+  const draftCandidates = sorted.slice(0, MAX_DRAFTS);
+  const oneLiner = tool.positioning?.oneLiner || "";
+  const pressPageUrl = `https://mcptoolshop.com/press/${slug}/`;
+  const outreachPackUrl = `https://mcptoolshop.com/outreach/${slug}/`;
+
+  // Proof bullets
+  const proofBullets = proven.slice(0, 3).map((c) =>
+    `- ${c.statement} (proof: ${pressPageUrl})`
+  );
+
+  for (const cand of draftCandidates) {
+    // Template selection based on owner type
+    let templateType;
+    if (cand.ownerType === "organization") {
+      templateType = "email-partner";
+    } else {
+      // Check if it's a tool/library by topics or language
+      const isLib = cand.topics.some((t) =>
+        ["library", "framework", "sdk", "cli", "tool"].includes(t)
+      );
+      templateType = isLib ? "email-integrator" : "dm-short";
+    }
+
+    const lines = [];
+    lines.push(`# Draft Outreach: ${cand.fullName}`);
+    lines.push("");
+    lines.push(`**Score:** ${cand.score} | **Template:** ${templateType} | **Stars:** ${cand.stars}`);
+    lines.push(`**Why matched:** ${[...new Set(cand.whyMatched)].join(", ")}`);
+    lines.push("");
+
+    if (templateType === "dm-short") {
+      // Short DM format
+      lines.push("## Short DM");
+      lines.push("");
+      lines.push("```");
+      const dm = `Hi! We built ${tool.name} (${oneLiner}). Your ${cand.repo} looks like a great fit — ${proofBullets.length} proven claims with receipts at ${pressPageUrl}`;
+      lines.push(dm.length > 300 ? dm.slice(0, 297) + "..." : dm);
+      lines.push("```");
+    } else {
+      // Email format
+      lines.push(`## Subject`);
+      lines.push("");
+      if (templateType === "email-partner") {
+        lines.push(`Partnership: ${tool.name} + ${cand.repo}`);
+      } else {
+        lines.push(`Integrate ${tool.name} into ${cand.repo}`);
+      }
+      lines.push("");
+      lines.push("## Body");
+      lines.push("");
+      lines.push(`[context] Hi — we built ${tool.name} and noticed ${cand.fullName}.`);
+      lines.push("");
+      lines.push(`${oneLiner}`);
+      lines.push("");
+      lines.push("**Proven capabilities:**");
+      lines.push("");
+      for (const bullet of proofBullets) {
+        lines.push(bullet);
+      }
+      lines.push("");
+
+      if (press?.partnerOffers?.length > 0 && templateType === "email-partner") {
+        lines.push("**What we offer:**");
+        lines.push("");
+        for (const offer of press.partnerOffers) {
+          lines.push(`- **${offer.type}:** ${offer.description}`);
+        }
+        lines.push("");
+      }
+
+      lines.push("**Links:**");
+      lines.push(`- Press page: ${pressPageUrl}`);
+      lines.push(`- Outreach pack: ${outreachPackUrl}`);
+      lines.push(`- GitHub: https://github.com/${SELF_ORG}/${slug}`);
+    }
+
+    lines.push("");
+    lines.push("---");
+    lines.push("");
+    lines.push(`_Generated for ${cand.fullName} by Target List Generator v${SCORING_VERSION}_`);
+    lines.push(`_Source lock: ${lockShort} | ${generatedAt}_`);
+    lines.push("");
+    files[`drafts/${cand.owner}--${cand.repo}.md`] = lines.join("\n");
+  }
+
+  return { targets: targetsJson, files };
+}
+
+// ─── Pipeline ────────────────────────────────────────────────────────────────
+
+/**
+ * Discover, rank and write target lists for every publicProof tool with a
+ * targeting block (optionally narrowed to `slugs`).
+ *
+ * @param {{
+ *   dataDir?: string,
+ *   publicDir?: string,
+ *   slugs?: string[]|null,
+ *   top?: number,
+ *   drafts?: number,
+ *   worthyOnly?: boolean,
+ *   token?: string,
+ *   client?: ReturnType<typeof createGitHubClient>,
+ *   now?: number,
+ *   generatedAt?: string,
+ *   dryRun?: boolean,
+ * }} opts
+ * @returns {Promise<{ lists: Array<{ slug: string, targets: object, files: Record<string, string> }>, skipped: Array<{ slug: string, reason: string }>, planned: Array<{ slug: string, queries: Array<object> }> }>}
+ */
+export async function generateTargets(opts = {}) {
+  const {
+    dataDir = DATA_DIR,
+    publicDir = PUBLIC_DIR,
+    slugs = null,
+    top = 100,
+    drafts = 25,
+    worthyOnly = false,
+    token = process.env.GITHUB_TOKEN || "",
+    now = Date.now(),
+    generatedAt,
+    dryRun = false,
+  } = opts;
+
+  const { paths, overrides, lockShort } = loadMarketirInputs(dataDir);
+  if (!overrides) {
+    throw new Error(`Failed to load overrides.json: ${paths.overridesPath}`);
+  }
+
+  let enabledSlugs = publicProofSlugs(overrides, slugs);
+
+  // Worthy-only filter: intersect with worthy.json repos where worthy === true
+  if (worthyOnly) {
+    const worthy = readJson(join(dataDir, "worthy.json"));
+    if (worthy?.repos) {
+      const worthySlugs = new Set(
+        Object.entries(worthy.repos)
+          .filter(([, v]) => v.worthy === true)
+          .map(([k]) => k)
+      );
+      const before = enabledSlugs.length;
+      enabledSlugs = enabledSlugs.filter((s) => worthySlugs.has(s));
+      console.log(`  --worthy-only: ${before} → ${enabledSlugs.length} slugs (${before - enabledSlugs.length} filtered out)`);
+    } else {
+      console.warn("  --worthy-only: worthy.json not found, no filtering applied.");
+    }
+  }
+
+  const lists = [];
+  const skipped = [];
+  const planned = [];
+  if (enabledSlugs.length === 0) return { lists, skipped, planned };
+
+  if (!opts.client && !token && !dryRun) {
+    throw new Error("GITHUB_TOKEN required — search API needs authentication.");
+  }
+  const client = opts.client || (dryRun ? null : createGitHubClient({ token, cacheDir: join(dataDir, "target-cache") }));
+
+  const painPoints = loadPainPoints(join(paths.marketirDir, "data", "audiences"));
+  const signalOrgs = loadSignalOrgs(join(dataDir, "signals"));
+  if (signalOrgs.size > 0) {
+    console.log(`  signal orgs loaded: ${signalOrgs.size}`);
+  }
+
+  for (const slug of enabledSlugs) {
+    const tool = readTool(paths, slug);
+    if (!tool) {
+      console.warn(`  No MarketIR data for ${slug}, skipping.`);
+      skipped.push({ slug, reason: "no MarketIR data" });
+      continue;
+    }
+
+    const targeting = tool.targeting;
+    if (!targeting) {
+      console.warn(`  No targeting block for ${slug}, skipping.`);
+      skipped.push({ slug, reason: "no targeting block" });
+      continue;
+    }
+
+    console.log(`\nGenerating targets for: ${slug}`);
+    console.log(`  keywords: ${targeting.keywords?.length || 0}`);
+    console.log(`  topics: ${targeting.topics?.length || 0}`);
+    console.log(`  languages: ${targeting.languages?.length || 0}`);
+    console.log(`  exclusions: ${targeting.exclusions?.length || 0}`);
+    console.log(`  seedRepos: ${targeting.seedRepos?.length || 0}`);
+
+    if (dryRun) {
+      const queries = plannedQueries(targeting, tool.press);
+      planned.push({ slug, queries, seedRepos: targeting.seedRepos || [] });
+      console.log("\n  [DRY RUN] Queries that would be executed:");
+      for (const q of queries) {
+        console.log(`    ${q.kind} search: ${q.kind === "comparable" ? q.label.slice("comparable:".length) : q.query}`);
+      }
+      for (const seed of targeting.seedRepos || []) {
+        console.log(`    seed repo: ${seed.owner}/${seed.repo}`);
+      }
+      console.log("  [DRY RUN] No API calls made.");
+      continue;
+    }
+
+    const { candidates, errors, discoveryStats } = await discoverCandidates({
+      targeting,
+      press: tool.press,
+      signalOrgs,
+      client,
+    });
+    console.log(`  raw candidates: ${discoveryStats.rawCandidates}, deduped: ${candidates.size}`);
+
+    const { ranked, afterExclusion } = rankCandidates(candidates.values(), { targeting, painPoints, max: top, now });
+    discoveryStats.afterExclusion = afterExclusion;
+    console.log(`  after exclusions: ${afterExclusion}`);
+    console.log(`  scored and ranked: ${ranked.length} (top ${top})`);
+
+    const list = buildTargetList({
+      slug,
+      tool,
+      ranked,
+      discoveryStats,
+      errors,
+      maxDrafts: drafts,
+      lockShort,
+      generatedAt,
+    });
+    lists.push({ slug, ...list });
+
+    const outDir = join(publicDir, "targets", slug);
+    mkdirSync(join(outDir, "drafts"), { recursive: true });
+    for (const [name, text] of Object.entries(list.files)) {
+      mkdirSync(dirname(join(outDir, name)), { recursive: true });
+      writeFileSync(join(outDir, name), text, "utf8");
+      if (!name.startsWith("drafts/")) console.log(`  wrote targets/${slug}/${name}`);
+    }
+    console.log(`  wrote ${Math.min(ranked.length, drafts)} draft outreach files`);
+    console.log(`  done: ${slug}`);
+  }
+
+  return { lists, skipped, planned };
+}
+
+// ─── Entry point ─────────────────────────────────────────────────────────────
+
+const isMain = process.argv[1] &&
+  resolve(process.argv[1]).endsWith("gen-targets.mjs");
+
+if (isMain) {
+  const args = process.argv.slice(2);
+  const getArg = (name, defaultVal) => {
+    const idx = args.indexOf(`--${name}`);
+    if (idx === -1) return defaultVal;
+    return parseInt(args[idx + 1], 10) || defaultVal;
+  };
+  const dryRun = args.includes("--dry-run");
+  const worthyOnly = args.includes("--worthy-only");
+  const top = getArg("top", 100);
+  const drafts = getArg("drafts", 25);
+  const token = process.env.GITHUB_TOKEN || "";
+
+  if (!token && !dryRun) {
+    console.error("GITHUB_TOKEN required — search API needs authentication.");
+    console.error("Set GITHUB_TOKEN env var or use --dry-run to preview queries.");
+    process.exit(1);
+  }
+
+  console.log(`Target List Generator v${SCORING_VERSION}`);
+  console.log(`  max candidates: ${top}`);
+  console.log(`  max drafts: ${drafts}`);
+  console.log(`  worthy-only: ${worthyOnly}`);
+  console.log(`  dry-run: ${dryRun}`);
+  console.log("");
+
+  try {
+    const result = await generateTargets({ slugs: parseSlugsArg(process.argv), top, drafts, worthyOnly, token, dryRun });
+    if (result.lists.length === 0 && result.skipped.length === 0 && result.planned.length === 0) {
+      console.log("No tools with publicProof enabled. Nothing to generate.");
+    }
+    console.log("\nDone.");
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+}
@@ -4,11 +4,15 @@
  * Telemetry Aggregator
  *
  * Reads raw event JSONL files and produces aggregated rollup + daily JSON.
+ * Events are validated against telemetry-schema.json (the single source of
+ * event types and payload rules); rejects are counted by reason in
+ * rollup.guardrails.rejectedByReason and excluded from every count.
  *
  * Usage:
  *   node scripts/gen-telemetry-aggregate.mjs [--dry-run]
  *
  * Reads:
+ *   site/src/data/telemetry-schema.json
  *   site/src/data/telemetry/events/*.jsonl
  *
  * Writes:
@@ -19,17 +23,17 @@
 import { readFileSync, readdirSync, writeFileSync, mkdirSync, existsSync } from "node:fs";
 import { resolve, join } from "node:path";
 import { getConfig, getRoot } from "./lib/config.mjs";
+import { loadTelemetrySchema, validateEvent } from "./lib/telemetry.mjs";
 
 const ROOT = getRoot();
 const config = getConfig();
 
+const SCHEMA_PATH = join(ROOT, config.paths.dataDir, "telemetry-schema.json");
+
 // ── Valid event types ─────────────────────────────────────────
 
-export const VALID_EVENT_TYPES = [
-  "copy_proof_link", "copy_bundle", "copy_verify_cmd",
-  "copy_install", "copy_proof_bullets", "copy_claim",
-  "click_evidence_link", "click_receipt_link", "click_submit_link",
-];
+/** Event types declared in telemetry-schema.json (empty when the kit has no schema). */
+export const VALID_EVENT_TYPES = Object.keys(loadTelemetrySchema(SCHEMA_PATH)?.eventTypes || {});
 
 // ── Parsing ───────────────────────────────────────────────────
 
@@ -39,7 +43,7 @@ export const VALID_EVENT_TYPES = [
  * @param {string} content
  * @returns {object[]}
  */
-export function parseEventsFile(content) {
+export function parseEventsFile(content, stats = null) {
   if (!content || !content.trim()) return [];
   const events = [];
   for (const line of content.split("\n")) {
@@ -49,36 +53,70 @@ export function parseEventsFile(content) {
       const evt = JSON.parse(trimmed);
       if (evt && evt.type && evt.timestamp) {
         events.push(evt);
+        continue;
       }
     } catch {
       // skip malformed lines
     }
+    if (stats) stats.malformed = (stats.malformed || 0) + 1;
   }
   return events;
 }
 
+// ── Validation ────────────────────────────────────────────────
+
+/**
+ * Split events into schema-valid (normalized) events and reject counts.
+ * @param {object[]} events
+ * @param {object|null} schema - telemetry-schema.json; null skips validation
+ * @returns {{ valid: object[], rejectedByReason: Record<string, number> }}
+ */
+export function filterValidEvents(events, schema) {
+  if (!schema) return { valid: events, rejectedByReason: {} };
+  const valid = [];
+  const rejectedByReason = {};
+  for (const evt of events) {
+    const result = validateEvent(evt, schema);
+    if (result.ok) {
+      valid.push(result.event);
+    } else {
+      rejectedByReason[result.reason] = (rejectedByReason[result.reason] || 0) + 1;
+    }
+  }
+  return { valid, rejectedByReason };
+}
+
 // ── Aggregation ───────────────────────────────────────────────
 
 /**
  * Aggregate events into counts by type, slug, and week.
- * Includes anti-gaming guardrails: per-day caps and spike detection.
+ * Includes anti-gaming guardrails: schema validation, per-day caps and
+ * spike detection.
  * @param {object[]} events
- * @param {{ enableCaps?: boolean, dailyCapPerType?: number, spikeThreshold?: number }} opts
+ * @param {{ enableCaps?: boolean, dailyCapPerType?: number, spikeThreshold?: number, schema?: object|null, malformedLines?: number }} opts
  * @returns {{ generatedAt: string, totalEvents: number, byType: object, bySlug: object, byWeek: object, metrics: object, guardrails: object }}
  */
 export function aggregateEvents(events, opts = {}) {
-  const { enableCaps = true, dailyCapPerType = 50, spikeThreshold = 300 } = opts;
+  const { enableCaps = true, dailyCapPerType = 50, spikeThreshold = 300, schema = null, malformedLines = 0 } = opts;
+
+  // Phase 0: Schema validation
+  const { valid, rejectedByReason } = filterValidEvents(events, schema);
+  if (malformedLines > 0) {
+    rejectedByReason.malformed = (rejectedByReason.malformed || 0) + malformedLines;
+  }
 
   // Phase 1: Apply per-day caps
   const dailyTypeCounts = {};
   const cappedEvents = [];
   const guardrails = {
-    totalEventsProcessed: events.length,
+    totalEventsProcessed: events.length + malformedLines,
+    eventsRejected: Object.values(rejectedByReason).reduce((a, b) => a + b, 0),
+    rejectedByReason,
     eventsCapped: 0,
     suspiciousDays: [],
   };
 
-  for (const evt of events) {
+  for (const evt of valid) {
     if (!evt.timestamp || !evt.type) {
       cappedEvents.push(evt);
       continue;
@@ -192,43 +230,51 @@ export function computeMetrics(byType, byWeek = {}) {
 
 /**
  * Read all JSONL event files, aggregate, write output.
- * @param {{ eventsDir?: string, outputPath?: string, dailyDir?: string, dryRun?: boolean }} opts
+ * @param {{ schemaPath?: string, eventsDir?: string, outputPath?: string, dailyDir?: string, dryRun?: boolean }} opts
  */
 export function genTelemetryAggregate(opts = {}) {
   const {
+    schemaPath = SCHEMA_PATH,
     eventsDir = join(ROOT, config.paths.dataDir, "telemetry", "events"),
     outputPath = join(ROOT, config.paths.dataDir, "telemetry", "rollup.json"),
     dailyDir = join(ROOT, config.paths.dataDir, "telemetry", "daily"),
     dryRun = false,
   } = opts;
 
+  const schema = loadTelemetrySchema(schemaPath);
+  if (!schema) {
+    console.warn(`  Warning: ${schemaPath} not found — events are not schema-validated`);
+  }
+
   // Collect all events
   const allEvents = [];
   const eventsByDay = {};
+  const parseStats = { malformed: 0 };
 
   if (existsSync(eventsDir)) {
     const files = readdirSync(eventsDir).filter((f) => f.endsWith(".jsonl"));
     for (const file of files) {
       const content = readFileSync(join(eventsDir, file), "utf8");
-      const events = parseEventsFile(content);
+      const events = parseEventsFile(content, parseStats);
       allEvents.push(...events);
     }
   }
 
-  // Group by day for daily rollups
-  for (const evt of allEvents) {
+  // Group valid events by day for daily rollups
+  for (const evt of filterValidEvents(allEvents, schema).valid) {
     const day = evt.timestamp.slice(0, 10); // YYYY-MM-DD
     if (!eventsByDay[day]) eventsByDay[day] = [];
     eventsByDay[day].push(evt);
   }
 
   // Aggregate all
-  const rollup = aggregateEvents(allEvents);
+  const rollup = aggregateEvents(allEvents, { schema, malformedLines: parseStats.malformed });
 
   if (dryRun) {
     console.log(`  [dry-run] Telemetry aggregation complete.`);
     console.log(`    Total events: ${allEvents.length}`);
     console.log(`    Days with data: ${Object.keys(eventsByDay).length}`);
+    console.log(`    Rejected: ${rollup.guardrails.eventsRejected}`);
     return { rollup, dailyCount: Object.keys(eventsByDay).length };
   }
 
@@ -261,6 +307,7 @@ if (isMain) {
   if (!dryRun) {
     console.log(`  Total events: ${result.rollup.totalEvents}`);
     console.log(`  Daily rollups: ${result.dailyCount}`);
+    console.log(`  Rejected events: ${result.rollup.guardrails.eventsRejected}`);
     console.log(`  Verification rate: ${(result.rollup.metrics.verificationRate * 100).toFixed(1)}%`);
   }
 }
@@ -20,9 +20,17 @@
  *   site/src/data/ops-history.json                 (artifact hash)
  *   site/src/data/promo-decisions.json             (artifact hash)
  *   site/src/data/experiment-decisions.json        (artifact hash)
+ *   site/public/**                                 (public manifest, filtered by
+ *                                                   kit.config.json trust.include/exclude)
  *
  * Writes:
  *   site/public/trust.json
+ *   site/public/trust.json.sig         (when a signing key is configured)
+ *   site/public/trust-signing-key.pem  (when a signing key is configured)
+ *
+ * Environment:
+ *   PROMO_KIT_SIGNING_KEY       Ed25519 private key (PKCS#8 PEM) — optional
+ *   PROMO_KIT_SIGNING_KEY_FILE  path to the same, if not given inline
  */
 
 import { readFileSync, writeFileSync, readdirSync, existsSync } from "node:fs";
@@ -30,6 +38,8 @@ import { resolve, join } from "node:path";
 import { execSync } from "node:child_process";
 import { createHash } from "node:crypto";
 import { getConfig, getRoot } from "./lib/config.mjs";
+import { loadSigningKey, signFile, removeSignature, publishPublicKey } from "./lib/signing.mjs";
+import { buildPublicManifest } from "./lib/merkle.mjs";
 
 const ROOT = getRoot();
 const config = getConfig();
@@ -60,11 +70,24 @@ function hashFile(filePath) {
 /**
  * Build a trust receipt object from available data.
  *
- * @param {{ dataDir?: string, root?: string }} opts
+ * @param {{
+ *   dataDir?: string,
+ *   publicDir?: string,
+ *   root?: string,
+ *   include?: string[],
+ *   exclude?: string[],
+ * }} opts
+ *   `include`/`exclude` filter the public manifest (default: kit.config.json `trust`).
  * @returns {object} Trust receipt
  */
 export function buildTrustReceipt(opts = {}) {
-  const { dataDir = DATA_DIR, root = ROOT } = opts;
+  const {
+    dataDir = DATA_DIR,
+    publicDir = PUBLIC_DIR,
+    root = ROOT,
+    include = config.trust.include,
+    exclude = config.trust.exclude,
+  } = opts;
 
   // 1. Git SHA (graceful degradation: still hashes everything, just marks commit as null)
   let commit = null;
@@ -135,6 +158,9 @@ export function buildTrustReceipt(opts = {}) {
     }
   }
 
+  // 7. Public manifest — every published artifact, per-slug subtrees, Merkle root (see lib/merkle.mjs)
+  const publicManifest = buildPublicManifest(publicDir, { include, exclude });
+
   const receipt = {
     generatedAt: new Date().toISOString(),
     commit,
@@ -143,32 +169,52 @@ export function buildTrustReceipt(opts = {}) {
     provenClaims,
     worthyStats,
     artifactManifest,
+    publicManifest,
   };
   if (gitWarning) receipt.warning = gitWarning;
   return receipt;
 }
 
 /**
- * Full pipeline: build receipt and write to site/public/trust.json.
+ * Full pipeline: build receipt and write to site/public/trust.json. With a
+ * signing key, also writes trust.json.sig and publishes the public key.
  *
- * @param {{ dataDir?: string, publicDir?: string, root?: string, dryRun?: boolean }} opts
+ * @param {{
+ *   dataDir?: string,
+ *   publicDir?: string,
+ *   root?: string,
+ *   dryRun?: boolean,
+ *   signingKey?: import("node:crypto").KeyObject|null,
+ * }} opts
+ *   `signingKey` defaults to the key from the environment (see lib/signing.mjs).
  * @returns {object} Trust receipt
  */
 export function generateTrustReceipt(opts = {}) {
-  const { publicDir = PUBLIC_DIR, dryRun = false, ...buildOpts } = opts;
+  const { publicDir = PUBLIC_DIR, dryRun = false, signingKey = loadSigningKey(), ...buildOpts } = opts;
 
-  const receipt = buildTrustReceipt(buildOpts);
+  const receipt = buildTrustReceipt({ ...buildOpts, publicDir });
 
   if (dryRun) {
     console.log(`  [dry-run] Would write trust.json (commit: ${receipt.commit})`);
     console.log(`  [dry-run] MarketIR lock: ${receipt.marketirLockHash || "N/A"}`);
     console.log(`  [dry-run] Proven claims: ${receipt.provenClaims}`);
     console.log(`  [dry-run] Artifacts: ${Object.keys(receipt.artifactManifest).length} files hashed`);
+    console.log(`  [dry-run] Public manifest: ${receipt.publicManifest.fileCount} files, root ${receipt.publicManifest.merkleRoot || "N/A"}`);
+    console.log(`  [dry-run] Signing: ${signingKey ? "would sign trust.json" : "no signing key configured"}`);
     return receipt;
   }
 
-  writeFileSync(join(publicDir, "trust.json"), JSON.stringify(receipt, null, 2) + "\n", "utf8");
-  console.log(`  Wrote trust.json (commit: ${receipt.commit}, ${Object.keys(receipt.artifactManifest).length} artifacts)`);
+  const trustPath = join(publicDir, "trust.json");
+  writeFileSync(trustPath, JSON.stringify(receipt, null, 2) + "\n", "utf8");
+  console.log(`  Wrote trust.json (commit: ${receipt.commit}, ${Object.keys(receipt.artifactManifest).length} artifacts, ${receipt.publicManifest.fileCount} public files)`);
+
+  if (signingKey) {
+    signFile(trustPath, signingKey);
+    publishPublicKey(publicDir, signingKey);
+    console.log("  Signed trust.json (trust.json.sig, trust-signing-key.pem)");
+  } else {
+    removeSignature(trustPath);
+  }
 
   return receipt;
 }
@@ -187,4 +233,5 @@ if (isMain) {
   console.log(`  Commit: ${receipt.commit}`);
   console.log(`  Proven claims: ${receipt.provenClaims}`);
   console.log(`  Worthy: ${receipt.worthyStats.worthy}/${receipt.worthyStats.total}`);
+  console.log(`  Merkle root: ${receipt.publicManifest.merkleRoot || "N/A"} (${Object.keys(receipt.publicManifest.subtrees).length} subtrees)`);
 }
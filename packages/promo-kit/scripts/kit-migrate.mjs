@@ -6,15 +6,16 @@
  * Reads kitVersion from kit.config.json and applies schema transforms
  * to bring data files up to the current version.
  *
- * v1 → v1 is a no-op (current).
+ * v1 → v2: experiments.json schemaVersion 1 (control/variant) → 2 (arms + primaryMetric).
  *
  * Usage:
  *   node scripts/kit-migrate.mjs
  */
 
-import { readFileSync, writeFileSync } from "node:fs";
+import { readFileSync, writeFileSync, existsSync } from "node:fs";
 import { resolve, join, dirname } from "node:path";
 import { loadKitConfig, KIT_VERSION_SUPPORTED } from "./lib/config.mjs";
+import { upgradeExperiment, EXPERIMENTS_SCHEMA_VERSION } from "./lib/experiments.mjs";
 
 const SCRIPT_ROOT = resolve(import.meta.dirname, "..");
 
@@ -26,13 +27,21 @@ const SCRIPT_ROOT = resolve(import.meta.dirname, "..");
  * @type {Map<number, { label: string, migrate: (root: string, config: object) => void }>}
  */
 const MIGRATIONS = new Map([
-  // Example for future:
-  // [2, {
-  //   label: "v1 → v2: Add guardrails.maxRecommendations",
-  //   migrate(root, config) {
-  //     // transform data files for v2
-  //   },
-  // }],
+  [2, {
+    label: "v1 → v2: Upgrade two-arm experiments to the multi-arm schema",
+    migrate(root, config) {
+      const experimentsPath = join(root, config.paths.dataDir, "experiments.json");
+      if (!existsSync(experimentsPath)) {
+        console.log("    experiments.json not found — nothing to upgrade");
+        return;
+      }
+      const data = JSON.parse(readFileSync(experimentsPath, "utf8"));
+      const experiments = (data.experiments || []).map(upgradeExperiment);
+      const upgraded = { ...data, schemaVersion: EXPERIMENTS_SCHEMA_VERSION, experiments };
+      writeFileSync(experimentsPath, JSON.stringify(upgraded, null, 2) + "\n");
+      console.log(`    Upgraded ${experiments.length} experiment${experiments.length !== 1 ? "s" : ""} to schemaVersion ${EXPERIMENTS_SCHEMA_VERSION}`);
+    },
+  }],
 ]);
 
 // ── Main ─────────────────────────────────────────────────────
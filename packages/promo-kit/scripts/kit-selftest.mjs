@@ -3,19 +3,31 @@
 /**
  * Kit Self-Test
  *
- * Validates the kit installation: config, seeds, invariants, dry-runs, build.
+ * Validates the kit installation: config, seeds, invariants, dry-runs,
+ * receipt signatures, build.
  *
  * Usage:
  *   node scripts/kit-selftest.mjs [--skip-build] [--skip-invariants]
  *
  * Environment:
  *   KIT_CONFIG=/path/to/kit.config.json — point at an alternate config root
+ *   PROMO_KIT_SIGNING_KEY / PROMO_KIT_SIGNING_KEY_FILE — signing key to check
+ *     against the published public key (see lib/signing.mjs)
  */
 
 import { existsSync } from "node:fs";
-import { resolve, join, dirname } from "node:path";
+import { resolve, join, dirname, relative, sep } from "node:path";
 import { execSync } from "node:child_process";
 import { loadKitConfig, KIT_VERSION_SUPPORTED } from "./lib/config.mjs";
+import { listReceiptWeeks, weekReceiptPath } from "./lib/receipts.mjs";
+import {
+  SIGNING_KEY_ENV,
+  PUBLIC_KEY_FILE,
+  loadSigningKey,
+  loadPublicKey,
+  keyId,
+  verifyFileSignature,
+} from "./lib/signing.mjs";
 
 const SCRIPT_ROOT = resolve(import.meta.dirname, ".."); // where scripts live
 const DATA_ROOT = process.env.KIT_CONFIG
@@ -110,13 +122,14 @@ check("no unknown config keys", () => {
   };
 
   const knownKeys = {
-    _top: new Set(["kitVersion", "org", "site", "repo", "contact", "paths", "guardrails"]),
+    _top: new Set(["kitVersion", "org", "site", "repo", "contact", "paths", "guardrails", "trust"]),
     paths: new Set(["dataDir", "publicDir"]),
     org: new Set(["name", "account", "url"]),
     site: new Set(["title", "url", "description"]),
     repo: new Set(["marketing"]),
     contact: new Set(["email"]),
     guardrails: new Set(["maxDataPatchesPerRun", "dailyTelemetryCapPerType", "spikeThreshold", "maxRecommendations"]),
+    trust: new Set(["include", "exclude"]),
   };
 
   const issues = [];
@@ -236,6 +249,7 @@ console.log("\n[Core Dry-Runs]");
 
 const dryRunScripts = [
   "scripts/gen-promo-decisions.mjs",
+  "scripts/gen-promo-plan.mjs",
   "scripts/gen-experiment-decisions.mjs",
   "scripts/gen-baseline.mjs",
   "scripts/gen-feedback-summary.mjs",
@@ -266,6 +280,49 @@ for (const script of dryRunScripts) {
   });
 }
 
+// 4b. Signatures (optional — only when a signing key or public key is present)
+console.log("\n[Signatures]");
+
+{
+  const publicDir = join(DATA_ROOT, config.paths.publicDir);
+  let signingKey = null;
+  let publicKey = null;
+
+  check("signing key (if configured) is a valid Ed25519 key", () => {
+    signingKey = loadSigningKey();
+  });
+  check("published public key (if any) is readable", () => {
+    publicKey = loadPublicKey(publicDir);
+  });
+
+  if (!signingKey && !publicKey) {
+    console.log(`  ⚠ No ${SIGNING_KEY_ENV} and no ${PUBLIC_KEY_FILE} — receipts are unsigned`);
+  } else {
+    if (signingKey && publicKey) {
+      check(`${PUBLIC_KEY_FILE} matches the signing key`, () => {
+        assert(
+          keyId(signingKey) === keyId(publicKey),
+          `published key ${keyId(publicKey)} != signing key ${keyId(signingKey)}. Fix: re-run gen-trust-receipt.mjs to publish the current key`
+        );
+      });
+    }
+
+    if (publicKey) {
+      const signed = [join(publicDir, "trust.json"), ...listReceiptWeeks(publicDir).map((w) => weekReceiptPath(publicDir, w))];
+      for (const file of signed.filter((f) => existsSync(f))) {
+        const label = relative(publicDir, file).split(sep).join("/");
+        check(`${label} signature`, () => {
+          const { status, keyId: id } = verifyFileSignature(file, publicKey);
+          assert(
+            status === "valid" || status === "unsigned",
+            `signature ${status}${id ? ` (key ${id})` : ""}. Fix: regenerate and re-sign it, or investigate tampering`
+          );
+        });
+      }
+    }
+  }
+}
+
 // 5. Site build (optional)
 if (!skipBuild) {
   console.log("\n[Site Build]");
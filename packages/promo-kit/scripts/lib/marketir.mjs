@@ -0,0 +1,123 @@
+/**
+ * Shared MarketIR input loading for the marketing generators
+ * (presskit, snippets, campaign bundles, outreach packs, targets).
+ *
+ * The generators read the same inputs — overrides.json, the MarketIR
+ * snapshot, per-tool data, GitHub facts and the go-link registry — from
+ * the configured data directory:
+ *
+ *   <dataDir>/overrides.json
+ *   <dataDir>/links.json                     (optional)
+ *   <dataDir>/github-facts/<slug>.json       (optional)
+ *   <dataDir>/marketir/marketir.snapshot.json
+ *   <dataDir>/marketir/data/tools/<slug>.json
+ *
+ * Everything here is read-only and fail-soft: missing files come back as
+ * null / empty so each generator decides what is fatal.
+ */
+
+import { readFileSync } from "node:fs";
+import { join } from "node:path";
+
+// ── Helpers ──────────────────────────────────────────────────
+
+export function readJson(filePath) {
+  try {
+    return JSON.parse(readFileSync(filePath, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Paths of the MarketIR inputs under a data directory.
+ *
+ * @param {string} dataDir
+ */
+export function marketirPaths(dataDir) {
+  const marketirDir = join(dataDir, "marketir");
+  return {
+    marketirDir,
+    toolsDir: join(marketirDir, "data", "tools"),
+    overridesPath: join(dataDir, "overrides.json"),
+    linksPath: join(dataDir, "links.json"),
+    factsDir: join(dataDir, "github-facts"),
+  };
+}
+
+/** Short lock hash shown in generated footers. */
+export function lockShortOf(snapshot) {
+  return snapshot?.lockSha256?.slice(0, 12) || "unknown";
+}
+
+/**
+ * Index go-links by tool slug and by the message they track.
+ *
+ * @param {{ links?: Array<{ id: string, slug: string, messageRef?: string }> }|null} linksData
+ * @returns {{ bySlug: Map<string, Array<object>>, byMessage: Map<string, string> }}
+ */
+export function indexLinks(linksData) {
+  const bySlug = new Map();
+  const byMessage = new Map();
+  for (const link of linksData?.links || []) {
+    if (!bySlug.has(link.slug)) bySlug.set(link.slug, []);
+    bySlug.get(link.slug).push(link);
+    if (link.messageRef) byMessage.set(link.messageRef, link.id);
+  }
+  return { bySlug, byMessage };
+}
+
+/**
+ * Slugs with publicProof enabled, optionally narrowed to `slugs`.
+ *
+ * @param {object} overrides
+ * @param {string[]|null} [slugs]
+ * @returns {string[]}
+ */
+export function publicProofSlugs(overrides, slugs = null) {
+  const filter = slugs ? new Set(slugs) : null;
+  return Object.entries(overrides || {})
+    .filter(([, v]) => v.publicProof === true)
+    .filter(([k]) => !filter || filter.has(k))
+    .map(([k]) => k);
+}
+
+/**
+ * Parse the shared `--slugs a,b` CLI flag.
+ *
+ * @param {string[]} argv
+ * @returns {string[]|null}
+ */
+export function parseSlugsArg(argv) {
+  const idx = argv.indexOf("--slugs");
+  if (idx === -1 || !argv[idx + 1]) return null;
+  return argv[idx + 1].split(",");
+}
+
+/**
+ * Load the inputs every generator shares.
+ *
+ * @param {string} dataDir
+ * @returns {{ paths: object, overrides: object|null, snapshot: object|null, lockShort: string, links: ReturnType<typeof indexLinks> }}
+ */
+export function loadMarketirInputs(dataDir) {
+  const paths = marketirPaths(dataDir);
+  const snapshot = readJson(join(paths.marketirDir, "marketir.snapshot.json"));
+  return {
+    paths,
+    overrides: readJson(paths.overridesPath),
+    snapshot,
+    lockShort: lockShortOf(snapshot),
+    links: indexLinks(readJson(paths.linksPath)),
+  };
+}
+
+/** MarketIR tool data for a slug, or null. */
+export function readTool(paths, slug) {
+  return readJson(join(paths.toolsDir, `${slug}.json`));
+}
+
+/** GitHub facts snapshot for a slug, or null. */
+export function readFacts(paths, slug) {
+  return readJson(join(paths.factsDir, `${slug}.json`));
+}
@@ -0,0 +1,231 @@
+/**
+ * Public artifact manifest with a Merkle root.
+ *
+ * Every file under the public dir that matches `trust.include` and not
+ * `trust.exclude` (kit.config.json) is hashed over its raw bytes and filed
+ * under a subtree: the tool slug for per-tool artifacts, `_site` for the rest.
+ *
+ *   presskit/<slug>/…  outreach/<slug>/…  partners/<slug>/…  targets/<slug>/…
+ *   snippets/<slug>[.<locale>].md         screenshots/<slug>.png
+ *
+ * trust.json carries the per-file hashes, each subtree's root and the root
+ * over all subtrees:
+ *
+ *   "publicManifest": {
+ *     "merkleRoot": "sha256:…",
+ *     "fileCount": 142,
+ *     "subtrees": {
+ *       "zip-meta-map": { "root": "sha256:…", "files": { "partners/zip-meta-map/partner-pack.zip": "sha256:…" } },
+ *       …
+ *     }
+ *   }
+ *
+ * A partner holding only their own files can check them against the listed
+ * hashes, recompute their subtree root from those hashes, and recompute the
+ * Merkle root from the listed subtree roots — without any other tool's files.
+ *
+ * Tree shape: leaves sorted by path (subtrees by slug); each level pairs
+ * neighbours and carries an odd last node up unchanged. Hashes are hex
+ * SHA-256 with domain-separated inputs:
+ *   leaf    = sha256("leaf:" + path + ":" + fileHash)
+ *   subtree = sha256("subtree:" + slug + ":" + subtreeRoot)
+ *   node    = sha256("node:" + left + right)
+ */
+
+import { readFileSync, readdirSync, existsSync } from "node:fs";
+import { join } from "node:path";
+import { createHash } from "node:crypto";
+
+// ── Constants ────────────────────────────────────────────────
+
+/** Subtree for artifacts that do not belong to one tool. */
+export const SITE_SUBTREE = "_site";
+
+/** Dirs whose second path segment is a tool slug. */
+export const SLUG_DIRS = ["presskit", "outreach", "partners", "targets"];
+
+/** Dirs whose files are named after a tool slug. */
+export const SLUG_FILE_DIRS = ["snippets", "screenshots"];
+
+/** trust.json and its signing companions cannot hash themselves. */
+export const TRUST_FILES = ["trust.json", "trust.json.sig", "trust-signing-key.pem"];
+
+// ── Globs ────────────────────────────────────────────────────
+
+/**
+ * Convert a glob to an anchored RegExp over posix paths.
+ * Supports `**` (any depth), `*` (within a segment) and `?`.
+ *
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  let re = "";
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === "*" && glob[i + 1] === "*") {
+      if (glob[i + 2] === "/") {
+        re += "(?:.*/)?";
+        i += 2;
+      } else {
+        re += ".*";
+        i += 1;
+      }
+    } else if (ch === "*") {
+      re += "[^/]*";
+    } else if (ch === "?") {
+      re += "[^/]";
+    } else {
+      re += ch.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+/** Whether a posix path matches any of the globs. */
+export function matchesAnyGlob(path, globs) {
+  return globs.some((g) => globToRegExp(g).test(path));
+}
+
+// ── Hashing ──────────────────────────────────────────────────
+
+function sha256(input) {
+  return createHash("sha256").update(input).digest("hex");
+}
+
+/** "sha256:<hex>" of a file's raw bytes (binary-safe, unlike receipts' hashFile). */
+export function hashBytes(filePath) {
+  return "sha256:" + sha256(readFileSync(filePath));
+}
+
+/**
+ * Merkle root over hex leaf hashes, or null when there are none.
+ *
+ * @param {string[]} leaves
+ * @returns {string|null} hex
+ */
+export function merkleRoot(leaves) {
+  if (leaves.length === 0) return null;
+  let level = leaves;
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? sha256("node:" + level[i] + level[i + 1]) : level[i]);
+    }
+    level = next;
+  }
+  return level[0];
+}
+
+/**
+ * Root of one subtree from its files.
+ *
+ * @param {Record<string, string>} files - path → "sha256:…"
+ * @returns {string|null} "sha256:<hex>"
+ */
+export function subtreeRoot(files) {
+  const leaves = Object.keys(files).sort().map((p) => sha256(`leaf:${p}:${files[p]}`));
+  const root = merkleRoot(leaves);
+  return root && "sha256:" + root;
+}
+
+/**
+ * Merkle root over all subtree roots.
+ *
+ * @param {Record<string, { root: string }>} subtrees
+ * @returns {string|null} "sha256:<hex>"
+ */
+export function manifestRoot(subtrees) {
+  const leaves = Object.keys(subtrees).sort().map((s) => sha256(`subtree:${s}:${subtrees[s].root}`));
+  const root = merkleRoot(leaves);
+  return root && "sha256:" + root;
+}
+
+// ── Manifest ─────────────────────────────────────────────────
+
+/**
+ * Subtree a public artifact belongs to.
+ *
+ * @param {string} path - posix path relative to the public dir
+ * @returns {string}
+ */
+export function artifactSubtree(path) {
+  const segs = path.split("/");
+  if (segs.length >= 3 && SLUG_DIRS.includes(segs[0])) return segs[1];
+  if (segs.length === 2 && SLUG_FILE_DIRS.includes(segs[0])) return segs[1].split(".")[0];
+  return SITE_SUBTREE;
+}
+
+function walk(dir, prefix, out) {
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) walk(join(dir, entry.name), rel, out);
+    else if (entry.isFile()) out.push(rel);
+  }
+  return out;
+}
+
+/**
+ * Walk the public dir and build the manifest.
+ *
+ * @param {string} publicDir
+ * @param {{ include?: string[], exclude?: string[] }} [opts]
+ * @returns {{ merkleRoot: string|null, fileCount: number, subtrees: Record<string, { root: string, files: Record<string, string> }> }}
+ */
+export function buildPublicManifest(publicDir, opts = {}) {
+  const { include = ["**"], exclude = [] } = opts;
+  const paths = existsSync(publicDir) ? walk(publicDir, "", []) : [];
+
+  const grouped = {};
+  let fileCount = 0;
+  for (const path of paths.sort()) {
+    if (TRUST_FILES.includes(path)) continue;
+    if (!matchesAnyGlob(path, include) || matchesAnyGlob(path, exclude)) continue;
+    const slug = artifactSubtree(path);
+    if (!grouped[slug]) grouped[slug] = {};
+    grouped[slug][path] = hashBytes(join(publicDir, path));
+    fileCount++;
+  }
+
+  const subtrees = {};
+  for (const slug of Object.keys(grouped).sort()) {
+    subtrees[slug] = { root: subtreeRoot(grouped[slug]), files: grouped[slug] };
+  }
+  return { merkleRoot: manifestRoot(subtrees), fileCount, subtrees };
+}
+
+/**
+ * Check one subtree of a manifest against the files a holder actually has.
+ * Files the holder lacks are skipped; every file they have must match, the
+ * subtree root must follow from its listed hashes and the Merkle root from
+ * the listed subtree roots.
+ *
+ * @param {ReturnType<typeof buildPublicManifest>} manifest
+ * @param {string} slug
+ * @param {Record<string, string|null>} actual - path → hash of the holder's copy (null: not held)
+ * @returns {{
+ *   slug: string,
+ *   status: "verified"|"mismatch"|"missing",
+ *   checks: Array<{ kind: "file"|"subtree"|"root", path: string, expected: string|null, actual: string|null, ok: boolean }>,
+ *   mismatches: number,
+ * }}
+ */
+export function verifyPublicSubtree(manifest, slug, actual) {
+  const subtree = manifest?.subtrees?.[slug];
+  if (!subtree) return { slug, status: "missing", checks: [], mismatches: 0 };
+
+  const checks = [];
+  for (const [path, expected] of Object.entries(subtree.files)) {
+    if (actual[path] == null) continue;
+    checks.push({ kind: "file", path, expected, actual: actual[path], ok: actual[path] === expected });
+  }
+  if (checks.length === 0) return { slug, status: "missing", checks, mismatches: 0 };
+
+  const recomputedSubtree = subtreeRoot(subtree.files);
+  checks.push({ kind: "subtree", path: slug, expected: subtree.root, actual: recomputedSubtree, ok: recomputedSubtree === subtree.root });
+  const recomputedRoot = manifestRoot(manifest.subtrees);
+  checks.push({ kind: "root", path: "merkleRoot", expected: manifest.merkleRoot, actual: recomputedRoot, ok: recomputedRoot === manifest.merkleRoot });
+
+  const mismatches = checks.filter((c) => !c.ok).length;
+  return { slug, status: mismatches > 0 ? "mismatch" : "verified", checks, mismatches };
+}
@@ -0,0 +1,287 @@
+/**
+ * Multi-week promo queue helpers.
+ *
+ * promo-queue.json keeps its single-week shape for the current week and may
+ * carry a forward plan of upcoming weeks:
+ *
+ *   {
+ *     "week": "2026-02-17", "slugs": ["zip-meta-map"], "promotionType": "own", "notes": "",
+ *     "weeks": [
+ *       { "week": "2026-02-24", "slugs": ["a-tool"], "promotionType": "own", "notes": "launch" },
+ *       { "week": "2026-03-03", "slugs": [{ "slug": "b-tool", "channels": ["presskit"] }] }
+ *     ]
+ *   }
+ *
+ * A week runs for seven days from its `week` date. The week containing
+ * today is the current week: an entry in `weeks` wins over the top-level
+ * fields, which stay the fallback for queues without a plan.
+ */
+
+// ── Constants ────────────────────────────────────────────────
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_DAYS = 7;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// ── Dates ────────────────────────────────────────────────────
+
+/** YYYY-MM-DD (UTC) for a timestamp in ms. */
+export function isoDay(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+/** Add `n` days to a YYYY-MM-DD date. */
+export function addDays(day, n) {
+  return isoDay(Date.parse(`${day}T00:00:00Z`) + n * DAY_MS);
+}
+
+function isDay(value) {
+  return typeof value === "string" && DATE_RE.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+function weekContains(week, day) {
+  return week <= day && day < addDays(week, WEEK_DAYS);
+}
+
+// ── Queue shape ──────────────────────────────────────────────
+
+/** Slug name of a queue entry (string or `{ slug, channels }`). */
+export function entrySlug(entry) {
+  return typeof entry === "string" ? entry : entry?.slug;
+}
+
+function normalizeWeek(entry) {
+  return {
+    week: entry.week,
+    slugs: Array.isArray(entry.slugs) ? entry.slugs : [],
+    promotionType: entry.promotionType || "own",
+    notes: entry.notes || "",
+    ...(entry.campaign ? { campaign: entry.campaign } : {}),
+  };
+}
+
+/**
+ * Every week the queue knows about — the top-level week plus `weeks` —
+ * sorted by date. A `weeks` entry replaces a top-level week with the same date.
+ *
+ * @param {object} queue - promo-queue.json contents
+ * @returns {Array<{ week: string, slugs: Array, promotionType: string, notes: string, campaign?: object }>}
+ */
+export function queueWeeks(queue) {
+  const byWeek = new Map();
+  if (isDay(queue?.week)) byWeek.set(queue.week, normalizeWeek(queue));
+  for (const entry of Array.isArray(queue?.weeks) ? queue.weeks : []) {
+    if (entry && isDay(entry.week)) byWeek.set(entry.week, normalizeWeek(entry));
+  }
+  return [...byWeek.values()].sort((a, b) => a.week.localeCompare(b.week));
+}
+
+/**
+ * Resolve the week to promote now: the planned week containing `now`,
+ * else the top-level queue fields unchanged.
+ *
+ * @param {object} queue - promo-queue.json contents
+ * @param {{ now?: number }} [opts]
+ * @returns {{ week: string, slugs: Array, promotionType: string, notes: string, campaign?: object, planned: boolean }}
+ */
+export function resolveCurrentWeek(queue, opts = {}) {
+  const { now = Date.now() } = opts;
+  const today = isoDay(now);
+  const planned = (Array.isArray(queue?.weeks) ? queue.weeks : [])
+    .filter((w) => w && isDay(w.week) && weekContains(w.week, today))
+    .sort((a, b) => b.week.localeCompare(a.week))[0];
+  if (planned) return { ...normalizeWeek(planned), planned: true };
+  return {
+    week: queue?.week || "",
+    slugs: queue?.slugs || [],
+    promotionType: queue?.promotionType || "own",
+    notes: queue?.notes || "",
+    ...(queue?.campaign ? { campaign: queue.campaign } : {}),
+    planned: false,
+  };
+}
+
+// ── Capacity ─────────────────────────────────────────────────
+
+/**
+ * Promotions a week can hold: `maxPromosPerWeek`, further capped by how
+ * many runs fit in the 200-minute tier headroom computed by gen-baseline.
+ *
+ * @param {object} governance - governance.json
+ * @param {object} baseline - baseline.json
+ * @returns {{ maxPromosPerWeek: number, avgMinutesPerRun: number, headroom: number, budgetItems: number|null, itemsAllowed: number }}
+ */
+export function weeklyCapacity(governance = {}, baseline = {}) {
+  const maxPromosPerWeek = governance.maxPromosPerWeek || 3;
+  const minuteBudgets = baseline.minuteBudgets || {};
+  const tier200 = minuteBudgets["200"] || minuteBudgets[200] || null;
+  const headroom = tier200 ? tier200.headroom : 200;
+  const avgMinutesPerRun = baseline.avgMinutesPerRun || 0;
+  const budgetItems = avgMinutesPerRun === 0 ? null : Math.floor(headroom / avgMinutesPerRun);
+  return {
+    maxPromosPerWeek,
+    avgMinutesPerRun,
+    headroom,
+    budgetItems,
+    itemsAllowed: budgetItems === null ? maxPromosPerWeek : Math.min(maxPromosPerWeek, budgetItems),
+  };
+}
+
+// ── Planning ─────────────────────────────────────────────────
+
+/**
+ * Most recent promotion date per slug from ops history (newest first).
+ *
+ * @param {Array} opsHistory
+ * @returns {Map<string, string>}
+ */
+export function lastPromotions(opsHistory) {
+  const last = new Map();
+  for (const entry of opsHistory || []) {
+    const day = typeof entry?.date === "string" ? entry.date.slice(0, 10) : null;
+    if (!isDay(day)) continue;
+    const promoted = entry.promotedSlugs || entry.slugs || [];
+    for (const slug of Array.isArray(promoted) ? promoted.map(entrySlug) : []) {
+      if (slug && !last.has(slug)) last.set(slug, day);
+    }
+  }
+  return last;
+}
+
+/**
+ * Plan the next `horizon` weeks. Weeks already in the queue keep their
+ * slugs; later weeks are filled from promo-decisions.json, highest score
+ * first, up to weekly capacity. A slug is placed at most once and never
+ * inside its cooldown (ops history or an earlier planned week). The week
+ * containing `now` is reported but never filled — it may already be running
+ * — and the slugs decisions skipped or deferred there roll over.
+ *
+ * @param {{
+ *   queue?: object, decisions?: object, governance?: object, baseline?: object,
+ *   opsHistory?: Array, now?: number, horizon?: number
+ * }} inputs
+ * @returns {{
+ *   capacity: ReturnType<typeof weeklyCapacity>,
+ *   weeks: Array<{ week: string, slugs: Array, promotionType: string, notes: string, added: string[],
+ *                  capacity: number, planned: number, overCapacity: boolean, issues: string[] }>,
+ *   unplaced: Array<{ slug: string, score: number, reason: string }>,
+ *   warnings: string[]
+ * }}
+ */
+export function planWeeks(inputs = {}) {
+  const {
+    queue = {},
+    decisions = {},
+    governance = {},
+    baseline = {},
+    opsHistory = [],
+    now = Date.now(),
+    horizon = 4,
+  } = inputs;
+  const warnings = [];
+  const capacity = weeklyCapacity(governance, baseline);
+  const cooldownDays = governance.cooldownDaysPerSlug || 14;
+  const today = isoDay(now);
+
+  // Anchor week labels on the queue so planned weeks share its weekday
+  const existing = queueWeeks(queue);
+  const current = existing.find((w) => weekContains(w.week, today));
+  let anchor = current?.week || queue?.week;
+  if (!isDay(anchor)) {
+    const monday = new Date(now);
+    monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+    anchor = isoDay(monday.getTime());
+  }
+  const offset = Math.floor((Date.parse(today) - Date.parse(anchor)) / DAY_MS / WEEK_DAYS);
+  const currentWeek = addDays(anchor, offset * WEEK_DAYS);
+
+  const byWeek = new Map(existing.map((w) => [w.week, w]));
+  const lastPromoted = lastPromotions(opsHistory);
+  const actions = new Map((decisions?.decisions || []).map((d) => [d?.slug, d?.action]));
+  const placedAt = new Map();
+  const weeks = [];
+
+  for (let i = 0; i < horizon; i++) {
+    const week = addDays(currentWeek, i * WEEK_DAYS);
+    const base = byWeek.get(week) || normalizeWeek({ week });
+    const entry = { ...base, slugs: [...base.slugs], added: [], issues: [] };
+
+    for (const slug of entry.slugs.map(entrySlug)) {
+      const last = placedAt.get(slug) || lastPromoted.get(slug);
+      if (last && week < addDays(last, cooldownDays)) {
+        entry.issues.push(`${slug} is inside its ${cooldownDays}-day cooldown (last ${last})`);
+      }
+      // This week's skipped / deferred slugs roll over to a later week
+      const rolled = week === currentWeek && ["skip", "defer"].includes(actions.get(slug));
+      if (!rolled) placedAt.set(slug, week);
+    }
+    weeks.push(entry);
+  }
+
+  // Fill future weeks from the scored decisions
+  const candidates = [...(decisions?.decisions || [])]
+    .filter((d) => d && d.slug)
+    .sort((a, b) => (b.score || 0) - (a.score || 0) || a.slug.localeCompare(b.slug));
+  if (candidates.length === 0) {
+    warnings.push("No scored decisions — run gen-promo-decisions first to fill future weeks");
+  }
+
+  const unplaced = [];
+  for (const candidate of candidates) {
+    if (placedAt.has(candidate.slug)) continue;
+    const last = lastPromoted.get(candidate.slug);
+    const target = weeks.find((w) =>
+      w.week > currentWeek &&
+      w.slugs.length < capacity.itemsAllowed &&
+      (!last || w.week >= addDays(last, cooldownDays))
+    );
+    if (!target) {
+      const reason = weeks.some((w) => w.week > currentWeek && w.slugs.length < capacity.itemsAllowed)
+        ? "in cooldown for the whole horizon"
+        : "no capacity left in the horizon";
+      unplaced.push({ slug: candidate.slug, score: candidate.score || 0, reason });
+      continue;
+    }
+    target.slugs.push(candidate.slug);
+    target.added.push(candidate.slug);
+    placedAt.set(candidate.slug, target.week);
+  }
+
+  for (const w of weeks) {
+    w.capacity = capacity.itemsAllowed;
+    w.planned = w.slugs.length;
+    w.overCapacity = w.planned > capacity.itemsAllowed;
+    if (w.overCapacity) {
+      const limit = capacity.budgetItems !== null && capacity.budgetItems < capacity.maxPromosPerWeek
+        ? `minute budget allows ${capacity.budgetItems} (${capacity.headroom} min headroom, ${capacity.avgMinutesPerRun} min/run)`
+        : `maxPromosPerWeek is ${capacity.maxPromosPerWeek}`;
+      w.issues.unshift(`${w.planned} slugs planned, capacity ${capacity.itemsAllowed}: ${limit}`);
+    }
+  }
+  if (capacity.itemsAllowed === 0) {
+    warnings.push(`Minute budget headroom (${capacity.headroom} min) fits no runs at ${capacity.avgMinutesPerRun} min/run`);
+  }
+
+  return { capacity, weeks, unplaced, warnings };
+}
+
+/**
+ * Write a plan back into a queue: planned weeks after the current one
+ * replace `weeks`, keeping the top-level fields and later entries untouched.
+ *
+ * @param {object} queue
+ * @param {ReturnType<typeof planWeeks>} plan
+ * @param {{ now?: number }} [opts]
+ * @returns {object} new queue object
+ */
+export function applyPlan(queue, plan, opts = {}) {
+  const { now = Date.now() } = opts;
+  const today = isoDay(now);
+  const planned = new Map(plan.weeks
+    .filter((w) => !weekContains(w.week, today) && w.slugs.length > 0)
+    .map((w) => [w.week, normalizeWeek(w)]));
+  const kept = (Array.isArray(queue.weeks) ? queue.weeks : [])
+    .filter((w) => !planned.has(w?.week));
+  const weeks = [...kept, ...planned.values()].sort((a, b) => String(a.week).localeCompare(String(b.week)));
+  return { ...queue, weeks };
+}
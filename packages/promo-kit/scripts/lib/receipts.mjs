@@ -0,0 +1,104 @@
+/**
+ * Promo-week receipt log helpers.
+ *
+ * Each week's receipt lives at <publicDir>/outreach-run/<week>/promo-week-receipt.json
+ * and records the commit its inputs were read at, the hash of every input
+ * by repo-relative path, and the hash of the previous week's receipt:
+ *
+ *   {
+ *     "week": "2026-02-24",
+ *     "commit": "3387766…",
+ *     "sources": { "site/src/data/governance.json": "sha256:…", … },
+ *     "previous": { "week": "2026-02-17", "receiptHash": "sha256:…" },
+ *     …
+ *   }
+ *
+ * `previous` chains the receipts into an append-only log: rewriting an
+ * older receipt changes its hash and breaks the link from the week after.
+ */
+
+import { readFileSync, readdirSync, existsSync } from "node:fs";
+import { join, relative, sep } from "node:path";
+import { createHash } from "node:crypto";
+import { execFileSync } from "node:child_process";
+
+// ── Constants ────────────────────────────────────────────────
+
+export const RECEIPTS_DIR = "outreach-run";
+export const WEEK_RECEIPT_FILE = "promo-week-receipt.json";
+
+const WEEK_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// ── Hashing ──────────────────────────────────────────────────
+
+/** "sha256:<hex>" of a string. */
+export function hashContent(content) {
+  return "sha256:" + createHash("sha256").update(content).digest("hex");
+}
+
+/** "sha256:<hex>" of a file, or null when it cannot be read. */
+export function hashFile(filePath) {
+  try {
+    return hashContent(readFileSync(filePath, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/** Repo-relative path with forward slashes, as used in `sources` and git. */
+export function repoPath(root, absPath) {
+  return relative(root, absPath).split(sep).join("/");
+}
+
+/**
+ * Run git in `root` and return its raw stdout (untrimmed, so file contents
+ * from `git show` hash exactly). Throws when git fails.
+ *
+ * @param {string} root
+ * @param {string[]} args
+ * @returns {string}
+ */
+export function runGit(root, args) {
+  return execFileSync("git", args, {
+    cwd: root,
+    encoding: "utf8",
+    maxBuffer: 64 * 1024 * 1024,
+    stdio: ["ignore", "pipe", "ignore"],
+  });
+}
+
+// ── Log ──────────────────────────────────────────────────────
+
+/** Path of a week's receipt. */
+export function weekReceiptPath(publicDir, week) {
+  return join(publicDir, RECEIPTS_DIR, week, WEEK_RECEIPT_FILE);
+}
+
+/**
+ * Weeks with a receipt on disk, oldest first.
+ *
+ * @param {string} publicDir
+ * @returns {string[]}
+ */
+export function listReceiptWeeks(publicDir) {
+  const dir = join(publicDir, RECEIPTS_DIR);
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir, { withFileTypes: true })
+    .filter((e) => e.isDirectory() && WEEK_RE.test(e.name) && existsSync(weekReceiptPath(publicDir, e.name)))
+    .map((e) => e.name)
+    .sort();
+}
+
+/**
+ * Link to the newest receipt before `week`, or null for the first week.
+ *
+ * @param {string} publicDir
+ * @param {string} week
+ * @returns {{ week: string, receiptHash: string }|null}
+ */
+export function previousReceiptLink(publicDir, week) {
+  const prior = listReceiptWeeks(publicDir).filter((w) => w < week);
+  if (prior.length === 0) return null;
+  const prev = prior[prior.length - 1];
+  return { week: prev, receiptHash: hashFile(weekReceiptPath(publicDir, prev)) };
+}
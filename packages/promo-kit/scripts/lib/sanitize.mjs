@@ -0,0 +1,58 @@
+/**
+ * Shared sanitization utilities for HTML/XML escaping and URL validation.
+ *
+ * Every generator that writes HTML or SVG MUST use these functions
+ * instead of inline ad-hoc escaping.
+ */
+
+/**
+ * Escape a string for safe insertion into HTML content or attributes.
+ * Covers the OWASP-recommended five characters: & < > " '
+ */
+export function htmlEsc(s) {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/** Alias for htmlEsc — XML requires the same escaping. */
+export function escapeXml(s) {
+  return htmlEsc(s);
+}
+
+const ALLOWED_PROTOCOLS = new Set(["https:", "http:"]);
+
+/**
+ * Validate a URL string and enforce protocol allowlist.
+ * Returns the canonical URL string on success, throws on failure.
+ *
+ * @param {string} raw — URL to validate
+ * @param {{ label?: string }} opts — optional label for error messages
+ * @returns {string} canonical URL
+ */
+export function validateUrl(raw, { label = "URL" } = {}) {
+  const url = new URL(raw); // throws TypeError on malformed input
+  if (!ALLOWED_PROTOCOLS.has(url.protocol)) {
+    throw new Error(`${label}: disallowed protocol "${url.protocol}"`);
+  }
+  return url.toString();
+}
+
+const LOCALE_RE = /^[a-z]{2,3}(?:-[A-Z][a-z]{3})?(?:-(?:[A-Z]{2}|\d{3}))?$/;
+
+/**
+ * Validate a locale tag (language[-Script][-REGION], e.g. "de", "pt-BR",
+ * "zh-Hans"). Locales end up in output paths, so anything else is rejected.
+ *
+ * @param {string} raw
+ * @returns {string} the locale, unchanged
+ */
+export function validateLocale(raw) {
+  if (typeof raw !== "string" || !LOCALE_RE.test(raw)) {
+    throw new Error(`invalid locale "${raw}"`);
+  }
+  return raw;
+}
@@ -0,0 +1,265 @@
+/**
+ * Submission duplicate detection.
+ *
+ * Compares a submission against every tool the site already knows about —
+ * projects.json, the registry (with aliases.json), overrides.json — and
+ * against the other submissions in submissions/:
+ *
+ *   same-repo     tool.repo matches after URL normalization
+ *   same-slug     tool.slug equals a known slug, repo name or registry alias
+ *   similar-slug  slugs are near-identical (edit distance)
+ *   similar-name  tool names are near-identical
+ *
+ * Matches are advisory: the linter reports them as warnings and
+ * gen-queue-health counts them.
+ */
+
+import { readFileSync, readdirSync, existsSync } from "node:fs";
+import { join } from "node:path";
+
+// ── Constants ────────────────────────────────────────────────
+
+/** Minimum similarity (0–1) for a fuzzy slug or name match. */
+export const SIMILARITY_THRESHOLD = 0.85;
+
+/** Compact keys shorter than this only match exactly. */
+const MIN_FUZZY_LENGTH = 5;
+
+const REASON_RANK = { "same-repo": 0, "same-slug": 1, "similar-slug": 2, "similar-name": 3 };
+
+// ── Normalization ────────────────────────────────────────────
+
+function safeParseJson(filePath, fallback = null) {
+  try {
+    return JSON.parse(readFileSync(filePath, "utf8"));
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Normalize a repository URL to `host/owner/repo`, lowercase. Handles
+ * scheme, `www.`, `git@host:` SSH form, `.git`, trailing slashes and deep
+ * links (`/tree/main/...`).
+ *
+ * @param {string} url
+ * @returns {string|null}
+ */
+export function normalizeRepoUrl(url) {
+  if (!url || typeof url !== "string") return null;
+  let s = url.trim().toLowerCase();
+  s = s.replace(/^git\+/, "").replace(/^git@([^:]+):/, "$1/");
+  s = s.replace(/^[a-z]+:\/\//, "").replace(/^www\./, "");
+  s = s.split(/[?#]/)[0];
+  const [host, owner, repo] = s.split("/").filter(Boolean);
+  if (!host || !owner || !repo) return null;
+  return `${host}/${owner}/${repo.replace(/\.git$/, "")}`;
+}
+
+/**
+ * Compact form used for fuzzy comparison: lowercase alphanumerics only.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+export function compactKey(value) {
+  return String(value || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Similarity of two strings as 1 - levenshtein / longer length.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function similarity(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = cur;
+  }
+  return 1 - prev[b.length] / Math.max(a.length, b.length);
+}
+
+// ── Known tools ──────────────────────────────────────────────
+
+/**
+ * Build the list of known tools to compare against.
+ *
+ * @param {{ projects?: object[], registry?: object, aliases?: object, overrides?: object, submissions?: object[], orgUrl?: string }} sources
+ *   `submissions` are submission-file objects; `orgUrl` resolves the bare
+ *   repo names used by projects.json and overrides.json.
+ * @returns {Array<{ source: string, id: string, name: string|null, slugs: string[], repo: string|null }>}
+ */
+export function buildKnownTools(sources = {}) {
+  const {
+    projects = [],
+    registry = {},
+    aliases = {},
+    overrides = {},
+    submissions = [],
+    orgUrl = "",
+  } = sources;
+
+  const orgRepo = (name) => (orgUrl ? normalizeRepoUrl(`${orgUrl.replace(/\/$/, "")}/${name}`) : null);
+  const known = [];
+
+  for (const p of Array.isArray(projects) ? projects : []) {
+    if (!p?.repo) continue;
+    known.push({
+      source: "projects",
+      id: p.repo,
+      name: p.name || null,
+      slugs: [p.repo],
+      repo: normalizeRepoUrl(p.repo) || orgRepo(p.repo),
+    });
+  }
+
+  const aliasMap = Object.entries(aliases || {}).filter(([k]) => !k.startsWith("$"));
+  for (const t of Array.isArray(registry?.tools) ? registry.tools : []) {
+    if (!t?.id) continue;
+    const slugs = [t.id, ...aliasMap.filter(([k]) => k === t.id).map(([, v]) => v)];
+    known.push({ source: "registry", id: t.id, name: t.name || null, slugs, repo: normalizeRepoUrl(t.repo) });
+  }
+
+  for (const key of Object.keys(overrides || {})) {
+    if (key.startsWith("$")) continue;
+    known.push({ source: "overrides", id: key, name: null, slugs: [key], repo: orgRepo(key) });
+  }
+
+  for (const s of Array.isArray(submissions) ? submissions : []) {
+    if (!s?.tool?.slug) continue;
+    known.push({
+      source: "submissions",
+      id: s.tool.slug,
+      name: s.tool.name || null,
+      slugs: [s.tool.slug],
+      repo: normalizeRepoUrl(s.tool.repo),
+    });
+  }
+
+  return known;
+}
+
+/**
+ * Load known tools from the data directory and submissions directory.
+ *
+ * @param {{ dataDir: string, submissionsDir?: string, orgUrl?: string }} opts
+ * @returns {ReturnType<typeof buildKnownTools>}
+ */
+export function loadKnownTools({ dataDir, submissionsDir, orgUrl = "" }) {
+  const submissions = [];
+  if (submissionsDir && existsSync(submissionsDir)) {
+    for (const file of readdirSync(submissionsDir).filter((f) => f.endsWith(".json")).sort()) {
+      const data = safeParseJson(join(submissionsDir, file));
+      if (data) submissions.push(data);
+    }
+  }
+  return buildKnownTools({
+    projects: safeParseJson(join(dataDir, "projects.json"), []),
+    registry: safeParseJson(join(dataDir, "registry", "registry.json"), {}),
+    aliases: safeParseJson(join(dataDir, "registry", "aliases.json"), {}),
+    overrides: safeParseJson(join(dataDir, "overrides.json"), {}),
+    submissions,
+    orgUrl,
+  });
+}
+
+// ── Matching ─────────────────────────────────────────────────
+
+function fuzzy(a, b) {
+  const ca = compactKey(a);
+  const cb = compactKey(b);
+  if (!ca || !cb) return 0;
+  if (ca === cb) return 1;
+  if (Math.min(ca.length, cb.length) < MIN_FUZZY_LENGTH) return 0;
+  return similarity(ca, cb);
+}
+
+/**
+ * Find likely duplicates of a submission among known tools. A submission
+ * never matches its own entry (same source "submissions" and slug).
+ *
+ * @param {object} submission - submission-file object
+ * @param {ReturnType<typeof buildKnownTools>} known
+ * @param {{ threshold?: number }} [opts]
+ * @returns {Array<{ source: string, id: string, reason: string, score: number }>}
+ *   One match per known tool (strongest reason), strongest first.
+ */
+export function findDuplicates(submission, known, opts = {}) {
+  const { threshold = SIMILARITY_THRESHOLD } = opts;
+  const tool = submission?.tool;
+  if (!tool || typeof tool !== "object") return [];
+
+  const repo = normalizeRepoUrl(tool.repo);
+  const slug = typeof tool.slug === "string" ? tool.slug : "";
+  const name = typeof tool.name === "string" ? tool.name : "";
+  const matches = [];
+
+  for (const k of known) {
+    if (k.source === "submissions" && k.id === slug) continue;
+
+    let match = null;
+    if (repo && k.repo && repo === k.repo) {
+      match = { reason: "same-repo", score: 1 };
+    } else if (slug && k.slugs.some((s) => s.toLowerCase() === slug.toLowerCase())) {
+      match = { reason: "same-slug", score: 1 };
+    } else {
+      const slugScore = Math.max(0, ...k.slugs.map((s) => fuzzy(slug, s)));
+      const nameScore = k.name ? fuzzy(name, k.name) : 0;
+      if (slugScore >= threshold && slugScore >= nameScore) {
+        match = { reason: "similar-slug", score: slugScore };
+      } else if (nameScore >= threshold) {
+        match = { reason: "similar-name", score: nameScore };
+      }
+    }
+    if (match) matches.push({ source: k.source, id: k.id, ...match, score: Math.round(match.score * 100) / 100 });
+  }
+
+  return matches.sort((a, b) =>
+    REASON_RANK[a.reason] - REASON_RANK[b.reason] ||
+    b.score - a.score ||
+    a.source.localeCompare(b.source) ||
+    a.id.localeCompare(b.id));
+}
+
+/**
+ * Human-readable line for a duplicate match (used in lint warnings).
+ *
+ * @param {{ source: string, id: string, reason: string, score: number }} match
+ * @returns {string}
+ */
+export function describeDuplicate(match) {
+  const why = {
+    "same-repo": "same repository",
+    "same-slug": "same slug",
+    "similar-slug": `similar slug, ${Math.round(match.score * 100)}%`,
+    "similar-name": `similar name, ${Math.round(match.score * 100)}%`,
+  }[match.reason] || match.reason;
+  return `Likely duplicate of \`${match.id}\` in ${match.source} (${why})`;
+}
+
+/**
+ * Run findDuplicates over a list of submissions.
+ *
+ * @param {object[]} submissions - submission-file objects
+ * @param {ReturnType<typeof buildKnownTools>} known
+ * @param {{ threshold?: number }} [opts]
+ * @returns {Array<{ slug: string, matches: ReturnType<typeof findDuplicates> }>}
+ *   Only submissions with at least one match, sorted by slug.
+ */
+export function detectDuplicates(submissions, known, opts = {}) {
+  const out = [];
+  for (const s of submissions) {
+    const matches = findDuplicates(s, known, opts);
+    if (matches.length > 0) out.push({ slug: s.tool.slug, matches });
+  }
+  return out.sort((a, b) => a.slug.localeCompare(b.slug));
+}
@@ -0,0 +1,401 @@
+#!/usr/bin/env node
+
+/**
+ * Offline Link Checker
+ *
+ * Walks the generated public artifacts (site/public, plus site/dist when a
+ * build exists) and checks every link in HTML and Markdown files without
+ * touching the network:
+ *
+ *   broken-link        internal path resolves to no file and no Astro route
+ *   unknown-go-link    /go/<id>/ (or mcptoolshop.com/go/<id>) id not in links.json
+ *   missing-screenshot /screenshots/... reference with no file
+ *   missing-anchor     #fragment not found in the target HTML/Markdown file
+ *   utm-incomplete     utm_* present but source/medium/campaign not all set
+ *   utm-format         utm value is not lowercase [a-z0-9._-]
+ *   utm-mismatch       URL matches a links.json target but its UTM differs
+ *
+ * The first four are errors (promotion-readiness.mjs blocks on them); UTM
+ * findings are warnings. Absolute links to the site's own host are checked
+ * as internal paths; other external URLs are only checked for UTM
+ * consistency.
+ *
+ * Usage:
+ *   node scripts/check-links.mjs [--dry-run]
+ *
+ * Reads:
+ *   site/public/**, site/dist/** (*.html, *.md)
+ *   site/src/pages/** (route table)
+ *   site/src/data/links.json
+ *
+ * Writes:
+ *   reports/link-check.json
+ */
+
+import { existsSync, readdirSync, readFileSync, statSync, writeFileSync, mkdirSync } from "node:fs";
+import { resolve, join, relative, dirname, extname, posix } from "node:path";
+import { getConfig, getRoot } from "./lib/config.mjs";
+
+const ROOT = getRoot();
+const config = getConfig();
+
+export const LINK_REPORT_PATH = join(ROOT, "reports", "link-check.json");
+
+export const ERROR_KINDS = ["broken-link", "unknown-go-link", "missing-screenshot", "missing-anchor"];
+export const WARNING_KINDS = ["utm-incomplete", "utm-format", "utm-mismatch"];
+
+const SCANNED_EXTENSIONS = new Set([".html", ".md"]);
+const REQUIRED_UTM = ["utm_source", "utm_medium", "utm_campaign"];
+const UTM_VALUE_RE = /^[a-z0-9._-]+$/;
+const SKIP_PROTOCOL_RE = /^(mailto|tel|javascript|data|blob):/i;
+
+// ── Helpers ─────────────────────────────────────────────────
+
+function safeParseJson(filePath, fallback = null) {
+  try {
+    return JSON.parse(readFileSync(filePath, "utf8"));
+  } catch {
+    return fallback;
+  }
+}
+
+function walk(dir, files = []) {
+  if (!existsSync(dir)) return files;
+  for (const name of readdirSync(dir).sort()) {
+    const full = join(dir, name);
+    if (statSync(full).isDirectory()) walk(full, files);
+    else files.push(full);
+  }
+  return files;
+}
+
+/** GitHub-style heading slug for Markdown anchors. */
+export function headingSlug(text) {
+  return text.trim().toLowerCase().replace(/[^\w\- ]/g, "").replace(/ /g, "-");
+}
+
+// ── Extraction ──────────────────────────────────────────────
+
+/**
+ * Extract link targets from a file's content.
+ *
+ * @param {string} content
+ * @param {".html"|".md"} ext
+ * @param {string} siteHost - e.g. "mcptoolshop.com"
+ * @returns {string[]} raw link targets (deduplicated, in order)
+ */
+export function extractLinks(content, ext, siteHost) {
+  const links = [];
+  if (ext === ".html") {
+    for (const m of content.matchAll(/\s(?:href|src)\s*=\s*["']([^"']+)["']/gi)) links.push(m[1]);
+  } else {
+    for (const m of content.matchAll(/!?\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g)) links.push(m[1]);
+    for (const m of content.matchAll(/<(https?:\/\/[^>\s]+)>/g)) links.push(m[1]);
+  }
+  // Scheme-less go-links in prose ("Source: mcptoolshop.com/go/zmm-hn")
+  if (siteHost) {
+    const host = siteHost.replace(/\./g, "\\.");
+    for (const m of content.matchAll(new RegExp(`(?<![/\\w.])${host}/go/([a-z0-9][a-z0-9-]*)`, "gi"))) {
+      links.push(`/go/${m[1]}/`);
+    }
+  }
+  return [...new Set(links.map((l) => l.replace(/&amp;/g, "&")))];
+}
+
+/**
+ * Anchor ids defined in a file (HTML id/name attributes, Markdown headings).
+ *
+ * @param {string} content
+ * @param {string} ext
+ * @returns {Set<string>}
+ */
+export function extractAnchors(content, ext) {
+  const anchors = new Set();
+  for (const m of content.matchAll(/\s(?:id|name)\s*=\s*["']([^"']+)["']/gi)) anchors.add(m[1]);
+  if (ext === ".md") {
+    for (const m of content.matchAll(/^#{1,6}\s+(.+?)\s*#*\s*$/gm)) anchors.add(headingSlug(m[1]));
+  }
+  return anchors;
+}
+
+// ── Routes ──────────────────────────────────────────────────
+
+/**
+ * Turn Astro page files into route matchers so links to pages that only
+ * exist after `astro build` still resolve offline.
+ *
+ * @param {string} pagesDir
+ * @returns {RegExp[]}
+ */
+export function buildRouteMatchers(pagesDir) {
+  const matchers = [];
+  for (const file of walk(pagesDir)) {
+    const ext = extname(file);
+    if (![".astro", ".md", ".mdx", ".html"].includes(ext)) continue;
+    let route = relative(pagesDir, file).split("\\").join("/").slice(0, -ext.length);
+    route = route.replace(/(^|\/)index$/, "");
+    const pattern = route
+      .split("/")
+      .filter(Boolean)
+      .map((seg) => {
+        if (/^\[\.\.\.[^\]]+\]$/.test(seg)) return ".*";
+        return seg.replace(/[.*+?^${}()|\\]/g, "\\$&").replace(/\\?\[[^\]]+\\?\]/g, "[^/]+");
+      })
+      .join("/");
+    matchers.push(new RegExp(`^/${pattern}${pattern ? "/?" : ""}$`));
+  }
+  return matchers;
+}
+
+/**
+ * Resolve a site path against the scanned roots.
+ *
+ * @param {string} sitePath - decoded, starts with "/"
+ * @param {string[]} roots
+ * @returns {string|null} the file that serves it
+ */
+export function resolveSitePath(sitePath, roots) {
+  const candidates = sitePath.endsWith("/")
+    ? [`${sitePath}index.html`]
+    : [sitePath, `${sitePath}.html`, `${sitePath}/index.html`];
+  for (const root of roots) {
+    for (const c of candidates) {
+      const full = join(root, c);
+      if (existsSync(full) && statSync(full).isFile()) return full;
+    }
+  }
+  return null;
+}
+
+// ── UTM ─────────────────────────────────────────────────────
+
+/**
+ * Index links.json targets by origin + path for UTM comparison.
+ *
+ * @param {Array<{ id: string, target: string, utm: object }>} links
+ * @returns {Map<string, Array<object>>}
+ */
+export function indexLinkTargets(links) {
+  const index = new Map();
+  for (const link of links) {
+    try {
+      const u = new URL(link.target);
+      const key = `${u.origin}${u.pathname}`;
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(link);
+    } catch { /* invalid targets are reported by gen-go-links */ }
+  }
+  return index;
+}
+
+/**
+ * UTM findings for one absolute URL.
+ *
+ * @param {URL} url
+ * @param {Map<string, Array<object>>} targetIndex
+ * @returns {Array<{ kind: string, detail: string }>}
+ */
+export function checkUtm(url, targetIndex) {
+  const params = [...url.searchParams.keys()].filter((k) => k.startsWith("utm_"));
+  if (params.length === 0) return [];
+
+  const findings = [];
+  const missing = REQUIRED_UTM.filter((k) => !url.searchParams.get(k));
+  if (missing.length > 0) findings.push({ kind: "utm-incomplete", detail: `missing ${missing.join(", ")}` });
+
+  for (const k of params) {
+    const v = url.searchParams.get(k);
+    if (v && !UTM_VALUE_RE.test(v)) findings.push({ kind: "utm-format", detail: `${k}="${v}"` });
+  }
+
+  const registered = targetIndex.get(`${url.origin}${url.pathname}`) || [];
+  if (registered.length > 0 && missing.length === 0) {
+    const matches = registered.some((l) =>
+      ["source", "medium", "campaign"].every((f) => (l.utm?.[f] ?? "") === url.searchParams.get(`utm_${f}`))
+    );
+    if (!matches) {
+      findings.push({
+        kind: "utm-mismatch",
+        detail: `no links.json entry for ${url.pathname} uses source=${url.searchParams.get("utm_source")} medium=${url.searchParams.get("utm_medium")} campaign=${url.searchParams.get("utm_campaign")}`,
+      });
+    }
+  }
+  return findings;
+}
+
+// ── Core ────────────────────────────────────────────────────
+
+/**
+ * Check every link in the scanned roots.
+ *
+ * @param {{ roots: string[], pagesDir?: string, links?: Array, siteUrl?: string }} opts
+ * @returns {{ filesScanned: number, linksChecked: number, summary: object, issues: Array }}
+ */
+export function checkLinks(opts) {
+  const { roots, pagesDir = null, links = [], siteUrl = config.site?.url || "" } = opts;
+  const siteHost = siteUrl ? new URL(siteUrl).host : "";
+  const goIds = new Set(links.map((l) => l.id));
+  const targetIndex = indexLinkTargets(links);
+  const routes = pagesDir ? buildRouteMatchers(pagesDir) : [];
+  const anchorCache = new Map();
+
+  const anchorsOf = (file) => {
+    if (!anchorCache.has(file)) {
+      const ext = extname(file);
+      anchorCache.set(file, SCANNED_EXTENSIONS.has(ext) ? extractAnchors(readFileSync(file, "utf8"), ext) : null);
+    }
+    return anchorCache.get(file);
+  };
+
+  const issues = [];
+  let filesScanned = 0;
+  let linksChecked = 0;
+
+  for (const root of roots) {
+    for (const file of walk(root)) {
+      const ext = extname(file);
+      if (!SCANNED_EXTENSIONS.has(ext)) continue;
+      filesScanned++;
+
+      const rel = relative(root, file).split("\\").join("/");
+      const pageUrl = `/${rel}`;
+      const content = readFileSync(file, "utf8");
+      const report = (kind, link, detail) => issues.push({
+        kind,
+        severity: ERROR_KINDS.includes(kind) ? "error" : "warning",
+        file: relative(ROOT, file).split("\\").join("/"),
+        link,
+        detail,
+      });
+
+      for (const raw of extractLinks(content, ext, siteHost)) {
+        if (SKIP_PROTOCOL_RE.test(raw) || raw.startsWith("//")) continue;
+        linksChecked++;
+
+        let url;
+        try {
+          url = new URL(raw, `https://${siteHost || "site.invalid"}${pageUrl}`);
+        } catch {
+          report("broken-link", raw, "unparseable URL");
+          continue;
+        }
+
+        const internal = !/^[a-z][a-z0-9+.-]*:/i.test(raw) || (siteHost && url.host === siteHost);
+        for (const f of checkUtm(url, targetIndex)) report(f.kind, raw, f.detail);
+        if (!internal) continue;
+
+        let sitePath;
+        try {
+          sitePath = decodeURIComponent(url.pathname);
+        } catch {
+          sitePath = url.pathname;
+        }
+        const fragment = url.hash ? decodeURIComponent(url.hash.slice(1)) : "";
+
+        // Same-page anchor
+        if (raw.startsWith("#")) {
+          if (fragment && !anchorsOf(file)?.has(fragment)) report("missing-anchor", raw, `no id "${fragment}" in this file`);
+          continue;
+        }
+
+        const goMatch = sitePath.match(/^\/go\/([^/]+)\/?$/);
+        if (goMatch) {
+          if (!goIds.has(goMatch[1])) report("unknown-go-link", raw, `go-link id "${goMatch[1]}" is not in links.json`);
+          continue;
+        }
+
+        const target = resolveSitePath(sitePath, roots);
+        if (!target) {
+          if (sitePath.startsWith("/screenshots/")) {
+            report("missing-screenshot", raw, `no file at ${posix.join("site/public", sitePath)}`);
+          } else if (!routes.some((r) => r.test(sitePath))) {
+            report("broken-link", raw, `no file or page for ${sitePath}`);
+          }
+          continue;
+        }
+
+        if (fragment) {
+          const anchors = anchorsOf(target);
+          if (anchors && !anchors.has(fragment)) {
+            report("missing-anchor", raw, `no id "${fragment}" in ${relative(ROOT, target).split("\\").join("/")}`);
+          }
+        }
+      }
+    }
+  }
+
+  issues.sort((a, b) => a.file.localeCompare(b.file) || a.kind.localeCompare(b.kind) || a.link.localeCompare(b.link));
+
+  const byKind = {};
+  for (const i of issues) byKind[i.kind] = (byKind[i.kind] || 0) + 1;
+
+  return {
+    filesScanned,
+    linksChecked,
+    summary: {
+      errors: issues.filter((i) => i.severity === "error").length,
+      warnings: issues.filter((i) => i.severity === "warning").length,
+      byKind,
+    },
+    issues,
+  };
+}
+
+// ── Pipeline ────────────────────────────────────────────────
+
+/**
+ * Full pipeline: scan public + dist, write reports/link-check.json.
+ * Silent so promotion-readiness.mjs can call it inside its own output.
+ *
+ * @param {{ publicDir?: string, distDir?: string, pagesDir?: string, linksPath?: string, outPath?: string, dryRun?: boolean }} opts
+ * @returns {object} the report
+ */
+export function generateLinkReport(opts = {}) {
+  const {
+    publicDir = join(ROOT, config.paths.publicDir),
+    distDir = join(ROOT, "site", "dist"),
+    pagesDir = join(ROOT, "site", "src", "pages"),
+    linksPath = join(ROOT, config.paths.dataDir, "links.json"),
+    outPath = LINK_REPORT_PATH,
+    dryRun = false,
+  } = opts;
+
+  const roots = [publicDir, distDir].filter((d) => existsSync(d));
+  const links = safeParseJson(linksPath, { links: [] })?.links || [];
+  const result = checkLinks({ roots, pagesDir: existsSync(pagesDir) ? pagesDir : null, links });
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    roots: roots.map((r) => relative(ROOT, r).split("\\").join("/")),
+    goLinksKnown: links.length,
+    ...result,
+  };
+
+  if (!dryRun) {
+    mkdirSync(dirname(outPath), { recursive: true });
+    writeFileSync(outPath, JSON.stringify(report, null, 2) + "\n", "utf8");
+  }
+  return report;
+}
+
+// ── Entry point ─────────────────────────────────────────────
+
+const isMain = process.argv[1] &&
+  resolve(process.argv[1]).endsWith("check-links.mjs");
+
+if (isMain) {
+  const dryRun = process.argv.includes("--dry-run");
+  console.log("Checking links in generated artifacts...");
+  if (dryRun) console.log("  Mode: DRY RUN");
+
+  const report = generateLinkReport({ dryRun });
+  console.log(`  Files scanned: ${report.filesScanned}`);
+  console.log(`  Links checked: ${report.linksChecked}`);
+  console.log(`  Errors: ${report.summary.errors}, warnings: ${report.summary.warnings}`);
+  if (!dryRun) console.log(`  Wrote ${relative(ROOT, LINK_REPORT_PATH)}`);
+  for (const issue of report.issues.slice(0, 20)) {
+    console.log(`  ${issue.severity === "error" ? "✗" : "⚠"} [${issue.kind}] ${issue.file}: ${issue.link} — ${issue.detail}`);
+  }
+  if (report.issues.length > 20) console.log(`  ... and ${report.issues.length - 20} more (see report)`);
+  if (report.summary.errors > 0) process.exitCode = 1;
+}
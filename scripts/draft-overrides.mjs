@@ -21,6 +21,7 @@
 
 import fs from "node:fs";
 import path from "node:path";
+import { stableOverrides } from "./lib/overrides.mjs";
 
 // ─── Config ──────────────────────────────────────────────────────────────────
 
@@ -485,44 +486,6 @@ function generateDraft(project, releases, existingOverride) {
   return { merged, fieldsAdded };
 }
 
-// ─── Stable key ordering for deterministic diffs ─────────────────────────────
-
-const FIELD_ORDER = [
-  "featured",
-  "tags",
-  "category",
-  "stability",
-  "kind",
-  "install",
-  "tagline",
-  "goodFor",
-  "notFor",
-  "screenshot",
-  "screenshotType",
-  "needsHumanReview",
-];
-
-function orderFields(obj) {
-  const ordered = {};
-  for (const key of FIELD_ORDER) {
-    if (obj[key] !== undefined) ordered[key] = obj[key];
-  }
-  // Include any fields not in the order list
-  for (const key of Object.keys(obj)) {
-    if (!FIELD_ORDER.includes(key)) ordered[key] = obj[key];
-  }
-  return ordered;
-}
-
-function stableOverrides(overrides) {
-  // Sort keys alphabetically for deterministic diffs
-  const sorted = {};
-  for (const key of Object.keys(overrides).sort()) {
-    sorted[key] = orderFields(overrides[key]);
-  }
-  return sorted;
-}
-
 // ─── Main ────────────────────────────────────────────────────────────────────
 
 function main() {
@@ -11,31 +11,29 @@
  *   - bundle.json   (machine-readable, fully resolved)
  *   - README.md     (human-readable execution guide)
  *
+ * Programmatic use:
+ *   buildCampaignBundle(inputs)    — one campaign's inputs → { campaignSlug, bundle, files } (pure)
+ *   generateCampaignBundles(opts)  — reads the data dir, writes unless dryRun
+ *
  * Usage:
- *   node scripts/gen-campaign-bundles.mjs
+ *   node scripts/gen-campaign-bundles.mjs [--slugs a,b] [--dry-run]
  */
 
-import fs from "node:fs";
-import path from "node:path";
-import { fileURLToPath } from "node:url";
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const ROOT = path.resolve(__dirname, "..");
-const SITE = path.join(ROOT, "site");
-const DATA_DIR = path.join(SITE, "src", "data", "marketir");
-const FACTS_DIR = path.join(SITE, "src", "data", "github-facts");
-const LINKS_PATH = path.join(SITE, "src", "data", "links.json");
-const OUTPUT_BASE = path.join(SITE, "public", "campaigns");
-
-// ─── Helpers ──────────────────────────────────────────────────────────────────
-
-function readJson(filePath) {
-  try {
-    return JSON.parse(fs.readFileSync(filePath, "utf8"));
-  } catch {
-    return null;
-  }
-}
+import { mkdirSync, writeFileSync } from "node:fs";
+import { resolve, join } from "node:path";
+import { getConfig, getRoot } from "./lib/config.mjs";
+import {
+  readJson,
+  loadMarketirInputs,
+  parseSlugsArg,
+  readTool,
+  readFacts,
+} from "./lib/marketir.mjs";
+
+const ROOT = getRoot();
+const config = getConfig();
+const DATA_DIR = join(ROOT, config.paths.dataDir);
+const PUBLIC_DIR = join(ROOT, config.paths.publicDir);
 
 const CHANNEL_LABELS = {
   web: "Web blurb",
@@ -47,72 +45,51 @@ const CHANNEL_LABELS = {
   presskit: "Press kit",
 };
 
-// ─── Load data ────────────────────────────────────────────────────────────────
-
-const index = readJson(path.join(DATA_DIR, "data", "marketing.index.json"));
-if (!index) {
-  console.log("No marketing.index.json found. Nothing to generate.");
-  process.exit(0);
-}
-
-const snapshot = readJson(path.join(DATA_DIR, "marketir.snapshot.json"));
-const lockShort = snapshot?.lockSha256?.slice(0, 12) || "unknown";
-
-const campaigns = (index.campaigns || [])
-  .map((c) => readJson(path.join(DATA_DIR, "data", c.ref)))
-  .filter(Boolean);
+// ─── Resolve helpers ─────────────────────────────────────────────────────────
 
-if (campaigns.length === 0) {
-  console.log("No campaigns found. Nothing to generate.");
-  process.exit(0);
+/** Tool slug from a toolRef like "tool.zip-meta-map". */
+export function toolSlugOf(toolRef) {
+  return String(toolRef || "").replace(/^tool\./, "");
 }
 
-// Load link registry for go-link references (fail-soft)
-const linksData = readJson(LINKS_PATH);
-const linkByMessage = new Map();
-if (linksData?.links) {
-  for (const link of linksData.links) {
-    if (link.messageRef) linkByMessage.set(link.messageRef, link.id);
-  }
+/** Output directory name, e.g. "camp.zip-meta-map.launch" → "zip-meta-map-launch". */
+export function campaignSlugOf(campaignId) {
+  return campaignId.replace(/^camp\./, "").replace(/\./g, "-");
 }
 
-// Parse --slugs filter (comma-separated, matches toolRef slug)
-const SLUG_FILTER = (() => {
-  const idx = process.argv.indexOf("--slugs");
-  if (idx === -1 || !process.argv[idx + 1]) return null;
-  return new Set(process.argv[idx + 1].split(","));
-})();
-
-const filteredCampaigns = SLUG_FILTER
-  ? campaigns.filter((c) => SLUG_FILTER.has(c.toolRef?.replace(/^tool\./, "")))
-  : campaigns;
-
-console.log(`Generating campaign bundles for: ${filteredCampaigns.map((c) => c.id).join(", ")}\n`);
-
-// ─── Resolve helpers ─────────────────────────────────────────────────────────
-
-function loadTool(toolRef) {
-  // toolRef is like "tool.zip-meta-map" — extract slug
-  const slug = toolRef.replace(/^tool\./, "");
-  return { slug, data: readJson(path.join(DATA_DIR, "data", "tools", `${slug}.json`)) };
-}
-
-function loadAudience(audRef) {
+function loadAudience(marketirDir, audRef) {
   // audRef is like "aud.ci-maintainers" — extract filename
   const name = audRef.replace(/^aud\./, "");
-  return readJson(path.join(DATA_DIR, "data", "audiences", `${name}.json`));
+  return readJson(join(marketirDir, "data", "audiences", `${name}.json`));
 }
 
-// ─── Generate ─────────────────────────────────────────────────────────────────
-
-for (const campaign of filteredCampaigns) {
-  const { slug, data: tool } = loadTool(campaign.toolRef);
-  if (!tool) {
-    console.warn(`  ⚠ No tool data for ${campaign.toolRef}, skipping campaign ${campaign.id}.`);
-    continue;
-  }
+// ─── Build ────────────────────────────────────────────────────────────────────
 
-  const facts = readJson(path.join(FACTS_DIR, `${slug}.json`));
+/**
+ * Build one campaign bundle in memory.
+ *
+ * @param {{
+ *   campaign: object,
+ *   tool: object,
+ *   audiences?: Array<object>,
+ *   facts?: object|null,
+ *   linkByMessage?: Map<string, string>,
+ *   lockShort?: string,
+ *   generatedAt?: string,
+ * }} inputs
+ * @returns {{ campaignSlug: string, bundle: object, files: Record<string, string> }}
+ */
+export function buildCampaignBundle(inputs) {
+  const {
+    campaign,
+    tool,
+    audiences = [],
+    facts = null,
+    linkByMessage = new Map(),
+    lockShort = "unknown",
+    generatedAt = new Date().toISOString(),
+  } = inputs;
+  const slug = toolSlugOf(campaign.toolRef);
 
   // Build claim lookup
   const claimMap = new Map();
@@ -126,11 +103,6 @@ for (const campaign of filteredCampaigns) {
     msgMap.set(msg.id, msg);
   }
 
-  // Resolve audiences
-  const audiences = (campaign.audienceRefs || [])
-    .map((ref) => loadAudience(ref))
-    .filter(Boolean);
-
   // Resolve phases with messages and claims
   const resolvedPhases = (campaign.phases || []).map((phase) => {
     const messages = (phase.messageRefs || []).map((ref) => {
@@ -165,14 +137,7 @@ for (const campaign of filteredCampaigns) {
     };
   });
 
-  const generatedAt = new Date().toISOString();
-
-  // ── Campaign output directory ────────────────────────────────────────────
-
-  // Use campaign slug (e.g. "zmm-launch" from "camp.zip-meta-map.launch" → file was zmm-launch.json)
-  const campaignSlug = campaign.id.replace(/^camp\./, "").replace(/\./g, "-");
-  const outDir = path.join(OUTPUT_BASE, campaignSlug);
-  fs.mkdirSync(outDir, { recursive: true });
+  const campaignSlug = campaignSlugOf(campaign.id);
 
   // ── bundle.json ──────────────────────────────────────────────────────────
 
@@ -206,10 +171,6 @@ for (const campaign of filteredCampaigns) {
     sourcelock: lockShort,
   };
 
-  const bundleText = JSON.stringify(bundle, null, 2) + "\n";
-  fs.writeFileSync(path.join(outDir, "bundle.json"), bundleText, "utf8");
-  console.log(`  wrote ${campaignSlug}/bundle.json`);
-
   // ── README.md ────────────────────────────────────────────────────────────
 
   const lines = [];
@@ -322,9 +283,88 @@ for (const campaign of filteredCampaigns) {
   }
   lines.push("");
 
-  const readmeText = lines.join("\n");
-  fs.writeFileSync(path.join(outDir, "README.md"), readmeText, "utf8");
-  console.log(`  wrote ${campaignSlug}/README.md`);
+  return {
+    campaignSlug,
+    bundle,
+    files: {
+      "bundle.json": JSON.stringify(bundle, null, 2) + "\n",
+      "README.md": lines.join("\n"),
+    },
+  };
 }
 
-console.log(`\nDone. ${campaigns.length} campaign bundle(s) generated.`);
+// ─── Pipeline ─────────────────────────────────────────────────────────────────
+
+/**
+ * Build every campaign in marketing.index.json (optionally narrowed to
+ * campaigns whose tool is in `slugs`) and write them to
+ * <publicDir>/campaigns/<campaign-slug>/.
+ *
+ * @param {{ dataDir?: string, publicDir?: string, slugs?: string[]|null, generatedAt?: string, dryRun?: boolean }} opts
+ * @returns {{ bundles: Array<{ campaignSlug: string, bundle: object, files: Record<string, string> }>, skipped: Array<{ campaignId: string, reason: string }> }}
+ */
+export function generateCampaignBundles(opts = {}) {
+  const { dataDir = DATA_DIR, publicDir = PUBLIC_DIR, slugs = null, generatedAt, dryRun = false } = opts;
+
+  const { paths, lockShort, links } = loadMarketirInputs(dataDir);
+  const bundles = [];
+  const skipped = [];
+
+  const index = readJson(join(paths.marketirDir, "data", "marketing.index.json"));
+  if (!index) {
+    console.log("No marketing.index.json found. Nothing to generate.");
+    return { bundles, skipped };
+  }
+
+  const slugFilter = slugs ? new Set(slugs) : null;
+  const campaigns = (index.campaigns || [])
+    .map((c) => readJson(join(paths.marketirDir, "data", c.ref)))
+    .filter(Boolean)
+    .filter((c) => !slugFilter || slugFilter.has(toolSlugOf(c.toolRef)));
+
+  console.log(`Generating campaign bundles for: ${campaigns.map((c) => c.id).join(", ")}\n`);
+
+  for (const campaign of campaigns) {
+    const slug = toolSlugOf(campaign.toolRef);
+    const tool = readTool(paths, slug);
+    if (!tool) {
+      console.warn(`  ⚠ No tool data for ${campaign.toolRef}, skipping campaign ${campaign.id}.`);
+      skipped.push({ campaignId: campaign.id, reason: "no tool data" });
+      continue;
+    }
+
+    const result = buildCampaignBundle({
+      campaign,
+      tool,
+      audiences: (campaign.audienceRefs || [])
+        .map((ref) => loadAudience(paths.marketirDir, ref))
+        .filter(Boolean),
+      facts: readFacts(paths, slug),
+      linkByMessage: links.byMessage,
+      lockShort,
+      generatedAt,
+    });
+    bundles.push(result);
+
+    if (dryRun) continue;
+    const outDir = join(publicDir, "campaigns", result.campaignSlug);
+    mkdirSync(outDir, { recursive: true });
+    for (const [name, text] of Object.entries(result.files)) {
+      writeFileSync(join(outDir, name), text, "utf8");
+      console.log(`  wrote ${result.campaignSlug}/${name}`);
+    }
+  }
+
+  return { bundles, skipped };
+}
+
+// ─── Entry point ──────────────────────────────────────────────────────────────
+
+const isMain = process.argv[1] &&
+  resolve(process.argv[1]).endsWith("gen-campaign-bundles.mjs");
+
+if (isMain) {
+  const dryRun = process.argv.includes("--dry-run");
+  const result = generateCampaignBundles({ slugs: parseSlugsArg(process.argv), dryRun });
+  console.log(`\nDone. ${result.bundles.length} campaign bundle(s) generated${dryRun ? " (dry run)" : ""}.`);
+}
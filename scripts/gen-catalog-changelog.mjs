@@ -1,31 +1,262 @@
+#!/usr/bin/env node
+
+/**
+ * Catalog Changelog
+ *
+ * Diffs today's catalog against the most recent earlier snapshot written by
+ * sync-org-metadata.mjs (snapshots/<date>/, see lib/snapshots.mjs) and
+ * reports new tools, removed tools, newly archived/deprecated tools,
+ * tagline / stability / lane changes, new releases, and placeholder
+ * screenshots that became real. Unlisted projects are ignored.
+ *
+ * Usage:
+ *   node scripts/gen-catalog-changelog.mjs [--dry-run] [--date YYYY-MM-DD]
+ *
+ * Reads:
+ *   site/src/data/projects.json
+ *   site/src/data/overrides.json
+ *   site/src/data/releases.json
+ *   site/src/data/snapshots/<previous-date>/
+ *
+ * Writes:
+ *   site/src/data/catalog-changelog.json
+ */
+
+import { readFileSync, writeFileSync } from "node:fs";
+import { resolve, join } from "node:path";
+import { getConfig, getRoot } from "./lib/config.mjs";
+import { previousSnapshotDate, readSnapshot } from "./lib/snapshots.mjs";
+
+const ROOT = getRoot();
+const config = getConfig();
+const DATA_DIR = join(ROOT, config.paths.dataDir);
+
+/** Editorial fields whose changes are reported per tool. */
+export const TRACKED_FIELDS = ["tagline", "stability", "lane"];
+
+/** Override fields layered over projects.json (placeholders may update overrides after sync). */
+const EDITORIAL_FIELDS = [...TRACKED_FIELDS, "screenshot", "screenshotType"];
+
+// ── Helpers ─────────────────────────────────────────────────
+
+function safeParseJson(filePath, fallback = null) {
+  try {
+    return JSON.parse(readFileSync(filePath, "utf8"));
+  } catch {
+    return fallback;
+  }
+}
+
+function byRepo(a, b) {
+  return a.repo.localeCompare(b.repo);
+}
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? "" : "s"}`;
+}
+
+/**
+ * Listed tools keyed by repo, with override editorial fields applied.
+ *
+ * @param {Array} projects
+ * @param {object} overrides
+ * @returns {Map<string, object>}
+ */
+export function catalogView(projects, overrides = {}) {
+  const view = new Map();
+  for (const p of projects || []) {
+    if (!p?.repo || p.unlisted === true) continue;
+    const entry = { ...p };
+    const o = overrides[p.repo] || {};
+    for (const field of EDITORIAL_FIELDS) {
+      if (o[field] !== undefined) entry[field] = o[field];
+    }
+    view.set(p.repo, entry);
+  }
+  return view;
+}
+
+// ── Core ────────────────────────────────────────────────────
+
+/**
+ * Diff two catalog states.
+ *
+ * @param {{ projects: Array, overrides: object, releases: Array }|null} previous - null when no snapshot exists yet
+ * @param {{ projects: Array, overrides: object, releases: Array }} current
+ * @returns {{ added: Array, removed: Array, deprecated: Array, updated: Array, newReleases: Array, screenshotsUpgraded: Array }}
+ */
+export function diffCatalog(previous, current) {
+  const details = { added: [], removed: [], deprecated: [], updated: [], newReleases: [], screenshotsUpgraded: [] };
+  if (!previous) return details;
+
+  const prev = catalogView(previous.projects, previous.overrides);
+  const curr = catalogView(current.projects, current.overrides);
+
+  for (const [repo, tool] of curr) {
+    const before = prev.get(repo);
+    if (!before) {
+      details.added.push({ repo, name: tool.name, tagline: tool.tagline || tool.description || "" });
+      continue;
+    }
+
+    if (tool.deprecated === true && before.deprecated !== true) {
+      details.deprecated.push({ repo, name: tool.name });
+    }
+
+    const changes = [];
+    for (const field of TRACKED_FIELDS) {
+      const from = before[field] ?? null;
+      const to = tool[field] ?? null;
+      if (from !== to) changes.push({ field, from, to });
+    }
+    if (changes.length > 0) details.updated.push({ repo, name: tool.name, changes });
+
+    if (before.screenshotType === "placeholder" && tool.screenshotType === "real") {
+      details.screenshotsUpgraded.push({ repo, name: tool.name, screenshot: tool.screenshot || "" });
+    }
+  }
+
+  for (const [repo, tool] of prev) {
+    if (!curr.has(repo)) details.removed.push({ repo, name: tool.name });
+  }
+
+  const seen = new Set((previous.releases || []).map((r) => `${r.repo}@${r.tag}`));
+  for (const r of current.releases || []) {
+    if (seen.has(`${r.repo}@${r.tag}`)) continue;
+    details.newReleases.push({
+      repo: r.repo,
+      toolName: r.toolName || r.repo,
+      tag: r.tag,
+      name: r.name || r.tag,
+      publishedAt: r.publishedAt || "",
+      url: r.url || "",
+    });
+  }
+
+  for (const key of ["added", "removed", "deprecated", "updated", "screenshotsUpgraded"]) {
+    details[key].sort(byRepo);
+  }
+  details.newReleases.sort((a, b) =>
+    (b.publishedAt || "").localeCompare(a.publishedAt || "") || byRepo(a, b) || a.tag.localeCompare(b.tag)
+  );
+
+  return details;
+}
+
 /**
- * Generate Catalog Changelog.
- * Currently just placeholder:
- * Source: diff of yesterday's snapshot vs today's (requires persistence which we don't have yet)
- * Output: site/src/data/catalog-changelog.json
+ * Turn a diff into human-readable highlight lines.
+ *
+ * @param {ReturnType<typeof diffCatalog>} details
+ * @param {string|null} comparedTo
+ * @returns {string[]}
  */
-import fs from "node:fs";
-import path from "node:path";
-
-const DATA_DIR = path.join(process.cwd(), "site", "src", "data");
-const OUT_PATH = path.join(DATA_DIR, "catalog-changelog.json");
-
-// Ensure directory exists
-fs.mkdirSync(path.dirname(OUT_PATH), { recursive: true });
-
-// For now, generate a placeholder that indicates activity
-// In a real implementation, we'd compare state files
-const activity = {
-  date: new Date().toISOString().split('T')[0],
-  highlights: [
-    "Refreshed tool metadata based on GitHub activity",
-    "Verified deployment status for all listed tools"
-  ],
-  details: {
-    updated: [],
-    screenshotsUpgraded: []
-  }
-};
-
-fs.writeFileSync(OUT_PATH, JSON.stringify(activity, null, 2));
-console.log(`Generated Catalog Changelog at ${OUT_PATH}`);
+export function buildHighlights(details, comparedTo) {
+  if (!comparedTo) {
+    return ["First catalog snapshot recorded — changes are reported from the next sync on"];
+  }
+
+  const names = (items) => items.map((i) => i.name || i.repo).join(", ");
+  const highlights = [];
+
+  if (details.added.length > 0) {
+    highlights.push(`${plural(details.added.length, "new tool")}: ${names(details.added)}`);
+  }
+  if (details.removed.length > 0) {
+    highlights.push(`${plural(details.removed.length, "tool")} removed: ${names(details.removed)}`);
+  }
+  if (details.deprecated.length > 0) {
+    highlights.push(`${plural(details.deprecated.length, "tool")} archived or deprecated: ${names(details.deprecated)}`);
+  }
+  if (details.newReleases.length > 0) {
+    const releases = details.newReleases.map((r) => `${r.toolName} ${r.tag}`).join(", ");
+    highlights.push(`${plural(details.newReleases.length, "new release")}: ${releases}`);
+  }
+  for (const field of TRACKED_FIELDS) {
+    const touched = details.updated.filter((u) => u.changes.some((c) => c.field === field));
+    if (touched.length > 0) {
+      highlights.push(`${field[0].toUpperCase()}${field.slice(1)} changed for ${names(touched)}`);
+    }
+  }
+  if (details.screenshotsUpgraded.length > 0) {
+    highlights.push(`Real screenshots for ${names(details.screenshotsUpgraded)}`);
+  }
+
+  if (highlights.length === 0) {
+    highlights.push(`No catalog changes since ${comparedTo}`);
+  }
+  return highlights;
+}
+
+/**
+ * Build the full changelog object.
+ *
+ * @param {object|null} previous - snapshot from readSnapshot(), or null
+ * @param {{ projects: Array, overrides: object, releases: Array }} current
+ * @param {string} date - YYYY-MM-DD
+ * @returns {{ date: string, comparedTo: string|null, highlights: string[], details: object }}
+ */
+export function buildChangelog(previous, current, date) {
+  const comparedTo = previous?.date ?? null;
+  const details = diffCatalog(previous, current);
+  return {
+    date,
+    comparedTo,
+    highlights: buildHighlights(details, comparedTo),
+    details,
+  };
+}
+
+// ── Pipeline ────────────────────────────────────────────────
+
+/**
+ * Full pipeline: load current data + previous snapshot, write changelog.
+ *
+ * @param {{ dataDir?: string, date?: string, dryRun?: boolean }} opts
+ * @returns {object} the changelog
+ */
+export function generateCatalogChangelog(opts = {}) {
+  const {
+    dataDir = DATA_DIR,
+    date = new Date().toISOString().slice(0, 10),
+    dryRun = false,
+  } = opts;
+
+  const current = {
+    projects: safeParseJson(join(dataDir, "projects.json"), []),
+    overrides: safeParseJson(join(dataDir, "overrides.json"), {}),
+    releases: safeParseJson(join(dataDir, "releases.json"), []),
+  };
+
+  const prevDate = previousSnapshotDate(dataDir, date);
+  const previous = prevDate ? readSnapshot(dataDir, prevDate) : null;
+
+  const changelog = buildChangelog(previous, current, date);
+
+  if (dryRun) {
+    console.log(`  [dry-run] Compared to: ${changelog.comparedTo || "(no snapshot)"}`);
+    for (const h of changelog.highlights) {
+      console.log(`  [dry-run] ${h}`);
+    }
+    return changelog;
+  }
+
+  const outPath = join(dataDir, "catalog-changelog.json");
+  writeFileSync(outPath, JSON.stringify(changelog, null, 2) + "\n", "utf8");
+  console.log(`  Wrote catalog-changelog.json (${changelog.highlights.length} highlights, vs ${changelog.comparedTo || "no snapshot"})`);
+  return changelog;
+}
+
+// ── Entry point ─────────────────────────────────────────────
+
+const isMain = process.argv[1] &&
+  resolve(process.argv[1]).endsWith("gen-catalog-changelog.mjs");
+
+if (isMain) {
+  const dryRun = process.argv.includes("--dry-run");
+  const dateIdx = process.argv.indexOf("--date");
+  const date = dateIdx !== -1 ? process.argv[dateIdx + 1] : undefined;
+
+  console.log("Generating catalog changelog...");
+  if (dryRun) console.log("  Mode: DRY RUN");
+  generateCatalogChangelog({ dryRun, ...(date ? { date } : {}) });
+}
@@ -7,6 +7,18 @@
  * evaluates active experiments for winner/loser/insufficient-data status,
  * writes a separate decisions file. Does NOT modify experiments.json.
  *
+ * Experiments may declare N arms and a primary metric (replied, opened or a
+ * weighted outcome score -- see lib/experiments.mjs). Each variant is compared
+ * against the control arm; with more than one variant the significance level
+ * is Bonferroni-corrected for the number of comparisons.
+ *
+ * Evaluation method is set by governance.experimentMethod:
+ *   ratio    — legacy rule: winner when one arm's metric is >2x the other
+ *   z-test   — two-proportion z-test, winner when p < significance level
+ *   fisher   — Fisher exact test, winner when p < significance level
+ *   bayesian — beta-binomial, winner when P(variant > control) clears 1 - α
+ * The significance level (α) comes from governance.experimentSignificanceLevel.
+ *
  * Usage:
  *   node scripts/gen-experiment-decisions.mjs [--dry-run]
  *
@@ -23,6 +35,7 @@
 import { readFileSync, writeFileSync, mkdirSync } from "node:fs";
 import { resolve, join } from "node:path";
 import { getConfig, getRoot } from "./lib/config.mjs";
+import { getArms, getPrimaryMetric, metricLabel, metricSample, makeOutcomeCounter, armEntries } from "./lib/experiments.mjs";
 
 const ROOT = getRoot();
 const config = getConfig();
@@ -39,32 +52,455 @@ function safeParseJson(filePath, fallback = null) {
   }
 }
 
+export const EXPERIMENT_METHODS = ["ratio", "z-test", "fisher", "bayesian"];
+
+const DEFAULT_METHOD = "ratio";
+const DEFAULT_SIGNIFICANCE_LEVEL = 0.05;
+
+function round4(n) {
+  return Math.round(n * 10000) / 10000;
+}
+
+// -- Statistics ------------------------------------------------------
+
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+  771.32342877765313, -176.61502916214059, 12.507343278686905,
+  -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+];
+
+/** Natural log of the gamma function (Lanczos approximation, x > 0). */
+function logGamma(x) {
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+  x -= 1;
+  let a = LANCZOS[0];
+  const t = x + 7.5;
+  for (let i = 1; i < LANCZOS.length; i++) a += LANCZOS[i] / (x + i);
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+function logBeta(a, b) {
+  return logGamma(a) + logGamma(b) - logGamma(a + b);
+}
+
+function logChoose(n, k) {
+  return logGamma(n + 1) - logGamma(k + 1) - logGamma(n - k + 1);
+}
+
+/**
+ * Standard normal CDF (Abramowitz & Stegun 7.1.26, |error| < 1.5e-7).
+ *
+ * @param {number} z
+ * @returns {number}
+ */
+export function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Inverse standard normal CDF (Acklam's rational approximation).
+ *
+ * @param {number} p - probability in (0, 1)
+ * @returns {number}
+ */
+export function normalQuantile(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const pLow = 0.02425;
+
+  if (p < pLow) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - pLow) {
+    return -normalQuantile(1 - p);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Wilson score interval for a single proportion.
+ *
+ * @param {number} successes
+ * @param {number} n
+ * @param {number} alpha - significance level (0.05 -> 95% interval)
+ * @returns {[number, number]}
+ */
+export function wilsonInterval(successes, n, alpha = DEFAULT_SIGNIFICANCE_LEVEL) {
+  if (n === 0) return [0, 1];
+  const z = normalQuantile(1 - alpha / 2);
+  const p = successes / n;
+  const denom = 1 + (z * z) / n;
+  const center = (p + (z * z) / (2 * n)) / denom;
+  const half = (z * Math.sqrt((p * (1 - p)) / n + (z * z) / (4 * n * n))) / denom;
+  return [Math.max(0, center - half), Math.min(1, center + half)];
+}
+
+/**
+ * Two-sided two-proportion z-test (pooled standard error), plus a Wald
+ * interval for the difference (variant rate minus control rate).
+ *
+ * @param {number} x1 - control successes
+ * @param {number} n1 - control trials
+ * @param {number} x2 - variant successes
+ * @param {number} n2 - variant trials
+ * @param {number} alpha
+ * @returns {{ z: number, pValue: number, diffCI: [number, number] }}
+ */
+export function twoProportionZTest(x1, n1, x2, n2, alpha = DEFAULT_SIGNIFICANCE_LEVEL) {
+  if (n1 === 0 || n2 === 0) return { z: 0, pValue: 1, diffCI: [-1, 1] };
+  const p1 = x1 / n1;
+  const p2 = x2 / n2;
+  const pooled = (x1 + x2) / (n1 + n2);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2));
+  const z = se > 0 ? (p2 - p1) / se : 0;
+  const pValue = se > 0 ? Math.min(1, 2 * (1 - normalCdf(Math.abs(z)))) : 1;
+
+  const seDiff = Math.sqrt((p1 * (1 - p1)) / n1 + (p2 * (1 - p2)) / n2);
+  const zCrit = normalQuantile(1 - alpha / 2);
+  const diff = p2 - p1;
+  const diffCI = [Math.max(-1, diff - zCrit * seDiff), Math.min(1, diff + zCrit * seDiff)];
+
+  return { z, pValue, diffCI };
+}
+
+/**
+ * Two-sided Fisher exact test on the 2x2 table
+ * [[x1, n1 - x1], [x2, n2 - x2]].
+ *
+ * @param {number} x1
+ * @param {number} n1
+ * @param {number} x2
+ * @param {number} n2
+ * @returns {number} p-value
+ */
+export function fisherExactTest(x1, n1, x2, n2) {
+  const total = n1 + n2;
+  const successes = x1 + x2;
+  if (n1 === 0 || n2 === 0 || successes === 0 || successes === total) return 1;
+
+  const logDenom = logChoose(total, successes);
+  const prob = (k) => Math.exp(logChoose(n1, k) + logChoose(n2, successes - k) - logDenom);
+
+  const observed = prob(x1);
+  const lo = Math.max(0, successes - n2);
+  const hi = Math.min(n1, successes);
+  let pValue = 0;
+  for (let k = lo; k <= hi; k++) {
+    const pk = prob(k);
+    if (pk <= observed * (1 + 1e-7)) pValue += pk;
+  }
+  return Math.min(1, pValue);
+}
+
+/**
+ * Probability that the variant's true rate exceeds the control's, with
+ * uniform Beta(1, 1) priors on both arms (closed form, exact for integer counts).
+ *
+ * @param {number} x1 - control successes
+ * @param {number} n1 - control trials
+ * @param {number} x2 - variant successes
+ * @param {number} n2 - variant trials
+ * @returns {number}
+ */
+export function probabilityVariantBeatsControl(x1, n1, x2, n2) {
+  const aC = x1 + 1;
+  const bC = n1 - x1 + 1;
+  const aV = x2 + 1;
+  const bV = n2 - x2 + 1;
+
+  let total = 0;
+  for (let i = 0; i < aV; i++) {
+    total += Math.exp(
+      logBeta(aC + i, bC + bV) - Math.log(bV + i) - logBeta(1 + i, bV) - logBeta(aC, bC)
+    );
+  }
+  return Math.min(1, Math.max(0, total));
+}
+
+/**
+ * Welch z-test on two sample means (used by the "score" metric), plus a
+ * normal interval for the difference (variant minus control). The interval
+ * is null when either arm has no samples.
+ *
+ * @param {{ entries: number, mean: number, variance: number }} a - control
+ * @param {{ entries: number, mean: number, variance: number }} b - variant
+ * @param {number} alpha
+ * @returns {{ z: number, pValue: number, diffCI: [number, number]|null, probability: number }}
+ */
+export function meanDifferenceTest(a, b, alpha = DEFAULT_SIGNIFICANCE_LEVEL) {
+  if (a.entries === 0 || b.entries === 0) return { z: 0, pValue: 1, diffCI: null, probability: 0.5 };
+  const diff = b.mean - a.mean;
+  const se = Math.sqrt(a.variance / a.entries + b.variance / b.entries);
+  const zCrit = normalQuantile(1 - alpha / 2);
+  if (se === 0) {
+    return { z: 0, pValue: diff === 0 ? 1 : 0, diffCI: [diff, diff], probability: diff > 0 ? 1 : diff < 0 ? 0 : 0.5 };
+  }
+  const z = diff / se;
+  return {
+    z,
+    pValue: Math.min(1, 2 * (1 - normalCdf(Math.abs(z)))),
+    diffCI: [diff - zCrit * se, diff + zCrit * se],
+    probability: normalCdf(z),
+  };
+}
+
+function meanInterval(sample, alpha) {
+  if (sample.entries === 0) return [0, 0];
+  const half = normalQuantile(1 - alpha / 2) * Math.sqrt(sample.variance / sample.entries);
+  return [sample.mean - half, sample.mean + half];
+}
+
+/**
+ * Compute the statistics block reported for a variant against the control.
+ *
+ * Proportion metrics (replied, opened) use Wilson intervals, the z-test or
+ * Fisher exact test, and a beta-binomial posterior. The "score" metric is a
+ * mean of weighted outcomes and always uses a Welch z-test (Fisher does not
+ * apply) with a normal approximation for P(variant > control).
+ *
+ * @param {{ entries: number, successes: number|null, mean: number, variance: number }} control
+ * @param {{ entries: number, successes: number|null, mean: number, variance: number }} variant
+ * @param {string} method
+ * @param {number} alpha - significance level, already corrected for comparisons
+ * @returns {{
+ *   method: string,
+ *   significanceLevel: number,
+ *   pValue: number,
+ *   controlCI: [number, number],
+ *   variantCI: [number, number],
+ *   diffCI: [number, number]|null,
+ *   probabilityVariantBeatsControl: number
+ * }}
+ */
+export function compareArms(control, variant, method = DEFAULT_METHOD, alpha = DEFAULT_SIGNIFICANCE_LEVEL) {
+  if (control.successes === null || variant.successes === null) {
+    const test = meanDifferenceTest(control, variant, alpha);
+    return {
+      method,
+      significanceLevel: alpha,
+      pValue: round4(test.pValue),
+      controlCI: meanInterval(control, alpha).map(round4),
+      variantCI: meanInterval(variant, alpha).map(round4),
+      diffCI: test.diffCI && test.diffCI.map(round4),
+      probabilityVariantBeatsControl: round4(test.probability),
+    };
+  }
+
+  const x1 = control.successes;
+  const n1 = control.entries;
+  const x2 = variant.successes;
+  const n2 = variant.entries;
+
+  const zTest = twoProportionZTest(x1, n1, x2, n2, alpha);
+  const pValue = method === "fisher" ? fisherExactTest(x1, n1, x2, n2) : zTest.pValue;
+
+  return {
+    method,
+    significanceLevel: alpha,
+    pValue: round4(pValue),
+    controlCI: wilsonInterval(x1, n1, alpha).map(round4),
+    variantCI: wilsonInterval(x2, n2, alpha).map(round4),
+    diffCI: zTest.diffCI.map(round4),
+    probabilityVariantBeatsControl: round4(probabilityVariantBeatsControl(x1, n1, x2, n2)),
+  };
+}
+
+/**
+ * Resolve the evaluation method and significance level from governance,
+ * falling back to the legacy ratio rule when unset or unrecognized.
+ *
+ * @param {{ experimentMethod?: string, experimentSignificanceLevel?: number }} governance
+ * @returns {{ method: string, alpha: number, warnings: string[] }}
+ */
+export function resolveEvaluationSettings(governance = {}) {
+  const warnings = [];
+  let method = governance.experimentMethod || DEFAULT_METHOD;
+  if (!EXPERIMENT_METHODS.includes(method)) {
+    warnings.push(`Unknown experimentMethod "${method}" -- falling back to "${DEFAULT_METHOD}"`);
+    method = DEFAULT_METHOD;
+  }
+
+  let alpha = governance.experimentSignificanceLevel ?? DEFAULT_SIGNIFICANCE_LEVEL;
+  if (typeof alpha !== "number" || !(alpha > 0 && alpha < 0.5)) {
+    warnings.push(`Invalid experimentSignificanceLevel ${JSON.stringify(alpha)} -- using ${DEFAULT_SIGNIFICANCE_LEVEL}`);
+    alpha = DEFAULT_SIGNIFICANCE_LEVEL;
+  }
+
+  return { method, alpha, warnings };
+}
+
 // -- Core ------------------------------------------------------------
 
+/**
+ * Does the variant clear the method's bar against the control?
+ *
+ * @returns {1|-1|0} 1 = variant better, -1 = control better, 0 = undecided
+ */
+function pairwiseVerdict(controlValue, variantValue, stats) {
+  if (stats.method === "ratio") {
+    if (variantValue > 0 && variantValue / Math.max(controlValue, 0.001) > 2) return 1;
+    if (controlValue > 0 && controlValue / Math.max(variantValue, 0.001) > 2) return -1;
+    return 0;
+  }
+
+  const alpha = stats.significanceLevel;
+  if (stats.method === "bayesian") {
+    if (stats.probabilityVariantBeatsControl >= 1 - alpha) return 1;
+    if (stats.probabilityVariantBeatsControl <= alpha) return -1;
+    return 0;
+  }
+
+  // Frequentist tests (z-test, fisher)
+  if (stats.pValue < alpha && variantValue !== controlValue) {
+    return variantValue > controlValue ? 1 : -1;
+  }
+  return 0;
+}
+
+/**
+ * Pick a winner (or not) for a two-arm experiment that has cleared the data threshold.
+ *
+ * @returns {{ status: "winner-found"|"no-decision", winnerKey: string|null, recommendation: string }}
+ */
+function decideWinner(controlKey, variantKey, controlValue, variantValue, stats, label) {
+  const cRate = round4(controlValue);
+  const vRate = round4(variantValue);
+  const verdict = pairwiseVerdict(controlValue, variantValue, stats);
+  const alpha = stats.significanceLevel;
+
+  if (stats.method === "ratio") {
+    if (verdict === 1) {
+      const ratio = Math.round(variantValue / Math.max(controlValue, 0.001) * 10) / 10;
+      return { status: "winner-found", winnerKey: variantKey, recommendation: `Variant '${variantKey}' outperforms control at ${ratio}x ${label}` };
+    }
+    if (verdict === -1) {
+      const ratio = Math.round(controlValue / Math.max(variantValue, 0.001) * 10) / 10;
+      return { status: "winner-found", winnerKey: controlKey, recommendation: `Control '${controlKey}' outperforms variant at ${ratio}x ${label}` };
+    }
+    return {
+      status: "no-decision",
+      winnerKey: null,
+      recommendation: `Performance is similar (control: ${cRate}, variant: ${vRate}). Keep collecting data.`,
+    };
+  }
+
+  if (stats.method === "bayesian") {
+    const prob = stats.probabilityVariantBeatsControl;
+    if (verdict === 1) {
+      return { status: "winner-found", winnerKey: variantKey, recommendation: `Variant '${variantKey}' beats control with probability ${prob} (${vRate} vs ${cRate} ${label})` };
+    }
+    if (verdict === -1) {
+      return { status: "winner-found", winnerKey: controlKey, recommendation: `Control '${controlKey}' beats variant with probability ${round4(1 - prob)} (${cRate} vs ${vRate} ${label})` };
+    }
+    return {
+      status: "no-decision",
+      winnerKey: null,
+      recommendation: `P(variant > control) = ${prob}, needs >= ${round4(1 - alpha)} or <= ${alpha}. Keep collecting data.`,
+    };
+  }
+
+  if (verdict !== 0) {
+    const variantWins = verdict === 1;
+    const who = variantWins ? `Variant '${variantKey}' outperforms control` : `Control '${controlKey}' outperforms variant`;
+    return {
+      status: "winner-found",
+      winnerKey: variantWins ? variantKey : controlKey,
+      recommendation: `${who} (${vRate} vs ${cRate} ${label}, p = ${stats.pValue}, ${stats.method}, alpha = ${alpha})`,
+    };
+  }
+
+  return {
+    status: "no-decision",
+    winnerKey: null,
+    recommendation: `No significant difference (control: ${cRate}, variant: ${vRate}, p = ${stats.pValue}, alpha = ${alpha}). Keep collecting data.`,
+  };
+}
+
+/**
+ * Pick a winner across N arms. A variant wins when it clears the bar against
+ * control (best metric value among those that do); control wins only when it
+ * clears the bar against every variant.
+ *
+ * @returns {{ status: "winner-found"|"no-decision", winnerKey: string|null, recommendation: string }}
+ */
+function decideMultiArm(control, variants, label) {
+  const verdicts = variants.map((v) => ({ arm: v, verdict: pairwiseVerdict(control.metricValue, v.metricValue, v.stats) }));
+  const winners = verdicts.filter((v) => v.verdict === 1).map((v) => v.arm);
+  const comparisons = `${variants.length} comparisons`;
+
+  if (winners.length > 0) {
+    const best = winners.sort((a, b) => b.metricValue - a.metricValue)[0];
+    const detail = best.stats.method === "ratio" ? "" : `, p = ${best.stats.pValue}`;
+    return {
+      status: "winner-found",
+      winnerKey: best.key,
+      recommendation: `Variant '${best.key}' outperforms control (${round4(best.metricValue)} vs ${round4(control.metricValue)} ${label}${detail}; ${comparisons})`,
+    };
+  }
+
+  if (verdicts.every((v) => v.verdict === -1)) {
+    return {
+      status: "winner-found",
+      winnerKey: control.key,
+      recommendation: `Control '${control.key}' outperforms all ${variants.length} variants on ${label}`,
+    };
+  }
+
+  return {
+    status: "no-decision",
+    winnerKey: null,
+    recommendation: `No variant clears the bar on ${label} after correcting for ${comparisons}. Keep collecting data.`,
+  };
+}
+
 /**
  * Evaluate active experiments against feedback data and governance thresholds.
  *
- * @param {{ schemaVersion?: number, experiments: Array<{ id: string, name: string, status: string, control: { key: string }, variant: { key: string } }> }} experiments
+ * The legacy top-level fields (controlEntries, variantEntries, *ReplyRate,
+ * stats) describe the control and the leading variant; `arms` carries every
+ * arm with its primary-metric value and stats against control.
+ *
+ * @param {{ schemaVersion?: number, experiments: Array<object> }} experiments
  * @param {{ perExperiment: Record<string, Record<string, { sent: number, opened: number, replied: number, ignored: number, bounced: number }>> }} feedbackSummary
- * @param {{ minExperimentDataThreshold: number }} governance
+ * @param {{ minExperimentDataThreshold: number, experimentMethod?: string, experimentSignificanceLevel?: number }} governance
  * @returns {{
+ *   method: string,
+ *   significanceLevel: number,
  *   evaluations: Array<{
  *     experimentId: string,
  *     name: string,
  *     status: "needs-more-data"|"winner-found"|"no-decision",
+ *     primaryMetric: string,
+ *     comparisons: number,
+ *     adjustedSignificanceLevel: number,
  *     controlEntries: number,
  *     variantEntries: number,
  *     controlReplyRate: number,
  *     variantReplyRate: number,
  *     winnerKey: string|null,
- *     recommendation: string
+ *     recommendation: string,
+ *     stats: ReturnType<typeof compareArms>|null,
+ *     arms: Array<{ key: string, control: boolean, entries: number, metricValue: number, replyRate: number, stats: ReturnType<typeof compareArms>|null }>
  *   }>,
  *   warnings: string[]
  * }}
  */
 export function evaluateExperiments(experiments, feedbackSummary, governance) {
   const evaluations = [];
-  const warnings = [];
+  const { method, alpha, warnings } = resolveEvaluationSettings(governance);
 
   const threshold = governance.minExperimentDataThreshold || 10;
   const perExp = feedbackSummary.perExperiment || {};
@@ -79,6 +515,21 @@ export function evaluateExperiments(experiments, feedbackSummary, governance) {
 
   for (const exp of active) {
     const expData = perExp[exp.id];
+    const declaredArms = getArms(exp);
+    const primaryMetric = getPrimaryMetric(exp);
+    const label = metricLabel(primaryMetric);
+
+    if (declaredArms.length < 2) {
+      warnings.push(`Experiment ${exp.id} declares fewer than two arms -- skipped`);
+      continue;
+    }
+
+    const comparisons = declaredArms.length - 1;
+    // The legacy ratio rule has no error rate to correct
+    const adjustedAlpha = method === "ratio" ? alpha : alpha / comparisons;
+    if (primaryMetric === "score" && method === "fisher") {
+      warnings.push(`Experiment ${exp.id}: fisher does not apply to the score metric -- using a Welch z-test`);
+    }
 
     // No feedback data at all for this experiment
     if (!expData) {
@@ -86,95 +537,89 @@ export function evaluateExperiments(experiments, feedbackSummary, governance) {
         experimentId: exp.id,
         name: exp.name,
         status: "needs-more-data",
+        primaryMetric,
+        comparisons,
+        adjustedSignificanceLevel: adjustedAlpha,
         controlEntries: 0,
         variantEntries: 0,
         controlReplyRate: 0,
         variantReplyRate: 0,
         winnerKey: null,
         recommendation: `No feedback data yet for experiment ${exp.id}`,
+        stats: null,
+        arms: declaredArms.map((a) => ({ key: a.key, control: a.control, entries: 0, metricValue: 0, replyRate: 0, stats: null })),
       });
       continue;
     }
 
-    const controlKey = exp.control.key;
-    const variantKey = exp.variant.key;
+    const arms = declaredArms.map((arm) => {
+      const counts = expData[arm.key] || makeOutcomeCounter();
+      const entries = armEntries(counts);
+      const sample = metricSample(counts, primaryMetric, exp.metricWeights);
+      return {
+        key: arm.key,
+        control: arm.control,
+        entries,
+        metricValue: sample.mean,
+        replyRate: (counts.replied || 0) / Math.max(entries, 1),
+        sample,
+      };
+    });
 
-    const controlCounts = expData[controlKey] || { sent: 0, opened: 0, replied: 0, ignored: 0, bounced: 0 };
-    const variantCounts = expData[variantKey] || { sent: 0, opened: 0, replied: 0, ignored: 0, bounced: 0 };
+    const control = arms[0];
+    const variants = arms.slice(1);
+    for (const v of variants) {
+      v.stats = compareArms(control.sample, v.sample, method, adjustedAlpha);
+    }
+    control.stats = null;
 
-    // Compute entry counts per arm: total = sum of all outcome fields
-    const controlEntries = controlCounts.sent + controlCounts.opened + controlCounts.replied + controlCounts.ignored + controlCounts.bounced;
-    const variantEntries = variantCounts.sent + variantCounts.opened + variantCounts.replied + variantCounts.ignored + variantCounts.bounced;
+    // Leading variant: best on the primary metric (declaration order breaks ties)
+    const leading = variants.reduce((best, v) => (v.metricValue > best.metricValue ? v : best), variants[0]);
 
-    // Compute reply rates
-    const controlReplyRate = controlCounts.replied / Math.max(controlEntries, 1);
-    const variantReplyRate = variantCounts.replied / Math.max(variantEntries, 1);
+    const base = {
+      experimentId: exp.id,
+      name: exp.name,
+      primaryMetric,
+      comparisons,
+      adjustedSignificanceLevel: adjustedAlpha,
+      controlEntries: control.entries,
+      variantEntries: leading.entries,
+      controlReplyRate: round4(control.replyRate),
+      variantReplyRate: round4(leading.replyRate),
+    };
+    const armsOut = arms.map((a) => ({
+      key: a.key,
+      control: a.control,
+      entries: a.entries,
+      metricValue: round4(a.metricValue),
+      replyRate: round4(a.replyRate),
+      stats: a.stats,
+    }));
 
     // Insufficient data check
-    if (controlEntries < threshold || variantEntries < threshold) {
+    const short = arms.filter((a) => a.entries < threshold);
+    if (short.length > 0) {
+      const counts = comparisons === 1
+        ? `${control.entries} control, ${leading.entries} variant`
+        : arms.map((a) => `${a.entries} ${a.key}`).join(", ");
       evaluations.push({
-        experimentId: exp.id,
-        name: exp.name,
+        ...base,
         status: "needs-more-data",
-        controlEntries,
-        variantEntries,
-        controlReplyRate: Math.round(controlReplyRate * 10000) / 10000,
-        variantReplyRate: Math.round(variantReplyRate * 10000) / 10000,
         winnerKey: null,
-        recommendation: `Insufficient data: ${controlEntries} control, ${variantEntries} variant (threshold: ${threshold})`,
+        recommendation: `Insufficient data: ${counts} (threshold: ${threshold})`,
+        stats: leading.stats,
+        arms: armsOut,
       });
       continue;
     }
 
-    // Winner detection: variant outperforms control at 2x+
-    if (variantReplyRate > 0 && variantReplyRate / Math.max(controlReplyRate, 0.001) > 2) {
-      const ratio = Math.round(variantReplyRate / Math.max(controlReplyRate, 0.001) * 10) / 10;
-      evaluations.push({
-        experimentId: exp.id,
-        name: exp.name,
-        status: "winner-found",
-        controlEntries,
-        variantEntries,
-        controlReplyRate: Math.round(controlReplyRate * 10000) / 10000,
-        variantReplyRate: Math.round(variantReplyRate * 10000) / 10000,
-        winnerKey: variantKey,
-        recommendation: `Variant '${variantKey}' outperforms control at ${ratio}x reply rate`,
-      });
-      continue;
-    }
-
-    // Winner detection: control outperforms variant at 2x+
-    if (controlReplyRate > 0 && controlReplyRate / Math.max(variantReplyRate, 0.001) > 2) {
-      const ratio = Math.round(controlReplyRate / Math.max(variantReplyRate, 0.001) * 10) / 10;
-      evaluations.push({
-        experimentId: exp.id,
-        name: exp.name,
-        status: "winner-found",
-        controlEntries,
-        variantEntries,
-        controlReplyRate: Math.round(controlReplyRate * 10000) / 10000,
-        variantReplyRate: Math.round(variantReplyRate * 10000) / 10000,
-        winnerKey: controlKey,
-        recommendation: `Control '${controlKey}' outperforms variant at ${ratio}x reply rate`,
-      });
-      continue;
-    }
-
-    // No clear winner -- keep collecting
-    evaluations.push({
-      experimentId: exp.id,
-      name: exp.name,
-      status: "no-decision",
-      controlEntries,
-      variantEntries,
-      controlReplyRate: Math.round(controlReplyRate * 10000) / 10000,
-      variantReplyRate: Math.round(variantReplyRate * 10000) / 10000,
-      winnerKey: null,
-      recommendation: `Performance is similar (control: ${Math.round(controlReplyRate * 10000) / 10000}, variant: ${Math.round(variantReplyRate * 10000) / 10000}). Keep collecting data.`,
-    });
+    const decision = comparisons === 1
+      ? decideWinner(control.key, leading.key, control.metricValue, leading.metricValue, leading.stats, label)
+      : decideMultiArm(control, variants, label);
+    evaluations.push({ ...base, ...decision, stats: leading.stats, arms: armsOut });
   }
 
-  return { evaluations, warnings };
+  return { method, significanceLevel: alpha, evaluations, warnings };
 }
 
 /**
@@ -190,6 +635,10 @@ export function generateDecisionsMd(result) {
   lines.push("");
   lines.push(`*Generated: ${new Date().toISOString().slice(0, 10)}*`);
   lines.push("");
+  if (result.method) {
+    lines.push(`Method: \`${result.method}\` (significance level alpha = ${result.significanceLevel})`);
+    lines.push("");
+  }
 
   if (result.evaluations.length === 0) {
     lines.push("No active experiments to evaluate.");
@@ -197,14 +646,53 @@ export function generateDecisionsMd(result) {
   } else {
     lines.push("## Evaluations");
     lines.push("");
-    lines.push("| Experiment | Status | Control (n) | Variant (n) | Control Rate | Variant Rate | Winner | Recommendation |");
-    lines.push("|------------|--------|-------------|-------------|--------------|--------------|--------|----------------|");
+    lines.push("| Experiment | Status | Control (n) | Variant (n) | Control Rate | Variant Rate | p-value | P(variant > control) | Winner | Recommendation |");
+    lines.push("|------------|--------|-------------|-------------|--------------|--------------|---------|----------------------|--------|----------------|");
 
     for (const ev of result.evaluations) {
       const winner = ev.winnerKey || "--";
-      lines.push(`| ${ev.name} | ${ev.status} | ${ev.controlEntries} | ${ev.variantEntries} | ${ev.controlReplyRate} | ${ev.variantReplyRate} | ${winner} | ${ev.recommendation} |`);
+      const pValue = ev.stats ? ev.stats.pValue : "--";
+      const pBeats = ev.stats ? ev.stats.probabilityVariantBeatsControl : "--";
+      lines.push(`| ${ev.name} | ${ev.status} | ${ev.controlEntries} | ${ev.variantEntries} | ${ev.controlReplyRate} | ${ev.variantReplyRate} | ${pValue} | ${pBeats} | ${winner} | ${ev.recommendation} |`);
     }
     lines.push("");
+
+    const withStats = result.evaluations.filter((ev) => ev.stats);
+    if (withStats.length > 0) {
+      const pct = (alpha) => Math.round((1 - alpha) * 1000) / 10;
+      const fmt = (ci) => (ci ? `[${ci[0]}, ${ci[1]}]` : "n/a");
+      lines.push(`## Confidence Intervals (${pct(result.significanceLevel)}%)`);
+      lines.push("");
+      lines.push("Multi-arm experiments use the corrected level shown per row.");
+      lines.push("");
+      lines.push("| Experiment | Level | Control CI | Variant CI | Difference CI (variant - control) |");
+      lines.push("|------------|-------|------------|------------|-----------------------------------|");
+      for (const ev of withStats) {
+        lines.push(`| ${ev.name} | ${pct(ev.stats.significanceLevel)}% | ${fmt(ev.stats.controlCI)} | ${fmt(ev.stats.variantCI)} | ${fmt(ev.stats.diffCI)} |`);
+      }
+      lines.push("");
+    }
+
+    const multiArm = result.evaluations.filter((ev) => (ev.arms || []).length > 2);
+    if (multiArm.length > 0) {
+      lines.push("## Arms");
+      lines.push("");
+      for (const ev of multiArm) {
+        lines.push(`### ${ev.name}`);
+        lines.push("");
+        lines.push(`Primary metric: \`${ev.primaryMetric}\` -- ${ev.comparisons} comparisons, corrected alpha = ${round4(ev.adjustedSignificanceLevel)}`);
+        lines.push("");
+        lines.push("| Arm | n | Metric | Reply Rate | p-value vs control | P(arm > control) |");
+        lines.push("|-----|---|--------|------------|--------------------|------------------|");
+        for (const arm of ev.arms) {
+          const name = arm.control ? `${arm.key} (control)` : arm.key;
+          const pValue = arm.stats ? arm.stats.pValue : "--";
+          const pBeats = arm.stats ? arm.stats.probabilityVariantBeatsControl : "--";
+          lines.push(`| ${name} | ${arm.entries} | ${arm.metricValue} | ${arm.replyRate} | ${pValue} | ${pBeats} |`);
+        }
+        lines.push("");
+      }
+    }
   }
 
   if (result.warnings.length > 0) {
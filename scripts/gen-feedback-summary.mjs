@@ -6,11 +6,17 @@
  * Reads feedback.jsonl (append-only log), computes per-channel and per-slug
  * statistics, generates recommendations, writes feedback-summary.json.
  *
+ * perExperiment follows the arms declared in experiments.json: every declared
+ * arm appears (zero-filled until feedback arrives), and experiment
+ * recommendations compare each variant against the declared control on the
+ * experiment's primary metric.
+ *
  * Usage:
  *   node scripts/gen-feedback-summary.mjs [--dry-run]
  *
  * Reads:
  *   site/src/data/feedback.jsonl
+ *   site/src/data/experiments.json
  *
  * Writes:
  *   site/src/data/feedback-summary.json
@@ -19,6 +25,7 @@
 import { readFileSync, writeFileSync, existsSync } from "node:fs";
 import { resolve, join } from "node:path";
 import { getConfig, getRoot } from "./lib/config.mjs";
+import { getArms, getPrimaryMetric, metricLabel, metricSample, makeOutcomeCounter, armEntries } from "./lib/experiments.mjs";
 
 const ROOT = getRoot();
 const config = getConfig();
@@ -35,10 +42,6 @@ function safeParseJson(filePath, fallback = null) {
 
 const VALID_OUTCOMES = new Set(["sent", "opened", "replied", "ignored", "bounced"]);
 
-function makeOutcomeCounter() {
-  return { sent: 0, opened: 0, replied: 0, ignored: 0, bounced: 0 };
-}
-
 // ── Core ────────────────────────────────────────────────────
 
 /**
@@ -84,6 +87,9 @@ export function parseFeedbackLines(content) {
  * Compute summary statistics from parsed feedback entries.
  *
  * @param {Array<object>} entries
+ * @param {{ experiments?: Array<object> }|null} [experiments] - experiments.json; when
+ *   given, declared arms are seeded into perExperiment and drive the experiment
+ *   recommendations. Without it, arms are keyed as logged and "control" is the baseline.
  * @returns {{
  *   totalEntries: number,
  *   perChannel: Record<string, { sent: number, opened: number, replied: number, ignored: number, bounced: number }>,
@@ -93,12 +99,23 @@ export function parseFeedbackLines(content) {
  *   replyRate: number
  * }}
  */
-export function computeFeedbackSummary(entries) {
+export function computeFeedbackSummary(entries, experiments = null) {
   const perChannel = {};
   const perSlug = {};
   const perExperiment = {};
   let totalReplied = 0;
 
+  // Seed declared arms so every arm is visible before its first feedback entry
+  const declared = {};
+  for (const exp of experiments?.experiments || []) {
+    if (exp.status === "draft") continue;
+    declared[exp.id] = exp;
+    perExperiment[exp.id] = {};
+    for (const arm of getArms(exp)) {
+      perExperiment[exp.id][arm.key] = makeOutcomeCounter();
+    }
+  }
+
   for (const entry of entries) {
     const { channel, slug, outcome } = entry;
 
@@ -161,29 +178,40 @@ export function computeFeedbackSummary(entries) {
 
   // Experiment-specific recommendations
   for (const [expId, arms] of Object.entries(perExperiment)) {
-    const controlCounts = arms["control"];
-    const variantKeys = Object.keys(arms).filter((k) => k !== "control");
+    const exp = declared[expId];
+    const declaredArms = exp ? getArms(exp) : [];
+    const controlKey = declaredArms.length > 0 ? declaredArms[0].key : "control";
+    const metric = exp ? getPrimaryMetric(exp) : "replied";
+    const label = metricLabel(metric);
+    const controlCounts = arms[controlKey];
+    const variantKeys = Object.keys(arms).filter((k) => k !== controlKey);
+
+    if (exp) {
+      const known = new Set(declaredArms.map((a) => a.key));
+      for (const key of variantKeys.filter((k) => !known.has(k))) {
+        recommendations.push(`${expId}: feedback logged for undeclared arm "${key}" -- check variantKey`);
+      }
+    }
 
     for (const vk of variantKeys) {
       const variantCounts = arms[vk];
-      const controlTotal = controlCounts
-        ? controlCounts.sent + controlCounts.opened + controlCounts.replied + controlCounts.ignored + controlCounts.bounced
-        : 0;
-      const variantTotal = variantCounts.sent + variantCounts.opened + variantCounts.replied + variantCounts.ignored + variantCounts.bounced;
+      const controlTotal = controlCounts ? armEntries(controlCounts) : 0;
+      const variantTotal = armEntries(variantCounts);
 
       // Insufficient data check
       if (controlTotal < 5 || variantTotal < 5) {
-        recommendations.push(`${expId}: insufficient data (${controlTotal} control, ${variantTotal} variant entries)`);
+        const armLabel = variantKeys.length > 1 ? `${vk} ` : "";
+        recommendations.push(`${expId}: insufficient data (${controlTotal} control, ${variantTotal} ${armLabel}variant entries)`);
         continue;
       }
 
-      const controlReplyRate = controlCounts.replied / controlTotal;
-      const variantReplyRate = variantCounts.replied / variantTotal;
+      const controlRate = metricSample(controlCounts, metric, exp?.metricWeights).mean;
+      const variantRate = metricSample(variantCounts, metric, exp?.metricWeights).mean;
 
-      if (controlReplyRate > 0 && variantReplyRate / controlReplyRate > 2) {
-        const ratio = Math.round(variantReplyRate / controlReplyRate * 10) / 10;
-        recommendations.push(`${expId}: ${vk} outperforms control (${ratio}x reply rate)`);
-      } else if (variantReplyRate > 0 && controlReplyRate / variantReplyRate > 2) {
+      if (controlRate > 0 && variantRate / controlRate > 2) {
+        const ratio = Math.round(variantRate / controlRate * 10) / 10;
+        recommendations.push(`${expId}: ${vk} outperforms control (${ratio}x ${label})`);
+      } else if (variantRate > 0 && controlRate / variantRate > 2) {
         recommendations.push(`${expId}: control outperforms ${vk} -- consider concluding`);
       }
     }
@@ -250,7 +278,8 @@ export function generateFeedbackSummary(opts = {}) {
   }
 
   const entries = parseFeedbackLines(content);
-  const summary = computeFeedbackSummary(entries);
+  const experiments = safeParseJson(join(dataDir, "experiments.json"), null);
+  const summary = computeFeedbackSummary(entries, experiments);
 
   const output = {
     generatedAt: new Date().toISOString(),
@@ -4,8 +4,9 @@
  * Operator Brief Generator
  *
  * Produces a human-readable markdown brief that summarises budget status,
- * recent run stats, top promotion decisions, experiment status, risks,
- * and suggested next actions.  Designed for quick operator review.
+ * recent run stats, top promotion decisions, experiment status, submission
+ * SLA escalations, worthy regressions, risks, and suggested next actions.  Designed for quick
+ * operator review.
  *
  * Usage:
  *   node scripts/gen-operator-brief.mjs [--dry-run]
@@ -17,6 +18,8 @@
  *   site/src/data/experiment-decisions.json
  *   site/src/data/feedback-summary.json
  *   site/src/data/governance.json
+ *   site/src/data/queue-health.json
+ *   site/src/data/worthy-history.json
  *
  * Writes:
  *   site/public/lab/decisions/operator-brief.md
@@ -24,6 +27,7 @@
 
 import { readFileSync, writeFileSync, mkdirSync } from "node:fs";
 import { resolve, join } from "node:path";
+import { WORTHY_HISTORY_FILE, detectWorthyRegressions } from "./lib/worthy-history.mjs";
 
 const ROOT = resolve(import.meta.dirname, "..");
 const DATA_DIR = join(ROOT, "site", "src", "data");
@@ -51,6 +55,8 @@ function safeParseJson(filePath, fallback = null) {
  * @param {object} inputs.experimentDecisions - experiment-decisions.json
  * @param {object} inputs.feedbackSummary     - feedback-summary.json
  * @param {object} inputs.governance          - governance.json
+ * @param {object} inputs.queueHealth         - queue-health.json
+ * @param {object} inputs.worthyHistory       - worthy-history.json
  * @returns {{ sections: object, markdown: string }}
  */
 export function buildOperatorBrief(inputs) {
@@ -61,6 +67,8 @@ export function buildOperatorBrief(inputs) {
     experimentDecisions = {},
     feedbackSummary = {},
     governance = {},
+    queueHealth = {},
+    worthyHistory = {},
   } = inputs;
 
   // ── 1. Budget status ──────────────────────────────────────
@@ -128,7 +136,30 @@ export function buildOperatorBrief(inputs) {
     recommendation: ev.recommendation,
   }));
 
-  // ── 5. Risks ──────────────────────────────────────────────
+  // ── 5. Submission escalations ─────────────────────────────
+
+  const escalations = (Array.isArray(queueHealth.escalations) ? queueHealth.escalations : [])
+    .map((e) => ({
+      slug: e.slug,
+      status: e.status,
+      waitingOn: e.waitingOn,
+      reason: e.reason,
+      days: e.days,
+      slaDays: e.slaDays,
+      severity: e.severity,
+    }));
+  const onMaintainer = escalations.filter((e) => e.waitingOn === "maintainer");
+
+  // ── 6. Worthy regressions ─────────────────────────────────
+
+  const worthyRegressions = detectWorthyRegressions(worthyHistory).map((r) => ({
+    slug: r.slug,
+    from: r.from,
+    to: r.to,
+    lostCriteria: r.lostCriteria,
+  }));
+
+  // ── 7. Risks ──────────────────────────────────────────────
 
   const riskSources = [];
   const projectionRisks = baseline.projection?.riskItems;
@@ -145,10 +176,18 @@ export function buildOperatorBrief(inputs) {
   }
   const risks = riskSources.slice(0, 5);
 
-  // ── 6. Suggested actions ──────────────────────────────────
+  // ── 8. Suggested actions ──────────────────────────────────
 
   const suggestedActions = [];
 
+  if (onMaintainer.length > 0) {
+    suggestedActions.push(`Review ${onMaintainer.length} overdue submission(s)`);
+  }
+
+  if (worthyRegressions.length > 0) {
+    suggestedActions.push(`Restore worthy criteria for ${worthyRegressions.length} regressed repo(s)`);
+  }
+
   const hasActiveExperiments =
     evaluations.length > 0 &&
     evaluations.some((ev) => ev.status !== "inactive" && ev.status !== "ended");
@@ -183,6 +222,8 @@ export function buildOperatorBrief(inputs) {
     lastRunStats,
     topDecisions,
     experimentStatus,
+    escalations,
+    worthyRegressions,
     risks,
     suggestedActions,
   };
@@ -250,6 +291,38 @@ export function buildOperatorBrief(inputs) {
   }
   lines.push("");
 
+  // Submission Escalations
+  lines.push("## Submission Escalations");
+  lines.push("");
+  if (escalations.length > 0) {
+    lines.push("| Slug | Status | Waiting On | Breach | Days / SLA | Severity |");
+    lines.push("|------|--------|------------|--------|------------|----------|");
+    for (const e of escalations) {
+      lines.push(
+        `| ${e.slug} | ${e.status} | ${e.waitingOn} | ${e.reason} | ${e.days} / ${e.slaDays} | ${e.severity} |`
+      );
+    }
+  } else {
+    lines.push("All submissions within SLA.");
+  }
+  lines.push("");
+
+  // Worthy Regressions
+  lines.push("## Worthy Regressions");
+  lines.push("");
+  if (worthyRegressions.length > 0) {
+    lines.push("| Slug | Last Worthy | Flipped | Score | Lost Criteria |");
+    lines.push("|------|-------------|---------|-------|---------------|");
+    for (const r of worthyRegressions) {
+      lines.push(
+        `| ${r.slug} | ${r.from.date} | ${r.to.date} | ${r.from.score} → ${r.to.score} | ${r.lostCriteria.join(", ") || "—"} |`
+      );
+    }
+  } else {
+    lines.push("No worthy regressions.");
+  }
+  lines.push("");
+
   // Risks
   lines.push("## Risks");
   lines.push("");
@@ -310,6 +383,8 @@ export function generateOperatorBrief(opts = {}) {
     {}
   );
   const governance = safeParseJson(join(dataDir, "governance.json"), {});
+  const queueHealth = safeParseJson(join(dataDir, "queue-health.json"), {});
+  const worthyHistory = safeParseJson(join(dataDir, WORTHY_HISTORY_FILE), {});
 
   const result = buildOperatorBrief({
     baseline,
@@ -318,6 +393,8 @@ export function generateOperatorBrief(opts = {}) {
     experimentDecisions,
     feedbackSummary,
     governance,
+    queueHealth,
+    worthyHistory,
   });
 
   if (dryRun) {
@@ -3,8 +3,9 @@
 /**
  * Ops Actions Generator
  *
- * Analyzes ops-history.json, promo.json, promo-queue.json, and worthy.json
- * to produce actionable recommendations for the ops dashboard.
+ * Analyzes ops-history.json, promo.json, promo-queue.json, worthy.json and
+ * worthy-history.json to produce actionable recommendations for the ops
+ * dashboard.
  *
  * Usage:
  *   node scripts/gen-ops-actions.mjs [--dry-run]
@@ -14,6 +15,7 @@
  *   site/src/data/promo.json
  *   site/src/data/promo-queue.json
  *   site/src/data/worthy.json
+ *   site/src/data/worthy-history.json
  *
  * Writes:
  *   site/src/data/ops-actions.json
@@ -21,6 +23,7 @@
 
 import { readFileSync, writeFileSync } from "node:fs";
 import { resolve, join } from "node:path";
+import { WORTHY_HISTORY_FILE, detectWorthyRegressions, describeRegression } from "./lib/worthy-history.mjs";
 
 const ROOT = resolve(import.meta.dirname, "..");
 const DATA_DIR = join(ROOT, "site", "src", "data");
@@ -179,6 +182,29 @@ export function analyzeOpsHistory(history, opts = {}) {
   return actions;
 }
 
+/**
+ * Turn worthy regressions into actions. A regressed repo still in the
+ * promotion queue is an error; otherwise a warning.
+ *
+ * @param {ReturnType<typeof detectWorthyRegressions>} regressions
+ * @param {{ promoQueue?: object }} [opts]
+ * @returns {Array<{ level: string, category: string, message: string, action: string, runbookSection?: string }>}
+ */
+export function worthyRegressionActions(regressions, opts = {}) {
+  const { promoQueue = {} } = opts;
+  const queued = new Set((promoQueue.slugs || []).map((e) => (typeof e === "string" ? e : e.slug)));
+
+  return regressions.map((r) => ({
+    level: queued.has(r.slug) ? "error" : "warning",
+    category: "worthy",
+    message: `"${r.slug}" regressed: ${describeRegression(r)}`,
+    action: queued.has(r.slug)
+      ? "Restore the lost criteria or defer the slug (governance autoDeferRegressed) before the next promo week"
+      : "Restore the lost criteria and re-run gen-worthy-assessment.mjs",
+    runbookSection: "Worthy Regressions",
+  }));
+}
+
 /**
  * Build caps diff between current promo.json and latest ops-history snapshot.
  *
@@ -228,8 +254,12 @@ export function generateActions(opts = {}) {
   const promo = safeParseJson(join(dataDir, "promo.json"), {});
   const promoQueue = safeParseJson(join(dataDir, "promo-queue.json"), { slugs: [] });
   const worthy = safeParseJson(join(dataDir, "worthy.json"), { repos: {} });
+  const worthyHistory = safeParseJson(join(dataDir, WORTHY_HISTORY_FILE), { repos: {} });
 
-  const actions = analyzeOpsHistory(history, { promo, promoQueue, worthy });
+  const actions = [
+    ...analyzeOpsHistory(history, { promo, promoQueue, worthy }),
+    ...worthyRegressionActions(detectWorthyRegressions(worthyHistory), { promoQueue }),
+  ];
   const capsDiff = buildCapsDiff(promo, history);
 
   const output = {
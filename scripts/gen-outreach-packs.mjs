@@ -7,7 +7,8 @@
  * MarketIR press data + claims + GitHub facts. Every statement maps
  * to a claimRef — unlabeled assertions are forbidden.
  *
- * Output: site/public/outreach/<slug>/
+ * Output: site/public/outreach/<slug>/           (English)
+ *         site/public/outreach/<slug>/<locale>/  (one per translated locale)
  *   - email-journalist.md
  *   - email-partner.md
  *   - email-integrator.md
@@ -16,461 +17,284 @@
  *   - github-readme-snippet.md
  *   - press-release-lite.md (only if projectDescription exists)
  *
+ * Each file is rendered from scripts/templates/outreach/<file>.tmpl; drop a
+ * file with the same name into <kitRoot>/templates/outreach/ to override it.
+ * The DM body comes from dm-body.txt.tmpl and falls back to a short form if
+ * it runs over the limit. See scripts/lib/templates.mjs for the syntax.
+ *
+ * The 300-character DM limit counts characters (code points), not UTF-16
+ * units, and is enforced per locale. Untranslated text falls back to
+ * English and is reported (see scripts/lib/i18n.mjs).
+ *
+ * Programmatic use:
+ *   buildOutreachPack(inputs)    — one tool + locale → { slug, locale, files, dmLength, fallbacks } (pure)
+ *   generateOutreachPacks(opts)  — reads the data dir, writes unless dryRun
+ *
  * Usage:
- *   node scripts/gen-outreach-packs.mjs
+ *   node scripts/gen-outreach-packs.mjs [--slugs a,b] [--locales de,fr] [--dry-run]
  */
 
-import fs from "node:fs";
-import path from "node:path";
-import { fileURLToPath } from "node:url";
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const ROOT = path.resolve(__dirname, "..");
-const SITE = path.join(ROOT, "site");
-const DATA_DIR = path.join(SITE, "src", "data", "marketir");
-const OVERRIDES_PATH = path.join(SITE, "src", "data", "overrides.json");
-const FACTS_DIR = path.join(SITE, "src", "data", "github-facts");
-const LINKS_PATH = path.join(SITE, "src", "data", "links.json");
-const CAMPAIGNS_DIR = path.join(SITE, "public", "campaigns");
-const OUTPUT_BASE = path.join(SITE, "public", "outreach");
+import { mkdirSync, writeFileSync, readdirSync } from "node:fs";
+import { resolve, join } from "node:path";
+import { getConfig, getRoot } from "./lib/config.mjs";
+import {
+  readJson,
+  loadMarketirInputs,
+  publicProofSlugs,
+  parseSlugsArg,
+  readTool,
+  readFacts,
+} from "./lib/marketir.mjs";
+import { renderNamed } from "./lib/templates.mjs";
+import { DEFAULT_LOCALE, localesFor, localizeTool, parseLocalesArg, describeFallbacks } from "./lib/i18n.mjs";
+
+const ROOT = getRoot();
+const config = getConfig();
+const DATA_DIR = join(ROOT, config.paths.dataDir);
+const PUBLIC_DIR = join(ROOT, config.paths.publicDir);
+const TEMPLATES_DIR = join(ROOT, "templates");
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
-function readJson(filePath) {
-  try {
-    return JSON.parse(fs.readFileSync(filePath, "utf8"));
-  } catch {
-    return null;
-  }
-}
-
-// ─── Load data ────────────────────────────────────────────────────────────────
-
-const overrides = readJson(OVERRIDES_PATH);
-if (!overrides) {
-  console.error("Failed to load overrides.json");
-  process.exit(1);
-}
-
-const snapshot = readJson(path.join(DATA_DIR, "marketir.snapshot.json"));
-const lockShort = snapshot?.lockSha256?.slice(0, 12) || "unknown";
-
-// Link registry (fail-soft)
-const linksData = readJson(LINKS_PATH);
-const linksBySlug = new Map();
-const linkByMessage = new Map();
-if (linksData?.links) {
-  for (const link of linksData.links) {
-    if (!linksBySlug.has(link.slug)) linksBySlug.set(link.slug, []);
-    linksBySlug.get(link.slug).push(link);
-    if (link.messageRef) linkByMessage.set(link.messageRef, link.id);
-  }
-}
-
-// ─── Find enabled tools ───────────────────────────────────────────────────────
-
-const enabledSlugs = Object.entries(overrides)
-  .filter(([, v]) => v.publicProof === true)
-  .map(([k]) => k);
-
-if (enabledSlugs.length === 0) {
-  console.log("No tools with publicProof enabled. Nothing to generate.");
-  process.exit(0);
-}
-
-console.log(`Generating outreach packs for: ${enabledSlugs.join(", ")}\n`);
-
-// ─── Generate ─────────────────────────────────────────────────────────────────
-
-for (const slug of enabledSlugs) {
-  const tool = readJson(path.join(DATA_DIR, "data", "tools", `${slug}.json`));
-  if (!tool) {
-    console.warn(`  ⚠ No MarketIR data for ${slug}, skipping.`);
-    continue;
-  }
-
-  const press = tool.press;
-  if (!press) {
-    console.warn(`  ⚠ No press block for ${slug}, skipping.`);
-    continue;
-  }
-
-  const override = overrides[slug] || {};
-  const facts = readJson(path.join(FACTS_DIR, `${slug}.json`));
-  const outDir = path.join(OUTPUT_BASE, slug);
-  fs.mkdirSync(outDir, { recursive: true });
-
-  const proven = (tool.claims || []).filter((c) => c.status === "proven");
-  const oneLiner = tool.positioning?.oneLiner || "";
-  const installCmd = override.install || null;
-  const repoUrl = `https://github.com/mcp-tool-shop-org/${slug}`;
-  const toolPageUrl = `https://mcptoolshop.com/tools/${slug}/`;
-  const pressPageUrl = `https://mcptoolshop.com/press/${slug}/`;
-  const presskitUrl = `https://mcptoolshop.com/presskit/${slug}/`;
-  const generatedAt = new Date().toISOString();
-
-  // Find HN message if exists
-  const hnMsg = (tool.messages || []).find((m) => m.channel === "hn");
-
-  // Derive "why now" from latest campaign phase
-  let whyNow = null;
+/**
+ * "Why now" for a tool: the latest phase of its first generated campaign
+ * bundle under <publicDir>/campaigns/.
+ *
+ * @param {string} campaignsDir
+ * @param {string} slug
+ * @returns {string|null}
+ */
+export function findWhyNow(campaignsDir, slug) {
   try {
-    const campaignFiles = fs.readdirSync(CAMPAIGNS_DIR);
-    for (const dir of campaignFiles) {
-      const bundle = readJson(path.join(CAMPAIGNS_DIR, dir, "bundle.json"));
+    for (const dir of readdirSync(campaignsDir)) {
+      const bundle = readJson(join(campaignsDir, dir, "bundle.json"));
       if (bundle?.tool?.slug === slug && bundle.phases?.length > 0) {
-        const latest = bundle.phases[bundle.phases.length - 1];
-        whyNow = latest.name || null;
-        break;
+        return bundle.phases[bundle.phases.length - 1].name || null;
       }
     }
   } catch {}
+  return null;
+}
 
-  // Proof bullets (reusable)
-  const proofBullets = proven.map((c) => {
-    const evidenceLinks = (c.evidenceRefs || [])
-      .map((ref) => {
-        // Just use presskit as proof page
-        return `(proof: ${pressPageUrl})`;
-      })
-      .join(" ");
-    return `- ${c.statement} ${evidenceLinks}`;
-  });
+// ─── Build ────────────────────────────────────────────────────────────────────
 
-  // ── email-journalist.md ──────────────────────────────────────────────────
+const TEMPLATES = {
+  "email-journalist.md": "outreach/email-journalist.md.tmpl",
+  "email-partner.md": "outreach/email-partner.md.tmpl",
+  "email-integrator.md": "outreach/email-integrator.md.tmpl",
+  "dm-short.md": "outreach/dm-short.md.tmpl",
+  "hn-comment.md": "outreach/hn-comment.md.tmpl",
+  "github-readme-snippet.md": "outreach/github-readme-snippet.md.tmpl",
+  "press-release-lite.md": "outreach/press-release-lite.md.tmpl",
+};
 
-  {
-    const lines = [];
-    lines.push(`# ${tool.name} — Journalist Outreach`);
-    lines.push("");
-    lines.push(`**Subject:** ${tool.name}: ${oneLiner}`);
-    lines.push("");
-    lines.push("---");
-    lines.push("");
-    lines.push(`[context] Hi — I'm sharing ${tool.name} because it solves a specific problem in the LLM tooling space.`);
-    lines.push("");
-    lines.push(`${oneLiner}`);
-    lines.push("");
-    lines.push("**What's proven:**");
-    lines.push("");
-    for (const bullet of proofBullets) {
-      lines.push(bullet);
-    }
-    lines.push("");
-    if (facts?.latestRelease) {
-      lines.push(`[context] Latest release: ${facts.latestRelease.tag} (${facts.latestRelease.publishedAt?.split("T")[0] || "recent"})`);
-      lines.push("");
-    }
-    if (whyNow) {
-      lines.push(`[context] Why now: currently in "${whyNow}" phase.`);
-      lines.push("");
-    }
-    lines.push(`Press page: ${pressPageUrl}`);
-    lines.push(`Press kit: ${presskitUrl}`);
-    lines.push(`GitHub: ${repoUrl}`);
-    lines.push("");
-    if (press.contacts?.length > 0) {
-      const c = press.contacts[0];
-      lines.push(`[context] Contact: ${c.label || c.value}`);
-      lines.push("");
-    }
-    lines.push("---");
-    lines.push("");
-    lines.push(`_Generated from MarketIR (lock: ${lockShort}) at ${generatedAt}_`);
-    lines.push(`_Every claim above is backed by evidence. See press page for receipts._`);
-    lines.push("");
+/**
+ * Render context for the outreach templates. Claims are limited to proven
+ * ones; quotes and messages keep their claimRefs so the template engine
+ * can reject any that lean on an unproven claim.
+ */
+function outreachContext({ slug, locale, tool, override, facts, whyNow, lockShort, generatedAt }) {
+  const press = tool.press;
+  const proven = (tool.claims || []).filter((c) => c.status === "proven");
+  const urls = {
+    repo: `https://github.com/mcp-tool-shop-org/${slug}`,
+    toolPage: `https://mcptoolshop.com/tools/${slug}/`,
+    pressPage: `https://mcptoolshop.com/press/${slug}/`,
+    presskit: `https://mcptoolshop.com/presskit/${slug}/`,
+  };
+  const contacts = (press.contacts || []).map((c) => ({ ...c, display: c.label || c.value }));
+
+  return {
+    locale,
+    tool: { slug, name: tool.name, oneLiner: tool.positioning?.oneLiner || "" },
+    install: override.install || null,
+    urls,
+    claims: proven.map((c) => ({
+      id: c.id,
+      statement: c.statement,
+      // Every evidence ref points at the press page, which carries the receipts
+      proof: (c.evidenceRefs || []).map(() => `(proof: ${urls.pressPage})`).join(" "),
+    })),
+    provenCount: proven.length,
+    facts: facts
+      ? {
+          license: facts.license || null,
+          licenseBadge: facts.license ? encodeURIComponent(facts.license) : null,
+          latestRelease: facts.latestRelease
+            ? { tag: facts.latestRelease.tag, date: facts.latestRelease.publishedAt?.split("T")[0] || null }
+            : null,
+        }
+      : null,
+    whyNow,
+    press: {
+      boilerplate: press.boilerplate || {},
+      contacts,
+      contact: contacts[0] || null,
+      partnerOffers: press.partnerOffers || [],
+      integrationOffer: press.partnerOffers?.find((o) => o.type === "integration") || null,
+      quotes: press.quotes || [],
+    },
+    hnMessage: (tool.messages || []).find((m) => m.channel === "hn") || null,
+    lockShort,
+    generatedAt,
+  };
+}
 
-    fs.writeFileSync(path.join(outDir, "email-journalist.md"), lines.join("\n"), "utf8");
-    console.log(`  wrote ${slug}/email-journalist.md`);
+/**
+ * Build one tool's outreach pack in memory. The tool must have a press block.
+ * Each file is rendered from its template (kit override in `templatesDir`
+ * first, then the built-in); rendering fails if a template references an
+ * unproven claim.
+ *
+ * `tool` is the English MarketIR data; for another `locale` its i18n text
+ * is swapped in, and anything untranslated is listed in `fallbacks`.
+ *
+ * @param {{
+ *   slug: string,
+ *   tool: object,
+ *   locale?: string,
+ *   override?: object,
+ *   facts?: object|null,
+ *   whyNow?: string|null,
+ *   lockShort?: string,
+ *   generatedAt?: string,
+ *   templatesDir?: string|null,
+ * }} inputs
+ * @returns {{ slug: string, locale: string, files: Record<string, string>, dmLength: number, fallbacks: Array<object> }}
+ */
+export function buildOutreachPack(inputs) {
+  const {
+    slug,
+    locale = DEFAULT_LOCALE,
+    override = {},
+    facts = null,
+    whyNow = null,
+    lockShort = "unknown",
+    generatedAt = new Date().toISOString(),
+    templatesDir = TEMPLATES_DIR,
+  } = inputs;
+
+  if (!inputs.tool.press) {
+    throw new Error(`${slug}: MarketIR tool has no press block`);
   }
 
-  // ── email-partner.md ─────────────────────────────────────────────────────
-
-  {
-    const lines = [];
-    lines.push(`# ${tool.name} — Partner Outreach`);
-    lines.push("");
-    lines.push(`**Subject:** Partnership opportunity: ${tool.name}`);
-    lines.push("");
-    lines.push("---");
-    lines.push("");
-    lines.push(`[context] Hi — we built ${tool.name} and think there's a natural integration opportunity.`);
-    lines.push("");
-    lines.push(`${oneLiner}`);
-    lines.push("");
-    if (press.partnerOffers?.length > 0) {
-      lines.push("**What we offer:**");
-      lines.push("");
-      for (const offer of press.partnerOffers) {
-        lines.push(`- **${offer.type}:** ${offer.description}`);
-      }
-      lines.push("");
-    }
-    lines.push("**Proven capabilities:**");
-    lines.push("");
-    for (const bullet of proofBullets) {
-      lines.push(bullet);
-    }
-    lines.push("");
-    lines.push(`Tool page: ${toolPageUrl}`);
-    lines.push(`Press page: ${pressPageUrl}`);
-    lines.push(`GitHub: ${repoUrl}`);
-    lines.push("");
-    if (press.contacts?.length > 0) {
-      const c = press.contacts[0];
-      lines.push(`[context] Reach us: ${c.label || c.value}`);
-      lines.push("");
-    }
-    lines.push("---");
-    lines.push("");
-    lines.push(`_Generated from MarketIR (lock: ${lockShort}) at ${generatedAt}_`);
-    lines.push(`_Every claim above is backed by evidence. See press page for receipts._`);
-    lines.push("");
+  const { tool, fallbacks } = localizeTool(inputs.tool, locale);
+  const ctx = outreachContext({ slug, locale, tool, override, facts, whyNow, lockShort, generatedAt });
+  const render = (name) => renderNamed(name, ctx, { templatesDir, locale, claims: tool.claims || [], fallbacks });
 
-    fs.writeFileSync(path.join(outDir, "email-partner.md"), lines.join("\n"), "utf8");
-    console.log(`  wrote ${slug}/email-partner.md`);
+  // Hard 300-char limit for DM platforms, counted in characters so that
+  // every locale gets the same budget
+  let chars = [...render("outreach/dm-body.txt.tmpl").trim()];
+  if (chars.length > 300) {
+    chars = [...`${ctx.tool.name}: ${ctx.tool.oneLiner} Proof: ${ctx.urls.pressPage}`];
   }
-
-  // ── email-integrator.md ──────────────────────────────────────────────────
-
-  {
-    const lines = [];
-    lines.push(`# ${tool.name} — Integrator Outreach`);
-    lines.push("");
-    lines.push(`**Subject:** Integrate ${tool.name} into your tool chain`);
-    lines.push("");
-    lines.push("---");
-    lines.push("");
-    lines.push(`[context] ${tool.name} generates structured, deterministic metadata for repos and archives.`);
-    lines.push("");
-    if (installCmd) {
-      lines.push("**Install:**");
-      lines.push("");
-      lines.push("```bash");
-      lines.push(installCmd);
-      lines.push("```");
-      lines.push("");
-    }
-    lines.push("**Technical claims (proven):**");
-    lines.push("");
-    for (const bullet of proofBullets) {
-      lines.push(bullet);
-    }
-    lines.push("");
-    const integrationOffer = press.partnerOffers?.find((o) => o.type === "integration");
-    if (integrationOffer) {
-      lines.push(`**Integration offer:** ${integrationOffer.description}`);
-      lines.push("");
-    }
-    lines.push(`GitHub: ${repoUrl}`);
-    lines.push(`Press page: ${pressPageUrl}`);
-    lines.push("");
-    lines.push("---");
-    lines.push("");
-    lines.push(`_Generated from MarketIR (lock: ${lockShort}) at ${generatedAt}_`);
-    lines.push("");
-
-    fs.writeFileSync(path.join(outDir, "email-integrator.md"), lines.join("\n"), "utf8");
-    console.log(`  wrote ${slug}/email-integrator.md`);
+  if (chars.length > 300) {
+    chars = [...chars.slice(0, 297), ..."..."];
   }
+  const body = chars.join("");
+  ctx.dm = { body, length: chars.length };
 
-  // ── dm-short.md ──────────────────────────────────────────────────────────
+  const files = {};
+  for (const [file, template] of Object.entries(TEMPLATES)) {
+    if (file === "press-release-lite.md" && !tool.press.boilerplate?.projectDescription) continue;
+    files[file] = render(template);
+  }
 
-  {
-    // Hard 300-char limit for DM platforms
-    let body = `${tool.name}: ${oneLiner} ${proven.length} proven claims, receipts at ${pressPageUrl}`;
-    if (body.length > 300) {
-      body = `${tool.name}: ${oneLiner} Proof: ${pressPageUrl}`;
-    }
-    if (body.length > 300) {
-      body = body.slice(0, 297) + "...";
-    }
+  return { slug, locale, files, dmLength: chars.length, fallbacks };
+}
 
-    const lines = [];
-    lines.push(`# ${tool.name} — Short DM`);
-    lines.push("");
-    lines.push(`> ${body.length} chars (limit: 300)`);
-    lines.push("");
-    lines.push("```");
-    lines.push(body);
-    lines.push("```");
-    lines.push("");
-    lines.push("---");
-    lines.push("");
-    lines.push(`_Generated from MarketIR (lock: ${lockShort}) at ${generatedAt}_`);
-    lines.push("");
+// ─── Pipeline ─────────────────────────────────────────────────────────────────
 
-    if (body.length > 300) {
-      console.error(`  ✗ ${slug}/dm-short.md exceeds 300 chars (${body.length})`);
-      process.exit(1);
-    }
+/**
+ * Build outreach packs for every publicProof tool with a press block
+ * (optionally narrowed to `slugs`) and write them to
+ * <publicDir>/outreach/<slug>/. Run after gen-campaign-bundles.mjs so
+ * "why now" can be read from the generated bundles.
+ *
+ * @param {{ dataDir?: string, publicDir?: string, templatesDir?: string, slugs?: string[]|null, locales?: string[]|null, generatedAt?: string, dryRun?: boolean }} opts
+ * @returns {{ packs: Array<{ slug: string, locale: string, files: Record<string, string>, dmLength: number, fallbacks: Array<object> }>, skipped: Array<{ slug: string, reason: string }> }}
+ */
+export function generateOutreachPacks(opts = {}) {
+  const { dataDir = DATA_DIR, publicDir = PUBLIC_DIR, templatesDir = TEMPLATES_DIR, slugs = null, locales = null, generatedAt, dryRun = false } = opts;
 
-    fs.writeFileSync(path.join(outDir, "dm-short.md"), lines.join("\n"), "utf8");
-    console.log(`  wrote ${slug}/dm-short.md (${body.length} chars)`);
+  const { paths, overrides, lockShort } = loadMarketirInputs(dataDir);
+  if (!overrides) {
+    throw new Error(`Failed to load overrides.json: ${paths.overridesPath}`);
   }
 
-  // ── hn-comment.md ────────────────────────────────────────────────────────
+  const packs = [];
+  const skipped = [];
 
-  {
-    const lines = [];
-    lines.push(`# ${tool.name} — HN Comment`);
-    lines.push("");
-    lines.push("---");
-    lines.push("");
-
-    if (hnMsg) {
-      lines.push("```");
-      lines.push(hnMsg.text);
-      lines.push("```");
-      lines.push("");
-      lines.push("Proof links to append:");
-      lines.push("");
-    } else {
-      lines.push(`[context] ${tool.name}: ${oneLiner}`);
-      lines.push("");
-    }
+  const enabledSlugs = publicProofSlugs(overrides, slugs);
+  if (enabledSlugs.length > 0) {
+    console.log(`Generating outreach packs for: ${enabledSlugs.join(", ")}\n`);
+  }
 
-    lines.push("Verified claims:");
-    lines.push("");
-    for (const c of proven) {
-      lines.push(`- ${c.statement} (${pressPageUrl})`);
+  for (const slug of enabledSlugs) {
+    const tool = readTool(paths, slug);
+    if (!tool) {
+      console.warn(`  ⚠ No MarketIR data for ${slug}, skipping.`);
+      skipped.push({ slug, reason: "no MarketIR data" });
+      continue;
     }
-    lines.push("");
-    if (installCmd) {
-      lines.push(`Install: \`${installCmd}\``);
-      lines.push("");
+    if (!tool.press) {
+      console.warn(`  ⚠ No press block for ${slug}, skipping.`);
+      skipped.push({ slug, reason: "no press block" });
+      continue;
     }
-    lines.push(`GitHub: ${repoUrl}`);
-    lines.push("");
-    lines.push("---");
-    lines.push("");
-    lines.push(`_Generated from MarketIR (lock: ${lockShort}) at ${generatedAt}_`);
-    lines.push("");
-
-    fs.writeFileSync(path.join(outDir, "hn-comment.md"), lines.join("\n"), "utf8");
-    console.log(`  wrote ${slug}/hn-comment.md`);
-  }
 
-  // ── github-readme-snippet.md ─────────────────────────────────────────────
+    const facts = readFacts(paths, slug);
+    const whyNow = findWhyNow(join(publicDir, "campaigns"), slug);
+    for (const locale of localesFor(tool, locales)) {
+      const pack = buildOutreachPack({
+        slug,
+        locale,
+        tool,
+        override: overrides[slug],
+        facts,
+        whyNow,
+        lockShort,
+        generatedAt,
+        templatesDir,
+      });
+      packs.push(pack);
+      if (pack.fallbacks.length > 0) {
+        console.warn(`  ⚠ ${slug} [${locale}]: ${pack.fallbacks.length} untranslated, using English: ${describeFallbacks(pack.fallbacks)}`);
+      }
 
-  {
-    const lines = [];
-    lines.push(`# ${tool.name} — README Snippet`);
-    lines.push("");
-    lines.push("[context] Copy-paste this block into your README or project docs.");
-    lines.push("");
-    lines.push("---");
-    lines.push("");
-    lines.push("```markdown");
-    lines.push(`## ${tool.name}`);
-    lines.push("");
-    lines.push(`> ${oneLiner}`);
-    lines.push("");
-    if (installCmd) {
-      lines.push("### Install");
-      lines.push("");
-      lines.push("\\`\\`\\`bash");
-      lines.push(installCmd);
-      lines.push("\\`\\`\\`");
-      lines.push("");
-    }
-    lines.push("### Verified");
-    lines.push("");
-    for (const c of proven) {
-      lines.push(`- ${c.statement}`);
-    }
-    lines.push("");
-    lines.push(`[Press page](${pressPageUrl}) · [GitHub](${repoUrl})`);
-    lines.push("```");
-    lines.push("");
-    lines.push("### Badge suggestions");
-    lines.push("");
-    if (facts?.license) {
-      lines.push(`![License](https://img.shields.io/badge/license-${encodeURIComponent(facts.license)}-blue)`);
-    }
-    if (facts?.latestRelease) {
-      lines.push(`![Release](https://img.shields.io/github/v/release/mcp-tool-shop-org/${slug})`);
+      if (dryRun) continue;
+      const rel = locale === DEFAULT_LOCALE ? slug : join(slug, locale);
+      const outDir = join(publicDir, "outreach", rel);
+      mkdirSync(outDir, { recursive: true });
+      for (const [name, text] of Object.entries(pack.files)) {
+        writeFileSync(join(outDir, name), text, "utf8");
+        console.log(`  wrote ${rel}/${name}${name === "dm-short.md" ? ` (${pack.dmLength} chars)` : ""}`);
+      }
+      console.log(`  ✓ ${rel} outreach pack complete`);
     }
-    lines.push(`![Tests](https://img.shields.io/badge/tests-${proven.length}%20proven%20claims-green)`);
-    lines.push("");
-    lines.push("[context] Social preview recommended size: 1280x640px");
-    lines.push("");
-    lines.push("---");
-    lines.push("");
-    lines.push(`_Generated from MarketIR (lock: ${lockShort}) at ${generatedAt}_`);
-    lines.push("");
-
-    fs.writeFileSync(path.join(outDir, "github-readme-snippet.md"), lines.join("\n"), "utf8");
-    console.log(`  wrote ${slug}/github-readme-snippet.md`);
   }
 
-  // ── press-release-lite.md ────────────────────────────────────────────────
+  return { packs, skipped };
+}
 
-  if (press.boilerplate?.projectDescription) {
-    const lines = [];
-    lines.push(`# ${tool.name} — Press Release`);
-    lines.push("");
-    lines.push(`**FOR IMMEDIATE DISTRIBUTION**`);
-    lines.push("");
-    lines.push(`## ${tool.name}: ${oneLiner}`);
-    lines.push("");
-    lines.push(press.boilerplate.projectDescription);
-    lines.push("");
-    if (press.boilerplate.founderBio) {
-      lines.push(`[context] ${press.boilerplate.founderBio}`);
-      lines.push("");
-    }
-    lines.push("### Key claims (all proven)");
-    lines.push("");
-    for (const bullet of proofBullets) {
-      lines.push(bullet);
-    }
-    lines.push("");
-    if (press.quotes?.length > 0) {
-      lines.push("### Quotes");
-      lines.push("");
-      for (const q of press.quotes) {
-        lines.push(`> "${q.text}"`);
-        if (q.attribution) {
-          lines.push(`> — ${q.attribution}${q.role ? `, ${q.role}` : ""}`);
-        }
-        lines.push("");
-      }
-    }
-    if (facts?.latestRelease) {
-      lines.push(`[context] Current version: ${facts.latestRelease.tag}`);
-      lines.push("");
-    }
-    lines.push("### Links");
-    lines.push("");
-    lines.push(`- Press page: ${pressPageUrl}`);
-    lines.push(`- Press kit: ${presskitUrl}`);
-    lines.push(`- GitHub: ${repoUrl}`);
-    lines.push(`- Tool page: ${toolPageUrl}`);
-    lines.push("");
-    if (press.contacts?.length > 0) {
-      lines.push("### Contact");
-      lines.push("");
-      for (const c of press.contacts) {
-        lines.push(`- ${c.method}: ${c.label || c.value}`);
-      }
-      lines.push("");
-    }
-    if (press.boilerplate.forbiddenPhrases?.length > 0) {
-      lines.push(`[context] Please avoid these terms: ${press.boilerplate.forbiddenPhrases.join(", ")}`);
-      lines.push("");
-    }
-    lines.push("---");
-    lines.push("");
-    lines.push(`_Generated from MarketIR (lock: ${lockShort}) at ${generatedAt}_`);
-    lines.push(`_Every claim above is backed by evidence. See press page for receipts._`);
-    lines.push("");
+// ─── Entry point ──────────────────────────────────────────────────────────────
+
+const isMain = process.argv[1] &&
+  resolve(process.argv[1]).endsWith("gen-outreach-packs.mjs");
 
-    fs.writeFileSync(path.join(outDir, "press-release-lite.md"), lines.join("\n"), "utf8");
-    console.log(`  wrote ${slug}/press-release-lite.md`);
+if (isMain) {
+  const dryRun = process.argv.includes("--dry-run");
+  let result;
+  try {
+    result = generateOutreachPacks({ slugs: parseSlugsArg(process.argv), locales: parseLocalesArg(process.argv), dryRun });
+  } catch (e) {
+    console.error(`  ✗ ${e.message}`);
+    process.exit(1);
   }
 
-  console.log(`  ✓ ${slug} outreach pack complete`);
+  if (result.packs.length === 0 && result.skipped.length === 0) {
+    console.log("No tools with publicProof enabled. Nothing to generate.");
+  } else {
+    console.log(`\nDone. ${result.packs.length} outreach pack(s) generated${dryRun ? " (dry run)" : ""}.`);
+  }
 }
-
-console.log(`\nDone. ${enabledSlugs.length} outreach pack(s) generated.`);
@@ -19,11 +19,13 @@
  * Writes:
  *   site/public/outreach-run/<date>/outreach-run.json
  *   site/public/outreach-run/<date>/outreach-run.md
+ *   site/public/outreach-run/<date>/promo-week-receipt.json
  */
 
 import { readFileSync, writeFileSync, mkdirSync } from "node:fs";
-import { resolve, join } from "node:path";
-import { buildPromoWeekReceipt } from "./gen-promo-week-receipt.mjs";
+import { resolve, join, dirname } from "node:path";
+import { writePromoWeekReceipt } from "./gen-promo-week-receipt.mjs";
+import { getArms } from "./lib/experiments.mjs";
 
 const ROOT = resolve(import.meta.dirname, "..");
 const DATA_DIR = join(ROOT, "site", "src", "data");
@@ -183,51 +185,52 @@ export function buildOutreachRun(queue, promo, opts = {}) {
       continue;
     }
 
-    // Control item
-    const controlItem = { ...item, experimentId: matchingExp.id, variantKey: "control" };
+    // Control item, then one item per variant arm
+    const [controlArm, ...variantArms] = getArms(matchingExp);
+    const controlItem = { ...item, experimentId: matchingExp.id, variantKey: controlArm?.key || "control" };
+    variantItems.push(controlItem);
 
-    // Variant item — deep clone channels and modify per dimension
-    const variantChannels = JSON.parse(JSON.stringify(item.channels));
+    for (const arm of variantArms) {
+      // Variant item — deep clone channels and modify per dimension
+      const variantChannels = JSON.parse(JSON.stringify(item.channels));
 
-    if (matchingExp.dimension === "tagline") {
-      // Modify email subject lines
-      if (variantChannels.email?.journalist) {
-        variantChannels.email.journalist.subject = matchingExp.variant.value;
-      }
-      if (variantChannels.email?.partner) {
-        variantChannels.email.partner.subject = matchingExp.variant.value;
-      }
-      if (variantChannels.email?.integrator) {
-        variantChannels.email.integrator.subject = matchingExp.variant.value;
-      }
-    } else if (matchingExp.dimension === "snippet") {
-      // Modify social text
-      if (variantChannels.social?.hn) {
-        variantChannels.social.hn.text = matchingExp.variant.value;
-        variantChannels.social.hn.charCount = matchingExp.variant.value.length;
-      }
-      if (variantChannels.social?.dm) {
-        variantChannels.social.dm.text = matchingExp.variant.value;
-        variantChannels.social.dm.charCount = matchingExp.variant.value.length;
-      }
-    } else if (matchingExp.dimension === "cta") {
-      // Append variant param to template URLs
-      for (const role of ["journalist", "partner", "integrator"]) {
-        if (variantChannels.email?.[role]?.templateUrl) {
-          variantChannels.email[role].templateUrl += `?variant=${matchingExp.variant.key}`;
+      if (matchingExp.dimension === "tagline") {
+        // Modify email subject lines
+        if (variantChannels.email?.journalist) {
+          variantChannels.email.journalist.subject = arm.value;
+        }
+        if (variantChannels.email?.partner) {
+          variantChannels.email.partner.subject = arm.value;
+        }
+        if (variantChannels.email?.integrator) {
+          variantChannels.email.integrator.subject = arm.value;
+        }
+      } else if (matchingExp.dimension === "snippet") {
+        // Modify social text
+        if (variantChannels.social?.hn) {
+          variantChannels.social.hn.text = arm.value;
+          variantChannels.social.hn.charCount = arm.value.length;
+        }
+        if (variantChannels.social?.dm) {
+          variantChannels.social.dm.text = arm.value;
+          variantChannels.social.dm.charCount = arm.value.length;
+        }
+      } else if (matchingExp.dimension === "cta") {
+        // Append variant param to template URLs
+        for (const role of ["journalist", "partner", "integrator"]) {
+          if (variantChannels.email?.[role]?.templateUrl) {
+            variantChannels.email[role].templateUrl += `?variant=${arm.key}`;
+          }
         }
       }
-    }
-
-    const variantItem = {
-      ...item,
-      channels: variantChannels,
-      experimentId: matchingExp.id,
-      variantKey: matchingExp.variant.key,
-    };
 
-    variantItems.push(controlItem);
-    variantItems.push(variantItem);
+      variantItems.push({
+        ...item,
+        channels: variantChannels,
+        experimentId: matchingExp.id,
+        variantKey: arm.key,
+      });
+    }
   }
 
   // 8. LearningMode channel suggestions
@@ -481,19 +484,14 @@ export function generateOutreachRun(opts = {}) {
     writeFileSync(join(dateDir, "outreach-run.md"), md, "utf8");
     console.log(`  Wrote ${join(dateDir, "outreach-run.md")}`);
 
-    // Generate promo-week receipt
+    // Generate promo-week receipt (chained to the previous week's)
     try {
-      const receipt = buildPromoWeekReceipt({
-        dataDir: DATA_DIR,
-        publicDir: join(ROOT, "site", "public"),
+      const { path } = writePromoWeekReceipt({
+        dataDir,
+        publicDir: dirname(outDir),
         week: dateStr,
       });
-      writeFileSync(
-        join(dateDir, "promo-week-receipt.json"),
-        JSON.stringify(receipt, null, 2) + "\n",
-        "utf8"
-      );
-      console.log(`  Wrote ${join(dateDir, "promo-week-receipt.json")}`);
+      console.log(`  Wrote ${path}`);
     } catch (err) {
       console.warn(`  [warn] Receipt generation failed: ${err.message}`);
     }
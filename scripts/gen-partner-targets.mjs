@@ -4,7 +4,9 @@
  * Partner Target Generator
  *
  * Cross-references outreach run items with partners.json to produce
- * per-run partner outreach recommendations. NEVER modifies partners.json.
+ * per-run partner outreach recommendations. NEVER modifies partners.json;
+ * contacts are recorded with record-partner-contact.mjs, and each partner's
+ * interaction log drives cooldown and do-not-contact suppression here.
  *
  * Usage:
  *   node scripts/gen-partner-targets.mjs [--dry-run]
@@ -20,6 +22,7 @@
 
 import { readFileSync, writeFileSync, mkdirSync } from "node:fs";
 import { resolve, join } from "node:path";
+import { contactEligibility } from "./lib/partners.mjs";
 
 const ROOT = resolve(import.meta.dirname, "..");
 
@@ -37,7 +40,8 @@ function safeParseJson(filePath, fallback = null) {
 
 /**
  * Match outreach items to partners by tags, type, slug affinity.
- * Applies cooldown suppression when governance config is provided.
+ * Suppresses do-not-contact and declined partners, and partners whose last
+ * logged outreach is inside governance.cooldownDaysPerPartner.
  *
  * @param {Array<{ slug: string, links: object, channels: object }>} items - from outreach-run
  * @param {{ partners: Array, schema: object }} partnersData - from partners.json
@@ -92,21 +96,15 @@ export function matchPartnersToOutreach(items, partnersData, opts = {}) {
 
     if (matchedSlugs.length === 0) continue;
 
-    // Cooldown check: suppress partner if contacted too recently
-    if (partner.lastContactedAt) {
-      const daysSince = Math.floor(
-        (now - new Date(partner.lastContactedAt).getTime()) / (1000 * 60 * 60 * 24)
-      );
-      if (daysSince < cooldownDays) {
-        suppressed.push({
-          partner,
-          matchedSlugs: [...new Set(matchedSlugs)],
-          suppressedReasons: [
-            `contacted ${daysSince}d ago, cooldown is ${cooldownDays}d`,
-          ],
-        });
-        continue; // skip adding to matches
-      }
+    // Lifecycle check: do-not-contact, declined, or contacted too recently
+    const eligibility = contactEligibility(partner, { cooldownDays, now });
+    if (!eligibility.eligible) {
+      suppressed.push({
+        partner,
+        matchedSlugs: [...new Set(matchedSlugs)],
+        suppressedReasons: eligibility.reasons,
+      });
+      continue; // skip adding to matches
     }
 
     // Derive templateType from partner.type
@@ -231,7 +229,7 @@ function renderPartnerMarkdown(date, matches, items, suppressed = []) {
 
   // Suppressed Partners section
   if (suppressed.length > 0) {
-    lines.push("## Suppressed Partners (Cooldown)");
+    lines.push("## Suppressed Partners (Cooldown / Do Not Contact)");
     lines.push("");
     lines.push("| Partner | Matched Slugs | Reason |");
     lines.push("|---------|---------------|--------|");
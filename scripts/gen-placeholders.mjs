@@ -26,6 +26,7 @@ import fs from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 import { escapeXml } from "./lib/sanitize.mjs";
+import { stableOverrides } from "./lib/overrides.mjs";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = path.resolve(__dirname, "..");
@@ -108,7 +109,7 @@ function truncate(str, max) {
   return str.slice(0, max - 1) + "\u2026";
 }
 
-function generateSvg(project) {
+export function generateSvg(project) {
   const name = escapeXml(project.name || project.repo);
   const tagline = escapeXml(truncate(project.tagline || project.description || "", 80));
   const install = project.install ? escapeXml(project.install) : null;
@@ -192,6 +193,38 @@ function generateSvg(project) {
 </svg>`;
 }
 
+// ─── Rendering ───────────────────────────────────────────────────────────────
+
+/**
+ * Load sharp (transitive dep from Astro), from the root or site/node_modules.
+ * @returns {Promise<Function|null>}
+ */
+export async function loadSharp() {
+  try {
+    return (await import("sharp")).default;
+  } catch {
+    try {
+      const { createRequire } = await import("node:module");
+      const require = createRequire(path.join(ROOT, "site", "package.json"));
+      return require("sharp");
+    } catch {
+      return null;
+    }
+  }
+}
+
+/**
+ * Render a placeholder PNG for a project.
+ * @param {object} project - { name, repo, tagline, install, stability, kind }
+ * @param {string} outPath
+ * @param {Function} sharp
+ */
+export async function renderPlaceholder(project, outPath, sharp) {
+  await sharp(Buffer.from(generateSvg(project)))
+    .png({ quality: 90 })
+    .toFile(outPath);
+}
+
 // ─── Main ────────────────────────────────────────────────────────────────────
 
 async function main() {
@@ -244,36 +277,23 @@ async function main() {
     fs.mkdirSync(SCREENSHOTS_DIR, { recursive: true });
   }
 
-  // Dynamically import sharp (transitive dep from Astro)
-  let sharp;
-  try {
-    sharp = (await import("sharp")).default;
-  } catch {
-    try {
-      // Try resolving from site/node_modules
-      const { createRequire } = await import("node:module");
-      const require = createRequire(path.join(ROOT, "site", "package.json"));
-      sharp = require("sharp");
-    } catch {
-      console.error("ERROR: sharp not available. Install it:");
-      console.error("  cd site && npm install --save-dev sharp");
-      process.exit(1);
-    }
+  const sharp = await loadSharp();
+  if (!sharp) {
+    console.error("ERROR: sharp not available. Install it:");
+    console.error("  cd site && npm install --save-dev sharp");
+    process.exit(1);
   }
 
   let generated = 0;
   let overridesChanged = false;
 
   for (const { repo, project } of toGenerate) {
-    const svg = generateSvg(project);
     const outPath = path.join(SCREENSHOTS_DIR, `${repo}.png`);
 
     if (DRY_RUN) {
       console.log(`  [dry-run] would generate ${repo}.png`);
     } else {
-      await sharp(Buffer.from(svg))
-        .png({ quality: 90 })
-        .toFile(outPath);
+      await renderPlaceholder(project, outPath, sharp);
       console.log(`  generated ${repo}.png`);
     }
 
@@ -305,43 +325,14 @@ async function main() {
   console.log("Done.");
 }
 
-// ─── Override Ordering (mirrors draft-overrides.mjs) ─────────────────────────
-
-const FIELD_ORDER = [
-  "featured",
-  "tags",
-  "category",
-  "stability",
-  "kind",
-  "install",
-  "tagline",
-  "goodFor",
-  "notFor",
-  "screenshot",
-  "screenshotType",
-  "needsHumanReview",
-];
-
-function orderFields(obj) {
-  const ordered = {};
-  for (const key of FIELD_ORDER) {
-    if (obj[key] !== undefined) ordered[key] = obj[key];
-  }
-  for (const key of Object.keys(obj)) {
-    if (!FIELD_ORDER.includes(key)) ordered[key] = obj[key];
-  }
-  return ordered;
-}
+// ─── Entry Point ─────────────────────────────────────────────────────────────
 
-function stableOverrides(overrides) {
-  const sorted = {};
-  for (const key of Object.keys(overrides).sort()) {
-    sorted[key] = orderFields(overrides[key]);
-  }
-  return sorted;
-}
+const isMain = process.argv[1] &&
+  path.resolve(process.argv[1]).endsWith("gen-placeholders.mjs");
 
-main().catch((err) => {
-  console.error(err);
-  process.exit(1);
-});
+if (isMain) {
+  main().catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,362 @@
+#!/usr/bin/env node
+
+/**
+ * Promo Calendar Feed (iCalendar)
+ *
+ * Exports the promotion schedule as an .ics feed operators can subscribe to
+ * from their own calendar app. Events:
+ *
+ *   promo-week       queued and planned weeks, and every week with an outreach run (7 days)
+ *   outreach-run     the day an outreach run was generated
+ *   slug-cooldown    last promotion + cooldownDaysPerSlug
+ *   partner-cooldown last outreach + cooldownDaysPerPartner
+ *   experiment-end   `endDate` of an experiment
+ *   freeze           governance `freezeWindows`, plus the current promo freeze
+ *
+ * All events are all-day. UIDs and DTSTAMPs are derived from the source
+ * records, so the feed only changes when the schedule does.
+ *
+ * Usage:
+ *   node scripts/gen-promo-ics.mjs [--dry-run]
+ *
+ * Reads:
+ *   site/src/data/promo-queue.json
+ *   site/src/data/promo.json
+ *   site/src/data/governance.json
+ *   site/src/data/ops-history.json
+ *   site/src/data/partners.json
+ *   site/src/data/experiments.json
+ *   site/public/outreach-run/<date>/outreach-run.json
+ *
+ * Writes:
+ *   site/public/lab/promo-calendar.ics
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, readdirSync, existsSync } from "node:fs";
+import { resolve, join, dirname } from "node:path";
+import { lastContactAt, partnerStage, BLOCKED_STAGES } from "./lib/partners.mjs";
+import { queueWeeks, entrySlug } from "./lib/promo-queue.mjs";
+
+const ROOT = resolve(import.meta.dirname, "..");
+const DATA_DIR = join(ROOT, "site", "src", "data");
+const OUTREACH_RUN_DIR = join(ROOT, "site", "public", "outreach-run");
+const OUT_PATH = join(ROOT, "site", "public", "lab", "promo-calendar.ics");
+
+const DEFAULT_SITE_BASE = "https://mcptoolshop.com";
+const DEFAULT_COOLDOWN_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}/;
+
+// ── Helpers ─────────────────────────────────────────────────
+
+function safeParseJson(filePath, fallback = null) {
+  try {
+    return JSON.parse(readFileSync(filePath, "utf8"));
+  } catch {
+    return fallback;
+  }
+}
+
+/** YYYY-MM-DD prefix of an ISO date or timestamp, or null. */
+function toDay(value) {
+  if (typeof value !== "string" || !DATE_RE.test(value)) return null;
+  const day = value.slice(0, 10);
+  return Number.isNaN(Date.parse(`${day}T00:00:00Z`)) ? null : day;
+}
+
+function addDays(day, n) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) + n * DAY_MS).toISOString().slice(0, 10);
+}
+
+function uidPart(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9.-]+/g, "-").replace(/^-+|-+$/g, "");
+}
+
+// ── iCalendar encoding ──────────────────────────────────────
+
+/**
+ * Escape a TEXT value (RFC 5545 §3.3.11).
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeIcsText(text) {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Fold a content line at 75 octets (RFC 5545 §3.1) without splitting a
+ * UTF-8 character. Continuation lines start with a single space.
+ *
+ * @param {string} line
+ * @returns {string} CRLF-joined physical lines
+ */
+export function foldIcsLine(line) {
+  const parts = [];
+  let current = "";
+  let octets = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch, "utf8");
+    const limit = parts.length === 0 ? 75 : 74;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += ch;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+function icsDate(day) {
+  return day.replace(/-/g, "");
+}
+
+// ── Core ────────────────────────────────────────────────────
+
+/**
+ * Collect calendar events from the promotion data.
+ *
+ * @param {{
+ *   queue?: object, promo?: object, governance?: object, history?: Array,
+ *   partners?: Array, experiments?: Array,
+ *   outreachRuns?: Array<{ date: string, run: object }>, siteBase?: string
+ * }} inputs
+ * @returns {Array<{ uid: string, kind: string, start: string, end: string, stamp: string, summary: string, description: string, url?: string }>}
+ *   `end` is exclusive, as DTEND is for all-day events. Sorted by start, then uid.
+ */
+export function buildCalendarEvents(inputs = {}) {
+  const {
+    queue = {},
+    promo = {},
+    governance = {},
+    history = [],
+    partners = [],
+    experiments = [],
+    outreachRuns = [],
+    siteBase = DEFAULT_SITE_BASE,
+  } = inputs;
+  const events = [];
+  const add = (kind, id, start, days, stamp, summary, description, url) => {
+    const event = { uid: `${kind}-${uidPart(id)}`, kind, start, end: addDays(start, days), stamp, summary, description };
+    if (url) event.url = url;
+    events.push(event);
+  };
+
+  // Promo weeks: queued and planned weeks plus any week an outreach run went out for
+  const weeks = new Map();
+  for (const planned of queueWeeks(queue)) {
+    weeks.set(planned.week, new Set(planned.slugs.map(entrySlug).filter(Boolean)));
+  }
+  for (const { run } of outreachRuns) {
+    const week = toDay(run?.week);
+    if (!week) continue;
+    if (!weeks.has(week)) weeks.set(week, new Set());
+    for (const item of run.items || []) weeks.get(week).add(item.slug);
+  }
+  for (const [week, slugs] of weeks) {
+    const list = [...slugs].sort();
+    add(
+      "promo-week", week, week, 7, week,
+      `Promo week ${week}`,
+      list.length > 0 ? `Slugs: ${list.join(", ")}` : "No slugs queued",
+      `${siteBase}/promo/${week}/`,
+    );
+  }
+
+  // Outreach runs
+  for (const { date, run } of outreachRuns) {
+    const day = toDay(date);
+    if (!day) continue;
+    const slugs = [...new Set((run?.items || []).map((i) => i.slug))].sort();
+    add(
+      "outreach-run", day, day, 1, day,
+      `Outreach run ${day} (${slugs.length} tool${slugs.length === 1 ? "" : "s"})`,
+      slugs.length > 0 ? `Slugs: ${slugs.join(", ")}` : "No items",
+      `${siteBase}/outreach-run/${day}/outreach-run.md`,
+    );
+  }
+
+  // Slug cooldowns: most recent promotion per slug (history is newest-first)
+  const slugCooldown = governance?.cooldownDaysPerSlug ?? DEFAULT_COOLDOWN_DAYS;
+  const lastPromoted = new Map();
+  for (const entry of history || []) {
+    const day = toDay(entry?.date);
+    if (!day) continue;
+    const promoted = entry.promotedSlugs || entry.slugs || [];
+    for (const slug of Array.isArray(promoted) ? promoted.map(entrySlug) : []) {
+      if (slug && !lastPromoted.has(slug)) lastPromoted.set(slug, day);
+    }
+  }
+  for (const [slug, day] of lastPromoted) {
+    add(
+      "slug-cooldown", slug, addDays(day, slugCooldown), 1, day,
+      `Cooldown ends: ${slug}`,
+      `Last promoted ${day}; eligible again after the ${slugCooldown}-day slug cooldown.`,
+    );
+  }
+
+  // Partner cooldowns (declined / do-not-contact never come off cooldown)
+  const partnerCooldown = governance?.cooldownDaysPerPartner ?? DEFAULT_COOLDOWN_DAYS;
+  for (const partner of partners || []) {
+    if (BLOCKED_STAGES.has(partnerStage(partner))) continue;
+    const day = toDay(lastContactAt(partner));
+    const name = partner.name || partner.id;
+    if (!day || !name) continue;
+    add(
+      "partner-cooldown", partner.id || name, addDays(day, partnerCooldown), 1, day,
+      `Partner cooldown ends: ${name}`,
+      `Last contacted ${day}; can be contacted again after the ${partnerCooldown}-day partner cooldown.`,
+    );
+  }
+
+  // Experiment end dates
+  for (const exp of experiments || []) {
+    const day = toDay(exp?.endDate);
+    if (!day || !exp.id) continue;
+    add(
+      "experiment-end", exp.id, day, 1, day,
+      `Experiment ends: ${exp.name || exp.id}`,
+      `${exp.id} (${exp.status || "unknown"})`,
+    );
+  }
+
+  // Freeze windows: scheduled ones from governance, plus the current promo freeze
+  for (const window of governance?.freezeWindows || []) {
+    const start = toDay(window?.start);
+    const end = toDay(window?.end);
+    if (!start || !end || end < start) continue;
+    const days = Math.round((Date.parse(end) - Date.parse(start)) / DAY_MS) + 1;
+    add(
+      "freeze", `${start}-${end}`, start, days, start,
+      `Freeze: ${window.reason || "promotion paused"}`,
+      `Scheduled freeze ${start} to ${end} (inclusive).`,
+    );
+  }
+  const since = toDay(promo?.lastModified);
+  if (promo?.enabled !== true && since) {
+    add(
+      "freeze", `promo-${since}`, since, 1, since,
+      "Promotion frozen",
+      `promo.json enabled=false since ${since} (set by ${promo.modifiedBy || "unknown"}); still in effect when this feed was generated.`,
+    );
+  }
+
+  return events.sort((a, b) => a.start.localeCompare(b.start) || a.uid.localeCompare(b.uid));
+}
+
+/**
+ * Render events as an iCalendar (RFC 5545) document with CRLF line endings.
+ *
+ * @param {ReturnType<typeof buildCalendarEvents>} events
+ * @param {{ siteBase?: string, name?: string }} [opts]
+ * @returns {string}
+ */
+export function renderIcs(events, opts = {}) {
+  const { siteBase = DEFAULT_SITE_BASE, name = "Promotion schedule" } = opts;
+  const host = new URL(siteBase).host;
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//mcp-tool-shop//promo-kit//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+  ];
+  for (const event of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}@${host}`,
+      `DTSTAMP:${icsDate(event.stamp)}T000000Z`,
+      `DTSTART;VALUE=DATE:${icsDate(event.start)}`,
+      `DTEND;VALUE=DATE:${icsDate(event.end)}`,
+      `SUMMARY:${escapeIcsText(event.summary)}`,
+      `DESCRIPTION:${escapeIcsText(event.description)}`,
+      `CATEGORIES:${event.kind}`,
+      "TRANSP:TRANSPARENT",
+    );
+    if (event.url) lines.push(`URL:${event.url}`);
+    lines.push("END:VEVENT");
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * Read every outreach-run/<date>/outreach-run.json, oldest first.
+ *
+ * @param {string} dir
+ * @returns {Array<{ date: string, run: object }>}
+ */
+export function loadOutreachRuns(dir) {
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir)
+    .filter((name) => DATE_RE.test(name))
+    .sort()
+    .map((date) => ({ date, run: safeParseJson(join(dir, date, "outreach-run.json")) }))
+    .filter((r) => r.run);
+}
+
+/**
+ * Full pipeline: load data, build events, write the .ics feed.
+ *
+ * @param {{ dataDir?: string, outreachRunDir?: string, outPath?: string, siteBase?: string, dryRun?: boolean }} opts
+ * @returns {{ events: Array<object>, ics: string }}
+ */
+export function generatePromoIcs(opts = {}) {
+  const {
+    dataDir = DATA_DIR,
+    outreachRunDir = OUTREACH_RUN_DIR,
+    outPath = OUT_PATH,
+    siteBase = DEFAULT_SITE_BASE,
+    dryRun = false,
+  } = opts;
+
+  const events = buildCalendarEvents({
+    queue: safeParseJson(join(dataDir, "promo-queue.json"), {}),
+    promo: safeParseJson(join(dataDir, "promo.json"), {}),
+    governance: safeParseJson(join(dataDir, "governance.json"), {}),
+    history: safeParseJson(join(dataDir, "ops-history.json"), []),
+    partners: safeParseJson(join(dataDir, "partners.json"), {})?.partners || [],
+    experiments: safeParseJson(join(dataDir, "experiments.json"), {})?.experiments || [],
+    outreachRuns: loadOutreachRuns(outreachRunDir),
+    siteBase,
+  });
+  const ics = renderIcs(events, { siteBase });
+
+  if (dryRun) {
+    console.log(`  [dry-run] Would write ${outPath}`);
+    console.log(`  [dry-run] Events: ${events.length}`);
+    return { events, ics };
+  }
+
+  mkdirSync(dirname(outPath), { recursive: true });
+  writeFileSync(outPath, ics, "utf8");
+  console.log(`  Wrote ${outPath} (${events.length} events)`);
+
+  return { events, ics };
+}
+
+// ── Entry point ─────────────────────────────────────────────
+
+const isMain = process.argv[1] &&
+  resolve(process.argv[1]).endsWith("gen-promo-ics.mjs");
+
+if (isMain) {
+  const dryRun = process.argv.includes("--dry-run");
+  console.log("Generating promo calendar feed...");
+  if (dryRun) console.log("  Mode: DRY RUN");
+
+  const { events } = generatePromoIcs({ dryRun });
+  const byKind = {};
+  for (const e of events) byKind[e.kind] = (byKind[e.kind] || 0) + 1;
+  for (const [kind, count] of Object.entries(byKind)) {
+    console.log(`  ${kind}: ${count}`);
+  }
+}
@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+/**
+ * Promo Planner
+ *
+ * Plans the next few promo weeks: keeps the weeks already in
+ * promo-queue.json and fills later ones from promo-decisions.json scores,
+ * within maxPromosPerWeek, slug cooldowns and the minute budget from
+ * baseline.json. Weeks over capacity are flagged.
+ *
+ * The plan is advisory. promo-queue.json is only rewritten with --apply,
+ * which stores the planned weeks in its `weeks` array.
+ *
+ * Usage:
+ *   node scripts/gen-promo-plan.mjs [--dry-run] [--apply] [--weeks N]
+ *
+ * Reads:
+ *   site/src/data/promo-queue.json
+ *   site/src/data/promo-decisions.json
+ *   site/src/data/governance.json
+ *   site/src/data/baseline.json
+ *   site/src/data/ops-history.json
+ *
+ * Writes:
+ *   site/src/data/promo-plan.json
+ *   site/src/data/promo-queue.json (--apply only)
+ */
+
+import { readFileSync, writeFileSync } from "node:fs";
+import { resolve, join } from "node:path";
+import { getConfig, getRoot } from "./lib/config.mjs";
+import { planWeeks, applyPlan } from "./lib/promo-queue.mjs";
+
+const ROOT = getRoot();
+const config = getConfig();
+const DATA_DIR = join(ROOT, config.paths.dataDir);
+
+const DEFAULT_HORIZON = 4;
+const MAX_HORIZON = 12;
+
+// ── Helpers ─────────────────────────────────────────────────
+
+function safeParseJson(filePath, fallback = null) {
+  try {
+    return JSON.parse(readFileSync(filePath, "utf8"));
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Parse `--weeks N` (1-12).
+ *
+ * @param {string[]} argv
+ * @returns {number}
+ */
+export function parseHorizonArg(argv) {
+  const idx = argv.indexOf("--weeks");
+  if (idx === -1) return DEFAULT_HORIZON;
+  const n = Number(argv[idx + 1]);
+  if (!Number.isInteger(n) || n < 1 || n > MAX_HORIZON) {
+    throw new Error(`--weeks must be an integer from 1 to ${MAX_HORIZON}`);
+  }
+  return n;
+}
+
+// ── Pipeline ────────────────────────────────────────────────
+
+/**
+ * Full pipeline: load data, plan weeks, write promo-plan.json (and the
+ * queue with `apply`).
+ *
+ * @param {{ dataDir?: string, horizon?: number, apply?: boolean, dryRun?: boolean, now?: number }} opts
+ * @returns {ReturnType<typeof planWeeks> & { outputPath: string, applied: boolean }}
+ */
+export function generatePromoPlan(opts = {}) {
+  const {
+    dataDir = DATA_DIR,
+    horizon = DEFAULT_HORIZON,
+    apply = false,
+    dryRun = false,
+    now = Date.now(),
+  } = opts;
+
+  const queuePath = join(dataDir, "promo-queue.json");
+  const queue = safeParseJson(queuePath, {});
+  const plan = planWeeks({
+    queue,
+    decisions: safeParseJson(join(dataDir, "promo-decisions.json"), {}),
+    governance: safeParseJson(join(dataDir, "governance.json"), {}),
+    baseline: safeParseJson(join(dataDir, "baseline.json"), {}),
+    opsHistory: safeParseJson(join(dataDir, "ops-history.json"), []),
+    now,
+    horizon,
+  });
+  const outputPath = join(dataDir, "promo-plan.json");
+
+  if (dryRun) {
+    console.log(`  [dry-run] Would write promo-plan.json`);
+    if (apply) console.log(`  [dry-run] Would update promo-queue.json weeks`);
+    return { ...plan, outputPath, applied: false };
+  }
+
+  const out = { generatedAt: new Date(now).toISOString(), horizon, ...plan };
+  writeFileSync(outputPath, JSON.stringify(out, null, 2) + "\n", "utf8");
+  console.log(`  Wrote promo-plan.json (${plan.weeks.length} weeks)`);
+
+  if (apply) {
+    writeFileSync(queuePath, JSON.stringify(applyPlan(queue, plan, { now }), null, 2) + "\n", "utf8");
+    console.log(`  Updated promo-queue.json weeks`);
+  }
+
+  return { ...plan, outputPath, applied: apply };
+}
+
+// ── Entry point ─────────────────────────────────────────────
+
+const isMain = process.argv[1] &&
+  resolve(process.argv[1]).endsWith("gen-promo-plan.mjs");
+
+if (isMain) {
+  const dryRun = process.argv.includes("--dry-run");
+  const apply = process.argv.includes("--apply");
+  let horizon;
+  try {
+    horizon = parseHorizonArg(process.argv);
+  } catch (e) {
+    console.error(`  Error: ${e.message}`);
+    process.exit(1);
+  }
+
+  console.log("Planning promo weeks...");
+  if (dryRun) console.log("  Mode: DRY RUN");
+
+  const plan = generatePromoPlan({ dryRun, apply, horizon });
+  console.log(`  Capacity: ${plan.capacity.itemsAllowed} slug(s)/week`);
+  for (const w of plan.weeks) {
+    const slugs = w.slugs.map((s) => (typeof s === "string" ? s : s.slug));
+    const flag = w.overCapacity ? "  OVER CAPACITY" : "";
+    console.log(`  ${w.week}: ${slugs.join(", ") || "(empty)"} [${w.planned}/${w.capacity}]${flag}`);
+    for (const issue of w.issues) console.log(`    ⚠ ${issue}`);
+  }
+  for (const u of plan.unplaced) console.log(`  Unplaced: ${u.slug} (${u.reason})`);
+  for (const w of plan.warnings) console.log(`  Warning: ${w}`);
+}
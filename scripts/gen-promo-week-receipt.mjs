@@ -1,51 +1,157 @@
 #!/usr/bin/env node
 
-import { readFileSync, writeFileSync, mkdirSync } from "node:fs";
-import { resolve, join } from "node:path";
-import { createHash } from "node:crypto";
+/**
+ * Promo Week Receipt Generator
+ *
+ * Hashes the inputs of a promotion week (promo/experiment decisions,
+ * governance, trust.json) and writes the week's receipt into the receipt
+ * log, chained to the previous week's receipt (see lib/receipts.mjs).
+ * `verify-promo-receipt.mjs` recomputes the hashes from git.
+ *
+ * `commit` is HEAD only when every hashed input is committed there. In CI
+ * the generators rewrite their outputs before the job commits, so the
+ * receipt records `commit: null` and lists the paths in `uncommitted`; the
+ * verifier then uses the commit that added the receipt file, which carries
+ * those inputs.
+ *
+ * Usage:
+ *   node scripts/gen-promo-week-receipt.mjs [--week YYYY-MM-DD] [--dry-run]
+ *
+ * Reads:
+ *   site/src/data/promo-decisions.json
+ *   site/src/data/experiment-decisions.json
+ *   site/src/data/governance.json
+ *   site/public/trust.json
+ *   site/public/outreach-run/<earlier week>/promo-week-receipt.json
+ *
+ * Writes:
+ *   site/public/outreach-run/<week>/promo-week-receipt.json
+ *   site/public/outreach-run/<week>/promo-week-receipt.json.sig  (when a signing key is configured)
+ *
+ * Environment:
+ *   PROMO_KIT_SIGNING_KEY / PROMO_KIT_SIGNING_KEY_FILE — optional Ed25519 key (see lib/signing.mjs)
+ */
 
-const ROOT = resolve(import.meta.dirname, "..");
-const DATA_DIR = join(ROOT, "site", "src", "data");
-const PUBLIC_DIR = join(ROOT, "site", "public");
+import { writeFileSync, mkdirSync } from "node:fs";
+import { resolve, join, dirname } from "node:path";
+import { getConfig, getRoot } from "./lib/config.mjs";
+import { hashContent, hashFile, repoPath, runGit, weekReceiptPath, previousReceiptLink } from "./lib/receipts.mjs";
+import { loadSigningKey, signFile, removeSignature, publishPublicKey } from "./lib/signing.mjs";
 
-function safeParseJson(filePath, fallback = null) {
-  try { return JSON.parse(readFileSync(filePath, "utf8")); } catch { return fallback; }
-}
+const ROOT = getRoot();
+const config = getConfig();
+const DATA_DIR = join(ROOT, config.paths.dataDir);
+const PUBLIC_DIR = join(ROOT, config.paths.publicDir);
 
-function hashFile(filePath) {
-  try {
-    const content = readFileSync(filePath, "utf8");
-    return "sha256:" + createHash("sha256").update(content).digest("hex");
-  } catch { return null; }
-}
+/** Data files hashed into every week receipt. */
+export const WEEK_RECEIPT_INPUTS = ["promo-decisions.json", "experiment-decisions.json", "governance.json"];
+
+// ── Core ────────────────────────────────────────────────────
 
 /**
  * Build a per-week promo receipt.
- * @param {{ dataDir?: string, publicDir?: string, week: string }} opts
+ *
+ * @param {{
+ *   dataDir?: string,
+ *   publicDir?: string,
+ *   root?: string,
+ *   week: string,
+ *   git?: (root: string, args: string[]) => string,
+ * }} opts
+ * @returns {object}
  */
 export function buildPromoWeekReceipt(opts) {
-  const { dataDir = DATA_DIR, publicDir = PUBLIC_DIR, week } = opts;
+  const { dataDir = DATA_DIR, publicDir = PUBLIC_DIR, root = ROOT, week, git = runGit } = opts;
+
+  let head = null;
+  try {
+    head = git(root, ["rev-parse", "HEAD"]).trim() || null;
+  } catch { /* not a git checkout — receipt is unverifiable */ }
+
+  const trustPath = join(publicDir, "trust.json");
+  const hashes = Object.fromEntries(WEEK_RECEIPT_INPUTS.map((f) => [f, hashFile(join(dataDir, f))]));
+  const sources = {};
+  for (const f of WEEK_RECEIPT_INPUTS) sources[repoPath(root, join(dataDir, f))] = hashes[f];
+  sources[repoPath(root, trustPath)] = hashFile(trustPath);
+
+  // Only record HEAD when it actually holds the inputs as hashed
+  const uncommitted = head
+    ? Object.keys(sources).filter((path) => {
+      let atHead = null;
+      try {
+        atHead = hashContent(git(root, ["show", `${head}:${path}`]));
+      } catch { /* not in HEAD */ }
+      return atHead !== sources[path];
+    })
+    : [];
+  const commit = uncommitted.length === 0 ? head : null;
+
   return {
     generatedAt: new Date().toISOString(),
     week,
-    trustReceiptHash: hashFile(join(publicDir, "trust.json")),
+    commit,
+    uncommitted,
+    trustReceiptHash: hashFile(trustPath),
     inputs: {
-      promoDecisionsSha: hashFile(join(dataDir, "promo-decisions.json")),
-      experimentDecisionsSha: hashFile(join(dataDir, "experiment-decisions.json")),
-      governanceSha: hashFile(join(dataDir, "governance.json")),
-    },
-    artifactManifestSubset: {
-      "promo-decisions.json": hashFile(join(dataDir, "promo-decisions.json")),
-      "experiment-decisions.json": hashFile(join(dataDir, "experiment-decisions.json")),
-      "governance.json": hashFile(join(dataDir, "governance.json")),
+      promoDecisionsSha: hashes["promo-decisions.json"],
+      experimentDecisionsSha: hashes["experiment-decisions.json"],
+      governanceSha: hashes["governance.json"],
     },
+    artifactManifestSubset: hashes,
+    sources,
+    previous: previousReceiptLink(publicDir, week),
   };
 }
 
+// ── Pipeline ────────────────────────────────────────────────
+
+/**
+ * Build and write a week's receipt. Re-running for the same week replaces
+ * its receipt; the link to the previous week is recomputed. With a signing
+ * key the receipt gets a detached `.sig`, so the chain hash of the receipt
+ * file itself is unchanged.
+ *
+ * @param {Parameters<typeof buildPromoWeekReceipt>[0] & {
+ *   dryRun?: boolean,
+ *   signingKey?: import("node:crypto").KeyObject|null,
+ * }} opts
+ *   `signingKey` defaults to the key from the environment.
+ * @returns {{ receipt: object, path: string, signed: boolean }}
+ */
+export function writePromoWeekReceipt(opts) {
+  const { dryRun = false, signingKey = loadSigningKey(), ...buildOpts } = opts;
+  const publicDir = buildOpts.publicDir || PUBLIC_DIR;
+  const receipt = buildPromoWeekReceipt(buildOpts);
+  const path = weekReceiptPath(publicDir, receipt.week);
+
+  if (!dryRun) {
+    mkdirSync(dirname(path), { recursive: true });
+    writeFileSync(path, JSON.stringify(receipt, null, 2) + "\n", "utf8");
+    if (signingKey) {
+      signFile(path, signingKey);
+      publishPublicKey(publicDir, signingKey);
+    } else {
+      removeSignature(path);
+    }
+  }
+
+  return { receipt, path, signed: !!signingKey };
+}
+
+// ── Entry point ─────────────────────────────────────────────
+
 const isMain = process.argv[1] && resolve(process.argv[1]).endsWith("gen-promo-week-receipt.mjs");
 if (isMain) {
-  const week = new Date().toISOString().split("T")[0];
+  const args = process.argv.slice(2);
+  const dryRun = args.includes("--dry-run");
+  const weekIdx = args.indexOf("--week");
+  const week = weekIdx >= 0 ? args[weekIdx + 1] : new Date().toISOString().split("T")[0];
+
   console.log("Generating promo week receipt...");
-  const receipt = buildPromoWeekReceipt({ week });
-  console.log(JSON.stringify(receipt, null, 2));
+  if (dryRun) console.log("  Mode: DRY RUN");
+
+  const { receipt, path, signed } = writePromoWeekReceipt({ week, dryRun });
+  console.log(`  ${dryRun ? "[dry-run] Would write" : "Wrote"} ${path}${signed ? " (signed)" : ""}`);
+  console.log(`  Commit: ${receipt.commit || (receipt.uncommitted.length > 0 ? `none — uncommitted inputs: ${receipt.uncommitted.join(", ")}` : "unavailable")}`);
+  console.log(`  Previous: ${receipt.previous ? `${receipt.previous.week} (${receipt.previous.receiptHash})` : "none (first receipt)"}`);
 }
@@ -4,8 +4,9 @@
  * Promotion Coordinator
  *
  * Reads promo-queue.json and orchestrates focused content generation
- * for queued slugs. Calls existing generators with --slugs filter
- * and updates overrides.json featured flags.
+ * for the current week's slugs — the planned week containing today, or
+ * the top-level queue when nothing is planned. Calls existing generators
+ * with --slugs filter and updates overrides.json featured flags.
  *
  * Usage:
  *   node scripts/gen-promo.mjs [--dry-run]
@@ -22,6 +23,7 @@
 import { readFileSync, writeFileSync, existsSync, mkdirSync } from "node:fs";
 import { resolve, join } from "node:path";
 import { execFileSync } from "node:child_process";
+import { resolveCurrentWeek } from "./lib/promo-queue.mjs";
 
 const ROOT = resolve(import.meta.dirname, "..");
 const DATA_DIR = join(ROOT, "site", "src", "data");
@@ -196,8 +198,9 @@ function runPromotion(opts = {}) {
     return [];
   }
 
-  // 2. Load queue
-  const queue = loadPromoQueue(queuePath);
+  // 2. Load queue and pick the current week
+  const queue = resolveCurrentWeek(loadPromoQueue(queuePath), { now: opts.now });
+  if (queue.planned) console.log(`Using planned week ${queue.week}`);
   if (!queue.slugs || queue.slugs.length === 0) {
     console.log("Promotion queue is empty. Nothing to do.");
     return [];
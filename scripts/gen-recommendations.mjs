@@ -182,6 +182,42 @@ function findHighFrictionSubmissions(signals, submissions = {}) {
     .slice(0, 3);
 }
 
+/**
+ * Turn queue-health SLA escalations into recommendations. Submissions
+ * waiting on the maintainer are high priority; those waiting on the
+ * submitter get a nudge.
+ * @param {object} queueHealth - queue-health.json
+ * @returns {object[]}
+ */
+function findSlaEscalations(queueHealth = {}) {
+  const results = [];
+
+  for (const e of queueHealth.escalations || []) {
+    const onMaintainer = e.waitingOn === "maintainer";
+    const what = e.reason === "first-response" ? "no first response" : `${e.status} SLA`;
+    results.push({
+      priority: onMaintainer ? "high" : "medium",
+      category: "stuck-submission",
+      slug: e.slug,
+      title: onMaintainer ? `Review overdue submission: ${e.slug}` : `Nudge submitter: ${e.slug}`,
+      insight: `${what} breached — ${e.days}d against ${e.slaDays}d, waiting on ${e.waitingOn}`,
+      action: onMaintainer
+        ? `Respond or move the submission forward (${e.severity})`
+        : `Ping the submitter for the requested info, or mark withdrawn if they have gone quiet`,
+      evidence: {
+        status: e.status,
+        waitingOn: e.waitingOn,
+        reason: e.reason,
+        days: e.days,
+        slaDays: e.slaDays,
+        severity: e.severity,
+      },
+    });
+  }
+
+  return results.slice(0, 5);
+}
+
 /**
  * Find experiments that have found a winner and are ready to graduate.
  * @param {object} experimentDecisions
@@ -306,7 +342,13 @@ export function buildRecommendations(inputs, opts = {}) {
 
   recommendations.push(...findHighTrustTools(signals, inputs.overrides || {}));
   recommendations.push(...findLowProofEngagementTools(signals, inputs.rollup || {}));
-  recommendations.push(...findHighFrictionSubmissions(signals, inputs.submissions || {}));
+  const escalated = findSlaEscalations(inputs.queueHealth || {});
+  const escalatedSlugs = new Set(escalated.map((r) => r.slug));
+  recommendations.push(...escalated);
+  recommendations.push(
+    ...findHighFrictionSubmissions(signals, inputs.submissions || {})
+      .filter((r) => !escalatedSlugs.has(r.slug)),
+  );
   recommendations.push(...findReadyExperiments(inputs.experimentDecisions || {}));
 
   // Lint patterns analysis
@@ -6,35 +6,36 @@
  * Generates channel-ready copy from MarketIR messages + claims.
  * One markdown file per tool that has publicProof: true in overrides.json.
  *
- * Output: site/public/snippets/<slug>.md
+ * Output: site/public/snippets/<slug>.md            (English)
+ *         site/public/snippets/<slug>.<locale>.md   (one per translated locale)
  *
  * Every line traces back to claimRefs — no freeform assertions.
+ * Messages and claims use the locale's i18n text where present and fall
+ * back to English otherwise (reported; see scripts/lib/i18n.mjs).
+ *
+ * Programmatic use:
+ *   buildSnippets(inputs)   — one tool + locale → { slug, locale, markdown, fallbacks } (pure)
+ *   generateSnippets(opts)  — reads the data dir, writes unless dryRun
  *
  * Usage:
- *   node scripts/gen-snippets.mjs
+ *   node scripts/gen-snippets.mjs [--slugs a,b] [--locales de,fr] [--dry-run]
  */
 
-import fs from "node:fs";
-import path from "node:path";
-import { fileURLToPath } from "node:url";
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const ROOT = path.resolve(__dirname, "..");
-const SITE = path.join(ROOT, "site");
-const DATA_DIR = path.join(SITE, "src", "data", "marketir");
-const OVERRIDES_PATH = path.join(SITE, "src", "data", "overrides.json");
-const LINKS_PATH = path.join(SITE, "src", "data", "links.json");
-const OUTPUT_DIR = path.join(SITE, "public", "snippets");
-
-// ─── Helpers ──────────────────────────────────────────────────────────────────
-
-function readJson(filePath) {
-  try {
-    return JSON.parse(fs.readFileSync(filePath, "utf8"));
-  } catch {
-    return null;
-  }
-}
+import { mkdirSync, writeFileSync } from "node:fs";
+import { resolve, join } from "node:path";
+import { getConfig, getRoot } from "./lib/config.mjs";
+import {
+  loadMarketirInputs,
+  publicProofSlugs,
+  parseSlugsArg,
+  readTool,
+} from "./lib/marketir.mjs";
+import { DEFAULT_LOCALE, localesFor, localizeTool, parseLocalesArg, describeFallbacks } from "./lib/i18n.mjs";
+
+const ROOT = getRoot();
+const config = getConfig();
+const DATA_DIR = join(ROOT, config.paths.dataDir);
+const PUBLIC_DIR = join(ROOT, config.paths.publicDir);
 
 const CHANNEL_LABELS = {
   web: "Web blurb",
@@ -46,58 +47,31 @@ const CHANNEL_LABELS = {
   presskit: "Press kit",
 };
 
-// ─── Load data ────────────────────────────────────────────────────────────────
-
-const overrides = readJson(OVERRIDES_PATH);
-if (!overrides) {
-  console.error("Failed to load overrides.json");
-  process.exit(1);
-}
-
-const snapshot = readJson(path.join(DATA_DIR, "marketir.snapshot.json"));
-const lockShort = snapshot?.lockSha256?.slice(0, 12) || "unknown";
-
-// Load link registry for source markers (fail-soft)
-const linksData = readJson(LINKS_PATH);
-const linkByMessage = new Map();
-if (linksData?.links) {
-  for (const link of linksData.links) {
-    if (link.messageRef) linkByMessage.set(link.messageRef, link.id);
-  }
-}
-
-// ─── Find enabled tools ───────────────────────────────────────────────────────
-
-// Parse --slugs filter (comma-separated)
-const SLUG_FILTER = (() => {
-  const idx = process.argv.indexOf("--slugs");
-  if (idx === -1 || !process.argv[idx + 1]) return null;
-  return new Set(process.argv[idx + 1].split(","));
-})();
-
-const enabledSlugs = Object.entries(overrides)
-  .filter(([, v]) => v.publicProof === true)
-  .filter(([k]) => !SLUG_FILTER || SLUG_FILTER.has(k))
-  .map(([k]) => k);
-
-if (enabledSlugs.length === 0) {
-  console.log("No tools with publicProof enabled. Nothing to generate.");
-  process.exit(0);
-}
-
-console.log(`Generating snippets for: ${enabledSlugs.join(", ")}\n`);
-
-fs.mkdirSync(OUTPUT_DIR, { recursive: true });
-
-// ─── Generate ─────────────────────────────────────────────────────────────────
-
-for (const slug of enabledSlugs) {
-  const tool = readJson(path.join(DATA_DIR, "data", "tools", `${slug}.json`));
-  if (!tool) {
-    console.warn(`  ⚠ No MarketIR data for ${slug}, skipping.`);
-    continue;
-  }
+// ─── Build ────────────────────────────────────────────────────────────────────
 
+/**
+ * Build one tool's snippet file in memory, in `locale` (English by default).
+ *
+ * @param {{
+ *   slug: string,
+ *   tool: object,
+ *   locale?: string,
+ *   linkByMessage?: Map<string, string>,
+ *   lockShort?: string,
+ *   generatedAt?: string,
+ * }} inputs
+ * @returns {{ slug: string, locale: string, markdown: string, fallbacks: Array<object> }}
+ */
+export function buildSnippets(inputs) {
+  const {
+    slug,
+    locale = DEFAULT_LOCALE,
+    linkByMessage = new Map(),
+    lockShort = "unknown",
+    generatedAt = new Date().toISOString(),
+  } = inputs;
+
+  const { tool, fallbacks } = localizeTool(inputs.tool, locale);
   const proven = (tool.claims || []).filter((c) => c.status === "proven");
   const messages = tool.messages || [];
 
@@ -133,7 +107,7 @@ for (const slug of enabledSlugs) {
       // Constraints
       if (msg.constraints) {
         const parts = [];
-        if (msg.constraints.maxChars) parts.push(`max ${msg.constraints.maxChars} chars (${msg.text.length} used)`);
+        if (msg.constraints.maxChars) parts.push(`max ${msg.constraints.maxChars} chars (${[...msg.text].length} used)`);
         if (msg.constraints.notes) parts.push(msg.constraints.notes);
         if (parts.length > 0) {
           lines.push(`_${parts.join(" | ")}_`);
@@ -173,13 +147,83 @@ for (const slug of enabledSlugs) {
   // Footer
   lines.push("---");
   lines.push("");
-  lines.push(`_Generated from [MarketIR](https://github.com/mcp-tool-shop/mcpt-marketing) (lock: ${lockShort}) at ${new Date().toISOString()}_`);
+  lines.push(`_Generated from [MarketIR](https://github.com/mcp-tool-shop/mcpt-marketing) (lock: ${lockShort}) at ${generatedAt}_`);
   lines.push("");
 
-  const text = lines.join("\n");
-  const outPath = path.join(OUTPUT_DIR, `${slug}.md`);
-  fs.writeFileSync(outPath, text, "utf8");
-  console.log(`  wrote snippets/${slug}.md (${text.length} bytes)`);
+  return { slug, locale, markdown: lines.join("\n"), fallbacks };
 }
 
-console.log(`\nDone. ${enabledSlugs.length} snippet file(s) generated.`);
+// ─── Pipeline ─────────────────────────────────────────────────────────────────
+
+/**
+ * Build snippets for every publicProof tool (optionally narrowed to
+ * `slugs`) and write them to <publicDir>/snippets/<slug>.md, plus
+ * <slug>.<locale>.md for each translated locale (or each of `locales`).
+ *
+ * @param {{ dataDir?: string, publicDir?: string, slugs?: string[]|null, locales?: string[]|null, generatedAt?: string, dryRun?: boolean }} opts
+ * @returns {{ snippets: Array<{ slug: string, locale: string, markdown: string, fallbacks: Array<object> }>, skipped: Array<{ slug: string, reason: string }> }}
+ */
+export function generateSnippets(opts = {}) {
+  const { dataDir = DATA_DIR, publicDir = PUBLIC_DIR, slugs = null, locales = null, generatedAt, dryRun = false } = opts;
+
+  const { paths, overrides, lockShort, links } = loadMarketirInputs(dataDir);
+  if (!overrides) {
+    throw new Error(`Failed to load overrides.json: ${paths.overridesPath}`);
+  }
+
+  const outDir = join(publicDir, "snippets");
+  const snippets = [];
+  const skipped = [];
+
+  const enabledSlugs = publicProofSlugs(overrides, slugs);
+  if (enabledSlugs.length > 0) {
+    console.log(`Generating snippets for: ${enabledSlugs.join(", ")}\n`);
+  }
+
+  for (const slug of enabledSlugs) {
+    const tool = readTool(paths, slug);
+    if (!tool) {
+      console.warn(`  ⚠ No MarketIR data for ${slug}, skipping.`);
+      skipped.push({ slug, reason: "no MarketIR data" });
+      continue;
+    }
+
+    for (const locale of localesFor(tool, locales)) {
+      const snippet = buildSnippets({ slug, locale, tool, linkByMessage: links.byMessage, lockShort, generatedAt });
+      snippets.push(snippet);
+      if (snippet.fallbacks.length > 0) {
+        console.warn(`  ⚠ ${slug} [${locale}]: ${snippet.fallbacks.length} untranslated, using English: ${describeFallbacks(snippet.fallbacks)}`);
+      }
+
+      if (dryRun) continue;
+      const file = locale === DEFAULT_LOCALE ? `${slug}.md` : `${slug}.${locale}.md`;
+      mkdirSync(outDir, { recursive: true });
+      writeFileSync(join(outDir, file), snippet.markdown, "utf8");
+      console.log(`  wrote snippets/${file} (${snippet.markdown.length} bytes)`);
+    }
+  }
+
+  return { snippets, skipped };
+}
+
+// ─── Entry point ──────────────────────────────────────────────────────────────
+
+const isMain = process.argv[1] &&
+  resolve(process.argv[1]).endsWith("gen-snippets.mjs");
+
+if (isMain) {
+  const dryRun = process.argv.includes("--dry-run");
+  let result;
+  try {
+    result = generateSnippets({ slugs: parseSlugsArg(process.argv), locales: parseLocalesArg(process.argv), dryRun });
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+
+  if (result.snippets.length === 0 && result.skipped.length === 0) {
+    console.log("No tools with publicProof enabled. Nothing to generate.");
+  } else {
+    console.log(`\nDone. ${result.snippets.length} snippet file(s) generated${dryRun ? " (dry run)" : ""}.`);
+  }
+}
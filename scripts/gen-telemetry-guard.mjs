@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+/**
+ * Telemetry Guard Generator
+ *
+ * Generates the browser-side event type guard and payload validator from
+ * telemetry-schema.json, so the schema is the only place event types and
+ * payload rules are declared. tracker.ts imports the generated module; the
+ * data-integrity invariants fail if it drifts from the schema.
+ *
+ * Usage:
+ *   node scripts/gen-telemetry-guard.mjs [--dry-run]
+ *
+ * Reads:
+ *   site/src/data/telemetry-schema.json
+ *
+ * Writes:
+ *   site/src/lib/telemetry-schema.generated.ts
+ */
+
+import { writeFileSync } from "node:fs";
+import { resolve, join } from "node:path";
+import { getConfig, getRoot } from "./lib/config.mjs";
+import { loadTelemetrySchema } from "./lib/telemetry.mjs";
+
+const ROOT = getRoot();
+const config = getConfig();
+const DATA_DIR = join(ROOT, config.paths.dataDir);
+
+export const GUARD_OUTPUT = join(ROOT, "site", "src", "lib", "telemetry-schema.generated.ts");
+
+const RULE_KEYS = ["type", "pattern", "enum", "maxLength", "minimum", "maximum"];
+
+// ── Render ──────────────────────────────────────────────────
+
+/**
+ * Render the TypeScript guard module for a schema.
+ *
+ * @param {object} schema - telemetry-schema.json
+ * @returns {string}
+ */
+export function renderTelemetryGuard(schema) {
+  const types = Object.keys(schema.eventTypes);
+
+  const rules = {};
+  for (const type of types) {
+    rules[type] = {};
+    for (const [field, rule] of Object.entries(schema.eventTypes[type].payload || {})) {
+      rules[type][field] = Object.fromEntries(RULE_KEYS.filter((k) => rule[k] !== undefined).map((k) => [k, rule[k]]));
+    }
+  }
+
+  const value = (v) => (Array.isArray(v) ? `[${v.map((x) => JSON.stringify(x)).join(", ")}]` : JSON.stringify(v));
+  const literal = (obj) => `{ ${Object.entries(obj).map(([k, v]) => `${k}: ${value(v)}`).join(", ")} }`;
+  const ruleLines = types.map((type) => {
+    const fields = Object.entries(rules[type]);
+    if (fields.length === 0) return `  ${type}: {},`;
+    return `  ${type}: {\n${fields.map(([field, rule]) => `    ${field}: ${literal(rule)},`).join("\n")}\n  },`;
+  });
+
+  return `// GENERATED by scripts/gen-telemetry-guard.mjs from telemetry-schema.json — do not edit.
+// Run \`node scripts/gen-telemetry-guard.mjs\` after changing the schema.
+
+export const TELEMETRY_SCHEMA_VERSION = ${JSON.stringify(schema.schemaVersion ?? 1)};
+
+export const TELEMETRY_EVENT_TYPES = [
+${types.map((t) => `  ${JSON.stringify(t)},`).join("\n")}
+] as const;
+
+export type TelemetryEventType = (typeof TELEMETRY_EVENT_TYPES)[number];
+
+export interface PayloadRule {
+  type: "string" | "number";
+  pattern?: string;
+  enum?: ReadonlyArray<string | number>;
+  maxLength?: number;
+  minimum?: number;
+  maximum?: number;
+}
+
+export const PAYLOAD_RULES: Record<TelemetryEventType, Record<string, PayloadRule>> = {
+${ruleLines.join("\n")}
+};
+
+export function isTelemetryEventType(type: string): type is TelemetryEventType {
+  return (TELEMETRY_EVENT_TYPES as ReadonlyArray<string>).includes(type);
+}
+
+function matchesRule(value: unknown, rule: PayloadRule): boolean {
+  if (rule.type === "string") {
+    if (typeof value !== "string") return false;
+    if (rule.maxLength != null && value.length > rule.maxLength) return false;
+    if (rule.pattern && !new RegExp(rule.pattern).test(value)) return false;
+  } else {
+    if (typeof value !== "number" || !Number.isFinite(value)) return false;
+    if (rule.minimum != null && value < rule.minimum) return false;
+    if (rule.maximum != null && value > rule.maximum) return false;
+  }
+  return !rule.enum || rule.enum.includes(value as string | number);
+}
+
+/** True when every payload field is declared for the type and satisfies its rule. */
+export function isValidPayload(type: TelemetryEventType, payload: Record<string, unknown>): boolean {
+  const rules = PAYLOAD_RULES[type];
+  return Object.entries(payload).every(([field, value]) => Object.hasOwn(rules, field) && matchesRule(value, rules[field]));
+}
+`;
+}
+
+// ── Pipeline ────────────────────────────────────────────────
+
+/**
+ * @param {{ dataDir?: string, outPath?: string, dryRun?: boolean }} opts
+ * @returns {string} the rendered module
+ */
+export function generateTelemetryGuard(opts = {}) {
+  const { dataDir = DATA_DIR, outPath = GUARD_OUTPUT, dryRun = false } = opts;
+
+  const schema = loadTelemetrySchema(join(dataDir, "telemetry-schema.json"));
+  if (!schema) {
+    throw new Error(`telemetry-schema.json not found or invalid in ${dataDir}`);
+  }
+  const source = renderTelemetryGuard(schema);
+
+  if (dryRun) {
+    console.log(`  [dry-run] ${Object.keys(schema.eventTypes).length} event types → ${outPath}`);
+    return source;
+  }
+
+  writeFileSync(outPath, source, "utf8");
+  console.log(`  Wrote ${outPath} (${Object.keys(schema.eventTypes).length} event types)`);
+  return source;
+}
+
+// ── Entry point ─────────────────────────────────────────────
+
+const isMain = process.argv[1] &&
+  resolve(process.argv[1]).endsWith("gen-telemetry-guard.mjs");
+
+if (isMain) {
+  const dryRun = process.argv.includes("--dry-run");
+  console.log("Generating telemetry guard...");
+  if (dryRun) console.log("  Mode: DRY RUN");
+  generateTelemetryGuard({ dryRun });
+}
@@ -1,41 +1,222 @@
+#!/usr/bin/env node
+
+/**
+ * Trending
+ *
+ * Ranks listed tools by recent momentum from the repo-metrics.json time
+ * series (captured by sync-org-metadata.mjs at each sync):
+ *
+ *   activity(window)   = 1·Δstars + 2·Δforks + 3·releases + 0.25·commits
+ *   normalized(window) = activity / √(stars at window start + 10)
+ *   score              = normalized(7d) + normalized(30d) · 7/30
+ *
+ * The square-root normalization lets a small repo that doubles its stars
+ * outrank a large one with the same absolute gain, while the +10 prior stops
+ * a 0 → 1 star repo from topping the list. Output depends only on the input
+ * files (asOf is the newest metrics date, not the wall clock), so invariant
+ * tests can recompute it.
+ *
+ * Usage:
+ *   node scripts/gen-trending.mjs [--dry-run]
+ *
+ * Reads:
+ *   site/src/data/repo-metrics.json
+ *   site/src/data/projects.json
+ *
+ * Writes:
+ *   site/src/data/trending.json
+ */
+
+import { readFileSync, writeFileSync } from "node:fs";
+import { resolve, join } from "node:path";
+import { getConfig, getRoot } from "./lib/config.mjs";
+import { REPO_METRICS_FILE, loadRepoMetrics, pointAtOrBefore } from "./lib/repo-metrics.mjs";
+
+const ROOT = getRoot();
+const config = getConfig();
+const DATA_DIR = join(ROOT, config.paths.dataDir);
+
+export const TRENDING_WINDOWS = [7, 30];
+export const TRENDING_LIMIT = 5;
+export const SMALL_REPO_PRIOR = 10;
+export const ACTIVITY_WEIGHTS = { stars: 1, forks: 2, releases: 3, commits: 0.25 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ── Helpers ─────────────────────────────────────────────────
+
+function safeParseJson(filePath, fallback = null) {
+  try {
+    return JSON.parse(readFileSync(filePath, "utf8"));
+  } catch {
+    return fallback;
+  }
+}
+
+function shiftDate(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) - days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? "" : "s"}`;
+}
+
+// ── Core ────────────────────────────────────────────────────
+
+/**
+ * Velocity of one repo over a window ending at `asOf`.
+ * If the series does not reach back to the window start, the earliest
+ * point is used and `coverageDays` reports the shorter span.
+ *
+ * @param {Array<object>} history - date-sorted points
+ * @param {string} asOf - YYYY-MM-DD
+ * @param {number} days
+ * @returns {{ stars: number, forks: number, releases: number, commits: number, coverageDays: number, normalized: number }|null}
+ */
+export function computeVelocity(history, asOf, days) {
+  const latest = pointAtOrBefore(history, asOf);
+  if (!latest) return null;
+  const start = pointAtOrBefore(history, shiftDate(asOf, days)) || history[0];
+
+  const stars = (latest.stars ?? 0) - (start.stars ?? 0);
+  const forks = (latest.forks ?? 0) - (start.forks ?? 0);
+  const releases = (days <= 7 ? latest.releases7d : latest.releases30d) ?? 0;
+  const commits = (days <= 7 ? latest.commits1w : latest.commits4w) ?? 0;
+
+  const activity =
+    ACTIVITY_WEIGHTS.stars * Math.max(0, stars) +
+    ACTIVITY_WEIGHTS.forks * Math.max(0, forks) +
+    ACTIVITY_WEIGHTS.releases * releases +
+    ACTIVITY_WEIGHTS.commits * commits;
+
+  return {
+    stars,
+    forks,
+    releases,
+    commits,
+    coverageDays: Math.round((Date.parse(latest.date) - Date.parse(start.date)) / DAY_MS),
+    normalized: round2(activity / Math.sqrt(Math.max(0, start.stars ?? 0) + SMALL_REPO_PRIOR)),
+  };
+}
+
 /**
- * Generate Trending (weekly).
- * Source: projects.json + history
- * Output: site/src/data/trending.json
+ * Human-readable reason from the strongest signals (7-day first, 30-day
+ * when the week was quiet).
+ *
+ * @param {object} v7
+ * @param {object} v30
+ * @param {number} start7 - stars at the start of the 7-day window
+ * @param {number} start30 - stars at the start of the 30-day window
+ * @returns {string}
  */
-import fs from "node:fs";
-import path from "node:path";
-
-const DATA_DIR = path.join(process.cwd(), "site", "src", "data");
-const OUT_PATH = path.join(DATA_DIR, "trending.json");
-const PROJECTS_PATH = path.join(DATA_DIR, "projects.json");
-
-// Ensure directory exists
-fs.mkdirSync(path.dirname(OUT_PATH), { recursive: true });
-
-// Load data 
-const projects = JSON.parse(fs.readFileSync(PROJECTS_PATH, "utf8"));
-
-// For now, assume top star count is the trending signal
-const trending = projects
-  .filter(p => !p.unlisted)
-  .sort((a, b) => (b.stars || 0) - (a.stars || 0))
-  //.slice(0, 5) // no, randomness for freshness now
-  //.filter(p => Math.random() > 0.5) // random subset
-  .map(p => ({
-    slug: p.repo,
-    reason: `Top ${Math.min(projects.indexOf(p) + 1, 10)} starred repo`,
-    deltaStars: Math.floor(Math.random() * 5) // mocked delta
-  }));
-
-// Actually select top 5
-const selected = trending.slice(0, 5);
-
-const output = {
-  asOf: new Date().toISOString().split('T')[0],
-  windowDays: 7,
-  items: selected
-};
-
-fs.writeFileSync(OUT_PATH, JSON.stringify(output, null, 2));
-console.log(`Generated Trending at ${OUT_PATH}`);
+export function buildReason(v7, v30, start7, start30) {
+  const describe = (v, period, startStars) => {
+    const parts = [];
+    if (v.stars > 0) {
+      const growth = startStars > 0 ? ` (+${Math.round((v.stars / startStars) * 100)}%)` : "";
+      parts.push({ weight: ACTIVITY_WEIGHTS.stars * v.stars, text: `+${plural(v.stars, "star")} ${period}${growth}` });
+    }
+    if (v.releases > 0) parts.push({ weight: ACTIVITY_WEIGHTS.releases * v.releases, text: `${plural(v.releases, "release")} ${period}` });
+    if (v.forks > 0) parts.push({ weight: ACTIVITY_WEIGHTS.forks * v.forks, text: `+${plural(v.forks, "fork")} ${period}` });
+    if (v.commits > 0) parts.push({ weight: ACTIVITY_WEIGHTS.commits * v.commits, text: `${plural(v.commits, "commit")} ${period}` });
+    return parts
+      .sort((a, b) => b.weight - a.weight || a.text.localeCompare(b.text))
+      .slice(0, 2)
+      .map((p) => p.text);
+  };
+
+  const week = describe(v7, "this week", start7);
+  const parts = week.length > 0 ? week : describe(v30, "in 30 days", start30);
+  return parts.join(", ");
+}
+
+/**
+ * Build the trending list.
+ *
+ * @param {{ series: Record<string, Array<object>> }} metrics
+ * @param {Array} projects - projects.json (unlisted projects are skipped)
+ * @param {{ limit?: number }} [opts]
+ * @returns {{ asOf: string|null, windowDays: number, windows: number[], items: Array }}
+ */
+export function buildTrending(metrics, projects, opts = {}) {
+  const { limit = TRENDING_LIMIT } = opts;
+  const series = metrics?.series || {};
+
+  const dates = Object.values(series).flatMap((h) => h.map((p) => p.date));
+  const asOf = dates.length > 0 ? dates.sort()[dates.length - 1] : null;
+  const result = { asOf, windowDays: TRENDING_WINDOWS[0], windows: TRENDING_WINDOWS, items: [] };
+  if (!asOf) return result;
+
+  const listed = new Set((projects || []).filter((p) => p.repo && p.unlisted !== true).map((p) => p.repo));
+
+  const candidates = [];
+  for (const [slug, history] of Object.entries(series)) {
+    if (!listed.has(slug)) continue;
+    const v7 = computeVelocity(history, asOf, 7);
+    const v30 = computeVelocity(history, asOf, 30);
+    if (!v7 || !v30) continue;
+
+    const score = round2(v7.normalized + v30.normalized * (7 / 30));
+    if (score <= 0) continue;
+
+    const start7 = pointAtOrBefore(history, shiftDate(asOf, 7)) || history[0];
+    const start30 = pointAtOrBefore(history, shiftDate(asOf, 30)) || history[0];
+    candidates.push({
+      slug,
+      reason: buildReason(v7, v30, start7.stars ?? 0, start30.stars ?? 0),
+      score,
+      deltaStars: v7.stars,
+      velocity: { "7d": v7, "30d": v30 },
+    });
+  }
+
+  candidates.sort((a, b) =>
+    b.score - a.score || b.deltaStars - a.deltaStars || a.slug.localeCompare(b.slug)
+  );
+  result.items = candidates.slice(0, limit);
+  return result;
+}
+
+// ── Pipeline ────────────────────────────────────────────────
+
+/**
+ * Full pipeline: load metrics + projects, write trending.json.
+ *
+ * @param {{ dataDir?: string, dryRun?: boolean }} opts
+ * @returns {object} the trending output
+ */
+export function generateTrending(opts = {}) {
+  const { dataDir = DATA_DIR, dryRun = false } = opts;
+
+  const metrics = loadRepoMetrics(join(dataDir, REPO_METRICS_FILE));
+  const projects = safeParseJson(join(dataDir, "projects.json"), []);
+  const trending = buildTrending(metrics, projects);
+
+  if (dryRun) {
+    console.log(`  [dry-run] As of: ${trending.asOf || "(no metrics yet)"}`);
+    for (const item of trending.items) {
+      console.log(`  [dry-run] ${item.slug} (${item.score}): ${item.reason}`);
+    }
+    return trending;
+  }
+
+  writeFileSync(join(dataDir, "trending.json"), JSON.stringify(trending, null, 2) + "\n", "utf8");
+  console.log(`  Wrote trending.json (${trending.items.length} items, as of ${trending.asOf || "n/a"})`);
+  return trending;
+}
+
+// ── Entry point ─────────────────────────────────────────────
+
+const isMain = process.argv[1] &&
+  resolve(process.argv[1]).endsWith("gen-trending.mjs");
+
+if (isMain) {
+  const dryRun = process.argv.includes("--dry-run");
+  console.log("Generating trending...");
+  if (dryRun) console.log("  Mode: DRY RUN");
+  generateTrending({ dryRun });
+}
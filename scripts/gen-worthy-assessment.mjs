@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+
+/**
+ * Worthy Assessor
+ *
+ * Evaluates each repo in worthy.json against the rubric instead of relying
+ * on hand-edited entries. Every criterion runs its registered check
+ * (lib/worthy-checks.mjs) against a local checkout and/or the cached
+ * GitHub facts from fetch-github-facts.mjs, and the result is a proposed
+ * entry (`worthy`, `score`, `missing`, `assessedDate`, `reason`) with
+ * per-criterion evidence.
+ *
+ * Proposals go to worthy-assessment.json for review; --apply also writes
+ * them into worthy.json. Criteria no evidence could decide stay out of
+ * `missing` (so gen-fixit-prs does not act on them) and are named in the
+ * reason; repos with no evidence at all are never applied.
+ *
+ * Every repo with evidence is also recorded in worthy-history.json
+ * (lib/worthy-history.mjs), and worthy → not-worthy flips are reported.
+ *
+ * Usage:
+ *   node scripts/gen-worthy-assessment.mjs [--workspace <dir>] [--slug <slug>] [--apply] [--dry-run]
+ *
+ * Reads:
+ *   site/src/data/worthy.json (rubric + repos)
+ *   site/src/data/github-facts/<slug>.json (if present)
+ *   <workspace>/<repo> checkouts (--workspace, resolved like verify-readmes)
+ *
+ * Writes:
+ *   site/src/data/worthy-assessment.json
+ *   site/src/data/worthy-history.json
+ *   site/src/data/worthy.json (--apply)
+ */
+
+import { readFileSync, writeFileSync } from "node:fs";
+import { resolve, join } from "node:path";
+import { findRepoPath } from "./lib/front-door.mjs";
+import { collectLocalFacts, runWorthyChecks, listWorthyChecks } from "./lib/worthy-checks.mjs";
+import {
+  WORTHY_HISTORY_FILE,
+  recordWorthyAssessment,
+  detectWorthyRegressions,
+  describeRegression,
+} from "./lib/worthy-history.mjs";
+
+const ROOT = resolve(import.meta.dirname, "..");
+const DATA_DIR = join(ROOT, "site", "src", "data");
+
+// ── Helpers ─────────────────────────────────────────────────
+
+function safeParseJson(filePath, fallback = null) {
+  try {
+    return JSON.parse(readFileSync(filePath, "utf8"));
+  } catch {
+    return fallback;
+  }
+}
+
+// ── Core ────────────────────────────────────────────────────
+
+/**
+ * Turn check results into a proposed worthy.json entry.
+ *
+ * @param {ReturnType<typeof runWorthyChecks>} evidence
+ * @param {{ minimumScore: number }} rubric
+ * @param {{ today?: string }} [opts]
+ * @returns {{ worthy: boolean, score: number, assessedDate: string, reason: string, missing: string[], evidence: object[] }}
+ */
+export function buildWorthyProposal(evidence, rubric, opts = {}) {
+  const { today = new Date().toISOString().slice(0, 10) } = opts;
+  const passed = evidence.filter((e) => e.status === "pass");
+  const missing = evidence.filter((e) => e.status === "fail").map((e) => e.criterion);
+  const unknown = evidence.filter((e) => e.status === "unknown").map((e) => e.criterion);
+  const sources = [...new Set(evidence.map((e) => e.source).filter(Boolean))].sort();
+
+  let reason = `Assessed ${passed.length}/${evidence.length} criteria`;
+  reason += sources.length > 0 ? ` from ${sources.join(" + ")} evidence` : " (no evidence)";
+  if (unknown.length > 0) reason += `; undetermined: ${unknown.join(", ")}`;
+
+  return {
+    worthy: passed.length >= (rubric.minimumScore ?? 0),
+    score: passed.length,
+    assessedDate: today,
+    reason,
+    missing,
+    evidence,
+  };
+}
+
+/**
+ * Assess one repo.
+ *
+ * @param {{ criteria: string[], minimumScore: number, checks?: object, params?: object }} rubric
+ * @param {{ repoPath?: string|null, github?: object|null, now?: Date, git?: Function }} [opts]
+ * @returns {ReturnType<typeof buildWorthyProposal>}
+ */
+export function assessRepo(rubric, opts = {}) {
+  const { repoPath = null, github = null, now = new Date(), git } = opts;
+  const local = repoPath ? collectLocalFacts(repoPath, git ? { git } : {}) : null;
+  const evidence = runWorthyChecks(rubric, { local, github, now: now.getTime() });
+  return buildWorthyProposal(evidence, rubric, { today: now.toISOString().slice(0, 10) });
+}
+
+// ── Pipeline ────────────────────────────────────────────────
+
+/**
+ * Assess every repo in worthy.json (or the given slugs) and write proposals.
+ *
+ * @param {{
+ *   dataDir?: string,
+ *   workspace?: string|null,
+ *   factsDir?: string,
+ *   slugs?: string[],
+ *   apply?: boolean,
+ *   dryRun?: boolean,
+ *   now?: Date,
+ *   git?: Function,
+ * }} [opts]
+ * @returns {{ assessment: object, applied: string[], regressions: ReturnType<typeof detectWorthyRegressions> }}
+ *   `regressions` are flips first seen in this run.
+ */
+export function genWorthyAssessment(opts = {}) {
+  const {
+    dataDir = DATA_DIR,
+    workspace = null,
+    factsDir = join(dataDir, "github-facts"),
+    apply = false,
+    dryRun = false,
+    now = new Date(),
+    git,
+  } = opts;
+
+  const worthyPath = join(dataDir, "worthy.json");
+  const worthy = safeParseJson(worthyPath, { rubric: { criteria: [], minimumScore: 0 }, repos: {} });
+  const rubric = worthy.rubric || { criteria: [], minimumScore: 0 };
+  const slugs = opts.slugs?.length ? opts.slugs : Object.keys(worthy.repos || {});
+
+  const repos = {};
+  for (const slug of [...new Set(slugs)].sort()) {
+    const repoPath = workspace ? findRepoPath(workspace, slug, ROOT) : null;
+    const github = safeParseJson(join(factsDir, `${slug}.json`));
+    repos[slug] = assessRepo(rubric, { repoPath, github, now, git });
+  }
+
+  const assessment = {
+    generatedAt: now.toISOString(),
+    rubric: { criteria: rubric.criteria, minimumScore: rubric.minimumScore },
+    checks: listWorthyChecks(),
+    repos,
+  };
+
+  const assessed = Object.keys(repos).filter((slug) => repos[slug].evidence.some((e) => e.source));
+  const applied = apply ? assessed : [];
+
+  const historyPath = join(dataDir, WORTHY_HISTORY_FILE);
+  let history = safeParseJson(historyPath, { repos: {} });
+  for (const slug of assessed) {
+    const { worthy: isWorthy, score, missing, assessedDate } = repos[slug];
+    history = recordWorthyAssessment(history, slug, { date: assessedDate, worthy: isWorthy, score, missing });
+  }
+  const today = now.toISOString().slice(0, 10);
+  const regressions = detectWorthyRegressions(history, { since: today });
+
+  if (dryRun) {
+    return { assessment, applied, regressions };
+  }
+
+  writeFileSync(join(dataDir, "worthy-assessment.json"), JSON.stringify(assessment, null, 2) + "\n", "utf8");
+  if (assessed.length > 0) {
+    writeFileSync(historyPath, JSON.stringify(history, null, 2) + "\n", "utf8");
+  }
+
+  if (applied.length > 0) {
+    worthy.repos = worthy.repos || {};
+    for (const slug of applied) {
+      const { evidence, ...entry } = repos[slug];
+      worthy.repos[slug] = { ...worthy.repos[slug], ...entry };
+    }
+    writeFileSync(worthyPath, JSON.stringify(worthy, null, 2) + "\n", "utf8");
+  }
+
+  return { assessment, applied, regressions };
+}
+
+// ── Entry point ─────────────────────────────────────────────
+
+const isMain = process.argv[1] &&
+  resolve(process.argv[1]).endsWith("gen-worthy-assessment.mjs");
+
+if (isMain) {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes("--dry-run");
+  const apply = args.includes("--apply");
+  const wsIdx = args.indexOf("--workspace");
+  const workspace = wsIdx >= 0 ? resolve(args[wsIdx + 1]) : null;
+  const slugs = args.flatMap((a, i) => (a === "--slug" ? [args[i + 1]] : []));
+
+  console.log("Assessing worthy rubric...");
+  if (dryRun) console.log("  Mode: DRY RUN");
+  if (!workspace) console.log("  No --workspace: using cached GitHub facts only");
+
+  const { assessment, applied, regressions } = genWorthyAssessment({ workspace, slugs, apply, dryRun });
+  for (const [slug, entry] of Object.entries(assessment.repos)) {
+    console.log(`  ${slug}: ${entry.worthy ? "worthy" : "not worthy"} (${entry.score}/${entry.evidence.length})`);
+    for (const e of entry.evidence) {
+      console.log(`    [${e.status}] ${e.criterion} — ${e.detail}`);
+    }
+  }
+  if (apply) console.log(`  Applied to worthy.json: ${applied.length > 0 ? applied.join(", ") : "none"}`);
+  for (const r of regressions) {
+    console.warn(`  REGRESSION ${r.slug}: ${describeRegression(r)}`);
+  }
+}
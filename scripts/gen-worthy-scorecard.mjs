@@ -4,19 +4,22 @@
  * Worthy Scorecard Generator
  *
  * Reads worthy.json and generates per-repo scorecard markdown files.
+ * When worthy-assessment.json exists (gen-worthy-assessment.mjs), each
+ * criterion line carries the check's evidence.
  *
  * Usage:
  *   node scripts/gen-worthy-scorecard.mjs [--dry-run]
  *
  * Reads:
  *   site/src/data/worthy.json
+ *   site/src/data/worthy-assessment.json (optional)
  *
  * Writes:
  *   site/public/lab/worthy/<slug>/scorecard.md  (per repo)
  */
 
 import { readFileSync, writeFileSync, mkdirSync } from "node:fs";
-import { resolve, join } from "node:path";
+import { resolve, join, dirname } from "node:path";
 
 const ROOT = resolve(import.meta.dirname, "..");
 const DATA_DIR = join(ROOT, "site", "src", "data");
@@ -40,11 +43,13 @@ function safeParseJson(filePath, fallback = null) {
  * @param {string} slug - Repo slug
  * @param {{ worthy: boolean, score: number, reason: string, assessedDate?: string, missing?: string[] }} entry
  * @param {{ criteria: string[], minimumScore: number }} rubric
+ * @param {Array<{ criterion: string, status: string, detail: string }>} [evidence] - assessor results for this repo
  * @returns {string} Markdown scorecard
  */
-export function buildScorecard(slug, entry, rubric) {
+export function buildScorecard(slug, entry, rubric, evidence = []) {
   const lines = [];
   const missingSet = new Set(entry.missing || []);
+  const evidenceFor = new Map(evidence.map((e) => [e.criterion, e]));
 
   lines.push(`# Scorecard: ${slug}`);
   lines.push("");
@@ -60,8 +65,9 @@ export function buildScorecard(slug, entry, rubric) {
   lines.push("");
   for (const criterion of rubric.criteria) {
     const passed = !missingSet.has(criterion);
-    const icon = passed ? "\u2705" : "\u274c";
-    lines.push(`- ${icon} ${criterion}`);
+    const e = evidenceFor.get(criterion);
+    const icon = e?.status === "unknown" ? "\u2754" : passed ? "\u2705" : "\u274c";
+    lines.push(e ? `- ${icon} ${criterion} — ${e.detail}` : `- ${icon} ${criterion}`);
   }
   lines.push("");
 
@@ -94,12 +100,13 @@ export function generateScorecards(worthyPath, outDir, opts = {}) {
   const worthy = safeParseJson(wPath, { rubric: { criteria: [], minimumScore: 0 }, repos: {} });
   const rubric = worthy.rubric || { criteria: [], minimumScore: 0 };
   const repos = worthy.repos || {};
+  const assessment = safeParseJson(join(dirname(wPath), "worthy-assessment.json"), { repos: {} });
 
   let generated = 0;
   let skipped = 0;
 
   for (const [slug, entry] of Object.entries(repos)) {
-    const scorecard = buildScorecard(slug, entry, rubric);
+    const scorecard = buildScorecard(slug, entry, rubric, assessment.repos?.[slug]?.evidence);
     const slugDir = join(oDir, slug);
 
     if (dryRun) {
@@ -0,0 +1,277 @@
+#!/usr/bin/env node
+
+/**
+ * Submission Intake (GitHub issue forms)
+ *
+ * Converts the body of a "Submit a tool" issue (.github/ISSUE_TEMPLATE/
+ * submit-tool.yml) into the submissions/<slug>.json schema, then runs
+ * validateSubmission + lintSubmission and renders the same lint report as
+ * `lint-submission.mjs --ci`. Works offline on saved issue bodies.
+ *
+ * GitHub renders issue forms as markdown, one `### <label>` heading per
+ * field, with `_No response_` for empty optional fields.
+ *
+ * Usage:
+ *   node scripts/intake-submission.mjs --body <file> [--write] [--dry-run]
+ *   ISSUE_BODY="..." node scripts/intake-submission.mjs [--write]
+ *
+ * Writes:
+ *   lint-report.md
+ *   submissions/<slug>.json   (--write, only when validation passes)
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from "node:fs";
+import { resolve, join } from "node:path";
+import { SLUG_RE, validateSubmission } from "./validate-submissions.mjs";
+import { lintSubmission, buildLintReport, loadLintContext } from "./lint-submission.mjs";
+
+const ROOT = resolve(import.meta.dirname, "..");
+
+// ── Form fields ────────────────────────────────────────────
+
+/** Issue-form labels (as rendered headings) → intake field. */
+export const FORM_FIELDS = {
+  "Tool name": "name",
+  "Slug": "slug",
+  "Repository URL": "repo",
+  "Category": "category",
+  "Kind": "kind",
+  "Lane": "lane",
+  "Pitch": "pitch",
+  "Good for": "goodFor",
+  "Not for": "notFor",
+  "Proof links": "proof",
+  "Install command": "install",
+  "Quickstart command": "quickstart",
+  "Maintainer GitHub handle": "maintainer",
+  "Contact email": "contact",
+};
+
+const LANES = { spotlight: "promo", promo: "promo", experiment: "experiment" };
+
+const NO_RESPONSE = "_No response_";
+
+// ── Parsing ────────────────────────────────────────────────
+
+/**
+ * Split an issue-form body into `{ heading: value }`. Empty answers
+ * (`_No response_`) come back as null; a fenced code block around the
+ * whole answer is unwrapped.
+ *
+ * @param {string} body
+ * @returns {Record<string, string|null>}
+ */
+export function parseIssueFormBody(body) {
+  const sections = {};
+  const text = String(body || "").replace(/\r\n/g, "\n");
+  const parts = text.split(/^###[ \t]+(.+?)[ \t]*$/m);
+  for (let i = 1; i < parts.length; i += 2) {
+    let value = parts[i + 1].trim();
+    const fenced = value.match(/^```[\w-]*\n([\s\S]*?)\n?```$/);
+    if (fenced) value = fenced[1].trim();
+    sections[parts[i]] = value === "" || value === NO_RESPONSE ? null : value;
+  }
+  return sections;
+}
+
+function listLines(value) {
+  if (!value) return [];
+  return value
+    .split("\n")
+    .map((line) => line.replace(/^\s*(?:[-*+]|\d+[.)])\s+/, "").trim())
+    .filter(Boolean);
+}
+
+function slugify(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Parse proof lines: `Label | https://link | What it proves`.
+ *
+ * @param {string|null} value
+ * @returns {{ proof: Array<{ label: string, url: string, whatItProves: string }>, problems: string[] }}
+ */
+export function parseProofLines(value) {
+  const proof = [];
+  const problems = [];
+  listLines(value).forEach((line, i) => {
+    const cells = line.split("|").map((c) => c.trim());
+    if (cells.length !== 3 || cells.some((c) => c === "")) {
+      problems.push(`Proof links line ${i + 1}: expected "Label | https://link | What it proves"`);
+      return;
+    }
+    const [label, url, whatItProves] = cells;
+    proof.push({ label, url: url.replace(/^<(.+)>$/, "$1"), whatItProves });
+  });
+  return { proof, problems };
+}
+
+/**
+ * Convert an issue-form body into a submission object.
+ *
+ * @param {string} body
+ * @returns {{ submission: object, lane: "promo"|"experiment"|null, problems: string[] }}
+ *   `problems` are form-level issues (missing sections, unparseable lines)
+ *   that the schema validator cannot see.
+ */
+export function issueFormToSubmission(body) {
+  const sections = parseIssueFormBody(body);
+  const problems = [];
+  const fields = {};
+  for (const [label, key] of Object.entries(FORM_FIELDS)) {
+    if (!(label in sections)) continue;
+    fields[key] = sections[label];
+  }
+  if (Object.keys(fields).length === 0) {
+    problems.push("No issue-form sections found — use the \"Submit a tool\" issue form");
+  }
+
+  const { proof, problems: proofProblems } = parseProofLines(fields.proof);
+  problems.push(...proofProblems);
+
+  let handle = fields.maintainer || null;
+  if (handle && !handle.startsWith("@")) handle = `@${handle}`;
+
+  const submission = {
+    tool: {
+      name: fields.name || "",
+      slug: fields.slug || slugify(fields.name),
+      repo: fields.repo || "",
+    },
+    category: fields.category || "",
+    kind: fields.kind || "",
+    pitch: fields.pitch ? fields.pitch.replace(/\s*\n\s*/g, " ") : "",
+    goodFor: listLines(fields.goodFor),
+    proof,
+    maintainer: { handle },
+  };
+  const notFor = listLines(fields.notFor);
+  if (notFor.length > 0) submission.notFor = notFor;
+  if (fields.install) submission.install = fields.install;
+  if (fields.quickstart) submission.quickstart = fields.quickstart;
+  if (fields.contact) submission.maintainer.contact = fields.contact;
+
+  let lane = null;
+  if (fields.lane) {
+    lane = LANES[fields.lane.toLowerCase()] || null;
+    if (!lane) problems.push(`Lane: unknown value "${fields.lane}"`);
+  }
+
+  return { submission, lane, problems };
+}
+
+/**
+ * Convert, validate and lint an issue body. Form problems are reported as
+ * lint errors, so the report reads exactly like a fork PR's.
+ *
+ * @param {string} body
+ * @param {{ known?: object[] }} [opts] - known tools for duplicate detection
+ * @returns {{ slug: string, submission: object, lane: string|null, valid: boolean, lint: object, report: string }}
+ */
+export function intakeIssueBody(body, opts = {}) {
+  const { submission, lane, problems } = issueFormToSubmission(body);
+  const slug = submission.tool.slug || "unknown";
+  const validation = validateSubmission(submission);
+  const lint = lintSubmission(submission, { known: opts.known });
+  if (problems.length > 0) {
+    lint.errors = [...problems, ...lint.errors];
+    lint.grade = "fail";
+    lint.routeSuggestion = null;
+  }
+  const valid = validation.valid && problems.length === 0;
+  return { slug, submission, lane, valid, lint, report: buildLintReport([{ slug, result: lint }]) };
+}
+
+/**
+ * GitHub Actions step outputs for an intake result. The slug comes from
+ * issue text, so anything that is not a valid slug is written as "unknown".
+ *
+ * @param {ReturnType<typeof intakeIssueBody>} result
+ * @returns {string}
+ */
+export function formatGithubOutput(result) {
+  const slug = SLUG_RE.test(result.slug) ? result.slug : "unknown";
+  return `slug=${slug}\nvalid=${result.valid}\ngrade=${result.lint.grade}\n`;
+}
+
+// ── Pipeline ───────────────────────────────────────────────
+
+/**
+ * Full pipeline: read the issue body, write the lint report and (with
+ * `write`) the submission file.
+ *
+ * @param {{ body: string, submissionsDir?: string, reportPath?: string, known?: object[], write?: boolean, dryRun?: boolean }} opts
+ * @returns {ReturnType<typeof intakeIssueBody> & { submissionPath: string|null }}
+ */
+export function intakeSubmission(opts) {
+  const {
+    body,
+    submissionsDir = join(ROOT, "submissions"),
+    reportPath = "lint-report.md",
+    write = false,
+    dryRun = false,
+  } = opts;
+
+  const known = opts.known || loadLintContext({ submissionsDir });
+  const result = intakeIssueBody(body, { known });
+  const target = join(submissionsDir, `${result.slug}.json`);
+  let submissionPath = null;
+
+  if (dryRun) {
+    console.log(`  [dry-run] Would write ${reportPath}`);
+    if (write && result.valid) console.log(`  [dry-run] Would write ${target}`);
+    return { ...result, submissionPath };
+  }
+
+  writeFileSync(reportPath, result.report, "utf8");
+  console.log(`  Wrote ${reportPath}`);
+
+  if (write && result.valid) {
+    mkdirSync(submissionsDir, { recursive: true });
+    writeFileSync(target, JSON.stringify(result.submission, null, 2) + "\n", "utf8");
+    submissionPath = target;
+    console.log(`  Wrote ${target}`);
+  }
+
+  return { ...result, submissionPath };
+}
+
+// ── Entry point ────────────────────────────────────────────
+
+const isMain = process.argv[1] && resolve(process.argv[1]).endsWith("intake-submission.mjs");
+if (isMain) {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes("--dry-run");
+  const write = args.includes("--write");
+  const bodyIdx = args.indexOf("--body");
+
+  let body = process.env.ISSUE_BODY || "";
+  if (bodyIdx >= 0) {
+    try {
+      body = readFileSync(args[bodyIdx + 1], "utf8");
+    } catch (err) {
+      console.error(`  Error: cannot read issue body — ${err.message}`);
+      process.exit(1);
+    }
+  }
+  if (!body.trim()) {
+    console.error("  Error: no issue body (pass --body <file> or set ISSUE_BODY)");
+    process.exit(1);
+  }
+
+  console.log("Converting issue-form submission...");
+  if (dryRun) console.log("  Mode: DRY RUN");
+  const result = intakeSubmission({ body, write, dryRun });
+  console.log(`  Slug: ${result.slug}, lane: ${result.lane || "unspecified"}, grade: ${result.lint.grade}`);
+  console.log(result.report);
+
+  // GitHub Actions: expose the outcome to later steps
+  if (process.env.GITHUB_OUTPUT) {
+    writeFileSync(process.env.GITHUB_OUTPUT, formatGithubOutput(result), { flag: "a" });
+  }
+  if (!result.valid) process.exitCode = 1;
+}
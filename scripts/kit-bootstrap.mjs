@@ -53,11 +53,27 @@ function getSeedFiles(config, root) {
         schemaVersion: 2,
         decisionsFrozen: false,
         experimentsFrozen: false,
+        autoDeferRegressed: false,
         maxPromosPerWeek: 3,
         cooldownDaysPerSlug: 14,
         cooldownDaysPerPartner: 14,
         minCoverageScore: 80,
         minExperimentDataThreshold: 10,
+        experimentMethod: "z-test",
+        experimentSignificanceLevel: 0.05,
+        submissionSla: {
+          statusDays: { pending: 7, reviewing: 5, "needs-info": 14 },
+          firstResponseDays: 3,
+          throughputWindowDays: 30,
+        },
+        scoring: {
+          scorers: [
+            { id: "proof", weight: 1, max: 30 },
+            { id: "engagement", weight: 1, max: 30 },
+            { id: "freshness", weight: 1, max: 20 },
+            { id: "worthy", weight: 1, max: 20 },
+          ],
+        },
         hardRules: ["never push directly to main"],
       },
     },
@@ -74,7 +90,7 @@ function getSeedFiles(config, root) {
     // Experiments
     {
       path: join(dataDir, "experiments.json"),
-      content: { schemaVersion: 1, experiments: [] },
+      content: { schemaVersion: 2, experiments: [] },
     },
     // Submissions
     {
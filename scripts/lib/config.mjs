@@ -24,9 +24,11 @@ const DEFAULTS = {
     spikeThreshold: 300,
     maxRecommendations: 20,
   },
+  // Public artifacts hashed into trust.json's publicManifest (globs relative to publicDir)
+  trust: { include: ["**"], exclude: [] },
 };
 
-export const KIT_VERSION_SUPPORTED = [1, 1]; // [min, max]
+export const KIT_VERSION_SUPPORTED = [1, 2]; // [min, max]
 
 // ── Deep merge ───────────────────────────────────────────────
 
@@ -0,0 +1,145 @@
+/**
+ * Experiment schema helpers.
+ *
+ * experiments.json schemaVersion 2 declares N arms and a primary metric:
+ *
+ *   {
+ *     "id": "exp-001",
+ *     "primaryMetric": "opened",            // replied | opened | score
+ *     "metricWeights": { "replied": 3 },    // only used by "score"
+ *     "endDate": "2026-06-30",              // optional; shown in the promo calendar feed
+ *     "arms": [
+ *       { "key": "control", "control": true, "value": "..." },
+ *       { "key": "variant-a", "value": "..." },
+ *       { "key": "variant-b", "value": "..." }
+ *     ]
+ *   }
+ *
+ * schemaVersion 1 experiments (`control` + `variant` objects) are still read
+ * transparently; `upgradeExperiment` rewrites them to the v2 shape.
+ */
+
+// ── Constants ────────────────────────────────────────────────
+
+export const EXPERIMENTS_SCHEMA_VERSION = 2;
+
+export const EXPERIMENT_METRICS = ["replied", "opened", "score"];
+
+export const OUTCOMES = ["sent", "opened", "replied", "ignored", "bounced"];
+
+/** Per-outcome points for the "score" metric. A reply is worth three opens. */
+export const DEFAULT_METRIC_WEIGHTS = { sent: 0, opened: 1, replied: 3, ignored: 0, bounced: 0 };
+
+const METRIC_LABELS = {
+  replied: "reply rate",
+  opened: "open rate",
+  score: "outcome score",
+};
+
+// ── Arms ─────────────────────────────────────────────────────
+
+/**
+ * Return an experiment's arms, control first.
+ * Accepts both the v2 `arms` array and the v1 `control` / `variant` pair.
+ *
+ * @param {object} exp
+ * @returns {Array<{ key: string, control: boolean, [k: string]: unknown }>}
+ */
+export function getArms(exp) {
+  if (Array.isArray(exp.arms) && exp.arms.length > 0) {
+    const controlIdx = Math.max(0, exp.arms.findIndex((a) => a.control === true));
+    const control = { ...exp.arms[controlIdx], control: true };
+    const rest = exp.arms
+      .filter((_, i) => i !== controlIdx)
+      .map((a) => ({ ...a, control: false }));
+    return [control, ...rest];
+  }
+
+  const arms = [];
+  if (exp.control) arms.push({ ...exp.control, control: true });
+  if (exp.variant) arms.push({ ...exp.variant, control: false });
+  return arms;
+}
+
+/**
+ * @param {object} exp
+ * @returns {"replied"|"opened"|"score"}
+ */
+export function getPrimaryMetric(exp) {
+  return EXPERIMENT_METRICS.includes(exp.primaryMetric) ? exp.primaryMetric : "replied";
+}
+
+/**
+ * @param {string} metric
+ * @returns {string} human label, e.g. "reply rate"
+ */
+export function metricLabel(metric) {
+  return METRIC_LABELS[metric] || metric;
+}
+
+/**
+ * Rewrite a v1 experiment to the v2 shape. v2 experiments pass through
+ * unchanged (idempotent).
+ *
+ * @param {object} exp
+ * @returns {object}
+ */
+export function upgradeExperiment(exp) {
+  if (Array.isArray(exp.arms)) return exp;
+
+  const { control, variant, ...rest } = exp;
+  return {
+    ...rest,
+    primaryMetric: exp.primaryMetric || "replied",
+    arms: getArms({ control, variant }),
+  };
+}
+
+// ── Metrics ──────────────────────────────────────────────────
+
+export function makeOutcomeCounter() {
+  return { sent: 0, opened: 0, replied: 0, ignored: 0, bounced: 0 };
+}
+
+/**
+ * Total entries in an arm: sum of all outcome fields.
+ *
+ * @param {Record<string, number>} counts
+ * @returns {number}
+ */
+export function armEntries(counts) {
+  return OUTCOMES.reduce((sum, o) => sum + (counts[o] || 0), 0);
+}
+
+/**
+ * Summarize an arm's counts under a metric.
+ *
+ * Proportion metrics count successes: "replied" counts replies, "opened"
+ * counts opens plus replies (a reply implies the message was opened).
+ * The "score" metric assigns each entry its outcome weight and reports
+ * the mean and sample variance.
+ *
+ * @param {Record<string, number>} counts
+ * @param {string} metric
+ * @param {Record<string, number>} [weights]
+ * @returns {{ entries: number, successes: number|null, mean: number, variance: number }}
+ */
+export function metricSample(counts, metric, weights = {}) {
+  const n = armEntries(counts);
+
+  if (metric === "score") {
+    const w = { ...DEFAULT_METRIC_WEIGHTS, ...weights };
+    let total = 0;
+    for (const o of OUTCOMES) total += (counts[o] || 0) * w[o];
+    const mean = n > 0 ? total / n : 0;
+    let ss = 0;
+    for (const o of OUTCOMES) ss += (counts[o] || 0) * (w[o] - mean) ** 2;
+    return { entries: n, successes: null, mean, variance: n > 1 ? ss / (n - 1) : 0 };
+  }
+
+  const successes = metric === "opened"
+    ? (counts.opened || 0) + (counts.replied || 0)
+    : (counts.replied || 0);
+  const mean = n > 0 ? successes / n : 0;
+  return { entries: n, successes, mean, variance: mean * (1 - mean) };
+}
@@ -0,0 +1,123 @@
+/**
+ * Locale support for the MarketIR generators (presskit, snippets, outreach).
+ *
+ * English is the source language. Translatable MarketIR entities carry
+ * per-locale text in an `i18n` map keyed by locale:
+ *
+ *   { "id": "claim.x", "statement": "Works offline.",
+ *     "i18n": { "de": { "statement": "Funktioniert offline." } } }
+ *
+ * Translatable fields:
+ *   claims[]            statement, notes
+ *   messages[]          text
+ *   antiClaims[]        statement
+ *   positioning         oneLiner, valueProps
+ *   press.boilerplate   projectDescription, founderBio
+ *
+ * A field without a translation falls back to English and is reported,
+ * so every locale renders completely.
+ */
+
+import { validateLocale } from "./sanitize.mjs";
+
+export const DEFAULT_LOCALE = "en";
+
+const TRANSLATABLE = [
+  { kind: "claim", list: (t) => t.claims, fields: ["statement", "notes"], id: (e) => e.id },
+  { kind: "message", list: (t) => t.messages, fields: ["text"], id: (e) => e.id },
+  { kind: "antiClaim", list: (t) => t.antiClaims, fields: ["statement"], id: (e, i) => `antiClaims[${i}]` },
+  { kind: "positioning", list: (t) => (t.positioning ? [t.positioning] : []), fields: ["oneLiner", "valueProps"], id: () => "positioning" },
+  { kind: "boilerplate", list: (t) => (t.press?.boilerplate ? [t.press.boilerplate] : []), fields: ["projectDescription", "founderBio"], id: () => "press.boilerplate" },
+];
+
+function sameShape(english, translated) {
+  if (Array.isArray(english)) {
+    return Array.isArray(translated) && translated.length === english.length && translated.every((s) => typeof s === "string" && s !== "");
+  }
+  return typeof translated === "string" && translated !== "";
+}
+
+/**
+ * Locales (other than English) that a tool carries any translation for.
+ * Throws on malformed locale keys.
+ *
+ * @param {object} tool — MarketIR tool data
+ * @returns {string[]} sorted
+ */
+export function toolLocales(tool) {
+  const found = new Set();
+  for (const { list } of TRANSLATABLE) {
+    for (const entity of list(tool) || []) {
+      for (const locale of Object.keys(entity.i18n || {})) {
+        found.add(validateLocale(locale));
+      }
+    }
+  }
+  found.delete(DEFAULT_LOCALE);
+  return [...found].sort();
+}
+
+/**
+ * Locales to generate for a tool: English first, then either the requested
+ * locales or every locale the tool carries translations for.
+ *
+ * @param {object} tool
+ * @param {string[]|null} [requested]
+ * @returns {string[]}
+ */
+export function localesFor(tool, requested = null) {
+  const extra = requested ? requested.map(validateLocale) : toolLocales(tool);
+  return [DEFAULT_LOCALE, ...extra.filter((l) => l !== DEFAULT_LOCALE)];
+}
+
+/**
+ * Copy of `tool` with translatable fields swapped for `locale` text and
+ * every `i18n` map removed. Untranslated fields keep their English text
+ * and are listed in `fallbacks`.
+ *
+ * @param {object} tool
+ * @param {string} [locale]
+ * @returns {{ tool: object, fallbacks: Array<{ kind: string, id: string, field: string }> }}
+ */
+export function localizeTool(tool, locale = DEFAULT_LOCALE) {
+  validateLocale(locale);
+  const out = structuredClone(tool);
+  const fallbacks = [];
+
+  for (const { kind, list, fields, id } of TRANSLATABLE) {
+    (list(out) || []).forEach((entity, i) => {
+      const translated = entity.i18n?.[locale] || {};
+      for (const field of fields) {
+        if (entity[field] == null || entity[field] === "") continue;
+        if (locale === DEFAULT_LOCALE) continue;
+        if (sameShape(entity[field], translated[field])) {
+          entity[field] = translated[field];
+        } else {
+          fallbacks.push({ kind, id: id(entity, i), field });
+        }
+      }
+      delete entity.i18n;
+    });
+  }
+
+  return { tool: out, fallbacks };
+}
+
+/**
+ * Parse the shared `--locales de,fr` CLI flag.
+ *
+ * @param {string[]} argv
+ * @returns {string[]|null}
+ */
+export function parseLocalesArg(argv) {
+  const idx = argv.indexOf("--locales");
+  if (idx === -1 || !argv[idx + 1]) return null;
+  return argv[idx + 1].split(",").map(validateLocale);
+}
+
+/** One-line summary of fallbacks for CLI output. */
+export function describeFallbacks(fallbacks) {
+  return fallbacks
+    .map((f) => (f.kind === "template" ? `template ${f.id}` : `${f.kind} ${f.id}.${f.field}`))
+    .join(", ");
+}
@@ -0,0 +1,114 @@
+/**
+ * overrides.json helpers shared by the scripts that write it.
+ *
+ * Entries are written with a fixed field order and keys sorted, so
+ * automated edits produce small, deterministic diffs.
+ */
+
+// ── Field order ──────────────────────────────────────────────
+
+export const OVERRIDE_FIELD_ORDER = [
+  "featured",
+  "tags",
+  "category",
+  "stability",
+  "kind",
+  "install",
+  "tagline",
+  "goodFor",
+  "notFor",
+  "screenshot",
+  "screenshotType",
+  "needsHumanReview",
+];
+
+/**
+ * Order an override entry's fields; unknown fields keep their order after
+ * the known ones.
+ *
+ * @param {object} obj
+ * @returns {object}
+ */
+export function orderOverrideFields(obj) {
+  const ordered = {};
+  for (const key of OVERRIDE_FIELD_ORDER) {
+    if (obj[key] !== undefined) ordered[key] = obj[key];
+  }
+  for (const key of Object.keys(obj)) {
+    if (!OVERRIDE_FIELD_ORDER.includes(key)) ordered[key] = obj[key];
+  }
+  return ordered;
+}
+
+/**
+ * Sort keys alphabetically and order each entry's fields.
+ *
+ * @param {Record<string, object>} overrides
+ * @returns {Record<string, object>}
+ */
+export function stableOverrides(overrides) {
+  const sorted = {};
+  for (const key of Object.keys(overrides).sort()) {
+    sorted[key] = orderOverrideFields(overrides[key]);
+  }
+  return sorted;
+}
+
+// ── Submissions ──────────────────────────────────────────────
+
+/**
+ * Draft an overrides.json entry from an accepted submission. The pitch
+ * becomes the tagline; everything is marked needsHumanReview.
+ *
+ * @param {object} submission - submissions/<slug>.json object (or an aggregate entry with the same fields)
+ * @returns {object}
+ */
+export function draftOverrideFromSubmission(submission) {
+  const draft = {
+    category: submission.category,
+    kind: submission.kind,
+    install: submission.install,
+    tagline: submission.pitch,
+    goodFor: Array.isArray(submission.goodFor) && submission.goodFor.length > 0 ? [...submission.goodFor] : undefined,
+    notFor: Array.isArray(submission.notFor) && submission.notFor.length > 0 ? [...submission.notFor] : undefined,
+    needsHumanReview: true,
+  };
+  return orderOverrideFields(Object.fromEntries(Object.entries(draft).filter(([, v]) => v !== undefined && v !== "")));
+}
+
+// ── Catalog keys ─────────────────────────────────────────────
+
+/** Override keys that are not projects (the registry repo itself). */
+export const ALLOWED_ORPHAN_OVERRIDES = ["mcp-tool-registry"];
+
+/**
+ * The projects.json `repo` a submission's GitHub repo maps to.
+ * sync-org-metadata.mjs only builds projects from registry tools and org
+ * repos and merges overrides by repo name, so an entry keyed by anything
+ * else never reaches projects.json.
+ *
+ * @param {object} submission - submissions/<slug>.json object (or an aggregate entry with `tool`)
+ * @param {Array<{ repo: string }>} projects
+ * @param {string} [org] - when set, the repo must belong to this owner
+ * @returns {string|null} null when the repo is not in the catalog
+ */
+export function catalogRepoForSubmission(submission, projects, org) {
+  const url = submission.tool?.repo || submission.repo || "";
+  const m = /^https:\/\/github\.com\/([^/]+)\/([^/?#]+?)(?:\.git)?\/?$/i.exec(url);
+  if (!m) return null;
+  if (org && m[1].toLowerCase() !== org.toLowerCase()) return null;
+  const name = m[2].toLowerCase();
+  return projects.find((p) => p.repo?.toLowerCase() === name)?.repo || null;
+}
+
+/**
+ * Override keys with no matching project.
+ *
+ * @param {Record<string, object>} overrides
+ * @param {Array<{ repo: string }>} projects
+ * @returns {string[]}
+ */
+export function orphanOverrideKeys(overrides, projects) {
+  const projectRepos = new Set(projects.map((p) => p.repo));
+  return Object.keys(overrides).filter((k) => !projectRepos.has(k) && !ALLOWED_ORPHAN_OVERRIDES.includes(k));
+}
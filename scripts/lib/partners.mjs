@@ -0,0 +1,194 @@
+/**
+ * Partner CRM lifecycle.
+ *
+ * Each partner in partners.json carries a `stage` and an append-only
+ * `interactions` log:
+ *
+ *   { "name": "Jane Doe", "type": "journalist", "stage": "contacted",
+ *     "lastContactedAt": "2026-05-12T09:00:00.000Z",
+ *     "interactions": [
+ *       { "at": "2026-05-12T09:00:00.000Z", "kind": "sent", "channel": "email", "slug": "zip-meta-map" }
+ *     ] }
+ *
+ * Interaction kinds:
+ *   sent  — an outreach message went out (prospect → contacted)
+ *   reply — the partner replied (prospect/contacted → replied)
+ *   stage — an operator moved the partner to `stage` (e.g. engaged, declined)
+ *
+ * `lastContactedAt` is derived from the latest `sent` interaction and kept
+ * for readers that predate the log. Cooldown and do-not-contact rules are
+ * evaluated from the log by contactEligibility().
+ */
+
+// ── Constants ────────────────────────────────────────────────
+
+export const PARTNER_STAGES = ["prospect", "contacted", "replied", "engaged", "declined", "do-not-contact"];
+
+export const INTERACTION_KINDS = ["sent", "reply", "stage"];
+
+export const PARTNER_CHANNELS = ["email", "dm", "hn", "linkedin", "github"];
+
+/** Stages that block outreach outright, regardless of cooldown. */
+export const BLOCKED_STAGES = new Set(["declined", "do-not-contact"]);
+
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}:\d{2})?/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ── Lookup ───────────────────────────────────────────────────
+
+/**
+ * Find a partner by id or case-insensitive name.
+ *
+ * @param {Array} partners
+ * @param {string} ref
+ * @returns {number} index, or -1
+ */
+export function findPartnerIndex(partners, ref) {
+  const needle = String(ref || "").trim().toLowerCase();
+  if (!needle) return -1;
+  const byId = partners.findIndex((p) => p.id && p.id.toLowerCase() === needle);
+  if (byId !== -1) return byId;
+  return partners.findIndex((p) => (p.name || "").toLowerCase() === needle);
+}
+
+/**
+ * Current stage, defaulting legacy entries from lastContactedAt.
+ *
+ * @param {object} partner
+ * @returns {string}
+ */
+export function partnerStage(partner) {
+  if (PARTNER_STAGES.includes(partner.stage)) return partner.stage;
+  return partner.lastContactedAt ? "contacted" : "prospect";
+}
+
+/**
+ * Latest outreach time from the log, falling back to lastContactedAt.
+ *
+ * @param {object} partner
+ * @returns {string|null}
+ */
+export function lastContactAt(partner) {
+  const sent = (partner.interactions || []).filter((i) => i.kind === "sent").map((i) => i.at);
+  if (sent.length > 0) return sent.sort().at(-1);
+  return partner.lastContactedAt || null;
+}
+
+// ── Interactions ─────────────────────────────────────────────
+
+/**
+ * Validate an interaction before it is recorded.
+ *
+ * @param {object} interaction
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateInteraction(interaction) {
+  const errors = [];
+  if (!interaction || typeof interaction !== "object") {
+    return { valid: false, errors: ["interaction must be an object"] };
+  }
+  const { kind, at, channel, slug, stage, note } = interaction;
+
+  if (!INTERACTION_KINDS.includes(kind)) {
+    errors.push(`kind must be one of: ${INTERACTION_KINDS.join(", ")}`);
+  }
+  if (at !== undefined && (typeof at !== "string" || !ISO_DATE_RE.test(at) || Number.isNaN(Date.parse(at)))) {
+    errors.push(`at must be an ISO date: ${JSON.stringify(at)}`);
+  }
+  if (channel !== undefined && !PARTNER_CHANNELS.includes(channel)) {
+    errors.push(`channel must be one of: ${PARTNER_CHANNELS.join(", ")}`);
+  }
+  if (slug !== undefined && (typeof slug !== "string" || !/^[a-z0-9][a-z0-9._-]*$/i.test(slug))) {
+    errors.push(`slug is not a valid tool slug: ${JSON.stringify(slug)}`);
+  }
+  if (kind === "stage" && !PARTNER_STAGES.includes(stage)) {
+    errors.push(`stage must be one of: ${PARTNER_STAGES.join(", ")}`);
+  }
+  if (kind !== "stage" && stage !== undefined) {
+    errors.push(`stage is only allowed on "stage" interactions`);
+  }
+  if (note !== undefined && (typeof note !== "string" || note.length > 300)) {
+    errors.push("note must be a string of at most 300 characters");
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Next stage after an interaction.
+ *
+ * @param {string} current
+ * @param {{ kind: string, stage?: string }} interaction
+ * @returns {string}
+ */
+export function nextStage(current, interaction) {
+  if (interaction.kind === "stage") return interaction.stage;
+  if (interaction.kind === "sent" && current === "prospect") return "contacted";
+  if (interaction.kind === "reply" && (current === "prospect" || current === "contacted")) return "replied";
+  return current;
+}
+
+/**
+ * Record an interaction on a partner (pure — returns a new partner).
+ * Recording an outreach send to a declined or do-not-contact partner is
+ * refused; move the partner back to another stage first.
+ *
+ * @param {object} partner
+ * @param {{ kind: string, at?: string, channel?: string, slug?: string, stage?: string, note?: string }} interaction
+ * @param {{ now?: number }} [opts]
+ * @returns {{ partner: object, from: string, to: string }}
+ */
+export function recordInteraction(partner, interaction, opts = {}) {
+  const { now = Date.now() } = opts;
+  const from = partnerStage(partner);
+
+  if (interaction.kind === "sent" && BLOCKED_STAGES.has(from)) {
+    throw new Error(`${partner.name} is "${from}" — outreach cannot be recorded`);
+  }
+
+  const entry = { at: new Date(interaction.at ? Date.parse(interaction.at) : now).toISOString(), kind: interaction.kind };
+  for (const key of ["channel", "slug", "stage", "note"]) {
+    if (interaction[key] !== undefined) entry[key] = interaction[key];
+  }
+
+  const interactions = [...(partner.interactions || []), entry].sort((a, b) => a.at.localeCompare(b.at));
+  const to = nextStage(from, entry);
+  const updated = { ...partner, stage: to, interactions };
+
+  const contactedAt = lastContactAt(updated);
+  if (contactedAt) updated.lastContactedAt = contactedAt;
+
+  return { partner: updated, from, to };
+}
+
+// ── Eligibility ──────────────────────────────────────────────
+
+/**
+ * Whether a partner may be contacted now.
+ *
+ * @param {object} partner
+ * @param {{ cooldownDays?: number, now?: number }} [opts]
+ * @returns {{ eligible: boolean, reasons: string[] }}
+ */
+export function contactEligibility(partner, opts = {}) {
+  const { cooldownDays = 14, now = Date.now() } = opts;
+  const stage = partnerStage(partner);
+
+  if (stage === "do-not-contact") {
+    return { eligible: false, reasons: ["do-not-contact"] };
+  }
+  if (stage === "declined") {
+    return { eligible: false, reasons: ["declined — move to another stage to re-engage"] };
+  }
+
+  const last = lastContactAt(partner);
+  if (last) {
+    const daysSince = Math.floor((now - new Date(last).getTime()) / DAY_MS);
+    if (daysSince < cooldownDays) {
+      return { eligible: false, reasons: [`contacted ${daysSince}d ago, cooldown is ${cooldownDays}d`] };
+    }
+  }
+
+  return { eligible: true, reasons: [] };
+}
@@ -2,6 +2,34 @@ import fs from 'fs';
 import path from 'path';
 import { loadRegistry, getToolStatus, findRepoPath } from './front-door.mjs';
 
+/**
+ * Check README text for the front-door sections.
+ * `missing` lists critical gaps (Install/Setup, Usage/Example); `warnings`
+ * lists suggestions (License Info, Repo Links, Logo or Visuals for featured).
+ */
+export function auditReadmeContent(content, { isInternal = false, isFeatured = false } = {}) {
+    // Check for specific sections
+    const hasInstall = /install|npm i|pip install|yarn add|pnpm add/i.test(content);
+    const hasUsage = /usage|quick start|demo|example|getting started/i.test(content);
+
+    // Foundation Week: Only these are failures
+    const missing = [];
+    if (!hasInstall && !isInternal) missing.push('Install/Setup');
+    if (!hasUsage && !isInternal) missing.push('Usage/Example');
+
+    // Foundation Week: These are warnings/suggestions
+    const hasLicense = /license|img\.shields\.io/i.test(content);
+    const hasLinks = /github\.com|issues|discussions/i.test(content);
+    const hasMedia = /!\[.*\]\(.*\)|\<img/i.test(content); // Basic image check (logo/screenshot)
+
+    const warnings = [];
+    if (!hasLicense) warnings.push('License Info');
+    if (!hasLinks) warnings.push('Repo Links');
+    if (!hasMedia && isFeatured) warnings.push('Logo or Visuals'); // Only warn featured for visuals
+
+    return { hasInstall, hasUsage, missing, warnings };
+}
+
 export function auditReadmes(shopRoot) {
     const { registry, overrides } = loadRegistry(shopRoot);
     
@@ -33,25 +61,7 @@ export function auditReadmes(shopRoot) {
         }
 
         const content = fs.readFileSync(readmePath, 'utf-8');
-        
-        // Check for specific sections
-        const hasInstall = /install|npm i|pip install|yarn add|pnpm add/i.test(content);
-        const hasUsage = /usage|quick start|demo|example|getting started/i.test(content);
-        
-        // Foundation Week: Only these are failures
-        const missingCritical = [];
-        if (!hasInstall && !isInternal) missingCritical.push('Install/Setup');
-        if (!hasUsage && !isInternal) missingCritical.push('Usage/Example');
-
-        // Foundation Week: These are warnings/suggestions
-        const hasLicense = /license|img\.shields\.io/i.test(content);
-        const hasLinks = /github\.com|issues|discussions/i.test(content);
-        const hasMedia = /!\[.*\]\(.*\)|\<img/i.test(content); // Basic image check (logo/screenshot)
-
-        const warnings = [];
-        if (!hasLicense) warnings.push('License Info');
-        if (!hasLinks) warnings.push('Repo Links'); 
-        if (!hasMedia && isFeatured) warnings.push('Logo or Visuals'); // Only warn featured for visuals
+        const { missing: missingCritical, warnings } = auditReadmeContent(content, { isInternal, isFeatured });
 
         if (missingCritical.length > 0 || warnings.length > 0) {
             results.push({ 
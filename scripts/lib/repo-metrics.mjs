@@ -0,0 +1,102 @@
+/**
+ * Per-repo metrics time series.
+ *
+ * sync-org-metadata.mjs appends one point per repo per day to
+ * repo-metrics.json; gen-trending.mjs derives 7- and 30-day velocity from it.
+ *
+ *   {
+ *     "schemaVersion": 1,
+ *     "series": {
+ *       "<repo>": [
+ *         { "date": "2026-05-20", "stars": 12, "forks": 3,
+ *           "releases7d": 1, "releases30d": 2, "commits1w": 5, "commits4w": 17 }
+ *       ]
+ *     }
+ *   }
+ *
+ * `stars` / `forks` are cumulative, so velocity is the difference between two
+ * points. Releases and commits are already windowed at capture time:
+ * `releases7d` / `releases30d` count releases published in the 7 / 30 days
+ * before the sync, `commits1w` / `commits4w` come from GitHub participation
+ * stats (null when GitHub had not computed them yet). Points are date-sorted,
+ * one per day (a re-sync replaces the day's point), and trimmed to
+ * RETENTION_DAYS.
+ */
+
+import { readFileSync, writeFileSync } from "node:fs";
+
+// ── Constants ────────────────────────────────────────────────
+
+export const REPO_METRICS_FILE = "repo-metrics.json";
+
+export const REPO_METRICS_SCHEMA_VERSION = 1;
+
+/** Long enough for a 30-day window plus a late or skipped sync. */
+export const RETENTION_DAYS = 45;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ── Store ────────────────────────────────────────────────────
+
+/**
+ * @param {string} filePath
+ * @returns {{ schemaVersion: number, series: Record<string, Array<object>> }}
+ */
+export function loadRepoMetrics(filePath) {
+  try {
+    const data = JSON.parse(readFileSync(filePath, "utf8"));
+    if (data && typeof data.series === "object") return data;
+  } catch { /* fall through */ }
+  return { schemaVersion: REPO_METRICS_SCHEMA_VERSION, series: {} };
+}
+
+/**
+ * @param {string} filePath
+ * @param {{ schemaVersion: number, series: object }} store
+ */
+export function saveRepoMetrics(filePath, store) {
+  writeFileSync(filePath, JSON.stringify(store, null, 2) + "\n", "utf8");
+}
+
+/**
+ * Add one day's points to the store (pure — returns a new store).
+ * Repos absent from `points` keep their history until it ages out.
+ *
+ * @param {{ series: Record<string, Array<object>> }} store
+ * @param {string} date - YYYY-MM-DD
+ * @param {Record<string, { stars: number, forks: number, releases7d: number, releases30d: number, commits1w: number|null, commits4w: number|null }>} points
+ * @param {{ retentionDays?: number }} [opts]
+ * @returns {{ schemaVersion: number, series: Record<string, Array<object>> }}
+ */
+export function recordMetricsPoints(store, date, points, opts = {}) {
+  const { retentionDays = RETENTION_DAYS } = opts;
+  const cutoff = new Date(Date.parse(`${date}T00:00:00Z`) - retentionDays * DAY_MS).toISOString().slice(0, 10);
+
+  const series = {};
+  const repos = new Set([...Object.keys(store.series || {}), ...Object.keys(points)]);
+
+  for (const repo of [...repos].sort()) {
+    let history = (store.series?.[repo] || []).filter((p) => p.date !== date);
+    if (points[repo]) history.push({ date, ...points[repo] });
+    history = history.filter((p) => p.date >= cutoff).sort((a, b) => a.date.localeCompare(b.date));
+    if (history.length > 0) series[repo] = history;
+  }
+
+  return { schemaVersion: REPO_METRICS_SCHEMA_VERSION, series };
+}
+
+/**
+ * Latest point at or before `date`, or null.
+ *
+ * @param {Array<{ date: string }>} history - date-sorted
+ * @param {string} date
+ * @returns {object|null}
+ */
+export function pointAtOrBefore(history, date) {
+  let found = null;
+  for (const p of history) {
+    if (p.date > date) break;
+    found = p;
+  }
+  return found;
+}
@@ -40,3 +40,19 @@ export function validateUrl(raw, { label = "URL" } = {}) {
   }
   return url.toString();
 }
+
+const LOCALE_RE = /^[a-z]{2,3}(?:-[A-Z][a-z]{3})?(?:-(?:[A-Z]{2}|\d{3}))?$/;
+
+/**
+ * Validate a locale tag (language[-Script][-REGION], e.g. "de", "pt-BR",
+ * "zh-Hans"). Locales end up in output paths, so anything else is rejected.
+ *
+ * @param {string} raw
+ * @returns {string} the locale, unchanged
+ */
+export function validateLocale(raw) {
+  if (typeof raw !== "string" || !LOCALE_RE.test(raw)) {
+    throw new Error(`invalid locale "${raw}"`);
+  }
+  return raw;
+}
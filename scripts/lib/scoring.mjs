@@ -0,0 +1,397 @@
+/**
+ * Promo scoring registry.
+ *
+ * The promo decision engine sums the points of every scorer listed in the
+ * active scoring profile. Four scorers are built in and make up the default
+ * profile (proof 0-30, engagement 0-30, freshness 0-20, worthy 0-20); one
+ * more (readme-health) ships disabled. Teams add their own by listing a
+ * module in the profile — no fork of gen-promo-decisions.mjs required.
+ *
+ * Profile (governance.json `scoring`, or scoring-profile.json in the data dir):
+ *
+ *   {
+ *     "scorers": [
+ *       { "id": "proof", "max": 30, "params": { "publicProofPoints": 15 } },
+ *       { "id": "engagement", "weight": 1.5, "max": 40 },
+ *       { "id": "freshness" },
+ *       { "id": "worthy" },
+ *       { "id": "star-velocity", "module": "scorers/star-velocity.mjs", "max": 10 }
+ *     ]
+ *   }
+ *
+ * Scorer module (default export, or a named `scorers` array):
+ *
+ *   export default {
+ *     id: "star-velocity",
+ *     version: "1.0.0",
+ *     description: "Stars gained in the last 30 days",
+ *     defaults: { max: 10, params: { perStar: 1 } },
+ *     score(slug, ctx, params) {
+ *       const stats = ctx.readData("star-history.json");
+ *       return { score: ..., explanation: "star velocity: ..." };
+ *     },
+ *   };
+ *
+ * A scorer returns `{ score, explanation, defer? }`. Points are multiplied by
+ * the profile weight, rounded, and clamped to [0, max].
+ */
+
+import { existsSync } from "node:fs";
+import { resolve, relative, isAbsolute } from "node:path";
+import { pathToFileURL } from "node:url";
+
+// ── Built-in scorers ─────────────────────────────────────────
+
+const proofScorer = {
+  id: "proof",
+  version: "1.0.0",
+  description: "publicProof flag plus points per proven claim",
+  defaults: { max: 30, params: { publicProofPoints: 15, pointsPerClaim: 3, maxClaims: 5 } },
+  score(slug, ctx, params) {
+    const entry = ctx.overrides?.[slug] || {};
+    let score = 0;
+    const parts = [];
+
+    if (entry.publicProof) {
+      score += params.publicProofPoints;
+      parts.push(`+${params.publicProofPoints} publicProof`);
+    }
+
+    const claimsCount = Array.isArray(entry.provenClaims)
+      ? Math.min(entry.provenClaims.length, params.maxClaims)
+      : 0;
+    const claimsPoints = claimsCount * params.pointsPerClaim;
+    score += claimsPoints;
+
+    if (claimsCount > 0) {
+      parts.push(`proven claims: ${claimsCount} -> +${claimsPoints}`);
+    }
+
+    return {
+      score,
+      explanation: `publicProof: ${parts.length > 0 ? parts.join(", ") : "+0"} (total proof: ${score})`,
+    };
+  },
+};
+
+const engagementScorer = {
+  id: "engagement",
+  version: "1.0.0",
+  description: "Per-slug reply rate mapped onto the point scale",
+  defaults: { max: 30, params: { scale: 30 } },
+  score(slug, ctx, params) {
+    const slugData = ctx.feedbackSummary?.perSlug?.[slug];
+    if (!slugData) {
+      return { score: 0, explanation: "engagement: no data -> +0" };
+    }
+
+    const sent = slugData.sent || 0;
+    const opened = slugData.opened || 0;
+    const replied = slugData.replied || 0;
+    const ignored = slugData.ignored || 0;
+    const bounced = slugData.bounced || 0;
+    const total = sent + opened + replied + ignored + bounced;
+
+    const replyRate = total > 0 ? replied / total : 0;
+    const score = Math.round(replyRate * params.scale);
+
+    return {
+      score,
+      explanation: `engagement: replyRate ${replyRate.toFixed(2)} -> +${score}`,
+    };
+  },
+};
+
+const freshnessScorer = {
+  id: "freshness",
+  version: "1.0.0",
+  description: "Full points outside the slug cooldown; defers slugs inside it",
+  defaults: { max: 20, params: { points: 20 } },
+  score(slug, ctx, params) {
+    const now = ctx.now ?? Date.now();
+    const cooldownDays = ctx.cooldownDays;
+
+    // Find most recent promotion for this slug in ops history
+    let lastPromoDate = null;
+    for (const entry of ctx.opsHistory || []) {
+      const promoted = entry.promotedSlugs || entry.slugs || [];
+      const slugList = Array.isArray(promoted) ? promoted : [];
+      if (slugList.includes(slug)) {
+        lastPromoDate = entry.date || null;
+        break; // history is newest-first
+      }
+    }
+
+    if (!lastPromoDate) {
+      return {
+        score: params.points,
+        defer: false,
+        explanation: `freshness: no prior promotion -> +${params.points}`,
+      };
+    }
+
+    const daysSince = Math.floor(
+      (now - new Date(lastPromoDate).getTime()) / (1000 * 60 * 60 * 24)
+    );
+
+    if (daysSince < cooldownDays) {
+      return {
+        score: 0,
+        defer: true,
+        explanation: `DEFER: within cooldown (promoted ${daysSince}d ago, cooldown ${cooldownDays}d)`,
+      };
+    }
+
+    return {
+      score: params.points,
+      defer: false,
+      explanation: `freshness: last promoted ${daysSince}d ago (cooldown ${cooldownDays}d) -> +${params.points}`,
+    };
+  },
+};
+
+const worthyScorer = {
+  id: "worthy",
+  version: "1.0.0",
+  description: "Flat points when worthy.json marks the repo worthy",
+  defaults: { max: 20, params: { points: 20 } },
+  score(slug, ctx, params) {
+    const worthyEntry = ctx.worthy?.repos?.[slug];
+    const isWorthy = worthyEntry?.worthy === true;
+    const worthyScoreVal = worthyEntry?.score ?? 0;
+
+    return {
+      score: isWorthy ? params.points : 0,
+      explanation: `worthy: score ${worthyScoreVal} -> ${isWorthy ? `+${params.points}` : "+0"}`,
+    };
+  },
+};
+
+const readmeHealthScorer = {
+  id: "readme-health",
+  version: "1.0.0",
+  description: "README health score (0-100) from readme-health.json, scaled to max",
+  defaults: { max: 10, params: {} },
+  score(slug, ctx, params, max) {
+    const health = ctx.readData?.("readme-health.json");
+    const result = (health?.results || []).find((r) => r.repo === slug);
+    if (!result) {
+      return { score: 0, explanation: "readme-health: not checked -> +0" };
+    }
+    const score = Math.round(((result.score || 0) / 100) * max);
+    return { score, explanation: `readme-health: ${result.score}/100 -> +${score}` };
+  },
+};
+
+const BUILTIN_SCORERS = [proofScorer, engagementScorer, freshnessScorer, worthyScorer, readmeHealthScorer];
+
+export const DEFAULT_SCORING_PROFILE = {
+  scorers: [
+    { id: "proof" },
+    { id: "engagement" },
+    { id: "freshness" },
+    { id: "worthy" },
+  ],
+};
+
+// ── Registry ─────────────────────────────────────────────────
+
+const registry = new Map();
+
+/**
+ * Register a scorer. Re-registering an id replaces the previous scorer.
+ *
+ * @param {{ id: string, version: string, description?: string, defaults?: { max?: number, params?: object }, score: Function }} scorer
+ * @param {string} [source="builtin"] - where the scorer came from (module path for plugins)
+ */
+export function registerScorer(scorer, source = "builtin") {
+  if (!scorer || typeof scorer !== "object") {
+    throw new Error("Scorer must be an object");
+  }
+  if (typeof scorer.id !== "string" || !/^[a-z0-9][a-z0-9-]*$/.test(scorer.id)) {
+    throw new Error(`Scorer id must be kebab-case, got: ${JSON.stringify(scorer.id)}`);
+  }
+  if (typeof scorer.version !== "string" || !scorer.version) {
+    throw new Error(`Scorer "${scorer.id}" must declare a version`);
+  }
+  if (typeof scorer.score !== "function") {
+    throw new Error(`Scorer "${scorer.id}" must have a score(slug, ctx, params, max) function`);
+  }
+  registry.set(scorer.id, { ...scorer, source });
+}
+
+/**
+ * @param {string} id
+ * @returns {object|undefined}
+ */
+export function getScorer(id) {
+  return registry.get(id);
+}
+
+/**
+ * @returns {Array<{ id: string, version: string, description: string, source: string }>}
+ */
+export function listScorers() {
+  return [...registry.values()].map((s) => ({
+    id: s.id,
+    version: s.version,
+    description: s.description || "",
+    source: s.source,
+  }));
+}
+
+/**
+ * Drop plugin scorers and restore the built-ins (for testing).
+ */
+export function resetScorers() {
+  registry.clear();
+  for (const s of BUILTIN_SCORERS) registerScorer(s);
+}
+
+resetScorers();
+
+// ── Profiles ─────────────────────────────────────────────────
+
+/**
+ * Pick the active scoring profile.
+ * Priority: scoring-profile.json > governance.json `scoring` > default profile.
+ *
+ * @param {object} governance
+ * @param {object|null} profileFile - parsed scoring-profile.json, if present
+ * @returns {{ profile: { scorers: Array<object> }, source: string, warnings: string[] }}
+ */
+export function resolveScoringProfile(governance = {}, profileFile = null) {
+  const warnings = [];
+
+  if (profileFile) {
+    if (governance.scoring) {
+      warnings.push("Both scoring-profile.json and governance.scoring exist — using scoring-profile.json");
+    }
+    if (Array.isArray(profileFile.scorers)) {
+      return { profile: profileFile, source: "scoring-profile.json", warnings };
+    }
+    warnings.push("scoring-profile.json has no scorers array — ignored");
+  }
+
+  if (governance.scoring) {
+    if (Array.isArray(governance.scoring.scorers)) {
+      return { profile: governance.scoring, source: "governance.json", warnings };
+    }
+    warnings.push("governance.scoring has no scorers array — using default profile");
+  }
+
+  return { profile: DEFAULT_SCORING_PROFILE, source: "default", warnings };
+}
+
+/**
+ * Import scorer modules named in a profile and register what they export.
+ * Module paths resolve against the kit root and must stay inside it.
+ *
+ * @param {{ scorers: Array<{ id: string, module?: string }> }} profile
+ * @param {string} root - kit root
+ * @returns {Promise<{ loaded: string[], errors: string[] }>}
+ */
+export async function loadScorerModules(profile, root) {
+  const loaded = [];
+  const errors = [];
+
+  for (const entry of profile.scorers || []) {
+    if (!entry.module) continue;
+
+    const modulePath = resolve(root, entry.module);
+    const rel = relative(root, modulePath);
+    if (rel.startsWith("..") || isAbsolute(rel)) {
+      errors.push(`Scorer "${entry.id}": module ${entry.module} is outside the kit root`);
+      continue;
+    }
+    if (!existsSync(modulePath)) {
+      errors.push(`Scorer "${entry.id}": module ${entry.module} not found`);
+      continue;
+    }
+
+    try {
+      const mod = await import(pathToFileURL(modulePath).href);
+      const exported = [
+        ...(mod.default ? [mod.default] : []),
+        ...(Array.isArray(mod.scorers) ? mod.scorers : []),
+      ];
+      for (const scorer of exported) {
+        registerScorer(scorer, entry.module);
+        loaded.push(scorer.id);
+      }
+    } catch (err) {
+      errors.push(`Scorer "${entry.id}": ${err.message}`);
+    }
+  }
+
+  return { loaded, errors };
+}
+
+// ── Runner ───────────────────────────────────────────────────
+
+/**
+ * Resolve profile entries against the registry.
+ *
+ * @param {{ scorers: Array<object> }} profile
+ * @returns {{ active: Array<{ scorer: object, weight: number, max: number, params: object }>, warnings: string[] }}
+ */
+export function resolveProfileScorers(profile) {
+  const active = [];
+  const warnings = [];
+
+  for (const entry of profile.scorers || []) {
+    if (entry.enabled === false) continue;
+    const scorer = registry.get(entry.id);
+    if (!scorer) {
+      warnings.push(`Scorer "${entry.id}" is not registered — skipped`);
+      continue;
+    }
+    const defaults = scorer.defaults || {};
+    active.push({
+      scorer,
+      weight: typeof entry.weight === "number" ? entry.weight : 1,
+      max: typeof entry.max === "number" ? entry.max : (defaults.max ?? 100),
+      params: { ...(defaults.params || {}), ...(entry.params || {}) },
+    });
+  }
+
+  return { active, warnings };
+}
+
+/**
+ * Score one slug with every active scorer.
+ *
+ * @param {string} slug
+ * @param {object} ctx - decision inputs plus cooldownDays, now, readData
+ * @param {Array<{ scorer: object, weight: number, max: number, params: object }>} active
+ * @returns {{ total: number, defer: boolean, explanation: string[], breakdown: Record<string, number> }}
+ */
+export function runScorers(slug, ctx, active) {
+  let total = 0;
+  let defer = false;
+  const explanation = [];
+  const breakdown = {};
+
+  for (const { scorer, weight, max, params } of active) {
+    let result;
+    try {
+      result = scorer.score(slug, ctx, params, max) || {};
+    } catch (err) {
+      result = { score: 0, explanation: `${scorer.id}: error (${err.message}) -> +0` };
+    }
+
+    const raw = typeof result.score === "number" && Number.isFinite(result.score) ? result.score : 0;
+    const points = Math.min(max, Math.max(0, Math.round(raw * weight)));
+
+    let line = result.explanation || `${scorer.id}: +${points}`;
+    if (weight !== 1) line += ` (x${weight} weight -> ${points})`;
+    else if (points !== raw) line += ` (capped at ${max})`;
+
+    explanation.push(line);
+    breakdown[scorer.id] = points;
+    total += points;
+    if (result.defer) defer = true;
+  }
+
+  return { total, defer, explanation, breakdown };
+}
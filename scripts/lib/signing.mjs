@@ -0,0 +1,168 @@
+/**
+ * Optional Ed25519 signing of published receipts.
+ *
+ * trust.json and promo-week receipts are signed over their exact file
+ * contents; the signature is written next to the file as `<file>.sig`:
+ *
+ *   { "algorithm": "ed25519", "keyId": "3f1c…", "signature": "<base64>" }
+ *
+ * The private key (PKCS#8 PEM) comes from PROMO_KIT_SIGNING_KEY, or from
+ * the file named by PROMO_KIT_SIGNING_KEY_FILE. Without either, nothing is
+ * signed. The matching public key is published as
+ * <publicDir>/trust-signing-key.pem so anyone can check a signature; `keyId`
+ * is the first 16 hex characters of the SHA-256 of the public key (SPKI DER).
+ *
+ * Generate a key:
+ *   openssl genpkey -algorithm ed25519 -out signing-key.pem
+ */
+
+import { readFileSync, writeFileSync, existsSync, rmSync } from "node:fs";
+import { join } from "node:path";
+import { createHash, createPrivateKey, createPublicKey, sign, verify } from "node:crypto";
+
+// ── Constants ────────────────────────────────────────────────
+
+export const SIGNING_KEY_ENV = "PROMO_KIT_SIGNING_KEY";
+export const SIGNING_KEY_FILE_ENV = "PROMO_KIT_SIGNING_KEY_FILE";
+export const PUBLIC_KEY_FILE = "trust-signing-key.pem";
+export const SIGNATURE_EXT = ".sig";
+
+// ── Keys ─────────────────────────────────────────────────────
+
+/**
+ * Load the signing key from the environment.
+ *
+ * @param {Record<string, string|undefined>} [env]
+ * @returns {import("node:crypto").KeyObject|null} null when signing is not configured
+ * @throws {Error} when a key is configured but unreadable or not Ed25519
+ */
+export function loadSigningKey(env = process.env) {
+  let pem = env[SIGNING_KEY_ENV] || null;
+  if (!pem && env[SIGNING_KEY_FILE_ENV]) {
+    try {
+      pem = readFileSync(env[SIGNING_KEY_FILE_ENV], "utf8");
+    } catch (err) {
+      throw new Error(`${SIGNING_KEY_FILE_ENV}: cannot read ${env[SIGNING_KEY_FILE_ENV]} (${err.code || err.message})`);
+    }
+  }
+  if (!pem) return null;
+
+  let key;
+  try {
+    key = createPrivateKey(pem);
+  } catch (err) {
+    throw new Error(`Signing key is not a valid private key PEM: ${err.message}`);
+  }
+  if (key.asymmetricKeyType !== "ed25519") {
+    throw new Error(`Signing key must be ed25519, got ${key.asymmetricKeyType}`);
+  }
+  return key;
+}
+
+/** Key id of a public (or private) key: first 16 hex chars of SHA-256 over SPKI DER. */
+export function keyId(key) {
+  const publicKey = key.type === "private" ? createPublicKey(key) : key;
+  const der = publicKey.export({ type: "spki", format: "der" });
+  return createHash("sha256").update(der).digest("hex").slice(0, 16);
+}
+
+/**
+ * Load the published public key, or null when none is published.
+ *
+ * @param {string} publicDir
+ * @returns {import("node:crypto").KeyObject|null}
+ */
+export function loadPublicKey(publicDir) {
+  const path = join(publicDir, PUBLIC_KEY_FILE);
+  if (!existsSync(path)) return null;
+  return createPublicKey(readFileSync(path, "utf8"));
+}
+
+/**
+ * Write the public half of a signing key to <publicDir>/trust-signing-key.pem.
+ *
+ * @param {string} publicDir
+ * @param {import("node:crypto").KeyObject} privateKey
+ * @returns {string} path written
+ */
+export function publishPublicKey(publicDir, privateKey) {
+  const path = join(publicDir, PUBLIC_KEY_FILE);
+  writeFileSync(path, createPublicKey(privateKey).export({ type: "spki", format: "pem" }), "utf8");
+  return path;
+}
+
+// ── Signatures ───────────────────────────────────────────────
+
+/**
+ * Sign content with an Ed25519 private key.
+ *
+ * @param {string} content
+ * @param {import("node:crypto").KeyObject} privateKey
+ * @returns {{ algorithm: "ed25519", keyId: string, signature: string }}
+ */
+export function signContent(content, privateKey) {
+  return {
+    algorithm: "ed25519",
+    keyId: keyId(privateKey),
+    signature: sign(null, Buffer.from(content, "utf8"), privateKey).toString("base64"),
+  };
+}
+
+/**
+ * Check a signature object against content.
+ *
+ * @param {string} content
+ * @param {{ algorithm?: string, keyId?: string, signature?: string }|null} sig
+ * @param {import("node:crypto").KeyObject} publicKey
+ * @returns {{ status: "valid"|"invalid"|"wrong-key", keyId: string|null }}
+ */
+export function checkSignature(content, sig, publicKey) {
+  const id = sig?.keyId || null;
+  if (!sig || sig.algorithm !== "ed25519" || typeof sig.signature !== "string") {
+    return { status: "invalid", keyId: id };
+  }
+  if (id !== keyId(publicKey)) return { status: "wrong-key", keyId: id };
+  const ok = verify(null, Buffer.from(content, "utf8"), publicKey, Buffer.from(sig.signature, "base64"));
+  return { status: ok ? "valid" : "invalid", keyId: id };
+}
+
+/**
+ * Sign a file and write `<path>.sig`.
+ *
+ * @param {string} path
+ * @param {import("node:crypto").KeyObject} privateKey
+ * @returns {string} signature path
+ */
+export function signFile(path, privateKey) {
+  const sigPath = path + SIGNATURE_EXT;
+  const sig = signContent(readFileSync(path, "utf8"), privateKey);
+  writeFileSync(sigPath, JSON.stringify(sig, null, 2) + "\n", "utf8");
+  return sigPath;
+}
+
+/**
+ * Remove a stale `<path>.sig` after the file was rewritten without a key,
+ * so an old signature is not reported as a forgery.
+ *
+ * @param {string} path
+ */
+export function removeSignature(path) {
+  rmSync(path + SIGNATURE_EXT, { force: true });
+}
+
+/**
+ * Check a file's detached signature.
+ *
+ * @param {string} path
+ * @param {import("node:crypto").KeyObject} publicKey
+ * @returns {{ status: "valid"|"invalid"|"wrong-key"|"unsigned", keyId: string|null }}
+ */
+export function verifyFileSignature(path, publicKey) {
+  const sigPath = path + SIGNATURE_EXT;
+  if (!existsSync(sigPath)) return { status: "unsigned", keyId: null };
+  let sig = null;
+  try {
+    sig = JSON.parse(readFileSync(sigPath, "utf8"));
+  } catch { /* unreadable signature counts as invalid */ }
+  return checkSignature(readFileSync(path, "utf8"), sig, publicKey);
+}
@@ -0,0 +1,162 @@
+/**
+ * Daily catalog snapshot store.
+ *
+ * sync-org-metadata.mjs copies projects.json, overrides.json and
+ * releases.json into <dataDir>/snapshots/<YYYY-MM-DD>/ after every sync so
+ * gen-catalog-changelog.mjs can diff today's catalog against a real earlier
+ * state. One snapshot per day; a later sync on the same day overwrites it.
+ *
+ * Retention is rolling: every snapshot from the last `dailyDays` days is
+ * kept, then the newest snapshot of each ISO week for `weeklyWeeks` weeks
+ * before that. Everything older is deleted.
+ */
+
+import { existsSync, mkdirSync, readdirSync, readFileSync, copyFileSync, rmSync } from "node:fs";
+import { join } from "node:path";
+
+// ── Constants ────────────────────────────────────────────────
+
+export const SNAPSHOT_DIR = "snapshots";
+
+export const SNAPSHOT_FILES = ["projects.json", "overrides.json", "releases.json"];
+
+export const DEFAULT_RETENTION = { dailyDays: 14, weeklyWeeks: 8 };
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ── Helpers ──────────────────────────────────────────────────
+
+function safeParseJson(filePath, fallback = null) {
+  try {
+    return JSON.parse(readFileSync(filePath, "utf8"));
+  } catch {
+    return fallback;
+  }
+}
+
+/** Monday (UTC) of the ISO week containing `date`, as YYYY-MM-DD. */
+function weekStart(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  const offset = (d.getUTCDay() + 6) % 7;
+  return new Date(d.getTime() - offset * DAY_MS).toISOString().slice(0, 10);
+}
+
+// ── Store ────────────────────────────────────────────────────
+
+/**
+ * Copy the current snapshot files into snapshots/<date>/.
+ * Missing source files are skipped.
+ *
+ * @param {string} dataDir
+ * @param {string} date - YYYY-MM-DD
+ * @returns {{ dir: string, files: string[] }}
+ */
+export function writeSnapshot(dataDir, date) {
+  if (!DATE_RE.test(date)) throw new Error(`Snapshot date must be YYYY-MM-DD, got: ${date}`);
+
+  const dir = join(dataDir, SNAPSHOT_DIR, date);
+  mkdirSync(dir, { recursive: true });
+
+  const files = [];
+  for (const file of SNAPSHOT_FILES) {
+    const src = join(dataDir, file);
+    if (!existsSync(src)) continue;
+    copyFileSync(src, join(dir, file));
+    files.push(file);
+  }
+  return { dir, files };
+}
+
+/**
+ * @param {string} dataDir
+ * @returns {string[]} snapshot dates, oldest first
+ */
+export function listSnapshots(dataDir) {
+  const root = join(dataDir, SNAPSHOT_DIR);
+  if (!existsSync(root)) return [];
+  return readdirSync(root, { withFileTypes: true })
+    .filter((d) => d.isDirectory() && DATE_RE.test(d.name))
+    .map((d) => d.name)
+    .sort();
+}
+
+/**
+ * Read a snapshot. Files absent from the snapshot come back as empty values.
+ *
+ * @param {string} dataDir
+ * @param {string} date
+ * @returns {{ date: string, projects: Array, overrides: object, releases: Array }}
+ */
+export function readSnapshot(dataDir, date) {
+  const dir = join(dataDir, SNAPSHOT_DIR, date);
+  return {
+    date,
+    projects: safeParseJson(join(dir, "projects.json"), []),
+    overrides: safeParseJson(join(dir, "overrides.json"), {}),
+    releases: safeParseJson(join(dir, "releases.json"), []),
+  };
+}
+
+/**
+ * Most recent snapshot strictly before `date`, or null.
+ *
+ * @param {string} dataDir
+ * @param {string} date
+ * @returns {string|null}
+ */
+export function previousSnapshotDate(dataDir, date) {
+  const earlier = listSnapshots(dataDir).filter((d) => d < date);
+  return earlier.length > 0 ? earlier[earlier.length - 1] : null;
+}
+
+// ── Retention ────────────────────────────────────────────────
+
+/**
+ * Decide which snapshot dates survive the retention policy.
+ *
+ * @param {string[]} dates
+ * @param {string} today - YYYY-MM-DD
+ * @param {{ dailyDays?: number, weeklyWeeks?: number }} [policy]
+ * @returns {{ keep: string[], drop: string[] }}
+ */
+export function planRetention(dates, today, policy = {}) {
+  const { dailyDays, weeklyWeeks } = { ...DEFAULT_RETENTION, ...policy };
+  const todayMs = Date.parse(`${today}T00:00:00Z`);
+  const dailyCutoff = new Date(todayMs - (dailyDays - 1) * DAY_MS).toISOString().slice(0, 10);
+  const weeklyCutoff = new Date(Date.parse(`${weekStart(dailyCutoff)}T00:00:00Z`) - weeklyWeeks * 7 * DAY_MS)
+    .toISOString().slice(0, 10);
+
+  const keep = new Set();
+  const newestPerWeek = new Map();
+
+  for (const date of [...dates].sort()) {
+    if (date >= dailyCutoff) {
+      keep.add(date);
+    } else if (date >= weeklyCutoff) {
+      newestPerWeek.set(weekStart(date), date); // sorted ascending → last wins
+    }
+  }
+  for (const date of newestPerWeek.values()) keep.add(date);
+
+  return {
+    keep: dates.filter((d) => keep.has(d)).sort(),
+    drop: dates.filter((d) => !keep.has(d)).sort(),
+  };
+}
+
+/**
+ * Delete snapshots that fall outside the retention policy.
+ *
+ * @param {string} dataDir
+ * @param {string} today - YYYY-MM-DD
+ * @param {{ dailyDays?: number, weeklyWeeks?: number }} [policy]
+ * @returns {{ kept: string[], pruned: string[] }}
+ */
+export function pruneSnapshots(dataDir, today, policy = {}) {
+  const { keep, drop } = planRetention(listSnapshots(dataDir), today, policy);
+  for (const date of drop) {
+    rmSync(join(dataDir, SNAPSHOT_DIR, date), { recursive: true, force: true });
+  }
+  return { kept: keep, pruned: drop };
+}
@@ -0,0 +1,107 @@
+/**
+ * Telemetry event validation against telemetry-schema.json.
+ *
+ * Shared by the collector (scripts/telemetry-collector.mjs) so that events
+ * arriving over HTTP obey the same rules as the schema documents:
+ *
+ *   - `type` must be one of `eventTypes`
+ *   - payload keys must be declared for that type (no free-form fields)
+ *   - values must be strings or numbers and satisfy `pattern`, `enum`,
+ *     `maxLength`, `minimum` and `maximum`
+ *
+ * validateEvent() returns a normalized event containing only
+ * { timestamp, type, payload }; anything else the client sent is dropped.
+ */
+
+import { readFileSync } from "node:fs";
+
+// ── Reject reasons ───────────────────────────────────────────
+
+export const REJECT_REASONS = [
+  "malformed",
+  "unknown_type",
+  "bad_timestamp",
+  "unknown_field",
+  "invalid_payload",
+];
+
+// ── Schema ───────────────────────────────────────────────────
+
+/**
+ * @param {string} filePath
+ * @returns {object|null} the parsed schema, or null when missing/invalid
+ */
+export function loadTelemetrySchema(filePath) {
+  try {
+    const schema = JSON.parse(readFileSync(filePath, "utf8"));
+    if (schema && typeof schema.eventTypes === "object") return schema;
+  } catch { /* fall through */ }
+  return null;
+}
+
+/**
+ * Check one payload value against its field rule.
+ *
+ * @param {unknown} value
+ * @param {{ type: string, pattern?: string, enum?: Array, maxLength?: number, minimum?: number, maximum?: number }} rule
+ * @returns {boolean}
+ */
+export function valueMatchesRule(value, rule) {
+  if (rule.type === "string") {
+    if (typeof value !== "string") return false;
+    if (rule.maxLength != null && value.length > rule.maxLength) return false;
+    if (rule.pattern && !new RegExp(rule.pattern).test(value)) return false;
+  } else if (rule.type === "number") {
+    if (typeof value !== "number" || !Number.isFinite(value)) return false;
+    if (rule.minimum != null && value < rule.minimum) return false;
+    if (rule.maximum != null && value > rule.maximum) return false;
+  } else {
+    return false;
+  }
+  if (Array.isArray(rule.enum) && !rule.enum.includes(value)) return false;
+  return true;
+}
+
+// ── Validation ───────────────────────────────────────────────
+
+/**
+ * Validate and normalize one event.
+ *
+ * @param {unknown} evt
+ * @param {object} schema - telemetry-schema.json
+ * @returns {{ ok: true, event: { timestamp: string, type: string, payload: object } } | { ok: false, reason: string, detail?: string }}
+ */
+export function validateEvent(evt, schema) {
+  if (!evt || typeof evt !== "object" || Array.isArray(evt)) {
+    return { ok: false, reason: "malformed" };
+  }
+
+  // Own keys only: "constructor", "__proto__" etc. are not event types
+  if (typeof evt.type !== "string" || !Object.hasOwn(schema.eventTypes, evt.type)) {
+    return { ok: false, reason: "unknown_type", detail: String(evt.type) };
+  }
+  const def = schema.eventTypes[evt.type];
+
+  if (typeof evt.timestamp !== "string" || Number.isNaN(Date.parse(evt.timestamp))) {
+    return { ok: false, reason: "bad_timestamp" };
+  }
+
+  const payload = evt.payload ?? {};
+  if (typeof payload !== "object" || Array.isArray(payload)) {
+    return { ok: false, reason: "malformed" };
+  }
+
+  const rules = def.payload || {};
+  const clean = {};
+  for (const [key, value] of Object.entries(payload)) {
+    if (!Object.hasOwn(rules, key)) return { ok: false, reason: "unknown_field", detail: key };
+    const rule = rules[key];
+    if (!valueMatchesRule(value, rule)) return { ok: false, reason: "invalid_payload", detail: key };
+    clean[key] = value;
+  }
+
+  return {
+    ok: true,
+    event: { timestamp: new Date(evt.timestamp).toISOString(), type: evt.type, payload: clean },
+  };
+}
@@ -0,0 +1,307 @@
+/**
+ * Claim-safe template rendering for the marketing generators.
+ *
+ * Every generated outreach message and press page is rendered from a
+ * template file. Built-in templates ship in scripts/templates/; a kit can
+ * override any of them by placing a file with the same relative path in
+ * <kitRoot>/templates/, e.g. templates/outreach/email-journalist.md.tmpl.
+ * Localized variants live under a locale directory, e.g.
+ * templates/de/outreach/email-journalist.md.tmpl.
+ *
+ * The language is deliberately tiny — there are no expressions, calls or
+ * helpers beyond the ones below, and templates can only read the fields a
+ * generator puts in its render context:
+ *
+ *   {{ name.path }}                 interpolate a field (HTML-escaped in *.html.tmpl)
+ *   {{#if path}} … {{else}} … {{/if}}
+ *   {{#unless path}} … {{/unless}}
+ *   {{#each path}} … {{/each}}      item fields in scope; also this, @index, @first, @last
+ *   {{claim "claim.id"}}            statement of a proven claim
+ *   {{! comment }}
+ *
+ * Claim safety:
+ *   - `claim` fails unless the claim exists and is proven.
+ *   - Any context object carrying `claimRefs` (quotes, messages) fails the
+ *     render when a template reads it and one of its refs is not proven.
+ *   - Unknown top-level fields fail instead of rendering empty, so a typo
+ *     cannot silently drop a sentence. (Inside {{#each}} over records a
+ *     missing field is just an absent optional value.)
+ *
+ * Block tags alone on a line are removed together with their line, so
+ * templates can be laid out one tag per line.
+ */
+
+import { readFileSync, existsSync } from "node:fs";
+import { join, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { htmlEsc } from "./sanitize.mjs";
+
+/** Built-in templates shipped next to the scripts. */
+export const BUILTIN_TEMPLATES_DIR = join(dirname(fileURLToPath(import.meta.url)), "..", "templates");
+
+const TAG_RE = /\{\{\s*([#/!]?)\s*([^}]*?)\s*\}\}/g;
+const STANDALONE_RE = /^[ \t]*(\{\{\s*(?:[#/!][^}]*|else)\s*\}\})[ \t]*$/;
+const PATH_RE = /^(?:this|@index|@first|@last|[A-Za-z_][\w]*)(?:\.[A-Za-z_][\w]*)*$/;
+const CLAIM_RE = /^claim\s+"([^"]+)"$/;
+
+// ── Loading ──────────────────────────────────────────────────
+
+/**
+ * Resolve a template by relative name, preferring the kit override. With a
+ * non-English `locale`, <dir>/<locale>/<name> is tried first in both the
+ * kit and built-in directories before falling back to the English template.
+ *
+ * @param {string} name — e.g. "outreach/dm-short.md.tmpl"
+ * @param {{ templatesDir?: string|null, locale?: string|null }} [opts]
+ * @returns {{ name: string, path: string, source: string, overridden: boolean, localized: boolean }}
+ */
+export function loadTemplate(name, opts = {}) {
+  const { templatesDir = null, locale = null } = opts;
+  const candidates = [];
+  if (locale && locale !== "en") {
+    if (templatesDir) candidates.push({ dir: templatesDir, rel: join(locale, name), overridden: true, localized: true });
+    candidates.push({ dir: BUILTIN_TEMPLATES_DIR, rel: join(locale, name), overridden: false, localized: true });
+  }
+  if (templatesDir) candidates.push({ dir: templatesDir, rel: name, overridden: true, localized: false });
+  candidates.push({ dir: BUILTIN_TEMPLATES_DIR, rel: name, overridden: false, localized: false });
+
+  for (const { dir, rel, overridden, localized } of candidates) {
+    const path = join(dir, rel);
+    if (existsSync(path)) {
+      return { name, path, source: readFileSync(path, "utf8"), overridden, localized };
+    }
+  }
+  throw new Error(`template ${name}: not found`);
+}
+
+// ── Parsing ──────────────────────────────────────────────────
+
+/**
+ * Parse template source into a node tree. Throws on malformed tags.
+ *
+ * @param {string} source
+ * @param {string} [name] — used in error messages
+ * @returns {Array<object>}
+ */
+export function parseTemplate(source, name = "template") {
+  // Strip lines that hold only a block tag (keeping the tag itself)
+  const lines = source.split("\n");
+  const kept = [];
+  for (let i = 0; i < lines.length; i++) {
+    const m = lines[i].match(STANDALONE_RE);
+    if (m && i < lines.length - 1) {
+      kept.push({ text: m[1], line: i + 1, joinNext: false });
+    } else {
+      kept.push({ text: lines[i], line: i + 1, joinNext: true });
+    }
+  }
+
+  const root = [];
+  const stack = [{ kind: "root", children: root }];
+  const where = (line) => `template ${name}:${line}`;
+
+  for (let i = 0; i < kept.length; i++) {
+    const { text, line, joinNext } = kept[i];
+    const chunk = joinNext && i < kept.length - 1 ? `${text}\n` : text;
+    let last = 0;
+    TAG_RE.lastIndex = 0;
+    let m;
+    while ((m = TAG_RE.exec(chunk))) {
+      const top = stack[stack.length - 1];
+      const children = top.inElse ? top.alternate : top.children;
+      if (m.index > last) children.push({ type: "text", value: chunk.slice(last, m.index) });
+      last = TAG_RE.lastIndex;
+
+      const [, sigil, body] = m;
+      if (sigil === "!") continue;
+
+      if (sigil === "#") {
+        const [kind, arg = ""] = body.split(/\s+/, 2);
+        if (!["if", "unless", "each"].includes(kind)) {
+          throw new Error(`${where(line)}: unknown block "#${kind}"`);
+        }
+        if (!PATH_RE.test(arg)) {
+          throw new Error(`${where(line)}: invalid field "${arg}" in #${kind}`);
+        }
+        const node = { type: kind, path: arg, line, children: [], alternate: [] };
+        children.push(node);
+        stack.push({ kind, node, children: node.children, alternate: node.alternate, inElse: false, line });
+        continue;
+      }
+
+      if (sigil === "/") {
+        if (top.kind !== body) {
+          throw new Error(`${where(line)}: unexpected {{/${body}}}${top.kind === "root" ? "" : ` (open #${top.kind} from line ${top.line})`}`);
+        }
+        stack.pop();
+        continue;
+      }
+
+      if (body === "else") {
+        if (top.kind !== "if" && top.kind !== "unless") {
+          throw new Error(`${where(line)}: {{else}} outside #if/#unless`);
+        }
+        top.inElse = true;
+        continue;
+      }
+
+      const claim = body.match(CLAIM_RE);
+      if (claim) {
+        children.push({ type: "claim", id: claim[1], line });
+        continue;
+      }
+      if (!PATH_RE.test(body)) {
+        throw new Error(`${where(line)}: invalid tag "{{${body}}}"`);
+      }
+      children.push({ type: "var", path: body, line });
+    }
+    const top = stack[stack.length - 1];
+    const children = top.inElse ? top.alternate : top.children;
+    if (last < chunk.length) children.push({ type: "text", value: chunk.slice(last) });
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new Error(`${where(open.line)}: unclosed #${open.kind}`);
+  }
+  return root;
+}
+
+// ── Rendering ────────────────────────────────────────────────
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Render a template against a context.
+ *
+ * @param {string} source
+ * @param {object} context — the only data the template can read
+ * @param {{ name?: string, claims?: Array<{ id: string, status: string }>, escape?: (s: string) => string }} [opts]
+ *   `escape` defaults to htmlEsc for names ending in .html.tmpl, identity otherwise.
+ * @returns {string}
+ */
+export function renderTemplate(source, context, opts = {}) {
+  const { name = "template", claims = [] } = opts;
+  const escape = opts.escape || (name.endsWith(".html.tmpl") ? htmlEsc : (s) => s);
+  const status = new Map(claims.map((c) => [c.id, c.status]));
+  const where = (line) => `template ${name}:${line}`;
+
+  function checkRefs(obj, line) {
+    if (!obj || typeof obj !== "object" || !Array.isArray(obj.claimRefs)) return;
+    for (const ref of obj.claimRefs) {
+      if (status.get(ref) !== "proven") {
+        throw new Error(`${where(line)}: references unproven claim "${ref}"`);
+      }
+    }
+  }
+
+  function lookup(scopes, path, line) {
+    const [head, ...rest] = path.split(".");
+    let value;
+    let found = false;
+    for (let i = scopes.length - 1; i >= 0; i--) {
+      const scope = scopes[i];
+      if (head === "this" && "this" in scope) {
+        value = scope.this;
+        found = true;
+        break;
+      }
+      if (scope.vars && Object.hasOwn(scope.vars, head)) {
+        value = scope.vars[head];
+        found = true;
+        break;
+      }
+    }
+    if (!found) {
+      // Inside a loop over records, absent optional fields read as empty
+      if (scopes.some((scope) => scope.record)) return undefined;
+      throw new Error(`${where(line)}: unknown field "${head}"`);
+    }
+    for (const key of rest) {
+      checkRefs(value, line);
+      if (value == null || typeof value !== "object" || !Object.hasOwn(value, key)) {
+        return undefined;
+      }
+      value = value[key];
+    }
+    checkRefs(value, line);
+    return value;
+  }
+
+  function itemScope(item, index, length) {
+    const meta = { "@index": index, "@first": index === 0, "@last": index === length - 1 };
+    const isObject = item && typeof item === "object" && !Array.isArray(item);
+    return { this: item, vars: isObject ? { ...item, ...meta } : meta, record: isObject };
+  }
+
+  function renderNodes(nodes, scopes) {
+    let out = "";
+    for (const node of nodes) {
+      switch (node.type) {
+        case "text":
+          out += node.value;
+          break;
+        case "var": {
+          const value = lookup(scopes, node.path, node.line);
+          if (value == null) break;
+          if (typeof value === "object") {
+            throw new Error(`${where(node.line)}: "${node.path}" is not a printable value`);
+          }
+          out += escape(String(value));
+          break;
+        }
+        case "claim": {
+          const claim = claims.find((c) => c.id === node.id);
+          if (!claim) throw new Error(`${where(node.line)}: unknown claim "${node.id}"`);
+          if (claim.status !== "proven") {
+            throw new Error(`${where(node.line)}: references unproven claim "${node.id}"`);
+          }
+          out += escape(String(claim.statement));
+          break;
+        }
+        case "if":
+        case "unless": {
+          const truthy = isTruthy(lookup(scopes, node.path, node.line));
+          const take = node.type === "if" ? truthy : !truthy;
+          out += renderNodes(take ? node.children : node.alternate, scopes);
+          break;
+        }
+        case "each": {
+          const list = lookup(scopes, node.path, node.line);
+          if (list == null) break;
+          if (!Array.isArray(list)) {
+            throw new Error(`${where(node.line)}: "${node.path}" is not a list`);
+          }
+          list.forEach((item, i) => {
+            checkRefs(item, node.line);
+            out += renderNodes(node.children, [...scopes, itemScope(item, i, list.length)]);
+          });
+          break;
+        }
+      }
+    }
+    return out;
+  }
+
+  return renderNodes(parseTemplate(source, name), [{ vars: context }]);
+}
+
+/**
+ * Load and render a named template (kit override first, then built-in).
+ * When a non-English `locale` has no localized template, the English one
+ * is used and `{ kind: "template", id: name }` is pushed to `fallbacks`.
+ *
+ * @param {string} name
+ * @param {object} context
+ * @param {{ templatesDir?: string|null, locale?: string|null, claims?: Array<object>, fallbacks?: Array<object> }} [opts]
+ * @returns {string}
+ */
+export function renderNamed(name, context, opts = {}) {
+  const template = loadTemplate(name, opts);
+  if (opts.locale && opts.locale !== "en" && !template.localized) {
+    opts.fallbacks?.push({ kind: "template", id: name });
+  }
+  return renderTemplate(template.source, context, { name, claims: opts.claims });
+}
@@ -0,0 +1,345 @@
+/**
+ * Worthy rubric check registry.
+ *
+ * Each rubric criterion in worthy.json maps to a registered check that
+ * decides it from evidence: a local checkout (collectLocalFacts) and/or the
+ * cached GitHub facts written by fetch-github-facts.mjs. Five checks are
+ * built in, one per default criterion:
+ *
+ *   osi-license      License is OSI-approved
+ *   release          At least 1 release published
+ *   readme-sections  README has install + usage   (lib/readme-audit.mjs)
+ *   recent-activity  Activity within last 90 days
+ *   security-policy  No known security issues      (SECURITY.md present)
+ *
+ * A criterion maps to a check through worthy.json `rubric.checks`
+ * (`{ "<criterion text>": "<check id>" }`), else to the check whose
+ * `criterion` matches the text exactly.
+ *
+ * A check returns `{ status: "pass"|"fail"|"unknown", source, detail }`.
+ * "unknown" means neither evidence source could decide the criterion.
+ */
+
+import { readFileSync, readdirSync, existsSync } from "node:fs";
+import { join } from "node:path";
+import { execFileSync } from "node:child_process";
+import { auditReadmeContent } from "./readme-audit.mjs";
+
+// ── License detection ────────────────────────────────────────
+
+/** SPDX ids of common OSI-approved licenses. */
+export const OSI_LICENSES = new Set([
+  "MIT", "Apache-2.0", "BSD-2-Clause", "BSD-3-Clause", "ISC", "MPL-2.0",
+  "GPL-2.0", "GPL-2.0-only", "GPL-2.0-or-later", "GPL-3.0", "GPL-3.0-only", "GPL-3.0-or-later",
+  "LGPL-2.1", "LGPL-2.1-only", "LGPL-2.1-or-later", "LGPL-3.0", "LGPL-3.0-only", "LGPL-3.0-or-later",
+  "AGPL-3.0", "AGPL-3.0-only", "AGPL-3.0-or-later", "EPL-2.0", "0BSD", "Zlib", "Unlicense",
+]);
+
+const LICENSE_PATTERNS = [
+  ["Apache-2.0", /Apache License[\s,]+Version 2\.0/i],
+  ["MPL-2.0", /Mozilla Public License,?\s+(?:Version|v\.?)\s*2\.0/i],
+  ["AGPL-3.0", /GNU AFFERO GENERAL PUBLIC LICENSE\s+Version 3/i],
+  ["LGPL-3.0", /GNU LESSER GENERAL PUBLIC LICENSE\s+Version 3/i],
+  ["LGPL-2.1", /GNU LESSER GENERAL PUBLIC LICENSE\s+Version 2\.1/i],
+  ["GPL-3.0", /GNU GENERAL PUBLIC LICENSE\s+Version 3/i],
+  ["GPL-2.0", /GNU GENERAL PUBLIC LICENSE\s+Version 2/i],
+  ["BSD-3-Clause", /Neither the name of .+ nor the names of its\s+contributors/is],
+  ["BSD-2-Clause", /Redistributions in binary form must reproduce the above copyright/i],
+  ["ISC", /Permission to use, copy, modify, and\/or distribute this software for any/i],
+  ["Unlicense", /This is free and unencumbered software released into the public domain/i],
+  ["MIT", /Permission is hereby granted, free of charge, to any person obtaining a copy/i],
+];
+
+/**
+ * Identify a license from its text.
+ *
+ * @param {string} text
+ * @returns {string|null} SPDX id, or null when unrecognized
+ */
+export function detectLicense(text) {
+  if (!text) return null;
+  for (const [spdx, re] of LICENSE_PATTERNS) {
+    if (re.test(text)) return spdx;
+  }
+  return null;
+}
+
+// ── Local evidence ───────────────────────────────────────────
+
+function runGit(repoPath, args) {
+  try {
+    return execFileSync("git", ["-C", repoPath, ...args], { encoding: "utf8", timeout: 10000, stdio: ["ignore", "pipe", "ignore"] }).trim();
+  } catch {
+    return null;
+  }
+}
+
+function findFile(dir, re) {
+  if (!existsSync(dir)) return null;
+  const name = readdirSync(dir).sort().find((f) => re.test(f));
+  return name ? join(dir, name) : null;
+}
+
+function readText(filePath) {
+  try {
+    return readFileSync(filePath, "utf8");
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Gather rubric evidence from a local checkout.
+ *
+ * @param {string} repoPath
+ * @param {{ git?: (repoPath: string, args: string[]) => string|null }} [opts]
+ *   `git` runs a git command and returns stdout or null (injectable for tests).
+ * @returns {{
+ *   licenseFile: string|null, license: string|null, packageLicense: string|null,
+ *   readme: string|null, securityFile: string|null,
+ *   tags: string[]|null, lastCommitAt: string|null,
+ * }}
+ *   Paths are relative to the checkout; `tags`/`lastCommitAt` are null when git is unavailable.
+ */
+export function collectLocalFacts(repoPath, opts = {}) {
+  const { git = runGit } = opts;
+
+  const licensePath = findFile(repoPath, /^(licen[cs]e|copying)(\.(md|txt))?$/i);
+  const readmePath = findFile(repoPath, /^readme(\.(md|markdown|txt|rst))?$/i);
+  let packageLicense = null;
+  try {
+    const pkg = JSON.parse(readFileSync(join(repoPath, "package.json"), "utf8"));
+    if (typeof pkg.license === "string") packageLicense = pkg.license;
+  } catch { /* not a node package */ }
+
+  const securityFile = ["SECURITY.md", ".github/SECURITY.md", "docs/SECURITY.md"]
+    .find((f) => existsSync(join(repoPath, f))) || null;
+
+  const tagOutput = git(repoPath, ["tag", "--list"]);
+  const lastCommitAt = git(repoPath, ["log", "-1", "--format=%cI"]) || null;
+
+  return {
+    licenseFile: licensePath ? licensePath.slice(repoPath.length + 1) : null,
+    license: detectLicense(licensePath ? readText(licensePath) : null),
+    packageLicense,
+    readme: readmePath ? readText(readmePath) : null,
+    securityFile,
+    tags: tagOutput === null ? null : tagOutput.split("\n").filter(Boolean),
+    lastCommitAt,
+  };
+}
+
+// ── Built-in checks ──────────────────────────────────────────
+
+const osiLicenseCheck = {
+  id: "osi-license",
+  version: "1.0.0",
+  criterion: "License is OSI-approved",
+  description: "LICENSE file (or package.json license, or GitHub's detected license) is OSI-approved",
+  run({ local, github }) {
+    if (local?.license) {
+      const ok = OSI_LICENSES.has(local.license);
+      return { status: ok ? "pass" : "fail", source: "local", detail: `${local.licenseFile}: ${local.license}` };
+    }
+    if (local?.packageLicense && OSI_LICENSES.has(local.packageLicense)) {
+      return { status: "pass", source: "local", detail: `package.json license: ${local.packageLicense}` };
+    }
+    if (github?.license && github.license !== "NOASSERTION") {
+      const ok = OSI_LICENSES.has(github.license);
+      return { status: ok ? "pass" : "fail", source: "github", detail: `GitHub license: ${github.license}` };
+    }
+    if (local?.packageLicense && !local.licenseFile) {
+      return { status: "fail", source: "local", detail: `package.json license: ${local.packageLicense}` };
+    }
+    if (local && !local.licenseFile) {
+      return { status: "fail", source: "local", detail: "No LICENSE file" };
+    }
+    if (local?.licenseFile) {
+      return { status: "unknown", source: "local", detail: `${local.licenseFile}: license not recognized` };
+    }
+    return { status: "unknown", source: null, detail: "No license evidence" };
+  },
+};
+
+const releaseCheck = {
+  id: "release",
+  version: "1.0.0",
+  criterion: "At least 1 release published",
+  description: "A GitHub release, or a git tag in the local checkout",
+  run({ local, github }) {
+    if (github?.latestRelease?.tag) {
+      return { status: "pass", source: "github", detail: `Latest release ${github.latestRelease.tag}` };
+    }
+    if (local?.tags) {
+      return local.tags.length > 0
+        ? { status: "pass", source: "local", detail: `${local.tags.length} tag(s), e.g. ${local.tags[local.tags.length - 1]}` }
+        : { status: "fail", source: "local", detail: "No git tags" };
+    }
+    if (github && "latestRelease" in github) {
+      return { status: "fail", source: "github", detail: "No GitHub release" };
+    }
+    return { status: "unknown", source: null, detail: "No release evidence" };
+  },
+};
+
+const readmeSectionsCheck = {
+  id: "readme-sections",
+  version: "1.0.0",
+  criterion: "README has install + usage",
+  description: "README has install and usage sections (lib/readme-audit.mjs)",
+  run({ local, github }) {
+    if (local?.readme != null) {
+      const { missing } = auditReadmeContent(local.readme);
+      return missing.length === 0
+        ? { status: "pass", source: "local", detail: "README has install and usage" }
+        : { status: "fail", source: "local", detail: `README missing: ${missing.join(", ")}` };
+    }
+    if (local) {
+      return { status: "fail", source: "local", detail: "No README" };
+    }
+    if (github?.communityHealth?.files?.readme === false) {
+      return { status: "fail", source: "github", detail: "No README" };
+    }
+    return { status: "unknown", source: null, detail: "README content needs a local checkout" };
+  },
+};
+
+const recentActivityCheck = {
+  id: "recent-activity",
+  version: "1.0.0",
+  criterion: "Activity within last 90 days",
+  description: "Last commit (local) or push (GitHub) within the window",
+  defaults: { params: { days: 90 } },
+  run({ local, github, now }, params) {
+    const candidates = [
+      local?.lastCommitAt ? { at: local.lastCommitAt, source: "local", label: "Last commit" } : null,
+      github?.pushedAt ? { at: github.pushedAt, source: "github", label: "Last push" } : null,
+    ].filter(Boolean).sort((a, b) => new Date(b.at) - new Date(a.at));
+    if (candidates.length === 0) {
+      return { status: "unknown", source: null, detail: "No activity evidence" };
+    }
+    const latest = candidates[0];
+    const days = Math.floor((now - new Date(latest.at)) / (24 * 60 * 60 * 1000));
+    return {
+      status: days <= params.days ? "pass" : "fail",
+      source: latest.source,
+      detail: `${latest.label} ${latest.at.slice(0, 10)} (${days}d ago, window ${params.days}d)`,
+    };
+  },
+};
+
+const securityPolicyCheck = {
+  id: "security-policy",
+  version: "1.0.0",
+  criterion: "No known security issues",
+  description: "A security policy (SECURITY.md) tells reporters where to go",
+  run({ local, github }) {
+    if (local?.securityFile) {
+      return { status: "pass", source: "local", detail: `${local.securityFile} present` };
+    }
+    if (github?.communityHealth?.files?.security === true) {
+      return { status: "pass", source: "github", detail: "GitHub security policy present" };
+    }
+    if (local || github?.communityHealth) {
+      return { status: "fail", source: local ? "local" : "github", detail: "No security policy" };
+    }
+    return { status: "unknown", source: null, detail: "No security policy evidence" };
+  },
+};
+
+const BUILTIN_CHECKS = [osiLicenseCheck, releaseCheck, readmeSectionsCheck, recentActivityCheck, securityPolicyCheck];
+
+// ── Registry ─────────────────────────────────────────────────
+
+const registry = new Map();
+
+/**
+ * Register a check. Re-registering an id replaces the previous check.
+ *
+ * @param {{ id: string, version: string, criterion?: string, description?: string, defaults?: { params?: object }, run: Function }} check
+ */
+export function registerWorthyCheck(check) {
+  if (!check || typeof check !== "object") {
+    throw new Error("Check must be an object");
+  }
+  if (typeof check.id !== "string" || !/^[a-z0-9][a-z0-9-]*$/.test(check.id)) {
+    throw new Error(`Check id must be kebab-case, got: ${JSON.stringify(check.id)}`);
+  }
+  if (typeof check.version !== "string" || !check.version) {
+    throw new Error(`Check "${check.id}" must declare a version`);
+  }
+  if (typeof check.run !== "function") {
+    throw new Error(`Check "${check.id}" must have a run(ctx, params) function`);
+  }
+  registry.set(check.id, check);
+}
+
+/**
+ * @param {string} id
+ * @returns {object|undefined}
+ */
+export function getWorthyCheck(id) {
+  return registry.get(id);
+}
+
+/**
+ * @returns {Array<{ id: string, version: string, criterion: string|null, description: string }>}
+ */
+export function listWorthyChecks() {
+  return [...registry.values()].map((c) => ({
+    id: c.id,
+    version: c.version,
+    criterion: c.criterion || null,
+    description: c.description || "",
+  }));
+}
+
+/**
+ * Drop registered checks and restore the built-ins (for testing).
+ */
+export function resetWorthyChecks() {
+  registry.clear();
+  for (const c of BUILTIN_CHECKS) registerWorthyCheck(c);
+}
+
+resetWorthyChecks();
+
+// ── Runner ───────────────────────────────────────────────────
+
+/**
+ * Resolve the check for a rubric criterion.
+ *
+ * @param {string} criterion
+ * @param {{ checks?: Record<string, string> }} [rubric]
+ * @returns {object|null}
+ */
+export function checkForCriterion(criterion, rubric = {}) {
+  const mapped = rubric.checks?.[criterion];
+  if (mapped) return registry.get(mapped) || null;
+  return [...registry.values()].find((c) => c.criterion === criterion) || null;
+}
+
+/**
+ * Run every rubric criterion's check.
+ *
+ * @param {{ criteria: string[], checks?: Record<string, string>, params?: Record<string, object> }} rubric
+ *   `params` overrides check parameters by check id.
+ * @param {{ local?: object|null, github?: object|null, now?: number }} ctx
+ * @returns {Array<{ criterion: string, check: string|null, status: string, source: string|null, detail: string }>}
+ */
+export function runWorthyChecks(rubric, ctx) {
+  const fullCtx = { local: null, github: null, now: Date.now(), ...ctx };
+  return (rubric.criteria || []).map((criterion) => {
+    const check = checkForCriterion(criterion, rubric);
+    if (!check) {
+      return { criterion, check: null, status: "unknown", source: null, detail: "No registered check" };
+    }
+    const params = { ...(check.defaults?.params || {}), ...(rubric.params?.[check.id] || {}) };
+    try {
+      const { status, source = null, detail = "" } = check.run(fullCtx, params);
+      return { criterion, check: check.id, status, source, detail };
+    } catch (err) {
+      return { criterion, check: check.id, status: "unknown", source: null, detail: `Check failed: ${err.message}` };
+    }
+  });
+}
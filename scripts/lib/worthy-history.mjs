@@ -0,0 +1,117 @@
+/**
+ * Worthy assessment history and regression detection.
+ *
+ * worthy.json keeps only the latest assessment per repo; worthy-history.json
+ * keeps a dated series so a repo dropping below the rubric minimum can be
+ * told apart from one that never met it:
+ *
+ *   {
+ *     "repos": {
+ *       "zip-meta-map": [
+ *         { "date": "2026-02-16", "worthy": true, "score": 5, "missing": [] },
+ *         { "date": "2026-03-02", "worthy": false, "score": 2, "missing": ["At least 1 release published", ...] }
+ *       ]
+ *     }
+ *   }
+ *
+ * A regression is a worthy → not-worthy flip that has not recovered since.
+ */
+
+// ── Constants ────────────────────────────────────────────────
+
+export const WORTHY_HISTORY_FILE = "worthy-history.json";
+
+/** Entries kept per repo (oldest dropped first). */
+export const WORTHY_HISTORY_LIMIT = 52;
+
+// ── Recording ────────────────────────────────────────────────
+
+/**
+ * Append an assessment to a repo's history. A second assessment on the
+ * same date replaces the first. Returns a new history object.
+ *
+ * @param {{ repos?: Record<string, object[]> }} history
+ * @param {string} slug
+ * @param {{ date: string, worthy: boolean, score: number, missing?: string[] }} entry
+ * @param {{ limit?: number }} [opts]
+ * @returns {{ repos: Record<string, object[]> }}
+ */
+export function recordWorthyAssessment(history, slug, entry, opts = {}) {
+  const { limit = WORTHY_HISTORY_LIMIT } = opts;
+  const repos = { ...(history?.repos || {}) };
+  const point = {
+    date: entry.date,
+    worthy: entry.worthy === true,
+    score: entry.score,
+    missing: [...(entry.missing || [])],
+  };
+  const series = (repos[slug] || []).filter((p) => p.date !== point.date);
+  series.push(point);
+  series.sort((a, b) => a.date.localeCompare(b.date));
+  repos[slug] = series.slice(-limit);
+  return { ...history, repos };
+}
+
+// ── Regressions ──────────────────────────────────────────────
+
+/**
+ * Find repos whose latest assessment is not worthy after an earlier worthy
+ * one.
+ *
+ * @param {{ repos?: Record<string, object[]> }} history
+ * @param {{ since?: string }} [opts] - only flips on or after this YYYY-MM-DD date
+ * @returns {Array<{ slug: string, from: { date: string, score: number }, to: { date: string, score: number }, lostCriteria: string[] }>}
+ *   `from` is the last worthy assessment, `to` the first not-worthy one after it.
+ */
+export function detectWorthyRegressions(history, opts = {}) {
+  const { since = null } = opts;
+  const regressions = [];
+
+  for (const [slug, series] of Object.entries(history?.repos || {})) {
+    if (!Array.isArray(series) || series.length < 2) continue;
+    const sorted = [...series].sort((a, b) => a.date.localeCompare(b.date));
+    if (sorted[sorted.length - 1].worthy) continue;
+
+    const lastWorthy = sorted.map((p) => p.worthy).lastIndexOf(true);
+    if (lastWorthy === -1) continue;
+    const from = sorted[lastWorthy];
+    const to = sorted[lastWorthy + 1];
+    if (since && to.date < since) continue;
+
+    const before = new Set(from.missing || []);
+    regressions.push({
+      slug,
+      from: { date: from.date, score: from.score },
+      to: { date: to.date, score: to.score },
+      lostCriteria: (to.missing || []).filter((c) => !before.has(c)),
+    });
+  }
+
+  return regressions.sort((a, b) => b.to.date.localeCompare(a.to.date) || a.slug.localeCompare(b.slug));
+}
+
+/**
+ * Regression of one slug since it was queued, or null.
+ *
+ * @param {{ repos?: Record<string, object[]> }} history
+ * @param {string} slug
+ * @param {string} queuedAt - YYYY-MM-DD (or ISO timestamp) the slug entered the queue
+ * @returns {ReturnType<typeof detectWorthyRegressions>[number]|null}
+ */
+export function regressedSince(history, slug, queuedAt) {
+  const series = history?.repos?.[slug];
+  if (!series) return null;
+  const [regression] = detectWorthyRegressions({ repos: { [slug]: series } }, { since: String(queuedAt).slice(0, 10) });
+  return regression || null;
+}
+
+/**
+ * One-line description of a regression for actions, briefs and decisions.
+ *
+ * @param {ReturnType<typeof detectWorthyRegressions>[number]} r
+ * @returns {string}
+ */
+export function describeRegression(r) {
+  const lost = r.lostCriteria.length > 0 ? ` (lost: ${r.lostCriteria.join(", ")})` : "";
+  return `worthy → not worthy on ${r.to.date}, score ${r.from.score} → ${r.to.score}${lost}`;
+}
@@ -4,13 +4,16 @@
  * Submission Linter
  *
  * Lints submission files beyond basic validation — checks quality signals,
- * generates suggestions, and recommends promo vs experiment routing.
+ * flags likely duplicates of known tools, generates suggestions, and
+ * recommends promo vs experiment routing.
  *
  * Usage:
  *   node scripts/lint-submission.mjs [--dry-run] [--ci --files <paths...>]
  *
  * Reads:
  *   submissions/*.json
+ *   site/src/data/projects.json, overrides.json, registry/registry.json,
+ *   registry/aliases.json (duplicate detection)
  *
  * Writes (when outputDir provided):
  *   lint-reports/<slug>.json
@@ -19,6 +22,8 @@
 import { readFileSync, readdirSync, writeFileSync, mkdirSync, existsSync } from "node:fs";
 import { resolve, join, basename } from "node:path";
 import { validateSubmission } from "./validate-submissions.mjs";
+import { getConfig } from "./lib/config.mjs";
+import { loadKnownTools, findDuplicates, describeDuplicate } from "./lib/submission-dedupe.mjs";
 
 const ROOT = resolve(import.meta.dirname, "..");
 
@@ -37,12 +42,29 @@ function looksLikeCiUrl(url) {
   return CI_URL_PATTERNS.some((re) => re.test(url));
 }
 
+/**
+ * Load the tools a submission is checked against for duplicates.
+ * @param {{ submissionsDir?: string }} [opts]
+ * @returns {ReturnType<typeof loadKnownTools>}
+ */
+export function loadLintContext(opts = {}) {
+  const { submissionsDir = join(ROOT, "submissions") } = opts;
+  const config = getConfig();
+  return loadKnownTools({
+    dataDir: join(ROOT, config.paths.dataDir),
+    submissionsDir,
+    orgUrl: config.org?.url || "",
+  });
+}
+
 /**
  * Lint a single submission object.
  * @param {object} data
- * @returns {{ grade: "pass"|"warn"|"fail", errors: string[], warnings: string[], suggestions: string[], routeSuggestion: "promo"|"experiment"|null }}
+ * @param {{ known?: ReturnType<typeof loadKnownTools> }} [opts] - known tools for duplicate detection
+ * @returns {{ grade: "pass"|"warn"|"fail", errors: string[], warnings: string[], suggestions: string[], routeSuggestion: "promo"|"experiment"|null, duplicates: object[] }}
  */
-export function lintSubmission(data) {
+export function lintSubmission(data, opts = {}) {
+  const { known = [] } = opts;
   const errors = [];
   const warnings = [];
   const suggestions = [];
@@ -56,9 +78,16 @@ export function lintSubmission(data) {
       warnings: [],
       suggestions: [],
       routeSuggestion: null,
+      duplicates: [],
     };
   }
 
+  // Likely duplicates of known tools or other submissions
+  const duplicates = findDuplicates(data, known);
+  for (const match of duplicates) {
+    warnings.push(describeDuplicate(match));
+  }
+
   // Proof link count
   if (data.proof && data.proof.length < 2) {
     warnings.push("Only 1 proof link — consider adding a demo or benchmark");
@@ -103,7 +132,7 @@ export function lintSubmission(data) {
     }
   }
 
-  return { grade, errors, warnings, suggestions, routeSuggestion };
+  return { grade, errors, warnings, suggestions, routeSuggestion, duplicates };
 }
 
 /**
@@ -160,7 +189,7 @@ export function formatLintReport(result, slug) {
 
 /**
  * Lint all submissions in a directory.
- * @param {{ submissionsDir?: string, outputDir?: string, dryRun?: boolean }} opts
+ * @param {{ submissionsDir?: string, outputDir?: string, known?: object[], dryRun?: boolean }} opts
  * @returns {{ reports: Map<string, object>, summary: string }}
  */
 export function lintAllSubmissions(opts = {}) {
@@ -176,13 +205,15 @@ export function lintAllSubmissions(opts = {}) {
     return { reports, summary: "No submissions directory found." };
   }
 
+  const known = opts.known || loadLintContext({ submissionsDir });
+
   const files = readdirSync(submissionsDir).filter((f) => f.endsWith(".json"));
 
   for (const file of files) {
     const slug = basename(file, ".json");
     try {
       const data = JSON.parse(readFileSync(join(submissionsDir, file), "utf8"));
-      const result = lintSubmission(data);
+      const result = lintSubmission(data, { known });
       reports.set(slug, result);
 
       if (outputDir && !dryRun) {
@@ -200,6 +231,7 @@ export function lintAllSubmissions(opts = {}) {
         warnings: [],
         suggestions: [],
         routeSuggestion: null,
+        duplicates: [],
       });
     }
   }
@@ -220,29 +252,46 @@ export function lintAllSubmissions(opts = {}) {
 
 // ── CI mode ───────────────────────────────────────────────────
 
-function runCiMode(filePaths) {
+/**
+ * Build the CI lint report (the PR comment) for one or more submissions.
+ * @param {Array<{ slug: string, result?: object, parseError?: string }>} entries
+ * @returns {string}
+ */
+export function buildLintReport(entries) {
   const lines = [];
   lines.push("## Submission Lint Report");
   lines.push("");
 
-  for (const filePath of filePaths) {
-    const slug = basename(filePath, ".json");
-    try {
-      const data = JSON.parse(readFileSync(filePath, "utf8"));
-      const result = lintSubmission(data);
-      lines.push(formatLintReport(result, slug));
-    } catch (err) {
+  for (const { slug, result, parseError } of entries) {
+    if (parseError) {
       lines.push(`## Submission Lint: \`${slug}\``);
       lines.push("");
       lines.push(`**Grade:** FAIL`);
       lines.push("");
       lines.push(`### Errors`);
-      lines.push(`- Failed to parse JSON: ${err.message}`);
+      lines.push(`- ${parseError}`);
       lines.push("");
+    } else {
+      lines.push(formatLintReport(result, slug));
     }
   }
 
-  const report = lines.join("\n");
+  return lines.join("\n");
+}
+
+function runCiMode(filePaths) {
+  const known = loadLintContext();
+  const entries = filePaths.map((filePath) => {
+    const slug = basename(filePath, ".json");
+    try {
+      const data = JSON.parse(readFileSync(filePath, "utf8"));
+      return { slug, result: lintSubmission(data, { known }) };
+    } catch (err) {
+      return { slug, parseError: `Failed to parse JSON: ${err.message}` };
+    }
+  });
+
+  const report = buildLintReport(entries);
 
   // Write report file for CI to consume
   try {
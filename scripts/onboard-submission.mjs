@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+
+/**
+ * Submission Onboarding
+ *
+ * Turns an accepted submission into catalog data for its project:
+ *   - an overrides.json entry (category, kind, install, tagline from the
+ *     pitch, goodFor, notFor, proof) with `needsHumanReview: true`, in the
+ *     `active_lab` lane and not yet surfaceEligible
+ *   - a placeholder screenshot rendered by gen-placeholders.mjs
+ *   - a worthy.json stub awaiting assessment
+ *
+ * sync-org-metadata.mjs only builds projects from registry tools and org
+ * repos, so the submission's repo must already be one of them (in
+ * projects.json). Everything is keyed by that project's repo name, which
+ * need not match the submission slug; other repos are refused — register
+ * them or move them into the org and sync first.
+ *
+ * Existing override fields always win, so re-running is safe and a
+ * reviewer's edits are never overwritten. compile-surfaces.mjs reports the
+ * tool as blocked (needsHumanReview) until a reviewer clears the flag and
+ * sets surfaceEligible; sync-org-metadata.mjs merges the override into
+ * projects.json.
+ *
+ * Usage:
+ *   node scripts/onboard-submission.mjs <slug> [--dry-run]
+ *   node scripts/onboard-submission.mjs --all [--dry-run]
+ *
+ * Reads:
+ *   site/src/data/submissions.json
+ *   site/src/data/projects.json
+ *   submissions/<slug>.json (falls back to the aggregate entry)
+ *
+ * Writes:
+ *   site/src/data/overrides.json
+ *   site/src/data/worthy.json
+ *   site/public/screenshots/<repo>.png
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from "node:fs";
+import { resolve, join } from "node:path";
+import { catalogRepoForSubmission, draftOverrideFromSubmission, orderOverrideFields, stableOverrides } from "./lib/overrides.mjs";
+import { getConfig } from "./lib/config.mjs";
+import { loadSharp, renderPlaceholder } from "./gen-placeholders.mjs";
+
+const ROOT = resolve(import.meta.dirname, "..");
+
+/** Lane for newly onboarded tools; compile-surfaces keeps them off surfaces until reviewed. */
+export const ONBOARD_LANE = "active_lab";
+
+// ── Helpers ────────────────────────────────────────────────
+
+function safeParseJson(filePath, fallback = null) {
+  try {
+    return JSON.parse(readFileSync(filePath, "utf8"));
+  } catch {
+    return fallback;
+  }
+}
+
+// ── Core ───────────────────────────────────────────────────
+
+/**
+ * Plan the onboarding of one submission.
+ *
+ * @param {object} submission - submissions/<slug>.json object (or aggregate entry with `tool`)
+ * @param {{ overrides?: object, worthy?: object, today?: string, repo?: string }} [opts]
+ *   `today` is the YYYY-MM-DD date stamped on the worthy stub; `repo` is the
+ *   projects.json key to write under (default: the submission slug).
+ * @returns {{
+ *   slug: string,
+ *   repo: string,
+ *   override: object,
+ *   overrideChanged: boolean,
+ *   worthyEntry: object|null,
+ *   placeholder: object|null,
+ * }}
+ *   `placeholder` is the project to render when the override points at the
+ *   generated screenshot; `worthyEntry` is null when worthy.json already has one.
+ */
+export function buildOnboarding(submission, opts = {}) {
+  const { overrides = {}, worthy = {}, today = new Date().toISOString().slice(0, 10) } = opts;
+  const slug = submission.tool?.slug || submission.slug;
+  const repo = opts.repo || slug;
+  const screenshot = `/screenshots/${repo}.png`;
+
+  const proof = Array.isArray(submission.proof) && submission.proof.length > 0
+    ? submission.proof.map(({ label, url, whatItProves }) => ({ label, url, whatItProves }))
+    : undefined;
+  const generated = {
+    ...draftOverrideFromSubmission(submission),
+    screenshot,
+    screenshotType: "placeholder",
+    ...(proof ? { proof } : {}),
+    lane: ONBOARD_LANE,
+    surfaceEligible: false,
+  };
+
+  const existing = overrides[repo] || {};
+  const override = orderOverrideFields({ ...generated, ...existing });
+  const overrideChanged = JSON.stringify(override) !== JSON.stringify(orderOverrideFields(existing));
+
+  const worthyEntry = worthy.repos?.[repo]
+    ? null
+    : {
+        worthy: false,
+        score: 0,
+        assessedDate: today,
+        reason: "Onboarded from submission — awaiting worthy assessment",
+        missing: [],
+      };
+
+  const placeholder = override.screenshot === screenshot && override.screenshotType === "placeholder"
+    ? {
+        name: submission.tool?.name || slug,
+        repo,
+        tagline: override.tagline,
+        install: override.install,
+        stability: override.stability,
+        kind: override.kind,
+      }
+    : null;
+
+  return { slug, repo, override, overrideChanged, worthyEntry, placeholder };
+}
+
+// ── Pipeline ───────────────────────────────────────────────
+
+/**
+ * Onboard one accepted submission.
+ *
+ * @param {string} slug
+ * @param {{
+ *   dataDir?: string,
+ *   submissionsDir?: string,
+ *   screenshotsDir?: string,
+ *   today?: string,
+ *   dryRun?: boolean,
+ *   org?: string,
+ *   render?: (project: object, outPath: string) => Promise<void>,
+ * }} [opts]
+ *   `org` is the GitHub owner of catalog repos (default: kit.config.json org.name).
+ *   `render` draws the placeholder PNG (default: sharp via gen-placeholders).
+ * @returns {Promise<{ slug: string, repo?: string, onboarded: boolean, changes: string[], error?: string }>}
+ */
+export async function onboardSubmission(slug, opts = {}) {
+  const {
+    dataDir = join(ROOT, "site", "src", "data"),
+    submissionsDir = join(ROOT, "submissions"),
+    screenshotsDir = join(ROOT, "site", "public", "screenshots"),
+    today,
+    dryRun = false,
+    org = getConfig().org.name,
+  } = opts;
+
+  const aggregate = safeParseJson(join(dataDir, "submissions.json"), {});
+  const entry = (aggregate.submissions || []).find((s) => s.slug === slug);
+  if (!entry) {
+    return { slug, onboarded: false, changes: [], error: `Slug "${slug}" not found in submissions.json` };
+  }
+  if (entry.status !== "accepted") {
+    return { slug, onboarded: false, changes: [], error: `Submission "${slug}" is ${entry.status}, not accepted` };
+  }
+
+  const submission = safeParseJson(join(submissionsDir, `${slug}.json`)) || { ...entry, tool: { ...entry.tool, slug } };
+  const repo = catalogRepoForSubmission(submission, safeParseJson(join(dataDir, "projects.json"), []), org);
+  if (!repo) {
+    return {
+      slug,
+      onboarded: false,
+      changes: [],
+      error: `Repo ${submission.tool?.repo || "(none)"} is not a registry tool or ${org} repo in projects.json — register it and run sync-org-metadata.mjs first`,
+    };
+  }
+  const overridesPath = join(dataDir, "overrides.json");
+  const worthyPath = join(dataDir, "worthy.json");
+  const overrides = safeParseJson(overridesPath, {});
+  const worthy = safeParseJson(worthyPath, { repos: {} });
+
+  const plan = buildOnboarding(submission, { overrides, worthy, today, repo });
+  const pngPath = join(screenshotsDir, `${repo}.png`);
+  const needsPng = plan.placeholder && !existsSync(pngPath);
+
+  const changes = [];
+  if (plan.overrideChanged) changes.push(overrides[repo] ? `overrides.json: filled missing fields of "${repo}"` : `overrides.json: added "${repo}"`);
+  if (plan.worthyEntry) changes.push("worthy.json: added stub");
+  if (needsPng) changes.push(`screenshots/${repo}.png: placeholder`);
+
+  if (dryRun || changes.length === 0) {
+    return { slug, repo, onboarded: true, changes };
+  }
+
+  // Render first so a missing renderer leaves the data files untouched
+  if (needsPng) {
+    let render = opts.render;
+    if (!render) {
+      const sharp = await loadSharp();
+      if (!sharp) {
+        return { slug, onboarded: false, changes: [], error: "sharp not available — cd site && npm install --save-dev sharp" };
+      }
+      render = (project, outPath) => renderPlaceholder(project, outPath, sharp);
+    }
+    mkdirSync(screenshotsDir, { recursive: true });
+    await render(plan.placeholder, pngPath);
+  }
+
+  if (plan.overrideChanged) {
+    overrides[repo] = plan.override;
+    writeFileSync(overridesPath, JSON.stringify(stableOverrides(overrides), null, 2) + "\n", "utf8");
+  }
+  if (plan.worthyEntry) {
+    worthy.repos = { ...(worthy.repos || {}), [repo]: plan.worthyEntry };
+    writeFileSync(worthyPath, JSON.stringify(worthy, null, 2) + "\n", "utf8");
+  }
+
+  return { slug, repo, onboarded: true, changes };
+}
+
+/**
+ * Onboard every accepted submission. Already-onboarded ones report no changes.
+ *
+ * @param {Parameters<typeof onboardSubmission>[1]} [opts]
+ * @returns {Promise<Array<Awaited<ReturnType<typeof onboardSubmission>>>>}
+ */
+export async function onboardAccepted(opts = {}) {
+  const dataDir = opts.dataDir || join(ROOT, "site", "src", "data");
+  const aggregate = safeParseJson(join(dataDir, "submissions.json"), {});
+  const results = [];
+  for (const s of aggregate.submissions || []) {
+    if (s.status !== "accepted") continue;
+    results.push(await onboardSubmission(s.slug, { ...opts, dataDir }));
+  }
+  return results;
+}
+
+// ── Entry point ────────────────────────────────────────────
+
+const isMain = process.argv[1] && resolve(process.argv[1]).endsWith("onboard-submission.mjs");
+if (isMain) {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes("--dry-run");
+  const slug = args.find((a) => !a.startsWith("--"));
+
+  if (!slug && !args.includes("--all")) {
+    console.error("Usage: node scripts/onboard-submission.mjs <slug>|--all [--dry-run]");
+    process.exit(1);
+  }
+
+  console.log("Onboarding accepted submissions...");
+  if (dryRun) console.log("  Mode: DRY RUN");
+  const results = slug ? [await onboardSubmission(slug, { dryRun })] : await onboardAccepted({ dryRun });
+  if (results.length === 0) console.log("  No accepted submissions.");
+  for (const r of results) {
+    if (r.error) {
+      console.error(`  ${r.slug}: ${r.error}`);
+      process.exitCode = 1;
+    } else if (r.changes.length === 0) {
+      console.log(`  ${r.slug}: already onboarded`);
+    } else {
+      console.log(`  ${r.slug}: ${r.changes.join("; ")}`);
+    }
+  }
+  if (results.some((r) => r.changes.length > 0) && !dryRun) {
+    console.log("  Next: review the override, then run sync-org-metadata.mjs and compile-surfaces.mjs.");
+  }
+}
@@ -16,6 +16,7 @@
 import { existsSync, readFileSync, writeFileSync, mkdirSync } from "node:fs";
 import { join, resolve } from "node:path";
 import { execSync } from "node:child_process";
+import { generateLinkReport } from "./check-links.mjs";
 
 const ROOT = resolve(import.meta.dirname, "..");
 const DATA = join(ROOT, "site", "src", "data");
@@ -56,6 +57,8 @@ function getWeek() {
 //                  missing governance, missing critical data files
 // WARN (non-blocking): missing optional pages, cosmetic README items,
 //                      stale timestamps, missing OG images, freeze enabled
+// Link check: broken links, unknown go-links, missing screenshots/anchors
+//             block; UTM inconsistencies warn
 
 let passCount = 0;
 let failCount = 0;
@@ -332,6 +335,35 @@ if (existsSync(join(ROOT, "site", "public", "screenshots"))) {
   warn("E", "screenshots directory", "site/public/screenshots/ not found");
 }
 
+// ── F) Links in generated artifacts ──────────────────────────
+
+section("F: Links");
+
+{
+  let report = null;
+  try {
+    report = generateLinkReport();
+  } catch (e) {
+    fail("F", "link check", `checker crashed: ${e.message}`);
+  }
+
+  if (report) {
+    const errorIssues = report.issues.filter((i) => i.severity === "error");
+    const warnIssues = report.issues.filter((i) => i.severity === "warning");
+    if (errorIssues.length === 0) {
+      pass("F", `${report.linksChecked} links in ${report.filesScanned} files resolve`);
+    } else {
+      for (const i of errorIssues.slice(0, 10)) fail("F", i.kind, `${i.file}: ${i.link} — ${i.detail}`);
+      if (errorIssues.length > 10) fail("F", "more link errors", `${errorIssues.length - 10} more — see reports/link-check.json`);
+    }
+    if (warnIssues.length > 0) {
+      warn("F", "UTM consistency", `${warnIssues.length} issue(s) — see reports/link-check.json`);
+    } else {
+      pass("F", "UTM parameters consistent");
+    }
+  }
+}
+
 // ── Summary + Receipt ────────────────────────────────────────
 
 const verdict = failCount === 0 ? "GO" : "NO-GO";
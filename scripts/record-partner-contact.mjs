@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+/**
+ * Record Partner Contact
+ *
+ * Appends an interaction (outreach sent, reply received, or stage change)
+ * to a partner's log in partners.json and advances its stage. This is the
+ * only script that writes partner contact history; gen-partner-targets.mjs
+ * reads it to enforce cooldowns and do-not-contact.
+ *
+ * Usage:
+ *   node scripts/record-partner-contact.mjs '{"partner":"Jane Doe","kind":"sent","channel":"email","slug":"zip-meta-map"}'
+ *   node scripts/record-partner-contact.mjs '{"partner":"Jane Doe","kind":"reply"}'
+ *   node scripts/record-partner-contact.mjs '{"partner":"Jane Doe","kind":"stage","stage":"do-not-contact","note":"asked to be removed"}'
+ *
+ * `partner` matches a partner's `id` or (case-insensitive) `name`. `at`
+ * defaults to now.
+ *
+ * Reads/Writes:
+ *   site/src/data/partners.json
+ */
+
+import { readFileSync, writeFileSync } from "node:fs";
+import { resolve, join } from "node:path";
+import { getConfig, getRoot } from "./lib/config.mjs";
+import { findPartnerIndex, recordInteraction, validateInteraction } from "./lib/partners.mjs";
+
+const ROOT = getRoot();
+const config = getConfig();
+const DATA_DIR = join(ROOT, config.paths.dataDir);
+
+// ── Core ──────────────────────────────────────────────────────
+
+/**
+ * Apply one interaction to partners.json.
+ *
+ * @param {string} partnerRef - id or name
+ * @param {object} interaction
+ * @param {{ dataDir?: string, now?: number }} opts
+ * @returns {{ applied: boolean, partner: object|null, from?: string, to?: string, error?: string }}
+ */
+export function applyPartnerInteraction(partnerRef, interaction, opts = {}) {
+  const { dataDir = DATA_DIR, now } = opts;
+  const filePath = join(dataDir, "partners.json");
+
+  let data;
+  try {
+    data = JSON.parse(readFileSync(filePath, "utf8"));
+  } catch {
+    return { applied: false, partner: null, error: "Failed to read partners.json" };
+  }
+  if (!Array.isArray(data.partners)) {
+    return { applied: false, partner: null, error: "partners.json has no partners array" };
+  }
+
+  const idx = findPartnerIndex(data.partners, partnerRef);
+  if (idx === -1) {
+    return { applied: false, partner: null, error: `Partner "${partnerRef}" not found in partners.json` };
+  }
+
+  let result;
+  try {
+    result = recordInteraction(data.partners[idx], interaction, { ...(now ? { now } : {}) });
+  } catch (e) {
+    return { applied: false, partner: data.partners[idx], error: e.message };
+  }
+
+  data.partners[idx] = result.partner;
+  writeFileSync(filePath, JSON.stringify(data, null, 2) + "\n", "utf8");
+  return { applied: true, ...result };
+}
+
+/**
+ * Full pipeline: parse, validate, apply.
+ *
+ * @param {string} json - JSON string from CLI arg
+ * @param {{ dataDir?: string, now?: number }} opts
+ */
+export function recordPartnerContact(json, opts = {}) {
+  let input;
+  try {
+    input = JSON.parse(json);
+  } catch (e) {
+    console.error(`  Error: Invalid JSON — ${e.message}`);
+    process.exitCode = 1;
+    return { success: false, error: "Invalid JSON" };
+  }
+
+  const { partner, ...interaction } = input || {};
+  const validation = validateInteraction(interaction);
+  if (!partner || typeof partner !== "string") {
+    validation.valid = false;
+    validation.errors.unshift("partner: required id or name");
+  }
+  if (!validation.valid) {
+    console.error("  Validation errors:");
+    for (const err of validation.errors) {
+      console.error(`    - ${err}`);
+    }
+    process.exitCode = 1;
+    return { success: false, errors: validation.errors };
+  }
+
+  const result = applyPartnerInteraction(partner, interaction, opts);
+  if (!result.applied) {
+    console.error(`  Error: ${result.error}`);
+    process.exitCode = 1;
+    return { success: false, error: result.error };
+  }
+
+  const stageNote = result.from === result.to ? result.to : `${result.from} → ${result.to}`;
+  console.log(`  Recorded "${interaction.kind}" for ${result.partner.name} (${stageNote})`);
+  return { success: true, ...result };
+}
+
+// ── Entry point ──────────────────────────────────────────────
+
+const isMain = process.argv[1] && resolve(process.argv[1]).endsWith("record-partner-contact.mjs");
+if (isMain) {
+  const json = process.argv[2];
+  if (!json) {
+    console.error("Usage: node scripts/record-partner-contact.mjs '<interaction-json>'");
+    process.exitCode = 1;
+  } else {
+    console.log("Recording partner contact...");
+    recordPartnerContact(json);
+  }
+}
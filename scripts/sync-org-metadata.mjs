@@ -12,10 +12,21 @@
  *   projects.json   — all tools + org repos, merged
  *   org-stats.json  — aggregate numbers for homepage
  *   releases.json   — recent releases across the org (newest first)
+ *   snapshots/<date>/ — copy of projects, overrides, releases for the
+ *                       catalog changelog (rolling retention, see lib/snapshots.mjs)
+ *   repo-metrics.json — per-repo stars/forks/releases/commits time series
+ *                       for trending (see lib/repo-metrics.mjs)
  */
 
 import fs from "node:fs";
 import path from "node:path";
+import { writeSnapshot, pruneSnapshots } from "./lib/snapshots.mjs";
+import {
+  REPO_METRICS_FILE,
+  loadRepoMetrics,
+  saveRepoMetrics,
+  recordMetricsPoints,
+} from "./lib/repo-metrics.mjs";
 
 const ORG = process.env.ORG || "mcp-tool-shop-org";
 const TOKEN = process.env.GITHUB_TOKEN || process.env.GH_TOKEN || "";
@@ -135,6 +146,24 @@ async function fetchRepoReleases(fullName) {
   return await res.json();
 }
 
+/**
+ * Weekly commit counts for the last 52 weeks (oldest first), or null when
+ * GitHub is still computing the stats (HTTP 202) or the call failed.
+ */
+async function fetchCommitParticipation(fullName) {
+  const url = `https://api.github.com/repos/${fullName}/stats/participation`;
+  const res = await ghFetchOptional(url);
+  if (!res || res.status === 202) return null;
+  const data = await res.json().catch(() => null);
+  return Array.isArray(data?.all) ? data.all : null;
+}
+
+/** Count releases published in the `days` before `now`. */
+function countReleasesWithin(releases, days, now) {
+  const cutoff = now - days * 24 * 60 * 60 * 1000;
+  return releases.filter((r) => r.published_at && Date.parse(r.published_at) > cutoff).length;
+}
+
 // ---------------------------------------------------------------------------
 // Registry loading
 // ---------------------------------------------------------------------------
@@ -442,9 +471,11 @@ async function main() {
 
   console.log(`\nFetching releases for ${recentRepos.length} recently active repos...`);
   const allReleases = [];
+  const releasesByRepo = new Map();
   for (const repo of recentRepos) {
     if (rateLimited) break;
     const releases = await fetchRepoReleases(repo.full_name);
+    releasesByRepo.set(repo.name, releases);
     for (const rel of releases) {
       allReleases.push(toRelease(rel, repo.name));
     }
@@ -527,6 +558,38 @@ async function main() {
   writeJson(META_PATH, meta);
   console.log(`Wrote registry meta to ${META_PATH}`);
 
+  // --- Metrics time series (feeds gen-trending) ---
+  const today = new Date().toISOString().slice(0, 10);
+  const now = Date.now();
+  const participation = new Map();
+  for (const repo of recentRepos) {
+    if (rateLimited) break;
+    participation.set(repo.name, await fetchCommitParticipation(repo.full_name));
+  }
+
+  const points = {};
+  for (const repo of active) {
+    const releases = releasesByRepo.get(repo.name) || [];
+    // Repos not pushed in 90 days have no recent commits; unknown stays null
+    const weeks = participation.has(repo.name) ? participation.get(repo.name) : (recentRepos.includes(repo) ? null : []);
+    points[repo.name] = {
+      stars: repo.stargazers_count ?? 0,
+      forks: repo.forks_count ?? 0,
+      releases7d: countReleasesWithin(releases, 7, now),
+      releases30d: countReleasesWithin(releases, 30, now),
+      commits1w: weeks ? (weeks[weeks.length - 1] ?? 0) : null,
+      commits4w: weeks ? weeks.slice(-4).reduce((sum, n) => sum + n, 0) : null,
+    };
+  }
+  const metricsPath = path.join(DATA_DIR, REPO_METRICS_FILE);
+  saveRepoMetrics(metricsPath, recordMetricsPoints(loadRepoMetrics(metricsPath), today, points));
+  console.log(`Recorded metrics for ${Object.keys(points).length} repos in ${metricsPath}`);
+
+  // --- Daily snapshot (feeds gen-catalog-changelog) ---
+  const snapshot = writeSnapshot(DATA_DIR, today);
+  const { pruned } = pruneSnapshots(DATA_DIR, today);
+  console.log(`Wrote snapshot ${today} (${snapshot.files.join(", ")}); pruned ${pruned.length} old snapshot(s)`);
+
   // --- Registry health report ---
   console.log("\n--- Registry Health Report ---");
   console.log(`  Registry tools:      ${registry.size}`);
@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+
+/**
+ * Telemetry Collector
+ *
+ * Optional, self-hostable HTTP endpoint for the tracker's beacon mode.
+ * Validates each event against telemetry-schema.json, applies the same
+ * per-day caps and spike threshold as gen-telemetry-aggregate.mjs, and
+ * appends accepted events to telemetry/events/<YYYY-MM-DD>.jsonl, where the
+ * aggregator picks them up like a manual export.
+ *
+ * Privacy: the collector never reads or stores the client address, sets no
+ * cookies, ignores request headers other than Content-Type/Content-Length,
+ * and keeps only { id, timestamp, type, payload } with schema-declared
+ * payload fields. Event ids are assigned server-side.
+ *
+ * Endpoints:
+ *   POST    /events   body: { "events": [ { type, timestamp, payload } ] } (or a bare array)
+ *                     202 → { accepted, rejected: { <reason>: count } }
+ *   OPTIONS /events   CORS preflight
+ *   GET     /health   200 → { ok: true }
+ *
+ * Reject reasons: malformed, unknown_type, bad_timestamp (unparseable or
+ * more than a day from server time), unknown_field, invalid_payload,
+ * daily_cap (type already at guardrails.dailyTelemetryCapPerType for the
+ * day), spike_guard (day already at guardrails.spikeThreshold events).
+ *
+ * Usage:
+ *   node scripts/telemetry-collector.mjs [--port 8787] [--host 127.0.0.1] [--allow-origin https://example.com]
+ *
+ * Reads:
+ *   site/src/data/telemetry-schema.json
+ *   site/src/data/telemetry/events/*.jsonl (to resume today's counts)
+ *
+ * Writes:
+ *   site/src/data/telemetry/events/<YYYY-MM-DD>.jsonl (append-only)
+ */
+
+import { createServer } from "node:http";
+import { appendFileSync, existsSync, mkdirSync, readFileSync } from "node:fs";
+import { resolve, join } from "node:path";
+import { randomBytes } from "node:crypto";
+import { getConfig, getRoot } from "./lib/config.mjs";
+import { loadTelemetrySchema, validateEvent } from "./lib/telemetry.mjs";
+import { parseEventsFile } from "./gen-telemetry-aggregate.mjs";
+
+const ROOT = getRoot();
+const config = getConfig();
+const DATA_DIR = join(ROOT, config.paths.dataDir);
+
+export const DEFAULT_PORT = 8787;
+export const MAX_BATCH = 50;
+export const MAX_BODY_BYTES = 64 * 1024;
+export const MAX_CLOCK_SKEW_MS = 24 * 60 * 60 * 1000;
+
+// ── Day counters ────────────────────────────────────────────
+
+/**
+ * Per-day counters, seeded from events already on disk so a restart does
+ * not reset the caps.
+ *
+ * @param {string} eventsDir
+ * @returns {(day: string) => { total: number, byType: Record<string, number> }}
+ */
+function dayCounter(eventsDir) {
+  const days = new Map();
+  return (day) => {
+    if (!days.has(day)) {
+      const counts = { total: 0, byType: {} };
+      const file = join(eventsDir, `${day}.jsonl`);
+      if (existsSync(file)) {
+        for (const evt of parseEventsFile(readFileSync(file, "utf8"))) {
+          counts.total++;
+          counts.byType[evt.type] = (counts.byType[evt.type] || 0) + 1;
+        }
+      }
+      days.set(day, counts);
+    }
+    return days.get(day);
+  };
+}
+
+// ── Ingestion ───────────────────────────────────────────────
+
+/**
+ * Create the ingestion function used by the HTTP handler.
+ *
+ * @param {{ schema: object, eventsDir: string, dailyCapPerType?: number, spikeThreshold?: number, now?: () => number }} opts
+ * @returns {(batch: unknown[]) => { accepted: number, rejected: Record<string, number> }}
+ */
+export function createIngestor(opts) {
+  const {
+    schema,
+    eventsDir,
+    dailyCapPerType = config.guardrails.dailyTelemetryCapPerType,
+    spikeThreshold = config.guardrails.spikeThreshold,
+    now = () => Date.now(),
+  } = opts;
+  const countsFor = dayCounter(eventsDir);
+
+  return (batch) => {
+    const rejected = {};
+    const reject = (reason) => { rejected[reason] = (rejected[reason] || 0) + 1; };
+    const lines = new Map();
+    const receivedAt = now();
+
+    for (const raw of batch) {
+      const result = validateEvent(raw, schema);
+      if (!result.ok) { reject(result.reason); continue; }
+
+      const evt = result.event;
+      if (Math.abs(Date.parse(evt.timestamp) - receivedAt) > MAX_CLOCK_SKEW_MS) {
+        reject("bad_timestamp");
+        continue;
+      }
+
+      const day = evt.timestamp.slice(0, 10);
+      const counts = countsFor(day);
+      if ((counts.byType[evt.type] || 0) >= dailyCapPerType) { reject("daily_cap"); continue; }
+      if (counts.total >= spikeThreshold) { reject("spike_guard"); continue; }
+      counts.total++;
+      counts.byType[evt.type] = (counts.byType[evt.type] || 0) + 1;
+
+      const stored = { id: `evt_${receivedAt}_${randomBytes(3).toString("hex")}`, ...evt };
+      if (!lines.has(day)) lines.set(day, []);
+      lines.get(day).push(JSON.stringify(stored));
+    }
+
+    let accepted = 0;
+    if (lines.size > 0) mkdirSync(eventsDir, { recursive: true });
+    for (const [day, dayLines] of lines) {
+      appendFileSync(join(eventsDir, `${day}.jsonl`), dayLines.join("\n") + "\n", "utf8");
+      accepted += dayLines.length;
+    }
+    return { accepted, rejected };
+  };
+}
+
+// ── HTTP ────────────────────────────────────────────────────
+
+/**
+ * Build the collector server (not yet listening).
+ *
+ * @param {{ dataDir?: string, schema?: object, eventsDir?: string, allowOrigin?: string, dailyCapPerType?: number, spikeThreshold?: number, now?: () => number }} [opts]
+ * @returns {import("node:http").Server}
+ */
+export function createCollector(opts = {}) {
+  const {
+    dataDir = DATA_DIR,
+    eventsDir = join(dataDir, "telemetry", "events"),
+    allowOrigin = "*",
+  } = opts;
+  const schema = opts.schema || loadTelemetrySchema(join(dataDir, "telemetry-schema.json"));
+  if (!schema) {
+    throw new Error(`telemetry-schema.json not found or invalid in ${dataDir}`);
+  }
+  const ingest = createIngestor({ ...opts, schema, eventsDir });
+
+  const baseHeaders = {
+    "Access-Control-Allow-Origin": allowOrigin,
+    "Access-Control-Allow-Methods": "POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+    "Cache-Control": "no-store",
+  };
+
+  function send(res, status, body) {
+    if (body === undefined) {
+      res.writeHead(status, baseHeaders);
+      res.end();
+      return;
+    }
+    res.writeHead(status, { ...baseHeaders, "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  }
+
+  return createServer((req, res) => {
+    const path = (req.url || "/").split("?")[0];
+
+    if (path === "/health" && req.method === "GET") return send(res, 200, { ok: true });
+    if (path !== "/events") return send(res, 404, { error: "not found" });
+    if (req.method === "OPTIONS") return send(res, 204);
+    if (req.method !== "POST") return send(res, 405, { error: "method not allowed" });
+
+    const chunks = [];
+    let size = 0;
+    let aborted = false;
+    req.on("data", (chunk) => {
+      if (aborted) return;
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        aborted = true;
+        send(res, 413, { error: `body exceeds ${MAX_BODY_BYTES} bytes` });
+        req.resume();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (aborted) return;
+      let body;
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+      } catch {
+        return send(res, 400, { error: "body must be JSON" });
+      }
+      const batch = Array.isArray(body) ? body : body?.events;
+      if (!Array.isArray(batch)) return send(res, 400, { error: "expected { events: [...] }" });
+      if (batch.length > MAX_BATCH) return send(res, 413, { error: `batch exceeds ${MAX_BATCH} events` });
+
+      try {
+        send(res, 202, ingest(batch));
+      } catch (err) {
+        send(res, 500, { error: "write failed" });
+        console.error(`  Collector write failed: ${err.message}`);
+      }
+    });
+  });
+}
+
+// ── Entry point ─────────────────────────────────────────────
+
+const isMain = process.argv[1] &&
+  resolve(process.argv[1]).endsWith("telemetry-collector.mjs");
+
+if (isMain) {
+  const argValue = (flag) => {
+    const idx = process.argv.indexOf(flag);
+    return idx !== -1 ? process.argv[idx + 1] : undefined;
+  };
+  const port = Number(argValue("--port") || DEFAULT_PORT);
+  const host = argValue("--host") || "127.0.0.1";
+  const allowOrigin = argValue("--allow-origin") || config.site?.url || "*";
+
+  const server = createCollector({ allowOrigin });
+  server.listen(port, host, () => {
+    console.log(`Telemetry collector listening on http://${host}:${port}/events`);
+    console.log(`  Allow-Origin: ${allowOrigin}`);
+  });
+  const stop = () => server.close(() => process.exit(0));
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+}
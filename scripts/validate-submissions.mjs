@@ -31,13 +31,13 @@ export const VALID_CATEGORIES = [
   "desktop", "devtools", "web", "games",
 ];
 
-export const VALID_STATUSES = ["pending", "accepted", "rejected", "withdrawn", "needs-info"];
+export const VALID_STATUSES = ["pending", "reviewing", "accepted", "rejected", "withdrawn", "needs-info"];
 
 export const VALID_LANES = ["promo", "experiment"];
 
 // ── Helpers ────────────────────────────────────────────────
 
-const SLUG_RE = /^[a-z0-9][a-z0-9-]*$/;
+export const SLUG_RE = /^[a-z0-9][a-z0-9-]*$/;
 const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/;
 
 function isHttpsUrl(str) {
@@ -223,6 +223,28 @@ export function validateSubmissionsJson(data) {
       }
     }
 
+    if (s.history != null) {
+      if (!Array.isArray(s.history)) {
+        errors.push(`${prefix}.history: must be an array`);
+      } else {
+        s.history.forEach((h, j) => {
+          const hp = `${prefix}.history[${j}]`;
+          if (!h || typeof h !== "object") {
+            errors.push(`${hp}: must be an object`);
+            return;
+          }
+          if (!VALID_STATUSES.includes(h.from)) errors.push(`${hp}.from: must be one of ${VALID_STATUSES.join(", ")}`);
+          if (!VALID_STATUSES.includes(h.to)) errors.push(`${hp}.to: must be one of ${VALID_STATUSES.join(", ")}`);
+          if (typeof h.at !== "string" || !ISO_DATE_RE.test(h.at)) errors.push(`${hp}.at: invalid ISO date format`);
+          if (typeof h.actor !== "string" || h.actor.length === 0) errors.push(`${hp}.actor: required string`);
+        });
+        const last = s.history[s.history.length - 1];
+        if (last && last.to !== s.status) {
+          errors.push(`${prefix}.history: last entry ends in "${last.to}" but status is "${s.status}"`);
+        }
+      }
+    }
+
     if (s.category && !VALID_CATEGORIES.includes(s.category)) {
       errors.push(`${prefix}.category: invalid value "${s.category}"`);
     }
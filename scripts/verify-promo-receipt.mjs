@@ -0,0 +1,413 @@
+#!/usr/bin/env node
+
+/**
+ * Promo Receipt Verifier
+ *
+ * Recomputes every hash in a promo-week receipt from the git tree at the
+ * commit the receipt records, and checks the receipt's link to the previous
+ * week. Three kinds of check:
+ *
+ *   source — each file in the receipt's `sources` (older receipts: the
+ *            decision/governance inputs and trust.json), read with
+ *            `git show <commit>:<path>`
+ *   trust  — each artifactManifest entry of trust.json at that commit,
+ *            read at the commit trust.json itself records. When that
+ *            commit is not in the history, one unverifiable check
+ *            stands in for the entries.
+ *   chain  — `previous` names the newest earlier receipt in the log and
+ *            matches the hash of its file
+ *   signature — the receipt's `.sig`, and trust.json's `.sig` at the
+ *            commit, verify against the published Ed25519 public key
+ *            (see lib/signing.mjs)
+ *
+ * A receipt whose inputs were not yet committed when it was written records
+ * `commit: null`; it is checked against the commit that last wrote the
+ * receipt file, which committed those inputs alongside it. A receipt with
+ * neither is reported as unverifiable. Unsigned files pass unless
+ * --require-signatures is given.
+ *
+ * `--slug` instead checks one tool's public artifacts (press kit, partner
+ * pack, …) against trust.json's publicManifest subtree (see lib/merkle.mjs).
+ * A partner can run it with just trust.json and their own files, laid out
+ * under --dir by their manifest paths.
+ *
+ * Usage:
+ *   node scripts/verify-promo-receipt.mjs <week>|--all [--write] [--json] [--require-signatures]
+ *   node scripts/verify-promo-receipt.mjs --slug <slug> [--trust <trust.json>] [--dir <dir>] [--json]
+ *   promo-kit verify <week>|--all [--write] [--json] [--require-signatures]
+ *   promo-kit verify --slug <slug> [--trust <trust.json>] [--dir <dir>] [--json]
+ *
+ * Reads:
+ *   site/public/outreach-run/<week>/promo-week-receipt.json(.sig)
+ *   site/public/trust-signing-key.pem
+ *   git history of the kit root
+ *
+ * Writes:
+ *   site/src/data/receipt-verification.json (--write; read by /receipts and /trust)
+ */
+
+import { readFileSync, writeFileSync, existsSync } from "node:fs";
+import { resolve, join } from "node:path";
+import { getConfig, getRoot } from "./lib/config.mjs";
+import {
+  hashContent,
+  repoPath,
+  runGit,
+  weekReceiptPath,
+  listReceiptWeeks,
+  previousReceiptLink,
+} from "./lib/receipts.mjs";
+import { SIGNATURE_EXT, keyId, loadPublicKey, checkSignature } from "./lib/signing.mjs";
+import { hashBytes, verifyPublicSubtree } from "./lib/merkle.mjs";
+
+const ROOT = getRoot();
+const config = getConfig();
+const DATA_DIR = join(ROOT, config.paths.dataDir);
+const PUBLIC_DIR = join(ROOT, config.paths.publicDir);
+
+export const VERIFICATION_FILE = "receipt-verification.json";
+
+// ── Helpers ─────────────────────────────────────────────────
+
+function safeParseJson(filePath, fallback = null) {
+  try {
+    return JSON.parse(readFileSync(filePath, "utf8"));
+  } catch {
+    return fallback;
+  }
+}
+
+function readText(filePath) {
+  try {
+    return readFileSync(filePath, "utf8");
+  } catch {
+    return null;
+  }
+}
+
+/** Hash of a file at a commit, or null when it does not exist there. */
+function hashAt(git, root, commit, path) {
+  try {
+    return hashContent(git(root, ["show", `${commit}:${path}`]));
+  } catch {
+    return null;
+  }
+}
+
+/** Whether a commit exists in the repository. */
+function commitExists(git, root, commit) {
+  try {
+    git(root, ["cat-file", "-e", `${commit}^{commit}`]);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Latest commit that touched a path, or null when it was never committed. */
+function lastCommitOf(git, root, path) {
+  try {
+    return git(root, ["log", "-1", "--format=%H", "--", path]).trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+/** Content of a file at a commit, or null when it does not exist there. */
+function showAt(git, root, commit, path) {
+  try {
+    return git(root, ["show", `${commit}:${path}`]);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Signature check for one file, or null when the file is unsigned and
+ * signatures are optional.
+ */
+function signatureCheck(path, content, sigText, publicKey, requireSignatures) {
+  if (sigText === null && !requireSignatures) return null;
+  const expected = publicKey ? keyId(publicKey) : null;
+  let actual;
+  if (sigText === null) actual = "unsigned";
+  else if (!publicKey) actual = "no public key";
+  else {
+    let sig = null;
+    try { sig = JSON.parse(sigText); } catch { /* invalid below */ }
+    const { status } = checkSignature(content, sig, publicKey);
+    actual = status === "valid" ? expected : status;
+  }
+  return { kind: "signature", path, expected, actual, ok: expected !== null && actual === expected };
+}
+
+// ── Core ────────────────────────────────────────────────────
+
+/**
+ * Repo-relative path → expected hash for a receipt. Receipts written before
+ * `sources` existed are mapped from their `inputs` and `trustReceiptHash`.
+ *
+ * @param {object} receipt
+ * @param {{ root?: string, dataDir?: string, publicDir?: string }} [opts]
+ * @returns {Record<string, string|null>}
+ */
+export function receiptSources(receipt, opts = {}) {
+  if (receipt.sources) return receipt.sources;
+  const { root = ROOT, dataDir = DATA_DIR, publicDir = PUBLIC_DIR } = opts;
+  const inputs = receipt.inputs || {};
+  const legacy = {
+    "promo-decisions.json": inputs.promoDecisionsSha,
+    "experiment-decisions.json": inputs.experimentDecisionsSha,
+    "governance.json": inputs.governanceSha,
+  };
+  const sources = {};
+  for (const [file, hash] of Object.entries(legacy)) {
+    if (hash !== undefined) sources[repoPath(root, join(dataDir, file))] = hash;
+  }
+  if (receipt.trustReceiptHash !== undefined) {
+    sources[repoPath(root, join(publicDir, "trust.json"))] = receipt.trustReceiptHash;
+  }
+  return sources;
+}
+
+/**
+ * Verify one receipt.
+ *
+ * @param {object} receipt
+ * @param {{
+ *   root?: string,
+ *   dataDir?: string,
+ *   publicDir?: string,
+ *   previous?: { week: string, receiptHash: string|null }|null,
+ *   git?: (root: string, args: string[]) => string,
+ *   publicKey?: import("node:crypto").KeyObject|null,
+ *   requireSignatures?: boolean,
+ * }} [opts]
+ *   `previous` is the actual predecessor in the log (default: looked up in publicDir).
+ *   `publicKey` defaults to the key published in publicDir.
+ * @returns {{
+ *   week: string,
+ *   commit: string|null,
+ *   commitFrom: "receipt"|"receipt-file"|null,
+ *   status: "verified"|"mismatch"|"unverifiable",
+ *   checks: Array<{ kind: "source"|"trust"|"chain"|"signature", path: string, expected: string|null, actual: string|null, ok: boolean, unverifiable?: true }>,
+ *   mismatches: number,
+ *   unverified: number,
+ * }}
+ *   `unverifiable` checks could not be run; they count toward `unverified`,
+ *   not `mismatches`.
+ */
+export function verifyReceipt(receipt, opts = {}) {
+  const { root = ROOT, dataDir = DATA_DIR, publicDir = PUBLIC_DIR, git = runGit, requireSignatures = false } = opts;
+  const publicKey = opts.publicKey !== undefined ? opts.publicKey : loadPublicKey(publicDir);
+  const { week } = receipt;
+  const checks = [];
+
+  // The receipt file as published; a receipt object without a file has nothing to check
+  const receiptFile = weekReceiptPath(publicDir, week);
+  const receiptContent = readText(receiptFile);
+  if (receiptContent !== null) {
+    const check = signatureCheck(repoPath(root, receiptFile), receiptContent, readText(receiptFile + SIGNATURE_EXT), publicKey, requireSignatures);
+    if (check) checks.push(check);
+  }
+
+  // Inputs uncommitted at generation time land in the commit that writes the receipt
+  let commit = receipt.commit || null;
+  let commitFrom = commit ? "receipt" : null;
+  if (!commit && receiptContent !== null) {
+    commit = lastCommitOf(git, root, repoPath(root, receiptFile));
+    if (commit) commitFrom = "receipt-file";
+  }
+
+  if (commit) {
+    for (const [path, expected] of Object.entries(receiptSources(receipt, { root, dataDir, publicDir }))) {
+      const actual = hashAt(git, root, commit, path);
+      checks.push({ kind: "source", path, expected, actual, ok: actual === expected });
+    }
+
+    // trust.json as committed carries its own manifest and commit
+    const trustPath = repoPath(root, join(publicDir, "trust.json"));
+    const trustContent = showAt(git, root, commit, trustPath);
+    let trust = null;
+    try {
+      trust = JSON.parse(trustContent);
+    } catch { /* no trust.json at this commit */ }
+    if (trust?.commit && trust.artifactManifest && !commitExists(git, root, trust.commit)) {
+      checks.push({ kind: "trust", path: trustPath, expected: trust.commit, actual: null, ok: false, unverifiable: true });
+    } else if (trust?.commit && trust.artifactManifest) {
+      for (const [file, expected] of Object.entries(trust.artifactManifest)) {
+        const path = repoPath(root, join(dataDir, file));
+        const actual = hashAt(git, root, trust.commit, path);
+        checks.push({ kind: "trust", path, expected, actual, ok: actual === expected });
+      }
+    }
+    if (trustContent !== null) {
+      const check = signatureCheck(trustPath, trustContent, showAt(git, root, commit, trustPath + SIGNATURE_EXT), publicKey, requireSignatures);
+      if (check) checks.push(check);
+    }
+  }
+
+  // Receipts written before chaining carry no `previous` field
+  if ("previous" in receipt) {
+    const link = opts.previous !== undefined ? opts.previous : previousReceiptLink(publicDir, week);
+    const expected = receipt.previous ? `${receipt.previous.week} ${receipt.previous.receiptHash}` : null;
+    const actual = link ? `${link.week} ${link.receiptHash}` : null;
+    checks.push({
+      kind: "chain",
+      path: repoPath(root, weekReceiptPath(publicDir, receipt.previous?.week || link?.week || week)),
+      expected,
+      actual,
+      ok: expected === actual,
+    });
+  }
+
+  const mismatches = checks.filter((c) => !c.ok && !c.unverifiable).length;
+  const unverified = checks.filter((c) => c.unverifiable).length;
+  const status = mismatches > 0 ? "mismatch" : commit ? "verified" : "unverifiable";
+  return { week, commit, commitFrom, status, checks, mismatches, unverified };
+}
+
+// ── Pipeline ────────────────────────────────────────────────
+
+/**
+ * Verify the receipt of one week from the log.
+ *
+ * @param {string} week
+ * @param {Parameters<typeof verifyReceipt>[1]} [opts]
+ * @returns {ReturnType<typeof verifyReceipt>|{ week: string, commit: null, commitFrom: null, status: "missing", checks: [], mismatches: 0, unverified: 0 }}
+ */
+export function verifyWeek(week, opts = {}) {
+  const publicDir = opts.publicDir || PUBLIC_DIR;
+  const receipt = safeParseJson(weekReceiptPath(publicDir, week));
+  if (!receipt) return { week, commit: null, commitFrom: null, status: "missing", checks: [], mismatches: 0, unverified: 0 };
+  return verifyReceipt({ ...receipt, week }, { ...opts, publicDir });
+}
+
+/**
+ * Verify every receipt in the log and optionally write the results for the
+ * site.
+ *
+ * @param {Parameters<typeof verifyReceipt>[1] & { weeks?: string[], write?: boolean }} [opts]
+ * @returns {{ verifiedAt: string, summary: Record<string, number>, weeks: Array<ReturnType<typeof verifyWeek>> }}
+ */
+export function verifyReceiptLog(opts = {}) {
+  const { dataDir = DATA_DIR, publicDir = PUBLIC_DIR, write = false } = opts;
+  const weeks = (opts.weeks || listReceiptWeeks(publicDir)).map((w) => verifyWeek(w, { ...opts, dataDir, publicDir }));
+
+  const summary = { total: weeks.length, verified: 0, mismatch: 0, unverifiable: 0, missing: 0 };
+  for (const w of weeks) summary[w.status]++;
+
+  const result = { verifiedAt: new Date().toISOString(), summary, weeks };
+  if (write) {
+    writeFileSync(join(dataDir, VERIFICATION_FILE), JSON.stringify(result, null, 2) + "\n", "utf8");
+  }
+  return result;
+}
+
+/**
+ * Verify one tool's public artifacts against trust.json's publicManifest.
+ * Files absent from `dir` are skipped, so a partner holding only their
+ * partner pack can still verify it.
+ *
+ * @param {string} slug
+ * @param {{ publicDir?: string, dir?: string, trustPath?: string }} [opts]
+ *   `dir` holds the files by manifest path (default: publicDir);
+ *   `trustPath` defaults to <publicDir>/trust.json.
+ * @returns {ReturnType<typeof verifyPublicSubtree>}
+ */
+export function verifySlugArtifacts(slug, opts = {}) {
+  const { publicDir = PUBLIC_DIR, dir = publicDir, trustPath = join(publicDir, "trust.json") } = opts;
+  const manifest = safeParseJson(trustPath)?.publicManifest || null;
+  const actual = {};
+  for (const path of Object.keys(manifest?.subtrees?.[slug]?.files || {})) {
+    const abs = join(dir, path);
+    actual[path] = existsSync(abs) ? hashBytes(abs) : null;
+  }
+  return verifyPublicSubtree(manifest, slug, actual);
+}
+
+// ── Entry point ─────────────────────────────────────────────
+
+const isMain = process.argv[1] &&
+  resolve(process.argv[1]).endsWith("verify-promo-receipt.mjs");
+
+function argValue(args, flag) {
+  const idx = args.indexOf(flag);
+  return idx >= 0 ? args[idx + 1] : undefined;
+}
+
+if (isMain && process.argv.includes("--slug")) {
+  const args = process.argv.slice(2);
+  const slug = argValue(args, "--slug");
+  if (!slug) {
+    console.error("Usage: node scripts/verify-promo-receipt.mjs --slug <slug> [--trust <trust.json>] [--dir <dir>] [--json]");
+    process.exit(1);
+  }
+
+  const trustPath = argValue(args, "--trust");
+  const dir = argValue(args, "--dir");
+  const result = verifySlugArtifacts(slug, {
+    trustPath: trustPath && resolve(trustPath),
+    dir: dir && resolve(dir),
+  });
+
+  if (args.includes("--json")) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log(`Verifying public artifacts for ${slug}...`);
+    if (result.status === "missing") {
+      console.log("  no artifacts for this slug in trust.json, or none of them found locally");
+    } else {
+      const files = result.checks.filter((c) => c.kind === "file");
+      console.log(`  ${result.status} (${files.filter((c) => c.ok).length}/${files.length} files)`);
+      for (const c of result.checks.filter((c) => !c.ok)) {
+        console.log(`    ✗ [${c.kind}] ${c.path}`);
+        console.log(`        expected ${c.expected ?? "(none)"}`);
+        console.log(`        actual   ${c.actual ?? "(missing)"}`);
+      }
+    }
+  }
+
+  if (result.status !== "verified") process.exitCode = 1;
+} else if (isMain) {
+  const args = process.argv.slice(2);
+  const week = args.find((a) => !a.startsWith("--"));
+  const all = args.includes("--all");
+
+  if (!week && !all) {
+    console.error("Usage: node scripts/verify-promo-receipt.mjs <week>|--all [--write] [--json] [--require-signatures]");
+    console.error("       node scripts/verify-promo-receipt.mjs --slug <slug> [--trust <trust.json>] [--dir <dir>] [--json]");
+    process.exit(1);
+  }
+
+  const result = verifyReceiptLog({
+    weeks: week ? [week] : undefined,
+    write: args.includes("--write"),
+    requireSignatures: args.includes("--require-signatures"),
+  });
+
+  if (args.includes("--json")) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log("Verifying promo receipts...");
+    if (result.weeks.length === 0) console.log("  No receipts in the log.");
+    for (const w of result.weeks) {
+      if (w.status === "missing") {
+        console.log(`  ${w.week}: no receipt in the log`);
+        continue;
+      }
+      const checked = w.checks.length - w.unverified;
+      console.log(`  ${w.week}: ${w.status}${w.commit ? ` @ ${w.commit.slice(0, 7)}` : ""} (${checked - w.mismatches}/${checked} checks${w.unverified > 0 ? `, ${w.unverified} unverifiable` : ""})`);
+      for (const c of w.checks.filter((c) => c.unverifiable)) {
+        console.log(`    ? [${c.kind}] ${c.path}: commit ${c.expected} is not in the history`);
+      }
+      for (const c of w.checks.filter((c) => !c.ok && !c.unverifiable)) {
+        console.log(`    ✗ [${c.kind}] ${c.path}`);
+        console.log(`        expected ${c.expected ?? "(none)"}`);
+        console.log(`        actual   ${c.actual ?? "(missing)"}`);
+      }
+    }
+  }
+
+  if (result.summary.mismatch > 0 || result.summary.missing > 0) process.exitCode = 1;
+}
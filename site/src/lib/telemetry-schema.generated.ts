@@ -0,0 +1,83 @@
+// GENERATED by scripts/gen-telemetry-guard.mjs from telemetry-schema.json — do not edit.
+// Run `node scripts/gen-telemetry-guard.mjs` after changing the schema.
+
+export const TELEMETRY_SCHEMA_VERSION = 1;
+
+export const TELEMETRY_EVENT_TYPES = [
+  "copy_proof_link",
+  "copy_bundle",
+  "copy_verify_cmd",
+  "copy_install",
+  "copy_proof_bullets",
+  "copy_claim",
+  "click_evidence_link",
+  "click_receipt_link",
+  "click_submit_link",
+] as const;
+
+export type TelemetryEventType = (typeof TELEMETRY_EVENT_TYPES)[number];
+
+export interface PayloadRule {
+  type: "string" | "number";
+  pattern?: string;
+  enum?: ReadonlyArray<string | number>;
+  maxLength?: number;
+  minimum?: number;
+  maximum?: number;
+}
+
+export const PAYLOAD_RULES: Record<TelemetryEventType, Record<string, PayloadRule>> = {
+  copy_proof_link: {
+    week: { type: "string", pattern: "^\\d{4}-(\\d{2}-\\d{2}|W\\d{2})$" },
+    slug: { type: "string", maxLength: 80 },
+  },
+  copy_bundle: {
+    week: { type: "string", pattern: "^\\d{4}-(\\d{2}-\\d{2}|W\\d{2})$" },
+  },
+  copy_verify_cmd: {
+    week: { type: "string", pattern: "^\\d{4}-(\\d{2}-\\d{2}|W\\d{2})$" },
+  },
+  copy_install: {
+    slug: { type: "string", maxLength: 80 },
+  },
+  copy_proof_bullets: {
+    slug: { type: "string", maxLength: 80 },
+  },
+  copy_claim: {
+    slug: { type: "string", maxLength: 80 },
+    claimIndex: { type: "number", minimum: 0, maximum: 50 },
+  },
+  click_evidence_link: {
+    slug: { type: "string", maxLength: 80 },
+    evidenceType: { type: "string", enum: ["image", "link", "file"] },
+  },
+  click_receipt_link: {
+    week: { type: "string", pattern: "^\\d{4}-(\\d{2}-\\d{2}|W\\d{2})$" },
+  },
+  click_submit_link: {
+    linkType: { type: "string", enum: ["fork", "issue-form", "queue", "trust"] },
+  },
+};
+
+export function isTelemetryEventType(type: string): type is TelemetryEventType {
+  return (TELEMETRY_EVENT_TYPES as ReadonlyArray<string>).includes(type);
+}
+
+function matchesRule(value: unknown, rule: PayloadRule): boolean {
+  if (rule.type === "string") {
+    if (typeof value !== "string") return false;
+    if (rule.maxLength != null && value.length > rule.maxLength) return false;
+    if (rule.pattern && !new RegExp(rule.pattern).test(value)) return false;
+  } else {
+    if (typeof value !== "number" || !Number.isFinite(value)) return false;
+    if (rule.minimum != null && value < rule.minimum) return false;
+    if (rule.maximum != null && value > rule.maximum) return false;
+  }
+  return !rule.enum || rule.enum.includes(value as string | number);
+}
+
+/** True when every payload field is declared for the type and satisfies its rule. */
+export function isValidPayload(type: TelemetryEventType, payload: Record<string, unknown>): boolean {
+  const rules = PAYLOAD_RULES[type];
+  return Object.entries(payload).every(([field, value]) => Object.hasOwn(rules, field) && matchesRule(value, rules[field]));
+}
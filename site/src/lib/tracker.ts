@@ -3,31 +3,42 @@
  *
  * No cookies, no user IDs, no IP storage, no fingerprinting, no external services.
  * Events buffered in localStorage, exported manually via /lab/telemetry-export/.
+ *
+ * Beacon mode (optional): when PUBLIC_TELEMETRY_ENDPOINT is set at build time,
+ * events are also queued and POSTed in batches to a self-hosted collector
+ * (scripts/telemetry-collector.mjs). Beacons omit credentials and referrer,
+ * carry no event ids, and round timestamps down to the minute. Beaconed
+ * events stay in the local buffer (for dedupe and the preview) but are left
+ * out of the JSONL export, so the aggregator does not count them twice.
+ *
+ * Event types and payload rules come from telemetry-schema.json via the
+ * generated telemetry-schema.generated.ts (scripts/gen-telemetry-guard.mjs).
  */
 
+import { isTelemetryEventType, isValidPayload } from "./telemetry-schema.generated";
+
 const STORAGE_KEY = "mcpt_telemetry";
 const MAX_BUFFER = 1000;
 const DEDUPE_WINDOW_MS = 2000;
 
-const VALID_TYPES = new Set([
-  "copy_proof_link",
-  "copy_bundle",
-  "copy_verify_cmd",
-  "copy_install",
-  "copy_proof_bullets",
-  "copy_claim",
-  "click_evidence_link",
-  "click_receipt_link",
-  "click_submit_link",
-]);
+const PENDING_KEY = "mcpt_telemetry_pending";
+const BEACON_ENDPOINT: string = import.meta.env.PUBLIC_TELEMETRY_ENDPOINT || "";
+const BEACON_BATCH_SIZE = 10;
+const BEACON_MAX_BATCH = 50; // collector limit per request
+const BEACON_MAX_PENDING = 200;
+const BEACON_FLUSH_MS = 15000;
 
 interface TelemetryEvent {
   id: string;
   timestamp: string;
   type: string;
   payload: Record<string, unknown>;
+  /** Handed to the collector; excluded from the export. */
+  beaconed?: true;
 }
 
+type BeaconEvent = Omit<TelemetryEvent, "id" | "beaconed">;
+
 function randomHex(len: number): string {
   const arr = new Uint8Array(len);
   crypto.getRandomValues(arr);
@@ -52,11 +63,99 @@ function writeBuffer(events: TelemetryEvent[]): void {
   }
 }
 
+// ── Beacon mode ──────────────────────────────────────────────
+
+let flushTimer: ReturnType<typeof setTimeout> | null = null;
+let beaconListenersAttached = false;
+
+function readPending(): BeaconEvent[] {
+  try {
+    const raw = localStorage.getItem(PENDING_KEY);
+    return raw ? JSON.parse(raw) : [];
+  } catch {
+    return [];
+  }
+}
+
+function writePending(events: BeaconEvent[]): void {
+  try {
+    if (events.length === 0) localStorage.removeItem(PENDING_KEY);
+    else localStorage.setItem(PENDING_KEY, JSON.stringify(events.slice(-BEACON_MAX_PENDING)));
+  } catch {
+    // fail silently
+  }
+}
+
+function toBeaconEvent(event: TelemetryEvent): BeaconEvent {
+  return {
+    timestamp: event.timestamp.slice(0, 16) + ":00.000Z",
+    type: event.type,
+    payload: event.payload,
+  };
+}
+
+/** Whether beacon mode is configured for this build. */
+export function isBeaconEnabled(): boolean {
+  return BEACON_ENDPOINT !== "";
+}
+
+/**
+ * Send queued events to the collector. Events are removed from the queue
+ * before sending and re-queued if the request fails while the page is alive.
+ */
+export function flushBeacon(): void {
+  if (!isBeaconEnabled()) return;
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+
+  const pending = readPending();
+  if (pending.length === 0) return;
+  writePending([]);
+
+  for (let i = 0; i < pending.length; i += BEACON_MAX_BATCH) {
+    const batch = pending.slice(i, i + BEACON_MAX_BATCH);
+    fetch(BEACON_ENDPOINT, {
+      method: "POST",
+      // text/plain keeps this a simple request (no CORS preflight)
+      headers: { "Content-Type": "text/plain" },
+      body: JSON.stringify({ events: batch }),
+      credentials: "omit",
+      referrerPolicy: "no-referrer",
+      keepalive: true,
+    }).catch(() => {
+      writePending([...batch, ...readPending()]);
+    });
+  }
+}
+
+function queueBeacon(event: TelemetryEvent): void {
+  const pending = readPending();
+  pending.push(toBeaconEvent(event));
+  writePending(pending);
+
+  if (!beaconListenersAttached && typeof window !== "undefined") {
+    beaconListenersAttached = true;
+    window.addEventListener("pagehide", flushBeacon);
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "hidden") flushBeacon();
+    });
+  }
+
+  if (pending.length >= BEACON_BATCH_SIZE) {
+    flushBeacon();
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(flushBeacon, BEACON_FLUSH_MS);
+  }
+}
+
 /**
- * Track an event. Validates type, deduplicates within 2s window, buffers to localStorage.
+ * Track an event. Validates type and payload against the telemetry schema,
+ * deduplicates within 2s window, buffers to localStorage.
  */
 export function trackEvent(type: string, payload: Record<string, unknown> = {}): void {
-  if (!VALID_TYPES.has(type)) return;
+  if (!isTelemetryEventType(type) || !isValidPayload(type, payload)) return;
 
   const events = readBuffer();
   const now = Date.now();
@@ -76,6 +175,7 @@ export function trackEvent(type: string, payload: Record<string, unknown> = {}):
     type,
     payload,
   };
+  if (isBeaconEnabled()) event.beaconed = true;
 
   events.push(event);
 
@@ -85,6 +185,8 @@ export function trackEvent(type: string, payload: Record<string, unknown> = {}):
   }
 
   writeBuffer(events);
+
+  if (isBeaconEnabled()) queueBeacon(event);
 }
 
 /** Retrieve all buffered events. */
@@ -96,14 +198,16 @@ export function getEvents(): TelemetryEvent[] {
 export function clearEvents(): void {
   try {
     localStorage.removeItem(STORAGE_KEY);
+    localStorage.removeItem(PENDING_KEY);
   } catch {
     // fail silently
   }
 }
 
-/** Export buffered events as JSONL string. */
+/** Export buffered events not already sent to the collector as JSONL string. */
 export function exportEventsJsonl(): string {
   return readBuffer()
+    .filter((e) => !e.beaconed)
     .map((e) => JSON.stringify(e))
     .join("\n");
 }
@@ -12,6 +12,15 @@ import path from "node:path";
 import { fileURLToPath } from "node:url";
 import { validateUrl } from "../../scripts/lib/sanitize.mjs";
 import { KIT_VERSION_SUPPORTED } from "../../scripts/lib/config.mjs";
+import { buildTrending } from "../../scripts/gen-trending.mjs";
+import { loadRepoMetrics } from "../../scripts/lib/repo-metrics.mjs";
+import { REJECT_REASONS, validateEvent } from "../../scripts/lib/telemetry.mjs";
+import { PARTNER_STAGES, INTERACTION_KINDS, lastContactAt } from "../../scripts/lib/partners.mjs";
+import { renderTelemetryGuard, GUARD_OUTPUT } from "../../scripts/gen-telemetry-guard.mjs";
+import { checkForCriterion } from "../../scripts/lib/worthy-checks.mjs";
+import { hashFile } from "../../scripts/lib/receipts.mjs";
+import { subtreeRoot, manifestRoot } from "../../scripts/lib/merkle.mjs";
+import { orphanOverrideKeys } from "../../scripts/lib/overrides.mjs";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const DATA = path.resolve(__dirname, "../../site/src/data");
@@ -83,12 +92,8 @@ describe("overrides.json", () => {
   });
 
   it("every override key exists in projects.json (except registry)", () => {
-    const projectRepos = new Set(projects.map((p) => p.repo));
     // mcp-tool-registry is the registry repo, not a tool — allowed as override
-    const ALLOWED_ORPHANS = new Set(["mcp-tool-registry"]);
-    const orphans = Object.keys(overrides).filter(
-      (k) => !projectRepos.has(k) && !ALLOWED_ORPHANS.has(k)
-    );
+    const orphans = orphanOverrideKeys(overrides, projects);
     assert.equal(
       orphans.length,
       0,
@@ -223,6 +228,24 @@ describe("promo-queue.json", () => {
       }
     }
   });
+
+  it("planned weeks have a date, slugs and a valid promotion type", () => {
+    if (promoQueue.weeks === undefined) return;
+    assert.ok(Array.isArray(promoQueue.weeks), "weeks must be an array");
+    const seen = new Set();
+    for (const w of promoQueue.weeks) {
+      assert.match(w.week, /^\d{4}-\d{2}-\d{2}$/, `week must be YYYY-MM-DD, got: ${w.week}`);
+      assert.ok(!seen.has(w.week), `duplicate planned week ${w.week}`);
+      seen.add(w.week);
+      assert.ok(Array.isArray(w.slugs), `weeks[${w.week}].slugs must be an array`);
+      for (const entry of w.slugs) {
+        assert.ok(typeof entry === "string" || entry?.slug, `weeks[${w.week}] slug entry must have slug field`);
+      }
+      if (w.promotionType !== undefined) {
+        assert.ok(["own", "ecosystem"].includes(w.promotionType), `weeks[${w.week}].promotionType must be own or ecosystem`);
+      }
+    }
+  });
 });
 
 describe("worthy.json", () => {
@@ -236,6 +259,12 @@ describe("worthy.json", () => {
     assert.ok(worthy.repos && typeof worthy.repos === "object", "repos must be object");
   });
 
+  it("every rubric criterion maps to a registered check", () => {
+    for (const criterion of worthy.rubric.criteria) {
+      assert.ok(checkForCriterion(criterion, worthy.rubric), `no check registered for "${criterion}"`);
+    }
+  });
+
   it("every repo has required rubric fields", () => {
     for (const [slug, entry] of Object.entries(worthy.repos)) {
       assert.ok(typeof entry.worthy === "boolean", `${slug}: worthy must be boolean`);
@@ -266,6 +295,23 @@ describe("trust.json", () => {
     assert.ok(typeof trust.provenClaims === "number", "must have provenClaims count");
     assert.ok(trust.worthyStats && typeof trust.worthyStats === "object", "must have worthyStats");
   });
+
+  it("publicManifest roots follow from its listed hashes when present", () => {
+    const PUBLIC = path.resolve(__dirname, "../../site/public");
+    let trust = null;
+    try {
+      trust = JSON.parse(fs.readFileSync(path.join(PUBLIC, "trust.json"), "utf8"));
+    } catch { /* optional file */ }
+    const manifest = trust?.publicManifest;
+    if (!manifest) return; // receipts before the public manifest
+    let fileCount = 0;
+    for (const [slug, subtree] of Object.entries(manifest.subtrees)) {
+      assert.equal(subtreeRoot(subtree.files), subtree.root, `subtree ${slug} root does not match its files`);
+      fileCount += Object.keys(subtree.files).length;
+    }
+    assert.equal(manifestRoot(manifest.subtrees), manifest.merkleRoot, "merkleRoot does not match the subtree roots");
+    assert.equal(manifest.fileCount, fileCount, "fileCount must equal the number of listed files");
+  });
 });
 
 describe("baseline.json", () => {
@@ -300,6 +346,24 @@ describe("partners.json", () => {
       );
     }
   });
+
+  it("stage and interaction log are well-formed", () => {
+    for (const p of partners.partners) {
+      if (p.stage !== undefined) {
+        assert.ok(PARTNER_STAGES.includes(p.stage), `${p.name}: invalid stage "${p.stage}"`);
+      }
+      const log = p.interactions || [];
+      for (const i of log) {
+        assert.ok(INTERACTION_KINDS.includes(i.kind), `${p.name}: invalid interaction kind "${i.kind}"`);
+        assert.ok(!Number.isNaN(Date.parse(i.at)), `${p.name}: interaction has invalid at "${i.at}"`);
+      }
+      const ats = log.map((i) => i.at);
+      assert.deepEqual(ats, [...ats].sort(), `${p.name}: interactions must be in time order`);
+      if (log.some((i) => i.kind === "sent")) {
+        assert.equal(p.lastContactedAt, lastContactAt(p), `${p.name}: lastContactedAt must match the latest sent interaction`);
+      }
+    }
+  });
 });
 
 describe("feedback-summary.json", () => {
@@ -336,8 +400,28 @@ describe("experiments.json", () => {
       assert.ok(exp.name, `${exp.id}: must have name`);
       assert.ok(exp.status, `${exp.id}: must have status`);
       assert.ok(exp.dimension, `${exp.id}: must have dimension`);
-      assert.ok(exp.control && exp.control.key, `${exp.id}: must have control.key`);
-      assert.ok(exp.variant && exp.variant.key, `${exp.id}: must have variant.key`);
+      if (Array.isArray(exp.arms)) {
+        assert.ok(exp.arms.length >= 2, `${exp.id}: must declare at least two arms`);
+        assert.ok(exp.arms.every((a) => a.key), `${exp.id}: every arm must have a key`);
+        const keys = exp.arms.map((a) => a.key);
+        assert.equal(new Set(keys).size, keys.length, `${exp.id}: arm keys must be unique`);
+        assert.ok(exp.arms.filter((a) => a.control === true).length <= 1, `${exp.id}: at most one control arm`);
+      } else {
+        assert.ok(exp.control && exp.control.key, `${exp.id}: must have control.key`);
+        assert.ok(exp.variant && exp.variant.key, `${exp.id}: must have variant.key`);
+      }
+    }
+  });
+
+  it("primaryMetric is valid enum when present", () => {
+    if (!experiments) return;
+    const VALID = ["replied", "opened", "score"];
+    for (const exp of experiments.experiments) {
+      if (exp.primaryMetric === undefined) continue;
+      assert.ok(
+        VALID.includes(exp.primaryMetric),
+        `${exp.id}: primaryMetric must be replied|opened|score, got: ${exp.primaryMetric}`
+      );
     }
   });
 
@@ -431,6 +515,32 @@ describe("governance.json", () => {
     assert.ok(Number.isInteger(governance.minExperimentDataThreshold), "minExperimentDataThreshold must be integer");
   });
 
+  it("experiment evaluation settings are valid when present", () => {
+    if (governance.experimentMethod !== undefined) {
+      assert.ok(
+        ["ratio", "z-test", "fisher", "bayesian"].includes(governance.experimentMethod),
+        `unknown experimentMethod: ${governance.experimentMethod}`
+      );
+    }
+    if (governance.experimentSignificanceLevel !== undefined) {
+      assert.ok(governance.experimentSignificanceLevel > 0, "experimentSignificanceLevel must be > 0");
+      assert.ok(governance.experimentSignificanceLevel < 0.5, "experimentSignificanceLevel must be < 0.5");
+    }
+  });
+
+  it("scoring profile entries are well-formed", () => {
+    if (governance.scoring === undefined) return;
+    assert.ok(Array.isArray(governance.scoring.scorers), "scoring.scorers must be array");
+    const ids = new Set();
+    for (const s of governance.scoring.scorers) {
+      assert.ok(typeof s.id === "string" && s.id.length > 0, "scorer id must be non-empty string");
+      assert.ok(!ids.has(s.id), `duplicate scorer id: ${s.id}`);
+      ids.add(s.id);
+      if (s.weight !== undefined) assert.ok(typeof s.weight === "number" && s.weight >= 0, `${s.id}: weight must be >= 0`);
+      if (s.max !== undefined) assert.ok(typeof s.max === "number" && s.max >= 0, `${s.id}: max must be >= 0`);
+    }
+  });
+
   it("hardRules is non-empty string array", () => {
     assert.ok(governance.hardRules.length > 0, "hardRules must not be empty");
     for (const rule of governance.hardRules) {
@@ -661,6 +771,9 @@ describe("governance freeze consistency", () => {
     if ("experimentsFrozen" in governance) {
       assert.ok(typeof governance.experimentsFrozen === "boolean", "experimentsFrozen must be boolean");
     }
+    if ("autoDeferRegressed" in governance) {
+      assert.ok(typeof governance.autoDeferRegressed === "boolean", "autoDeferRegressed must be boolean");
+    }
   });
 
   it("schemaVersion >= 2 when freeze fields are present", () => {
@@ -760,6 +873,20 @@ describe("promo-week receipts contract", () => {
       assert.match(rf.data.week, /^\d{4}-\d{2}-\d{2}$/, `receipt ${rf.week} has invalid week format`);
     }
   });
+
+  it("chained receipts link to the hash of the previous receipt in the log", () => {
+    const sorted = [...receiptFiles].sort((a, b) => a.week.localeCompare(b.week));
+    for (let i = 0; i < sorted.length; i++) {
+      const rf = sorted[i];
+      if (!("previous" in rf.data)) continue;
+      const prev = sorted[i - 1];
+      if (!prev) {
+        assert.equal(rf.data.previous, null, `receipt ${rf.week} links to a week missing from the log`);
+        continue;
+      }
+      assert.deepEqual(rf.data.previous, { week: prev.week, receiptHash: hashFile(prev.path) }, `receipt ${rf.week} breaks the chain`);
+    }
+  });
 });
 
 describe("trust page contract", () => {
@@ -805,7 +932,7 @@ describe("submissions.json", () => {
   });
 
   it("status is valid enum (pending, accepted, rejected, withdrawn, needs-info)", () => {
-    const VALID = ["pending", "accepted", "rejected", "withdrawn", "needs-info"];
+    const VALID = ["pending", "reviewing", "accepted", "rejected", "withdrawn", "needs-info"];
     for (const s of submissionsData?.submissions || []) {
       assert.ok(VALID.includes(s.status), `${s.slug}: invalid status "${s.status}"`);
     }
@@ -916,6 +1043,63 @@ describe("telemetry-schema.json", () => {
     }
   });
 
+  it("generated tracker guard matches the schema", () => {
+    const generated = fs.readFileSync(GUARD_OUTPUT, "utf8");
+    assert.equal(
+      generated,
+      renderTelemetryGuard(telemetrySchema),
+      "telemetry-schema.generated.ts is stale — run node scripts/gen-telemetry-guard.mjs"
+    );
+  });
+
+  it("payloads the site emits pass validation at capture and ingest", async () => {
+    // Weeks as the pages see them: promo/[week].astro uses the outreach-run
+    // dir name (YYYY-MM-DD); ReceiptLink.astro extracts the week from its href
+    const SITE = path.resolve(__dirname, "../../site");
+    const outreachDir = path.join(SITE, "public", "outreach-run");
+    const weeks = fs.existsSync(outreachDir)
+      ? fs.readdirSync(outreachDir).filter((d) => /^\d{4}-\d{2}-\d{2}$/.test(d))
+      : [];
+    if (weeks.length === 0) weeks.push(new Date().toISOString().slice(0, 10));
+
+    const receiptLinkSrc = fs.readFileSync(path.join(SITE, "src", "components", "ReceiptLink.astro"), "utf8");
+    const hrefPattern = receiptLinkSrc.match(/href\.match\(\/(.+)\/\)/);
+    assert.ok(hrefPattern, "ReceiptLink.astro week extraction not found");
+    const receiptLinkWeek = (href) => href.match(new RegExp(hrefPattern[1]))?.[1] || "";
+
+    const emitted = [];
+    for (const week of weeks) {
+      emitted.push(["copy_proof_link", { week, slug: "zip-meta-map" }]);
+      emitted.push(["copy_bundle", { week }]);
+      emitted.push(["copy_verify_cmd", { week }]);
+      for (const href of [`/promo/${week}/`, `/outreach-run/${week}/promo-week-receipt.json`, "/trust.json"]) {
+        const linkWeek = receiptLinkWeek(href);
+        emitted.push(["click_receipt_link", linkWeek ? { week: linkWeek } : {}]);
+      }
+    }
+
+    // submit/index.astro sends each link's data-link-type as linkType
+    const submitSrc = fs.readFileSync(path.join(SITE, "src", "pages", "submit", "index.astro"), "utf8");
+    const linkTypes = [...submitSrc.matchAll(/data-link-type="([^"]+)"/g)].map((m) => m[1]);
+    assert.ok(linkTypes.length > 0, "submit page links not found");
+    for (const linkType of linkTypes) emitted.push(["click_submit_link", { linkType }]);
+
+    // Capture: the generated guard tracker.ts calls (needs Node's TypeScript stripping)
+    let isValidPayload = null;
+    const { stripTypeScriptTypes } = await import("node:module");
+    if (typeof stripTypeScriptTypes === "function") {
+      const js = stripTypeScriptTypes(fs.readFileSync(GUARD_OUTPUT, "utf8"));
+      ({ isValidPayload } = await import(`data:text/javascript,${encodeURIComponent(js)}`));
+    }
+
+    for (const [type, payload] of emitted) {
+      const label = `${type} ${JSON.stringify(payload)}`;
+      if (isValidPayload) assert.ok(isValidPayload(type, payload), `tracker drops ${label}`);
+      const result = validateEvent({ type, timestamp: new Date().toISOString(), payload }, telemetrySchema);
+      assert.ok(result.ok, `collector/aggregator reject ${label}: ${result.reason} ${result.detail || ""}`);
+    }
+  });
+
   it("no PII field names (email, ip, userId, userAgent, cookie)", () => {
     const PII_FIELDS = ["email", "ip", "userId", "userAgent", "cookie", "password", "token"];
     for (const [name, def] of Object.entries(telemetrySchema.eventTypes)) {
@@ -937,6 +1121,12 @@ describe("telemetry rollup.json", () => {
     assert.ok("metrics" in telemetryRollup, "must have metrics");
   });
 
+  it("rejectedByReason keys are known reject reasons", () => {
+    for (const reason of Object.keys(telemetryRollup?.guardrails?.rejectedByReason || {})) {
+      assert.ok(REJECT_REASONS.includes(reason), `unknown reject reason "${reason}"`);
+    }
+  });
+
   it("byType keys are valid event type names from schema", () => {
     if (!telemetrySchema || !telemetryRollup) return;
     const validTypes = new Set(Object.keys(telemetrySchema.eventTypes));
@@ -960,6 +1150,12 @@ describe("queue-health.json", () => {
       assert.ok(VALID.includes(key), `byStatus key "${key}" not a valid submission status`);
     }
   });
+
+  it("duplicateCount matches duplicateSlugs when present", () => {
+    if (!("duplicateSlugs" in queueHealthData)) return;
+    assert.ok(Array.isArray(queueHealthData.duplicateSlugs), "duplicateSlugs must be an array");
+    assert.equal(queueHealthData.duplicateCount, queueHealthData.duplicateSlugs.length);
+  });
 });
 
 // ── Phase 23: Recommendations Contract ───────────────────────
@@ -1074,6 +1270,27 @@ describe("recommendation-patch.json", () => {
   });
 });
 
+// ── trending.json ────────────────────────────────────────────
+
+describe("trending.json", () => {
+  const trending = loadJson("trending.json");
+
+  it("matches a recomputation from repo-metrics.json", () => {
+    if (!trending) return;
+    const metrics = loadRepoMetrics(path.join(DATA, "repo-metrics.json"));
+    assert.deepEqual(trending, buildTrending(metrics, projects));
+  });
+
+  it("only lists listed projects", () => {
+    if (!trending) return;
+    const listed = new Set(projects.filter((p) => !p.unlisted).map((p) => p.repo));
+    for (const item of trending.items) {
+      assert.ok(listed.has(item.slug), `trending item ${item.slug} is not a listed project`);
+      assert.ok(item.reason, `trending item ${item.slug} must have a reason`);
+    }
+  });
+});
+
 // ── kit.config.json ──────────────────────────────────────────
 
 describe("kit.config.json", () => {
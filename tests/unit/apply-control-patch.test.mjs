@@ -44,6 +44,48 @@ describe("validatePatch", () => {
     assert.ok(result.errors.some((e) => e.includes("maxPromosPerWeek")));
   });
 
+  it("accepts experiment evaluation settings", () => {
+    const result = validatePatch({ "governance.json": { experimentMethod: "fisher", experimentSignificanceLevel: 0.01 } });
+    assert.equal(result.valid, true);
+  });
+
+  it("rejects unknown experimentMethod and out-of-range significance level", () => {
+    const result = validatePatch({ "governance.json": { experimentMethod: "vibes", experimentSignificanceLevel: 0.9 } });
+    assert.equal(result.valid, false);
+    assert.ok(result.errors.some((e) => e.includes("experimentMethod")));
+    assert.ok(result.errors.some((e) => e.includes("experimentSignificanceLevel")));
+  });
+
+  it("accepts a scoring profile that re-weights built-in scorers", () => {
+    const result = validatePatch({ "governance.json": { scoring: { scorers: [{ id: "proof", weight: 1.5, max: 40 }, { id: "worthy", enabled: false }] } } });
+    assert.equal(result.valid, true);
+  });
+
+  it("rejects scoring profiles that load plugin modules", () => {
+    const result = validatePatch({ "governance.json": { scoring: { scorers: [{ id: "x", module: "scorers/x.mjs" }] } } });
+    assert.equal(result.valid, false);
+    assert.ok(result.errors.some((e) => e.includes("scoring")));
+  });
+
+  it("accepts freeze windows and rejects reversed or malformed ones", () => {
+    const ok = validatePatch({ "governance.json": { freezeWindows: [{ start: "2026-12-20", end: "2027-01-03", reason: "holidays" }] } });
+    assert.equal(ok.valid, true);
+    for (const freezeWindows of [[{ start: "2027-01-03", end: "2026-12-20" }], [{ start: "next week", end: "2026-12-20" }], { start: "2026-12-20" }]) {
+      const result = validatePatch({ "governance.json": { freezeWindows } });
+      assert.equal(result.valid, false, JSON.stringify(freezeWindows));
+      assert.ok(result.errors.some((e) => e.includes("freezeWindows")));
+    }
+  });
+
+  it("validates submissionSla", () => {
+    const ok = validatePatch({ "governance.json": { submissionSla: { statusDays: { pending: 5, "needs-info": 14 }, firstResponseDays: 2 } } });
+    assert.equal(ok.valid, true);
+    for (const submissionSla of [{ statusDays: { accepted: 5 } }, { firstResponseDays: 0 }, { statusDays: { pending: 1.5 } }, { extra: 1 }, []]) {
+      const result = validatePatch({ "governance.json": { submissionSla } });
+      assert.equal(result.valid, false, JSON.stringify(submissionSla));
+    }
+  });
+
   it("rejects patch to schemaVersion", () => {
     const result = validatePatch({ "governance.json": { schemaVersion: 99 } });
     assert.equal(result.valid, false);
@@ -1,14 +1,17 @@
 import { describe, it } from "node:test";
 import assert from "node:assert/strict";
-import { mkdtempSync, writeFileSync, readFileSync } from "node:fs";
+import { mkdtempSync, writeFileSync, readFileSync, mkdirSync, existsSync } from "node:fs";
 import { join } from "node:path";
 import { tmpdir } from "node:os";
 import {
   validateStatusPatch,
   applyStatusPatch,
   applySubmissionStatus,
+  validateTransition,
+  TRANSITIONS,
   VALID_STATUSES,
 } from "../../scripts/apply-submission-status.mjs";
+import { orphanOverrideKeys } from "../../scripts/lib/overrides.mjs";
 
 function makeTmpSubmissions(submissions = []) {
   const tmp = mkdtempSync(join(tmpdir(), "sub-status-"));
@@ -122,6 +125,16 @@ describe("applyStatusPatch", () => {
     assert.ok(result.submission.updatedAt >= before);
   });
 
+  it("records the first response once", () => {
+    const tmp = makeTmpSubmissions([makeSeedSubmission()]);
+    const first = applyStatusPatch("test-tool", { reviewer: "@rev" }, { dataDir: tmp });
+    assert.equal(first.submission.firstResponseAt, undefined);
+    const second = applyStatusPatch("test-tool", { status: "reviewing", updatedAt: "2026-03-01T00:00:00Z" }, { dataDir: tmp });
+    assert.equal(second.submission.firstResponseAt, "2026-03-01T00:00:00Z");
+    const third = applyStatusPatch("test-tool", { status: "needs-info", updatedAt: "2026-03-04T00:00:00Z" }, { dataDir: tmp });
+    assert.equal(third.submission.firstResponseAt, "2026-03-01T00:00:00Z");
+  });
+
   it("slug not found returns error", () => {
     const tmp = makeTmpSubmissions([makeSeedSubmission()]);
     const result = applyStatusPatch("nonexistent", { status: "accepted" }, { dataDir: tmp });
@@ -147,6 +160,135 @@ describe("applyStatusPatch", () => {
   });
 });
 
+// ── Transitions and history ─────────────────────────────────
+
+describe("validateTransition", () => {
+  it("covers every status", () => {
+    assert.deepEqual(Object.keys(TRANSITIONS).sort(), [...VALID_STATUSES].sort());
+  });
+
+  it("allows review transitions and rejects leaving accepted", () => {
+    assert.equal(validateTransition("pending", "reviewing").valid, true);
+    assert.equal(validateTransition("needs-info", "accepted").valid, false);
+    const result = validateTransition("accepted", "pending");
+    assert.equal(result.valid, false);
+    assert.match(result.error, /not allowed/);
+  });
+
+  it("reopens closed submissions only with the reopen flag", () => {
+    assert.equal(validateTransition("rejected", "pending").valid, false);
+    assert.deepEqual(validateTransition("rejected", "pending", { reopen: true }), { valid: true, action: "reopen" });
+    assert.equal(validateTransition("withdrawn", "reviewing", { reopen: true }).valid, false);
+  });
+});
+
+describe("status history", () => {
+  it("appends an entry per status change with actor and notes", () => {
+    const tmp = makeTmpSubmissions([makeSeedSubmission()]);
+    applyStatusPatch("test-tool", { status: "reviewing", updatedAt: "2026-03-01T00:00:00Z" }, { dataDir: tmp, actor: "@rev" });
+    applyStatusPatch("test-tool", { reviewNotes: "Looks good" }, { dataDir: tmp, actor: "@rev" });
+    const result = applyStatusPatch(
+      "test-tool",
+      { status: "rejected", reason: "Out of scope", actor: "@lead", updatedAt: "2026-03-02T00:00:00Z" },
+      { dataDir: tmp, actor: "@rev" },
+    );
+    assert.deepEqual(result.submission.history, [
+      { from: "pending", to: "reviewing", at: "2026-03-01T00:00:00Z", actor: "@rev" },
+      { from: "reviewing", to: "rejected", at: "2026-03-02T00:00:00Z", actor: "@lead", notes: "Out of scope" },
+    ]);
+    assert.equal("actor" in result.submission, false);
+  });
+
+  it("refuses an invalid transition without writing", () => {
+    const tmp = makeTmpSubmissions([makeSeedSubmission({ status: "rejected" })]);
+    const result = applyStatusPatch("test-tool", { status: "pending" }, { dataDir: tmp });
+    assert.equal(result.applied, false);
+    assert.match(result.error, /reopen/);
+    const data = JSON.parse(readFileSync(join(tmp, "submissions.json"), "utf8"));
+    assert.equal(data.submissions[0].status, "rejected");
+  });
+
+  it("reopens a rejected submission and notes it", () => {
+    const tmp = makeTmpSubmissions([makeSeedSubmission({ status: "rejected" })]);
+    const result = applyStatusPatch("test-tool", { status: "pending", reopen: true }, { dataDir: tmp, actor: "@rev" });
+    assert.equal(result.applied, true);
+    assert.equal(result.submission.history[0].to, "pending");
+    assert.ok(result.riskNotes.includes("Submission reopened from rejected"));
+  });
+
+  it("history cannot be patched directly", () => {
+    const result = validateStatusPatch("test-tool", { history: [] });
+    assert.equal(result.valid, false);
+    assert.ok(result.errors.some((e) => e.includes("protected")));
+  });
+});
+
+describe("draftOverride on acceptance", () => {
+  function setup(overrides, repo = "https://github.com/mcp-tool-shop-org/test-tool") {
+    const tmp = makeTmpSubmissions([makeSeedSubmission({ status: "reviewing" })]);
+    const submissionsDir = join(tmp, "submissions");
+    mkdirSync(submissionsDir);
+    writeFileSync(join(tmp, "projects.json"), JSON.stringify([{ repo: "test-tool" }, { repo: "zeta" }]));
+    writeFileSync(join(submissionsDir, "test-tool.json"), JSON.stringify({
+      tool: { name: "Test Tool", slug: "test-tool", repo },
+      category: "mcp-core",
+      kind: "mcp-server",
+      pitch: "Does test things.",
+      goodFor: ["Testing"],
+      install: "npm i -g test-tool",
+    }));
+    if (overrides) writeFileSync(join(tmp, "overrides.json"), JSON.stringify(overrides));
+    return { tmp, submissionsDir };
+  }
+
+  it("writes a needsHumanReview entry in stable order", () => {
+    const { tmp, submissionsDir } = setup({ zeta: { tagline: "Z" } });
+    const result = applyStatusPatch("test-tool", { status: "accepted", draftOverride: true }, { dataDir: tmp, submissionsDir });
+    const overrides = JSON.parse(readFileSync(join(tmp, "overrides.json"), "utf8"));
+    assert.deepEqual(Object.keys(overrides), ["test-tool", "zeta"]);
+    assert.deepEqual(overrides["test-tool"], {
+      category: "mcp-core",
+      kind: "mcp-server",
+      install: "npm i -g test-tool",
+      tagline: "Does test things.",
+      goodFor: ["Testing"],
+      needsHumanReview: true,
+    });
+    assert.ok(result.riskNotes.some((n) => n.startsWith("Draft override added")));
+  });
+
+  it("keeps every override key in projects.json", () => {
+    const { tmp, submissionsDir } = setup({ zeta: { tagline: "Z" } });
+    applyStatusPatch("test-tool", { status: "accepted", draftOverride: true }, { dataDir: tmp, submissionsDir });
+    const overrides = JSON.parse(readFileSync(join(tmp, "overrides.json"), "utf8"));
+    const projects = JSON.parse(readFileSync(join(tmp, "projects.json"), "utf8"));
+    assert.deepEqual(orphanOverrideKeys(overrides, projects), []);
+  });
+
+  it("skips repos outside the registry and org", () => {
+    const { tmp, submissionsDir } = setup({ zeta: { tagline: "Z" } }, "https://github.com/someone-else/test-tool");
+    const result = applyStatusPatch("test-tool", { status: "accepted", draftOverride: true }, { dataDir: tmp, submissionsDir });
+    assert.equal(result.applied, true);
+    assert.deepEqual(JSON.parse(readFileSync(join(tmp, "overrides.json"), "utf8")), { zeta: { tagline: "Z" } });
+    assert.ok(result.riskNotes.some((n) => n.includes("not a registry tool or org repo")));
+  });
+
+  it("keeps an existing entry", () => {
+    const { tmp, submissionsDir } = setup({ "test-tool": { tagline: "Hand-written" } });
+    const result = applyStatusPatch("test-tool", { status: "accepted", draftOverride: true }, { dataDir: tmp, submissionsDir });
+    const overrides = JSON.parse(readFileSync(join(tmp, "overrides.json"), "utf8"));
+    assert.deepEqual(overrides["test-tool"], { tagline: "Hand-written" });
+    assert.ok(result.riskNotes.some((n) => n.includes("already has")));
+  });
+
+  it("is only valid with status accepted and off by default", () => {
+    assert.equal(validateStatusPatch("test-tool", { status: "reviewing", draftOverride: true }).valid, false);
+    const { tmp, submissionsDir } = setup();
+    applyStatusPatch("test-tool", { status: "accepted" }, { dataDir: tmp, submissionsDir });
+    assert.equal(existsSync(join(tmp, "overrides.json")), false);
+  });
+});
+
 // ── applySubmissionStatus ───────────────────────────────────
 
 describe("applySubmissionStatus", () => {
@@ -190,7 +332,11 @@ describe("VALID_STATUSES export", () => {
     assert.ok(VALID_STATUSES.includes("needs-info"));
   });
 
-  it("has 5 statuses", () => {
-    assert.equal(VALID_STATUSES.length, 5);
+  it("has 6 statuses", () => {
+    assert.equal(VALID_STATUSES.length, 6);
+  });
+
+  it("contains reviewing status", () => {
+    assert.ok(VALID_STATUSES.includes("reviewing"));
   });
 });
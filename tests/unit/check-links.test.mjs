@@ -0,0 +1,214 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, writeFileSync, readFileSync, rmSync, existsSync } from "node:fs";
+import { join, dirname } from "node:path";
+import { tmpdir } from "node:os";
+import {
+  extractLinks,
+  extractAnchors,
+  buildRouteMatchers,
+  checkUtm,
+  indexLinkTargets,
+  checkLinks,
+  generateLinkReport,
+} from "../../scripts/check-links.mjs";
+
+const SITE = "https://mcptoolshop.com";
+
+const LINKS = [
+  {
+    id: "zmm-hn",
+    target: "https://github.com/mcp-tool-shop-org/zip-meta-map?utm_source=hn&utm_medium=social&utm_campaign=launch",
+    utm: { source: "hn", medium: "social", campaign: "launch", content: "zmm" },
+  },
+];
+
+function put(root, rel, content) {
+  const full = join(root, rel);
+  mkdirSync(dirname(full), { recursive: true });
+  writeFileSync(full, content, "utf8");
+}
+
+describe("extractLinks", () => {
+  it("pulls href/src from HTML and decodes &amp;", () => {
+    const html = `<a href="/tools/a/">a</a><img src="/screenshots/a.png"><a href="/x?utm_source=a&amp;utm_medium=b">x</a>`;
+    assert.deepEqual(extractLinks(html, ".html", "mcptoolshop.com"), [
+      "/tools/a/",
+      "/screenshots/a.png",
+      "/x?utm_source=a&utm_medium=b",
+    ]);
+  });
+
+  it("pulls markdown links, images, autolinks and bare go-links", () => {
+    const md = "See [docs](/docs/#setup) ![shot](/screenshots/b.png \"B\")\n<https://example.com/x>\nSource: mcptoolshop.com/go/zmm-hn";
+    assert.deepEqual(extractLinks(md, ".md", "mcptoolshop.com"), [
+      "/docs/#setup",
+      "/screenshots/b.png",
+      "https://example.com/x",
+      "/go/zmm-hn/",
+    ]);
+  });
+
+  it("does not double-count go-links that already have a scheme", () => {
+    const md = "[go](https://mcptoolshop.com/go/zmm-hn/)";
+    assert.deepEqual(extractLinks(md, ".md", "mcptoolshop.com"), ["https://mcptoolshop.com/go/zmm-hn/"]);
+  });
+});
+
+describe("extractAnchors", () => {
+  it("collects HTML ids and markdown heading slugs", () => {
+    assert.deepEqual([...extractAnchors(`<h2 id="install">x</h2><a name="top">`, ".html")], ["install", "top"]);
+    assert.ok(extractAnchors("## Quick Start!\n", ".md").has("quick-start"));
+  });
+});
+
+describe("buildRouteMatchers", () => {
+  let pagesDir;
+
+  beforeEach(() => {
+    pagesDir = join(tmpdir(), `links-pages-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    put(pagesDir, "index.astro", "");
+    put(pagesDir, "tools/[slug].astro", "");
+    put(pagesDir, "promo/[...week].astro", "");
+  });
+
+  afterEach(() => {
+    try { rmSync(pagesDir, { recursive: true, force: true }); } catch {}
+  });
+
+  it("matches static, dynamic and rest routes", () => {
+    const routes = buildRouteMatchers(pagesDir);
+    const matches = (p) => routes.some((r) => r.test(p));
+    assert.ok(matches("/"));
+    assert.ok(matches("/tools/zip-meta-map/"));
+    assert.ok(matches("/promo/2026-W20"));
+    assert.ok(!matches("/tools/a/b/"));
+    assert.ok(!matches("/missing/"));
+  });
+});
+
+describe("checkUtm", () => {
+  const index = indexLinkTargets(LINKS);
+
+  it("accepts complete, lowercase UTM matching links.json", () => {
+    assert.deepEqual(checkUtm(new URL(LINKS[0].target), index), []);
+  });
+
+  it("flags incomplete, badly formatted and mismatched UTM", () => {
+    const kinds = (u) => checkUtm(new URL(u), index).map((f) => f.kind);
+    assert.deepEqual(kinds("https://example.com/?utm_source=hn"), ["utm-incomplete"]);
+    assert.deepEqual(kinds("https://example.com/?utm_source=HN&utm_medium=social&utm_campaign=launch"), ["utm-format"]);
+    assert.deepEqual(
+      kinds("https://github.com/mcp-tool-shop-org/zip-meta-map?utm_source=reddit&utm_medium=social&utm_campaign=launch"),
+      ["utm-mismatch"]
+    );
+  });
+
+  it("ignores URLs without UTM parameters", () => {
+    assert.deepEqual(checkUtm(new URL("https://github.com/mcp-tool-shop-org/zip-meta-map"), index), []);
+  });
+});
+
+describe("checkLinks", () => {
+  let tempDir;
+  let publicDir;
+  let distDir;
+  let pagesDir;
+
+  beforeEach(() => {
+    tempDir = join(tmpdir(), `links-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    publicDir = join(tempDir, "public");
+    distDir = join(tempDir, "dist");
+    pagesDir = join(tempDir, "pages");
+    put(pagesDir, "tools/[slug].astro", "");
+    put(publicDir, "screenshots/a.png", "png");
+    put(distDir, "trust/index.html", `<h2 id="receipts">Receipts</h2>`);
+  });
+
+  afterEach(() => {
+    try { rmSync(tempDir, { recursive: true, force: true }); } catch {}
+  });
+
+  it("passes when every link resolves", () => {
+    put(publicDir, "presskit/a/index.html", [
+      `<a href="/tools/a/">tool</a>`,
+      `<img src="/screenshots/a.png">`,
+      `<a href="${SITE}/trust/#receipts">trust</a>`,
+      `<a href="/go/zmm-hn/">go</a>`,
+      `<a href="#top" id="top">top</a>`,
+      `<a href="mailto:hi@example.com">mail</a>`,
+      `<a href="${LINKS[0].target}">repo</a>`,
+    ].join("\n"));
+    put(publicDir, "snippets/a.md", "[kit](../presskit/a/) Source: mcptoolshop.com/go/zmm-hn");
+
+    const result = checkLinks({ roots: [publicDir, distDir], pagesDir, links: LINKS, siteUrl: SITE });
+    assert.deepEqual(result.issues, []);
+    assert.equal(result.filesScanned, 3);
+    assert.equal(result.summary.errors, 0);
+  });
+
+  it("reports each error kind with its file", () => {
+    put(publicDir, "outreach/a/email.md", [
+      "[gone](/outreach/b/)",
+      "![shot](/screenshots/missing.png)",
+      "[go](https://mcptoolshop.com/go/nope/)",
+      "[anchor](/trust/#nowhere)",
+    ].join("\n"));
+
+    const result = checkLinks({ roots: [publicDir, distDir], pagesDir, links: LINKS, siteUrl: SITE });
+    assert.deepEqual(result.issues.map((i) => i.kind).sort(), [
+      "broken-link",
+      "missing-anchor",
+      "missing-screenshot",
+      "unknown-go-link",
+    ]);
+    assert.ok(result.issues.every((i) => i.severity === "error" && i.file.endsWith("outreach/a/email.md")));
+    assert.equal(result.summary.byKind["unknown-go-link"], 1);
+  });
+
+  it("reports UTM problems as warnings", () => {
+    put(publicDir, "campaigns/a.md", "[x](https://example.com/?utm_source=hn)");
+    const result = checkLinks({ roots: [publicDir], links: LINKS, siteUrl: SITE });
+    assert.equal(result.summary.errors, 0);
+    assert.equal(result.summary.warnings, 1);
+    assert.equal(result.issues[0].severity, "warning");
+  });
+});
+
+describe("generateLinkReport", () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = join(tmpdir(), `links-report-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    put(tempDir, "public/go/index.html", `<a href="/go/unknown/">x</a>`);
+    put(tempDir, "data/links.json", JSON.stringify({ links: LINKS }));
+  });
+
+  afterEach(() => {
+    try { rmSync(tempDir, { recursive: true, force: true }); } catch {}
+  });
+
+  it("writes a machine-readable report, skipping a missing dist", () => {
+    const outPath = join(tempDir, "reports", "link-check.json");
+    generateLinkReport({
+      publicDir: join(tempDir, "public"),
+      distDir: join(tempDir, "dist"),
+      pagesDir: join(tempDir, "pages"),
+      linksPath: join(tempDir, "data", "links.json"),
+      outPath,
+    });
+
+    const report = JSON.parse(readFileSync(outPath, "utf8"));
+    assert.equal(report.roots.length, 1);
+    assert.equal(report.goLinksKnown, 1);
+    assert.deepEqual(report.summary, { errors: 1, warnings: 0, byKind: { "unknown-go-link": 1 } });
+    assert.equal(report.issues[0].link, "/go/unknown/");
+  });
+
+  it("does not write in dry-run mode", () => {
+    const outPath = join(tempDir, "reports", "link-check.json");
+    const report = generateLinkReport({ publicDir: join(tempDir, "public"), outPath, linksPath: join(tempDir, "data", "links.json"), dryRun: true });
+    assert.equal(report.summary.errors, 1);
+    assert.equal(existsSync(outPath), false);
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, writeFileSync, readFileSync, rmSync, existsSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import {
+  buildCampaignBundle,
+  generateCampaignBundles,
+  campaignSlugOf,
+} from "../../scripts/gen-campaign-bundles.mjs";
+import tool from "../fixtures/minimal-tool.json" with { type: "json" };
+
+const AT = "2026-05-20T12:00:00.000Z";
+
+const CAMPAIGN = {
+  id: "camp.test-tool.launch",
+  name: "Test Tool Launch",
+  toolRef: "tool.test-tool",
+  audienceRefs: ["aud.devs"],
+  phases: [{ name: "Announce", channels: ["readme"], messageRefs: ["msg.test-tool.readme", "msg.missing"] }],
+};
+
+const AUDIENCE = { id: "aud.devs", name: "Developers", description: "People who build", painPoints: ["slow builds"] };
+
+describe("campaignSlugOf", () => {
+  it("drops the camp. prefix and dashes the rest", () => {
+    assert.equal(campaignSlugOf("camp.zip-meta-map.launch"), "zip-meta-map-launch");
+  });
+});
+
+describe("buildCampaignBundle", () => {
+  it("resolves phases, messages, claims and go-links", () => {
+    const { campaignSlug, bundle, files } = buildCampaignBundle({
+      campaign: CAMPAIGN,
+      tool,
+      audiences: [AUDIENCE],
+      linkByMessage: new Map([["msg.test-tool.readme", "tt-readme"]]),
+      lockShort: "abc123",
+      generatedAt: AT,
+    });
+
+    assert.equal(campaignSlug, "test-tool-launch");
+    assert.equal(bundle.tool.slug, "test-tool");
+    assert.equal(bundle.audiences[0].name, "Developers");
+
+    const [resolved, missing] = bundle.phases[0].messages;
+    assert.equal(resolved.goLink, "/go/tt-readme/");
+    assert.deepEqual(resolved.claims, [{ id: "claim.test-tool.works", status: "proven", statement: "It works correctly." }]);
+    assert.deepEqual(missing, { id: "msg.missing", resolved: false });
+
+    assert.deepEqual(JSON.parse(files["bundle.json"]), bundle);
+    assert.ok(files["README.md"].includes("### Phase 1: Announce"));
+    assert.ok(files["README.md"].includes("- _Unresolved message: `msg.missing`_"));
+    assert.ok(files["README.md"].includes("_Tracked link: [mcptoolshop.com/go/tt-readme](https://mcptoolshop.com/go/tt-readme/)_"));
+  });
+});
+
+describe("generateCampaignBundles", () => {
+  let tempDir;
+  let marketir;
+
+  beforeEach(() => {
+    tempDir = join(tmpdir(), `campaigns-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    marketir = join(tempDir, "data", "marketir", "data");
+    for (const d of ["tools", "campaigns", "audiences"]) mkdirSync(join(marketir, d), { recursive: true });
+    writeFileSync(join(marketir, "marketing.index.json"), JSON.stringify({
+      campaigns: [{ ref: "campaigns/launch.json" }, { ref: "campaigns/orphan.json" }],
+    }));
+    writeFileSync(join(marketir, "campaigns", "launch.json"), JSON.stringify(CAMPAIGN));
+    writeFileSync(join(marketir, "campaigns", "orphan.json"), JSON.stringify({ ...CAMPAIGN, id: "camp.orphan.launch", toolRef: "tool.orphan" }));
+    writeFileSync(join(marketir, "audiences", "devs.json"), JSON.stringify(AUDIENCE));
+    writeFileSync(join(marketir, "tools", "test-tool.json"), JSON.stringify(tool));
+  });
+
+  afterEach(() => {
+    try { rmSync(tempDir, { recursive: true, force: true }); } catch {}
+  });
+
+  it("loads audiences from disk, skips campaigns without tool data and writes bundles", () => {
+    const publicDir = join(tempDir, "public");
+    const { bundles, skipped } = generateCampaignBundles({ dataDir: join(tempDir, "data"), publicDir, generatedAt: AT });
+    assert.deepEqual(bundles.map((b) => b.campaignSlug), ["test-tool-launch"]);
+    assert.deepEqual(skipped, [{ campaignId: "camp.orphan.launch", reason: "no tool data" }]);
+    assert.equal(bundles[0].bundle.audiences.length, 1);
+    assert.ok(existsSync(join(publicDir, "campaigns", "test-tool-launch", "README.md")));
+    assert.deepEqual(JSON.parse(readFileSync(join(publicDir, "campaigns", "test-tool-launch", "bundle.json"), "utf8")), bundles[0].bundle);
+  });
+
+  it("filters by tool slug", () => {
+    const { bundles, skipped } = generateCampaignBundles({ dataDir: join(tempDir, "data"), slugs: ["other"], dryRun: true });
+    assert.equal(bundles.length + skipped.length, 0);
+  });
+
+  it("returns nothing when marketing.index.json is missing", () => {
+    rmSync(join(marketir, "marketing.index.json"));
+    assert.deepEqual(generateCampaignBundles({ dataDir: join(tempDir, "data"), dryRun: true }), { bundles: [], skipped: [] });
+  });
+});
@@ -0,0 +1,178 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, writeFileSync, readFileSync, rmSync, existsSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import {
+  diffCatalog,
+  buildHighlights,
+  buildChangelog,
+  generateCatalogChangelog,
+} from "../../scripts/gen-catalog-changelog.mjs";
+import {
+  writeSnapshot,
+  listSnapshots,
+  previousSnapshotDate,
+  planRetention,
+  pruneSnapshots,
+} from "../../scripts/lib/snapshots.mjs";
+
+function tool(repo, extra = {}) {
+  return { name: repo.toUpperCase(), repo, tagline: `${repo} tagline`, stability: "beta", lane: "active_lab", ...extra };
+}
+
+function state(projects, overrides = {}, releases = []) {
+  return { projects, overrides, releases };
+}
+
+describe("diffCatalog", () => {
+  it("returns empty details when there is no previous snapshot", () => {
+    const details = diffCatalog(null, state([tool("a")]));
+    assert.deepEqual(details.added, []);
+    assert.deepEqual(details.updated, []);
+  });
+
+  it("detects added, removed and newly deprecated tools", () => {
+    const prev = state([tool("a"), tool("b"), tool("c")]);
+    const curr = state([tool("a"), tool("c", { deprecated: true }), tool("d")]);
+    const d = diffCatalog(prev, curr);
+    assert.deepEqual(d.added.map((t) => t.repo), ["d"]);
+    assert.deepEqual(d.removed.map((t) => t.repo), ["b"]);
+    assert.deepEqual(d.deprecated.map((t) => t.repo), ["c"]);
+  });
+
+  it("ignores unlisted projects on both sides", () => {
+    const prev = state([tool("a"), tool("hidden", { unlisted: true })]);
+    const curr = state([tool("a"), tool("secret", { unlisted: true })]);
+    const d = diffCatalog(prev, curr);
+    assert.deepEqual(d.added, []);
+    assert.deepEqual(d.removed, []);
+  });
+
+  it("reports tagline, stability and lane changes with from/to", () => {
+    const prev = state([tool("a")]);
+    const curr = state([tool("a", { tagline: "New pitch", stability: "stable", lane: "shipped" })]);
+    const [u] = diffCatalog(prev, curr).updated;
+    assert.equal(u.repo, "a");
+    assert.deepEqual(u.changes, [
+      { field: "tagline", from: "a tagline", to: "New pitch" },
+      { field: "stability", from: "beta", to: "stable" },
+      { field: "lane", from: "active_lab", to: "shipped" },
+    ]);
+  });
+
+  it("uses override fields over projects.json and detects placeholder → real screenshots", () => {
+    const prev = state([tool("a", { screenshotType: "placeholder" })], { a: { screenshotType: "placeholder" } });
+    const curr = state([tool("a", { screenshotType: "placeholder" })], { a: { screenshotType: "real", screenshot: "/screenshots/a.png" } });
+    const d = diffCatalog(prev, curr);
+    assert.deepEqual(d.screenshotsUpgraded, [{ repo: "a", name: "A", screenshot: "/screenshots/a.png" }]);
+  });
+
+  it("lists only releases not present in the previous snapshot, newest first", () => {
+    const r1 = { repo: "a", toolName: "A", tag: "v1.0.0", publishedAt: "2026-05-01T00:00:00Z" };
+    const r2 = { repo: "a", toolName: "A", tag: "v1.1.0", publishedAt: "2026-05-10T00:00:00Z" };
+    const r3 = { repo: "b", toolName: "B", tag: "v0.2.0", publishedAt: "2026-05-12T00:00:00Z" };
+    const d = diffCatalog(state([tool("a")], {}, [r1]), state([tool("a")], {}, [r2, r3, r1]));
+    assert.deepEqual(d.newReleases.map((r) => `${r.repo}@${r.tag}`), ["b@v0.2.0", "a@v1.1.0"]);
+  });
+});
+
+describe("buildHighlights", () => {
+  it("explains the first run", () => {
+    assert.match(buildHighlights(diffCatalog(null, state([])), null)[0], /First catalog snapshot/);
+  });
+
+  it("says nothing changed when the diff is empty", () => {
+    const h = buildHighlights(diffCatalog(state([tool("a")]), state([tool("a")])), "2026-05-19");
+    assert.deepEqual(h, ["No catalog changes since 2026-05-19"]);
+  });
+
+  it("summarizes each kind of change", () => {
+    const prev = state([tool("a"), tool("b")]);
+    const curr = state([tool("a", { stability: "stable" }), tool("c")], {}, [{ repo: "a", toolName: "A", tag: "v2.0.0" }]);
+    const h = buildHighlights(diffCatalog(prev, curr), "2026-05-19");
+    assert.ok(h.includes("1 new tool: C"));
+    assert.ok(h.includes("1 tool removed: B"));
+    assert.ok(h.includes("1 new release: A v2.0.0"));
+    assert.ok(h.includes("Stability changed for A"));
+  });
+
+  it("output is deterministic for the same inputs", () => {
+    const prev = state([tool("b"), tool("a")]);
+    const curr = state([tool("d"), tool("c")]);
+    assert.deepEqual(buildChangelog({ ...prev, date: "x" }, curr, "y"), buildChangelog({ ...prev, date: "x" }, curr, "y"));
+    assert.deepEqual(diffCatalog(prev, curr).added.map((t) => t.repo), ["c", "d"]);
+  });
+});
+
+describe("snapshot retention", () => {
+  it("keeps recent dailies and one snapshot per older week", () => {
+    const dates = [
+      "2026-03-02", "2026-03-03", // week of 03-02 (too old for 2 weekly weeks)
+      "2026-03-16", "2026-03-18", // week of 03-16
+      "2026-03-23", "2026-03-25", // week of 03-23
+      "2026-03-30", "2026-03-31", "2026-04-01", // daily window
+    ];
+    const { keep, drop } = planRetention(dates, "2026-04-01", { dailyDays: 3, weeklyWeeks: 2 });
+    assert.deepEqual(keep, ["2026-03-18", "2026-03-25", "2026-03-30", "2026-03-31", "2026-04-01"]);
+    assert.deepEqual(drop, ["2026-03-02", "2026-03-03", "2026-03-16", "2026-03-23"]);
+  });
+});
+
+describe("generateCatalogChangelog", () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = join(tmpdir(), `catalog-changelog-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    mkdirSync(tempDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    try { rmSync(tempDir, { recursive: true, force: true }); } catch {}
+  });
+
+  function writeData(projects, overrides = {}, releases = []) {
+    writeFileSync(join(tempDir, "projects.json"), JSON.stringify(projects));
+    writeFileSync(join(tempDir, "overrides.json"), JSON.stringify(overrides));
+    writeFileSync(join(tempDir, "releases.json"), JSON.stringify(releases));
+  }
+
+  it("diffs live data against the latest earlier snapshot", () => {
+    writeData([tool("a")]);
+    writeSnapshot(tempDir, "2026-05-18");
+    writeData([tool("a"), tool("b")]);
+    writeSnapshot(tempDir, "2026-05-19");
+    writeData([tool("a"), tool("b"), tool("c")]);
+    writeSnapshot(tempDir, "2026-05-20"); // today's snapshot is never the baseline
+
+    assert.equal(previousSnapshotDate(tempDir, "2026-05-20"), "2026-05-19");
+
+    const changelog = generateCatalogChangelog({ dataDir: tempDir, date: "2026-05-20" });
+    assert.equal(changelog.comparedTo, "2026-05-19");
+    assert.deepEqual(changelog.details.added.map((t) => t.repo), ["c"]);
+
+    const written = JSON.parse(readFileSync(join(tempDir, "catalog-changelog.json"), "utf8"));
+    assert.deepEqual(written, changelog);
+  });
+
+  it("writes a first-run changelog when no snapshot exists", () => {
+    writeData([tool("a")]);
+    const changelog = generateCatalogChangelog({ dataDir: tempDir, date: "2026-05-20" });
+    assert.equal(changelog.comparedTo, null);
+    assert.deepEqual(changelog.details.added, []);
+  });
+
+  it("dry-run does not write", () => {
+    writeData([tool("a")]);
+    generateCatalogChangelog({ dataDir: tempDir, date: "2026-05-20", dryRun: true });
+    assert.equal(existsSync(join(tempDir, "catalog-changelog.json")), false);
+  });
+
+  it("pruneSnapshots removes directories outside the policy", () => {
+    writeData([tool("a")]);
+    for (const date of ["2026-01-01", "2026-05-18", "2026-05-19", "2026-05-20"]) writeSnapshot(tempDir, date);
+    const { pruned } = pruneSnapshots(tempDir, "2026-05-20");
+    assert.deepEqual(pruned, ["2026-01-01"]);
+    assert.deepEqual(listSnapshots(tempDir), ["2026-05-18", "2026-05-19", "2026-05-20"]);
+  });
+});
@@ -0,0 +1,175 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, writeFileSync, readFileSync, existsSync, readdirSync, rmSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import {
+  simulateDecisions,
+  applyPatchToInputs,
+  loadDecisionSnapshots,
+  generateDecisionSimulation,
+} from "../../scripts/gen-decision-simulation.mjs";
+import {
+  buildDecisions,
+  buildDecisionSnapshot,
+  recordDecisionSnapshot,
+  generatePromoDecisions,
+} from "../../scripts/gen-promo-decisions.mjs";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Week snapshot: tool-a was promoted 10 days before `now`, tool-b and
+ * tool-c never. Default cooldown 14d defers tool-a.
+ */
+function makeSnapshot(week, overrides = {}) {
+  const now = Date.parse(`${week}T12:00:00Z`);
+  const inputs = {
+    promoQueue: { week, slugs: ["tool-a", "tool-b", "tool-c"] },
+    promo: { enabled: true },
+    overrides: { "tool-b": { publicProof: true } },
+    worthy: { repos: {} },
+    feedbackSummary: { perSlug: {}, perExperiment: {} },
+    opsHistory: [{ date: new Date(now - 10 * DAY).toISOString(), promotedSlugs: ["tool-a"] }],
+    baseline: { avgMinutesPerRun: 0 },
+    governance: { maxPromosPerWeek: 1, cooldownDaysPerSlug: 14 },
+    experiments: { experiments: [] },
+    scoringProfile: null,
+    now,
+    ...overrides,
+  };
+  return buildDecisionSnapshot(inputs, buildDecisions(inputs));
+}
+
+describe("applyPatchToInputs", () => {
+  it("merges patch fields without mutating the original inputs", () => {
+    const inputs = { governance: { maxPromosPerWeek: 3, cooldownDaysPerSlug: 14 }, promo: { enabled: true } };
+    const patched = applyPatchToInputs(inputs, { "governance.json": { cooldownDaysPerSlug: 7 } });
+    assert.deepEqual(patched.governance, { maxPromosPerWeek: 3, cooldownDaysPerSlug: 7 });
+    assert.equal(inputs.governance.cooldownDaysPerSlug, 14);
+    assert.equal(patched.promo, inputs.promo);
+  });
+
+  it("a patched scoring profile replaces the snapshot profile", () => {
+    const scoring = { scorers: [{ id: "worthy" }] };
+    const patched = applyPatchToInputs({ governance: {}, scoringProfile: { scorers: [] } }, { "governance.json": { scoring } });
+    assert.equal(patched.scoringProfile, scoring);
+  });
+});
+
+describe("simulateDecisions", () => {
+  it("no-op patch produces no drift and reproduces recorded decisions", () => {
+    const sim = simulateDecisions([makeSnapshot("2026-02-09"), makeSnapshot("2026-02-16")], { "promo.json": { enabled: true } });
+    assert.equal(sim.summary.weeksReplayed, 2);
+    assert.equal(sim.summary.weeksChanged, 0);
+    assert.equal(sim.summary.actionChanges, 0);
+    assert.ok(sim.weeks.every((w) => w.reproduced === true));
+    assert.equal(sim.warnings.length, 0);
+  });
+
+  it("shorter cooldown un-defers a recently promoted slug", () => {
+    const sim = simulateDecisions([makeSnapshot("2026-02-16")], { "governance.json": { cooldownDaysPerSlug: 7 } });
+    const week = sim.weeks[0];
+    assert.deepEqual(week.before.deferred, ["tool-a"]);
+    assert.deepEqual(week.after.deferred, []);
+    const change = week.drift.reasonChanges.find((rc) => rc.slug === "tool-a");
+    assert.deepEqual(change, { slug: "tool-a", prevAction: "defer", currAction: "skip" });
+  });
+
+  it("higher maxPromosPerWeek reports gained promotions per week", () => {
+    const sim = simulateDecisions(
+      [makeSnapshot("2026-02-09"), makeSnapshot("2026-02-16")],
+      { "governance.json": { maxPromosPerWeek: 2 } }
+    );
+    assert.equal(sim.summary.weeksChanged, 2);
+    assert.deepEqual(sim.summary.promotionsGained, [
+      { week: "2026-02-09", slug: "tool-c" },
+      { week: "2026-02-16", slug: "tool-c" },
+    ]);
+    assert.deepEqual(sim.summary.promotionsLost, []);
+    assert.deepEqual(sim.weeks[0].itemsAllowed, { before: 1, after: 2 });
+  });
+
+  it("drift entries use the gen-decision-drift format", () => {
+    const sim = simulateDecisions([makeSnapshot("2026-02-16")], { "governance.json": { maxPromosPerWeek: 2 } });
+    const drift = sim.weeks[0].drift;
+    for (const key of ["entrants", "exits", "scoreDeltas", "reasonChanges", "summary"]) {
+      assert.ok(key in drift, `drift should have ${key}`);
+    }
+  });
+
+  it("warns when a replay no longer matches the recorded decisions", () => {
+    const snapshot = makeSnapshot("2026-02-16");
+    snapshot.decisions[0].score += 5;
+    const sim = simulateDecisions([snapshot], {});
+    assert.equal(sim.weeks[0].reproduced, false);
+    assert.ok(sim.warnings[0].includes("2026-02-16"));
+  });
+});
+
+describe("decision history snapshots", () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = join(tmpdir(), `decision-sim-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    mkdirSync(tempDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    try { rmSync(tempDir, { recursive: true, force: true }); } catch {}
+  });
+
+  it("snapshot trims overrides and worthy to queued slugs", () => {
+    const snapshot = makeSnapshot("2026-02-16", {
+      overrides: { "tool-b": { publicProof: true }, unrelated: { publicProof: true } },
+      worthy: { rubric: { minimumScore: 3 }, repos: { "tool-a": { worthy: true }, other: { worthy: true } } },
+    });
+    assert.deepEqual(Object.keys(snapshot.inputs.overrides), ["tool-b"]);
+    assert.deepEqual(Object.keys(snapshot.inputs.worthy.repos), ["tool-a"]);
+    assert.deepEqual(snapshot.inputs.worthy.rubric, { minimumScore: 3 });
+  });
+
+  it("recordDecisionSnapshot prunes to the newest weeks", () => {
+    for (const week of ["2026-01-05", "2026-01-12", "2026-01-19", "2026-01-26"]) {
+      recordDecisionSnapshot(tempDir, makeSnapshot(week), { limit: 3 });
+    }
+    const files = readdirSync(join(tempDir, "decision-history")).sort();
+    assert.deepEqual(files, ["2026-01-12.json", "2026-01-19.json", "2026-01-26.json"]);
+
+    const loaded = loadDecisionSnapshots(tempDir, 2);
+    assert.deepEqual(loaded.map((s) => s.week), ["2026-01-19", "2026-01-26"]);
+  });
+
+  it("generatePromoDecisions writes a snapshot for the queue week", () => {
+    writeFileSync(join(tempDir, "promo-queue.json"), JSON.stringify({ week: "2026-02-16", slugs: ["tool-a"] }));
+    writeFileSync(join(tempDir, "governance.json"), JSON.stringify({ maxPromosPerWeek: 3, cooldownDaysPerSlug: 14 }));
+    generatePromoDecisions({ dataDir: tempDir, decisionsDir: tempDir });
+    const snapshot = JSON.parse(readFileSync(join(tempDir, "decision-history", "2026-02-16.json"), "utf8"));
+    assert.equal(snapshot.week, "2026-02-16");
+    assert.equal(typeof snapshot.now, "number");
+    assert.deepEqual(snapshot.decisions.map((d) => d.slug), ["tool-a"]);
+  });
+
+  it("pipeline writes json + md and rejects invalid patches", () => {
+    recordDecisionSnapshot(tempDir, makeSnapshot("2026-02-16"));
+
+    const bad = generateDecisionSimulation({ patch: { "governance.json": { maxPromosPerWeek: 0 } }, dataDir: tempDir, decisionsDir: tempDir });
+    assert.equal(bad.success, false);
+    assert.ok(bad.errors.some((e) => e.includes("maxPromosPerWeek")));
+
+    const ok = generateDecisionSimulation({ patch: { "governance.json": { maxPromosPerWeek: 2 } }, dataDir: tempDir, decisionsDir: tempDir });
+    assert.equal(ok.success, true);
+    assert.ok(existsSync(join(tempDir, "decision-simulation.json")));
+    const md = readFileSync(join(tempDir, "decision-simulation.md"), "utf8");
+    assert.ok(md.includes("## Week 2026-02-16"));
+    assert.ok(md.includes("### Action Changes"));
+    assert.ok(md.includes("**tool-c**: skip"));
+  });
+
+  it("falls back to live data when no history exists", () => {
+    writeFileSync(join(tempDir, "promo-queue.json"), JSON.stringify({ week: "2026-02-16", slugs: ["tool-a"] }));
+    const result = generateDecisionSimulation({ patch: { "governance.json": { maxPromosPerWeek: 2 } }, dataDir: tempDir, decisionsDir: tempDir, dryRun: true });
+    assert.equal(result.simulation.summary.weeksReplayed, 1);
+    assert.ok(result.simulation.warnings[0].includes("No decision-history"));
+  });
+});
@@ -1,9 +1,20 @@
 import { describe, it, beforeEach, afterEach } from "node:test";
 import assert from "node:assert/strict";
-import { mkdirSync, writeFileSync, rmSync } from "node:fs";
+import { mkdirSync, writeFileSync, readFileSync, rmSync } from "node:fs";
 import { join } from "node:path";
 import { tmpdir } from "node:os";
-import { evaluateExperiments, generateExperimentDecisions } from "../../scripts/gen-experiment-decisions.mjs";
+import {
+  evaluateExperiments,
+  generateExperimentDecisions,
+  generateDecisionsMd,
+  fisherExactTest,
+  twoProportionZTest,
+  wilsonInterval,
+  probabilityVariantBeatsControl,
+  resolveEvaluationSettings,
+  meanDifferenceTest,
+  compareArms,
+} from "../../scripts/gen-experiment-decisions.mjs";
 
 function makeExp(id, name, { status = "active", controlKey = "control", variantKey = "variant-a" } = {}) {
   return { id, name, status, slug: "test-tool", dimension: "tagline", control: { key: controlKey }, variant: { key: variantKey } };
@@ -206,6 +217,335 @@ describe("evaluateExperiments", () => {
   });
 });
 
+describe("statistical helpers", () => {
+  it("fisherExactTest matches reference two-sided p-values", () => {
+    // Reference values from R: fisher.test(matrix(c(1, 9, 4, 6), 2))
+    assert.ok(Math.abs(fisherExactTest(1, 10, 4, 10) - 0.3034) < 1e-4);
+    assert.ok(Math.abs(fisherExactTest(3, 10, 7, 10) - 0.1789) < 1e-4);
+    assert.equal(fisherExactTest(0, 10, 0, 10), 1);
+  });
+
+  it("twoProportionZTest detects a large difference and brackets it with the CI", () => {
+    const { pValue, diffCI } = twoProportionZTest(50, 1000, 100, 1000);
+    assert.ok(pValue < 0.001, `expected tiny p-value, got ${pValue}`);
+    assert.ok(diffCI[0] > 0 && diffCI[1] > 0.05, "difference CI should exclude zero");
+  });
+
+  it("wilsonInterval contains the observed rate and stays in [0, 1]", () => {
+    const [lo, hi] = wilsonInterval(10, 100);
+    assert.ok(lo < 0.1 && hi > 0.1);
+    const [lo0, hi0] = wilsonInterval(0, 20);
+    assert.equal(lo0, 0);
+    assert.ok(hi0 > 0 && hi0 < 1);
+  });
+
+  it("probabilityVariantBeatsControl is symmetric and 0.5 for identical arms", () => {
+    assert.ok(Math.abs(probabilityVariantBeatsControl(5, 50, 5, 50) - 0.5) < 1e-6);
+    const p = probabilityVariantBeatsControl(5, 100, 20, 100);
+    const q = probabilityVariantBeatsControl(20, 100, 5, 100);
+    assert.ok(p > 0.99);
+    assert.ok(Math.abs(p + q - 1) < 1e-6);
+  });
+
+  it("resolveEvaluationSettings defaults to the ratio rule", () => {
+    const settings = resolveEvaluationSettings({});
+    assert.equal(settings.method, "ratio");
+    assert.equal(settings.alpha, 0.05);
+    assert.equal(settings.warnings.length, 0);
+  });
+
+  it("resolveEvaluationSettings warns on unknown method and bad alpha", () => {
+    const settings = resolveEvaluationSettings({ experimentMethod: "coin-flip", experimentSignificanceLevel: 2 });
+    assert.equal(settings.method, "ratio");
+    assert.equal(settings.alpha, 0.05);
+    assert.equal(settings.warnings.length, 2);
+  });
+});
+
+describe("evaluateExperiments — significance methods", () => {
+  // 1/10 vs 4/10 clears the legacy 2x rule but is not statistically significant
+  const smallSample = {
+    "exp-1": {
+      control: makeArmStats(5, 2, 1, 1, 1),
+      "variant-a": makeArmStats(3, 2, 4, 0, 1),
+    },
+  };
+
+  // 60/600 vs 90/600: a 50% lift that the 2x rule misses
+  const largeSample = {
+    "exp-1": {
+      control: makeArmStats(540, 0, 60, 0, 0),
+      "variant-a": makeArmStats(510, 0, 90, 0, 0),
+    },
+  };
+
+  for (const method of ["z-test", "fisher", "bayesian"]) {
+    it(`${method}: no winner on a small-sample 4x ratio`, () => {
+      const result = evaluateExperiments(
+        { schemaVersion: 1, experiments: [makeExp("exp-1", "Small Sample")] },
+        { perExperiment: smallSample },
+        { minExperimentDataThreshold: 10, experimentMethod: method }
+      );
+      assert.equal(result.method, method);
+      assert.equal(result.evaluations[0].status, "no-decision");
+      assert.equal(result.evaluations[0].winnerKey, null);
+    });
+
+    it(`${method}: finds a real 50% lift the ratio rule misses`, () => {
+      const result = evaluateExperiments(
+        { schemaVersion: 1, experiments: [makeExp("exp-1", "Large Sample")] },
+        { perExperiment: largeSample },
+        { minExperimentDataThreshold: 10, experimentMethod: method }
+      );
+      assert.equal(result.evaluations[0].status, "winner-found");
+      assert.equal(result.evaluations[0].winnerKey, "variant-a");
+    });
+  }
+
+  it("ratio: the same 50% lift is no-decision under the legacy rule", () => {
+    const result = evaluateExperiments(
+      { schemaVersion: 1, experiments: [makeExp("exp-1", "Large Sample")] },
+      { perExperiment: largeSample },
+      { minExperimentDataThreshold: 10 }
+    );
+    assert.equal(result.evaluations[0].status, "no-decision");
+  });
+
+  it("reports p-value, confidence intervals and significance level", () => {
+    const result = evaluateExperiments(
+      { schemaVersion: 1, experiments: [makeExp("exp-1", "Stats Block")] },
+      { perExperiment: largeSample },
+      { minExperimentDataThreshold: 10, experimentMethod: "z-test", experimentSignificanceLevel: 0.01 }
+    );
+    const { stats } = result.evaluations[0];
+    assert.equal(result.significanceLevel, 0.01);
+    assert.equal(stats.method, "z-test");
+    assert.equal(stats.significanceLevel, 0.01);
+    assert.ok(stats.pValue > 0 && stats.pValue < 0.05);
+    assert.equal(stats.controlCI.length, 2);
+    assert.equal(stats.variantCI.length, 2);
+    assert.ok(stats.diffCI[0] < 0.05 && stats.diffCI[1] > 0.05);
+    assert.ok(stats.probabilityVariantBeatsControl > 0.99);
+  });
+
+  it("stricter significance level withholds the winner", () => {
+    const result = evaluateExperiments(
+      { schemaVersion: 1, experiments: [makeExp("exp-1", "Strict")] },
+      { perExperiment: largeSample },
+      { minExperimentDataThreshold: 10, experimentMethod: "z-test", experimentSignificanceLevel: 0.001 }
+    );
+    assert.equal(result.evaluations[0].status, "no-decision");
+    assert.ok(result.evaluations[0].recommendation.includes("p = "));
+  });
+
+  it("control wins when it is significantly better", () => {
+    const result = evaluateExperiments(
+      { schemaVersion: 1, experiments: [makeExp("exp-1", "Control Better")] },
+      {
+        perExperiment: {
+          "exp-1": {
+            control: makeArmStats(510, 0, 90, 0, 0),
+            "variant-a": makeArmStats(540, 0, 60, 0, 0),
+          },
+        },
+      },
+      { minExperimentDataThreshold: 10, experimentMethod: "fisher" }
+    );
+    assert.equal(result.evaluations[0].status, "winner-found");
+    assert.equal(result.evaluations[0].winnerKey, "control");
+  });
+
+  it("stats is null when there is no feedback data", () => {
+    const result = evaluateExperiments(
+      { schemaVersion: 1, experiments: [makeExp("exp-1", "No Data")] },
+      { perExperiment: {} },
+      { minExperimentDataThreshold: 10, experimentMethod: "z-test" }
+    );
+    assert.equal(result.evaluations[0].stats, null);
+  });
+
+  it("markdown report lists method, p-values and confidence intervals", () => {
+    const result = evaluateExperiments(
+      { schemaVersion: 1, experiments: [makeExp("exp-1", "Markdown")] },
+      { perExperiment: largeSample },
+      { minExperimentDataThreshold: 10, experimentMethod: "z-test" }
+    );
+    const md = generateDecisionsMd(result);
+    assert.ok(md.includes("Method: `z-test`"));
+    assert.ok(md.includes("p-value"));
+    assert.ok(md.includes("Confidence Intervals (95%)"));
+  });
+});
+
+describe("evaluateExperiments — multi-arm and multi-metric", () => {
+  function makeMultiArmExp(id, keys, extra = {}) {
+    return {
+      id,
+      name: id,
+      status: "active",
+      slug: "test-tool",
+      dimension: "tagline",
+      arms: keys.map((key, i) => ({ key, control: i === 0 })),
+      ...extra,
+    };
+  }
+
+  it("evaluates every declared arm against control", () => {
+    const result = evaluateExperiments(
+      { schemaVersion: 2, experiments: [makeMultiArmExp("exp-1", ["control", "b", "c", "d"])] },
+      {
+        perExperiment: {
+          "exp-1": {
+            control: makeArmStats(540, 0, 60, 0, 0),
+            b: makeArmStats(535, 0, 65, 0, 0),
+            c: makeArmStats(480, 0, 120, 0, 0),
+            d: makeArmStats(545, 0, 55, 0, 0),
+          },
+        },
+      },
+      { minExperimentDataThreshold: 10, experimentMethod: "z-test" }
+    );
+    const ev = result.evaluations[0];
+    assert.equal(ev.arms.length, 4);
+    assert.equal(ev.comparisons, 3);
+    assert.ok(Math.abs(ev.adjustedSignificanceLevel - 0.05 / 3) < 1e-9);
+    assert.equal(ev.arms[0].stats, null, "control arm has no comparison");
+    assert.ok(ev.arms.slice(1).every((a) => a.stats.significanceLevel === ev.adjustedSignificanceLevel));
+    assert.equal(ev.status, "winner-found");
+    assert.equal(ev.winnerKey, "c");
+    assert.equal(ev.variantEntries, 600, "leading variant fills legacy fields");
+  });
+
+  it("Bonferroni correction withholds a winner that passes uncorrected", () => {
+    // ~p = 0.03 for b vs control: significant at 0.05, not at 0.05 / 3
+    const perExperiment = {
+      "exp-1": {
+        control: makeArmStats(450, 0, 50, 0, 0),
+        b: makeArmStats(427, 0, 73, 0, 0),
+        c: makeArmStats(450, 0, 50, 0, 0),
+        d: makeArmStats(450, 0, 50, 0, 0),
+      },
+    };
+    const twoArm = evaluateExperiments(
+      { schemaVersion: 2, experiments: [makeMultiArmExp("exp-1", ["control", "b"])] },
+      { perExperiment },
+      { minExperimentDataThreshold: 10, experimentMethod: "z-test" }
+    );
+    assert.equal(twoArm.evaluations[0].status, "winner-found");
+
+    const fourArm = evaluateExperiments(
+      { schemaVersion: 2, experiments: [makeMultiArmExp("exp-1", ["control", "b", "c", "d"])] },
+      { perExperiment },
+      { minExperimentDataThreshold: 10, experimentMethod: "z-test" }
+    );
+    assert.equal(fourArm.evaluations[0].status, "no-decision");
+    assert.ok(fourArm.evaluations[0].recommendation.includes("3 comparisons"));
+  });
+
+  it("needs-more-data when any arm is below threshold", () => {
+    const result = evaluateExperiments(
+      { schemaVersion: 2, experiments: [makeMultiArmExp("exp-1", ["control", "b", "c"])] },
+      {
+        perExperiment: {
+          "exp-1": { control: makeArmStats(20, 0, 5, 0, 0), b: makeArmStats(20, 0, 5, 0, 0) },
+        },
+      },
+      { minExperimentDataThreshold: 10 }
+    );
+    assert.equal(result.evaluations[0].status, "needs-more-data");
+    assert.ok(result.evaluations[0].recommendation.includes("0 c"));
+  });
+
+  it("primaryMetric opened counts opens plus replies", () => {
+    const perExperiment = {
+      "exp-1": {
+        control: makeArmStats(400, 100, 0, 0, 0),
+        b: makeArmStats(300, 200, 0, 0, 0),
+      },
+    };
+    const byOpens = evaluateExperiments(
+      { schemaVersion: 2, experiments: [makeMultiArmExp("exp-1", ["control", "b"], { primaryMetric: "opened" })] },
+      { perExperiment },
+      { minExperimentDataThreshold: 10, experimentMethod: "z-test" }
+    );
+    assert.equal(byOpens.evaluations[0].primaryMetric, "opened");
+    assert.equal(byOpens.evaluations[0].arms[1].metricValue, 0.4);
+    assert.equal(byOpens.evaluations[0].winnerKey, "b");
+    assert.ok(byOpens.evaluations[0].recommendation.includes("open rate"));
+
+    const byReplies = evaluateExperiments(
+      { schemaVersion: 2, experiments: [makeMultiArmExp("exp-1", ["control", "b"])] },
+      { perExperiment },
+      { minExperimentDataThreshold: 10, experimentMethod: "z-test" }
+    );
+    assert.equal(byReplies.evaluations[0].status, "no-decision");
+  });
+
+  it("primaryMetric score uses weighted outcomes", () => {
+    const result = evaluateExperiments(
+      {
+        schemaVersion: 2,
+        experiments: [makeMultiArmExp("exp-1", ["control", "b"], { primaryMetric: "score", metricWeights: { opened: 1, replied: 5 } })],
+      },
+      {
+        perExperiment: {
+          "exp-1": {
+            control: makeArmStats(200, 80, 20, 0, 0),
+            b: makeArmStats(200, 40, 60, 0, 0),
+          },
+        },
+      },
+      { minExperimentDataThreshold: 10, experimentMethod: "fisher" }
+    );
+    const ev = result.evaluations[0];
+    assert.equal(ev.arms[0].metricValue, round(180 / 300));
+    assert.equal(ev.arms[1].metricValue, round(340 / 300));
+    assert.equal(ev.winnerKey, "b");
+    assert.ok(result.warnings.some((w) => w.includes("fisher does not apply")));
+  });
+
+  it("score metric reports no difference interval for an arm without samples", () => {
+    const empty = { entries: 0, successes: null, mean: 0, variance: 0 };
+    const arm = { entries: 50, successes: null, mean: 1.2, variance: 0.4 };
+    assert.equal(meanDifferenceTest(empty, arm).diffCI, null);
+
+    const stats = compareArms(empty, arm, "z-test");
+    assert.equal(stats.diffCI, null);
+    assert.equal(stats.pValue, 1);
+    const serialized = JSON.parse(JSON.stringify(stats));
+    assert.equal(serialized.diffCI, null);
+    assert.equal(JSON.stringify(stats.diffCI), "null");
+  });
+
+  it("reads v1 control/variant experiments unchanged", () => {
+    const result = evaluateExperiments(
+      { schemaVersion: 1, experiments: [makeExp("exp-1", "Legacy")] },
+      { perExperiment: { "exp-1": { control: makeArmStats(5, 2, 1, 1, 1), "variant-a": makeArmStats(3, 2, 4, 0, 1) } } },
+      { minExperimentDataThreshold: 10 }
+    );
+    const ev = result.evaluations[0];
+    assert.equal(ev.primaryMetric, "replied");
+    assert.equal(ev.comparisons, 1);
+    assert.deepEqual(ev.arms.map((a) => a.key), ["control", "variant-a"]);
+  });
+
+  it("markdown report lists every arm for multi-arm experiments", () => {
+    const result = evaluateExperiments(
+      { schemaVersion: 2, experiments: [makeMultiArmExp("exp-arms", ["control", "b", "c"])] },
+      { perExperiment: { "exp-arms": { control: makeArmStats(20, 0, 5, 0, 0), b: makeArmStats(20, 0, 6, 0, 0), c: makeArmStats(20, 0, 7, 0, 0) } } },
+      { minExperimentDataThreshold: 10, experimentMethod: "bayesian" }
+    );
+    const md = generateDecisionsMd(result);
+    assert.ok(md.includes("## Arms"));
+    assert.ok(md.includes("control (control)"));
+    assert.ok(md.includes("2 comparisons"));
+  });
+});
+
+function round(n) {
+  return Math.round(n * 10000) / 10000;
+}
+
 describe("generateExperimentDecisions — freeze enforcement", () => {
   let tempDir;
 
@@ -241,3 +581,38 @@ describe("generateExperimentDecisions — freeze enforcement", () => {
     assert.equal(result.evaluationCount, 1, "should preserve existing evaluation count");
   });
 });
+
+describe("generateExperimentDecisions — output", () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = join(tmpdir(), `exp-output-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    mkdirSync(tempDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    try { rmSync(tempDir, { recursive: true, force: true }); } catch {}
+  });
+
+  it("writes a null difference interval for a score arm without samples", () => {
+    writeFileSync(join(tempDir, "experiments.json"), JSON.stringify({
+      schemaVersion: 2,
+      experiments: [{
+        id: "exp-score", name: "Score", status: "active", slug: "test-tool", dimension: "tagline",
+        arms: [{ key: "control", control: true }, { key: "b", control: false }, { key: "c", control: false }],
+        primaryMetric: "score",
+      }],
+    }));
+    writeFileSync(join(tempDir, "feedback-summary.json"), JSON.stringify({
+      perExperiment: { "exp-score": { control: makeArmStats(40, 20, 5, 15, 0), b: makeArmStats(40, 10, 15, 15, 0), c: makeArmStats(0, 0, 0, 0, 0) } },
+    }));
+    writeFileSync(join(tempDir, "governance.json"), JSON.stringify({ minExperimentDataThreshold: 10, experimentMethod: "z-test" }));
+
+    generateExperimentDecisions({ dataDir: tempDir, publicDir: join(tempDir, "public") });
+    const written = JSON.parse(readFileSync(join(tempDir, "experiment-decisions.json"), "utf8"));
+    const arms = written.evaluations[0].arms;
+    assert.equal(arms.find((a) => a.key === "c").stats.diffCI, null);
+    assert.equal(arms.find((a) => a.key === "b").stats.diffCI.length, 2);
+    assert.ok(arms.every((a) => !JSON.stringify(a.stats?.diffCI ?? null).includes("[null")));
+  });
+});
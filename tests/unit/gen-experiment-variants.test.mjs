@@ -379,3 +379,38 @@ describe("experiment variant generation", () => {
     cleanupMarketir();
   });
 });
+
+describe("experiment variant generation — multi-arm", () => {
+  it("emits one item per arm with per-arm values", () => {
+    const slugs = ["tool-a"];
+    const mDir = setupMarketir(slugs);
+    const experiments = [
+      {
+        id: "exp-arms",
+        status: "active",
+        slugs: ["tool-a"],
+        dimension: "tagline",
+        primaryMetric: "opened",
+        arms: [
+          { key: "control", control: true, value: "Original" },
+          { key: "variant-a", value: "Subject A" },
+          { key: "variant-b", value: "Subject B" },
+          { key: "variant-c", value: "Subject C" },
+        ],
+      },
+    ];
+
+    const result = buildOutreachRun(
+      makeQueue(slugs),
+      makePromo(),
+      { overrides: makeOverrides(slugs), marketirDir: mDir, experiments }
+    );
+
+    assert.equal(result.itemCount, 4);
+    assert.deepEqual(result.items.map((i) => i.variantKey), ["control", "variant-a", "variant-b", "variant-c"]);
+    assert.equal(result.items[2].channels.email.journalist.subject, "Subject B");
+    assert.notEqual(result.items[0].channels.email.journalist.subject, "Original");
+
+    cleanupMarketir();
+  });
+});
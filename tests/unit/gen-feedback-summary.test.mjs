@@ -175,3 +175,45 @@ describe("computeFeedbackSummary - experiment variants", () => {
     assert.deepStrictEqual(summary.perExperiment, {});
   });
 });
+
+describe("computeFeedbackSummary - declared experiment arms", () => {
+  const experiments = {
+    schemaVersion: 2,
+    experiments: [{
+      id: "exp-arms",
+      status: "active",
+      primaryMetric: "opened",
+      arms: [{ key: "base", control: true }, { key: "b" }, { key: "c" }],
+    }],
+  };
+
+  it("seeds every declared arm with zero counts", () => {
+    const entries = [
+      { date: "2026-03-01", slug: "t", channel: "email", outcome: "sent", experimentId: "exp-arms", variantKey: "b" },
+    ];
+    const summary = computeFeedbackSummary(entries, experiments);
+    assert.deepEqual(Object.keys(summary.perExperiment["exp-arms"]).sort(), ["b", "base", "c"]);
+    assert.equal(summary.perExperiment["exp-arms"].b.sent, 1);
+    assert.equal(summary.perExperiment["exp-arms"].c.sent, 0);
+  });
+
+  it("compares against the declared control on the primary metric", () => {
+    const entries = [];
+    for (let i = 0; i < 5; i++) entries.push({ date: "2026-03-01", slug: "t", channel: "email", outcome: "sent", experimentId: "exp-arms", variantKey: "base" });
+    entries.push({ date: "2026-03-01", slug: "t", channel: "email", outcome: "opened", experimentId: "exp-arms", variantKey: "base" });
+    for (let i = 0; i < 2; i++) entries.push({ date: "2026-03-01", slug: "t", channel: "email", outcome: "sent", experimentId: "exp-arms", variantKey: "c" });
+    for (let i = 0; i < 4; i++) entries.push({ date: "2026-03-01", slug: "t", channel: "email", outcome: "opened", experimentId: "exp-arms", variantKey: "c" });
+
+    const summary = computeFeedbackSummary(entries, experiments);
+    assert.ok(summary.recommendations.some((r) => r.includes("exp-arms: c outperforms control") && r.includes("open rate")));
+    assert.ok(summary.recommendations.some((r) => r.includes("0 b variant entries")));
+  });
+
+  it("flags feedback for undeclared arms", () => {
+    const entries = [
+      { date: "2026-03-01", slug: "t", channel: "email", outcome: "sent", experimentId: "exp-arms", variantKey: "typo" },
+    ];
+    const summary = computeFeedbackSummary(entries, experiments);
+    assert.ok(summary.recommendations.some((r) => r.includes('undeclared arm "typo"')));
+  });
+});
@@ -214,6 +214,28 @@ describe("buildOperatorBrief", () => {
     );
   });
 
+  it("lists submission escalations and suggests reviewing overdue ones", () => {
+    const result = buildOperatorBrief(
+      makeInputs({
+        queueHealth: {
+          escalations: [
+            { slug: "slow-review", status: "reviewing", waitingOn: "maintainer", reason: "status-sla", days: 9, slaDays: 5, severity: "warning" },
+            { slug: "quiet-author", status: "needs-info", waitingOn: "submitter", reason: "status-sla", days: 30, slaDays: 14, severity: "critical" },
+          ],
+        },
+      })
+    );
+    assert.equal(result.sections.escalations.length, 2);
+    assert.equal(result.sections.suggestedActions[0], "Review 1 overdue submission(s)");
+    assert.ok(result.markdown.includes("| slow-review | reviewing | maintainer | status-sla | 9 / 5 | warning |"));
+  });
+
+  it("escalations section reports all clear without queue health", () => {
+    const result = buildOperatorBrief(makeInputs());
+    assert.deepEqual(result.sections.escalations, []);
+    assert.ok(result.markdown.includes("All submissions within SLA."));
+  });
+
   it("markdown includes all section headers", () => {
     const result = buildOperatorBrief(makeInputs());
     assert.ok(
@@ -241,4 +263,28 @@ describe("buildOperatorBrief", () => {
       "markdown should contain ## Suggested Actions"
     );
   });
+
+  it("lists worthy regressions and suggests restoring them", () => {
+    const result = buildOperatorBrief(makeInputs({
+      worthyHistory: {
+        repos: {
+          "flagship-tool": [
+            { date: "2026-02-01", worthy: true, score: 4, missing: [] },
+            { date: "2026-03-01", worthy: false, score: 2, missing: ["License is OSI-approved"] },
+          ],
+        },
+      },
+    }));
+    assert.equal(result.sections.worthyRegressions.length, 1);
+    assert.equal(result.sections.worthyRegressions[0].slug, "flagship-tool");
+    assert.ok(result.markdown.includes("## Worthy Regressions"));
+    assert.ok(result.markdown.includes("| flagship-tool | 2026-02-01 | 2026-03-01 | 4 → 2 | License is OSI-approved |"));
+    assert.ok(result.sections.suggestedActions.some((a) => a.includes("1 regressed repo")));
+  });
+
+  it("reports no worthy regressions without history", () => {
+    const result = buildOperatorBrief(makeInputs());
+    assert.deepEqual(result.sections.worthyRegressions, []);
+    assert.ok(result.markdown.includes("No worthy regressions."));
+  });
 });
@@ -4,7 +4,7 @@
 
 import { describe, it } from "node:test";
 import assert from "node:assert/strict";
-import { analyzeOpsHistory, buildCapsDiff } from "../../scripts/gen-ops-actions.mjs";
+import { analyzeOpsHistory, buildCapsDiff, worthyRegressionActions } from "../../scripts/gen-ops-actions.mjs";
 
 // ── Helpers ─────────────────────────────────────────────────
 
@@ -138,6 +138,31 @@ describe("analyzeOpsHistory", () => {
   });
 });
 
+// ── worthyRegressionActions ─────────────────────────────────
+
+describe("worthyRegressionActions", () => {
+  const regression = (slug) => ({
+    slug,
+    from: { date: "2026-02-01", score: 4 },
+    to: { date: "2026-03-01", score: 2 },
+    lostCriteria: ["At least 1 release published"],
+  });
+
+  it("emits an error for queued slugs and a warning otherwise", () => {
+    const actions = worthyRegressionActions([regression("queued-tool"), regression("idle-tool")], {
+      promoQueue: { slugs: [{ slug: "queued-tool" }] },
+    });
+    assert.deepEqual(actions.map((a) => [a.level, a.category]), [["error", "worthy"], ["warning", "worthy"]]);
+    assert.ok(actions[0].message.includes("queued-tool"));
+    assert.ok(actions[0].message.includes("At least 1 release published"));
+    assert.ok(actions[0].action.includes("autoDeferRegressed"));
+  });
+
+  it("returns nothing without regressions", () => {
+    assert.deepEqual(worthyRegressionActions([]), []);
+  });
+});
+
 // ── buildCapsDiff ───────────────────────────────────────────
 
 describe("buildCapsDiff", () => {
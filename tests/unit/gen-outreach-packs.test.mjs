@@ -0,0 +1,154 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, writeFileSync, readdirSync, rmSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import {
+  buildOutreachPack,
+  generateOutreachPacks,
+  findWhyNow,
+} from "../../scripts/gen-outreach-packs.mjs";
+import tool from "../fixtures/minimal-tool.json" with { type: "json" };
+
+const AT = "2026-05-20T12:00:00.000Z";
+
+describe("buildOutreachPack", () => {
+  it("builds every outreach file in memory", () => {
+    const { files, dmLength } = buildOutreachPack({
+      slug: "test-tool",
+      tool,
+      override: { install: "npx test-tool" },
+      whyNow: "Announce",
+      generatedAt: AT,
+    });
+    assert.deepEqual(Object.keys(files), [
+      "email-journalist.md",
+      "email-partner.md",
+      "email-integrator.md",
+      "dm-short.md",
+      "hn-comment.md",
+      "github-readme-snippet.md",
+      "press-release-lite.md",
+    ]);
+    assert.ok(files["email-journalist.md"].includes('[context] Why now: currently in "Announce" phase.'));
+    assert.ok(files["email-integrator.md"].includes("npx test-tool"));
+    assert.ok(files["dm-short.md"].includes(`> ${dmLength} chars (limit: 300)`));
+  });
+
+  it("keeps the DM within 300 characters for long one-liners", () => {
+    const wordy = { ...tool, positioning: { ...tool.positioning, oneLiner: "x".repeat(400) } };
+    const { dmLength } = buildOutreachPack({ slug: "test-tool", tool: wordy, generatedAt: AT });
+    assert.equal(dmLength, 300);
+  });
+
+  it("holds every locale to the 300-character DM limit, counted in characters", () => {
+    const translated = structuredClone(tool);
+    translated.positioning.i18n = { ja: { oneLiner: "テスト用のツール🚀".repeat(40) } };
+    const { files, dmLength, locale } = buildOutreachPack({ slug: "test-tool", tool: translated, locale: "ja", generatedAt: AT });
+    assert.equal(locale, "ja");
+    assert.equal(dmLength, 300);
+    const body = files["dm-short.md"].split("```\n")[1].split("\n")[0];
+    assert.equal([...body].length, 300);
+    assert.ok(body.endsWith("ツー..."));
+    assert.ok(body.isWellFormed(), "truncation must not split a surrogate pair");
+  });
+
+  it("uses localized templates from <templatesDir>/<locale>/ and reports the rest", () => {
+    const templatesDir = join(tmpdir(), `outreach-l10n-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    mkdirSync(join(templatesDir, "de", "outreach"), { recursive: true });
+    writeFileSync(join(templatesDir, "de", "outreach", "hn-comment.md.tmpl"), "{{#each claims}}- {{statement}}\n{{/each}}");
+    const translated = structuredClone(tool);
+    translated.claims[0].i18n = { de: { statement: "Es funktioniert." } };
+    try {
+      const { files, fallbacks } = buildOutreachPack({ slug: "test-tool", tool: translated, locale: "de", generatedAt: AT, templatesDir });
+      assert.equal(files["hn-comment.md"], "- Es funktioniert.\n");
+      assert.ok(files["email-journalist.md"].includes("- Es funktioniert. (proof:"));
+      const templates = fallbacks.filter((f) => f.kind === "template").map((f) => f.id);
+      assert.ok(!templates.includes("outreach/hn-comment.md.tmpl"));
+      assert.ok(templates.includes("outreach/email-journalist.md.tmpl"));
+    } finally {
+      rmSync(templatesDir, { recursive: true, force: true });
+    }
+  });
+
+  it("omits the press release without a project description", () => {
+    const bare = { ...tool, press: { ...tool.press, boilerplate: {} } };
+    const { files } = buildOutreachPack({ slug: "test-tool", tool: bare, generatedAt: AT });
+    assert.equal(files["press-release-lite.md"], undefined);
+  });
+
+  it("renders kit template overrides and the DM body template", () => {
+    const templatesDir = join(tmpdir(), `outreach-tpl-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    mkdirSync(join(templatesDir, "outreach"), { recursive: true });
+    writeFileSync(join(templatesDir, "outreach", "hn-comment.md.tmpl"), `{{tool.name}} — {{claim "claim.test-tool.works"}}\n`);
+    writeFileSync(join(templatesDir, "outreach", "dm-body.txt.tmpl"), "Try {{tool.name}}: {{urls.repo}}\n");
+    try {
+      const { files, dmLength } = buildOutreachPack({ slug: "test-tool", tool, generatedAt: AT, templatesDir });
+      assert.equal(files["hn-comment.md"], "Test Tool — It works correctly.\n");
+      assert.ok(files["dm-short.md"].includes("Try Test Tool: https://github.com/mcp-tool-shop-org/test-tool\n"));
+      assert.equal(dmLength, "Try Test Tool: https://github.com/mcp-tool-shop-org/test-tool".length);
+      assert.ok(files["email-partner.md"].startsWith("# Test Tool — Partner Outreach"));
+    } finally {
+      rmSync(templatesDir, { recursive: true, force: true });
+    }
+  });
+
+  it("fails when a template references an unproven claim", () => {
+    const leaning = {
+      ...tool,
+      claims: [...tool.claims, { id: "claim.test-tool.soon", status: "aspirational", statement: "Soon." }],
+      messages: [{ id: "msg.hn", channel: "hn", text: "Show HN", claimRefs: ["claim.test-tool.soon"] }],
+    };
+    assert.throws(
+      () => buildOutreachPack({ slug: "test-tool", tool: leaning, generatedAt: AT }),
+      /hn-comment\.md\.tmpl:\d+: references unproven claim "claim\.test-tool\.soon"/
+    );
+  });
+
+  it("rejects tools without a press block", () => {
+    const { press, ...noPress } = tool;
+    assert.throws(() => buildOutreachPack({ slug: "test-tool", tool: noPress }), /no press block/);
+  });
+});
+
+describe("generateOutreachPacks", () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = join(tmpdir(), `outreach-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    const tools = join(tempDir, "data", "marketir", "data", "tools");
+    mkdirSync(tools, { recursive: true });
+    writeFileSync(join(tempDir, "data", "overrides.json"), JSON.stringify({
+      "test-tool": { publicProof: true },
+      "quiet-tool": { publicProof: true },
+    }));
+    writeFileSync(join(tools, "test-tool.json"), JSON.stringify(tool));
+    const { press, ...quiet } = tool;
+    writeFileSync(join(tools, "quiet-tool.json"), JSON.stringify(quiet));
+
+    const bundleDir = join(tempDir, "public", "campaigns", "test-tool-launch");
+    mkdirSync(bundleDir, { recursive: true });
+    writeFileSync(join(bundleDir, "bundle.json"), JSON.stringify({
+      tool: { slug: "test-tool" },
+      phases: [{ name: "Warm-up" }, { name: "Launch" }],
+    }));
+  });
+
+  afterEach(() => {
+    try { rmSync(tempDir, { recursive: true, force: true }); } catch {}
+  });
+
+  it("reads why-now from generated campaign bundles", () => {
+    assert.equal(findWhyNow(join(tempDir, "public", "campaigns"), "test-tool"), "Launch");
+    assert.equal(findWhyNow(join(tempDir, "public", "campaigns"), "other"), null);
+    assert.equal(findWhyNow(join(tempDir, "missing"), "test-tool"), null);
+  });
+
+  it("writes packs and skips tools without press data", () => {
+    const publicDir = join(tempDir, "public");
+    const { packs, skipped } = generateOutreachPacks({ dataDir: join(tempDir, "data"), publicDir, generatedAt: AT });
+    assert.deepEqual(packs.map((p) => p.slug), ["test-tool"]);
+    assert.deepEqual(skipped, [{ slug: "quiet-tool", reason: "no press block" }]);
+    assert.deepEqual(readdirSync(join(publicDir, "outreach", "test-tool")).sort(), Object.keys(packs[0].files).sort());
+  });
+});
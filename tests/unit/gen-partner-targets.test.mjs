@@ -199,3 +199,39 @@ describe("matchPartnersToOutreach - cooldown suppression", () => {
     assert.equal(suppressed[0].partner.name, "Recent");
   });
 });
+
+// ── Lifecycle suppression ───────────────────────────────────
+
+describe("matchPartnersToOutreach - lifecycle", () => {
+  const items = [{ slug: "tool-a", links: {}, channels: {} }];
+  const NOW = new Date("2026-02-16T12:00:00Z").getTime();
+  const governance = { cooldownDaysPerPartner: 14 };
+
+  it("suppresses do-not-contact partners regardless of contact history", () => {
+    const partnersData = { partners: [{ name: "Dee", type: "partner", slug: "tool-a", stage: "do-not-contact" }] };
+    const { matches, suppressed } = matchPartnersToOutreach(items, partnersData, { governance, now: NOW });
+    assert.equal(matches.length, 0);
+    assert.deepEqual(suppressed[0].suppressedReasons, ["do-not-contact"]);
+  });
+
+  it("suppresses declined partners", () => {
+    const partnersData = { partners: [{ name: "Dec", type: "partner", slug: "tool-a", stage: "declined" }] };
+    const { suppressed } = matchPartnersToOutreach(items, partnersData, { governance, now: NOW });
+    assert.match(suppressed[0].suppressedReasons[0], /^declined/);
+  });
+
+  it("uses the latest logged send over a stale lastContactedAt", () => {
+    const partner = {
+      name: "Logged", type: "partner", slug: "tool-a", stage: "contacted",
+      lastContactedAt: "2026-01-01",
+      interactions: [
+        { at: "2026-01-01T00:00:00.000Z", kind: "sent" },
+        { at: "2026-02-13T00:00:00.000Z", kind: "sent", channel: "email" },
+        { at: "2026-02-15T00:00:00.000Z", kind: "reply" },
+      ],
+    };
+    const { suppressed } = matchPartnersToOutreach(items, { partners: [partner] }, { governance, now: NOW });
+    assert.equal(suppressed.length, 1);
+    assert.ok(suppressed[0].suppressedReasons[0].includes("3d ago"));
+  });
+});
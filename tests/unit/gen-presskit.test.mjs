@@ -0,0 +1,156 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, writeFileSync, readFileSync, rmSync, existsSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import { buildPresskit, generatePresskits } from "../../scripts/gen-presskit.mjs";
+import tool from "../fixtures/minimal-tool.json" with { type: "json" };
+import xssTool from "../fixtures/tool-with-xss.json" with { type: "json" };
+
+const AT = "2026-05-20T12:00:00.000Z";
+const FACTS = {
+  stars: 42, forks: 3, watchers: 5, openIssues: 1, openPRs: 2, license: "MIT",
+  latestRelease: { tag: "v1.2.0", publishedAt: "2026-05-01T00:00:00Z", url: "https://github.com/x/y/releases/v1.2.0" },
+  releasesLast90d: 2, fetchedAt: "2026-05-02T00:00:00Z",
+};
+
+describe("buildPresskit", () => {
+  it("returns the structured presskit and every file in memory", () => {
+    const evidence = new Map([["ev.test-tool.ci.v1", { id: "ev.test-tool.ci.v1", type: "ci", url: "https://ci.example/1" }]]);
+    const { presskit, files } = buildPresskit({
+      slug: "test-tool",
+      tool,
+      override: { install: "npx test-tool", stability: "stable" },
+      evidence,
+      trackedLinks: [{ id: "tt-hn", channel: "hn" }],
+      lockShort: "abc123",
+      generatedAt: AT,
+    });
+
+    assert.equal(presskit.slug, "test-tool");
+    assert.equal(presskit.install, "npx test-tool");
+    assert.deepEqual(presskit.provenClaims[0].evidence, [{ id: "ev.test-tool.ci.v1", type: "ci", url: "https://ci.example/1", path: null }]);
+    assert.deepEqual(presskit.trackedLinks, [{ id: "tt-hn", url: "https://mcptoolshop.com/go/tt-hn/", channel: "hn" }]);
+    assert.deepEqual(Object.keys(files), ["presskit.json", "README.md", "index.html"]);
+    assert.deepEqual(JSON.parse(files["presskit.json"]), presskit);
+    assert.ok(files["README.md"].includes("lock: abc123) at 2026-05-20T12:00:00.000Z"));
+    assert.ok(files["index.html"].includes('<a href="/go/tt-hn/" title="hn">tt-hn</a>'));
+  });
+
+  it("adds a release announcement only when facts carry a latest release", () => {
+    const { files } = buildPresskit({ slug: "test-tool", tool, facts: FACTS, generatedAt: AT });
+    assert.ok(files["release-announcement.md"].startsWith("# Test Tool v1.2.0 — Release Announcement"));
+    assert.equal(buildPresskit({ slug: "test-tool", tool, generatedAt: AT }).files["release-announcement.md"], undefined);
+  });
+
+  it("is deterministic for fixed inputs", () => {
+    const a = buildPresskit({ slug: "test-tool", tool, facts: FACTS, generatedAt: AT });
+    const b = buildPresskit({ slug: "test-tool", tool, facts: FACTS, generatedAt: AT });
+    assert.deepEqual(a, b);
+  });
+
+  it("escapes hostile MarketIR fields in index.html", () => {
+    const { files } = buildPresskit({ slug: "xss-test", tool: xssTool, generatedAt: AT });
+    assert.ok(!files["index.html"].includes("<script>"));
+    assert.ok(!files["index.html"].includes("<img onerror"));
+  });
+});
+
+describe("buildPresskit templates", () => {
+  it("renders a kit override and keeps the built-ins for the rest", () => {
+    const templatesDir = join(tmpdir(), `presskit-tpl-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    mkdirSync(join(templatesDir, "presskit"), { recursive: true });
+    writeFileSync(join(templatesDir, "presskit", "index.html.tmpl"), "<h1>{{tool.name}}</h1>{{#each claims}}<p>{{statement}}</p>{{/each}}\n");
+    try {
+      const { files } = buildPresskit({ slug: "xss-test", tool: xssTool, generatedAt: AT, templatesDir });
+      assert.ok(files["index.html"].startsWith("<h1>"));
+      assert.ok(!files["index.html"].includes("<script>"));
+      assert.ok(files["README.md"].includes("— Press Kit"));
+    } finally {
+      rmSync(templatesDir, { recursive: true, force: true });
+    }
+  });
+
+  it("fails when an approved quote leans on an unproven claim", () => {
+    const leaning = {
+      ...tool,
+      claims: [...tool.claims, { id: "claim.test-tool.soon", status: "aspirational", statement: "Soon." }],
+      press: { ...tool.press, quotes: [{ text: "Soon!", claimRefs: ["claim.test-tool.soon"] }] },
+    };
+    assert.throws(
+      () => buildPresskit({ slug: "test-tool", tool: leaning, generatedAt: AT }),
+      /README\.md\.tmpl:\d+: references unproven claim "claim\.test-tool\.soon"/
+    );
+  });
+});
+
+describe("generatePresskits", () => {
+  let tempDir;
+  let dataDir;
+  let publicDir;
+
+  beforeEach(() => {
+    tempDir = join(tmpdir(), `presskit-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    dataDir = join(tempDir, "data");
+    publicDir = join(tempDir, "public");
+    mkdirSync(join(dataDir, "marketir", "data", "tools"), { recursive: true });
+    writeFileSync(join(dataDir, "overrides.json"), JSON.stringify({
+      "test-tool": { publicProof: true },
+      "no-data": { publicProof: true },
+      hidden: { publicProof: false },
+    }));
+    writeFileSync(join(dataDir, "marketir", "data", "tools", "test-tool.json"), JSON.stringify(tool));
+    writeFileSync(join(dataDir, "marketir", "marketir.snapshot.json"), JSON.stringify({ lockSha256: "0123456789abcdef" }));
+  });
+
+  afterEach(() => {
+    try { rmSync(tempDir, { recursive: true, force: true }); } catch {}
+  });
+
+  it("writes one kit per publicProof tool and reports skipped slugs", () => {
+    const { presskits, skipped } = generatePresskits({ dataDir, publicDir, generatedAt: AT });
+    assert.deepEqual(presskits.map((k) => k.slug), ["test-tool"]);
+    assert.deepEqual(skipped, [{ slug: "no-data", reason: "no MarketIR data" }]);
+    assert.equal(presskits[0].presskit.sourcelock, "0123456789ab");
+    assert.equal(readFileSync(join(publicDir, "presskit", "test-tool", "index.html"), "utf8"), presskits[0].files["index.html"]);
+  });
+
+  it("narrows to slugs and writes nothing in dry-run mode", () => {
+    const { presskits, skipped } = generatePresskits({ dataDir, publicDir, slugs: ["test-tool"], dryRun: true });
+    assert.equal(presskits.length, 1);
+    assert.equal(skipped.length, 0);
+    assert.equal(existsSync(join(publicDir, "presskit")), false);
+  });
+
+  it("writes translated kits to <slug>/<locale>/ with English fallbacks", () => {
+    const translated = structuredClone(tool);
+    translated.claims[0].i18n = { de: { statement: "Es funktioniert <korrekt>." } };
+    writeFileSync(join(dataDir, "marketir", "data", "tools", "test-tool.json"), JSON.stringify(translated));
+
+    const { presskits } = generatePresskits({ dataDir, publicDir, generatedAt: AT });
+    assert.deepEqual(presskits.map((k) => `${k.slug}/${k.locale}`), ["test-tool/en", "test-tool/de"]);
+    const de = presskits[1];
+    assert.equal(de.presskit.locale, "de");
+    assert.equal(de.presskit.provenClaims[0].statement, "Es funktioniert <korrekt>.");
+    assert.ok(de.fallbacks.some((f) => f.kind === "positioning" && f.field === "oneLiner"));
+    assert.ok(de.fallbacks.some((f) => f.kind === "template" && f.id === "presskit/index.html.tmpl"));
+
+    const html = readFileSync(join(publicDir, "presskit", "test-tool", "de", "index.html"), "utf8");
+    assert.ok(html.includes('<html lang="de">'));
+    assert.ok(html.includes("Es funktioniert &lt;korrekt&gt;."));
+    assert.ok(html.includes("A test tool for unit tests."));
+    assert.ok(readFileSync(join(publicDir, "presskit", "test-tool", "index.html"), "utf8").includes("It works correctly."));
+  });
+
+  it("generates requested locales even without translations", () => {
+    const { presskits } = generatePresskits({ dataDir, publicDir, locales: ["fr"], dryRun: true });
+    assert.deepEqual(presskits.map((k) => k.locale), ["en", "fr"]);
+    assert.ok(presskits[1].fallbacks.some((f) => f.kind === "claim"));
+    assert.throws(() => generatePresskits({ dataDir, publicDir, locales: ["../x"], dryRun: true }), /invalid locale/);
+  });
+
+  it("throws when overrides.json is missing", () => {
+    rmSync(join(dataDir, "overrides.json"));
+    assert.throws(() => generatePresskits({ dataDir, publicDir }), /overrides\.json/);
+  });
+});
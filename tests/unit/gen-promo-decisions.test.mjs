@@ -1,9 +1,16 @@
 import { describe, it, beforeEach, afterEach } from "node:test";
 import assert from "node:assert/strict";
-import { mkdirSync, writeFileSync, rmSync } from "node:fs";
+import { mkdirSync, writeFileSync, readFileSync, rmSync } from "node:fs";
 import { join } from "node:path";
 import { tmpdir } from "node:os";
 import { buildDecisions, generatePromoDecisions } from "../../scripts/gen-promo-decisions.mjs";
+import {
+  registerScorer,
+  resetScorers,
+  loadScorerModules,
+  resolveScoringProfile,
+  DEFAULT_SCORING_PROFILE,
+} from "../../scripts/lib/scoring.mjs";
 
 function makeInputs(overrides = {}) {
   return {
@@ -252,6 +259,44 @@ describe("buildDecisions", () => {
   });
 });
 
+describe("buildDecisions — worthy regressions", () => {
+  const worthyHistory = {
+    repos: {
+      "slipped-tool": [
+        { date: "2026-02-01", worthy: true, score: 4, missing: [] },
+        { date: "2026-02-20", worthy: false, score: 2, missing: ["At least 1 release published"] },
+      ],
+    },
+  };
+  const promoQueue = { week: "2026-02-17", slugs: ["slipped-tool", "steady-tool"], promotionType: "own" };
+
+  it("defers slugs that regressed since the queue week when autoDeferRegressed is on", () => {
+    const result = buildDecisions(makeInputs({
+      promoQueue,
+      worthyHistory,
+      governance: { maxPromosPerWeek: 3, cooldownDaysPerSlug: 14, autoDeferRegressed: true },
+    }));
+    const slipped = result.decisions.find((d) => d.slug === "slipped-tool");
+    assert.equal(slipped.action, "defer");
+    assert.ok(slipped.explanation[0].startsWith("worthy regression: worthy → not worthy on 2026-02-20"));
+    assert.equal(result.decisions.find((d) => d.slug === "steady-tool").action, "promote");
+  });
+
+  it("leaves regressed slugs alone when autoDeferRegressed is off", () => {
+    const result = buildDecisions(makeInputs({ promoQueue, worthyHistory }));
+    assert.equal(result.decisions.find((d) => d.slug === "slipped-tool").action, "promote");
+  });
+
+  it("uses an entry's queuedAt over the queue week", () => {
+    const result = buildDecisions(makeInputs({
+      promoQueue: { week: "2026-02-17", slugs: [{ slug: "slipped-tool", queuedAt: "2026-02-21" }] },
+      worthyHistory,
+      governance: { maxPromosPerWeek: 3, cooldownDaysPerSlug: 14, autoDeferRegressed: true },
+    }));
+    assert.equal(result.decisions[0].action, "promote", "already regressed when queued");
+  });
+});
+
 describe("generatePromoDecisions — freeze enforcement", () => {
   let tempDir;
 
@@ -294,3 +339,176 @@ describe("generatePromoDecisions — freeze enforcement", () => {
     assert.equal(result.decisionCount, 1, "should preserve existing decision count");
   });
 });
+
+describe("buildDecisions — scoring profile", () => {
+  afterEach(() => resetScorers());
+
+  const queue = { week: "2026-02-17", slugs: ["tool-a"], promotionType: "own" };
+
+  it("default profile reports the four built-in scorers with versions", () => {
+    const result = buildDecisions(makeInputs({ promoQueue: queue }));
+    assert.deepEqual(result.scorers.map((s) => s.id), ["proof", "engagement", "freshness", "worthy"]);
+    assert.ok(result.scorers.every((s) => s.version && s.source === "builtin"));
+    const d = result.decisions[0];
+    assert.deepEqual(d.breakdown, { proof: 0, engagement: 0, freshness: 20, worthy: 0 });
+  });
+
+  it("applies weights, caps and params from governance.scoring", () => {
+    const result = buildDecisions(
+      makeInputs({
+        promoQueue: queue,
+        overrides: { "tool-a": { publicProof: true, provenClaims: ["a", "b"] } },
+        governance: {
+          maxPromosPerWeek: 3,
+          cooldownDaysPerSlug: 14,
+          scoring: {
+            scorers: [
+              { id: "proof", params: { publicProofPoints: 25 }, max: 28 },
+              { id: "freshness", weight: 0.5 },
+            ],
+          },
+        },
+      })
+    );
+    const d = result.decisions[0];
+    // proof: 25 + 2*3 = 31, capped at 28; freshness: 20 * 0.5 = 10
+    assert.deepEqual(d.breakdown, { proof: 28, freshness: 10 });
+    assert.equal(d.score, 38);
+    assert.ok(d.explanation.some((e) => e.includes("capped at 28")));
+    assert.ok(d.explanation.some((e) => e.includes("x0.5 weight")));
+  });
+
+  it("skips disabled and unregistered scorers with a warning", () => {
+    const result = buildDecisions(
+      makeInputs({
+        promoQueue: queue,
+        scoringProfile: {
+          scorers: [{ id: "freshness", enabled: false }, { id: "worthy" }, { id: "nope" }],
+        },
+      })
+    );
+    assert.deepEqual(result.scorers.map((s) => s.id), ["worthy"]);
+    assert.ok(result.warnings.some((w) => w.includes('"nope" is not registered')));
+  });
+
+  it("runs a registered custom scorer and honours its defer flag", () => {
+    registerScorer({
+      id: "blocklist",
+      version: "2.1.0",
+      defaults: { max: 5, params: { blocked: [] } },
+      score(slug, ctx, params) {
+        const blocked = params.blocked.includes(slug);
+        return { score: blocked ? 0 : 5, defer: blocked, explanation: `blocklist: ${blocked ? "DEFER" : "+5"}` };
+      },
+    });
+    const result = buildDecisions(
+      makeInputs({
+        promoQueue: { ...queue, slugs: ["tool-a", "tool-b"] },
+        scoringProfile: {
+          scorers: [{ id: "freshness" }, { id: "blocklist", params: { blocked: ["tool-b"] } }],
+        },
+      })
+    );
+    const a = result.decisions.find((d) => d.slug === "tool-a");
+    const b = result.decisions.find((d) => d.slug === "tool-b");
+    assert.equal(a.score, 25);
+    assert.equal(a.action, "promote");
+    assert.equal(b.action, "defer");
+    assert.equal(result.scorers[1].version, "2.1.0");
+  });
+
+  it("readme-health scorer reads its data through readData", () => {
+    const result = buildDecisions(
+      makeInputs({
+        promoQueue: queue,
+        scoringProfile: { scorers: [{ id: "readme-health", max: 10 }] },
+        readData: (name) => (name === "readme-health.json" ? { results: [{ repo: "tool-a", score: 85 }] } : null),
+      })
+    );
+    assert.equal(result.decisions[0].score, 9);
+  });
+
+  it("a throwing scorer scores 0 instead of aborting the run", () => {
+    registerScorer({ id: "broken", version: "0.0.1", score() { throw new Error("boom"); } });
+    const result = buildDecisions(
+      makeInputs({ promoQueue: queue, scoringProfile: { scorers: [{ id: "broken" }, { id: "freshness" }] } })
+    );
+    assert.equal(result.decisions[0].score, 20);
+    assert.ok(result.decisions[0].explanation.some((e) => e.includes("boom")));
+  });
+});
+
+describe("scoring profiles and plugin modules", () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = join(tmpdir(), `promo-scoring-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    mkdirSync(tempDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    resetScorers();
+    try { rmSync(tempDir, { recursive: true, force: true }); } catch {}
+  });
+
+  it("scoring-profile.json wins over governance.scoring", () => {
+    const fileProfile = { scorers: [{ id: "worthy" }] };
+    const r = resolveScoringProfile({ scoring: { scorers: [{ id: "proof" }] } }, fileProfile);
+    assert.equal(r.source, "scoring-profile.json");
+    assert.equal(r.profile, fileProfile);
+    assert.equal(r.warnings.length, 1);
+    assert.equal(resolveScoringProfile({}, null).profile, DEFAULT_SCORING_PROFILE);
+  });
+
+  it("loads scorer modules from the kit root and rejects paths outside it", async () => {
+    mkdirSync(join(tempDir, "scorers"));
+    writeFileSync(join(tempDir, "scorers", "stars.mjs"), [
+      "export default {",
+      "  id: 'stars', version: '1.0.0', description: 'Star count',",
+      "  defaults: { max: 10 },",
+      "  score(slug, ctx) { return { score: ctx.readData('stars.json')?.[slug] ?? 0, explanation: 'stars' }; },",
+      "};",
+    ].join("\n"));
+
+    const { loaded, errors } = await loadScorerModules({
+      scorers: [
+        { id: "stars", module: "scorers/stars.mjs" },
+        { id: "evil", module: "../evil.mjs" },
+        { id: "gone", module: "scorers/gone.mjs" },
+      ],
+    }, tempDir);
+
+    assert.deepEqual(loaded, ["stars"]);
+    assert.equal(errors.length, 2);
+    assert.ok(errors[0].includes("outside the kit root"));
+    assert.ok(errors[1].includes("not found"));
+  });
+
+  it("pipeline uses the profile file and lists every scorer in promo-decisions.md", () => {
+    registerScorer({
+      id: "stars",
+      version: "1.2.0",
+      description: "Star count",
+      defaults: { max: 10 },
+      score: (slug, ctx) => ({ score: ctx.readData("stars.json")?.[slug] ?? 0, explanation: "stars" }),
+    }, "scorers/stars.mjs");
+
+    writeFileSync(join(tempDir, "promo-queue.json"), JSON.stringify({ week: "2026-02-17", slugs: ["tool-a"] }));
+    writeFileSync(join(tempDir, "governance.json"), JSON.stringify({ maxPromosPerWeek: 3, cooldownDaysPerSlug: 14 }));
+    writeFileSync(join(tempDir, "stars.json"), JSON.stringify({ "tool-a": 42 }));
+    writeFileSync(join(tempDir, "scoring-profile.json"), JSON.stringify({
+      scorers: [{ id: "freshness" }, { id: "stars" }],
+    }));
+
+    generatePromoDecisions({ dataDir: tempDir, decisionsDir: tempDir });
+
+    const json = JSON.parse(readFileSync(join(tempDir, "promo-decisions.json"), "utf8"));
+    assert.equal(json.decisions[0].score, 30);
+    assert.deepEqual(json.scorers.map((s) => `${s.id}@${s.version}`), ["freshness@1.0.0", "stars@1.2.0"]);
+
+    const md = readFileSync(join(tempDir, "promo-decisions.md"), "utf8");
+    assert.ok(md.includes("## Scorers"));
+    assert.ok(md.includes("| freshness | 1.0.0 | 1 | 20 | builtin |"));
+    assert.ok(md.includes("| stars | 1.2.0 | 1 | 10 | scorers/stars.mjs | Star count |"));
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Unit tests for gen-promo-ics.mjs
+ */
+
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, writeFileSync, readFileSync, rmSync, existsSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import {
+  escapeIcsText,
+  foldIcsLine,
+  buildCalendarEvents,
+  renderIcs,
+  generatePromoIcs,
+} from "../../scripts/gen-promo-ics.mjs";
+
+// ── Helpers ─────────────────────────────────────────────────
+
+const GOVERNANCE = { cooldownDaysPerSlug: 14, cooldownDaysPerPartner: 10 };
+
+function byKind(events, kind) {
+  return events.filter((e) => e.kind === kind);
+}
+
+// ── Encoding ────────────────────────────────────────────────
+
+describe("escapeIcsText", () => {
+  it("escapes backslash, semicolon, comma and newlines", () => {
+    assert.equal(escapeIcsText("a\\b; c, d\ne\r\nf"), "a\\\\b\\; c\\, d\\ne\\nf");
+  });
+});
+
+describe("foldIcsLine", () => {
+  it("leaves short lines alone", () => {
+    assert.equal(foldIcsLine("SUMMARY:short"), "SUMMARY:short");
+  });
+
+  it("folds at 75 octets without splitting multi-byte characters", () => {
+    const line = `DESCRIPTION:${"é".repeat(80)}`;
+    const physical = foldIcsLine(line).split("\r\n");
+    assert.ok(physical.length > 1);
+    assert.ok(physical.every((l) => Buffer.byteLength(l, "utf8") <= 75));
+    assert.ok(physical.slice(1).every((l) => l.startsWith(" ")));
+    assert.equal(physical.map((l, i) => (i === 0 ? l : l.slice(1))).join(""), line);
+  });
+});
+
+// ── buildCalendarEvents ─────────────────────────────────────
+
+describe("buildCalendarEvents", () => {
+  it("spans the queued promo week over seven days", () => {
+    const events = buildCalendarEvents({
+      queue: { week: "2026-02-17", slugs: ["b-tool", { slug: "a-tool", channels: ["presskit"] }] },
+      promo: { enabled: true },
+    });
+    const [week] = byKind(events, "promo-week");
+    assert.equal(week.start, "2026-02-17");
+    assert.equal(week.end, "2026-02-24");
+    assert.equal(week.description, "Slugs: a-tool, b-tool");
+    assert.equal(week.url, "https://mcptoolshop.com/promo/2026-02-17/");
+  });
+
+  it("includes planned weeks from the queue", () => {
+    const events = buildCalendarEvents({
+      queue: { week: "2026-02-17", slugs: [], weeks: [{ week: "2026-02-24", slugs: [{ slug: "a-tool" }] }] },
+      promo: { enabled: true },
+    });
+    const weeks = byKind(events, "promo-week");
+    assert.deepEqual(weeks.map((w) => [w.start, w.description]), [
+      ["2026-02-17", "No slugs queued"],
+      ["2026-02-24", "Slugs: a-tool"],
+    ]);
+  });
+
+  it("adds outreach runs and merges their weeks with the queue", () => {
+    const events = buildCalendarEvents({
+      queue: { week: "2026-02-17", slugs: ["a-tool"] },
+      promo: { enabled: true },
+      outreachRuns: [
+        { date: "2026-02-10", run: { week: "2026-02-10", items: [{ slug: "c-tool" }, { slug: "c-tool" }] } },
+        { date: "2026-02-17", run: { week: "2026-02-17", items: [{ slug: "d-tool" }] } },
+      ],
+    });
+    const weeks = byKind(events, "promo-week");
+    assert.deepEqual(weeks.map((w) => w.start), ["2026-02-10", "2026-02-17"]);
+    assert.equal(weeks[1].description, "Slugs: a-tool, d-tool");
+    const runs = byKind(events, "outreach-run");
+    assert.equal(runs.length, 2);
+    assert.equal(runs[0].summary, "Outreach run 2026-02-10 (1 tool)");
+  });
+
+  it("emits one slug cooldown expiry from the most recent promotion", () => {
+    const events = buildCalendarEvents({
+      governance: GOVERNANCE,
+      promo: { enabled: true },
+      history: [
+        { date: "2026-03-02T06:00:00Z", promotedSlugs: ["a-tool"] },
+        { date: "2026-02-16T06:00:00Z", promotedSlugs: ["a-tool", "b-tool"] },
+      ],
+    });
+    const cooldowns = byKind(events, "slug-cooldown");
+    assert.deepEqual(cooldowns.map((e) => [e.summary, e.start]), [
+      ["Cooldown ends: b-tool", "2026-03-02"],
+      ["Cooldown ends: a-tool", "2026-03-16"],
+    ]);
+  });
+
+  it("emits partner cooldown expiries, skipping declined and do-not-contact", () => {
+    const events = buildCalendarEvents({
+      governance: GOVERNANCE,
+      promo: { enabled: true },
+      partners: [
+        { id: "p1", name: "Jane Doe", interactions: [{ at: "2026-05-12T09:00:00.000Z", kind: "sent", channel: "email" }] },
+        { name: "Legacy", lastContactedAt: "2026-05-01T00:00:00Z" },
+        { name: "No", stage: "declined", lastContactedAt: "2026-05-01T00:00:00Z" },
+        { name: "Never", stage: "prospect" },
+      ],
+    });
+    const cooldowns = byKind(events, "partner-cooldown");
+    assert.deepEqual(cooldowns.map((e) => [e.uid, e.start]), [
+      ["partner-cooldown-legacy", "2026-05-11"],
+      ["partner-cooldown-p1", "2026-05-22"],
+    ]);
+  });
+
+  it("emits experiment end dates and freeze windows", () => {
+    const events = buildCalendarEvents({
+      promo: { enabled: false, lastModified: "2026-02-16", modifiedBy: "human" },
+      governance: { freezeWindows: [{ start: "2026-12-20", end: "2027-01-03", reason: "holidays" }, { start: "2026-05-02", end: "2026-05-01" }] },
+      experiments: [{ id: "exp-001", name: "Tagline test", status: "active", endDate: "2026-06-30" }, { id: "exp-002" }],
+    });
+    const [exp] = byKind(events, "experiment-end");
+    assert.equal(exp.start, "2026-06-30");
+    assert.equal(exp.summary, "Experiment ends: Tagline test");
+    assert.equal(byKind(events, "experiment-end").length, 1);
+
+    const freezes = byKind(events, "freeze");
+    assert.deepEqual(freezes.map((e) => [e.summary, e.start, e.end]), [
+      ["Promotion frozen", "2026-02-16", "2026-02-17"],
+      ["Freeze: holidays", "2026-12-20", "2027-01-04"],
+    ]);
+  });
+
+  it("is deterministic and sorted by start date", () => {
+    const inputs = {
+      queue: { week: "2026-02-17", slugs: ["a-tool"] },
+      promo: { enabled: false, lastModified: "2026-02-16" },
+      history: [{ date: "2026-02-09", promotedSlugs: ["a-tool"] }],
+    };
+    const events = buildCalendarEvents(inputs);
+    assert.deepEqual(buildCalendarEvents(inputs), events);
+    const starts = events.map((e) => e.start);
+    assert.deepEqual(starts, [...starts].sort());
+  });
+});
+
+// ── renderIcs ───────────────────────────────────────────────
+
+describe("renderIcs", () => {
+  it("renders a CRLF VCALENDAR with all-day VEVENTs", () => {
+    const events = buildCalendarEvents({ queue: { week: "2026-02-17", slugs: ["a-tool", "b-tool"] }, promo: { enabled: true } });
+    const ics = renderIcs(events);
+    assert.ok(ics.startsWith("BEGIN:VCALENDAR\r\nVERSION:2.0\r\n"));
+    assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+    assert.ok(!/[^\r]\n/.test(ics), "every line ends with CRLF");
+    assert.ok(ics.includes("UID:promo-week-2026-02-17@mcptoolshop.com\r\n"));
+    assert.ok(ics.includes("DTSTART;VALUE=DATE:20260217\r\n"));
+    assert.ok(ics.includes("DTEND;VALUE=DATE:20260224\r\n"));
+    assert.ok(ics.includes("DTSTAMP:20260217T000000Z\r\n"));
+    assert.ok(ics.includes("DESCRIPTION:Slugs: a-tool\\, b-tool\r\n"));
+  });
+
+  it("renders an empty calendar when there is nothing scheduled", () => {
+    const ics = renderIcs([]);
+    assert.ok(!ics.includes("BEGIN:VEVENT"));
+    assert.ok(ics.includes("END:VCALENDAR"));
+  });
+});
+
+// ── generatePromoIcs ────────────────────────────────────────
+
+describe("generatePromoIcs", () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = join(tmpdir(), `promo-ics-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    const dataDir = join(tempDir, "data");
+    mkdirSync(dataDir, { recursive: true });
+    mkdirSync(join(tempDir, "outreach-run", "2026-02-17"), { recursive: true });
+    writeFileSync(join(dataDir, "promo-queue.json"), JSON.stringify({ week: "2026-02-17", slugs: ["a-tool"] }));
+    writeFileSync(join(dataDir, "promo.json"), JSON.stringify({ enabled: true }));
+    writeFileSync(join(dataDir, "governance.json"), JSON.stringify(GOVERNANCE));
+    writeFileSync(join(dataDir, "ops-history.json"), JSON.stringify([{ date: "2026-02-16", promotedSlugs: ["a-tool"] }]));
+    writeFileSync(join(dataDir, "partners.json"), JSON.stringify({ partners: [{ name: "Jane", lastContactedAt: "2026-02-01" }] }));
+    writeFileSync(join(dataDir, "experiments.json"), JSON.stringify({ experiments: [{ id: "exp-001", endDate: "2026-03-01" }] }));
+    writeFileSync(join(tempDir, "outreach-run", "2026-02-17", "outreach-run.json"), JSON.stringify({ week: "2026-02-17", items: [{ slug: "a-tool" }] }));
+  });
+
+  afterEach(() => {
+    try { rmSync(tempDir, { recursive: true, force: true }); } catch {}
+  });
+
+  it("writes the feed from the data directory", () => {
+    const outPath = join(tempDir, "public", "lab", "promo-calendar.ics");
+    const { events } = generatePromoIcs({ dataDir: join(tempDir, "data"), outreachRunDir: join(tempDir, "outreach-run"), outPath });
+    assert.deepEqual([...new Set(events.map((e) => e.kind))].sort(), [
+      "experiment-end",
+      "outreach-run",
+      "partner-cooldown",
+      "promo-week",
+      "slug-cooldown",
+    ]);
+    const ics = readFileSync(outPath, "utf8");
+    assert.equal(ics.match(/BEGIN:VEVENT/g).length, events.length);
+  });
+
+  it("does not write in dry-run mode", () => {
+    const outPath = join(tempDir, "public", "lab", "promo-calendar.ics");
+    const { ics } = generatePromoIcs({ dataDir: join(tempDir, "data"), outreachRunDir: join(tempDir, "missing"), outPath, dryRun: true });
+    assert.ok(ics.includes("BEGIN:VCALENDAR"));
+    assert.equal(existsSync(outPath), false);
+  });
+});
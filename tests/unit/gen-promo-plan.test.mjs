@@ -0,0 +1,62 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, writeFileSync, readFileSync, rmSync, existsSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import { generatePromoPlan, parseHorizonArg } from "../../scripts/gen-promo-plan.mjs";
+
+const NOW = Date.parse("2026-03-04T12:00:00Z");
+
+describe("parseHorizonArg", () => {
+  it("defaults to four weeks and validates --weeks", () => {
+    assert.equal(parseHorizonArg([]), 4);
+    assert.equal(parseHorizonArg(["--weeks", "6"]), 6);
+    assert.throws(() => parseHorizonArg(["--weeks", "0"]), /--weeks/);
+    assert.throws(() => parseHorizonArg(["--weeks", "many"]), /--weeks/);
+  });
+});
+
+describe("generatePromoPlan", () => {
+  let dataDir;
+
+  beforeEach(() => {
+    dataDir = join(tmpdir(), `promo-plan-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    mkdirSync(dataDir, { recursive: true });
+    writeFileSync(join(dataDir, "promo-queue.json"), JSON.stringify({ week: "2026-03-03", slugs: ["now-tool"], promotionType: "own", notes: "" }));
+    writeFileSync(join(dataDir, "promo-decisions.json"), JSON.stringify({
+      decisions: [{ slug: "now-tool", score: 90, action: "promote" }, { slug: "next-tool", score: 60, action: "promote" }],
+    }));
+    writeFileSync(join(dataDir, "governance.json"), JSON.stringify({ maxPromosPerWeek: 1, cooldownDaysPerSlug: 14 }));
+    writeFileSync(join(dataDir, "baseline.json"), JSON.stringify({ avgMinutesPerRun: 0 }));
+    writeFileSync(join(dataDir, "ops-history.json"), "[]");
+  });
+
+  afterEach(() => {
+    try { rmSync(dataDir, { recursive: true, force: true }); } catch {}
+  });
+
+  it("writes promo-plan.json without touching the queue", () => {
+    const before = readFileSync(join(dataDir, "promo-queue.json"), "utf8");
+    const result = generatePromoPlan({ dataDir, horizon: 2, now: NOW });
+    const plan = JSON.parse(readFileSync(result.outputPath, "utf8"));
+    assert.equal(plan.horizon, 2);
+    assert.deepEqual(plan.weeks.map((w) => [w.week, w.slugs]), [
+      ["2026-03-03", ["now-tool"]],
+      ["2026-03-10", ["next-tool"]],
+    ]);
+    assert.equal(readFileSync(join(dataDir, "promo-queue.json"), "utf8"), before);
+  });
+
+  it("stores planned weeks in promo-queue.json with apply", () => {
+    generatePromoPlan({ dataDir, horizon: 2, now: NOW, apply: true });
+    const queue = JSON.parse(readFileSync(join(dataDir, "promo-queue.json"), "utf8"));
+    assert.equal(queue.week, "2026-03-03");
+    assert.deepEqual(queue.weeks, [{ week: "2026-03-10", slugs: ["next-tool"], promotionType: "own", notes: "" }]);
+  });
+
+  it("does not write in dry-run mode", () => {
+    const result = generatePromoPlan({ dataDir, now: NOW, apply: true, dryRun: true });
+    assert.equal(result.applied, false);
+    assert.equal(existsSync(join(dataDir, "promo-plan.json")), false);
+  });
+});
@@ -1,9 +1,17 @@
 import { describe, it, beforeEach, afterEach } from "node:test";
 import assert from "node:assert/strict";
-import { mkdirSync, writeFileSync, rmSync } from "node:fs";
+import { mkdirSync, writeFileSync, readFileSync, rmSync } from "node:fs";
 import { join } from "node:path";
 import { tmpdir } from "node:os";
-import { buildPromoWeekReceipt } from "../../scripts/gen-promo-week-receipt.mjs";
+import { buildPromoWeekReceipt, writePromoWeekReceipt } from "../../scripts/gen-promo-week-receipt.mjs";
+import { hashFile, weekReceiptPath } from "../../scripts/lib/receipts.mjs";
+
+/** Fake git whose HEAD holds the working tree as it is when `git show` runs. */
+const fakeGit = (sha) => (root, args) => {
+  if (args[0] === "rev-parse") return `${sha}\n`;
+  if (args[0] === "show") return readFileSync(join(root, args[1].split(":")[1]), "utf8");
+  throw new Error("unexpected git call");
+};
 
 function makeTempDir() {
   const dir = join(tmpdir(), `receipt-test-${Date.now()}-${Math.random().toString(36).slice(2)}`);
@@ -76,4 +84,57 @@ describe("gen-promo-week-receipt", () => {
     const parsed = new Date(receipt.generatedAt);
     assert.ok(!isNaN(parsed.getTime()), "generatedAt should be a valid ISO date");
   });
+
+  it("records the commit and repo-relative sources", () => {
+    const root = join(dataDir, "..");
+    const receipt = buildPromoWeekReceipt({ dataDir, publicDir, root, week: "2026-02-17", git: fakeGit("abc123") });
+    assert.equal(receipt.commit, "abc123");
+    const rel = dataDir.slice(root.length + 1);
+    assert.equal(receipt.sources[`${rel}/governance.json`], receipt.inputs.governanceSha);
+    assert.equal(receipt.previous, null);
+  });
+
+  it("records no commit when inputs change after HEAD was read", () => {
+    const root = join(dataDir, "..");
+    const rel = dataDir.slice(root.length + 1);
+    const committed = readFileSync(join(dataDir, "promo-decisions.json"), "utf8");
+    // A generator rewrites promo-decisions.json between rev-parse and hashing
+    const git = (_root, args) => {
+      if (args[0] === "rev-parse") {
+        writeFileSync(join(dataDir, "promo-decisions.json"), JSON.stringify({ decisions: [{ slug: "new" }] }));
+        return "abc123\n";
+      }
+      if (args[0] === "show") {
+        const path = args[1].split(":")[1];
+        if (path === `${rel}/promo-decisions.json`) return committed;
+        return readFileSync(join(root, path), "utf8");
+      }
+      throw new Error("unexpected git call");
+    };
+    const receipt = buildPromoWeekReceipt({ dataDir, publicDir, root, week: "2026-02-17", git });
+    assert.equal(receipt.commit, null);
+    assert.deepEqual(receipt.uncommitted, [`${rel}/promo-decisions.json`]);
+    assert.equal(receipt.inputs.promoDecisionsSha, hashFile(join(dataDir, "promo-decisions.json")));
+  });
+
+  it("commit is null outside a git checkout", () => {
+    const git = () => { throw new Error("not a git repository"); };
+    const receipt = buildPromoWeekReceipt({ dataDir, publicDir, week: "2026-02-17", git });
+    assert.equal(receipt.commit, null);
+  });
+
+  it("writes receipts chained to the previous week", () => {
+    const git = fakeGit("abc123");
+    const first = writePromoWeekReceipt({ dataDir, publicDir, week: "2026-02-17", git });
+    assert.equal(first.path, weekReceiptPath(publicDir, "2026-02-17"));
+    assert.equal(JSON.parse(readFileSync(first.path, "utf8")).week, "2026-02-17");
+
+    const second = writePromoWeekReceipt({ dataDir, publicDir, week: "2026-02-24", git });
+    assert.deepEqual(second.receipt.previous, { week: "2026-02-17", receiptHash: hashFile(first.path) });
+  });
+
+  it("dry run does not write", () => {
+    const { path } = writePromoWeekReceipt({ dataDir, publicDir, week: "2026-02-17", git: fakeGit("abc123"), dryRun: true });
+    assert.equal(hashFile(path), null);
+  });
 });
@@ -1,8 +1,18 @@
 import { describe, it } from "node:test";
 import assert from "node:assert/strict";
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
 import {
   analyzeQueueHealth,
   computeTimeInStatus,
+  computeEscalations,
+  computeAgingHistogram,
+  computeReviewerLoad,
+  resolveSla,
+  statusSince,
+  firstResponseAt,
+  genQueueHealth,
 } from "../../scripts/gen-queue-health.mjs";
 
 // ── analyzeQueueHealth ───────────────────────────────────────
@@ -99,6 +109,17 @@ describe("analyzeQueueHealth", () => {
     assert.equal(nameFailure.count, 2);
   });
 
+  it("counts likely duplicates", () => {
+    const duplicates = [{ slug: "dup-tool", matches: [{ source: "projects", id: "tool", reason: "same-repo", score: 1 }] }];
+    assert.equal(analyzeQueueHealth([], { duplicates }).duplicateCount, 1);
+    const result = analyzeQueueHealth(
+      [{ slug: "dup-tool", status: "pending", lane: "promo", submittedAt: new Date().toISOString() }],
+      { duplicates },
+    );
+    assert.equal(result.duplicateCount, 1);
+    assert.deepEqual(result.duplicateSlugs, duplicates);
+  });
+
   it("has generatedAt ISO string", () => {
     const result = analyzeQueueHealth([]);
     assert.ok(result.generatedAt);
@@ -141,4 +162,155 @@ describe("computeTimeInStatus", () => {
     // Should skip entries without submittedAt
     assert.deepEqual(result, {});
   });
+
+  it("uses history intervals when present", () => {
+    const now = new Date("2026-01-20T00:00:00Z");
+    const subs = [
+      {
+        status: "reviewing",
+        submittedAt: "2026-01-01T00:00:00Z",
+        updatedAt: "2026-01-02T00:00:00Z",
+        history: [
+          { from: "pending", to: "needs-info", at: "2026-01-03T00:00:00Z", actor: "@rev" },
+          { from: "needs-info", to: "reviewing", at: "2026-01-10T00:00:00Z", actor: "@dev" },
+        ],
+      },
+      {
+        status: "accepted",
+        submittedAt: "2026-01-01T00:00:00Z",
+        history: [{ from: "pending", to: "accepted", at: "2026-01-05T00:00:00Z", actor: "@rev" }],
+      },
+    ];
+    const result = computeTimeInStatus(subs, { now });
+    // pending: [2, 4]; needs-info: 7; reviewing runs to now; accepted is closed
+    assert.deepEqual(result, { pending: 3, "needs-info": 7, reviewing: 10 });
+  });
+});
+
+// ── SLAs ─────────────────────────────────────────────────────
+
+describe("resolveSla", () => {
+  it("merges governance overrides over defaults", () => {
+    const sla = resolveSla({ statusDays: { "needs-info": 14 }, firstResponseDays: 2 });
+    assert.deepEqual(sla.statusDays, { pending: 7, reviewing: 7, "needs-info": 14 });
+    assert.equal(sla.firstResponseDays, 2);
+    assert.equal(sla.throughputWindowDays, 30);
+    assert.deepEqual(resolveSla(undefined), resolveSla({}));
+  });
+});
+
+describe("statusSince and firstResponseAt", () => {
+  it("read the history before the timestamp fields", () => {
+    const s = {
+      status: "needs-info",
+      submittedAt: "2026-01-01T00:00:00Z",
+      updatedAt: "2026-01-09T00:00:00Z",
+      history: [
+        { from: "pending", to: "reviewing", at: "2026-01-02T00:00:00Z", actor: "@rev" },
+        { from: "reviewing", to: "needs-info", at: "2026-01-04T00:00:00Z", actor: "@rev" },
+      ],
+    };
+    assert.equal(statusSince(s), "2026-01-04T00:00:00Z");
+    assert.equal(firstResponseAt(s), "2026-01-02T00:00:00Z");
+    assert.equal(statusSince({ submittedAt: "2026-01-01T00:00:00Z" }), "2026-01-01T00:00:00Z");
+  });
+});
+
+describe("computeEscalations", () => {
+  const now = new Date("2026-03-01T00:00:00Z");
+  const sla = resolveSla({ statusDays: { pending: 7, reviewing: 5, "needs-info": 14 }, firstResponseDays: 3 });
+
+  it("flags status SLA breaches and tells who is waiting", () => {
+    const subs = [
+      { slug: "old-pending", status: "pending", submittedAt: "2026-02-01T00:00:00Z", firstResponseAt: "2026-02-02T00:00:00Z" },
+      { slug: "slow-review", status: "reviewing", submittedAt: "2026-02-10T00:00:00Z", updatedAt: "2026-02-22T00:00:00Z" },
+      { slug: "quiet-author", status: "needs-info", submittedAt: "2026-01-20T00:00:00Z", updatedAt: "2026-02-10T00:00:00Z" },
+      { slug: "fresh-info", status: "needs-info", submittedAt: "2026-02-01T00:00:00Z", updatedAt: "2026-02-25T00:00:00Z" },
+      { slug: "done", status: "accepted", submittedAt: "2026-01-01T00:00:00Z", updatedAt: "2026-01-02T00:00:00Z" },
+    ];
+    const escalations = computeEscalations(subs, { sla, now });
+    assert.deepEqual(escalations.map((e) => [e.slug, e.waitingOn, e.reason, e.days, e.slaDays, e.severity]), [
+      ["old-pending", "maintainer", "status-sla", 28, 7, "critical"],
+      ["quiet-author", "submitter", "status-sla", 19, 14, "warning"],
+      ["slow-review", "maintainer", "status-sla", 7, 5, "warning"],
+    ]);
+  });
+
+  it("flags missing first responses before the status SLA runs out", () => {
+    const subs = [
+      { slug: "unanswered", status: "pending", submittedAt: "2026-02-25T00:00:00Z" },
+      { slug: "answered", status: "pending", submittedAt: "2026-02-25T00:00:00Z", lastReviewedAt: "2026-02-26T00:00:00Z" },
+    ];
+    const escalations = computeEscalations(subs, { sla, now });
+    assert.deepEqual(escalations.map((e) => [e.slug, e.reason, e.days, e.slaDays]), [["unanswered", "first-response", 4, 3]]);
+  });
+});
+
+describe("queue health breakdowns", () => {
+  const now = new Date("2026-03-01T00:00:00Z");
+  const subs = [
+    { slug: "a", status: "pending", submittedAt: "2026-02-28T00:00:00Z", reviewer: "@ana" },
+    { slug: "b", status: "pending", submittedAt: "2026-02-20T00:00:00Z" },
+    { slug: "c", status: "reviewing", submittedAt: "2026-01-01T00:00:00Z", updatedAt: "2026-02-25T00:00:00Z", reviewer: "@ana" },
+    { slug: "d", status: "needs-info", submittedAt: "2026-01-01T00:00:00Z", updatedAt: "2026-01-15T00:00:00Z", reviewer: "@bo" },
+    { slug: "e", status: "accepted", submittedAt: "2026-01-01T00:00:00Z", updatedAt: "2026-01-03T00:00:00Z", reviewer: "@bo" },
+  ];
+
+  it("buckets open submissions by days in status", () => {
+    const aging = computeAgingHistogram(subs, { now });
+    assert.deepEqual(aging.buckets, ["0-2d", "3-7d", "8-14d", "15-30d", "31d+"]);
+    assert.deepEqual(aging.byStatus, {
+      pending: [1, 0, 1, 0, 0],
+      reviewing: [0, 1, 0, 0, 0],
+      "needs-info": [0, 0, 0, 0, 1],
+    });
+  });
+
+  it("counts open submissions per reviewer", () => {
+    assert.deepEqual(computeReviewerLoad(subs), { byReviewer: { "@ana": 2, "@bo": 1 }, unassigned: 1 });
+  });
+
+  it("reports time to first response and escalations", () => {
+    const result = analyzeQueueHealth(subs, { now, sla: { firstResponseDays: 3 } });
+    // responded: c (reviewing, 55d), d (needs-info, 14d), e (accepted, 2d) → median 14
+    assert.equal(result.medianDaysToFirstResponse, 14);
+    assert.equal(result.awaitingFirstResponse, 2);
+    assert.equal(result.escalationCount, result.escalations.length);
+    assert.deepEqual(result.escalations.map((e) => e.slug).sort(), ["b", "d"]);
+    assert.deepEqual(result.stuckSlugs.map((s) => s.slug).sort(), ["b", "d"]);
+  });
+});
+
+// ── genQueueHealth ───────────────────────────────────────────
+
+describe("genQueueHealth", () => {
+  it("counts duplicates among open submission files only", () => {
+    const tmp = mkdtempSync(join(tmpdir(), "queue-health-"));
+    const dataDir = join(tmp, "data");
+    const submissionsDir = join(tmp, "submissions");
+    mkdirSync(dataDir);
+    mkdirSync(submissionsDir);
+    writeFileSync(join(dataDir, "projects.json"), JSON.stringify([{ name: "Tool Compass", repo: "tool-compass" }]));
+    writeFileSync(join(dataDir, "submissions.json"), JSON.stringify({
+      submissions: [
+        { slug: "compass-again", status: "pending", lane: "promo", submittedAt: "2026-03-01T00:00:00Z" },
+        { slug: "tool-compass", status: "accepted", lane: "promo", submittedAt: "2026-01-01T00:00:00Z" },
+      ],
+    }));
+    for (const [slug, repo] of [["compass-again", "tool-compass"], ["tool-compass", "tool-compass"]]) {
+      writeFileSync(join(submissionsDir, `${slug}.json`), JSON.stringify({
+        tool: { slug, name: slug, repo: `https://github.com/mcp-tool-shop-org/${repo}` },
+      }));
+    }
+    const outputPath = join(tmp, "queue-health.json");
+
+    genQueueHealth({ submissionsPath: join(dataDir, "submissions.json"), submissionsDir, dataDir, lintDir: join(tmp, "none"), outputPath });
+    const out = JSON.parse(readFileSync(outputPath, "utf8"));
+    assert.equal(out.duplicateCount, 1);
+    assert.equal(out.duplicateSlugs[0].slug, "compass-again");
+    assert.deepEqual(out.duplicateSlugs[0].matches.map((m) => `${m.source}:${m.reason}`), [
+      "projects:same-repo",
+      "submissions:same-repo",
+    ]);
+  });
 });
@@ -224,6 +224,28 @@ describe("buildRecommendations", () => {
     assert.ok(!result.lintInsights.warningsToElevate.some((w) => w.warning === "Only 1 proof link"));
   });
 
+  it("queue-health escalations become stuck-submission recs by who is waiting", () => {
+    const inputs = makeInputs({
+      submissions: {
+        submissions: [{ slug: "slow-review", status: "pending", lane: "promo", submittedAt: "2026-01-01T00:00:00Z" }],
+      },
+      lintReports: { "slow-review": { warnings: ["a", "b", "c"] } },
+      queueHealth: {
+        topLintFailures: [],
+        escalations: [
+          { slug: "slow-review", status: "pending", waitingOn: "maintainer", reason: "status-sla", days: 20, slaDays: 7, overdueDays: 13, severity: "critical" },
+          { slug: "quiet-author", status: "needs-info", waitingOn: "submitter", reason: "status-sla", days: 16, slaDays: 14, overdueDays: 2, severity: "warning" },
+        ],
+      },
+    });
+    const recs = buildRecommendations(inputs).recommendations.filter((r) => r.category === "stuck-submission");
+    assert.deepEqual(recs.map((r) => [r.slug, r.priority, r.evidence.waitingOn]), [
+      ["slow-review", "high", "maintainer"],
+      ["quiet-author", "medium", "submitter"],
+    ]);
+    assert.ok(recs[1].title.startsWith("Nudge submitter"));
+  });
+
   it("respects maxRecommendations cap", () => {
     const inputs = makeInputs({
       rollup: {
@@ -0,0 +1,74 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, writeFileSync, readFileSync, rmSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import { buildSnippets, generateSnippets } from "../../scripts/gen-snippets.mjs";
+import tool from "../fixtures/minimal-tool.json" with { type: "json" };
+
+const AT = "2026-05-20T12:00:00.000Z";
+
+describe("buildSnippets", () => {
+  it("groups messages by channel with claim traceability", () => {
+    const { slug, markdown } = buildSnippets({ slug: "test-tool", tool, lockShort: "abc123", generatedAt: AT });
+    assert.equal(slug, "test-tool");
+    assert.ok(markdown.startsWith("# Test Tool — Channel Snippets"));
+    assert.ok(markdown.includes("## README insert"));
+    assert.ok(markdown.includes("_max 280 chars (28 used)_"));
+    assert.ok(markdown.includes("- `claim.test-tool.works` (proven): It works correctly."));
+    assert.ok(markdown.includes("## Proof bullets (proven claims only)"));
+    assert.ok(markdown.includes("(lock: abc123) at 2026-05-20T12:00:00.000Z_"));
+  });
+
+  it("appends the tracked go-link source for linked messages", () => {
+    const linkByMessage = new Map([["msg.test-tool.readme", "tt-readme"]]);
+    const { markdown } = buildSnippets({ slug: "test-tool", tool, linkByMessage, generatedAt: AT });
+    assert.ok(markdown.includes("Source: mcptoolshop.com/go/tt-readme"));
+  });
+
+  it("marks unresolved claim references", () => {
+    const broken = { ...tool, messages: [{ ...tool.messages[0], claimRefs: ["claim.nope"] }] };
+    const { markdown } = buildSnippets({ slug: "test-tool", tool: broken, generatedAt: AT });
+    assert.ok(markdown.includes("- `claim.nope` (unresolved)"));
+  });
+});
+
+describe("generateSnippets", () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = join(tmpdir(), `snippets-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    mkdirSync(join(tempDir, "data", "marketir", "data", "tools"), { recursive: true });
+    writeFileSync(join(tempDir, "data", "overrides.json"), JSON.stringify({ "test-tool": { publicProof: true } }));
+    writeFileSync(join(tempDir, "data", "marketir", "data", "tools", "test-tool.json"), JSON.stringify(tool));
+    writeFileSync(join(tempDir, "data", "links.json"), JSON.stringify({
+      links: [{ id: "tt-readme", slug: "test-tool", messageRef: "msg.test-tool.readme" }],
+    }));
+  });
+
+  afterEach(() => {
+    try { rmSync(tempDir, { recursive: true, force: true }); } catch {}
+  });
+
+  it("resolves go-links from links.json and writes <slug>.md", () => {
+    const { snippets } = generateSnippets({ dataDir: join(tempDir, "data"), publicDir: join(tempDir, "public"), generatedAt: AT });
+    assert.equal(snippets.length, 1);
+    const written = readFileSync(join(tempDir, "public", "snippets", "test-tool.md"), "utf8");
+    assert.equal(written, snippets[0].markdown);
+    assert.ok(written.includes("Source: mcptoolshop.com/go/tt-readme"));
+  });
+
+  it("writes <slug>.<locale>.md for translated messages", () => {
+    const translated = structuredClone(tool);
+    translated.messages[0].i18n = { "pt-BR": { text: "Test Tool faz as coisas funcionarem. ✅" } };
+    writeFileSync(join(tempDir, "data", "marketir", "data", "tools", "test-tool.json"), JSON.stringify(translated));
+
+    const { snippets } = generateSnippets({ dataDir: join(tempDir, "data"), publicDir: join(tempDir, "public"), generatedAt: AT });
+    assert.deepEqual(snippets.map((s) => s.locale), ["en", "pt-BR"]);
+    const written = readFileSync(join(tempDir, "public", "snippets", "test-tool.pt-BR.md"), "utf8");
+    assert.ok(written.includes("Test Tool faz as coisas funcionarem. ✅"));
+    assert.ok(written.includes("max 280 chars (38 used)"));
+    assert.ok(written.includes("- It works correctly."));
+    assert.ok(snippets[1].fallbacks.some((f) => f.id === "claim.test-tool.works"));
+  });
+});
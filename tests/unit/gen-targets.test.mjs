@@ -0,0 +1,197 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, writeFileSync, readFileSync, rmSync, existsSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import {
+  scoreCandidate,
+  rankCandidates,
+  discoverCandidates,
+  buildTargetList,
+  generateTargets,
+  SCORING_WEIGHTS,
+} from "../../scripts/gen-targets.mjs";
+import fixture from "../fixtures/minimal-tool.json" with { type: "json" };
+
+const NOW = Date.parse("2026-06-01T00:00:00Z");
+const AT = "2026-06-01T00:00:00.000Z";
+
+const tool = {
+  ...fixture,
+  targeting: { keywords: ["zip"], topics: ["mcp"], exclusions: ["blocked"], seedRepos: [{ owner: "seed", repo: "origin" }] },
+};
+
+function item(owner, repo, extra = {}) {
+  return {
+    full_name: `${owner}/${repo}`,
+    name: repo,
+    owner: { login: owner, type: extra.type || "User" },
+    description: extra.description || `${repo} tool`,
+    stargazers_count: extra.stars ?? 50,
+    language: "JavaScript",
+    topics: extra.topics || [],
+    pushed_at: extra.pushedAt || "2026-06-01T00:00:00Z",
+    archived: !!extra.archived,
+  };
+}
+
+function candidate(overrides = {}) {
+  return {
+    owner: "alice", repo: "thing", fullName: "alice/thing", description: "", stars: 0,
+    topics: [], pushedAt: null, archived: false, ownerType: "user", whyMatched: [], htmlUrl: "https://github.com/alice/thing",
+    ...overrides,
+  };
+}
+
+/** Fake GitHub client: canned search results keyed by query prefix. */
+function fakeClient(results, repos = {}) {
+  const calls = [];
+  return {
+    calls,
+    async search(query, label) {
+      calls.push(query);
+      const key = Object.keys(results).find((k) => query.startsWith(k));
+      return key ? { data: { items: results[key] }, error: null } : { data: null, error: `${label}: 422` };
+    },
+    async getRepo(owner, repo, label) {
+      calls.push(`repo:${owner}/${repo}`);
+      const data = repos[`${owner}/${repo}`];
+      return data ? { data, error: null } : { data: null, error: `${label}: 404` };
+    },
+  };
+}
+
+describe("scoreCandidate", () => {
+  const ctx = { topicSet: new Set(["mcp"]), keywordSet: new Set(["zip"]), now: NOW };
+
+  it("adds up each factor", () => {
+    const { score, scoreBreakdown } = scoreCandidate(candidate({
+      repo: "zipper", topics: ["MCP"], stars: 1500, pushedAt: "2026-06-01T00:00:00Z", whyMatched: ["comparable:x"],
+    }), ctx);
+    assert.deepEqual(scoreBreakdown, {
+      topicMatch: 15, keywordMatch: 10, activityRecency: 20, starTier: 15, fitScore: 0, comparableBonus: 10, signalBonus: 0,
+    });
+    assert.equal(score, 70);
+  });
+
+  it("decays activity linearly to zero over a year", () => {
+    const stale = scoreCandidate(candidate({ pushedAt: "2025-01-01T00:00:00Z" }), ctx);
+    assert.equal(stale.scoreBreakdown.activityRecency, 0);
+    assert.equal(stale.scoreBreakdown.starTier, SCORING_WEIGHTS.starTier.tiers.at(-1).score);
+  });
+
+  it("scores audience pain-point overlap", () => {
+    const { scoreBreakdown } = scoreCandidate(candidate({ description: "fixes flaky builds" }), { ...ctx, painPoints: new Set(["flaky", "builds"]) });
+    assert.equal(scoreBreakdown.fitScore, 10);
+  });
+});
+
+describe("rankCandidates", () => {
+  it("drops exclusions, archived repos and our own org, then ranks by score and stars", () => {
+    const cands = [
+      candidate({ owner: "blocked", fullName: "blocked/x" }),
+      candidate({ owner: "old", fullName: "old/x", archived: true }),
+      candidate({ owner: "mcp-tool-shop-org", fullName: "mcp-tool-shop-org/x" }),
+      candidate({ owner: "a", fullName: "a/low", stars: 5 }),
+      candidate({ owner: "b", fullName: "b/high", stars: 500 }),
+      candidate({ owner: "c", fullName: "c/top", topics: ["mcp"] }),
+    ];
+    const { ranked, afterExclusion } = rankCandidates(cands, { targeting: tool.targeting, max: 2, now: NOW });
+    assert.equal(afterExclusion, 3);
+    assert.deepEqual(ranked.map((c) => c.fullName), ["c/top", "b/high"]);
+    assert.equal(ranked[0].scoringVersion, "1.0.0");
+  });
+});
+
+describe("discoverCandidates", () => {
+  it("runs every strategy through the client and deduplicates", async () => {
+    const client = fakeClient(
+      {
+        "topic:mcp": [item("alice", "zipper")],
+        "zip in:": [item("alice", "zipper"), item("bob", "zip-util")],
+        "user:carol": [item("carol", "signal-repo")],
+        "topic:archives": [item("dave", "similar")],
+      },
+      { "seed/origin": { ...item("seed", "origin"), topics: ["archives"], language: "Go" } }
+    );
+    const { candidates, errors, discoveryStats } = await discoverCandidates({
+      targeting: tool.targeting,
+      press: tool.press,
+      signalOrgs: new Set(["carol"]),
+      client,
+    });
+
+    assert.deepEqual([...candidates.keys()].sort(), ["alice/zipper", "bob/zip-util", "carol/signal-repo", "dave/similar", "seed/origin"]);
+    assert.deepEqual(candidates.get("alice/zipper").whyMatched, ["topic:mcp", "keyword:zip"]);
+    assert.deepEqual(errors, ["comparable:manual process: 422"]);
+    assert.equal(discoveryStats.rawCandidates, 6);
+    assert.equal(discoveryStats.afterDedup, 5);
+    assert.ok(client.calls.includes("topic:archives language:Go"));
+  });
+});
+
+describe("buildTargetList", () => {
+  it("renders JSON, CSV, README and drafts for the top candidates", () => {
+    const { ranked } = rankCandidates(
+      [candidate({ owner: "acme", repo: "hub", fullName: "acme/hub", ownerType: "organization", stars: 10 }),
+        candidate({ owner: "bob", repo: "a,b", fullName: "bob/a,b", description: 'say "hi"' })],
+      { targeting: tool.targeting, now: NOW }
+    );
+    const { targets, files } = buildTargetList({ slug: "test-tool", tool, ranked, maxDrafts: 1, lockShort: "abc123", generatedAt: AT });
+
+    assert.equal(targets.candidateCount, 2);
+    assert.equal(targets.discoveryStats.afterScoring, 2);
+    assert.deepEqual(Object.keys(files), ["targets.json", "targets.csv", "README.md", "drafts/acme--hub.md"]);
+    assert.ok(files["targets.csv"].split("\n")[2].startsWith('2,bob,"a,b",'));
+    assert.ok(files["README.md"].includes("([draft](drafts/acme--hub.md))"));
+    assert.ok(files["drafts/acme--hub.md"].includes("**Template:** email-partner"));
+  });
+});
+
+describe("generateTargets", () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = join(tmpdir(), `targets-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    const tools = join(tempDir, "data", "marketir", "data", "tools");
+    mkdirSync(tools, { recursive: true });
+    writeFileSync(join(tempDir, "data", "overrides.json"), JSON.stringify({ "test-tool": { publicProof: true } }));
+    writeFileSync(join(tools, "test-tool.json"), JSON.stringify(tool));
+  });
+
+  afterEach(() => {
+    try { rmSync(tempDir, { recursive: true, force: true }); } catch {}
+  });
+
+  it("plans queries without calling GitHub in dry-run mode", async () => {
+    const result = await generateTargets({ dataDir: join(tempDir, "data"), publicDir: join(tempDir, "public"), dryRun: true });
+    assert.deepEqual(result.planned[0].queries.map((q) => q.query), [
+      "topic:mcp",
+      "zip in:readme,description",
+      "manual process in:readme,description",
+    ]);
+    assert.equal(existsSync(join(tempDir, "public")), false);
+  });
+
+  it("writes the target list using an injected client", async () => {
+    const publicDir = join(tempDir, "public");
+    const { lists } = await generateTargets({
+      dataDir: join(tempDir, "data"),
+      publicDir,
+      client: fakeClient({ "topic:mcp": [item("alice", "zipper", { topics: ["mcp"] })] }),
+      drafts: 5,
+      now: NOW,
+      generatedAt: AT,
+    });
+    assert.equal(lists[0].targets.candidates[0].fullName, "alice/zipper");
+    assert.equal(readFileSync(join(publicDir, "targets", "test-tool", "targets.csv"), "utf8"), lists[0].files["targets.csv"]);
+    assert.ok(existsSync(join(publicDir, "targets", "test-tool", "drafts", "alice--zipper.md")));
+  });
+
+  it("requires a token or client outside dry-run mode", async () => {
+    await assert.rejects(
+      generateTargets({ dataDir: join(tempDir, "data"), publicDir: join(tempDir, "public"), token: "" }),
+      /GITHUB_TOKEN required/
+    );
+  });
+});
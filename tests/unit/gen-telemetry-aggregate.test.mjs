@@ -1,11 +1,22 @@
-import { describe, it } from "node:test";
+import { describe, it, beforeEach, afterEach } from "node:test";
 import assert from "node:assert/strict";
+import { mkdirSync, writeFileSync, readFileSync, rmSync } from "node:fs";
+import { join, resolve, dirname } from "node:path";
+import { tmpdir } from "node:os";
+import { fileURLToPath } from "node:url";
 import {
   parseEventsFile,
   aggregateEvents,
   computeMetrics,
+  genTelemetryAggregate,
   VALID_EVENT_TYPES,
 } from "../../scripts/gen-telemetry-aggregate.mjs";
+import { loadTelemetrySchema } from "../../scripts/lib/telemetry.mjs";
+import { renderTelemetryGuard } from "../../scripts/gen-telemetry-guard.mjs";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SCHEMA_PATH = resolve(__dirname, "../../site/src/data/telemetry-schema.json");
+const schema = loadTelemetrySchema(SCHEMA_PATH);
 
 // ── parseEventsFile ──────────────────────────────────────────
 
@@ -203,3 +214,84 @@ describe("VALID_EVENT_TYPES", () => {
     }
   });
 });
+
+// ── Schema validation ────────────────────────────────────────
+
+describe("aggregateEvents schema validation", () => {
+  const events = [
+    { type: "copy_install", timestamp: "2026-02-01T10:00:00Z", payload: { slug: "tool-a" } },
+    { type: "page_view", timestamp: "2026-02-01T10:00:00Z", payload: {} },
+    { type: "copy_bundle", timestamp: "2026-02-01T10:00:00Z", payload: { week: "week five" } },
+    { type: "copy_install", timestamp: "2026-02-01T10:00:00Z", payload: { slug: "tool-a", referrer: "x" } },
+  ];
+
+  it("excludes invalid events and counts rejects by reason", () => {
+    const result = aggregateEvents(events, { schema });
+    assert.equal(result.totalEvents, 1);
+    assert.deepEqual(result.byType, { copy_install: 1 });
+    assert.equal(result.guardrails.eventsRejected, 3);
+    assert.deepEqual(result.guardrails.rejectedByReason, {
+      unknown_type: 1,
+      invalid_payload: 1,
+      unknown_field: 1,
+    });
+  });
+
+  it("adds malformed JSONL lines to the reject counts", () => {
+    const stats = {};
+    const parsed = parseEventsFile(`${JSON.stringify(events[0])}\nnot json\n{}`, stats);
+    assert.equal(stats.malformed, 2);
+    const result = aggregateEvents(parsed, { schema, malformedLines: stats.malformed });
+    assert.deepEqual(result.guardrails.rejectedByReason, { malformed: 2 });
+    assert.equal(result.guardrails.totalEventsProcessed, 3);
+  });
+
+  it("skips validation without a schema", () => {
+    const result = aggregateEvents(events);
+    assert.equal(result.totalEvents, 4);
+    assert.equal(result.guardrails.eventsRejected, 0);
+  });
+});
+
+describe("genTelemetryAggregate", () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = join(tmpdir(), `telemetry-agg-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    mkdirSync(join(tempDir, "events"), { recursive: true });
+  });
+
+  afterEach(() => {
+    try { rmSync(tempDir, { recursive: true, force: true }); } catch {}
+  });
+
+  it("writes rejected counts to rollup.json and only valid events to daily rollups", () => {
+    writeFileSync(join(tempDir, "events", "export.jsonl"), [
+      JSON.stringify({ type: "copy_install", timestamp: "2026-02-01T10:00:00Z", payload: { slug: "a" } }),
+      JSON.stringify({ type: "copy_install", timestamp: "not-a-date", payload: { slug: "a" } }),
+    ].join("\n"));
+    const result = genTelemetryAggregate({
+      schemaPath: SCHEMA_PATH,
+      eventsDir: join(tempDir, "events"),
+      outputPath: join(tempDir, "rollup.json"),
+      dailyDir: join(tempDir, "daily"),
+    });
+    assert.equal(result.dailyCount, 1);
+    const rollup = JSON.parse(readFileSync(join(tempDir, "rollup.json"), "utf8"));
+    assert.deepEqual(rollup.guardrails.rejectedByReason, { bad_timestamp: 1 });
+    assert.equal(rollup.totalEvents, 1);
+  });
+});
+
+// ── Generated tracker guard ──────────────────────────────────
+
+describe("renderTelemetryGuard", () => {
+  it("lists every schema event type and its payload rules", () => {
+    const source = renderTelemetryGuard(schema);
+    for (const type of Object.keys(schema.eventTypes)) {
+      assert.ok(source.includes(`  "${type}",`), `missing type ${type}`);
+    }
+    assert.ok(source.includes('evidenceType: { type: "string", enum: ["image", "link", "file"] },'));
+    assert.ok(source.includes("claimIndex: { type: \"number\", minimum: 0, maximum: 50 },"));
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, writeFileSync, readFileSync, rmSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import {
+  buildTrending,
+  computeVelocity,
+  buildReason,
+  generateTrending,
+} from "../../scripts/gen-trending.mjs";
+import { recordMetricsPoints, pointAtOrBefore } from "../../scripts/lib/repo-metrics.mjs";
+
+function point(date, stars, extra = {}) {
+  return { date, stars, forks: 0, releases7d: 0, releases30d: 0, commits1w: 0, commits4w: 0, ...extra };
+}
+
+const projects = [
+  { repo: "big" }, { repo: "small" }, { repo: "quiet" }, { repo: "hidden", unlisted: true },
+];
+
+describe("repo metrics store", () => {
+  it("records one point per repo per day, replacing same-day points", () => {
+    let store = { series: {} };
+    store = recordMetricsPoints(store, "2026-05-01", { a: { stars: 1 } });
+    store = recordMetricsPoints(store, "2026-05-02", { a: { stars: 2 } });
+    store = recordMetricsPoints(store, "2026-05-02", { a: { stars: 3 } });
+    assert.deepEqual(store.series.a, [{ date: "2026-05-01", stars: 1 }, { date: "2026-05-02", stars: 3 }]);
+  });
+
+  it("drops points older than the retention window", () => {
+    let store = { series: { a: [{ date: "2026-01-01", stars: 1 }], gone: [{ date: "2026-01-01", stars: 9 }] } };
+    store = recordMetricsPoints(store, "2026-05-01", { a: { stars: 5 } }, { retentionDays: 45 });
+    assert.deepEqual(store.series.a, [{ date: "2026-05-01", stars: 5 }]);
+    assert.equal(store.series.gone, undefined);
+  });
+
+  it("pointAtOrBefore finds the nearest earlier point", () => {
+    const h = [point("2026-05-01", 1), point("2026-05-05", 2), point("2026-05-09", 3)];
+    assert.equal(pointAtOrBefore(h, "2026-05-07").stars, 2);
+    assert.equal(pointAtOrBefore(h, "2026-04-30"), null);
+  });
+});
+
+describe("computeVelocity", () => {
+  it("diffs cumulative counters over the window and reads windowed counts from the latest point", () => {
+    const h = [
+      point("2026-04-20", 10, { forks: 1 }),
+      point("2026-05-13", 20, { forks: 2 }),
+      point("2026-05-20", 26, { forks: 4, releases7d: 1, releases30d: 2, commits1w: 8, commits4w: 20 }),
+    ];
+    const v7 = computeVelocity(h, "2026-05-20", 7);
+    assert.deepEqual(
+      { stars: v7.stars, forks: v7.forks, releases: v7.releases, commits: v7.commits, coverageDays: v7.coverageDays },
+      { stars: 6, forks: 2, releases: 1, commits: 8, coverageDays: 7 }
+    );
+    // activity = 6 + 2*2 + 3*1 + 0.25*8 = 15; / sqrt(20 + 10)
+    assert.equal(v7.normalized, Math.round((15 / Math.sqrt(30)) * 100) / 100);
+
+    const v30 = computeVelocity(h, "2026-05-20", 30);
+    assert.equal(v30.stars, 16);
+    assert.equal(v30.coverageDays, 30);
+  });
+
+  it("falls back to the earliest point when history is shorter than the window", () => {
+    const h = [point("2026-05-18", 5), point("2026-05-20", 7)];
+    const v30 = computeVelocity(h, "2026-05-20", 30);
+    assert.equal(v30.stars, 2);
+    assert.equal(v30.coverageDays, 2);
+  });
+});
+
+describe("buildTrending", () => {
+  const metrics = {
+    series: {
+      // +30 stars on 1000: large absolute, small relative
+      big: [point("2026-05-13", 1000), point("2026-05-20", 1030)],
+      // +5 stars on 5: doubles
+      small: [point("2026-05-13", 5), point("2026-05-20", 10)],
+      quiet: [point("2026-05-13", 50), point("2026-05-20", 50)],
+      hidden: [point("2026-05-13", 0), point("2026-05-20", 500)],
+    },
+  };
+
+  it("uses the newest metrics date as asOf and skips unlisted and inactive repos", () => {
+    const t = buildTrending(metrics, projects);
+    assert.equal(t.asOf, "2026-05-20");
+    assert.deepEqual(t.windows, [7, 30]);
+    assert.deepEqual(t.items.map((i) => i.slug).sort(), ["big", "small"]);
+  });
+
+  it("normalizes so a small repo's doubling beats a large repo's +3%", () => {
+    const t = buildTrending(metrics, projects);
+    assert.equal(t.items[0].slug, "small");
+    assert.equal(t.items[0].deltaStars, 5);
+    assert.equal(t.items[0].reason, "+5 stars this week (+100%)");
+    assert.equal(t.items[1].reason, "+30 stars this week (+3%)");
+  });
+
+  it("is deterministic and returns no items without metrics", () => {
+    assert.deepEqual(buildTrending(metrics, projects), buildTrending(metrics, projects));
+    assert.deepEqual(buildTrending({ series: {} }, projects), { asOf: null, windowDays: 7, windows: [7, 30], items: [] });
+  });
+
+  it("respects the limit with a stable tie-break on slug", () => {
+    const series = {};
+    const many = [];
+    for (const slug of ["e", "d", "c", "b", "a", "f"]) {
+      series[slug] = [point("2026-05-13", 0), point("2026-05-20", 1)];
+      many.push({ repo: slug });
+    }
+    const t = buildTrending({ series }, many, { limit: 3 });
+    assert.deepEqual(t.items.map((i) => i.slug), ["a", "b", "c"]);
+  });
+});
+
+describe("buildReason", () => {
+  it("falls back to 30-day signals when the week was quiet", () => {
+    const quiet = { stars: 0, forks: 0, releases: 0, commits: 0 };
+    assert.equal(buildReason(quiet, { stars: 4, forks: 0, releases: 1, commits: 40 }, 10, 0), "40 commits in 30 days, +4 stars in 30 days");
+  });
+});
+
+describe("generateTrending", () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = join(tmpdir(), `trending-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    mkdirSync(tempDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    try { rmSync(tempDir, { recursive: true, force: true }); } catch {}
+  });
+
+  it("writes trending.json from repo-metrics.json", () => {
+    writeFileSync(join(tempDir, "projects.json"), JSON.stringify([{ repo: "a" }]));
+    writeFileSync(join(tempDir, "repo-metrics.json"), JSON.stringify({
+      schemaVersion: 1,
+      series: { a: [point("2026-05-13", 1), point("2026-05-20", 4)] },
+    }));
+    generateTrending({ dataDir: tempDir });
+    const out = JSON.parse(readFileSync(join(tempDir, "trending.json"), "utf8"));
+    assert.equal(out.asOf, "2026-05-20");
+    assert.equal(out.items[0].slug, "a");
+    assert.equal(out.items[0].deltaStars, 3);
+  });
+});
@@ -4,10 +4,12 @@
 
 import { describe, it, beforeEach, afterEach } from "node:test";
 import assert from "node:assert/strict";
-import { mkdirSync, writeFileSync, rmSync } from "node:fs";
+import { mkdirSync, writeFileSync, rmSync, existsSync } from "node:fs";
 import { join } from "node:path";
 import { tmpdir } from "node:os";
-import { buildTrustReceipt } from "../../scripts/gen-trust-receipt.mjs";
+import { generateKeyPairSync } from "node:crypto";
+import { buildTrustReceipt, generateTrustReceipt } from "../../scripts/gen-trust-receipt.mjs";
+import { PUBLIC_KEY_FILE, loadPublicKey, verifyFileSignature } from "../../scripts/lib/signing.mjs";
 
 // ── Helpers ─────────────────────────────────────────────────
 
@@ -156,3 +158,72 @@ describe("buildTrustReceipt", () => {
     }
   });
 });
+
+describe("generateTrustReceipt signing", () => {
+  let dataDir;
+  let publicDir;
+
+  beforeEach(() => {
+    dataDir = makeTempDir("sign-data");
+    publicDir = makeTempDir("sign-public");
+    seedDataDir(dataDir);
+  });
+
+  afterEach(() => {
+    try { rmSync(dataDir, { recursive: true, force: true }); } catch {}
+    try { rmSync(publicDir, { recursive: true, force: true }); } catch {}
+  });
+
+  it("signs trust.json and publishes the public key", () => {
+    const { privateKey } = generateKeyPairSync("ed25519");
+    generateTrustReceipt({ dataDir, publicDir, signingKey: privateKey });
+
+    assert.ok(existsSync(join(publicDir, PUBLIC_KEY_FILE)));
+    const result = verifyFileSignature(join(publicDir, "trust.json"), loadPublicKey(publicDir));
+    assert.equal(result.status, "valid");
+  });
+
+  it("drops a stale signature when regenerated without a key", () => {
+    const { privateKey } = generateKeyPairSync("ed25519");
+    generateTrustReceipt({ dataDir, publicDir, signingKey: privateKey });
+    generateTrustReceipt({ dataDir, publicDir, signingKey: null });
+
+    assert.equal(existsSync(join(publicDir, "trust.json.sig")), false);
+    assert.equal(verifyFileSignature(join(publicDir, "trust.json"), loadPublicKey(publicDir)).status, "unsigned");
+  });
+});
+
+describe("buildTrustReceipt public manifest", () => {
+  let dataDir;
+  let publicDir;
+
+  beforeEach(() => {
+    dataDir = makeTempDir("manifest-data");
+    publicDir = makeTempDir("manifest-public");
+    seedDataDir(dataDir);
+    mkdirSync(join(publicDir, "partners", "tool-a"), { recursive: true });
+    writeFileSync(join(publicDir, "partners", "tool-a", "partner-pack.zip"), "zip-bytes");
+    writeFileSync(join(publicDir, "robots.txt"), "User-agent: *\n");
+    writeFileSync(join(publicDir, "_build.json"), "{}");
+  });
+
+  afterEach(() => {
+    try { rmSync(dataDir, { recursive: true, force: true }); } catch {}
+    try { rmSync(publicDir, { recursive: true, force: true }); } catch {}
+  });
+
+  it("hashes public artifacts into per-slug subtrees with a Merkle root", () => {
+    const receipt = buildTrustReceipt({ dataDir, publicDir, include: ["**"], exclude: ["_build.json"] });
+    const manifest = receipt.publicManifest;
+    assert.equal(manifest.fileCount, 2);
+    assert.match(manifest.merkleRoot, /^sha256:[0-9a-f]{64}$/);
+    assert.deepEqual(Object.keys(manifest.subtrees["tool-a"].files), ["partners/tool-a/partner-pack.zip"]);
+    assert.ok(!("_build.json" in manifest.subtrees._site.files));
+  });
+
+  it("keeps the data-file artifactManifest alongside it", () => {
+    const receipt = buildTrustReceipt({ dataDir, publicDir });
+    assert.ok("promo-decisions.json" in receipt.artifactManifest);
+    assert.ok(receipt.publicManifest.fileCount >= 2);
+  });
+});
@@ -0,0 +1,250 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, writeFileSync, readFileSync, rmSync, existsSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import {
+  detectLicense,
+  collectLocalFacts,
+  runWorthyChecks,
+  registerWorthyCheck,
+  resetWorthyChecks,
+  checkForCriterion,
+} from "../../scripts/lib/worthy-checks.mjs";
+import { buildWorthyProposal, assessRepo, genWorthyAssessment } from "../../scripts/gen-worthy-assessment.mjs";
+
+const RUBRIC = {
+  criteria: [
+    "License is OSI-approved",
+    "At least 1 release published",
+    "README has install + usage",
+    "Activity within last 90 days",
+    "No known security issues",
+  ],
+  minimumScore: 3,
+};
+
+const NOW = new Date("2026-03-01T00:00:00Z");
+const MIT = "MIT License\n\nPermission is hereby granted, free of charge, to any person obtaining a copy of this software";
+
+function makeTempDir() {
+  const dir = join(tmpdir(), `worthy-assess-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+function makeCheckout(dir, files) {
+  mkdirSync(dir, { recursive: true });
+  for (const [name, content] of Object.entries(files)) {
+    mkdirSync(join(dir, name, ".."), { recursive: true });
+    writeFileSync(join(dir, name), content);
+  }
+  return dir;
+}
+
+const gitWith = (tags, lastCommitAt) => (_repo, args) => (args[0] === "tag" ? tags.join("\n") : lastCommitAt);
+
+// ── Checks ──────────────────────────────────────────────────
+
+describe("detectLicense", () => {
+  it("recognizes common license texts", () => {
+    assert.equal(detectLicense(MIT), "MIT");
+    assert.equal(detectLicense("Apache License\nVersion 2.0, January 2004"), "Apache-2.0");
+    assert.equal(detectLicense("GNU GENERAL PUBLIC LICENSE\n  Version 3, 29 June 2007"), "GPL-3.0");
+    assert.equal(detectLicense("All rights reserved."), null);
+  });
+});
+
+describe("collectLocalFacts", () => {
+  let tempDir;
+  beforeEach(() => { tempDir = makeTempDir(); });
+  afterEach(() => { try { rmSync(tempDir, { recursive: true, force: true }); } catch {} });
+
+  it("reads license, README, security policy and git evidence", () => {
+    const repo = makeCheckout(join(tempDir, "tool"), {
+      "LICENSE": MIT,
+      "README.md": "## Install\nnpm i tool\n## Usage\ntool run",
+      ".github/SECURITY.md": "Report issues privately",
+    });
+    const facts = collectLocalFacts(repo, { git: gitWith(["v1.0.0"], "2026-02-20T10:00:00+00:00") });
+    assert.equal(facts.licenseFile, "LICENSE");
+    assert.equal(facts.license, "MIT");
+    assert.equal(facts.securityFile, ".github/SECURITY.md");
+    assert.deepEqual(facts.tags, ["v1.0.0"]);
+    assert.equal(facts.lastCommitAt, "2026-02-20T10:00:00+00:00");
+  });
+
+  it("reports null git evidence when git is unavailable", () => {
+    const repo = makeCheckout(join(tempDir, "bare"), { "readme.md": "hello" });
+    const facts = collectLocalFacts(repo, { git: () => null });
+    assert.equal(facts.tags, null);
+    assert.equal(facts.licenseFile, null);
+    assert.equal(facts.readme, "hello");
+  });
+});
+
+describe("runWorthyChecks", () => {
+  afterEach(() => resetWorthyChecks());
+
+  it("decides every default criterion from local evidence", () => {
+    const local = {
+      licenseFile: "LICENSE", license: "MIT", packageLicense: null,
+      readme: "Install with npm i. Usage: run it.", securityFile: null,
+      tags: [], lastCommitAt: "2025-10-01T00:00:00Z",
+    };
+    const results = runWorthyChecks(RUBRIC, { local, now: NOW.getTime() });
+    assert.deepEqual(results.map((r) => [r.check, r.status]), [
+      ["osi-license", "pass"],
+      ["release", "fail"],
+      ["readme-sections", "pass"],
+      ["recent-activity", "fail"],
+      ["security-policy", "fail"],
+    ]);
+    assert.match(results[3].detail, /151d ago, window 90d/);
+  });
+
+  it("fails a non-OSI package.json license without a LICENSE file", () => {
+    const local = { licenseFile: null, license: null, packageLicense: "UNLICENSED", readme: null, securityFile: null, tags: null, lastCommitAt: null };
+    const [license] = runWorthyChecks({ criteria: ["License is OSI-approved"] }, { local, now: NOW.getTime() });
+    assert.deepEqual(license, {
+      criterion: "License is OSI-approved",
+      check: "osi-license",
+      status: "fail",
+      source: "local",
+      detail: "package.json license: UNLICENSED",
+    });
+  });
+
+  it("falls back to cached GitHub facts and leaves README undetermined", () => {
+    const github = {
+      license: "GPL-3.0",
+      pushedAt: "2026-02-25T00:00:00Z",
+      latestRelease: { tag: "v2.1.0" },
+      communityHealth: { files: { readme: true, security: true } },
+    };
+    const results = runWorthyChecks(RUBRIC, { github, now: NOW.getTime() });
+    assert.deepEqual(results.map((r) => r.status), ["pass", "pass", "unknown", "pass", "pass"]);
+    assert.ok(results.every((r) => r.source === "github" || r.status === "unknown"));
+  });
+
+  it("maps custom rubric wording through rubric.checks and honours params", () => {
+    const rubric = {
+      criteria: ["Pushed this quarter", "Has mascot"],
+      checks: { "Pushed this quarter": "recent-activity" },
+      params: { "recent-activity": { days: 3 } },
+    };
+    const results = runWorthyChecks(rubric, { github: { pushedAt: "2026-02-20T00:00:00Z" }, now: NOW.getTime() });
+    assert.equal(results[0].status, "fail");
+    assert.deepEqual(results[1], { criterion: "Has mascot", check: null, status: "unknown", source: null, detail: "No registered check" });
+  });
+
+  it("registers custom checks", () => {
+    registerWorthyCheck({ id: "mascot", version: "1.0.0", criterion: "Has mascot", run: () => ({ status: "pass", source: "local", detail: "yes" }) });
+    assert.equal(checkForCriterion("Has mascot").id, "mascot");
+    assert.throws(() => registerWorthyCheck({ id: "Bad Id", version: "1", run() {} }), /kebab-case/);
+  });
+});
+
+// ── Proposals ───────────────────────────────────────────────
+
+describe("buildWorthyProposal", () => {
+  it("scores passes, lists failures as missing and names undetermined criteria", () => {
+    const proposal = buildWorthyProposal([
+      { criterion: "A", status: "pass", source: "local" },
+      { criterion: "B", status: "pass", source: "github" },
+      { criterion: "C", status: "pass", source: "local" },
+      { criterion: "D", status: "fail", source: "local" },
+      { criterion: "E", status: "unknown", source: null },
+    ], RUBRIC, { today: "2026-03-01" });
+    assert.equal(proposal.worthy, true);
+    assert.equal(proposal.score, 3);
+    assert.deepEqual(proposal.missing, ["D"]);
+    assert.equal(proposal.reason, "Assessed 3/5 criteria from github + local evidence; undetermined: E");
+  });
+});
+
+describe("assessRepo", () => {
+  it("is not worthy without evidence", () => {
+    const proposal = assessRepo(RUBRIC, { now: NOW });
+    assert.equal(proposal.worthy, false);
+    assert.equal(proposal.score, 0);
+    assert.deepEqual(proposal.missing, []);
+    assert.match(proposal.reason, /no evidence/);
+  });
+});
+
+describe("genWorthyAssessment", () => {
+  let tempDir, dataDir;
+
+  beforeEach(() => {
+    tempDir = makeTempDir();
+    dataDir = join(tempDir, "data");
+    mkdirSync(join(dataDir, "github-facts"), { recursive: true });
+    writeFileSync(join(dataDir, "worthy.json"), JSON.stringify({
+      version: "1.0.0",
+      rubric: RUBRIC,
+      repos: {
+        "good-tool": { worthy: false, score: 0, reason: "hand-written" },
+        "dark-tool": { worthy: true, score: 5, reason: "hand-written" },
+      },
+    }));
+    makeCheckout(join(tempDir, "ws", "good-tool"), {
+      "LICENSE": MIT,
+      "README.md": "Install: npm i good-tool\nUsage: good-tool",
+      "SECURITY.md": "Report privately",
+    });
+  });
+
+  afterEach(() => {
+    try { rmSync(tempDir, { recursive: true, force: true }); } catch {}
+  });
+
+  it("writes proposals with evidence and applies only repos with evidence", () => {
+    const { assessment, applied } = genWorthyAssessment({
+      dataDir,
+      workspace: join(tempDir, "ws"),
+      apply: true,
+      now: NOW,
+      git: gitWith(["v0.1.0"], "2026-02-27T00:00:00Z"),
+    });
+    assert.equal(assessment.repos["good-tool"].score, 5);
+    assert.equal(assessment.repos["good-tool"].evidence.length, 5);
+    assert.deepEqual(applied, ["good-tool"]);
+
+    const written = JSON.parse(readFileSync(join(dataDir, "worthy-assessment.json"), "utf8"));
+    assert.deepEqual(Object.keys(written.repos), ["dark-tool", "good-tool"]);
+    const worthy = JSON.parse(readFileSync(join(dataDir, "worthy.json"), "utf8"));
+    assert.equal(worthy.repos["good-tool"].worthy, true);
+    assert.equal(worthy.repos["good-tool"].assessedDate, "2026-03-01");
+    assert.equal("evidence" in worthy.repos["good-tool"], false);
+    assert.equal(worthy.repos["dark-tool"].reason, "hand-written");
+  });
+
+  it("does not write in dry-run mode", () => {
+    genWorthyAssessment({ dataDir, apply: true, dryRun: true, now: NOW });
+    assert.equal(existsSync(join(dataDir, "worthy-assessment.json")), false);
+    assert.equal(existsSync(join(dataDir, "worthy-history.json")), false);
+  });
+
+  it("records history for repos with evidence and reports new regressions", () => {
+    writeFileSync(join(dataDir, "worthy-history.json"), JSON.stringify({
+      repos: { "good-tool": [{ date: "2026-02-01", worthy: true, score: 5, missing: [] }] },
+    }));
+    rmSync(join(tempDir, "ws", "good-tool", "LICENSE"));
+    rmSync(join(tempDir, "ws", "good-tool", "SECURITY.md"));
+
+    const { regressions } = genWorthyAssessment({
+      dataDir,
+      workspace: join(tempDir, "ws"),
+      now: NOW,
+      git: gitWith([], "2025-01-01T00:00:00Z"),
+    });
+
+    const history = JSON.parse(readFileSync(join(dataDir, "worthy-history.json"), "utf8"));
+    assert.deepEqual(Object.keys(history.repos), ["good-tool"], "dark-tool has no evidence");
+    assert.deepEqual(history.repos["good-tool"].map((p) => [p.date, p.worthy]), [["2026-02-01", true], ["2026-03-01", false]]);
+    assert.equal(regressions.length, 1);
+    assert.equal(regressions[0].slug, "good-tool");
+    assert.ok(regressions[0].lostCriteria.includes("License is OSI-approved"));
+  });
+});
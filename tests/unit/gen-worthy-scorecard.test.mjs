@@ -70,6 +70,19 @@ describe("buildScorecard", () => {
     assert.ok(md.includes("## Next Steps"));
     assert.ok(md.includes("Address: At least 1 release published"));
   });
+
+  it("adds assessor evidence and marks undetermined criteria", () => {
+    const entry = { worthy: false, score: 2, reason: "Assessed", missing: ["At least 1 release published"] };
+    const md = buildScorecard("x", entry, RUBRIC, [
+      { criterion: "License is OSI-approved", status: "pass", detail: "LICENSE: MIT" },
+      { criterion: "At least 1 release published", status: "fail", detail: "No git tags" },
+      { criterion: "No known security issues", status: "unknown", detail: "No security policy evidence" },
+    ]);
+    assert.ok(md.includes("- \u2705 License is OSI-approved — LICENSE: MIT"));
+    assert.ok(md.includes("- \u274c At least 1 release published — No git tags"));
+    assert.ok(md.includes("- \u2754 No known security issues — No security policy evidence"));
+    assert.ok(md.includes("- \u2705 README has install + usage\n"));
+  });
 });
 
 describe("generateScorecards", () => {
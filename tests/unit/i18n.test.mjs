@@ -0,0 +1,67 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { toolLocales, localesFor, localizeTool, parseLocalesArg } from "../../scripts/lib/i18n.mjs";
+import fixture from "../fixtures/minimal-tool.json" with { type: "json" };
+
+function translated() {
+  const tool = structuredClone(fixture);
+  tool.claims[0].i18n = { de: { statement: "Es funktioniert." }, fr: { statement: "Ça marche." } };
+  tool.messages[0].i18n = { de: { text: "Test Tool macht es." } };
+  tool.positioning.i18n = { de: { oneLiner: "Ein Testwerkzeug.", valueProps: ["Schnell"] } };
+  return tool;
+}
+
+describe("toolLocales", () => {
+  it("collects non-English locales from every i18n map", () => {
+    assert.deepEqual(toolLocales(translated()), ["de", "fr"]);
+    assert.deepEqual(toolLocales(fixture), []);
+  });
+
+  it("rejects malformed locale keys", () => {
+    const tool = structuredClone(fixture);
+    tool.claims[0].i18n = { "../../etc": { statement: "x" } };
+    assert.throws(() => toolLocales(tool), /invalid locale "\.\.\/\.\.\/etc"/);
+  });
+});
+
+describe("localesFor", () => {
+  it("puts English first and honours an explicit list", () => {
+    assert.deepEqual(localesFor(translated()), ["en", "de", "fr"]);
+    assert.deepEqual(localesFor(translated(), ["ja", "en"]), ["en", "ja"]);
+  });
+});
+
+describe("localizeTool", () => {
+  it("swaps in translations and reports what fell back to English", () => {
+    const { tool, fallbacks } = localizeTool(translated(), "de");
+    assert.equal(tool.claims[0].statement, "Es funktioniert.");
+    assert.equal(tool.messages[0].text, "Test Tool macht es.");
+    assert.equal(tool.positioning.oneLiner, "Ein Testwerkzeug.");
+    // valueProps translation has the wrong length, so English stays
+    assert.deepEqual(tool.positioning.valueProps, ["Fast", "Reliable"]);
+    assert.equal(tool.antiClaims[0].statement, "Does not do magic.");
+    assert.deepEqual(fallbacks, [
+      { kind: "antiClaim", id: "antiClaims[0]", field: "statement" },
+      { kind: "positioning", id: "positioning", field: "valueProps" },
+      { kind: "boilerplate", id: "press.boilerplate", field: "projectDescription" },
+      { kind: "boilerplate", id: "press.boilerplate", field: "founderBio" },
+    ]);
+  });
+
+  it("strips i18n maps and never mutates the input", () => {
+    const input = translated();
+    const { tool, fallbacks } = localizeTool(input);
+    assert.deepEqual(fallbacks, []);
+    assert.equal(tool.claims[0].statement, "It works correctly.");
+    assert.equal(tool.claims[0].i18n, undefined);
+    assert.ok(input.claims[0].i18n.de);
+  });
+});
+
+describe("parseLocalesArg", () => {
+  it("parses and validates --locales", () => {
+    assert.deepEqual(parseLocalesArg(["node", "x", "--locales", "de,pt-BR"]), ["de", "pt-BR"]);
+    assert.equal(parseLocalesArg(["node", "x"]), null);
+    assert.throws(() => parseLocalesArg(["--locales", "de,x/y"]), /invalid locale/);
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync, mkdirSync, rmSync, existsSync } from "node:fs";
+import { resolve, join } from "node:path";
+import { tmpdir } from "node:os";
+import {
+  parseIssueFormBody,
+  parseProofLines,
+  issueFormToSubmission,
+  intakeIssueBody,
+  intakeSubmission,
+  formatGithubOutput,
+} from "../../scripts/intake-submission.mjs";
+import { buildLintReport, lintSubmission } from "../../scripts/lint-submission.mjs";
+
+const FIXTURES = resolve(import.meta.dirname, "../fixtures");
+
+function loadIssue(name) {
+  return readFileSync(join(FIXTURES, "issue-forms", name), "utf8");
+}
+
+describe("parseIssueFormBody", () => {
+  it("splits on headings and maps _No response_ to null", () => {
+    const sections = parseIssueFormBody("### Tool name\n\nMy Tool\n\n### Slug\n\n_No response_\n");
+    assert.deepEqual(sections, { "Tool name": "My Tool", Slug: null });
+  });
+
+  it("handles CRLF bodies and unwraps fenced answers", () => {
+    const sections = parseIssueFormBody("### Install command\r\n\r\n```shell\r\nnpm i -g my-tool\r\n```\r\n");
+    assert.equal(sections["Install command"], "npm i -g my-tool");
+  });
+
+  it("returns no sections for free-form text", () => {
+    assert.deepEqual(parseIssueFormBody("Please add my tool!"), {});
+  });
+});
+
+describe("parseProofLines", () => {
+  it("parses pipe-separated lines and reports malformed ones", () => {
+    const { proof, problems } = parseProofLines("- CI | https://ci.example.com | Tests pass\nDocs - https://x.example.com");
+    assert.deepEqual(proof, [{ label: "CI", url: "https://ci.example.com", whatItProves: "Tests pass" }]);
+    assert.equal(problems.length, 1);
+    assert.match(problems[0], /line 2/);
+  });
+});
+
+describe("issueFormToSubmission", () => {
+  it("converts the valid fixture into the fork-route submission JSON", () => {
+    const { submission, lane, problems } = issueFormToSubmission(loadIssue("valid-submission.md"));
+    const expected = JSON.parse(readFileSync(join(FIXTURES, "valid-submission.json"), "utf8"));
+    assert.deepEqual(submission, expected);
+    assert.equal(lane, "promo");
+    assert.deepEqual(problems, []);
+  });
+
+  it("derives the slug from the tool name when left empty", () => {
+    const { submission, lane } = issueFormToSubmission(loadIssue("invalid-submission.md"));
+    assert.equal(submission.tool.slug, "broken-tool");
+    assert.equal(submission.maintainer.handle, "@broken-dev");
+    assert.equal(lane, "experiment");
+    assert.equal("install" in submission, false);
+  });
+});
+
+describe("intakeIssueBody", () => {
+  it("produces the same report as CI mode for a valid issue", () => {
+    const result = intakeIssueBody(loadIssue("valid-submission.md"));
+    assert.equal(result.valid, true);
+    const expected = buildLintReport([{ slug: "example-mcp-tool", result: lintSubmission(result.submission) }]);
+    assert.equal(result.report, expected);
+    assert.ok(result.report.startsWith("## Submission Lint Report"));
+  });
+
+  it("fails with schema errors and form problems", () => {
+    const result = intakeIssueBody(loadIssue("invalid-submission.md"));
+    assert.equal(result.valid, false);
+    assert.equal(result.lint.grade, "fail");
+    assert.ok(result.lint.errors.some((e) => e.startsWith("Proof links line 1")));
+    assert.ok(result.lint.errors.some((e) => /pitch/i.test(e)));
+    assert.ok(result.report.includes("`broken-tool`"));
+  });
+
+  it("fails an issue that was not written with the form", () => {
+    const result = intakeIssueBody("Please add my tool: https://github.com/org/tool");
+    assert.equal(result.slug, "unknown");
+    assert.equal(result.valid, false);
+    assert.ok(result.lint.errors[0].startsWith("No issue-form sections found"));
+  });
+});
+
+describe("formatGithubOutput", () => {
+  it("writes a valid slug as is", () => {
+    const result = intakeIssueBody(loadIssue("valid-submission.md"));
+    assert.equal(formatGithubOutput(result), `slug=example-mcp-tool\nvalid=true\ngrade=${result.lint.grade}\n`);
+  });
+
+  it("writes unknown for a slug that failed validation", () => {
+    const body = loadIssue("valid-submission.md").replace("example-mcp-tool", "Bad Slug\nvalid=true");
+    const result = intakeIssueBody(body);
+    assert.equal(result.valid, false);
+    assert.match(formatGithubOutput(result), /^slug=unknown\nvalid=false\ngrade=fail\n$/);
+  });
+});
+
+describe("intakeSubmission", () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = join(tmpdir(), `intake-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    mkdirSync(tempDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    try { rmSync(tempDir, { recursive: true, force: true }); } catch {}
+  });
+
+  it("writes the report and, with write, the submission file", () => {
+    const submissionsDir = join(tempDir, "submissions");
+    const reportPath = join(tempDir, "lint-report.md");
+    const result = intakeSubmission({ body: loadIssue("valid-submission.md"), submissionsDir, reportPath, write: true });
+    assert.equal(readFileSync(reportPath, "utf8"), result.report);
+    assert.equal(result.submissionPath, join(submissionsDir, "example-mcp-tool.json"));
+    assert.deepEqual(JSON.parse(readFileSync(result.submissionPath, "utf8")), result.submission);
+  });
+
+  it("never writes an invalid submission", () => {
+    const submissionsDir = join(tempDir, "submissions");
+    const result = intakeSubmission({
+      body: loadIssue("invalid-submission.md"),
+      submissionsDir,
+      reportPath: join(tempDir, "lint-report.md"),
+      write: true,
+    });
+    assert.equal(result.submissionPath, null);
+    assert.equal(existsSync(submissionsDir), false);
+  });
+
+  it("does not write in dry-run mode", () => {
+    const reportPath = join(tempDir, "lint-report.md");
+    intakeSubmission({ body: loadIssue("valid-submission.md"), submissionsDir: tempDir, reportPath, write: true, dryRun: true });
+    assert.equal(existsSync(reportPath), false);
+  });
+});
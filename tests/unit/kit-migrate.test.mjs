@@ -0,0 +1,99 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, rmSync, writeFileSync, readFileSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import { migrate } from "../../scripts/kit-migrate.mjs";
+import { resetConfigCache, KIT_VERSION_SUPPORTED } from "../../scripts/lib/config.mjs";
+
+// ── Temp dir helper ─────────────────────────────────────────
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = join(tmpdir(), `test-migrate-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`);
+  mkdirSync(join(tmpDir, "data"), { recursive: true });
+  resetConfigCache();
+});
+
+afterEach(() => {
+  rmSync(tmpDir, { recursive: true, force: true });
+  resetConfigCache();
+});
+
+function writeConfig(kitVersion) {
+  writeFileSync(
+    join(tmpDir, "kit.config.json"),
+    JSON.stringify({ kitVersion, paths: { dataDir: "data", publicDir: "public" } })
+  );
+}
+
+// ── migrate ─────────────────────────────────────────────────
+
+describe("kit-migrate", () => {
+  it("is a no-op at the current version", () => {
+    writeConfig(KIT_VERSION_SUPPORTED[1]);
+    const result = migrate(tmpDir);
+    assert.equal(result.success, true);
+    assert.equal(result.migrationsApplied, 0);
+  });
+
+  it("v1 → v2 upgrades two-arm experiments to arms + primaryMetric", () => {
+    writeConfig(1);
+    writeFileSync(join(tmpDir, "data", "experiments.json"), JSON.stringify({
+      schemaVersion: 1,
+      experiments: [{
+        id: "exp-001",
+        name: "Subject line",
+        status: "active",
+        slugs: ["tool-a"],
+        dimension: "tagline",
+        control: { key: "control", value: "Original" },
+        variant: { key: "variant-a", value: "New" },
+      }],
+    }));
+
+    const result = migrate(tmpDir);
+    assert.equal(result.success, true);
+    assert.equal(result.migrationsApplied, 1);
+
+    const data = JSON.parse(readFileSync(join(tmpDir, "data", "experiments.json"), "utf8"));
+    assert.equal(data.schemaVersion, 2);
+    const exp = data.experiments[0];
+    assert.equal(exp.control, undefined);
+    assert.equal(exp.variant, undefined);
+    assert.equal(exp.primaryMetric, "replied");
+    assert.deepEqual(exp.arms, [
+      { key: "control", value: "Original", control: true },
+      { key: "variant-a", value: "New", control: false },
+    ]);
+    assert.deepEqual(exp.slugs, ["tool-a"]);
+
+    const config = JSON.parse(readFileSync(join(tmpDir, "kit.config.json"), "utf8"));
+    assert.equal(config.kitVersion, 2);
+  });
+
+  it("v1 → v2 leaves already-upgraded experiments unchanged", () => {
+    writeConfig(1);
+    const v2 = {
+      id: "exp-002",
+      name: "Three subjects",
+      status: "draft",
+      dimension: "tagline",
+      primaryMetric: "opened",
+      arms: [{ key: "control", control: true }, { key: "b" }, { key: "c" }],
+    };
+    writeFileSync(join(tmpDir, "data", "experiments.json"), JSON.stringify({ schemaVersion: 1, experiments: [v2] }));
+
+    migrate(tmpDir);
+    const data = JSON.parse(readFileSync(join(tmpDir, "data", "experiments.json"), "utf8"));
+    assert.deepEqual(data.experiments[0], v2);
+  });
+
+  it("v1 → v2 succeeds when experiments.json is absent", () => {
+    writeConfig(1);
+    const result = migrate(tmpDir);
+    assert.equal(result.success, true);
+    assert.equal(result.migrationsApplied, 1);
+  });
+});
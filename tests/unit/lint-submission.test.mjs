@@ -7,6 +7,7 @@ import {
   lintSubmission,
   formatLintReport,
   lintAllSubmissions,
+  buildLintReport,
 } from "../../scripts/lint-submission.mjs";
 
 const FIXTURES = resolve(import.meta.dirname, "../fixtures");
@@ -234,6 +235,23 @@ describe("formatLintReport", () => {
   });
 });
 
+// ── Duplicates ──────────────────────────────────────────────
+
+describe("lintSubmission duplicates", () => {
+  it("warns about likely duplicates of known tools", () => {
+    const known = [{ source: "projects", id: "example-tool", name: "Example Tool", slugs: ["example-tool"], repo: "github.com/mcp-tool-shop-org/example-mcp-tool" }];
+    const result = lintSubmission(makeValid(), { known });
+    assert.equal(result.grade, "warn");
+    assert.deepEqual(result.duplicates.map((m) => m.reason), ["same-repo"]);
+    assert.ok(result.warnings.includes("Likely duplicate of `example-tool` in projects (same repository)"));
+    assert.ok(formatLintReport(result, "example-mcp-tool").includes("Likely duplicate of `example-tool`"));
+  });
+
+  it("reports no duplicates without known tools", () => {
+    assert.deepEqual(lintSubmission(makeValid()).duplicates, []);
+  });
+});
+
 // ── lintAllSubmissions ──────────────────────────────────────
 
 describe("lintAllSubmissions", () => {
@@ -263,3 +281,17 @@ describe("lintAllSubmissions", () => {
     assert.equal(result.reports.get("bad").grade, "fail");
   });
 });
+
+// ── buildLintReport ─────────────────────────────────────────
+
+describe("buildLintReport", () => {
+  it("renders one section per submission, including parse failures", () => {
+    const report = buildLintReport([
+      { slug: "good-tool", result: lintSubmission(makeValid()) },
+      { slug: "bad-tool", parseError: "Failed to parse JSON: Unexpected token" },
+    ]);
+    assert.ok(report.startsWith("## Submission Lint Report"));
+    assert.ok(report.includes("`good-tool`"));
+    assert.ok(report.includes("- Failed to parse JSON: Unexpected token"));
+  });
+});
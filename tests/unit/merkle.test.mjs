@@ -0,0 +1,167 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, writeFileSync, rmSync } from "node:fs";
+import { join, dirname } from "node:path";
+import { tmpdir } from "node:os";
+import {
+  SITE_SUBTREE,
+  globToRegExp,
+  matchesAnyGlob,
+  merkleRoot,
+  subtreeRoot,
+  manifestRoot,
+  artifactSubtree,
+  buildPublicManifest,
+  verifyPublicSubtree,
+} from "../../scripts/lib/merkle.mjs";
+
+function makeTempDir() {
+  const dir = join(tmpdir(), `merkle-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+function seedPublic(dir, files) {
+  for (const [path, content] of Object.entries(files)) {
+    mkdirSync(dirname(join(dir, path)), { recursive: true });
+    writeFileSync(join(dir, path), content);
+  }
+}
+
+describe("merkle globs", () => {
+  it("matches ** across segments and * within one", () => {
+    assert.ok(globToRegExp("**").test("partners/a/partner-pack.zip"));
+    assert.ok(globToRegExp("**/*.zip").test("partners/a/partner-pack.zip"));
+    assert.ok(globToRegExp("**/*.zip").test("top.zip"));
+    assert.ok(globToRegExp("partners/*/*.zip").test("partners/a/partner-pack.zip"));
+    assert.ok(!globToRegExp("partners/*.zip").test("partners/a/partner-pack.zip"));
+    assert.ok(!globToRegExp("_build.json").test("x_build.json"));
+    assert.ok(globToRegExp("shot-?.png").test("shot-1.png"));
+  });
+
+  it("matches any of several globs", () => {
+    assert.ok(matchesAnyGlob("lab/baseline/index.html", ["go/**", "lab/**"]));
+    assert.ok(!matchesAnyGlob("robots.txt", ["go/**", "lab/**"]));
+  });
+});
+
+describe("merkle tree", () => {
+  it("returns null for an empty tree and the leaf for a single one", () => {
+    assert.equal(merkleRoot([]), null);
+    assert.equal(merkleRoot(["ab"]), "ab");
+  });
+
+  it("depends on every leaf and on leaf order", () => {
+    const root = merkleRoot(["a", "b", "c"]);
+    assert.notEqual(root, merkleRoot(["a", "b", "d"]));
+    assert.notEqual(root, merkleRoot(["b", "a", "c"]));
+  });
+
+  it("binds file paths as well as contents", () => {
+    const hash = "sha256:00";
+    assert.notEqual(subtreeRoot({ "snippets/a.md": hash }), subtreeRoot({ "snippets/b.md": hash }));
+  });
+
+  it("files artifacts under their tool slug", () => {
+    assert.equal(artifactSubtree("partners/zip-meta-map/partner-pack.zip"), "zip-meta-map");
+    assert.equal(artifactSubtree("presskit/zip-meta-map/ja/press.md"), "zip-meta-map");
+    assert.equal(artifactSubtree("snippets/zip-meta-map.ja.md"), "zip-meta-map");
+    assert.equal(artifactSubtree("screenshots/zip-meta-map.png"), "zip-meta-map");
+    assert.equal(artifactSubtree("presskit/index.json"), SITE_SUBTREE);
+    assert.equal(artifactSubtree("go/hn-launch/index.html"), SITE_SUBTREE);
+  });
+});
+
+describe("buildPublicManifest", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = makeTempDir();
+    seedPublic(dir, {
+      "robots.txt": "User-agent: *\n",
+      "_build.json": "{}",
+      "trust.json": "{}",
+      "partners/tool-a/partner-pack.zip": Buffer.from([0x50, 0x4b, 0x03, 0x04, 0xff, 0xfe]),
+      "partners/tool-a/manifest.json": "{}",
+      "snippets/tool-a.md": "# tool-a\n",
+      "presskit/tool-b/press.md": "# tool-b\n",
+    });
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("hashes every matching file into per-slug subtrees", () => {
+    const manifest = buildPublicManifest(dir, { exclude: ["_build.json"] });
+    assert.equal(manifest.fileCount, 5);
+    assert.deepEqual(Object.keys(manifest.subtrees), [SITE_SUBTREE, "tool-a", "tool-b"]);
+    assert.deepEqual(Object.keys(manifest.subtrees["tool-a"].files), [
+      "partners/tool-a/manifest.json",
+      "partners/tool-a/partner-pack.zip",
+      "snippets/tool-a.md",
+    ]);
+    assert.ok(!("trust.json" in manifest.subtrees[SITE_SUBTREE].files), "trust.json cannot hash itself");
+    assert.equal(manifest.merkleRoot, manifestRoot(manifest.subtrees));
+  });
+
+  it("honours include globs", () => {
+    const manifest = buildPublicManifest(dir, { include: ["partners/**"] });
+    assert.equal(manifest.fileCount, 2);
+    assert.deepEqual(Object.keys(manifest.subtrees), ["tool-a"]);
+  });
+
+  it("changes the root when any artifact changes", () => {
+    const before = buildPublicManifest(dir);
+    seedPublic(dir, { "presskit/tool-b/press.md": "# tool-b (edited)\n" });
+    const after = buildPublicManifest(dir);
+    assert.notEqual(after.merkleRoot, before.merkleRoot);
+    assert.equal(after.subtrees["tool-a"].root, before.subtrees["tool-a"].root);
+  });
+});
+
+describe("verifyPublicSubtree", () => {
+  let dir;
+  let manifest;
+
+  beforeEach(() => {
+    dir = makeTempDir();
+    seedPublic(dir, {
+      "partners/tool-a/partner-pack.zip": "zip-bytes",
+      "snippets/tool-a.md": "# tool-a\n",
+      "presskit/tool-b/press.md": "# tool-b\n",
+    });
+    manifest = buildPublicManifest(dir);
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("verifies a partner holding only their partner pack", () => {
+    const hash = manifest.subtrees["tool-a"].files["partners/tool-a/partner-pack.zip"];
+    const result = verifyPublicSubtree(manifest, "tool-a", { "partners/tool-a/partner-pack.zip": hash });
+    assert.equal(result.status, "verified");
+    assert.deepEqual(result.checks.map((c) => c.kind), ["file", "subtree", "root"]);
+  });
+
+  it("flags a modified file", () => {
+    const result = verifyPublicSubtree(manifest, "tool-a", { "partners/tool-a/partner-pack.zip": "sha256:bad" });
+    assert.equal(result.status, "mismatch");
+    assert.equal(result.checks.find((c) => !c.ok).kind, "file");
+  });
+
+  it("flags a manifest whose listed hashes were rewritten without updating the root", () => {
+    const forged = structuredClone(manifest);
+    forged.subtrees["tool-a"].files["partners/tool-a/partner-pack.zip"] = "sha256:forged";
+    const result = verifyPublicSubtree(forged, "tool-a", { "partners/tool-a/partner-pack.zip": "sha256:forged" });
+    assert.equal(result.status, "mismatch");
+    assert.deepEqual(result.checks.filter((c) => !c.ok).map((c) => c.kind), ["subtree"]);
+  });
+
+  it("reports a slug with nothing to check as missing", () => {
+    assert.equal(verifyPublicSubtree(manifest, "tool-z", {}).status, "missing");
+    assert.equal(verifyPublicSubtree(manifest, "tool-a", {}).status, "missing");
+    assert.equal(verifyPublicSubtree(null, "tool-a", {}).status, "missing");
+  });
+});
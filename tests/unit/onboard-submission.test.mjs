@@ -0,0 +1,176 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync, writeFileSync, mkdirSync, rmSync, existsSync } from "node:fs";
+import { resolve, join } from "node:path";
+import { tmpdir } from "node:os";
+import { buildOnboarding, onboardSubmission, onboardAccepted } from "../../scripts/onboard-submission.mjs";
+import { generateSvg } from "../../scripts/gen-placeholders.mjs";
+import { orphanOverrideKeys } from "../../scripts/lib/overrides.mjs";
+
+const FIXTURES = resolve(import.meta.dirname, "../fixtures");
+const SUBMISSION = JSON.parse(readFileSync(join(FIXTURES, "valid-submission.json"), "utf8"));
+const SLUG = "example-mcp-tool";
+
+// ── buildOnboarding ─────────────────────────────────────────
+
+describe("buildOnboarding", () => {
+  it("drafts an override in stableOverrides field order", () => {
+    const { override, overrideChanged, worthyEntry, placeholder } = buildOnboarding(SUBMISSION, { today: "2026-03-01" });
+    assert.deepEqual(Object.keys(override), [
+      "category", "kind", "install", "tagline", "goodFor", "notFor",
+      "screenshot", "screenshotType", "needsHumanReview", "proof", "lane", "surfaceEligible",
+    ]);
+    assert.equal(override.tagline, SUBMISSION.pitch);
+    assert.equal(override.needsHumanReview, true);
+    assert.equal(override.surfaceEligible, false);
+    assert.equal(override.screenshot, `/screenshots/${SLUG}.png`);
+    assert.equal(override.proof.length, 2);
+    assert.equal(overrideChanged, true);
+    assert.deepEqual(worthyEntry, {
+      worthy: false,
+      score: 0,
+      assessedDate: "2026-03-01",
+      reason: "Onboarded from submission — awaiting worthy assessment",
+      missing: [],
+    });
+    assert.equal(placeholder.name, "Example MCP Tool");
+    assert.ok(generateSvg(placeholder).includes("Example MCP Tool"));
+  });
+
+  it("keeps reviewer edits and real screenshots", () => {
+    const overrides = {
+      [SLUG]: { tagline: "Edited", needsHumanReview: false, screenshot: "/screenshots/real.png", screenshotType: "real" },
+    };
+    const worthy = { repos: { [SLUG]: { worthy: true, score: 5, reason: "ok" } } };
+    const { override, worthyEntry, placeholder } = buildOnboarding(SUBMISSION, { overrides, worthy });
+    assert.equal(override.tagline, "Edited");
+    assert.equal(override.needsHumanReview, false);
+    assert.equal(override.screenshotType, "real");
+    assert.equal(worthyEntry, null);
+    assert.equal(placeholder, null);
+  });
+
+  it("reports no change for an already-onboarded entry", () => {
+    const first = buildOnboarding(SUBMISSION);
+    const second = buildOnboarding(SUBMISSION, { overrides: { [SLUG]: first.override } });
+    assert.equal(second.overrideChanged, false);
+  });
+});
+
+// ── onboardSubmission ───────────────────────────────────────
+
+describe("onboardSubmission", () => {
+  let tempDir, dataDir, submissionsDir, screenshotsDir, rendered;
+
+  function seed(status) {
+    writeFileSync(join(dataDir, "submissions.json"), JSON.stringify({
+      submissions: [{ slug: SLUG, status, lane: "promo", submittedAt: "2026-02-01T00:00:00Z", tool: SUBMISSION.tool }],
+    }));
+  }
+
+  function opts(extra = {}) {
+    return {
+      dataDir,
+      submissionsDir,
+      screenshotsDir,
+      today: "2026-03-01",
+      render: async (project, outPath) => {
+        rendered.push(project.repo);
+        writeFileSync(outPath, "png");
+      },
+      ...extra,
+    };
+  }
+
+  beforeEach(() => {
+    tempDir = join(tmpdir(), `onboard-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    dataDir = join(tempDir, "data");
+    submissionsDir = join(tempDir, "submissions");
+    screenshotsDir = join(tempDir, "screenshots");
+    mkdirSync(dataDir, { recursive: true });
+    mkdirSync(submissionsDir, { recursive: true });
+    writeFileSync(join(submissionsDir, `${SLUG}.json`), JSON.stringify(SUBMISSION));
+    writeFileSync(join(dataDir, "overrides.json"), JSON.stringify({ zeta: { tagline: "Z" } }));
+    writeFileSync(join(dataDir, "projects.json"), JSON.stringify([{ repo: SLUG }, { repo: "zeta" }]));
+    writeFileSync(join(dataDir, "worthy.json"), JSON.stringify({ version: "1.0.0", rubric: { criteria: [], minimumScore: 3 }, repos: {} }));
+    rendered = [];
+  });
+
+  afterEach(() => {
+    try { rmSync(tempDir, { recursive: true, force: true }); } catch {}
+  });
+
+  it("writes the override, worthy stub and placeholder", async () => {
+    seed("accepted");
+    const result = await onboardSubmission(SLUG, opts());
+    assert.equal(result.onboarded, true);
+    assert.equal(result.changes.length, 3);
+
+    const overrides = JSON.parse(readFileSync(join(dataDir, "overrides.json"), "utf8"));
+    assert.deepEqual(Object.keys(overrides), [SLUG, "zeta"]);
+    assert.equal(overrides[SLUG].lane, "active_lab");
+    const worthy = JSON.parse(readFileSync(join(dataDir, "worthy.json"), "utf8"));
+    assert.equal(worthy.repos[SLUG].reason, "Onboarded from submission — awaiting worthy assessment");
+    assert.equal(worthy.version, "1.0.0");
+    assert.deepEqual(rendered, [SLUG]);
+    assert.ok(existsSync(join(screenshotsDir, `${SLUG}.png`)));
+  });
+
+  it("keeps every override key in projects.json", async () => {
+    seed("accepted");
+    await onboardSubmission(SLUG, opts());
+    const overrides = JSON.parse(readFileSync(join(dataDir, "overrides.json"), "utf8"));
+    const projects = JSON.parse(readFileSync(join(dataDir, "projects.json"), "utf8"));
+    assert.deepEqual(orphanOverrideKeys(overrides, projects), []);
+  });
+
+  it("keys the entry by the catalog repo, not the submission slug", async () => {
+    writeFileSync(join(dataDir, "projects.json"), JSON.stringify([{ repo: "Example-MCP-Tool" }, { repo: "zeta" }]));
+    seed("accepted");
+    const result = await onboardSubmission(SLUG, opts());
+    assert.equal(result.repo, "Example-MCP-Tool");
+    const overrides = JSON.parse(readFileSync(join(dataDir, "overrides.json"), "utf8"));
+    assert.deepEqual(Object.keys(overrides), ["Example-MCP-Tool", "zeta"]);
+    assert.equal(overrides["Example-MCP-Tool"].screenshot, "/screenshots/Example-MCP-Tool.png");
+    assert.ok(existsSync(join(screenshotsDir, "Example-MCP-Tool.png")));
+  });
+
+  it("refuses repos outside the registry and org", async () => {
+    seed("accepted");
+    const elsewhere = { ...SUBMISSION, tool: { ...SUBMISSION.tool, repo: "https://github.com/someone-else/example-mcp-tool" } };
+    writeFileSync(join(submissionsDir, `${SLUG}.json`), JSON.stringify(elsewhere));
+    const result = await onboardSubmission(SLUG, opts());
+    assert.equal(result.onboarded, false);
+    assert.match(result.error, /not a registry tool or mcp-tool-shop-org repo/);
+
+    writeFileSync(join(dataDir, "projects.json"), JSON.stringify([{ repo: "zeta" }]));
+    writeFileSync(join(submissionsDir, `${SLUG}.json`), JSON.stringify(SUBMISSION));
+    assert.equal((await onboardSubmission(SLUG, opts())).onboarded, false);
+    assert.deepEqual(JSON.parse(readFileSync(join(dataDir, "overrides.json"), "utf8")), { zeta: { tagline: "Z" } });
+    assert.deepEqual(rendered, []);
+  });
+
+  it("is idempotent", async () => {
+    seed("accepted");
+    await onboardSubmission(SLUG, opts());
+    const again = await onboardSubmission(SLUG, opts());
+    assert.deepEqual(again.changes, []);
+    assert.equal(rendered.length, 1);
+  });
+
+  it("refuses submissions that are not accepted", async () => {
+    seed("reviewing");
+    const result = await onboardSubmission(SLUG, opts());
+    assert.equal(result.onboarded, false);
+    assert.match(result.error, /not accepted/);
+    assert.deepEqual(await onboardAccepted(opts()), []);
+  });
+
+  it("does not write in dry-run mode", async () => {
+    seed("accepted");
+    const result = await onboardSubmission(SLUG, opts({ dryRun: true }));
+    assert.equal(result.changes.length, 3);
+    assert.deepEqual(JSON.parse(readFileSync(join(dataDir, "overrides.json"), "utf8")), { zeta: { tagline: "Z" } });
+    assert.deepEqual(rendered, []);
+  });
+});
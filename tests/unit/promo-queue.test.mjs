@@ -0,0 +1,194 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  queueWeeks,
+  resolveCurrentWeek,
+  weeklyCapacity,
+  lastPromotions,
+  planWeeks,
+  applyPlan,
+} from "../../scripts/lib/promo-queue.mjs";
+
+// Tuesday 2026-03-04, inside the week starting 2026-03-03
+const NOW = Date.parse("2026-03-04T12:00:00Z");
+
+function makeQueue(overrides = {}) {
+  return { week: "2026-02-17", slugs: ["old-tool"], promotionType: "own", notes: "", ...overrides };
+}
+
+function decisions(...entries) {
+  return { decisions: entries.map(([slug, score, action = "promote"]) => ({ slug, score, action })) };
+}
+
+const GOVERNANCE = { maxPromosPerWeek: 2, cooldownDaysPerSlug: 14 };
+
+// ── Queue shape ─────────────────────────────────────────────
+
+describe("queueWeeks", () => {
+  it("merges the top-level week with planned weeks, sorted and de-duplicated", () => {
+    const weeks = queueWeeks(makeQueue({
+      weeks: [
+        { week: "2026-03-03", slugs: ["b"] },
+        { week: "2026-02-17", slugs: ["replaced"], promotionType: "ecosystem" },
+        { week: "not-a-date", slugs: ["x"] },
+      ],
+    }));
+    assert.deepEqual(weeks.map((w) => [w.week, w.slugs, w.promotionType]), [
+      ["2026-02-17", ["replaced"], "ecosystem"],
+      ["2026-03-03", ["b"], "own"],
+    ]);
+  });
+});
+
+describe("resolveCurrentWeek", () => {
+  it("picks the planned week containing today", () => {
+    const queue = makeQueue({ weeks: [{ week: "2026-03-03", slugs: ["now-tool"], notes: "planned" }, { week: "2026-03-10", slugs: ["later"] }] });
+    const week = resolveCurrentWeek(queue, { now: NOW });
+    assert.equal(week.week, "2026-03-03");
+    assert.deepEqual(week.slugs, ["now-tool"]);
+    assert.equal(week.notes, "planned");
+    assert.equal(week.planned, true);
+  });
+
+  it("falls back to the top-level queue when no planned week matches", () => {
+    const queue = makeQueue({ campaign: { id: "c1" }, weeks: [{ week: "2026-03-10", slugs: ["later"] }] });
+    const week = resolveCurrentWeek(queue, { now: NOW });
+    assert.equal(week.week, "2026-02-17");
+    assert.deepEqual(week.slugs, ["old-tool"]);
+    assert.deepEqual(week.campaign, { id: "c1" });
+    assert.equal(week.planned, false);
+  });
+});
+
+// ── Capacity ────────────────────────────────────────────────
+
+describe("weeklyCapacity", () => {
+  it("uses maxPromosPerWeek when there is no run data", () => {
+    assert.equal(weeklyCapacity({ maxPromosPerWeek: 4 }, {}).itemsAllowed, 4);
+  });
+
+  it("caps by the minute budget headroom", () => {
+    const cap = weeklyCapacity({ maxPromosPerWeek: 4 }, { avgMinutesPerRun: 30, minuteBudgets: { "200": { headroom: 60 } } });
+    assert.equal(cap.budgetItems, 2);
+    assert.equal(cap.itemsAllowed, 2);
+  });
+});
+
+describe("lastPromotions", () => {
+  it("keeps the newest promotion date per slug", () => {
+    const last = lastPromotions([
+      { date: "2026-03-01T06:00:00Z", promotedSlugs: ["a"] },
+      { date: "2026-02-20T06:00:00Z", slugs: [{ slug: "a" }, "b"] },
+    ]);
+    assert.deepEqual([...last], [["a", "2026-03-01"], ["b", "2026-02-20"]]);
+  });
+});
+
+// ── planWeeks ───────────────────────────────────────────────
+
+describe("planWeeks", () => {
+  it("plans weeks aligned to the queue weekday, starting at the current week", () => {
+    const plan = planWeeks({ queue: makeQueue(), governance: GOVERNANCE, now: NOW, horizon: 3 });
+    assert.deepEqual(plan.weeks.map((w) => w.week), ["2026-03-03", "2026-03-10", "2026-03-17"]);
+    assert.ok(plan.warnings.some((w) => w.includes("gen-promo-decisions")));
+  });
+
+  it("fills future weeks by score up to capacity and never the current week", () => {
+    const plan = planWeeks({
+      queue: makeQueue(),
+      decisions: decisions(["low", 10], ["top", 90], ["mid", 50], ["next", 40]),
+      governance: GOVERNANCE,
+      now: NOW,
+      horizon: 3,
+    });
+    assert.deepEqual(plan.weeks.map((w) => w.slugs), [[], ["top", "mid"], ["next", "low"]]);
+    assert.deepEqual(plan.weeks[1].added, ["top", "mid"]);
+    assert.deepEqual(plan.unplaced, []);
+  });
+
+  it("keeps manually planned slugs and does not place a slug twice", () => {
+    const plan = planWeeks({
+      queue: makeQueue({ weeks: [{ week: "2026-03-10", slugs: [{ slug: "mine", channels: ["presskit"] }] }] }),
+      decisions: decisions(["mine", 99], ["other", 50]),
+      governance: GOVERNANCE,
+      now: NOW,
+      horizon: 2,
+    });
+    assert.deepEqual(plan.weeks[1].slugs, [{ slug: "mine", channels: ["presskit"] }, "other"]);
+    assert.deepEqual(plan.weeks[1].added, ["other"]);
+  });
+
+  it("respects slug cooldowns from ops history", () => {
+    const plan = planWeeks({
+      queue: makeQueue(),
+      decisions: decisions(["recent", 90]),
+      opsHistory: [{ date: "2026-03-02T06:00:00Z", promotedSlugs: ["recent"] }],
+      governance: GOVERNANCE,
+      now: NOW,
+      horizon: 4,
+    });
+    // 2026-03-02 + 14 days = 2026-03-16, so the first eligible week is 2026-03-17
+    assert.deepEqual(plan.weeks.map((w) => w.slugs), [[], [], ["recent"], []]);
+  });
+
+  it("reports slugs that cannot be placed", () => {
+    const plan = planWeeks({
+      queue: makeQueue(),
+      decisions: decisions(["a", 3], ["b", 2], ["c", 1]),
+      opsHistory: [{ date: "2026-03-04", promotedSlugs: ["c"] }],
+      governance: { maxPromosPerWeek: 1, cooldownDaysPerSlug: 14 },
+      now: NOW,
+      horizon: 2,
+    });
+    assert.deepEqual(plan.unplaced.map((u) => [u.slug, u.reason]), [
+      ["b", "no capacity left in the horizon"],
+      ["c", "no capacity left in the horizon"],
+    ]);
+  });
+
+  it("rolls this week's skipped and deferred slugs into later weeks", () => {
+    const plan = planWeeks({
+      queue: makeQueue({ weeks: [{ week: "2026-03-03", slugs: ["run", "skipped"] }] }),
+      decisions: decisions(["run", 80], ["skipped", 70, "skip"]),
+      governance: GOVERNANCE,
+      now: NOW,
+      horizon: 2,
+    });
+    assert.deepEqual(plan.weeks[1].added, ["skipped"]);
+  });
+
+  it("flags weeks over capacity and cooldown conflicts", () => {
+    const plan = planWeeks({
+      queue: makeQueue({ weeks: [{ week: "2026-03-10", slugs: ["a", "b", "c"] }] }),
+      opsHistory: [{ date: "2026-03-01", promotedSlugs: ["a"] }],
+      governance: GOVERNANCE,
+      baseline: { avgMinutesPerRun: 100, minuteBudgets: { "200": { headroom: 100 } } },
+      now: NOW,
+      horizon: 2,
+    });
+    const week = plan.weeks[1];
+    assert.equal(week.capacity, 1);
+    assert.equal(week.overCapacity, true);
+    assert.match(week.issues[0], /3 slugs planned, capacity 1: minute budget allows 1/);
+    assert.ok(week.issues.some((i) => i.includes("a is inside its 14-day cooldown")));
+    assert.equal(plan.weeks[0].overCapacity, false);
+  });
+});
+
+// ── applyPlan ───────────────────────────────────────────────
+
+describe("applyPlan", () => {
+  it("stores future planned weeks and keeps the rest of the queue", () => {
+    const queue = makeQueue({ weeks: [{ week: "2026-03-03", slugs: ["current"] }, { week: "2026-02-24", slugs: ["past"] }] });
+    const plan = planWeeks({ queue, decisions: decisions(["new", 10]), governance: GOVERNANCE, now: NOW, horizon: 3 });
+    const next = applyPlan(queue, plan, { now: NOW });
+    assert.equal(next.week, "2026-02-17");
+    assert.deepEqual(next.slugs, ["old-tool"]);
+    assert.deepEqual(next.weeks.map((w) => [w.week, w.slugs]), [
+      ["2026-02-24", ["past"]],
+      ["2026-03-03", ["current"]],
+      ["2026-03-10", ["new"]],
+    ]);
+    assert.ok(!("added" in next.weeks[2]));
+  });
+});
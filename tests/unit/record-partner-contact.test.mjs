@@ -0,0 +1,93 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync, readFileSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import {
+  validateInteraction,
+  recordInteraction,
+  contactEligibility,
+  partnerStage,
+} from "../../scripts/lib/partners.mjs";
+import { recordPartnerContact } from "../../scripts/record-partner-contact.mjs";
+
+const NOW = new Date("2026-05-20T12:00:00Z").getTime();
+
+function makeTmpPartners(partners) {
+  const tmp = mkdtempSync(join(tmpdir(), "partners-"));
+  writeFileSync(join(tmp, "partners.json"), JSON.stringify({ partners, schema: { version: "1.1.0" } }, null, 2));
+  return tmp;
+}
+
+describe("validateInteraction", () => {
+  it("accepts sent, reply and stage interactions", () => {
+    assert.equal(validateInteraction({ kind: "sent", channel: "email", slug: "zip-meta-map" }).valid, true);
+    assert.equal(validateInteraction({ kind: "reply", at: "2026-05-20T10:00:00Z" }).valid, true);
+    assert.equal(validateInteraction({ kind: "stage", stage: "engaged" }).valid, true);
+  });
+
+  it("rejects unknown kinds, channels, stages and bad dates", () => {
+    assert.equal(validateInteraction({ kind: "called" }).valid, false);
+    assert.equal(validateInteraction({ kind: "sent", channel: "fax" }).valid, false);
+    assert.equal(validateInteraction({ kind: "stage", stage: "vip" }).valid, false);
+    assert.equal(validateInteraction({ kind: "sent", stage: "engaged" }).valid, false);
+    assert.equal(validateInteraction({ kind: "sent", at: "last tuesday" }).valid, false);
+  });
+});
+
+describe("recordInteraction", () => {
+  const pat = { name: "Pat", type: "journalist" };
+
+  it("moves prospect → contacted → replied and tracks lastContactedAt", () => {
+    assert.equal(partnerStage(pat), "prospect");
+    const sent = recordInteraction(pat, { kind: "sent", channel: "email" }, { now: NOW });
+    assert.deepEqual([sent.from, sent.to], ["prospect", "contacted"]);
+    assert.equal(sent.partner.lastContactedAt, "2026-05-20T12:00:00.000Z");
+
+    const reply = recordInteraction(sent.partner, { kind: "reply", at: "2026-05-21T08:00:00Z" });
+    assert.equal(reply.to, "replied");
+    assert.equal(reply.partner.interactions.length, 2);
+    assert.equal(reply.partner.lastContactedAt, "2026-05-20T12:00:00.000Z", "replies do not reset the cooldown");
+  });
+
+  it("does not move an engaged partner backwards on a new send", () => {
+    const engaged = { ...pat, stage: "engaged" };
+    assert.equal(recordInteraction(engaged, { kind: "sent" }, { now: NOW }).to, "engaged");
+  });
+
+  it("refuses to record outreach to do-not-contact or declined partners", () => {
+    assert.throws(() => recordInteraction({ ...pat, stage: "do-not-contact" }, { kind: "sent" }), /do-not-contact/);
+    assert.throws(() => recordInteraction({ ...pat, stage: "declined" }, { kind: "sent" }), /declined/);
+  });
+
+  it("treats legacy partners with lastContactedAt as contacted", () => {
+    const legacy = { ...pat, lastContactedAt: "2026-05-15" };
+    assert.equal(partnerStage(legacy), "contacted");
+    assert.equal(contactEligibility(legacy, { cooldownDays: 14, now: NOW }).eligible, false);
+  });
+});
+
+describe("recordPartnerContact", () => {
+  it("appends to partners.json by name or id", () => {
+    const dir = makeTmpPartners([{ id: "pat-j", name: "Pat", type: "journalist" }]);
+    const first = recordPartnerContact(JSON.stringify({ partner: "pat", kind: "sent", slug: "zip-meta-map" }), { dataDir: dir, now: NOW });
+    assert.equal(first.success, true);
+    const second = recordPartnerContact(JSON.stringify({ partner: "pat-j", kind: "stage", stage: "do-not-contact" }), { dataDir: dir, now: NOW + 1000 });
+    assert.equal(second.success, true);
+
+    const saved = JSON.parse(readFileSync(join(dir, "partners.json"), "utf8")).partners[0];
+    assert.equal(saved.stage, "do-not-contact");
+    assert.deepEqual(saved.interactions.map((i) => i.kind), ["sent", "stage"]);
+  });
+
+  it("fails without writing for unknown partners and invalid input", () => {
+    const dir = makeTmpPartners([{ name: "Pat", type: "journalist" }]);
+    const before = readFileSync(join(dir, "partners.json"), "utf8");
+    const prevExit = process.exitCode;
+    assert.equal(recordPartnerContact(JSON.stringify({ partner: "Nobody", kind: "sent" }), { dataDir: dir }).success, false);
+    assert.equal(recordPartnerContact(JSON.stringify({ partner: "Pat", kind: "wave" }), { dataDir: dir }).success, false);
+    assert.equal(recordPartnerContact("{nope", { dataDir: dir }).success, false);
+    process.exitCode = prevExit;
+    assert.equal(readFileSync(join(dir, "partners.json"), "utf8"), before);
+  });
+});
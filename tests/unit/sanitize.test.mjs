@@ -1,6 +1,6 @@
 import { describe, it } from "node:test";
 import assert from "node:assert/strict";
-import { htmlEsc, escapeXml, validateUrl } from "../../scripts/lib/sanitize.mjs";
+import { htmlEsc, escapeXml, validateUrl, validateLocale } from "../../scripts/lib/sanitize.mjs";
 
 describe("htmlEsc", () => {
   it("escapes ampersand", () => {
@@ -116,3 +116,17 @@ describe("validateUrl", () => {
     assert.equal(result, "https://example.com/path?a=1#frag");
   });
 });
+
+describe("validateLocale", () => {
+  it("accepts language, script and region tags", () => {
+    for (const tag of ["de", "fil", "pt-BR", "zh-Hans", "zh-Hant-TW", "es-419"]) {
+      assert.equal(validateLocale(tag), tag);
+    }
+  });
+
+  it("rejects anything that could escape an output path", () => {
+    for (const tag of ["../de", "de/x", "DE", "de_DE", "", "en-us", null]) {
+      assert.throws(() => validateLocale(tag), /invalid locale/);
+    }
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, writeFileSync, readFileSync, rmSync, existsSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import { generateKeyPairSync } from "node:crypto";
+import {
+  SIGNING_KEY_ENV,
+  SIGNING_KEY_FILE_ENV,
+  PUBLIC_KEY_FILE,
+  loadSigningKey,
+  loadPublicKey,
+  publishPublicKey,
+  keyId,
+  signContent,
+  checkSignature,
+  signFile,
+  removeSignature,
+  verifyFileSignature,
+} from "../../scripts/lib/signing.mjs";
+
+function makeTempDir() {
+  const dir = join(tmpdir(), `signing-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+function throwawayKey() {
+  const { privateKey } = generateKeyPairSync("ed25519");
+  return privateKey;
+}
+
+function otherPublicKey() {
+  return generateKeyPairSync("ed25519").publicKey;
+}
+
+function pem(privateKey) {
+  return privateKey.export({ type: "pkcs8", format: "pem" });
+}
+
+describe("signing", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = makeTempDir();
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("loads no key when none is configured", () => {
+    assert.equal(loadSigningKey({}), null);
+  });
+
+  it("loads a key inline or from a file", () => {
+    const key = throwawayKey();
+    assert.equal(keyId(loadSigningKey({ [SIGNING_KEY_ENV]: pem(key) })), keyId(key));
+
+    const keyFile = join(dir, "signing-key.pem");
+    writeFileSync(keyFile, pem(key));
+    assert.equal(keyId(loadSigningKey({ [SIGNING_KEY_FILE_ENV]: keyFile })), keyId(key));
+  });
+
+  it("rejects unreadable, malformed and non-Ed25519 keys", () => {
+    assert.throws(() => loadSigningKey({ [SIGNING_KEY_FILE_ENV]: join(dir, "nope.pem") }), /cannot read/);
+    assert.throws(() => loadSigningKey({ [SIGNING_KEY_ENV]: "not a key" }), /not a valid private key/);
+    const { privateKey: ec } = generateKeyPairSync("ec", { namedCurve: "P-256" });
+    assert.throws(() => loadSigningKey({ [SIGNING_KEY_ENV]: pem(ec) }), /must be ed25519/);
+  });
+
+  it("signs content that verifies only with the matching key and bytes", () => {
+    const key = throwawayKey();
+    const sig = signContent('{"a":1}\n', key);
+    assert.equal(sig.algorithm, "ed25519");
+    assert.match(sig.keyId, /^[0-9a-f]{16}$/);
+
+    publishPublicKey(dir, key);
+    const publicKey = loadPublicKey(dir);
+    assert.equal(keyId(publicKey), sig.keyId);
+    assert.equal(checkSignature('{"a":1}\n', sig, publicKey).status, "valid");
+    assert.equal(checkSignature('{"a":2}\n', sig, publicKey).status, "invalid");
+    assert.equal(checkSignature('{"a":1}\n', sig, otherPublicKey()).status, "wrong-key");
+    assert.equal(checkSignature('{"a":1}\n', null, publicKey).status, "invalid");
+  });
+
+  it("writes and checks detached signature files", () => {
+    const key = throwawayKey();
+    publishPublicKey(dir, key);
+    const publicKey = loadPublicKey(dir);
+    const file = join(dir, "trust.json");
+    writeFileSync(file, JSON.stringify({ commit: "abc" }, null, 2) + "\n");
+
+    assert.equal(verifyFileSignature(file, publicKey).status, "unsigned");
+    assert.equal(signFile(file, key), file + ".sig");
+    assert.equal(verifyFileSignature(file, publicKey).status, "valid");
+
+    writeFileSync(file, JSON.stringify({ commit: "evil" }, null, 2) + "\n");
+    assert.equal(verifyFileSignature(file, publicKey).status, "invalid");
+
+    removeSignature(file);
+    assert.equal(existsSync(file + ".sig"), false);
+  });
+
+  it("publishes only the public half of the key", () => {
+    publishPublicKey(dir, throwawayKey());
+    const published = readFileSync(join(dir, PUBLIC_KEY_FILE), "utf8");
+    assert.match(published, /BEGIN PUBLIC KEY/);
+    assert.doesNotMatch(published, /PRIVATE/);
+  });
+});
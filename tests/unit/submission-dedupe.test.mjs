@@ -0,0 +1,165 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, writeFileSync, rmSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import {
+  normalizeRepoUrl,
+  similarity,
+  buildKnownTools,
+  loadKnownTools,
+  findDuplicates,
+  detectDuplicates,
+  describeDuplicate,
+} from "../../scripts/lib/submission-dedupe.mjs";
+
+const ORG_URL = "https://github.com/acme-org";
+
+function submission(slug, name, repo) {
+  return { tool: { slug, name, repo } };
+}
+
+function makeKnown(extra = {}) {
+  return buildKnownTools({
+    projects: [{ name: "Tool Compass", repo: "tool-compass" }],
+    registry: {
+      tools: [
+        { id: "claim-ledger", name: "Claim Ledger", repo: "https://github.com/acme-org/claim-ledger" },
+      ],
+    },
+    aliases: { $comment: "ignored", "claim-ledger": "ClaimLedger" },
+    overrides: { "site-theme": { tagline: "Theme" } },
+    orgUrl: ORG_URL,
+    ...extra,
+  });
+}
+
+// ── Normalization ───────────────────────────────────────────
+
+describe("normalizeRepoUrl", () => {
+  it("reduces URL variants to host/owner/repo", () => {
+    const expected = "github.com/acme-org/tool-compass";
+    for (const url of [
+      "https://github.com/acme-org/tool-compass",
+      "https://www.github.com/Acme-Org/Tool-Compass/",
+      "http://github.com/acme-org/tool-compass.git",
+      "git@github.com:acme-org/tool-compass.git",
+      "https://github.com/acme-org/tool-compass/tree/main/docs?tab=readme#top",
+    ]) {
+      assert.equal(normalizeRepoUrl(url), expected, url);
+    }
+  });
+
+  it("returns null for bare names and non-strings", () => {
+    assert.equal(normalizeRepoUrl("tool-compass"), null);
+    assert.equal(normalizeRepoUrl(undefined), null);
+  });
+});
+
+describe("similarity", () => {
+  it("is 1 for equal strings and drops with edits", () => {
+    assert.equal(similarity("toolcompass", "toolcompass"), 1);
+    assert.ok(similarity("toolcompass", "toolcompas") > 0.9);
+    assert.ok(similarity("toolcompass", "sitetheme") < 0.5);
+  });
+});
+
+// ── buildKnownTools ─────────────────────────────────────────
+
+describe("buildKnownTools", () => {
+  it("resolves bare repo names against the org and adds registry aliases", () => {
+    const known = makeKnown();
+    const project = known.find((k) => k.source === "projects");
+    assert.equal(project.repo, "github.com/acme-org/tool-compass");
+    const reg = known.find((k) => k.source === "registry");
+    assert.deepEqual(reg.slugs, ["claim-ledger", "ClaimLedger"]);
+    assert.equal(known.find((k) => k.source === "overrides").id, "site-theme");
+  });
+});
+
+// ── findDuplicates ──────────────────────────────────────────
+
+describe("findDuplicates", () => {
+  it("matches the same repo under a different slug", () => {
+    const matches = findDuplicates(
+      submission("compass", "Compass", "https://github.com/Acme-Org/tool-compass.git"),
+      makeKnown(),
+    );
+    assert.deepEqual(matches, [{ source: "projects", id: "tool-compass", reason: "same-repo", score: 1 }]);
+  });
+
+  it("matches registry aliases and overrides by slug", () => {
+    const alias = findDuplicates(submission("claimledger", "CL", "https://github.com/x/cl"), makeKnown());
+    assert.deepEqual(alias.map((m) => [m.source, m.reason]), [["registry", "same-slug"]]);
+    const exact = findDuplicates(submission("site-theme", "My Theme", "https://github.com/x/theme"), makeKnown());
+    assert.deepEqual(exact.map((m) => [m.source, m.reason]), [["overrides", "same-slug"]]);
+  });
+
+  it("fuzzy-matches near-identical slugs", () => {
+    const [match] = findDuplicates(submission("claim-ledgr", "Ledgr", "https://github.com/x/ledgr"), makeKnown());
+    assert.equal(match.reason, "similar-slug");
+    assert.equal(match.id, "claim-ledger");
+    assert.ok(match.score >= 0.85 && match.score < 1);
+  });
+
+  it("fuzzy-matches near-identical names", () => {
+    const matches = findDuplicates(submission("compass-tool", "Tool-Compass", "https://github.com/x/y"), makeKnown());
+    assert.equal(matches[0].reason, "similar-name");
+    assert.equal(matches[0].id, "tool-compass");
+  });
+
+  it("does not match unrelated or very short names", () => {
+    const known = makeKnown({ projects: [{ name: "abc", repo: "abc" }] });
+    assert.deepEqual(findDuplicates(submission("abd", "Abd", "https://github.com/x/abd"), known), []);
+    assert.deepEqual(findDuplicates(submission("voice-box", "Voice Box", "https://github.com/x/voice-box"), makeKnown()), []);
+  });
+
+  it("compares submissions with each other but not with themselves", () => {
+    const subs = [
+      submission("one-tool", "One", "https://github.com/x/shared"),
+      submission("two-tool", "Two", "https://github.com/x/shared/"),
+    ];
+    const known = makeKnown({ submissions: subs });
+    const dupes = detectDuplicates(subs, known);
+    assert.deepEqual(dupes.map((d) => [d.slug, d.matches.map((m) => m.id)]), [
+      ["one-tool", ["two-tool"]],
+      ["two-tool", ["one-tool"]],
+    ]);
+  });
+
+  it("describes matches for lint reports", () => {
+    assert.equal(
+      describeDuplicate({ source: "registry", id: "claim-ledger", reason: "similar-slug", score: 0.92 }),
+      "Likely duplicate of `claim-ledger` in registry (similar slug, 92%)",
+    );
+  });
+});
+
+// ── loadKnownTools ──────────────────────────────────────────
+
+describe("loadKnownTools", () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = join(tmpdir(), `dedupe-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    mkdirSync(join(tempDir, "data", "registry"), { recursive: true });
+    mkdirSync(join(tempDir, "submissions"), { recursive: true });
+    writeFileSync(join(tempDir, "data", "projects.json"), JSON.stringify([{ name: "Tool Compass", repo: "tool-compass" }]));
+    writeFileSync(join(tempDir, "data", "registry", "registry.json"), JSON.stringify({ tools: [{ id: "claim-ledger" }] }));
+    writeFileSync(join(tempDir, "submissions", "new-tool.json"), JSON.stringify(submission("new-tool", "New", "https://github.com/x/new")));
+    writeFileSync(join(tempDir, "submissions", "broken.json"), "{");
+  });
+
+  afterEach(() => {
+    try { rmSync(tempDir, { recursive: true, force: true }); } catch {}
+  });
+
+  it("reads every source and skips malformed or missing files", () => {
+    const known = loadKnownTools({ dataDir: join(tempDir, "data"), submissionsDir: join(tempDir, "submissions"), orgUrl: ORG_URL });
+    assert.deepEqual(known.map((k) => `${k.source}:${k.id}`), [
+      "projects:tool-compass",
+      "registry:claim-ledger",
+      "submissions:new-tool",
+    ]);
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, writeFileSync, readFileSync, rmSync, existsSync } from "node:fs";
+import { join, resolve, dirname } from "node:path";
+import { tmpdir } from "node:os";
+import { fileURLToPath } from "node:url";
+import { validateEvent, loadTelemetrySchema } from "../../scripts/lib/telemetry.mjs";
+import { createCollector, createIngestor } from "../../scripts/telemetry-collector.mjs";
+import { parseEventsFile } from "../../scripts/gen-telemetry-aggregate.mjs";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const schema = loadTelemetrySchema(resolve(__dirname, "../../site/src/data/telemetry-schema.json"));
+
+const NOW = Date.parse("2026-05-20T12:00:00Z");
+
+function evt(type, payload = {}, timestamp = "2026-05-20T11:59:00.000Z") {
+  return { type, timestamp, payload };
+}
+
+describe("validateEvent", () => {
+  it("accepts a schema-conforming event and drops extra top-level fields", () => {
+    const result = validateEvent({ ...evt("copy_install", { slug: "zip-meta-map" }), ip: "1.2.3.4", id: "x" }, schema);
+    assert.equal(result.ok, true);
+    assert.deepEqual(result.event, evt("copy_install", { slug: "zip-meta-map" }));
+  });
+
+  it("rejects unknown types, undeclared fields and rule violations", () => {
+    assert.equal(validateEvent(evt("page_view"), schema).reason, "unknown_type");
+    assert.equal(validateEvent(evt("copy_install", { slug: "a", ua: "x" }), schema).reason, "unknown_field");
+    assert.equal(validateEvent(evt("copy_bundle", { week: "2026-20" }), schema).reason, "invalid_payload");
+    assert.equal(validateEvent(evt("click_submit_link", { linkType: "other" }), schema).reason, "invalid_payload");
+    assert.equal(validateEvent(evt("copy_claim", { slug: "a", claimIndex: 99 }), schema).reason, "invalid_payload");
+    assert.equal(validateEvent(evt("copy_install", { slug: "x".repeat(81) }), schema).reason, "invalid_payload");
+    assert.equal(validateEvent(evt("copy_install", {}, "yesterday"), schema).reason, "bad_timestamp");
+    assert.equal(validateEvent("nope", schema).reason, "malformed");
+  });
+
+  it("does not resolve types or fields through the prototype chain", () => {
+    for (const type of ["constructor", "toString", "__proto__", "hasOwnProperty"]) {
+      assert.equal(validateEvent(evt(type), schema).reason, "unknown_type", type);
+    }
+    const payload = JSON.parse('{"slug":"a","__proto__":{"x":1},"constructor":"y"}');
+    assert.equal(validateEvent(evt("copy_install", payload), schema).reason, "unknown_field");
+  });
+});
+
+describe("createIngestor", () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = join(tmpdir(), `collector-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    mkdirSync(tempDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    try { rmSync(tempDir, { recursive: true, force: true }); } catch {}
+  });
+
+  it("appends accepted events to the day's JSONL with server-assigned ids", () => {
+    const ingest = createIngestor({ schema, eventsDir: tempDir, now: () => NOW });
+    const result = ingest([evt("copy_install", { slug: "a" }), evt("page_view")]);
+    assert.deepEqual(result, { accepted: 1, rejected: { unknown_type: 1 } });
+
+    const stored = parseEventsFile(readFileSync(join(tempDir, "2026-05-20.jsonl"), "utf8"));
+    assert.equal(stored.length, 1);
+    assert.match(stored[0].id, /^evt_\d+_[0-9a-f]{6}$/);
+    assert.deepEqual(Object.keys(stored[0]).sort(), ["id", "payload", "timestamp", "type"]);
+  });
+
+  it("rejects timestamps more than a day from server time", () => {
+    const ingest = createIngestor({ schema, eventsDir: tempDir, now: () => NOW });
+    const result = ingest([evt("copy_install", { slug: "a" }, "2026-05-01T00:00:00Z")]);
+    assert.deepEqual(result, { accepted: 0, rejected: { bad_timestamp: 1 } });
+  });
+
+  it("applies the per-type daily cap and spike threshold, resuming counts from disk", () => {
+    writeFileSync(join(tempDir, "2026-05-20.jsonl"),
+      JSON.stringify({ id: "evt_1", ...evt("copy_install", { slug: "a" }) }) + "\n");
+    const ingest = createIngestor({ schema, eventsDir: tempDir, dailyCapPerType: 2, spikeThreshold: 3, now: () => NOW });
+
+    const first = ingest([evt("copy_install", { slug: "a" }), evt("copy_install", { slug: "b" })]);
+    assert.deepEqual(first, { accepted: 1, rejected: { daily_cap: 1 } });
+
+    const second = ingest([evt("copy_bundle", { week: "2026-W21" }), evt("copy_claim", { slug: "a", claimIndex: 0 })]);
+    assert.deepEqual(second, { accepted: 1, rejected: { spike_guard: 1 } });
+  });
+});
+
+describe("createCollector (HTTP)", () => {
+  let tempDir;
+  let server;
+  let base;
+
+  beforeEach(async () => {
+    tempDir = join(tmpdir(), `collector-http-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    mkdirSync(tempDir, { recursive: true });
+    server = createCollector({ dataDir: tempDir, schema, allowOrigin: "https://example.com", now: () => NOW });
+    await new Promise((done) => server.listen(0, "127.0.0.1", done));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise((done) => server.close(done));
+    try { rmSync(tempDir, { recursive: true, force: true }); } catch {}
+  });
+
+  it("accepts a text/plain beacon batch and never sets cookies", async () => {
+    const res = await fetch(`${base}/events`, {
+      method: "POST",
+      headers: { "Content-Type": "text/plain", Cookie: "session=abc" },
+      body: JSON.stringify({ events: [evt("copy_install", { slug: "a" })] }),
+    });
+    assert.equal(res.status, 202);
+    assert.deepEqual(await res.json(), { accepted: 1, rejected: {} });
+    assert.equal(res.headers.get("set-cookie"), null);
+    assert.equal(res.headers.get("access-control-allow-origin"), "https://example.com");
+
+    const written = readFileSync(join(tempDir, "telemetry", "events", "2026-05-20.jsonl"), "utf8");
+    assert.ok(!written.includes("127.0.0.1"), "client address must not be stored");
+    assert.ok(!written.includes("session"), "cookies must not be stored");
+  });
+
+  it("rejects event types inherited from Object.prototype", async () => {
+    const res = await fetch(`${base}/events`, {
+      method: "POST",
+      headers: { "Content-Type": "text/plain" },
+      body: JSON.stringify({ events: [{ type: "constructor", timestamp: "2026-05-20T11:59:00.000Z" }] }),
+    });
+    assert.equal(res.status, 202);
+    assert.deepEqual(await res.json(), { accepted: 0, rejected: { unknown_type: 1 } });
+    assert.equal(existsSync(join(tempDir, "telemetry", "events", "2026-05-20.jsonl")), false);
+  });
+
+  it("answers preflight and health checks", async () => {
+    assert.equal((await fetch(`${base}/events`, { method: "OPTIONS" })).status, 204);
+    assert.deepEqual(await (await fetch(`${base}/health`)).json(), { ok: true });
+    assert.equal((await fetch(`${base}/elsewhere`)).status, 404);
+  });
+
+  it("rejects non-JSON bodies and oversized batches without writing", async () => {
+    assert.equal((await fetch(`${base}/events`, { method: "POST", body: "not json" })).status, 400);
+    const batch = Array.from({ length: 51 }, () => evt("copy_install", { slug: "a" }));
+    assert.equal((await fetch(`${base}/events`, { method: "POST", body: JSON.stringify(batch) })).status, 413);
+    assert.equal(existsSync(join(tempDir, "telemetry", "events")), false);
+  });
+});
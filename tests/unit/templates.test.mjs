@@ -0,0 +1,111 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, writeFileSync, rmSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import { parseTemplate, renderTemplate, loadTemplate } from "../../scripts/lib/templates.mjs";
+
+const CLAIMS = [
+  { id: "claim.fast", status: "proven", statement: "It is fast." },
+  { id: "claim.future", status: "aspirational", statement: "It will fly." },
+];
+
+describe("renderTemplate", () => {
+  it("interpolates nested fields and renders null as empty", () => {
+    assert.equal(renderTemplate("{{tool.name}}: {{tool.tagline}}", { tool: { name: "A", tagline: null } }), "A: ");
+  });
+
+  it("drops lines that hold only a block tag", () => {
+    const src = "# Title\n{{#if show}}\nshown\n{{/if}}\n{{#unless show}}\nhidden\n{{/unless}}\nend\n";
+    assert.equal(renderTemplate(src, { show: true }), "# Title\nshown\nend\n");
+    assert.equal(renderTemplate(src, { show: false }), "# Title\nhidden\nend\n");
+  });
+
+  it("treats empty lists as false and supports else", () => {
+    assert.equal(renderTemplate("{{#if xs}}yes{{else}}no{{/if}}", { xs: [] }), "no");
+  });
+
+  it("loops with item fields, this and @last, falling back to outer scope", () => {
+    const ctx = { url: "/p/", items: [{ label: "a" }, { label: "b", note: "n" }], tags: ["x", "y"] };
+    const src = "{{#each items}}{{label}}{{#if note}}({{note}}){{/if}}@{{url}} {{/each}}|{{#each tags}}{{this}}{{#unless @last}}, {{/unless}}{{/each}}";
+    assert.equal(renderTemplate(src, ctx), "a@/p/ b(n)@/p/ |x, y");
+  });
+
+  it("escapes interpolations in HTML templates only", () => {
+    const ctx = { name: `<b>"x"</b>` };
+    assert.equal(renderTemplate("<h1>{{name}}</h1>", ctx, { name: "page.html.tmpl" }), "<h1>&lt;b&gt;&quot;x&quot;&lt;/b&gt;</h1>");
+    assert.equal(renderTemplate("# {{name}}", ctx, { name: "page.md.tmpl" }), `# <b>"x"</b>`);
+  });
+
+  it("renders proven claims by id", () => {
+    assert.equal(renderTemplate(`- {{claim "claim.fast"}}`, {}, { claims: CLAIMS }), "- It is fast.");
+  });
+
+  it("fails on unproven or unknown claims", () => {
+    assert.throws(
+      () => renderTemplate(`{{claim "claim.future"}}`, {}, { name: "t.md.tmpl", claims: CLAIMS }),
+      /t\.md\.tmpl:1: references unproven claim "claim\.future"/
+    );
+    assert.throws(() => renderTemplate(`{{claim "claim.nope"}}`, {}, { claims: CLAIMS }), /unknown claim/);
+  });
+
+  it("fails when a template reads an object leaning on an unproven claim", () => {
+    const ctx = { quotes: [{ text: "Wow", claimRefs: ["claim.fast"] }, { text: "Soon", claimRefs: ["claim.future"] }] };
+    assert.throws(
+      () => renderTemplate("{{#each quotes}}{{text}}\n{{/each}}", ctx, { claims: CLAIMS }),
+      /references unproven claim "claim\.future"/
+    );
+    assert.equal(renderTemplate("{{#each quotes}}{{text}}{{/each}}", { quotes: ctx.quotes.slice(0, 1) }, { claims: CLAIMS }), "Wow");
+  });
+
+  it("fails on unknown top-level fields and non-printable values", () => {
+    assert.throws(() => renderTemplate("{{tool.nmae}}{{tol.name}}", { tool: {} }), /unknown field "tol"/);
+    assert.throws(() => renderTemplate("{{tool}}", { tool: {} }), /not a printable value/);
+    assert.throws(() => renderTemplate("{{#each tool}}{{/each}}", { tool: {} }), /not a list/);
+  });
+
+  it("does not reach through the prototype chain", () => {
+    assert.equal(renderTemplate("{{tool.constructor.name}}", { tool: {} }), "");
+  });
+});
+
+describe("parseTemplate", () => {
+  it("rejects unbalanced and unsupported tags", () => {
+    assert.throws(() => parseTemplate("{{#if a}}\nx\n", "t"), /t:1: unclosed #if/);
+    assert.throws(() => parseTemplate("{{#each a}}{{/if}}", "t"), /unexpected \{\{\/if\}\}/);
+    assert.throws(() => parseTemplate("{{#with a}}{{/with}}", "t"), /unknown block "#with"/);
+    assert.throws(() => parseTemplate("{{a + b}}", "t"), /invalid tag/);
+    assert.throws(() => parseTemplate("{{#each a}}{{else}}{{/each}}", "t"), /else.*outside/);
+  });
+
+  it("ignores comments", () => {
+    assert.equal(renderTemplate("{{! note }}\nbody\n", {}), "body\n");
+  });
+});
+
+describe("loadTemplate", () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = join(tmpdir(), `templates-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    mkdirSync(join(tempDir, "outreach"), { recursive: true });
+    writeFileSync(join(tempDir, "outreach", "dm-short.md.tmpl"), "custom\n");
+  });
+
+  afterEach(() => {
+    try { rmSync(tempDir, { recursive: true, force: true }); } catch {}
+  });
+
+  it("prefers the kit override and falls back to the built-in", () => {
+    const custom = loadTemplate("outreach/dm-short.md.tmpl", { templatesDir: tempDir });
+    assert.equal(custom.overridden, true);
+    assert.equal(custom.source, "custom\n");
+    const builtin = loadTemplate("outreach/hn-comment.md.tmpl", { templatesDir: tempDir });
+    assert.equal(builtin.overridden, false);
+    assert.ok(builtin.source.includes("HN Comment"));
+  });
+
+  it("throws for templates that do not exist", () => {
+    assert.throws(() => loadTemplate("outreach/nope.md.tmpl"), /template outreach\/nope\.md\.tmpl: not found/);
+  });
+});
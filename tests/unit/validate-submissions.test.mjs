@@ -291,6 +291,20 @@ describe("validateSubmissionsJson", () => {
     assert.ok(result.errors.some((e) => e.includes("duplicate")));
   });
 
+  it("checks history entries and that they end in the current status", () => {
+    const entry = { slug: "x", status: "accepted", lane: "promo", submittedAt: "2026-02-16T00:00:00Z" };
+    const good = validateSubmissionsJson({
+      submissions: [{ ...entry, history: [{ from: "pending", to: "accepted", at: "2026-02-18T00:00:00Z", actor: "@rev" }] }],
+    });
+    assert.equal(good.valid, true);
+    const bad = validateSubmissionsJson({
+      submissions: [{ ...entry, history: [{ from: "pending", to: "reviewing", at: "soon", actor: "" }] }],
+    });
+    assert.ok(bad.errors.some((e) => e.includes("history[0].at")));
+    assert.ok(bad.errors.some((e) => e.includes("history[0].actor")));
+    assert.ok(bad.errors.some((e) => e.includes('ends in "reviewing"')));
+  });
+
   it("missing required summary fields fails", () => {
     const result = validateSubmissionsJson({
       submissions: [{}],
@@ -352,7 +366,7 @@ describe("enum exports", () => {
   });
 
   it("VALID_STATUSES contains expected values", () => {
-    assert.deepEqual(VALID_STATUSES, ["pending", "accepted", "rejected", "withdrawn", "needs-info"]);
+    assert.deepEqual(VALID_STATUSES, ["pending", "reviewing", "accepted", "rejected", "withdrawn", "needs-info"]);
   });
 
   it("VALID_LANES contains expected values", () => {
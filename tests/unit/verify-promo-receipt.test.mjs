@@ -0,0 +1,264 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, writeFileSync, readFileSync, rmSync, existsSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import { generateKeyPairSync } from "node:crypto";
+import { execFileSync } from "node:child_process";
+import { writePromoWeekReceipt } from "../../scripts/gen-promo-week-receipt.mjs";
+import {
+  receiptSources,
+  verifyReceipt,
+  verifyWeek,
+  verifyReceiptLog,
+  verifySlugArtifacts,
+  VERIFICATION_FILE,
+} from "../../scripts/verify-promo-receipt.mjs";
+import { hashContent, repoPath, weekReceiptPath } from "../../scripts/lib/receipts.mjs";
+import { signContent } from "../../scripts/lib/signing.mjs";
+import { buildPublicManifest } from "../../scripts/lib/merkle.mjs";
+
+function makeTempDir() {
+  const dir = join(tmpdir(), `verify-receipt-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+/**
+ * Fake git over an in-memory history: { <commit>: { <path>: content } }.
+ * HEAD is the `head` commit; `lastTouched` maps a path to the latest commit
+ * that wrote it.
+ */
+function fakeGit(commits, head, lastTouched = {}) {
+  return (_root, args) => {
+    if (args[0] === "rev-parse") return `${head}\n`;
+    if (args[0] === "cat-file") {
+      if (!commits[args[2].replace("^{commit}", "")]) throw new Error("fatal: Not a valid object name");
+      return "";
+    }
+    if (args[0] === "log") return lastTouched[args.at(-1)] ? `${lastTouched[args.at(-1)]}\n` : "";
+    if (args[0] === "show") {
+      const [commit, path] = args[1].split(":");
+      const content = commits[commit]?.[path];
+      if (content === undefined) throw new Error(`fatal: path '${path}' does not exist in '${commit}'`);
+      return content;
+    }
+    throw new Error(`unexpected git ${args.join(" ")}`);
+  };
+}
+
+describe("verify-promo-receipt", () => {
+  let root;
+  let dataDir;
+  let publicDir;
+  let files;
+
+  beforeEach(() => {
+    root = makeTempDir();
+    dataDir = join(root, "data");
+    publicDir = join(root, "public");
+    mkdirSync(dataDir, { recursive: true });
+    mkdirSync(publicDir, { recursive: true });
+    files = {
+      "data/governance.json": JSON.stringify({ decisionsFrozen: false }),
+      "data/promo-decisions.json": JSON.stringify({ decisions: [] }),
+      "data/experiment-decisions.json": JSON.stringify({ evaluations: [] }),
+      "public/trust.json": JSON.stringify({ commit: null }),
+    };
+    for (const [path, content] of Object.entries(files)) writeFileSync(join(root, path), content);
+  });
+
+  afterEach(() => {
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  it("verifies a receipt whose inputs match the recorded commit", () => {
+    const git = fakeGit({ c1: files }, "c1");
+    writePromoWeekReceipt({ dataDir, publicDir, root, week: "2026-02-17", git });
+
+    const result = verifyWeek("2026-02-17", { root, dataDir, publicDir, git });
+    assert.equal(result.status, "verified");
+    assert.equal(result.commit, "c1");
+    assert.deepEqual(result.checks.filter((c) => c.kind === "source").map((c) => c.path).sort(), [
+      "data/experiment-decisions.json",
+      "data/governance.json",
+      "data/promo-decisions.json",
+      "public/trust.json",
+    ]);
+    assert.ok(result.checks.every((c) => c.ok));
+  });
+
+  it("reports a mismatch when a file differs at the commit", () => {
+    writePromoWeekReceipt({ dataDir, publicDir, root, week: "2026-02-17", git: fakeGit({ c1: files }, "c1") });
+
+    // History rewritten after the receipt was published
+    const git = fakeGit({ c1: { ...files, "data/governance.json": JSON.stringify({ decisionsFrozen: true }) } }, "c1");
+    const result = verifyWeek("2026-02-17", { root, dataDir, publicDir, git });
+    assert.equal(result.status, "mismatch");
+    assert.equal(result.mismatches, 1);
+    const bad = result.checks.find((c) => !c.ok);
+    assert.equal(bad.path, "data/governance.json");
+    assert.equal(bad.actual, hashContent(JSON.stringify({ decisionsFrozen: true })));
+  });
+
+  it("checks trust.json's manifest at the commit it records", () => {
+    const trust = JSON.stringify({ commit: "c0", artifactManifest: { "promo-decisions.json": hashContent("old") } });
+    writeFileSync(join(publicDir, "trust.json"), trust);
+    const git = fakeGit({ c0: { "data/promo-decisions.json": "older" }, c1: { ...files, "public/trust.json": trust } }, "c1");
+    writePromoWeekReceipt({ dataDir, publicDir, root, week: "2026-02-17", git });
+
+    const result = verifyWeek("2026-02-17", { root, dataDir, publicDir, git });
+    const trustChecks = result.checks.filter((c) => c.kind === "trust");
+    assert.equal(trustChecks.length, 1);
+    assert.equal(trustChecks[0].ok, false);
+    assert.equal(result.status, "mismatch");
+  });
+
+  it("reports a trust.json commit missing from the history as one unverifiable check", () => {
+    // A real repository whose trust.json names a commit it does not contain
+    const trust = JSON.stringify({
+      commit: "43fa469",
+      artifactManifest: { "promo-decisions.json": hashContent(files["data/promo-decisions.json"]) },
+    });
+    writeFileSync(join(publicDir, "trust.json"), trust);
+    const gitCmd = (...args) => execFileSync("git", ["-c", "user.name=t", "-c", "user.email=t@example.com", ...args], { cwd: root, stdio: "ignore" });
+    gitCmd("init", "-q");
+    gitCmd("add", "-A");
+    gitCmd("commit", "-q", "-m", "inputs");
+
+    const { receipt } = writePromoWeekReceipt({ dataDir, publicDir, root, week: "2026-02-17" });
+    assert.match(receipt.commit, /^[0-9a-f]{40}$/);
+
+    const result = verifyWeek("2026-02-17", { root, dataDir, publicDir });
+    assert.equal(result.status, "verified");
+    assert.equal(result.mismatches, 0);
+    assert.equal(result.unverified, 1);
+    assert.deepEqual(result.checks.filter((c) => c.kind === "trust"), [
+      { kind: "trust", path: "public/trust.json", expected: "43fa469", actual: null, ok: false, unverifiable: true },
+    ]);
+  });
+
+  it("detects a rewritten earlier receipt through the chain", () => {
+    const git = fakeGit({ c1: files }, "c1");
+    writePromoWeekReceipt({ dataDir, publicDir, root, week: "2026-02-17", git });
+    writePromoWeekReceipt({ dataDir, publicDir, root, week: "2026-02-24", git });
+    assert.equal(verifyWeek("2026-02-24", { root, dataDir, publicDir, git }).status, "verified");
+
+    const firstPath = weekReceiptPath(publicDir, "2026-02-17");
+    const tampered = { ...JSON.parse(readFileSync(firstPath, "utf8")), generatedAt: "2026-01-01T00:00:00.000Z" };
+    writeFileSync(firstPath, JSON.stringify(tampered, null, 2) + "\n");
+
+    const result = verifyWeek("2026-02-24", { root, dataDir, publicDir, git });
+    assert.equal(result.status, "mismatch");
+    assert.deepEqual(result.checks.filter((c) => !c.ok).map((c) => c.kind), ["chain"]);
+  });
+
+  it("verifies inputs rewritten after HEAD at the commit that wrote the receipt", () => {
+    // The scheduled job regenerates promo-decisions.json, then writes the receipt, then commits both
+    const committed = { ...files, "data/promo-decisions.json": JSON.stringify({ decisions: ["stale"] }) };
+    const { receipt, path } = writePromoWeekReceipt({ dataDir, publicDir, root, week: "2026-02-17", git: fakeGit({ c1: committed }, "c1") });
+    assert.equal(receipt.commit, null);
+    assert.deepEqual(receipt.uncommitted, ["data/promo-decisions.json"]);
+
+    const receiptPath = repoPath(root, path);
+    const c2 = { ...files, [receiptPath]: readFileSync(path, "utf8") };
+    const git = fakeGit({ c1: committed, c2 }, "c2", { [receiptPath]: "c2" });
+    const result = verifyWeek("2026-02-17", { root, dataDir, publicDir, git });
+    assert.equal(result.status, "verified");
+    assert.equal(result.commit, "c2");
+    assert.equal(result.commitFrom, "receipt-file");
+    assert.ok(result.checks.some((c) => c.kind === "source" && c.path === "data/promo-decisions.json" && c.ok));
+
+    // Not yet committed at all: nothing to check against
+    assert.equal(verifyWeek("2026-02-17", { root, dataDir, publicDir, git: fakeGit({ c1: committed }, "c1") }).status, "unverifiable");
+  });
+
+  it("treats receipts without a commit as unverifiable", () => {
+    const result = verifyReceipt({ week: "2026-02-17", inputs: {} }, { root, dataDir, publicDir, git: fakeGit({}, "c1") });
+    assert.equal(result.status, "unverifiable");
+    assert.deepEqual(result.checks, []);
+  });
+
+  it("maps legacy receipts without sources from their inputs", () => {
+    const sources = receiptSources(
+      { inputs: { governanceSha: "sha256:g" }, trustReceiptHash: null },
+      { root, dataDir, publicDir },
+    );
+    assert.deepEqual(sources, { "data/governance.json": "sha256:g", "public/trust.json": null });
+  });
+
+  it("reports a missing week and writes a log summary", () => {
+    const git = fakeGit({ c1: files }, "c1");
+    writePromoWeekReceipt({ dataDir, publicDir, root, week: "2026-02-17", git });
+
+    assert.equal(verifyWeek("2026-03-03", { root, dataDir, publicDir, git }).status, "missing");
+
+    const log = verifyReceiptLog({ root, dataDir, publicDir, git, write: true });
+    assert.deepEqual(log.summary, { total: 1, verified: 1, mismatch: 0, unverifiable: 0, missing: 0 });
+    assert.ok(existsSync(join(dataDir, VERIFICATION_FILE)));
+    assert.equal(JSON.parse(readFileSync(join(dataDir, VERIFICATION_FILE), "utf8")).weeks[0].week, "2026-02-17");
+  });
+
+  it("verifies signed receipts and trust.json against the published key", () => {
+    const { privateKey } = generateKeyPairSync("ed25519");
+    const signedFiles = { ...files, "public/trust.json.sig": JSON.stringify(signContent(files["public/trust.json"], privateKey)) };
+    const git = fakeGit({ c1: signedFiles }, "c1");
+    writePromoWeekReceipt({ dataDir, publicDir, root, week: "2026-02-17", git, signingKey: privateKey });
+
+    const result = verifyWeek("2026-02-17", { root, dataDir, publicDir, git });
+    assert.equal(result.status, "verified");
+    assert.deepEqual(result.checks.filter((c) => c.kind === "signature").map((c) => c.path).sort(), [
+      "public/outreach-run/2026-02-17/promo-week-receipt.json",
+      "public/trust.json",
+    ]);
+  });
+
+  it("reports a forged receipt signature as a mismatch", () => {
+    const { privateKey } = generateKeyPairSync("ed25519");
+    const git = fakeGit({ c1: files }, "c1");
+    writePromoWeekReceipt({ dataDir, publicDir, root, week: "2026-02-17", git, signingKey: privateKey });
+
+    // Rewrite the receipt and re-sign it with a key the site never published
+    const path = weekReceiptPath(publicDir, "2026-02-17");
+    const forged = JSON.stringify({ ...JSON.parse(readFileSync(path, "utf8")), commit: "c1" }, null, 1);
+    writeFileSync(path, forged);
+    writeFileSync(path + ".sig", JSON.stringify(signContent(forged, generateKeyPairSync("ed25519").privateKey)));
+
+    const result = verifyWeek("2026-02-17", { root, dataDir, publicDir, git });
+    assert.equal(result.status, "mismatch");
+    const bad = result.checks.find((c) => c.kind === "signature" && !c.ok);
+    assert.equal(bad.actual, "wrong-key");
+  });
+
+  it("requires signatures only when asked", () => {
+    const git = fakeGit({ c1: files }, "c1");
+    writePromoWeekReceipt({ dataDir, publicDir, root, week: "2026-02-17", git, signingKey: null });
+
+    assert.equal(verifyWeek("2026-02-17", { root, dataDir, publicDir, git }).status, "verified");
+    const strict = verifyWeek("2026-02-17", { root, dataDir, publicDir, git, requireSignatures: true });
+    assert.equal(strict.status, "mismatch");
+    assert.deepEqual(strict.checks.filter((c) => !c.ok).map((c) => c.actual), ["unsigned", "unsigned"]);
+  });
+
+  it("verifies a partner's own artifacts against trust.json's public manifest", () => {
+    mkdirSync(join(publicDir, "partners", "tool-a"), { recursive: true });
+    mkdirSync(join(publicDir, "presskit", "tool-a"), { recursive: true });
+    writeFileSync(join(publicDir, "partners", "tool-a", "partner-pack.zip"), "zip-bytes");
+    writeFileSync(join(publicDir, "presskit", "tool-a", "press.md"), "# tool-a\n");
+    const trustPath = join(root, "trust.json");
+    writeFileSync(trustPath, JSON.stringify({ publicManifest: buildPublicManifest(publicDir) }));
+
+    // The partner holds only their pack, laid out by manifest path
+    const partnerDir = join(root, "partner");
+    mkdirSync(join(partnerDir, "partners", "tool-a"), { recursive: true });
+    writeFileSync(join(partnerDir, "partners", "tool-a", "partner-pack.zip"), "zip-bytes");
+
+    const ok = verifySlugArtifacts("tool-a", { trustPath, dir: partnerDir });
+    assert.equal(ok.status, "verified");
+    assert.deepEqual(ok.checks.filter((c) => c.kind === "file").map((c) => c.path), ["partners/tool-a/partner-pack.zip"]);
+
+    writeFileSync(join(partnerDir, "partners", "tool-a", "partner-pack.zip"), "tampered");
+    assert.equal(verifySlugArtifacts("tool-a", { trustPath, dir: partnerDir }).status, "mismatch");
+    assert.equal(verifySlugArtifacts("tool-z", { trustPath, dir: partnerDir }).status, "missing");
+  });
+});
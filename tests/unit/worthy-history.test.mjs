@@ -0,0 +1,105 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  recordWorthyAssessment,
+  detectWorthyRegressions,
+  regressedSince,
+  describeRegression,
+} from "../../scripts/lib/worthy-history.mjs";
+
+const RELEASE = "At least 1 release published";
+const LICENSE = "License is OSI-approved";
+
+function historyOf(slug, points) {
+  return { repos: { [slug]: points } };
+}
+
+describe("recordWorthyAssessment", () => {
+  it("appends in date order without mutating the input", () => {
+    const before = historyOf("tool", [{ date: "2026-03-01", worthy: true, score: 4, missing: [] }]);
+    const after = recordWorthyAssessment(before, "tool", { date: "2026-02-01", worthy: false, score: 2, missing: [RELEASE] });
+    assert.deepEqual(after.repos.tool.map((p) => p.date), ["2026-02-01", "2026-03-01"]);
+    assert.equal(before.repos.tool.length, 1);
+  });
+
+  it("replaces a same-day assessment", () => {
+    let h = recordWorthyAssessment({}, "tool", { date: "2026-03-01", worthy: true, score: 4 });
+    h = recordWorthyAssessment(h, "tool", { date: "2026-03-01", worthy: false, score: 2, missing: [RELEASE] });
+    assert.equal(h.repos.tool.length, 1);
+    assert.equal(h.repos.tool[0].worthy, false);
+    assert.deepEqual(h.repos.tool[0].missing, [RELEASE]);
+  });
+
+  it("keeps only the newest entries up to the limit", () => {
+    let h = {};
+    for (let d = 1; d <= 5; d++) {
+      h = recordWorthyAssessment(h, "tool", { date: `2026-03-0${d}`, worthy: true, score: 4 }, { limit: 3 });
+    }
+    assert.deepEqual(h.repos.tool.map((p) => p.date), ["2026-03-03", "2026-03-04", "2026-03-05"]);
+  });
+});
+
+describe("detectWorthyRegressions", () => {
+  it("flags a worthy → not-worthy flip with the lost criteria", () => {
+    const h = historyOf("tool", [
+      { date: "2026-02-01", worthy: true, score: 4, missing: [LICENSE] },
+      { date: "2026-03-01", worthy: false, score: 2, missing: [LICENSE, RELEASE] },
+      { date: "2026-03-08", worthy: false, score: 2, missing: [LICENSE, RELEASE] },
+    ]);
+    const [r, ...rest] = detectWorthyRegressions(h);
+    assert.equal(rest.length, 0);
+    assert.deepEqual(r, {
+      slug: "tool",
+      from: { date: "2026-02-01", score: 4 },
+      to: { date: "2026-03-01", score: 2 },
+      lostCriteria: [RELEASE],
+    });
+  });
+
+  it("ignores repos that recovered or were never worthy", () => {
+    const h = {
+      repos: {
+        recovered: [
+          { date: "2026-02-01", worthy: true, score: 4 },
+          { date: "2026-02-08", worthy: false, score: 2 },
+          { date: "2026-02-15", worthy: true, score: 3 },
+        ],
+        never: [
+          { date: "2026-02-01", worthy: false, score: 1 },
+          { date: "2026-02-08", worthy: false, score: 2 },
+        ],
+      },
+    };
+    assert.deepEqual(detectWorthyRegressions(h), []);
+  });
+
+  it("filters flips before `since`", () => {
+    const h = historyOf("tool", [
+      { date: "2026-02-01", worthy: true, score: 4 },
+      { date: "2026-02-08", worthy: false, score: 2 },
+    ]);
+    assert.equal(detectWorthyRegressions(h, { since: "2026-02-08" }).length, 1);
+    assert.equal(detectWorthyRegressions(h, { since: "2026-02-09" }).length, 0);
+  });
+});
+
+describe("regressedSince", () => {
+  const h = historyOf("tool", [
+    { date: "2026-02-01", worthy: true, score: 4, missing: [] },
+    { date: "2026-02-10", worthy: false, score: 2, missing: [RELEASE] },
+  ]);
+
+  it("returns the regression when it happened after queueing", () => {
+    assert.equal(regressedSince(h, "tool", "2026-02-05T12:00:00Z").to.date, "2026-02-10");
+  });
+
+  it("returns null when the repo was already regressed when queued", () => {
+    assert.equal(regressedSince(h, "tool", "2026-02-11"), null);
+    assert.equal(regressedSince(h, "other", "2026-02-01"), null);
+  });
+
+  it("describes the flip", () => {
+    const text = describeRegression(regressedSince(h, "tool", "2026-02-01"));
+    assert.equal(text, `worthy → not worthy on 2026-02-10, score 4 → 2 (lost: ${RELEASE})`);
+  });
+});